@@ -1,16 +1,30 @@
 import logger from '../utils/logger.js';
 import Appointment from '../models/Appointment.js';
 import Patient from '../models/Patient.js';
+import { getDayKey } from '../models/Doctor.js';
 import emailService from '../services/emailService.js';
 import smsService from '../services/smsService.js';
 import doctorAssignmentService from '../services/doctorAssignmentService.js';
+import bookingService from '../services/bookingService.js';
+import waitlistService from '../services/waitlistService.js';
+import queueService from '../services/queueService.js';
+import referralService from '../services/referralService.js';
+import followUpService from '../services/followUpService.js';
 import { formatDateTime } from '../utils/timeSlotGenerator.js';
+import { getAccessiblePatientIds } from '../middleware/auth.js';
 
 /**
  * Appointment Controller for MediFlow
  * Handles appointment scheduling, booking, and management
  */
 
+/**
+ * Fields visible on the public booking page (no patient details or clinical notes)
+ */
+const PUBLIC_APPOINTMENT_FIELDS =
+  'doctor_id department appointment_type appointment_duration time_slots selected_slot ' +
+  'status scheduled_start_time scheduled_end_time token_number is_telemedicine telemedicine_link';
+
 /**
  * Create a new appointment (from chatbot or manual)
  * POST /api/appointments
@@ -24,6 +38,7 @@ export const createAppointment = async (req, res) => {
       symptoms,
       preferred_date,
       preferred_time,
+      appointment_type = 'new_patient',
     } = req.body;
 
     // Validate required fields
@@ -66,26 +81,33 @@ export const createAppointment = async (req, res) => {
       });
     }
 
-    // Set appointment date/time (default to tomorrow 10 AM if not specified)
-    let appointmentDate;
+    // Hold a slot from the doctor's schedule
+    // (requested time must be open; otherwise the next open slot is used)
+    let hold;
     if (preferred_date && preferred_time) {
-      appointmentDate = new Date(`${preferred_date}T${preferred_time}:00`);
+      hold = await bookingService.placeHold({
+        doctorId: doctorAssignment.doctorId,
+        startTime: new Date(`${preferred_date}T${preferred_time}:00+05:30`),
+        appointmentType: appointment_type,
+        purpose: 'direct_booking',
+      });
     } else {
-      appointmentDate = new Date();
-      appointmentDate.setDate(appointmentDate.getDate() + 1);
-      appointmentDate.setHours(10, 0, 0, 0);
-    }
+      hold = await bookingService.holdNextAvailableSlot(doctorAssignment.doctorId, appointment_type);
 
-    const appointmentEndTime = new Date(appointmentDate.getTime() + 30 * 60000); // 30 min
+      if (!hold) {
+        return res.status(409).json({
+          success: false,
+          message: `No open slots for ${doctorAssignment.doctor.name} in the next 14 days`,
+        });
+      }
+    }
 
     // Create appointment
     const appointment = new Appointment({
       patient_id: patient._id,
       doctor_id: doctorAssignment.doctorId,
       department,
-      appointment_type: 'consultation',
-      scheduled_start_time: appointmentDate,
-      scheduled_end_time: appointmentEndTime,
+      appointment_type,
       status: 'scheduled',
       chief_complaint,
       symptoms: symptoms || [],
@@ -93,7 +115,7 @@ export const createAppointment = async (req, res) => {
       source: req.body.source || 'manual',
     });
 
-    await appointment.save();
+    await bookingService.saveUnderHold(hold, appointment);
     logger.success(`✅ Appointment created: ${appointment._id}`);
 
     // Update patient
@@ -101,7 +123,7 @@ export const createAppointment = async (req, res) => {
     await patient.save();
 
     // Increment doctor patient count
-    await doctorAssignmentService.incrementDoctorPatientCount(doctorAssignment.doctorId);
+    await doctorAssignmentService.incrementDoctorPatientCount(doctorAssignment.doctorId, appointment.scheduled_start_time);
 
     // Send confirmation emails and SMS
     try {
@@ -131,15 +153,204 @@ export const createAppointment = async (req, res) => {
         doctor_id: doctorAssignment.doctorId,
         doctor_name: doctorAssignment.doctor.name,
         department,
-        scheduled_time: appointmentDate,
+        scheduled_time: appointment.scheduled_start_time,
         status: appointment.status,
       },
     });
   } catch (error) {
     logger.error('Error creating appointment:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create appointment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List open slots for self-service booking
+ * GET /api/appointments/slots?department=&doctorId=&from=&to=&appointmentType=
+ */
+export const getOpenSlots = async (req, res) => {
+  try {
+    const { department, doctorId, from, to, appointmentType } = req.query;
+
+    const doctors = await bookingService.listOpenSlots({
+      department,
+      doctorId,
+      from,
+      to,
+      appointmentType: appointmentType || 'new_patient',
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: doctors.length,
+      data: doctors,
+    });
+  } catch (error) {
+    logger.error('Error listing open slots:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to list open slots',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Place a short-lived hold on a slot
+ * POST /api/appointments/holds
+ *
+ * Patients identify themselves by patient_email; patient_id is only accepted from staff.
+ */
+export const holdSlot = async (req, res) => {
+  try {
+    // end_time is not accepted here - the slot length comes from the doctor's schedule
+    const {
+      doctor_id,
+      start_time,
+      slot_id,
+      appointment_type = 'new_patient',
+      patient_id,
+      patient_email,
+      appointment_id,
+    } = req.body;
+
+    if (!doctor_id || !start_time) {
+      return res.status(400).json({
+        success: false,
+        message: 'doctor_id and start_time are required',
+      });
+    }
+
+    const hold = await bookingService.placeHold({
+      doctorId: doctor_id,
+      startTime: start_time,
+      slotId: slot_id,
+      appointmentType: appointment_type,
+      patientId: req.user ? patient_id : null,
+      patientEmail: req.user ? null : patient_email,
+      appointmentId: appointment_id,
+      requireScheduledSlot: true,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Slot held for ${bookingService.HOLD_MINUTES} minutes`,
+      data: {
+        hold_id: hold._id,
+        doctor_id: hold.doctor_id,
+        slot_id: hold.slot_id,
+        start_time: hold.start_time,
+        end_time: hold.end_time,
+        expires_at: hold.expires_at,
+      },
+    });
+  } catch (error) {
+    logger.error('Error holding slot:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to hold slot',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Release a slot hold
+ * DELETE /api/appointments/holds/:holdId
+ */
+export const releaseSlotHold = async (req, res) => {
+  try {
+    const released = await bookingService.releaseHold(req.params.holdId, 'self_service');
+
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot hold not found or already confirmed',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Slot hold released',
+    });
+  } catch (error) {
+    logger.error('Error releasing slot hold:', error.message);
     return res.status(500).json({
       success: false,
-      message: 'Failed to create appointment',
+      message: 'Failed to release slot hold',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Book an appointment (patient self-service)
+ * POST /api/appointments/book
+ *
+ * Body (either):
+ * - { hold_id, patient_email (patient_id for staff), chief_complaint, symptoms } - confirm a hold
+ * - { appointment_id, slot_id, patient_email } - book a pre-generated slot (BookAppointmentPage)
+ */
+export const bookAppointment = async (req, res) => {
+  try {
+    const {
+      hold_id,
+      appointment_id,
+      slot_id,
+      patient_id,
+      patient_email,
+      chief_complaint,
+      symptoms,
+    } = req.body;
+
+    let result;
+    if (hold_id && !req.user && !patient_email) {
+      return res.status(400).json({
+        success: false,
+        message: 'patient_email is required to confirm a hold',
+      });
+    } else if (hold_id) {
+      result = await bookingService.confirmHold(hold_id, {
+        patientId: req.user ? patient_id : null,
+        patientEmail: patient_email,
+        chiefComplaint: chief_complaint,
+        symptoms,
+        purpose: 'self_service',
+      });
+    } else if (appointment_id && slot_id) {
+      result = await bookingService.bookAppointmentSlot(appointment_id, slot_id, patient_email);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'hold_id, or appointment_id, slot_id and patient_email, are required',
+      });
+    }
+
+    const { appointment, doctor } = result;
+
+    return res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      data: {
+        appointment_id: appointment._id,
+        patient_id: appointment.patient_id,
+        doctor_id: doctor._id,
+        doctor_name: doctor.name,
+        department: appointment.department,
+        scheduled_start_time: appointment.scheduled_start_time,
+        scheduled_end_time: appointment.scheduled_end_time,
+        token_number: appointment.token_number,
+        status: appointment.status,
+      },
+    });
+  } catch (error) {
+    logger.error('Error booking appointment:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to book appointment',
       error: error.message,
     });
   }
@@ -153,9 +364,16 @@ export const getAppointmentById = async (req, res) => {
   try {
     const { appointmentId } = req.params;
 
-    const appointment = await Appointment.findById(appointmentId)
-      .populate('patient_id', 'name email phone age gender')
-      .populate('doctor_id', 'name email specialization department');
+    // Anonymous callers (patient booking links) get scheduling info only
+    const query = req.user
+      ? Appointment.findById(appointmentId)
+          .populate('patient_id', 'name email phone age gender')
+          .populate('doctor_id', 'name email specialization department')
+      : Appointment.findById(appointmentId)
+          .select(PUBLIC_APPOINTMENT_FIELDS)
+          .populate('doctor_id', 'name specialization department');
+
+    const appointment = await query;
 
     if (!appointment) {
       return res.status(404).json({
@@ -225,6 +443,11 @@ export const getAllAppointments = async (req, res) => {
     if (status) filter.status = status;
     if (department) filter.department = department;
     if (doctor_id) filter.doctor_id = doctor_id;
+
+    // Doctors only list appointments of their own patients
+    const accessiblePatientIds = await getAccessiblePatientIds(req.user);
+    if (accessiblePatientIds) filter.patient_id = { $in: accessiblePatientIds };
+
     if (date) {
       const startOfDay = new Date(date);
       startOfDay.setHours(0, 0, 0, 0);
@@ -300,7 +523,7 @@ export const cancelAppointment = async (req, res) => {
     await patient.save();
 
     // Decrement doctor patient count
-    await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id._id);
+    await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id._id, appointment.scheduled_start_time);
 
     logger.success(`✅ Appointment cancelled: ${appointmentId}`);
 
@@ -316,6 +539,12 @@ export const cancelAppointment = async (req, res) => {
       logger.error('Failed to send cancellation notification:', notificationError.message);
     }
 
+    // Offer the freed slot to the waitlist
+    await waitlistService.handleFreedAppointment(appointment, 'cancelled');
+
+    // Drop the token from the waiting-room board
+    await queueService.broadcastQueue(appointment.department);
+
     return res.status(200).json({
       success: true,
       message: 'Appointment cancelled successfully',
@@ -360,17 +589,33 @@ export const rescheduleAppointment = async (req, res) => {
 
     const oldStartTime = appointment.scheduled_start_time;
 
-    // Update appointment times
-    const newStartTime = new Date(`${new_date}T${new_time}:00`);
-    const newEndTime = new Date(newStartTime.getTime() + 30 * 60000); // 30 min
+    // Update appointment times (keep the original slot length)
+    const newStartTime = new Date(`${new_date}T${new_time}:00+05:30`);
+    const durationMs = appointment.scheduled_end_time && oldStartTime
+      ? appointment.scheduled_end_time - oldStartTime
+      : 30 * 60000;
+    const newEndTime = new Date(newStartTime.getTime() + durationMs);
+
+    const hold = await bookingService.placeHold({
+      doctorId: appointment.doctor_id,
+      startTime: newStartTime,
+      endTime: newEndTime,
+      appointmentType: appointment.appointment_type,
+      purpose: 'direct_booking',
+      excludeAppointmentId: appointment._id,
+    });
 
-    appointment.scheduled_start_time = newStartTime;
-    appointment.scheduled_end_time = newEndTime;
     appointment.rescheduled = true;
     appointment.reschedule_reason = reason || 'Patient request';
     appointment.notes = (appointment.notes || '') + `\n[Rescheduled] From ${formatDateTime(oldStartTime)} to ${formatDateTime(newStartTime)}. Reason: ${reason || 'Not specified'}`;
     
-    await appointment.save();
+    await bookingService.saveUnderHold(hold, appointment);
+
+    // Move the booking to the new day's capacity
+    if (getDayKey(oldStartTime) !== getDayKey(newStartTime)) {
+      await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id._id, oldStartTime);
+      await doctorAssignmentService.incrementDoctorPatientCount(appointment.doctor_id._id, newStartTime);
+    }
 
     logger.success(`✅ Appointment rescheduled: ${appointmentId}`);
 
@@ -393,9 +638,9 @@ export const rescheduleAppointment = async (req, res) => {
     });
   } catch (error) {
     logger.error('Error rescheduling appointment:', error.message);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to reschedule appointment',
+      message: error.status ? error.message : 'Failed to reschedule appointment',
       error: error.message,
     });
   }
@@ -404,11 +649,20 @@ export const rescheduleAppointment = async (req, res) => {
 /**
  * Mark appointment as completed
  * PATCH /api/appointments/:appointmentId/complete
+ * Body: { consultation_notes, follow_up_required, follow_up_date }
+ * (follow-up defaults to the visit's flag, then the patient's risk / diagnosis)
  */
 export const completeAppointment = async (req, res) => {
   try {
     const { appointmentId } = req.params;
-    const { consultation_notes } = req.body;
+    const { consultation_notes, follow_up_required, follow_up_date } = req.body;
+
+    if (follow_up_date && isNaN(new Date(follow_up_date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'follow_up_date must be a valid date',
+      });
+    }
 
     const appointment = await Appointment.findById(appointmentId)
       .populate('patient_id');
@@ -437,14 +691,28 @@ export const completeAppointment = async (req, res) => {
     await patient.save();
 
     // Decrement doctor patient count
-    await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id);
+    await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id, appointment.scheduled_start_time);
 
     logger.success(`✅ Appointment marked as completed: ${appointmentId}`);
 
+    // A referral or follow-up booked into this visit is now done
+    await referralService.completeForAppointment(appointment._id);
+    await followUpService.completeForAppointment(appointment._id);
+
+    // Reserve the next follow-up slot and ask the patient to confirm it
+    const followUp = await followUpService.scheduleFromAppointment(appointment, {
+      required: typeof follow_up_required === 'boolean' ? follow_up_required : null,
+      date: follow_up_date || null,
+    });
+
+    // Refresh the waiting-room board
+    await queueService.broadcastQueue(appointment.department);
+
     return res.status(200).json({
       success: true,
       message: 'Appointment marked as completed',
       data: appointment,
+      followUp,
     });
   } catch (error) {
     logger.error('Error completing appointment:', error.message);
@@ -486,10 +754,16 @@ export const markAsNoShow = async (req, res) => {
     await patient.save();
 
     // Decrement doctor patient count
-    await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id);
+    await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id, appointment.scheduled_start_time);
 
     logger.success(`✅ Appointment marked as no-show: ${appointmentId}`);
 
+    // Offer the rest of the slot to the waitlist
+    await waitlistService.handleFreedAppointment(appointment, 'no_show');
+
+    // Drop the token from the waiting-room board
+    await queueService.broadcastQueue(appointment.department);
+
     return res.status(200).json({
       success: true,
       message: 'Appointment marked as no-show',
@@ -573,6 +847,10 @@ export const getAppointmentStats = async (req, res) => {
 
 export default {
   createAppointment,
+  getOpenSlots,
+  holdSlot,
+  releaseSlotHold,
+  bookAppointment,
   getAppointmentById,
   getAppointmentsByPatient,
   getAllAppointments,
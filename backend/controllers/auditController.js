@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import Patient from '../models/Patient.js';
+import auditService from '../services/auditService.js';
+
+/**
+ * Audit Controller for MediFlow
+ * Admin access to the PHI audit trail
+ */
+
+/**
+ * Query audit log entries
+ * GET /api/audit-logs?actorId=&actorType=&patientId=&action=&resource=&success=&from=&to=&page=1&limit=50
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actorId, actorType, patientId, action, resource, success, from, to } = req.query;
+
+    for (const [name, value] of [['actorId', actorId], ['patientId', patientId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`,
+        });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const result = await auditService.queryLogs(
+      {
+        actorId,
+        actorType,
+        patientId,
+        action,
+        resource,
+        success: success === undefined ? undefined : success === 'true',
+        from,
+        to,
+      },
+      { page, limit }
+    );
+
+    const totalPages = Math.ceil(result.total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: result.entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEntries: result.total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching audit logs:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * "Who accessed my record" report for a patient
+ * GET /api/patients/:id/access-report?from=&to=
+ */
+const getPatientAccessReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient ID',
+      });
+    }
+
+    const patient = await Patient.findById(id).select('name email');
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    const report = await auditService.getPatientAccessReport(id, {
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    logger.hipaa(`Access report generated for patient ${id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        patientInfo: {
+          name: patient.name,
+          email: patient.email,
+        },
+        totalEvents: report.totalEvents,
+        accessors: report.accessors,
+        recentEvents: report.recent,
+      },
+    });
+  } catch (error) {
+    logger.error('Error generating access report:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate access report',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getAuditLogs,
+  getPatientAccessReport,
+};
@@ -0,0 +1,338 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import User, { STAFF_ROLES } from '../models/User.js';
+import Doctor from '../models/Doctor.js';
+
+/**
+ * Auth Controller for MediFlow
+ * Staff login and staff account management (admin only)
+ */
+
+/**
+ * Sign a JWT for a staff user
+ */
+const signToken = (user) => {
+  return jwt.sign(
+    { id: user._id, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '12h' }
+  );
+};
+
+/**
+ * Check that a doctor_id points to an active Doctor
+ */
+const isValidDoctorLink = async (doctorId) => {
+  if (!mongoose.isValidObjectId(doctorId)) return false;
+  return Boolean(await Doctor.exists({ _id: doctorId, active: true }));
+};
+
+/**
+ * Staff login
+ * POST /api/auth/login
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required',
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+password');
+
+    if (!user || !(await user.matchPassword(password))) {
+      logger.hipaa(`Failed login attempt for ${email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+      });
+    }
+
+    if (!user.active) {
+      logger.hipaa(`Login blocked for inactive account ${user.email}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Account is inactive. Contact admin.',
+      });
+    }
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    logger.success(`✅ Staff logged in: ${user.email} (${user.role})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      token: signToken(user),
+      user: user.toProfile(),
+    });
+  } catch (error) {
+    logger.error('Error during login:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the logged-in user's profile
+ * GET /api/auth/me
+ */
+const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.toProfile(),
+  });
+};
+
+/**
+ * Change own password
+ * PUT /api/auth/password
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'current_password and new_password are required',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(current_password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    user.password = new_password;
+    await user.save();
+
+    logger.hipaa(`Password changed for ${user.email}`);
+
+    // Old tokens are now rejected - hand back a fresh one
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      token: signToken(user),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    logger.error('Error changing password:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all staff users
+ * GET /api/auth/users?role=doctor&active=true
+ */
+const getAllUsers = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    const users = await User.find(filter)
+      .populate('doctor_id', 'name department')
+      .sort({ role: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    logger.error('Error fetching users:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a staff user
+ * POST /api/auth/users
+ */
+const createUser = async (req, res) => {
+  try {
+    const { name, email, password, role, doctor_id } = req.body;
+
+    if (!name || !email || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, email, password and role are required',
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    if (role === 'doctor' && !(await isValidDoctorLink(doctor_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid doctor_id is required for the doctor role',
+      });
+    }
+
+    const existing = await User.findOne({ email: email.trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists',
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role,
+      doctor_id: role === 'doctor' ? doctor_id : null,
+    });
+
+    logger.success(`✅ Staff user created: ${user.email} (${user.role}) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user.toProfile(),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    logger.error('Error creating user:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a staff user (role, doctor link, active flag, password reset)
+ * PUT /api/auth/users/:id
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, doctor_id, active, password } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Admins can't lock themselves out
+    if (user._id.equals(req.user._id) && (active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate or demote your own account',
+      });
+    }
+
+    if (role !== undefined) {
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${STAFF_ROLES.join(', ')}`,
+        });
+      }
+      user.role = role;
+    }
+
+    if (doctor_id !== undefined) {
+      if (doctor_id && !(await isValidDoctorLink(doctor_id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'doctor_id does not match an active doctor',
+        });
+      }
+      user.doctor_id = doctor_id || null;
+    }
+
+    if (user.role !== 'doctor') {
+      user.doctor_id = null;
+    }
+
+    if (name !== undefined) user.name = name;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password) user.password = password;
+
+    await user.save();
+
+    logger.success(`✅ Staff user updated: ${user.email} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user.toProfile(),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    logger.error('Error updating user:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  login,
+  getCurrentUser,
+  changePassword,
+  getAllUsers,
+  createUser,
+  updateUser,
+};
@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import billingService from '../services/billingService.js';
+
+/**
+ * Billing Controller for MediFlow
+ * Invoices, payments, refunds, PDF receipts and the daily collections report
+ */
+
+/**
+ * Status for a failed billing request (service errors, then schema validation)
+ */
+const statusOf = (error) => error.status || (error.name === 'ValidationError' ? 400 : 500);
+
+/**
+ * Raise an invoice for a visit (or a walk-in patient)
+ * POST /api/invoices
+ * Body: { appointment_id | patient_id, items: [{ item_type, description, code, quantity, unit_price,
+ *         discount_percent, gst_rate }], supply_type, patient_gstin, discount_reason, include_consultation_fee }
+ */
+const createInvoice = async (req, res) => {
+  try {
+    const {
+      appointment_id,
+      patient_id,
+      items,
+      supply_type,
+      patient_gstin,
+      discount_reason,
+      include_consultation_fee,
+    } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'items must be an array',
+      });
+    }
+
+    const invoice = await billingService.createInvoice(
+      {
+        appointmentId: appointment_id,
+        patientId: patient_id,
+        items: items || [],
+        supplyType: supply_type,
+        patientGstin: patient_gstin,
+        discountReason: discount_reason,
+        includeConsultationFee: include_consultation_fee !== false,
+      },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoice_number} issued`,
+      data: invoice,
+    });
+  } catch (error) {
+    logger.error('Error creating invoice:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to create invoice',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List invoices with filters
+ * GET /api/invoices?patientId=&appointmentId=&status=&department=&from=&to=&page=1&limit=50
+ */
+const getInvoices = async (req, res) => {
+  try {
+    const { patientId, appointmentId, status, department, from, to } = req.query;
+
+    if ((patientId && !mongoose.isValidObjectId(patientId)) || (appointmentId && !mongoose.isValidObjectId(appointmentId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patientId or appointmentId',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { invoices, total } = await billingService.listInvoices({
+      patientId,
+      appointmentId,
+      status,
+      department,
+      from,
+      to,
+      page,
+      limit,
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: invoices,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalInvoices: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching invoices:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Invoices for a patient, newest first
+ * GET /api/patients/:id/invoices?page=1&limit=50
+ */
+const getPatientInvoices = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient ID',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { invoices, total } = await billingService.listInvoices({ patientId: req.params.id, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: invoices,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalInvoices: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching patient invoices:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an invoice with its payments and refunds
+ * GET /api/invoices/:id
+ */
+const getInvoiceById = async (req, res) => {
+  try {
+    const { invoice } = await billingService.getInvoice(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (error) {
+    logger.error('Error fetching invoice:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch invoice',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the invoice / receipt PDF
+ * GET /api/invoices/:id/pdf
+ */
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    const { invoice, patient } = await billingService.getInvoice(req.params.id);
+    const buffer = await billingService.renderInvoicePdf(invoice, patient);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${invoice.invoice_number.replace(/\//g, '-')}.pdf"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'no-store',
+    });
+
+    return res.status(200).send(buffer);
+  } catch (error) {
+    logger.error('Error rendering invoice PDF:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to render invoice PDF',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record a full or partial payment - the patient is emailed the receipt
+ * POST /api/invoices/:id/payments
+ * Body: { amount, method, reference, notes, send_receipt }
+ */
+const recordPayment = async (req, res) => {
+  try {
+    const { amount, method, reference, notes, send_receipt } = req.body;
+
+    const { invoice, payment, email } = await billingService.recordPayment(
+      req.params.id,
+      { amount, method, reference, notes, sendReceipt: send_receipt !== false },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: `Payment recorded (receipt ${payment.receipt_number})`,
+      data: invoice,
+      payment,
+      email,
+    });
+  } catch (error) {
+    logger.error('Error recording payment:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to record payment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Refund money collected on an invoice
+ * POST /api/invoices/:id/refunds
+ * Body: { amount, method, reason, payment_id, reference }
+ */
+const recordRefund = async (req, res) => {
+  try {
+    const { amount, method, reason, payment_id, reference } = req.body;
+
+    const { invoice, refund } = await billingService.recordRefund(
+      req.params.id,
+      { amount, method, reason, paymentId: payment_id, reference },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Refund recorded',
+      data: invoice,
+      refund,
+    });
+  } catch (error) {
+    logger.error('Error recording refund:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to record refund',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an invoice (nothing may be left collected on it)
+ * POST /api/invoices/:id/cancel
+ * Body: { reason }
+ */
+const cancelInvoice = async (req, res) => {
+  try {
+    const invoice = await billingService.cancelInvoice(req.params.id, req.body.reason, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `Invoice ${invoice.invoice_number} cancelled`,
+      data: invoice,
+    });
+  } catch (error) {
+    logger.error('Error cancelling invoice:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel invoice',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Email the invoice to the patient again
+ * POST /api/invoices/:id/email
+ */
+const emailInvoice = async (req, res) => {
+  try {
+    const { invoice } = await billingService.emailInvoice(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invoice emailed to the patient',
+      data: {
+        _id: invoice._id,
+        patient_id: invoice.patient_id,
+        invoice_number: invoice.invoice_number,
+      },
+    });
+  } catch (error) {
+    logger.error('Error emailing invoice:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to email invoice',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Daily collections by department and payment method
+ * GET /api/invoices/reports/collections?date=YYYY-MM-DD
+ */
+const getCollectionsReport = async (req, res) => {
+  try {
+    const report = await billingService.getCollectionsReport(req.query.date || null);
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Error building collections report:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to build collections report',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  createInvoice,
+  getInvoices,
+  getPatientInvoices,
+  getInvoiceById,
+  downloadInvoicePdf,
+  recordPayment,
+  recordRefund,
+  cancelInvoice,
+  emailInvoice,
+  getCollectionsReport,
+};
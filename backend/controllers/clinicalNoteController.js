@@ -0,0 +1,374 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import clinicalNoteService from '../services/clinicalNoteService.js';
+
+/**
+ * Clinical Note Controller for MediFlow
+ * SOAP notes with signatures and amendments, note templates, ICD-10 search and the diagnosis report
+ */
+
+/**
+ * Status for a failed clinical note request (service errors, then schema validation)
+ */
+const statusOf = (error) => error.status || (error.name === 'ValidationError' ? 400 : 500);
+
+/**
+ * Note as returned to staff (signature checked against the stored content)
+ */
+const noteView = (note) => ({
+  ...note.toObject(),
+  signature_valid: note.signature ? note.verifySignature() : null,
+});
+
+/**
+ * Make sure the caller may see the note's patient (doctors: own patients only)
+ */
+const assertAccess = async (req, note, label) => {
+  if (!(await canAccessPatient(req.user, note.patient_id))) {
+    logger.hipaa(`Doctor ${req.user.email} denied access to clinical note ${label}`);
+    const error = new Error('Forbidden: Patient is not under your care');
+    error.status = 403;
+    throw error;
+  }
+};
+
+/**
+ * Search the ICD-10 catalog
+ * GET /api/icd10/search?q=&limit=20
+ */
+const searchIcd10 = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'q must be at least 2 characters (code prefix or keywords)',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const codes = clinicalNoteService.searchIcd10(query, limit);
+
+    return res.status(200).json({
+      success: true,
+      count: codes.length,
+      data: codes,
+    });
+  } catch (error) {
+    logger.error('Error searching ICD-10 codes:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to search ICD-10 codes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Look up one ICD-10 code
+ * GET /api/icd10/:code
+ */
+const getIcd10Code = async (req, res) => {
+  try {
+    const code = clinicalNoteService.getIcd10Code(req.params.code);
+
+    if (!code) {
+      return res.status(404).json({
+        success: false,
+        message: `ICD-10 code ${req.params.code} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: code,
+    });
+  } catch (error) {
+    logger.error('Error fetching ICD-10 code:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ICD-10 code',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Note templates (for a department: its own first, then General Medicine)
+ * GET /api/clinical-notes/templates?department=
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = clinicalNoteService.getTemplates(req.query.department || null);
+
+    return res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    logger.error('Error fetching note templates:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch note templates',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start the clinical note for an appointment (draft)
+ * POST /api/clinical-notes
+ * Body: { appointment_id, template_code, subjective, objective, assessment, plan,
+ *   diagnoses: ['J06.9'] or [{ code, primary }] }
+ */
+const createNote = async (req, res) => {
+  try {
+    const { appointment_id, template_code, ...content } = req.body;
+
+    if (!appointment_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'appointment_id is required',
+      });
+    }
+
+    const note = await clinicalNoteService.createNote(
+      { appointmentId: appointment_id, templateCode: template_code, ...content },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Clinical note started',
+      data: noteView(note),
+    });
+  } catch (error) {
+    logger.error('Error creating clinical note:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to create clinical note',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a clinical note with its amendment history
+ * GET /api/clinical-notes/:id
+ */
+const getNoteById = async (req, res) => {
+  try {
+    const note = await clinicalNoteService.getNote(req.params.id);
+    await assertAccess(req, note, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: noteView(note),
+    });
+  } catch (error) {
+    logger.error('Error fetching clinical note:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to fetch clinical note',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the clinical note for an appointment
+ * GET /api/appointments/:appointmentId/clinical-note
+ */
+const getAppointmentNote = async (req, res) => {
+  try {
+    const note = await clinicalNoteService.getAppointmentNote(req.params.appointmentId);
+    await assertAccess(req, note, `for appointment ${req.params.appointmentId}`);
+
+    return res.status(200).json({
+      success: true,
+      data: noteView(note),
+    });
+  } catch (error) {
+    logger.error('Error fetching appointment clinical note:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to fetch clinical note',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit a draft note
+ * PATCH /api/clinical-notes/:id
+ * Body: { subjective, objective, assessment, plan, diagnoses }
+ */
+const updateNote = async (req, res) => {
+  try {
+    const note = await clinicalNoteService.updateDraft(req.params.id, req.body, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Draft saved',
+      data: noteView(note),
+    });
+  } catch (error) {
+    logger.error('Error updating clinical note:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to update clinical note',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sign a draft note
+ * POST /api/clinical-notes/:id/sign
+ */
+const signNote = async (req, res) => {
+  try {
+    const note = await clinicalNoteService.signNote(req.params.id, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Clinical note signed',
+      data: noteView(note),
+    });
+  } catch (error) {
+    logger.error('Error signing clinical note:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to sign clinical note',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Amend a signed note (previous version kept in the amendment history)
+ * POST /api/clinical-notes/:id/amend
+ * Body: { reason, subjective, objective, assessment, plan, diagnoses }
+ */
+const amendNote = async (req, res) => {
+  try {
+    const note = await clinicalNoteService.amendNote(req.params.id, req.body, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `Clinical note amended (version ${note.version})`,
+      data: noteView(note),
+    });
+  } catch (error) {
+    logger.error('Error amending clinical note:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to amend clinical note',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get clinical notes for a patient (doctors: own patients only)
+ * GET /api/patients/:id/clinical-notes?page=1&limit=50
+ */
+const getPatientNotes = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient ID',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { notes, total } = await clinicalNoteService.getPatientNotes(req.params.id, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: notes,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalNotes: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching patient clinical notes:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch clinical notes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Coded diagnosis counts from signed notes
+ * GET /api/clinical-notes/reports/diagnoses?from=&to=&department=&doctorId=
+ * Default: last 30 days. Doctors only see their own.
+ */
+const getDiagnosisReport = async (req, res) => {
+  try {
+    const doctorId = req.user.role === 'doctor' ? req.user.doctor_id : req.query.doctorId;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (doctorId && !mongoose.isValidObjectId(doctorId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from, to or doctorId',
+      });
+    }
+
+    const report = await clinicalNoteService.getDiagnosisReport({
+      from,
+      to,
+      department: req.query.department || null,
+      doctorId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      from: report.from,
+      to: report.to,
+      total_notes: report.total_notes,
+      data: report.rows,
+    });
+  } catch (error) {
+    logger.error('Error building diagnosis report:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to build diagnosis report',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  searchIcd10,
+  getIcd10Code,
+  getTemplates,
+  createNote,
+  getNoteById,
+  getAppointmentNote,
+  updateNote,
+  signNote,
+  amendNote,
+  getPatientNotes,
+  getDiagnosisReport,
+};
@@ -7,6 +7,9 @@
  * - Doctor assignment based on symptoms/department
  * - Appointment scheduling
  * - Returning patient detection
+ * - Live handoff to clinic staff on red flags or when the patient asks for a person
+ * - Durable sessions - chatResume rejoins a consultation after a refresh,
+ *   reconnect or server restart (state lives in ChatSession, not in memory)
  * - Enhanced error handling and HIPAA compliance
  */
 
@@ -14,16 +17,22 @@ import logger from '../utils/logger.js';
 import Consultation from '../models/Consultation.js';
 import Patient from '../models/Patient.js';
 import Appointment from '../models/Appointment.js';
-import geminiService from '../services/geminiService.js';
+import llmService from '../services/llmService.js';
 import triageService from '../services/triageService.js';
 import emailService from '../services/emailService.js';
 import smsService from '../services/smsService.js';
 import doctorAssignmentService from '../services/doctorAssignmentService.js';
+import bookingService from '../services/bookingService.js';
+import waitlistService from '../services/waitlistService.js';
+import auditService from '../services/auditService.js';
+import chatSessionService from '../services/chatSessionService.js';
+import handoffService from '../services/handoffService.js';
 import riskCalculator from '../utils/riskCalculator.js';
 import { v4 as uuidv4 } from 'uuid';
 
-// Store active sessions in memory (session_id -> session data)
-const activeSessions = new Map();
+const HANDOFF_REQUESTED_REPLY = `I've asked a member of our clinic team to join this chat - they'll be with you shortly. I'll keep helping in the meantime.
+
+⚠️ If you feel very unwell, please call 102/108 right away.`;
 
 /**
  * Handle new socket connection
@@ -76,16 +85,14 @@ const handleChatStart = async (socket, data) => {
     });
 
     await consultation.save();
+    socket.join(handoffService.patientRoom(sessionId));
     logger.success(`Consultation created: ${sessionId}`);
 
-    // Store in active sessions with tracking data
-    activeSessions.set(sessionId, {
-      lastMessageTime: Date.now(),
-      emailSent: false,
-      smsSent: false,
-      patientProcessed: false,
-      appointmentScheduled: false,
-      emergencyDetected: false,
+    // Persist session state so the consultation survives reconnects and restarts
+    await chatSessionService.createSession({
+      sessionId,
+      consultationId: consultation._id,
+      socketId: socket.id,
     });
 
     // Send initial bot message
@@ -130,55 +137,76 @@ const handleUserMessage = async (socket, data) => {
     }
 
     // Find consultation
-    const consultation = await Consultation.findOne({ session_id: sessionId });
+    let consultation = await Consultation.findOne({ session_id: sessionId });
     if (!consultation) {
       logger.error('Consultation not found:', sessionId);
       socket.emit('error', { message: 'Session not found' });
       return;
     }
 
-    // Get session data
-    const sessionData = activeSessions.get(sessionId);
-    if (!sessionData) {
+    // Update last message timestamp (returns the session as it was before)
+    const previousSession = await chatSessionService.touch(sessionId, socket.id);
+    if (!previousSession) {
       logger.error('Session data not found:', sessionId);
       socket.emit('error', { message: 'Session expired' });
       return;
     }
 
     // Calculate response time
-    const lastMessageTime = sessionData.lastMessageTime || Date.now();
+    const lastMessageTime = previousSession.last_message_at?.getTime() || Date.now();
     const responseTime = Math.round((Date.now() - lastMessageTime) / 1000);
 
     // Add user message to consultation
     await consultation.addMessage('user', message, { response_time: responseTime });
 
-    // Update last message timestamp
-    sessionData.lastMessageTime = Date.now();
+    // A staff member has the chat - they answer, not MediBot
+    if (consultation.handoff?.status === 'active') {
+      handoffService.relayPatientMessage(consultation, message);
+      return;
+    }
 
-    // Get conversation history for Gemini
+    // Patient asked for a person - queue the chat for staff
+    if (handoffService.wantsHuman(message) && (await handoffService.requestHandoff(consultation, 'patient_request'))) {
+      await consultation.addMessage('assistant', HANDOFF_REQUESTED_REPLY);
+      socket.emit('botMessage', {
+        message: HANDOFF_REQUESTED_REPLY,
+        isPatientComplete: false,
+        isEmergency: false,
+      });
+      return;
+    }
+
+    // Get conversation history for the chatbot
     const conversationHistory = consultation.getFormattedHistory();
 
-    // Get bot response from Gemini
-    logger.ai('Getting response from Gemini Medical AI');
-    const geminiResponse = await geminiService.getChatResponse(
+    // Get bot response from the chat LLM provider
+    logger.ai('Getting response from MediBot');
+    const botResponse = await llmService.getChatResponse(
       message,
       conversationHistory
     );
 
-    if (!geminiResponse.success) {
-      throw new Error('Failed to get response from Gemini');
+    if (!botResponse.success) {
+      throw new Error('Failed to get chatbot response');
+    }
+
+    // A staff member may have joined while MediBot was answering - they take it from here
+    consultation = await Consultation.findOne({ session_id: sessionId });
+    if (consultation.handoff?.status === 'active') {
+      logger.info('Staff joined mid-turn, dropping MediBot reply');
+      return;
     }
 
     // Add assistant message to consultation
-    await consultation.addMessage('assistant', geminiResponse.response);
+    await consultation.addMessage('assistant', botResponse.response);
 
-    // Check for emergency keywords
-    if (geminiResponse.isEmergency && !sessionData.emergencyDetected) {
+    // Check for emergency keywords (alerts go out once per session)
+    if (botResponse.isEmergency && (await chatSessionService.claimStep(sessionId, 'emergency_detected'))) {
       logger.warn('🚨 EMERGENCY DETECTED IN CONVERSATION');
-      sessionData.emergencyDetected = true;
 
       try {
         const partialPatientData = await extractPartialPatientData(consultation);
+        await chatSessionService.saveResults(sessionId, { extracted_data: partialPatientData });
         await emailService.sendEmergencyAlert(
           partialPatientData,
           [message],
@@ -193,20 +221,28 @@ const handleUserMessage = async (socket, data) => {
 
     // Send response to client
     socket.emit('botMessage', {
-      message: geminiResponse.response,
-      isPatientComplete: geminiResponse.isPatientComplete,
-      isEmergency: geminiResponse.isEmergency || false,
+      message: botResponse.response,
+      isPatientComplete: botResponse.isPatientComplete,
+      isEmergency: botResponse.isEmergency || false,
     });
 
     logger.success('Bot response sent');
 
+    // Red flags need a person - queue the chat for staff (keeps the queue preview fresh otherwise)
+    if (botResponse.isEmergency) {
+      await handoffService.requestHandoff(consultation, 'red_flags');
+    } else if (consultation.handoff?.status === 'requested') {
+      await handoffService.broadcastQueue();
+    }
+
     // If patient data collection is complete AND not processed yet
-    if (geminiResponse.isPatientComplete && !sessionData.patientProcessed) {
-      logger.info('Patient data collection complete, processing...');
-      sessionData.patientProcessed = true;
-      await processPatientCompletion(socket, consultation, sessionData);
-    } else if (geminiResponse.isPatientComplete && sessionData.patientProcessed) {
-      logger.info('Patient already processed, continuing conversation...');
+    if (botResponse.isPatientComplete) {
+      if (await chatSessionService.claimStep(sessionId, 'patient_processed')) {
+        logger.info('Patient data collection complete, processing...');
+        await processPatientCompletion(socket, consultation, sessionId);
+      } else {
+        logger.info('Patient already processed, continuing conversation...');
+      }
     }
   } catch (error) {
     logger.error('Error handling user message:', error.message);
@@ -228,7 +264,7 @@ async function extractPartialPatientData(consultation) {
       content: m.content,
     }));
 
-    const extractionResult = await geminiService.extractPatientData(messages);
+    const extractionResult = await llmService.extractPatientData(messages);
     
     if (extractionResult.success) {
       return extractionResult.data;
@@ -251,26 +287,30 @@ async function extractPartialPatientData(consultation) {
 
 /**
  * Process patient completion - MEDICAL VERSION
+ * Runs once per session (the caller holds the patient_processed claim). Booking,
+ * email and SMS each claim their own step, so nothing is repeated after a resume;
+ * failures before booking release the claim so the patient can try again.
  */
-const processPatientCompletion = async (socket, consultation, sessionData) => {
+const processPatientCompletion = async (socket, consultation, sessionId) => {
+  let booked = false;
+
   try {
     logger.section('PATIENT PROCESSING - MEDICAL TRIAGE');
 
-    if (
-      sessionData.emailSent &&
-      sessionData.smsSent &&
-      sessionData.appointmentScheduled
-    ) {
-      logger.warn(
-        'Email, SMS, and appointment already processed for this session, skipping...'
-      );
+    const session = await chatSessionService.getSession(sessionId);
+    if (session && session.appointment_scheduled) {
+      logger.warn('Appointment already processed for this session, skipping...');
+      booked = true;
+      if (session.outcome) {
+        socket.emit('patientProcessed', session.outcome);
+      }
       return;
     }
 
     // ===== STEP 1: EXTRACT PATIENT DATA =====
     logger.info('📋 Step 1: Extracting patient data from consultation');
 
-    const extractionResult = await geminiService.extractPatientData(
+    const extractionResult = await llmService.extractPatientData(
       consultation.messages.map((m) => ({
         role: m.role,
         content: m.content,
@@ -284,12 +324,14 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
     const extractedData = extractionResult.data;
     logger.success('Patient data extracted');
     logger.object('Extracted Data', extractedData);
+    await chatSessionService.saveResults(sessionId, { extracted_data: extractedData });
 
     // ===== STEP 2: VALIDATE PATIENT DATA =====
     logger.info('✅ Step 2: Validating patient data');
 
     if (!extractedData.name || !extractedData.email) {
       logger.error('❌ Missing required fields: name or email');
+      await chatSessionService.releaseStep(sessionId, 'patient_processed');
       socket.emit('error', {
         message: 'We need your name and email to proceed. Please provide them.',
       });
@@ -336,7 +378,7 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
 
     if (triageResult.red_flags_detected && triageResult.red_flags_detected.length > 0) {
       logger.warn(`🚨 RED FLAGS DETECTED: ${triageResult.red_flags_detected.join(', ')}`);
-      sessionData.emergencyDetected = true;
+      await chatSessionService.saveResults(sessionId, { emergency_detected: true });
     }
 
     // ===== STEP 6: CALCULATE URGENCY =====
@@ -438,6 +480,17 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
       logger.success(`✅ New patient created: ${patient._id}`);
     }
 
+    await auditService.record({
+      actor: { type: 'chatbot' },
+      action: isReturningPatient ? 'update' : 'create',
+      resource: 'patient',
+      resource_id: patient._id.toString(),
+      patient_ids: [patient._id],
+      fields: Object.keys(extractedData),
+      ip_address: consultation.ip_address,
+      user_agent: consultation.user_agent,
+    });
+
     // ===== STEP 8: ASSIGN DOCTOR =====
     logger.info('👨‍⚕️ Step 8: Assigning doctor');
 
@@ -455,6 +508,7 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
 
     if (!doctorAssignment.doctorId) {
       logger.error('❌ No doctor available');
+      await chatSessionService.releaseStep(sessionId, 'patient_processed');
       socket.emit('error', {
         message: 'No doctors currently available. Please contact the clinic directly.',
       });
@@ -464,23 +518,52 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
     logger.success(`✅ Doctor assigned: ${doctorAssignment.doctor.name}`);
 
     // ===== STEP 9: CREATE APPOINTMENT =====
-    if (!sessionData.appointmentScheduled) {
+    if (await chatSessionService.claimStep(sessionId, 'appointment_scheduled')) {
       logger.info('📅 Step 9: Creating appointment');
 
       try {
-        const appointmentDate = new Date();
-        appointmentDate.setDate(appointmentDate.getDate() + 1);
-        appointmentDate.setHours(10, 0, 0, 0);
+        // Hold the assigned doctor's next open slot (respects schedule, leave and bookings)
+        const appointmentType = triageResult.requires_immediate_attention ? 'emergency' : 'new_patient';
+        const hold = await bookingService.holdNextAvailableSlot(doctorAssignment.doctorId, appointmentType);
+
+        if (!hold) {
+          logger.warn(`⚠️ No open slots for ${doctorAssignment.doctor.name} - adding patient to the waitlist`);
+
+          const { position } = await waitlistService.joinWaitlist({
+            patientId: patient._id,
+            department: doctorAssignment.department,
+            appointmentType,
+            chiefComplaint: extractedData.chief_complaint,
+            symptoms: extractedData.symptoms || [],
+            source: 'chatbot',
+          });
+
+          booked = true;
+          consultation.patient_id = patient._id;
+          await consultation.complete();
+
+          const outcome = {
+            message: `Thank you, ${patient.name}. There are no open ${doctorAssignment.department} appointments right now, so we've added you to the waitlist (position ${position}). As soon as a slot opens we'll send you a link by SMS and email to claim it.`,
+            patientId: patient._id,
+            waitlisted: true,
+            waitlistPosition: position,
+            riskScore: triageResult.risk_score,
+            riskClassification: triageResult.risk_classification,
+            urgency: urgencyData.urgency,
+            department: doctorAssignment.department,
+            isReturningPatient,
+          };
+          await chatSessionService.saveResults(sessionId, { outcome });
+          socket.emit('patientProcessed', outcome);
+          return;
+        }
 
-        // ✅ FIXED: Changed appointment_type to 'In-Person' (valid enum)
         // ✅ FIXED: Using actual doctor ObjectId instead of 'doc1' string
         const appointment = new Appointment({
           patient_id: patient._id,
           doctor_id: doctorAssignment.doctorId, // ✅ FIXED: Real ObjectId
           department: doctorAssignment.department,
-          appointment_type: 'In-Person', // ✅ FIXED: Valid enum value
-          scheduled_start_time: appointmentDate,
-          scheduled_end_time: new Date(appointmentDate.getTime() + 30 * 60000),
+          appointment_type: appointmentType,
           status: 'scheduled',
           
           // Triage data
@@ -502,7 +585,9 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
           consultation_id: consultation._id,
         });
 
-        await appointment.save();
+        await bookingService.saveUnderHold(hold, appointment);
+        booked = true;
+        await chatSessionService.saveResults(sessionId, { appointment_id: appointment._id });
         logger.success(`✅ Appointment created: ${appointment._id}`);
 
         // Update patient with appointment
@@ -521,16 +606,15 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
           reasoning: triageResult.reasoning,
           red_flags_detected: triageResult.red_flags_detected || [],
           triaged_at: new Date(),
+          rule_set_version: triageResult.rule_set_version ?? null,
         };
         await consultation.complete();
 
-        sessionData.appointmentScheduled = true;
-
         // Increment doctor patient count
-        await doctorAssignmentService.incrementDoctorPatientCount(doctorAssignment.doctorId);
+        await doctorAssignmentService.incrementDoctorPatientCount(doctorAssignment.doctorId, appointment.scheduled_start_time);
 
         // ===== STEP 10: SEND EMAILS =====
-        if (!sessionData.emailSent) {
+        if (await chatSessionService.claimStep(sessionId, 'email_sent')) {
           logger.info('📧 Step 10: Sending emails');
 
           const emailResults = await emailService.sendAllAppointmentEmails(
@@ -550,12 +634,10 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
           } else {
             logger.error('❌ Doctor email failed:', emailResults.doctorNotification.error);
           }
-
-          sessionData.emailSent = true;
         }
 
         // ===== STEP 11: SEND SMS =====
-        if (!sessionData.smsSent && patient.phone) {
+        if (patient.phone && (await chatSessionService.claimStep(sessionId, 'sms_sent'))) {
           logger.info('📱 Step 11: Sending SMS');
 
           try {
@@ -567,12 +649,13 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
 
             if (smsResult.confirmationSms.success) {
               logger.success('✅ SMS sent successfully');
-              sessionData.smsSent = true;
             } else {
               logger.error('❌ SMS failed:', smsResult.confirmationSms.error);
+              await chatSessionService.releaseStep(sessionId, 'sms_sent');
             }
           } catch (smsError) {
             logger.error('❌ SMS failed:', smsError.message);
+            await chatSessionService.releaseStep(sessionId, 'sms_sent');
           }
         } else if (!patient.phone) {
           logger.warn('⚠️ No phone number, skipping SMS');
@@ -583,7 +666,7 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
           ? `Welcome back, ${patient.name}! Your appointment with Dr. ${doctorAssignment.doctor.name} (${doctorAssignment.department}) has been scheduled. Check your email and SMS for details.`
           : `Thank you, ${patient.name}! Your appointment with Dr. ${doctorAssignment.doctor.name} (${doctorAssignment.department}) has been scheduled. We've sent confirmation to your email and phone.`;
 
-        socket.emit('patientProcessed', {
+        const outcome = {
           message: responseMessage,
           patientId: patient._id,
           appointmentId: appointment._id,
@@ -594,7 +677,9 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
           doctorName: doctorAssignment.doctor.name,
           appointmentTime: appointment.scheduled_start_time,
           isReturningPatient,
-        });
+        };
+        await chatSessionService.saveResults(sessionId, { outcome });
+        socket.emit('patientProcessed', outcome);
 
         logger.success(`✅ Patient processing complete: ${urgencyData.urgency} urgency`);
         logger.separator();
@@ -602,6 +687,9 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
       } catch (appointmentError) {
         logger.error('❌ Appointment creation failed:', appointmentError.message);
         logger.error('Error stack:', appointmentError.stack);
+        if (!booked) {
+          await chatSessionService.releaseStep(sessionId, 'appointment_scheduled');
+        }
         throw appointmentError;
       }
     }
@@ -609,6 +697,10 @@ const processPatientCompletion = async (socket, consultation, sessionData) => {
   } catch (error) {
     logger.error('❌ Error processing patient completion:', error.message);
     logger.error('Stack trace:', error.stack);
+
+    if (!booked) {
+      await chatSessionService.releaseStep(sessionId, 'patient_processed').catch(() => {});
+    }
     
     socket.emit('error', {
       message: 'We received your information but encountered an issue. Please call the clinic directly.',
@@ -632,7 +724,8 @@ const handleChatEnd = async (socket, data) => {
       logger.info('Consultation marked as abandoned');
     }
 
-    activeSessions.delete(sessionId);
+    await chatSessionService.endSession(sessionId);
+    await handoffService.closeForEndedChat(sessionId);
 
     socket.emit('chatEnded', {
       message: 'Consultation session ended',
@@ -645,13 +738,72 @@ const handleChatEnd = async (socket, data) => {
   }
 };
 
+/**
+ * Handle chat resume event
+ * A client that lost its socket (refresh, network drop, server restart) rejoins
+ * its consultation by session_id and gets the conversation so far
+ */
+const handleChatResume = async (socket, data) => {
+  try {
+    const { sessionId } = data || {};
+    logger.info(`Consultation session resuming: ${sessionId}`);
+
+    const session = sessionId ? await chatSessionService.attachSocket(sessionId, socket.id) : null;
+    const consultation = session ? await Consultation.findOne({ session_id: sessionId }) : null;
+
+    if (!consultation) {
+      logger.warn(`Consultation session cannot be resumed: ${sessionId}`);
+      socket.emit('resumeFailed', {
+        sessionId,
+        message: 'This consultation has ended. Please start a new one.',
+      });
+      return;
+    }
+
+    socket.join(handoffService.patientRoom(sessionId));
+
+    // Dropping the socket marked it abandoned - the patient is back
+    consultation.socket_id = socket.id;
+    if (consultation.status === 'abandoned') {
+      consultation.status = 'active';
+    }
+    await consultation.save();
+
+    socket.emit('chatResumed', {
+      sessionId,
+      messages: consultation.messages.map((m) => ({
+        role: m.role,
+        content: m.content,
+        sender_name: m.metadata?.sender_name || null,
+        timestamp: m.timestamp,
+      })),
+      isPatientComplete: session.patient_processed,
+      isEmergency: session.emergency_detected,
+      outcome: session.outcome,
+      handoff: handoffService.toPatientView(consultation),
+    });
+
+    logger.success(`Consultation session resumed (${session.resume_count} resume(s))`);
+  } catch (error) {
+    logger.error('Error resuming consultation:', error.message);
+    logger.error('Error stack:', error.stack);
+    socket.emit('error', {
+      message: 'Failed to resume consultation session',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Handle socket disconnect
+ * The session is only detached - it stays resumable until it expires
  */
 const handleDisconnect = async (socket) => {
   try {
     logger.info(`Client disconnected: ${socket.id}`);
 
+    await chatSessionService.detachSocket(socket.id);
+
     const consultation = await Consultation.findOne({
       socket_id: socket.id,
       status: 'active',
@@ -663,7 +815,6 @@ const handleDisconnect = async (socket) => {
       logger.info(
         `Consultation ${consultation.session_id} marked as abandoned`
       );
-      activeSessions.delete(consultation.session_id);
     }
   } catch (error) {
     logger.error('Error handling disconnect:', error.message);
@@ -679,6 +830,7 @@ const setupSocketHandlers = (io) => {
     handleConnection(socket);
 
     socket.on('chatStart', (data) => handleChatStart(socket, data));
+    socket.on('chatResume', (data) => handleChatResume(socket, data));
     socket.on('userMessage', (data) => handleUserMessage(socket, data));
     socket.on('chatEnd', (data) => handleChatEnd(socket, data));
     socket.on('disconnect', () => handleDisconnect(socket));
@@ -0,0 +1,518 @@
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import doctorAssignmentService from '../services/doctorAssignmentService.js';
+import availabilityService from '../services/availabilityService.js';
+
+/**
+ * Doctor Controller for MediFlow
+ * Handles REST API endpoints for clinic doctor management
+ * (department, shift, daily capacity, on-call flag, leave dates,
+ * weekly schedule and slot availability)
+ */
+
+// Fields that may be set through create/update
+const EDITABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'registration_number',
+  'department',
+  'specialization',
+  'shift',
+  'max_patients_per_day',
+  'is_available',
+  'is_on_call',
+  'leave_dates',
+  'weekly_schedule',
+  'default_slot_duration',
+  'slot_durations',
+  'consultation_fee',
+  'active',
+];
+
+/**
+ * Get all doctors with optional filtering
+ * GET /api/doctors?department=Cardiology&onCall=true&includeInactive=false
+ */
+const getAllDoctors = async (req, res) => {
+  try {
+    logger.info('Fetching all doctors');
+
+    const filters = {};
+    if (req.query.department) {
+      filters.department = req.query.department;
+    }
+    if (req.query.onCall !== undefined) {
+      filters.is_on_call = req.query.onCall === 'true';
+    }
+    if (req.query.available !== undefined) {
+      filters.is_available = req.query.available === 'true';
+    }
+    if (req.query.includeInactive !== 'true') {
+      filters.active = true;
+    }
+
+    const doctors = await Doctor.find(filters).sort({ department: 1, name: 1 }).select('-__v');
+
+    logger.success(`Fetched ${doctors.length} doctors`);
+
+    res.status(200).json({
+      success: true,
+      count: doctors.length,
+      data: doctors,
+    });
+  } catch (error) {
+    logger.error('Error fetching doctors:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch doctors',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get doctor workload statistics
+ * GET /api/doctors/stats
+ */
+const getDoctorStats = async (req, res) => {
+  try {
+    const stats = await doctorAssignmentService.getAssignmentStats();
+
+    if (!stats) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to calculate doctor statistics',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error('Error fetching doctor stats:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch doctor statistics',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single doctor by ID
+ * GET /api/doctors/:id
+ */
+const getDoctorById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`Fetching doctor: ${id}`);
+
+    const doctor = await Doctor.findById(id).select('-__v');
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: doctor,
+    });
+  } catch (error) {
+    logger.error('Error fetching doctor:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch doctor',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create new doctor
+ * POST /api/doctors
+ */
+const createDoctor = async (req, res) => {
+  try {
+    logger.info('Creating new doctor');
+
+    const { name, email, department } = req.body;
+
+    // Validate required fields
+    if (!name || !email || !department) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, email, department',
+      });
+    }
+
+    // Check if doctor with same email exists
+    const existingDoctor = await Doctor.findOne({ email: email.toLowerCase().trim() });
+    if (existingDoctor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor with this email already exists',
+      });
+    }
+
+    const doctorData = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        doctorData[field] = req.body[field];
+      }
+    });
+
+    const doctor = new Doctor(doctorData);
+    await doctor.save();
+
+    logger.success(`Doctor created: ${doctor._id} (${doctor.name}, ${doctor.department})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Doctor created successfully',
+      data: doctor,
+    });
+  } catch (error) {
+    logger.error('Error creating doctor:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to create doctor',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update doctor
+ * PUT /api/doctors/:id
+ */
+const updateDoctor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`Updating doctor: ${id}`);
+
+    const doctor = await Doctor.findById(id);
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        doctor[field] = req.body[field];
+      }
+    });
+
+    await doctor.save();
+
+    logger.success(`Doctor updated: ${id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Doctor updated successfully',
+      data: doctor,
+    });
+  } catch (error) {
+    logger.error('Error updating doctor:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update doctor',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete doctor (soft delete - keeps appointment history intact)
+ * DELETE /api/doctors/:id
+ */
+const deleteDoctor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`Deleting doctor: ${id}`);
+
+    const doctor = await Doctor.findById(id);
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    doctor.active = false;
+    doctor.is_available = false;
+    await doctor.save();
+
+    logger.success(`Doctor soft-deleted (marked inactive): ${id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Doctor marked as inactive',
+    });
+  } catch (error) {
+    logger.error('Error deleting doctor:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete doctor',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add leave period for a doctor
+ * POST /api/doctors/:id/leave
+ */
+const addDoctorLeave = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start_date, end_date, type, reason } = req.body;
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_date and end_date are required',
+      });
+    }
+
+    if (new Date(end_date) < new Date(start_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'end_date cannot be before start_date',
+      });
+    }
+
+    const doctor = await Doctor.findById(id);
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    doctor.leave_dates.push({ start_date, end_date, type, reason });
+    await doctor.save();
+
+    logger.success(`Leave added for doctor ${id}: ${start_date} → ${end_date}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave added successfully',
+      data: doctor,
+    });
+  } catch (error) {
+    logger.error('Error adding doctor leave:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to add leave',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove leave period for a doctor
+ * DELETE /api/doctors/:id/leave/:leaveId
+ */
+const removeDoctorLeave = async (req, res) => {
+  try {
+    const { id, leaveId } = req.params;
+
+    const doctor = await Doctor.findById(id);
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    const leave = doctor.leave_dates.id(leaveId);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave entry not found',
+      });
+    }
+
+    leave.deleteOne();
+    await doctor.save();
+
+    logger.success(`Leave ${leaveId} removed for doctor ${id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave removed successfully',
+      data: doctor,
+    });
+  } catch (error) {
+    logger.error('Error removing doctor leave:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove leave',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update doctor weekly schedule and slot lengths
+ * PUT /api/doctors/:id/schedule
+ * Body: { weekly_schedule: [{ day_of_week, blocks: [{start_time, end_time}], breaks: [...] }],
+ *         default_slot_duration, slot_durations: { new_patient, follow_up, ... } }
+ */
+const updateDoctorSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { weekly_schedule, default_slot_duration, slot_durations } = req.body;
+
+    if (weekly_schedule === undefined && default_slot_duration === undefined && slot_durations === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide weekly_schedule, default_slot_duration or slot_durations',
+      });
+    }
+
+    if (weekly_schedule !== undefined) {
+      if (!Array.isArray(weekly_schedule)) {
+        return res.status(400).json({
+          success: false,
+          message: 'weekly_schedule must be an array',
+        });
+      }
+
+      const days = weekly_schedule.map((day) => day.day_of_week);
+      if (new Set(days).size !== days.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'weekly_schedule has more than one entry for the same day_of_week',
+        });
+      }
+
+      const invalidBlock = weekly_schedule
+        .flatMap((day) => [...(day.blocks || []), ...(day.breaks || [])])
+        .find((block) => block.start_time >= block.end_time);
+      if (invalidBlock) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid time block ${invalidBlock.start_time}-${invalidBlock.end_time}: start must be before end`,
+        });
+      }
+    }
+
+    const doctor = await Doctor.findById(id);
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    if (weekly_schedule !== undefined) {
+      doctor.weekly_schedule = weekly_schedule;
+    }
+    if (default_slot_duration !== undefined) {
+      doctor.default_slot_duration = default_slot_duration;
+    }
+    if (slot_durations !== undefined) {
+      doctor.slot_durations = { ...doctor.slot_durations?.toObject?.(), ...slot_durations };
+    }
+
+    await doctor.save();
+
+    logger.success(`Schedule updated for doctor ${id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Doctor schedule updated successfully',
+      data: doctor,
+    });
+  } catch (error) {
+    logger.error('Error updating doctor schedule:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update doctor schedule',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get open appointment slots for a doctor
+ * GET /api/doctors/:id/availability?from=2025-11-25&to=2025-11-27&appointmentType=follow_up
+ */
+const getDoctorAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * 24 * 60 * 60000);
+    const appointmentType = req.query.appointmentType || 'new_patient';
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range (use from/to as YYYY-MM-DD, from <= to)',
+      });
+    }
+
+    // Keep the scan bounded
+    if (to - from > 31 * 24 * 60 * 60000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range cannot exceed 31 days',
+      });
+    }
+
+    const availability = await availabilityService.getDoctorAvailability(id, from, to, appointmentType);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        doctor: {
+          id: availability.doctor._id,
+          name: availability.doctor.name,
+          department: availability.doctor.department,
+        },
+        appointmentType,
+        days: availability.days,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching doctor availability:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch doctor availability',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getAllDoctors,
+  getDoctorStats,
+  getDoctorById,
+  createDoctor,
+  updateDoctor,
+  deleteDoctor,
+  addDoctorLeave,
+  removeDoctorLeave,
+  updateDoctorSchedule,
+  getDoctorAvailability,
+};
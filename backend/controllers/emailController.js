@@ -1,6 +1,7 @@
 import logger from '../utils/logger.js';
 import EmailTemplate from '../models/EmailTemplate.js';
 import emailService from '../services/emailService.js';
+import emailTrackingService from '../services/emailTrackingService.js';
 import Patient from '../models/Patient.js';
 import Appointment from '../models/Appointment.js';
 
@@ -385,7 +386,9 @@ const testSendTemplate = async (req, res) => {
       testEmail,
       `[TEST] ${personalizedEmail.subject}`,
       personalizedEmail.html,
-      personalizedEmail.text
+      personalizedEmail.text,
+      3,
+      { category: 'internal', messageType: 'template_test' }
     );
 
     if (result.success) {
@@ -458,9 +461,11 @@ const resendAppointmentEmail = async (req, res) => {
       });
     } else {
       logger.error(`Email resend failed: ${result.patientConfirmation.error}`);
-      res.status(500).json({
+      res.status(result.patientConfirmation.suppressed ? 409 : 500).json({
         success: false,
-        message: 'Failed to resend appointment email',
+        message: result.patientConfirmation.suppressed
+          ? 'Email not sent - blocked by patient communication preferences'
+          : 'Failed to resend appointment email',
         error: result.patientConfirmation.error,
       });
     }
@@ -474,6 +479,134 @@ const resendAppointmentEmail = async (req, res) => {
   }
 };
 
+/**
+ * Open/click rates per campaign (template category) and per-category template stats
+ * GET /api/email-templates/analytics?days=30
+ */
+const getEmailAnalytics = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [campaigns, templateCategories] = await Promise.all([
+      emailTrackingService.getEngagement({ since }),
+      EmailTemplate.getTemplateAnalytics(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period_days: days,
+        campaigns,
+        template_categories: templateCategories,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching email analytics:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email analytics',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Open/click rates for one template
+ * GET /api/email-templates/:id/engagement?days=30
+ */
+const getTemplateEngagement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const template = await EmailTemplate.findById(id).select('name category stats');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found',
+      });
+    }
+
+    const engagement = await emailTrackingService.getEngagement({ templateId: template._id, since });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template: {
+          id: template._id,
+          name: template.name,
+          category: template.category,
+        },
+        lifetime: template.stats,
+        period_days: days,
+        recent: engagement[0] || {
+          campaign: template.category,
+          sent: 0,
+          opened: 0,
+          clicked: 0,
+          total_opens: 0,
+          total_clicks: 0,
+          open_rate: 0,
+          click_rate: 0,
+          click_to_open_rate: 0,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching template engagement:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template engagement',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Tracking pixel - records an email open
+ * GET /api/email/t/:trackingId/open.gif (public, embedded in patient emails)
+ */
+const trackEmailOpen = async (req, res) => {
+  try {
+    await emailTrackingService.recordOpen(req.params.trackingId);
+  } catch (error) {
+    logger.error('Error recording email open:', error.message);
+  }
+
+  // Always answer with the pixel - a broken image would show in the email
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache',
+  });
+  res.status(200).send(emailTrackingService.TRACKING_PIXEL);
+};
+
+/**
+ * Tracked link - records a click and redirects to the original URL
+ * GET /api/email/t/:trackingId/click/:linkIndex (public, links in patient emails)
+ */
+const trackEmailClick = async (req, res) => {
+  const fallbackUrl = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+
+  try {
+    const { trackingId, linkIndex } = req.params;
+    const url = await emailTrackingService.recordClick(trackingId, linkIndex);
+
+    if (!url) {
+      logger.warn(`⚠️ Unknown tracked email link: ${trackingId}/${linkIndex}`);
+    }
+
+    res.redirect(302, url || fallbackUrl);
+  } catch (error) {
+    logger.error('Error recording email click:', error.message);
+    res.redirect(302, fallbackUrl);
+  }
+};
+
 export default {
   getAllTemplates,
   getTemplateById,
@@ -484,4 +617,8 @@ export default {
   previewTemplate,
   testSendTemplate,
   resendAppointmentEmail,
+  getEmailAnalytics,
+  getTemplateEngagement,
+  trackEmailOpen,
+  trackEmailClick,
 };
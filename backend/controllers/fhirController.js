@@ -0,0 +1,132 @@
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import fhirService from '../services/fhirService.js';
+
+/**
+ * FHIR Controller for MediFlow
+ * Read-only FHIR R4 export (Patient, Encounter, Observation, Condition, MedicationRequest, $everything)
+ *
+ * Responses are application/fhir+json; errors are returned as OperationOutcome
+ * resources instead of the usual { success, message } body so FHIR clients can parse them.
+ */
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json; charset=utf-8';
+
+const ISSUE_CODES = {
+  400: 'invalid',
+  403: 'forbidden',
+  404: 'not-found',
+};
+
+/**
+ * Send a FHIR resource
+ */
+const sendResource = (res, resource, status = 200) => {
+  res.set('Content-Type', FHIR_CONTENT_TYPE);
+  return res.status(status).json(resource);
+};
+
+/**
+ * Send an error as an OperationOutcome
+ */
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  const message = error.status ? error.message : fallbackMessage;
+
+  return sendResource(res, fhirService.toOperationOutcome(message, ISSUE_CODES[status] || 'exception'), status);
+};
+
+/**
+ * Doctors may only export their own patients
+ */
+const assertPatientAccess = async (user, patientId) => {
+  if (!(await canAccessPatient(user, patientId))) {
+    logger.hipaa(`Doctor ${user.email} denied FHIR export for patient ${patientId}`);
+    const error = new Error('Patient is not under your care');
+    error.status = 403;
+    throw error;
+  }
+};
+
+/**
+ * Request URL for Bundle.link self
+ */
+const selfUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+/**
+ * Get a Patient resource
+ * GET /api/fhir/Patient/:id
+ */
+const getPatient = async (req, res) => {
+  try {
+    await assertPatientAccess(req.user, req.params.id);
+    const patient = await fhirService.getPatient(req.params.id);
+
+    return sendResource(res, patient);
+  } catch (error) {
+    logger.error('Error exporting FHIR Patient:', error.message);
+    return sendError(res, error, 'Failed to export Patient');
+  }
+};
+
+/**
+ * Get an Encounter resource (consultation)
+ * GET /api/fhir/Encounter/:id
+ */
+const getEncounter = async (req, res) => {
+  try {
+    const encounter = await fhirService.getEncounter(req.params.id);
+    await assertPatientAccess(req.user, encounter.subject.reference.replace('Patient/', ''));
+
+    return sendResource(res, encounter);
+  } catch (error) {
+    logger.error('Error exporting FHIR Encounter:', error.message);
+    return sendError(res, error, 'Failed to export Encounter');
+  }
+};
+
+/**
+ * Search Encounter / Observation / Condition / MedicationRequest for a patient
+ * GET /api/fhir/:resourceType?patient=:patientId&encounter=:encounterId
+ */
+const searchResources = async (req, res) => {
+  try {
+    const { patient, encounter } = req.query;
+
+    if (patient) {
+      await assertPatientAccess(req.user, patient);
+    }
+
+    const bundle = await fhirService.searchResources(req.params.resourceType, { patient, encounter }, selfUrl(req));
+
+    return sendResource(res, bundle);
+  } catch (error) {
+    logger.error(`Error searching FHIR ${req.params.resourceType}:`, error.message);
+    return sendError(res, error, `Failed to search ${req.params.resourceType}`);
+  }
+};
+
+/**
+ * Everything held about a patient as a searchset Bundle
+ * GET /api/fhir/Patient/:id/$everything
+ */
+const getPatientEverything = async (req, res) => {
+  try {
+    await assertPatientAccess(req.user, req.params.id);
+    const bundle = await fhirService.getPatientEverything(req.params.id, selfUrl(req));
+
+    logger.hipaa(`FHIR $everything exported for patient ${req.params.id} by ${req.user.email} (${bundle.total} resources)`);
+
+    return sendResource(res, bundle);
+  } catch (error) {
+    logger.error('Error exporting FHIR $everything:', error.message);
+    return sendError(res, error, 'Failed to export patient record');
+  }
+};
+
+export default {
+  getPatient,
+  getEncounter,
+  searchResources,
+  getPatientEverything,
+};
@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import followUpService from '../services/followUpService.js';
+
+/**
+ * Follow-up Controller for MediFlow
+ * Patient confirmation of reserved follow-up slots, the staff follow-up list and the overdue report
+ */
+
+const RISK_LEVELS = ['Emergency', 'Medium', 'Low', 'Unclassified'];
+
+/**
+ * Booking summary returned once a follow-up is booked
+ */
+const bookedSummary = (followUp, appointment, doctor) => ({
+  follow_up_id: followUp._id,
+  appointment_id: appointment._id,
+  patient_id: appointment.patient_id,
+  doctor_id: doctor._id,
+  doctor_name: doctor.name,
+  department: appointment.department,
+  scheduled_start_time: appointment.scheduled_start_time,
+  scheduled_end_time: appointment.scheduled_end_time,
+  token_number: appointment.token_number,
+  status: appointment.status,
+});
+
+/**
+ * View a reserved follow-up slot and other open times
+ * GET /api/follow-ups/:id/offer?token=
+ */
+const getFollowUpOffer = async (req, res) => {
+  try {
+    const proposal = await followUpService.getProposal(req.params.id, req.query.token);
+
+    return res.status(200).json({
+      success: true,
+      data: proposal,
+    });
+  } catch (error) {
+    logger.error('Error fetching follow-up offer:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch follow-up',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm the reserved slot, choose another time, or decline the follow-up
+ * POST /api/follow-ups/:id/respond
+ * Body: { token, action: confirm | reschedule | decline, start_time (reschedule) }
+ */
+const respondToFollowUp = async (req, res) => {
+  try {
+    const { token, action, start_time } = req.body;
+
+    if (!token || !action) {
+      return res.status(400).json({
+        success: false,
+        message: 'token and action are required',
+      });
+    }
+
+    const { followUp, appointment, doctor } = await followUpService.respondToProposal(
+      req.params.id,
+      token,
+      { action, startTime: start_time }
+    );
+
+    if (!appointment) {
+      return res.status(200).json({
+        success: true,
+        message: 'Follow-up declined - please contact the clinic if you change your mind',
+        data: {
+          follow_up_id: followUp._id,
+          patient_id: followUp.patient_id,
+          status: followUp.status,
+        },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Follow-up appointment booked successfully',
+      data: bookedSummary(followUp, appointment, doctor),
+    });
+  } catch (error) {
+    logger.error('Error responding to follow-up:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to respond to follow-up',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List follow-ups still to be booked (or by status)
+ * GET /api/follow-ups?status=&risk=&doctorId=&patientId=&page=1&limit=50
+ * Doctors only see their own.
+ */
+const getFollowUps = async (req, res) => {
+  try {
+    const { status, risk, patientId } = req.query;
+    const doctorId = req.user.role === 'doctor' ? req.user.doctor_id : req.query.doctorId;
+
+    if ((doctorId && !mongoose.isValidObjectId(doctorId)) || (patientId && !mongoose.isValidObjectId(patientId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctorId or patientId',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { followUps, total } = await followUpService.listFollowUps(
+      { status, risk, doctorId, patientId },
+      { page, limit }
+    );
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: followUps,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalFollowUps: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching follow-ups:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch follow-ups',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Overdue follow-ups for high-risk patients
+ * GET /api/follow-ups/reports/overdue?risk=Emergency|Medium|Low&department=&doctorId=
+ * Default: Emergency and Medium. Doctors only see their own.
+ */
+const getOverdueReport = async (req, res) => {
+  try {
+    const { risk, department } = req.query;
+    const doctorId = req.user.role === 'doctor' ? req.user.doctor_id : req.query.doctorId;
+
+    if ((risk && !RISK_LEVELS.includes(risk)) || (doctorId && !mongoose.isValidObjectId(doctorId))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid doctorId or risk (one of ${RISK_LEVELS.join(', ')})`,
+      });
+    }
+
+    const report = await followUpService.getOverdueReport({ risk, doctorId, department });
+
+    return res.status(200).json({
+      success: true,
+      generated_at: report.generated_at,
+      summary: report.summary,
+      data: report.rows,
+    });
+  } catch (error) {
+    logger.error('Error building overdue follow-up report:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to build overdue follow-up report',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a follow-up (doctors: own patients only)
+ * GET /api/follow-ups/:id
+ */
+const getFollowUpById = async (req, res) => {
+  try {
+    const followUp = await followUpService.getFollowUp(req.params.id);
+
+    if (!(await canAccessPatient(req.user, followUp.patient_id))) {
+      logger.hipaa(`Doctor ${req.user.email} denied access to follow-up ${req.params.id}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Patient is not under your care',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: followUp,
+    });
+  } catch (error) {
+    logger.error('Error fetching follow-up:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch follow-up',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Book a follow-up for the patient (the reserved slot, or another time)
+ * POST /api/follow-ups/:id/book
+ * Body: { start_time }
+ */
+const bookFollowUp = async (req, res) => {
+  try {
+    const { followUp, appointment, doctor } = await followUpService.staffBook(
+      req.params.id,
+      { startTime: req.body.start_time },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Follow-up appointment booked successfully',
+      data: bookedSummary(followUp, appointment, doctor),
+    });
+  } catch (error) {
+    logger.error('Error booking follow-up:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to book follow-up',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a follow-up that is no longer needed
+ * POST /api/follow-ups/:id/cancel
+ * Body: { reason }
+ */
+const cancelFollowUp = async (req, res) => {
+  try {
+    const followUp = await followUpService.cancelFollowUp(req.params.id, req.body.reason);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Follow-up cancelled',
+      data: followUp,
+    });
+  } catch (error) {
+    logger.error('Error cancelling follow-up:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel follow-up',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getFollowUpOffer,
+  respondToFollowUp,
+  getFollowUps,
+  getOverdueReport,
+  getFollowUpById,
+  bookFollowUp,
+  cancelFollowUp,
+};
@@ -0,0 +1,125 @@
+import logger from '../utils/logger.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import handoffService from '../services/handoffService.js';
+
+/**
+ * Handoff Controller for MediFlow
+ * Socket.io /staff namespace where receptionists and nurses pick up chatbot
+ * consultations that need a person, chat with the patient and hand back to MediBot
+ *
+ * Connect with: io(`${BACKEND}/staff`, { auth: { token: <staff JWT> } })
+ *
+ * Events in:  handoffJoin { sessionId }, staffMessage { sessionId, message },
+ *             handoffReturn { sessionId }, handoffLeave { sessionId }
+ * Events out: handoffQueue (queue snapshot), handoffJoined (transcript),
+ *             handoffMessage, handoffEnded, handoffError
+ */
+
+const HANDOFF_STAFF = ['admin', 'receptionist', 'nurse'];
+
+/**
+ * Transcript sent to the staff member who joins a chat
+ */
+const toTranscript = (consultation) =>
+  consultation.messages.map((m) => ({
+    role: m.role,
+    content: m.content,
+    sender_name: m.metadata?.sender_name || null,
+    timestamp: m.timestamp,
+  }));
+
+/**
+ * Report a failed staff action back to the staff member's console
+ */
+const emitError = (socket, sessionId, action, error) => {
+  logger.error(`Error handling ${action}:`, error.message);
+  socket.emit('handoffError', {
+    sessionId,
+    message: error.status ? error.message : `Failed to ${action}`,
+  });
+};
+
+/**
+ * Staff member picks up a chat from the queue (or rejoins their own)
+ */
+const handleJoin = async (socket, data = {}) => {
+  const { sessionId } = data;
+
+  try {
+    const user = socket.data.user;
+    const consultation = await handoffService.acceptHandoff(sessionId, user);
+
+    socket.join(handoffService.staffRoom(sessionId));
+    socket.emit('handoffJoined', {
+      sessionId,
+      reason: consultation.handoff.reason,
+      requested_at: consultation.handoff.requested_at,
+      messages: toTranscript(consultation),
+    });
+
+    logger.success(`${user.email} is chatting with consultation ${sessionId}`);
+  } catch (error) {
+    emitError(socket, sessionId, 'join the chat', error);
+  }
+};
+
+/**
+ * Staff member sends a message to the patient
+ */
+const handleStaffMessage = async (socket, data = {}) => {
+  const { sessionId, message } = data;
+
+  try {
+    await handoffService.sendStaffMessage(sessionId, socket.data.user, message);
+  } catch (error) {
+    emitError(socket, sessionId, 'send the message', error);
+  }
+};
+
+/**
+ * Staff member hands the chat back to MediBot
+ */
+const handleReturn = async (socket, data = {}) => {
+  const { sessionId } = data;
+
+  try {
+    await handoffService.returnToBot(sessionId, socket.data.user);
+    socket.leave(handoffService.staffRoom(sessionId));
+  } catch (error) {
+    emitError(socket, sessionId, 'hand the chat back', error);
+  }
+};
+
+/**
+ * Setup the /staff namespace
+ */
+const setupHandoffHandlers = (io) => {
+  handoffService.setSocketServer(io);
+
+  const staff = io.of(handoffService.STAFF_NAMESPACE);
+  staff.use(authenticateSocket(...HANDOFF_STAFF));
+
+  staff.on('connection', async (socket) => {
+    logger.info(`Staff console connected: ${socket.data.user.email}`);
+
+    socket.join(handoffService.STAFF_QUEUE_ROOM);
+
+    socket.on('handoffJoin', (data) => handleJoin(socket, data));
+    socket.on('staffMessage', (data) => handleStaffMessage(socket, data));
+    socket.on('handoffReturn', (data) => handleReturn(socket, data));
+    socket.on('handoffLeave', (data = {}) => socket.leave(handoffService.staffRoom(data.sessionId)));
+    socket.on('disconnect', () => logger.info(`Staff console disconnected: ${socket.data.user.email}`));
+
+    try {
+      socket.emit('handoffQueue', await handoffService.getQueue());
+    } catch (error) {
+      logger.error('Error sending handoff queue:', error.message);
+    }
+  });
+
+  logger.success('Staff handoff handlers set up successfully');
+};
+
+export default {
+  setupHandoffHandlers,
+};
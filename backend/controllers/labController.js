@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import labService from '../services/labService.js';
+
+/**
+ * Lab Controller for MediFlow
+ * Test catalog, lab / imaging orders, the lab desk worklist, result entry and report files
+ */
+
+/**
+ * Status for a failed lab request (service errors, then schema validation)
+ */
+const statusOf = (error) => error.status || (error.name === 'ValidationError' ? 400 : 500);
+
+/**
+ * Load a lab order the caller may see (doctors: own patients only)
+ */
+const loadForUser = async (req) => {
+  const order = await labService.getLabOrder(req.params.id);
+
+  if (!(await canAccessPatient(req.user, order.patient_id))) {
+    logger.hipaa(`Doctor ${req.user.email} denied access to lab order ${req.params.id}`);
+    const error = new Error('Forbidden: Patient is not under your care');
+    error.status = 403;
+    throw error;
+  }
+
+  return order;
+};
+
+/**
+ * Search the lab test / imaging catalog
+ * GET /api/lab-tests/catalog?q=&category=lab|imaging
+ */
+const getCatalog = async (req, res) => {
+  try {
+    const tests = labService.getCatalog(req.query.q || '', req.query.category || null);
+
+    return res.status(200).json({
+      success: true,
+      count: tests.length,
+      data: tests,
+    });
+  } catch (error) {
+    logger.error('Error searching lab catalog:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to search lab catalog',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Order catalog tests for an appointment
+ * POST /api/lab-orders
+ * Body: { appointment_id, tests: [{ code, priority, clinical_notes }] }
+ */
+const createLabOrders = async (req, res) => {
+  try {
+    const { appointment_id, tests } = req.body;
+
+    if (!appointment_id || !Array.isArray(tests) || tests.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'appointment_id and at least one test are required',
+      });
+    }
+
+    const orders = await labService.createLabOrders({ appointmentId: appointment_id, tests }, req.user);
+
+    return res.status(201).json({
+      success: true,
+      message: `${orders.length} test(s) ordered`,
+      data: orders,
+    });
+  } catch (error) {
+    logger.error('Error creating lab orders:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to create lab orders',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lab desk worklist (open orders by default, stat first)
+ * GET /api/lab-orders?status=&category=&priority=&doctorId=&patientId=&page=1&limit=50
+ * Doctors only see their own orders.
+ */
+const getWorklist = async (req, res) => {
+  try {
+    const { status, category, priority, patientId } = req.query;
+    const doctorId = req.user.role === 'doctor' ? req.user.doctor_id : req.query.doctorId;
+
+    if ((doctorId && !mongoose.isValidObjectId(doctorId)) || (patientId && !mongoose.isValidObjectId(patientId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctorId or patientId',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { orders, total } = await labService.getWorklist({
+      status,
+      category,
+      priority,
+      doctorId,
+      patientId,
+      page,
+      limit,
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: orders,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalOrders: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching lab worklist:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lab orders',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lab orders for a patient, newest first
+ * GET /api/patients/:id/lab-orders?page=1&limit=50
+ */
+const getPatientLabOrders = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient ID',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { orders, total } = await labService.getPatientLabOrders(req.params.id, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: orders,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalOrders: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching patient lab orders:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lab orders',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a lab order with its results and correction history
+ * GET /api/lab-orders/:id
+ */
+const getLabOrderById = async (req, res) => {
+  try {
+    const order = await loadForUser(req);
+
+    return res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    logger.error('Error fetching lab order:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch lab order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record sample collection
+ * POST /api/lab-orders/:id/sample
+ * Body: { barcode, notes }
+ */
+const collectSample = async (req, res) => {
+  try {
+    const order = await labService.collectSample(req.params.id, req.body, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `Sample collected for ${order.order_number}`,
+      data: order,
+    });
+  } catch (error) {
+    logger.error('Error recording sample collection:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to record sample collection',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Enter (or correct) results - abnormal values alert the ordering doctor,
+ * the first release texts the patient that results are ready
+ * PUT /api/lab-orders/:id/results
+ * Body: { results: [{ parameter, value }], report_text, abnormal, reason }
+ */
+const enterResults = async (req, res) => {
+  try {
+    const { results, report_text, abnormal, reason } = req.body;
+
+    if (results !== undefined && !Array.isArray(results)) {
+      return res.status(400).json({
+        success: false,
+        message: 'results must be an array',
+      });
+    }
+
+    const { order, notifications } = await labService.enterResults(
+      req.params.id,
+      { results: results || [], reportText: report_text, abnormal: abnormal === true, reason },
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: order.is_critical
+        ? 'Results released - CRITICAL values, ordering doctor alerted'
+        : order.is_abnormal
+          ? 'Results released - abnormal values, ordering doctor alerted'
+          : 'Results released',
+      data: order,
+      notifications,
+    });
+  } catch (error) {
+    logger.error('Error entering lab results:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to enter lab results',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Attach (or replace) the report file
+ * POST /api/lab-orders/:id/report
+ * Body: { filename, content_type: application/pdf | image/png | image/jpeg, content (base64) }
+ */
+const uploadReport = async (req, res) => {
+  try {
+    const { filename, content_type, content } = req.body;
+
+    const order = await labService.attachReport(
+      req.params.id,
+      { filename, contentType: content_type, content },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Report attached',
+      data: order,
+    });
+  } catch (error) {
+    logger.error('Error attaching lab report:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to attach lab report',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the report file
+ * GET /api/lab-orders/:id/report
+ */
+const downloadReport = async (req, res) => {
+  try {
+    await loadForUser(req);
+    const { filename, contentType, buffer } = await labService.getReportFile(req.params.id);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `inline; filename="${filename.replace(/"/g, '')}"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'no-store',
+    });
+
+    return res.status(200).send(buffer);
+  } catch (error) {
+    logger.error('Error downloading lab report:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to download lab report',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an order that has no results yet
+ * POST /api/lab-orders/:id/cancel
+ * Body: { reason }
+ */
+const cancelLabOrder = async (req, res) => {
+  try {
+    const order = await labService.cancelLabOrder(req.params.id, req.body.reason, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `Lab order ${order.order_number} cancelled`,
+      data: order,
+    });
+  } catch (error) {
+    logger.error('Error cancelling lab order:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel lab order',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getCatalog,
+  createLabOrders,
+  getWorklist,
+  getPatientLabOrders,
+  getLabOrderById,
+  collectSample,
+  enterResults,
+  uploadReport,
+  downloadReport,
+  cancelLabOrder,
+};
@@ -2,6 +2,8 @@ import logger from '../utils/logger.js';
 import Patient from '../models/Patient.js';
 import Consultation from '../models/Consultation.js';
 import Appointment from '../models/Appointment.js';
+import consentService from '../services/consentService.js';
+import { getAccessiblePatientIds } from '../middleware/auth.js';
 
 /**
  * Patient Controller for MediFlow
@@ -34,6 +36,12 @@ const getAllPatients = async (req, res) => {
       filters.primary_department = req.query.department;
     }
 
+    // Doctors only list their own patients
+    const accessiblePatientIds = await getAccessiblePatientIds(req.user);
+    if (accessiblePatientIds) {
+      filters._id = { $in: accessiblePatientIds };
+    }
+
     // Sorting
     const sortBy = req.query.sortBy || 'registration_date';
     const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
@@ -219,18 +227,17 @@ const getPatientStats = async (req, res) => {
       { $limit: 5 },
     ]);
 
-    // Top chronic conditions
-    const conditionsAggregation = await Patient.aggregate([
-      { $unwind: '$chronic_conditions' },
-      {
-        $group: {
-          _id: '$chronic_conditions',
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { count: -1 } },
-      { $limit: 5 },
-    ]);
+    // Top chronic conditions (encrypted at rest - counted after decryption, not in an aggregation)
+    const conditionCounts = {};
+    const conditionRecords = await Patient.find({}).select('chronic_conditions').lean();
+    for (const record of conditionRecords) {
+      for (const condition of record.chronic_conditions || []) {
+        conditionCounts[condition] = (conditionCounts[condition] || 0) + 1;
+      }
+    }
+    const topChronicConditions = Object.entries(conditionCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
 
     // Recent patients (last 7 days)
     const sevenDaysAgo = new Date();
@@ -276,9 +283,9 @@ const getPatientStats = async (req, res) => {
         department: d._id,
         count: d.count,
       })),
-      topChronicConditions: conditionsAggregation.map((c) => ({
-        condition: c._id,
-        count: c.count,
+      topChronicConditions: topChronicConditions.map(([condition, count]) => ({
+        condition,
+        count,
       })),
       recentPatients: {
         last7Days: recentPatients,
@@ -323,14 +330,22 @@ const searchPatients = async (req, res) => {
 
     logger.info(`Searching patients: "${q}"`);
 
-    // Search by name, email, phone
-    const patients = await Patient.find({
+    // Search by name (partial), email or phone (exact - encrypted, matched via blind index)
+    const query = {
       $or: [
         { name: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { phone: { $regex: q, $options: 'i' } },
+        { email: q.trim() },
+        { phone: q.trim() },
       ],
-    })
+    };
+
+    // Doctors only find their own patients
+    const accessiblePatientIds = await getAccessiblePatientIds(req.user);
+    if (accessiblePatientIds) {
+      query._id = { $in: accessiblePatientIds };
+    }
+
+    const patients = await Patient.find(query)
       .sort({ registration_date: -1 })
       .limit(20)
       .select('-__v -medical_records')
@@ -535,6 +550,94 @@ const getPatientMedicalHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get communication preferences, consent history and recent suppressed messages
+ * GET /api/patients/:id/communication-preferences
+ */
+const getCommunicationPreferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`Fetching communication preferences for patient: ${id}`);
+
+    const patient = await Patient.findById(id)
+      .select('name communication_preferences consent_history')
+      .populate('consent_history.recorded_by', 'name role');
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    const suppressedMessages = await consentService.getSuppressedMessages(patient._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        patientId: patient._id,
+        name: patient.name,
+        preferences: patient.communication_preferences,
+        consentHistory: [...patient.consent_history].reverse(),
+        suppressedMessages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching communication preferences:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch communication preferences',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update communication preferences (every change is recorded in consent_history)
+ * PUT /api/patients/:id/communication-preferences
+ * Body: { email|sms|whatsapp: { transactional, marketing, opted_out }, quiet_hours, preferred_language, source, note }
+ */
+const updateCommunicationPreferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { source = 'staff', note = null, ...updates } = req.body;
+
+    logger.info(`Updating communication preferences for patient: ${id}`);
+
+    const patient = await Patient.findById(id);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    const changes = await consentService.updatePreferences(patient, updates, {
+      source,
+      recordedBy: req.user?._id,
+      note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0
+        ? `${changes.length} preference change(s) recorded`
+        : 'No changes',
+      data: {
+        preferences: patient.communication_preferences,
+        changes,
+      },
+    });
+  } catch (error) {
+    logger.error('Error updating communication preferences:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update communication preferences',
+      error: error.message,
+    });
+  }
+};
+
 export default {
   getAllPatients,
   getPatientById,
@@ -545,4 +648,6 @@ export default {
   getPatientConsultations,
   getPatientAppointments,
   getPatientMedicalHistory,
+  getCommunicationPreferences,
+  updateCommunicationPreferences,
 };
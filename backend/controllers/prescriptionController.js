@@ -0,0 +1,338 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import prescriptionService from '../services/prescriptionService.js';
+
+/**
+ * Prescription Controller for MediFlow
+ * Writing and amending prescriptions, PDF download/email, and public QR verification
+ */
+
+/**
+ * Prescription as returned by the staff API
+ */
+const toResponse = (prescription, extra = {}) => ({
+  _id: prescription._id,
+  prescription_number: prescription.prescription_number,
+  patient_id: prescription.patient_id,
+  doctor_id: prescription.doctor_id,
+  appointment_id: prescription.appointment_id,
+  consultation_id: prescription.consultation_id,
+  diagnosis: prescription.diagnosis,
+  medications: prescription.medications,
+  advice: prescription.advice,
+  follow_up_date: prescription.follow_up_date,
+  safety_alerts: prescription.safety_alerts,
+  safety_overrides: prescription.safety_overrides,
+  signature: prescription.signature,
+  version: prescription.version,
+  emailed_at: prescription.emailed_at,
+  email_count: prescription.email_count,
+  verification_url: prescriptionService.getVerificationUrl(prescription),
+  createdAt: prescription.createdAt,
+  updatedAt: prescription.updatedAt,
+  ...extra,
+});
+
+/**
+ * Load a prescription the caller may see (doctors: own patients only)
+ */
+const loadForUser = async (req) => {
+  const result = await prescriptionService.getPrescription(req.params.id);
+
+  if (!(await canAccessPatient(req.user, result.prescription.patient_id))) {
+    logger.hipaa(`Doctor ${req.user.email} denied access to prescription ${req.params.id}`);
+    const error = new Error('Forbidden: Patient is not under your care');
+    error.status = 403;
+    throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Write a prescription for an appointment (prescribing doctor only)
+ * POST /api/prescriptions
+ * Body: { appointment_id, diagnosis, medications: [{ drug_name, strength, dose, route, frequency, duration, instructions }],
+ *         advice, follow_up_date, override_reason, send_email }
+ * 409 with `alerts` when a high-severity prescribing alert has no override_reason
+ */
+const createPrescription = async (req, res) => {
+  try {
+    const { appointment_id, diagnosis, medications, advice, follow_up_date, override_reason, send_email } = req.body;
+
+    if (!appointment_id || !Array.isArray(medications) || medications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'appointment_id and at least one medication are required',
+      });
+    }
+
+    const { prescription, email, safety } = await prescriptionService.createPrescription(
+      {
+        appointmentId: appointment_id,
+        diagnosis,
+        medications,
+        advice,
+        follow_up_date,
+        overrideReason: override_reason,
+        sendEmail: send_email !== false,
+      },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Prescription created',
+      data: toResponse(prescription, { email, unrecognized_drugs: safety.unrecognized }),
+    });
+  } catch (error) {
+    logger.error('Error creating prescription:', error.message);
+    const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to create prescription',
+      ...(error.alerts && { alerts: error.alerts }),
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Amend a prescription - the patient is emailed the new version
+ * PUT /api/prescriptions/:id
+ * Body: { reason, diagnosis, medications, advice, follow_up_date, override_reason, send_email }
+ * Changed medicines are screened again (409 with `alerts` as for a new prescription)
+ */
+const amendPrescription = async (req, res) => {
+  try {
+    const { reason, diagnosis, medications, advice, follow_up_date, override_reason, send_email } = req.body;
+
+    if (medications !== undefined && (!Array.isArray(medications) || medications.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'medications must be a non-empty array',
+      });
+    }
+
+    const { prescription, email, safety } = await prescriptionService.amendPrescription(
+      req.params.id,
+      {
+        reason,
+        diagnosis,
+        medications,
+        advice,
+        follow_up_date,
+        overrideReason: override_reason,
+        sendEmail: send_email !== false,
+      },
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Prescription amended (version ${prescription.version})`,
+      data: toResponse(prescription, { email, ...(safety && { unrecognized_drugs: safety.unrecognized }) }),
+    });
+  } catch (error) {
+    logger.error('Error amending prescription:', error.message);
+    const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to amend prescription',
+      ...(error.alerts && { alerts: error.alerts }),
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Screen medicines against a patient's allergies and current medications before prescribing
+ * POST /api/prescriptions/safety-check
+ * Body: { patient_id, medications: [drug name or { drug_name }] }
+ */
+const checkMedicationSafety = async (req, res) => {
+  try {
+    const { patient_id, medications } = req.body;
+
+    if (!patient_id || !Array.isArray(medications) || medications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'patient_id and at least one medication are required',
+      });
+    }
+
+    if (mongoose.isValidObjectId(patient_id) && !(await canAccessPatient(req.user, patient_id))) {
+      logger.hipaa(`Doctor ${req.user.email} denied prescribing safety check for patient ${patient_id}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Patient is not under your care',
+      });
+    }
+
+    const result = await prescriptionService.checkMedicationSafety(patient_id, medications);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error checking prescribing safety:', error.message);
+    const status = error.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to check prescribing safety',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a prescription with its revision history
+ * GET /api/prescriptions/:id
+ */
+const getPrescriptionById = async (req, res) => {
+  try {
+    const { prescription } = await loadForUser(req);
+
+    return res.status(200).json({
+      success: true,
+      data: toResponse(prescription, { revisions: prescription.revisions }),
+    });
+  } catch (error) {
+    logger.error('Error fetching prescription:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch prescription',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the current version as a PDF
+ * GET /api/prescriptions/:id/pdf
+ */
+const downloadPrescriptionPdf = async (req, res) => {
+  try {
+    const { prescription, patient } = await loadForUser(req);
+    const buffer = await prescriptionService.renderPrescriptionPdf(prescription, patient);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${prescription.prescription_number}.pdf"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'no-store',
+    });
+
+    return res.status(200).send(buffer);
+  } catch (error) {
+    logger.error('Error rendering prescription PDF:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to render prescription PDF',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Email the current version to the patient again
+ * POST /api/prescriptions/:id/email
+ */
+const emailPrescription = async (req, res) => {
+  try {
+    await loadForUser(req);
+    const { prescription } = await prescriptionService.emailPrescription(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Prescription emailed to the patient',
+      data: {
+        _id: prescription._id,
+        patient_id: prescription.patient_id,
+        prescription_number: prescription.prescription_number,
+        version: prescription.version,
+      },
+    });
+  } catch (error) {
+    logger.error('Error emailing prescription:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to email prescription',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Prescriptions for a patient, newest first
+ * GET /api/patients/:id/prescriptions?page=1&limit=50
+ */
+const getPatientPrescriptions = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient ID',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { prescriptions, total } = await prescriptionService.getPatientPrescriptions(req.params.id, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: prescriptions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPrescriptions: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching patient prescriptions:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prescriptions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Verify a printed prescription from its QR code (public)
+ * GET /api/prescriptions/verify/:code?v=
+ */
+const verifyPrescription = async (req, res) => {
+  try {
+    const verification = await prescriptionService.verifyPrescription(req.params.code, req.query.v);
+
+    return res.status(200).json({
+      success: true,
+      data: verification,
+    });
+  } catch (error) {
+    logger.error('Error verifying prescription:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to verify prescription',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  createPrescription,
+  amendPrescription,
+  checkMedicationSafety,
+  getPrescriptionById,
+  downloadPrescriptionPdf,
+  emailPrescription,
+  getPatientPrescriptions,
+  verifyPrescription,
+};
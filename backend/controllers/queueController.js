@@ -0,0 +1,249 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import queueService from '../services/queueService.js';
+
+/**
+ * Queue Controller for MediFlow
+ * Reception check-in, the live department queue, calling tokens, and the
+ * socket.io subscription used by the waiting-room board
+ */
+
+/**
+ * Check-in response body
+ */
+const toCheckInResponse = (appointment, position) => ({
+  appointment_id: appointment._id,
+  patient_id: appointment.patient_id,
+  doctor_id: appointment.doctor_id,
+  department: appointment.department,
+  token_number: appointment.token_number,
+  triage_level: appointment.triage_level,
+  status: appointment.status,
+  checked_in_at: appointment.checked_in_at,
+  position,
+});
+
+/**
+ * Check a patient in manually
+ * POST /api/appointments/:appointmentId/check-in
+ */
+const checkInAppointment = async (req, res) => {
+  try {
+    const { appointment, position } = await queueService.checkIn({ appointmentId: req.params.appointmentId });
+
+    return res.status(200).json({
+      success: true,
+      message: `Checked in - token ${appointment.token_number}`,
+      data: toCheckInResponse(appointment, position),
+    });
+  } catch (error) {
+    logger.error('Error checking in appointment:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to check in',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Check a patient in by scanning the appointment QR code
+ * POST /api/check-in/scan
+ * Body: { qr_code }
+ */
+const checkInByQrCode = async (req, res) => {
+  try {
+    const { qr_code } = req.body;
+
+    if (!qr_code || typeof qr_code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'qr_code is required',
+      });
+    }
+
+    const { appointment, position } = await queueService.checkIn({ qrCode: qr_code });
+
+    return res.status(200).json({
+      success: true,
+      message: `Checked in - token ${appointment.token_number}`,
+      data: toCheckInResponse(appointment, position),
+    });
+  } catch (error) {
+    logger.error('Error checking in by QR code:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to check in',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Today's queue (waiting + in consultation) in call order
+ * GET /api/queue?department=&doctorId=
+ */
+const getQueue = async (req, res) => {
+  try {
+    const { department, doctorId } = req.query;
+
+    if (doctorId && !mongoose.isValidObjectId(doctorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctorId',
+      });
+    }
+
+    const { entries, summary } = await queueService.getQueue({ department, doctorId });
+
+    return res.status(200).json({
+      success: true,
+      data: entries,
+      summary,
+    });
+  } catch (error) {
+    logger.error('Error fetching queue:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queue',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Waiting-room board (public - tokens and doctor names only)
+ * GET /api/queue/board?department=
+ */
+const getQueueBoard = async (req, res) => {
+  try {
+    const board = await queueService.getBoard(req.query.department || null);
+
+    return res.status(200).json({
+      success: true,
+      data: board,
+    });
+  } catch (error) {
+    logger.error('Error fetching queue board:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queue board',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Call the next waiting token
+ * POST /api/queue/call-next
+ * Body: { doctor_id } (doctors call their own queue; admin/nurse pass doctor_id)
+ */
+const callNextToken = async (req, res) => {
+  try {
+    const doctorId = req.user.role === 'doctor' ? req.user.doctor_id : req.body.doctor_id;
+
+    if (!doctorId) {
+      return res.status(400).json({
+        success: false,
+        message: req.user.role === 'doctor' ? 'Your account is not linked to a doctor profile' : 'doctor_id is required',
+      });
+    }
+
+    const appointment = await queueService.callNext(doctorId);
+
+    if (!appointment) {
+      return res.status(200).json({
+        success: true,
+        message: 'No patients waiting',
+        data: null,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Token ${appointment.token_number} called`,
+      data: {
+        appointment_id: appointment._id,
+        patient_id: appointment.patient_id,
+        token_number: appointment.token_number,
+        department: appointment.department,
+        status: appointment.status,
+        called_at: appointment.called_at,
+        wait_minutes: appointment.getWaitTime(),
+      },
+    });
+  } catch (error) {
+    logger.error('Error calling next token:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to call next token',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Call a token again
+ * POST /api/queue/:appointmentId/recall
+ */
+const recallToken = async (req, res) => {
+  try {
+    const appointment = await queueService.recallToken(req.params.appointmentId);
+
+    return res.status(200).json({
+      success: true,
+      message: `Token ${appointment.token_number} recalled`,
+      data: {
+        appointment_id: appointment._id,
+        patient_id: appointment.patient_id,
+        token_number: appointment.token_number,
+        call_count: appointment.call_count,
+        called_at: appointment.called_at,
+      },
+    });
+  } catch (error) {
+    logger.error('Error recalling token:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to recall token',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Socket.io: waiting-room boards subscribe to a department's queue
+ * Events in:  queueSubscribe { department } / queueUnsubscribe { department }
+ * Events out: queueUpdate (board snapshot), tokenCalled
+ */
+const setupQueueHandlers = (io) => {
+  queueService.setSocketServer(io);
+
+  io.on('connection', (socket) => {
+    socket.on('queueSubscribe', async (data = {}) => {
+      try {
+        const department = data.department || null;
+        socket.join(queueService.roomFor(department));
+        socket.emit('queueUpdate', await queueService.getBoard(department));
+      } catch (error) {
+        logger.error('Error subscribing to queue:', error.message);
+      }
+    });
+
+    socket.on('queueUnsubscribe', (data = {}) => {
+      socket.leave(queueService.roomFor(data.department || null));
+    });
+  });
+
+  logger.success('Queue board handlers set up successfully');
+};
+
+export default {
+  checkInAppointment,
+  checkInByQrCode,
+  getQueue,
+  getQueueBoard,
+  callNextToken,
+  recallToken,
+  setupQueueHandlers,
+};
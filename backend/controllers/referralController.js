@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import referralService from '../services/referralService.js';
+
+/**
+ * Referral Controller for MediFlow
+ * Internal and external referrals, their responses, and referral letter PDFs
+ */
+
+/**
+ * Status for a failed referral request (service errors, then schema validation)
+ */
+const statusOf = (error) => error.status || (error.name === 'ValidationError' ? 400 : 500);
+
+/**
+ * Load a referral the caller may see (doctors: own patients only)
+ */
+const loadForUser = async (req) => {
+  const referral = await referralService.getReferral(req.params.id);
+
+  if (!(await canAccessPatient(req.user, referral.patient_id))) {
+    logger.hipaa(`Doctor ${req.user.email} denied access to referral ${req.params.id}`);
+    const error = new Error('Forbidden: Patient is not under your care');
+    error.status = 403;
+    throw error;
+  }
+
+  return referral;
+};
+
+/**
+ * Refer the patient of an appointment to a department or an outside specialist
+ * POST /api/referrals
+ * Body: { appointment_id, type: internal | external, department, doctor_id,
+ *         external_provider: { name, specialty, facility, address, phone, email },
+ *         reason, clinical_summary, urgency: routine | urgent | emergency, send_letter }
+ */
+const createReferral = async (req, res) => {
+  try {
+    const {
+      appointment_id,
+      type,
+      department,
+      doctor_id,
+      external_provider,
+      reason,
+      clinical_summary,
+      urgency,
+      send_letter,
+    } = req.body;
+
+    if (!appointment_id || !type || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'appointment_id, type and reason are required',
+      });
+    }
+
+    const { referral, notification } = await referralService.createReferral(
+      {
+        appointmentId: appointment_id,
+        type,
+        department,
+        doctorId: doctor_id,
+        externalProvider: external_provider,
+        reason,
+        clinicalSummary: clinical_summary,
+        urgency,
+        sendLetter: send_letter !== false,
+      },
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: `Referral ${referral.referral_number} created`,
+      data: referral,
+      notification,
+    });
+  } catch (error) {
+    logger.error('Error creating referral:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to create referral',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List referrals (doctors: ones they made or received)
+ * GET /api/referrals?direction=incoming|outgoing&status=&type=&department=&patientId=&page=1&limit=50
+ */
+const getReferrals = async (req, res) => {
+  try {
+    const { direction, status, type, department, patientId } = req.query;
+
+    if (patientId && !mongoose.isValidObjectId(patientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patientId',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { referrals, total } = await referralService.listReferrals(
+      { direction, status, type, department, patientId, page, limit },
+      req.user
+    );
+    const totalPages = Math.ceil(total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: referrals,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReferrals: total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching referrals:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referrals',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a referral with its status history
+ * GET /api/referrals/:id
+ */
+const getReferralById = async (req, res) => {
+  try {
+    const referral = await loadForUser(req);
+
+    return res.status(200).json({
+      success: true,
+      data: referral,
+    });
+  } catch (error) {
+    logger.error('Error fetching referral:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch referral',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accept or decline a referral (accepting an internal referral books the appointment)
+ * POST /api/referrals/:id/respond
+ * Body: { action: accept | decline, reason, start_time }
+ */
+const respondToReferral = async (req, res) => {
+  try {
+    const { action, reason, start_time } = req.body;
+
+    const { referral, appointment } = await referralService.respondToReferral(
+      req.params.id,
+      { action, reason, startTime: start_time },
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Referral ${referral.referral_number} ${referral.status}`,
+      data: referral,
+      appointment,
+    });
+  } catch (error) {
+    logger.error('Error responding to referral:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to respond to referral',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark an accepted referral completed
+ * POST /api/referrals/:id/complete
+ * Body: { outcome_notes }
+ */
+const completeReferral = async (req, res) => {
+  try {
+    const referral = await referralService.completeReferral(
+      req.params.id,
+      { outcomeNotes: req.body.outcome_notes },
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Referral ${referral.referral_number} completed`,
+      data: referral,
+    });
+  } catch (error) {
+    logger.error('Error completing referral:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to complete referral',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a pending or accepted referral
+ * POST /api/referrals/:id/cancel
+ * Body: { reason }
+ */
+const cancelReferral = async (req, res) => {
+  try {
+    const referral = await referralService.cancelReferral(req.params.id, req.body.reason, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `Referral ${referral.referral_number} cancelled`,
+      data: referral,
+    });
+  } catch (error) {
+    logger.error('Error cancelling referral:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel referral',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the referral letter PDF
+ * GET /api/referrals/:id/letter
+ */
+const downloadReferralLetter = async (req, res) => {
+  try {
+    await loadForUser(req);
+    const { referral, buffer } = await referralService.getReferralLetter(req.params.id);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${referral.referral_number}.pdf"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'no-store',
+    });
+
+    return res.status(200).send(buffer);
+  } catch (error) {
+    logger.error('Error rendering referral letter:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to render referral letter',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Email the referral letter to the external specialist
+ * POST /api/referrals/:id/letter/email
+ * Body: { email } (default: the specialist's address on the referral)
+ */
+const emailReferralLetter = async (req, res) => {
+  try {
+    await loadForUser(req);
+    const referral = await referralService.emailReferralLetter(req.params.id, req.body.email);
+
+    return res.status(200).json({
+      success: true,
+      message: `Referral letter emailed to ${referral.letter_sent_to}`,
+      data: {
+        _id: referral._id,
+        patient_id: referral.patient_id,
+        referral_number: referral.referral_number,
+        letter_sent_at: referral.letter_sent_at,
+        letter_sent_to: referral.letter_sent_to,
+      },
+    });
+  } catch (error) {
+    logger.error('Error emailing referral letter:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to email referral letter',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  createReferral,
+  getReferrals,
+  getReferralById,
+  respondToReferral,
+  completeReferral,
+  cancelReferral,
+  downloadReferralLetter,
+  emailReferralLetter,
+};
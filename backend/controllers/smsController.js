@@ -3,7 +3,12 @@
 import Patient from '../models/Patient.js';
 import Appointment from '../models/Appointment.js';
 import SmsTemplate from '../models/SmsTemplate.js';
+import mongoose from 'mongoose';
+import twilio from 'twilio';
 import smsService from '../services/smsService.js';
+import inboundMessageService from '../services/inboundMessageService.js';
+import smsDeliveryService from '../services/smsDeliveryService.js';
+import auditService from '../services/auditService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -291,9 +296,11 @@ async function sendAppointmentSms(req, res) {
       });
     } else {
       logger.error(`SMS send failed: ${result.error}`);
-      res.status(500).json({
+      res.status(result.suppressed ? 409 : 500).json({
         success: false,
-        message: 'Failed to send SMS',
+        message: result.suppressed
+          ? 'SMS not sent - blocked by patient communication preferences'
+          : 'Failed to send SMS',
         error: result.error
       });
     }
@@ -349,9 +356,11 @@ async function sendEmergencySms(req, res) {
       });
     } else {
       logger.error(`Emergency SMS send failed: ${result.error}`);
-      res.status(500).json({
+      res.status(result.suppressed ? 409 : 500).json({
         success: false,
-        message: 'Failed to send emergency SMS',
+        message: result.suppressed
+          ? 'Emergency SMS not sent - patient has opted out of SMS'
+          : 'Failed to send emergency SMS',
         error: result.error
       });
     }
@@ -368,11 +377,12 @@ async function sendEmergencySms(req, res) {
 /**
  * Send custom SMS to patient
  * POST /api/sms/send/custom/:patientId
+ * Body: { message, category: 'transactional' | 'marketing' (default transactional) }
  */
 async function sendCustomSms(req, res) {
   try {
     const { patientId } = req.params;
-    const { message } = req.body;
+    const { message, category = 'transactional' } = req.body;
     
     if (!message || message.trim().length === 0) {
       return res.status(400).json({
@@ -380,6 +390,13 @@ async function sendCustomSms(req, res) {
         message: 'Message text is required'
       });
     }
+
+    if (!['transactional', 'marketing'].includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: 'category must be transactional or marketing'
+      });
+    }
     
     // Find the patient
     const patient = await Patient.findById(patientId);
@@ -400,7 +417,11 @@ async function sendCustomSms(req, res) {
     }
     
     // Send SMS
-    const result = await smsService.sendSMS(patient.phone, message);
+    const result = await smsService.sendSMS(patient.phone, message, {
+      patient,
+      category,
+      messageType: 'custom'
+    });
     
     logger.info(`Custom SMS sent to patient ${patientId}, SID: ${result.sid}`);
     
@@ -414,20 +435,25 @@ async function sendCustomSms(req, res) {
     });
   } catch (error) {
     logger.error('Error sending custom SMS:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to send custom SMS',
+      message: error.suppressed
+        ? 'SMS not sent - blocked by patient communication preferences'
+        : 'Failed to send custom SMS',
       error: error.message
     });
   }
 }
 
 /**
- * Get SMS statistics
- * GET /api/sms/stats
+ * Get SMS statistics (delivery rates from Twilio status callbacks)
+ * GET /api/sms/stats?days=30
  */
 async function getSmsStats(req, res) {
   try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
     // Count appointments by SMS status (would need to add sms_sent field to Appointment model)
     const totalAppointments = await Appointment.countDocuments();
     const scheduledAppointments = await Appointment.countDocuments({ status: 'scheduled' });
@@ -448,11 +474,13 @@ async function getSmsStats(req, res) {
       status: 'scheduled'
     });
     
-    // Get template usage stats
+    // Get template usage and delivery stats
     const templateStats = await SmsTemplate.find()
-      .select('name template_type department usage_count last_used')
+      .select('name template_type department usage_count last_used success_rate delivery_stats')
       .sort({ usage_count: -1 })
       .limit(5);
+
+    const delivery = await smsDeliveryService.getDeliveryStats(since);
     
     res.status(200).json({
       success: true,
@@ -468,6 +496,10 @@ async function getSmsStats(req, res) {
           neurology: neurologySms,
           orthopedics: orthopedicsSms
         },
+        delivery: {
+          period_days: days,
+          ...delivery
+        },
         top_templates: templateStats
       }
     });
@@ -481,6 +513,118 @@ async function getSmsStats(req, res) {
   }
 }
 
+/**
+ * Twilio inbound SMS/WhatsApp webhook - patient replies (YES / NO / RESCHEDULE / STOP)
+ * POST /api/sms/inbound (signature verified by verifyTwilioSignature)
+ * Responds with TwiML so Twilio delivers the reply to the patient
+ */
+async function handleInboundSms(req, res) {
+  const twiml = new twilio.twiml.MessagingResponse();
+
+  try {
+    const { MessageSid, From, Body } = req.body;
+
+    const result = await inboundMessageService.processInboundMessage({
+      messageSid: MessageSid,
+      from: From,
+      body: Body,
+    });
+
+    // Appointment changes made by the patient go on the PHI audit trail
+    if (!result.duplicate && ['confirmed', 'cancelled'].includes(result.action)) {
+      await auditService.recordRequest(req, {
+        action: 'update',
+        resource: 'appointment',
+        resource_id: result.appointmentId,
+        patient_ids: [result.patientId],
+        fields: ['status'],
+        status_code: 200,
+        success: true,
+      }, 'patient');
+    }
+
+    if (result.reply) {
+      twiml.message(result.reply);
+    }
+
+    res.status(200).type('text/xml').send(twiml.toString());
+  } catch (error) {
+    logger.error('Error handling inbound SMS:', error.message);
+    res.status(error.status || 500).type('text/xml').send(twiml.toString());
+  }
+}
+
+/**
+ * Twilio message status callback - delivery updates for sent SMS/WhatsApp
+ * POST /api/sms/status (signature verified by verifyTwilioSignature)
+ */
+async function handleSmsStatusCallback(req, res) {
+  try {
+    const result = await smsDeliveryService.handleStatusCallback(req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error handling SMS status callback:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to process status callback',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get recorded patient replies (front desk follow-up queue)
+ * GET /api/sms/inbound?needsFollowUp=true&intent=reschedule&patientId=...
+ */
+async function getInboundMessages(req, res) {
+  try {
+    const { patientId, intent, needsFollowUp } = req.query;
+
+    if (patientId && !mongoose.isValidObjectId(patientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patientId'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const result = await inboundMessageService.getInboundMessages(
+      {
+        patientId,
+        intent,
+        needsFollowUp: needsFollowUp === undefined ? null : needsFollowUp === 'true'
+      },
+      { page, limit }
+    );
+
+    const totalPages = Math.ceil(result.total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: result.messages,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalMessages: result.total,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching inbound messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inbound messages',
+      error: error.message
+    });
+  }
+}
+
 export default {
   getSmsTemplates,
   getSmsTemplateById,
@@ -490,5 +634,8 @@ export default {
   sendAppointmentSms,
   sendEmergencySms,
   sendCustomSms,
-  getSmsStats
+  getSmsStats,
+  handleInboundSms,
+  handleSmsStatusCallback,
+  getInboundMessages
 };
@@ -0,0 +1,291 @@
+import logger from '../utils/logger.js';
+import triageRuleService from '../services/triageRuleService.js';
+import triageRuleTestService from '../services/triageRuleTestService.js';
+
+/**
+ * Triage Rule Controller for MediFlow
+ * Versioned triage rules (draft, test against the sample case library, publish,
+ * roll back) and the sample case library itself
+ */
+
+/**
+ * Status for a failed triage rule request (service errors, then schema validation)
+ */
+const statusOf = (error) => error.status || (error.name === 'ValidationError' ? 400 : 500);
+
+/**
+ * Send a failed request's status and message
+ */
+const sendError = (res, error, action) => {
+  logger.error(`Error trying to ${action}:`, error.message);
+  const status = statusOf(error);
+  return res.status(status).json({
+    success: false,
+    message: status < 500 ? error.message : `Failed to ${action}`,
+    error: error.message,
+  });
+};
+
+/**
+ * A version as returned to staff (the built-in rules have no stored document)
+ */
+const ruleSetView = ({ version, status, rules, ruleSet }) => ruleSet || { version, status, ...rules };
+
+/**
+ * List rule set versions and which one is live
+ * GET /api/triage-rules?status=draft|published|archived
+ */
+const listRuleSets = async (req, res) => {
+  try {
+    const { active_version: activeVersion, versions } = await triageRuleService.listVersions({
+      status: req.query.status,
+    });
+
+    return res.status(200).json({
+      success: true,
+      active_version: activeVersion,
+      count: versions.length,
+      data: versions,
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetch triage rule sets');
+  }
+};
+
+/**
+ * The rules triage is using right now
+ * GET /api/triage-rules/active
+ */
+const getActiveRuleSet = async (req, res) => {
+  try {
+    const live = await triageRuleService.loadActiveRuleSet();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        version: live.version,
+        builtin: live.version === triageRuleService.BUILTIN_VERSION,
+        published_at: live.published_at,
+        rules: live.rules,
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetch the live triage rules');
+  }
+};
+
+/**
+ * One version with its rules and last test run (0 = built-in rules)
+ * GET /api/triage-rules/:version
+ */
+const getRuleSet = async (req, res) => {
+  try {
+    const result = await triageRuleService.getRuleSet(req.params.version);
+
+    return res.status(200).json({
+      success: true,
+      data: ruleSetView(result),
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetch the triage rule set');
+  }
+};
+
+/**
+ * Start a draft
+ * POST /api/triage-rules
+ * Body: { based_on_version, notes, red_flag_symptoms, triage_config, department_risk_modifiers, symptom_department_map }
+ */
+const createDraft = async (req, res) => {
+  try {
+    const ruleSet = await triageRuleService.createDraft(req.body, req.user);
+
+    return res.status(201).json({
+      success: true,
+      message: `Triage rules v${ruleSet.version} drafted`,
+      data: ruleSet,
+    });
+  } catch (error) {
+    return sendError(res, error, 'create the triage rule draft');
+  }
+};
+
+/**
+ * Edit a draft
+ * PUT /api/triage-rules/:version
+ * Body: { notes, red_flag_symptoms, triage_config, department_risk_modifiers, symptom_department_map }
+ */
+const updateDraft = async (req, res) => {
+  try {
+    const ruleSet = await triageRuleService.updateDraft(req.params.version, req.body, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Draft saved - run the sample cases again before publishing',
+      data: ruleSet,
+    });
+  } catch (error) {
+    return sendError(res, error, 'update the triage rule draft');
+  }
+};
+
+/**
+ * Discard a draft
+ * DELETE /api/triage-rules/:version
+ */
+const deleteDraft = async (req, res) => {
+  try {
+    await triageRuleService.deleteDraft(req.params.version, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Draft discarded',
+    });
+  } catch (error) {
+    return sendError(res, error, 'discard the triage rule draft');
+  }
+};
+
+/**
+ * Run the sample case library against a version
+ * POST /api/triage-rules/:version/test
+ */
+const testRuleSet = async (req, res) => {
+  try {
+    const testRun = await triageRuleTestService.runTests(req.params.version, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `${testRun.passed} of ${testRun.total} sample cases passed`,
+      data: testRun,
+    });
+  } catch (error) {
+    return sendError(res, error, 'run the triage rule tests');
+  }
+};
+
+/**
+ * Make a tested draft the live rules
+ * POST /api/triage-rules/:version/publish
+ */
+const publishRuleSet = async (req, res) => {
+  try {
+    const ruleSet = await triageRuleService.publish(req.params.version, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `Triage rules v${ruleSet.version} are live`,
+      data: ruleSet,
+    });
+  } catch (error) {
+    return sendError(res, error, 'publish the triage rules');
+  }
+};
+
+/**
+ * Go back to an archived version (0 = built-in rules)
+ * POST /api/triage-rules/:version/rollback
+ * Body: { reason }
+ */
+const rollbackRuleSet = async (req, res) => {
+  try {
+    const result = await triageRuleService.rollback(req.params.version, req.user, req.body.reason);
+
+    return res.status(200).json({
+      success: true,
+      message: `Triage rules v${result.version} are live again`,
+      data: ruleSetView(result),
+    });
+  } catch (error) {
+    return sendError(res, error, 'roll back the triage rules');
+  }
+};
+
+/**
+ * Sample case library
+ * GET /api/triage-rules/test-cases?active=true|false
+ */
+const listTestCases = async (req, res) => {
+  try {
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    const cases = await triageRuleTestService.listCases({ active });
+
+    return res.status(200).json({
+      success: true,
+      count: cases.length,
+      data: cases,
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetch triage sample cases');
+  }
+};
+
+/**
+ * Add a sample case
+ * POST /api/triage-rules/test-cases
+ * Body: { name, description, patient_data, expected_classification, expected_department, active }
+ */
+const createTestCase = async (req, res) => {
+  try {
+    const testCase = await triageRuleTestService.createCase(req.body, req.user);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Sample case added',
+      data: testCase,
+    });
+  } catch (error) {
+    return sendError(res, error, 'add the triage sample case');
+  }
+};
+
+/**
+ * Edit a sample case
+ * PUT /api/triage-rules/test-cases/:id
+ */
+const updateTestCase = async (req, res) => {
+  try {
+    const testCase = await triageRuleTestService.updateCase(req.params.id, req.body, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sample case updated',
+      data: testCase,
+    });
+  } catch (error) {
+    return sendError(res, error, 'update the triage sample case');
+  }
+};
+
+/**
+ * Remove a sample case
+ * DELETE /api/triage-rules/test-cases/:id
+ */
+const deleteTestCase = async (req, res) => {
+  try {
+    await triageRuleTestService.deleteCase(req.params.id, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sample case deleted',
+    });
+  } catch (error) {
+    return sendError(res, error, 'delete the triage sample case');
+  }
+};
+
+export default {
+  listRuleSets,
+  getActiveRuleSet,
+  getRuleSet,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  testRuleSet,
+  publishRuleSet,
+  rollbackRuleSet,
+  listTestCases,
+  createTestCase,
+  updateTestCase,
+  deleteTestCase,
+};
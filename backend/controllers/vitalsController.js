@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { canAccessPatient } from '../middleware/auth.js';
+import vitalsService from '../services/vitalsService.js';
+
+/**
+ * Vitals Controller for MediFlow
+ * Vitals capture per visit (with the NEWS2 early warning score) and per-patient trends
+ */
+
+/**
+ * Status for a failed vitals request (service errors, then schema validation)
+ */
+const statusOf = (error) => error.status || (error.name === 'ValidationError' ? 400 : 500);
+
+/**
+ * Load an appointment the caller may see (doctors: own patients only)
+ */
+const loadForUser = async (req) => {
+  const appointment = await vitalsService.getAppointment(req.params.appointmentId);
+
+  if (!(await canAccessPatient(req.user, appointment.patient_id))) {
+    logger.hipaa(`Doctor ${req.user.email} denied access to vitals for appointment ${req.params.appointmentId}`);
+    const error = new Error('Forbidden: Patient is not under your care');
+    error.status = 403;
+    throw error;
+  }
+
+  return appointment;
+};
+
+/**
+ * Record vitals for a visit
+ * POST /api/appointments/:appointmentId/vitals
+ * Body: { blood_pressure: { systolic, diastolic }, pulse_rate, temperature, temperature_unit (F | C),
+ *   respiratory_rate, oxygen_saturation, on_supplemental_oxygen, consciousness, weight, height }
+ */
+const recordVitals = async (req, res) => {
+  try {
+    const appointment = await loadForUser(req);
+    const { consultation, vitals, news2, vitalsSeverityScore, notifications } = await vitalsService.recordVitals(
+      appointment,
+      req.body,
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: news2 ? `Vitals recorded - NEWS2 ${news2.score} (${news2.risk})` : 'Vitals recorded',
+      data: {
+        patient_id: appointment.patient_id,
+        appointment_id: appointment._id,
+        consultation_id: consultation._id,
+        vitals,
+        news2,
+        vitals_severity_score: vitalsSeverityScore,
+        notifications,
+      },
+    });
+  } catch (error) {
+    logger.error('Error recording vitals:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to record vitals',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the vitals recorded for a visit
+ * GET /api/appointments/:appointmentId/vitals
+ */
+const getVisitVitals = async (req, res) => {
+  try {
+    const appointment = await loadForUser(req);
+    const { consultation_id, vitals } = await vitalsService.getVisitVitals(appointment);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        patient_id: appointment.patient_id,
+        appointment_id: appointment._id,
+        consultation_id,
+        vitals,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching visit vitals:', error.message);
+    const status = statusOf(error);
+    return res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Failed to fetch vitals',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Vitals trends for a patient across visits (oldest first)
+ * GET /api/patients/:id/vitals?from=&to=&limit=50
+ */
+const getPatientVitals = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient ID',
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { readings, series, latest } = await vitalsService.getPatientVitalsTrend(req.params.id, {
+      from,
+      to,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: readings.length,
+      data: {
+        patient_id: req.params.id,
+        latest,
+        series,
+        readings,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching patient vitals:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vitals',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  recordVitals,
+  getVisitVitals,
+  getPatientVitals,
+};
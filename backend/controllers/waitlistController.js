@@ -0,0 +1,235 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import waitlistService from '../services/waitlistService.js';
+
+/**
+ * Waitlist Controller for MediFlow
+ * Joining the waitlist, answering slot offers, and the staff waitlist view
+ */
+
+/**
+ * Join the waitlist
+ * POST /api/waitlist
+ *
+ * Body (either):
+ * - { appointment_id, patient_email, earliest_date, latest_date } - patient from the booking page
+ * - { patient_id, department, doctor_id, appointment_type, chief_complaint, ... } - staff (login required)
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const {
+      appointment_id,
+      patient_email,
+      patient_id,
+      department,
+      doctor_id,
+      appointment_type,
+      chief_complaint,
+      symptoms,
+      earliest_date,
+      latest_date,
+    } = req.body;
+
+    if (!req.user && !(appointment_id && patient_email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'appointment_id and patient_email are required',
+      });
+    }
+
+    if (req.user && !appointment_id && !patient_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'patient_id or appointment_id is required',
+      });
+    }
+
+    const { entry, position, created } = await waitlistService.joinWaitlist({
+      patientId: req.user ? patient_id : null,
+      appointmentId: appointment_id,
+      patientEmail: patient_email,
+      department,
+      doctorId: doctor_id,
+      appointmentType: appointment_type,
+      chiefComplaint: chief_complaint,
+      symptoms,
+      earliestDate: earliest_date,
+      latestDate: latest_date,
+      source: req.user ? 'staff' : 'online',
+    });
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Added to the waitlist' : 'Already on the waitlist',
+      data: {
+        entry_id: entry._id,
+        patient_id: entry.patient_id,
+        department: entry.department,
+        doctor_id: entry.doctor_id,
+        status: entry.status,
+        position,
+      },
+    });
+  } catch (error) {
+    logger.error('Error joining waitlist:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to join waitlist',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List waitlist entries in offer order
+ * GET /api/waitlist?department=&doctorId=&status=&patientId=&page=1&limit=50
+ */
+const getWaitlist = async (req, res) => {
+  try {
+    const { department, doctorId, status, patientId } = req.query;
+
+    for (const [name, value] of [['doctorId', doctorId], ['patientId', patientId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`,
+        });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const result = await waitlistService.getWaitlist({ department, doctorId, status, patientId }, { page, limit });
+    const totalPages = Math.ceil(result.total / limit);
+
+    return res.status(200).json({
+      success: true,
+      data: result.entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEntries: result.total,
+        hasMore: page < totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching waitlist:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove an entry from the waitlist (an open offer is passed to the next patient)
+ * DELETE /api/waitlist/:id
+ */
+const cancelWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await waitlistService.cancelEntry(req.params.id, req.body?.reason || 'removed_by_staff');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist',
+      data: entry,
+    });
+  } catch (error) {
+    logger.error('Error cancelling waitlist entry:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel waitlist entry',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * View a slot offer (link sent to the patient)
+ * GET /api/waitlist/:id/offer?token=
+ */
+const getWaitlistOffer = async (req, res) => {
+  try {
+    const offer = await waitlistService.getOffer(req.params.id, req.query.token);
+
+    return res.status(200).json({
+      success: true,
+      data: offer,
+    });
+  } catch (error) {
+    logger.error('Error fetching waitlist offer:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch waitlist offer',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accept or decline a slot offer
+ * POST /api/waitlist/:id/respond
+ * Body: { token, accept: true | false }
+ */
+const respondToWaitlistOffer = async (req, res) => {
+  try {
+    const { token, accept } = req.body;
+
+    if (!token || typeof accept !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'token and accept (true/false) are required',
+      });
+    }
+
+    if (!accept) {
+      const entry = await waitlistService.declineOffer(req.params.id, token);
+
+      return res.status(200).json({
+        success: true,
+        message: "Offer declined - you're still on the waitlist",
+        data: {
+          entry_id: entry._id,
+          patient_id: entry.patient_id,
+          status: entry.status,
+        },
+      });
+    }
+
+    const { entry, appointment, doctor } = await waitlistService.acceptOffer(req.params.id, token);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      data: {
+        entry_id: entry._id,
+        appointment_id: appointment._id,
+        patient_id: appointment.patient_id,
+        doctor_id: doctor._id,
+        doctor_name: doctor.name,
+        department: appointment.department,
+        scheduled_start_time: appointment.scheduled_start_time,
+        scheduled_end_time: appointment.scheduled_end_time,
+        token_number: appointment.token_number,
+        status: appointment.status,
+      },
+    });
+  } catch (error) {
+    logger.error('Error responding to waitlist offer:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to respond to waitlist offer',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  joinWaitlist,
+  getWaitlist,
+  cancelWaitlistEntry,
+  getWaitlistOffer,
+  respondToWaitlistOffer,
+};
@@ -5,6 +5,8 @@ import Patient from '../models/Patient.js';
 import emailService from '../services/emailService.js';
 import smsService from '../services/smsService.js';
 import SmsTemplate from '../models/SmsTemplate.js';
+import waitlistService from '../services/waitlistService.js';
+import followUpService from '../services/followUpService.js';
 import {
   formatDateTime,
   getMinutesUntilAppointment,
@@ -112,11 +114,16 @@ const sendConfirmationReminders = async () => {
 
         // Send SMS/WhatsApp
         try {
-          const smsResult = await smsService.sendSMS(patient.phone, smsMessage);
+          const smsResult = await smsService.sendSMS(patient.phone, smsMessage, {
+            patient,
+            appointment,
+            template: smsTemplate,
+            messageType: 'confirmation_reminder',
+          });
 
 
-          // Update appointment with reminder record
-          await appointment.addConfirmationReminder('sms', 'sent');
+          // Update appointment with reminder record (SID lets status callbacks mark it delivered)
+          await appointment.addConfirmationReminder('sms', 'sent', smsResult.sid);
 
 
           // Update patient reminder count
@@ -137,7 +144,7 @@ const sendConfirmationReminders = async () => {
           }
         } catch (smsError) {
           logger.error(`❌ Failed to send confirmation reminder SMS to ${patient.phone}:`, smsError.message);
-          await appointment.addConfirmationReminder('sms', 'failed');
+          await appointment.addConfirmationReminder('sms', smsError.suppressed ? 'suppressed' : 'failed');
         }
       } catch (error) {
         logger.error(`❌ Error processing confirmation reminder for appointment ${appointment._id}:`, error.message);
@@ -163,7 +170,7 @@ const send3DayReminders = async () => {
 
     // Find appointments scheduled 3 days from now that haven't received 3-day reminder
     const appointments = await Appointment.find({
-      status: 'scheduled',
+      status: { $in: ['scheduled', 'confirmed'] },
       scheduled_start_time: { 
         $gte: threeDaysFromNow, 
         $lt: threeDaysPlus1Hour 
@@ -222,9 +229,14 @@ const send3DayReminders = async () => {
           `;
 
 
-          await emailService.sendEmail(patient.email, emailSubject, emailBody);
-          emailSent = true;
-          logger.success(`✅ 3-day email reminder sent to ${patient.email}`);
+          const emailResult = await emailService.sendEmail(patient.email, emailSubject, emailBody, '', 3, {
+            patient,
+            messageType: 'appointment_reminder_3_day',
+          });
+          emailSent = emailResult.success;
+          if (emailSent) {
+            logger.success(`✅ 3-day email reminder sent to ${patient.email}`);
+          }
         } catch (emailError) {
           logger.error(`❌ Failed to send 3-day email reminder to ${patient.email}:`, emailError.message);
         }
@@ -234,7 +246,7 @@ const send3DayReminders = async () => {
         if (patient.phone) {
           try {
             const smsMessage = `Hi ${patient.name}! Reminder: Your appointment with Dr. ${doctor.name} is in 3 days on ${formatDateTime(appointment.scheduled_start_time)}. Reply C to confirm. - ${process.env.CLINIC_NAME || 'MediFlow Clinic'}`;
-            await smsService.sendSMS(patient.phone, smsMessage);
+            await smsService.sendSMS(patient.phone, smsMessage, { patient, appointment, messageType: 'appointment_reminder_3_day' });
             smsSent = true;
             logger.success(`✅ 3-day SMS reminder sent to ${patient.phone}`);
           } catch (smsError) {
@@ -272,7 +284,7 @@ const send1DayReminders = async () => {
 
     // Find appointments scheduled 1 day from now that haven't received 1-day reminder
     const appointments = await Appointment.find({
-      status: 'scheduled',
+      status: { $in: ['scheduled', 'confirmed'] },
       scheduled_start_time: { 
         $gte: oneDayFromNow, 
         $lt: oneDayPlus1Hour 
@@ -339,9 +351,14 @@ const send1DayReminders = async () => {
           `;
 
 
-          await emailService.sendEmail(patient.email, emailSubject, emailBody);
-          emailSent = true;
-          logger.success(`✅ 1-day email reminder sent to ${patient.email}`);
+          const emailResult = await emailService.sendEmail(patient.email, emailSubject, emailBody, '', 3, {
+            patient,
+            messageType: 'appointment_reminder_1_day',
+          });
+          emailSent = emailResult.success;
+          if (emailSent) {
+            logger.success(`✅ 1-day email reminder sent to ${patient.email}`);
+          }
         } catch (emailError) {
           logger.error(`❌ Failed to send 1-day email reminder to ${patient.email}:`, emailError.message);
         }
@@ -351,7 +368,7 @@ const send1DayReminders = async () => {
         if (patient.phone) {
           try {
             const smsMessage = `Reminder: Your appointment with Dr. ${doctor.name} is tomorrow at ${formatDateTime(appointment.scheduled_start_time)}. Location: ${process.env.CLINIC_ADDRESS || 'MediFlow Clinic'}. Arrive 10 mins early. - ${process.env.CLINIC_NAME || 'MediFlow'}`;
-            await smsService.sendSMS(patient.phone, smsMessage);
+            await smsService.sendSMS(patient.phone, smsMessage, { patient, appointment, messageType: 'appointment_reminder_1_day' });
             smsSent = true;
             logger.success(`✅ 1-day SMS reminder sent to ${patient.phone}`);
           } catch (smsError) {
@@ -389,7 +406,7 @@ const send2HourReminders = async () => {
 
     // Find appointments starting in 2 hours
     const appointments = await Appointment.find({
-      status: 'scheduled',
+      status: { $in: ['scheduled', 'confirmed'] },
       scheduled_start_time: { 
         $gte: twoHoursFromNow, 
         $lt: twoHoursPlus15Min 
@@ -446,9 +463,14 @@ const send2HourReminders = async () => {
           `;
 
 
-          await emailService.sendEmail(patient.email, emailSubject, emailBody);
-          emailSent = true;
-          logger.success(`✅ 2-hour email reminder sent to ${patient.email}`);
+          const emailResult = await emailService.sendEmail(patient.email, emailSubject, emailBody, '', 3, {
+            patient,
+            messageType: 'appointment_reminder_2_hour',
+          });
+          emailSent = emailResult.success;
+          if (emailSent) {
+            logger.success(`✅ 2-hour email reminder sent to ${patient.email}`);
+          }
         } catch (emailError) {
           logger.error(`❌ Failed to send 2-hour email reminder to ${patient.email}:`, emailError.message);
         }
@@ -458,7 +480,7 @@ const send2HourReminders = async () => {
         if (patient.phone) {
           try {
             const smsMessage = `Hi ${patient.name}! Your appointment with Dr. ${doctor.name} starts in 2 hours at ${formatDateTime(appointment.scheduled_start_time)}. See you soon! - ${process.env.CLINIC_NAME || 'MediFlow'}`;
-            await smsService.sendSMS(patient.phone, smsMessage);
+            await smsService.sendSMS(patient.phone, smsMessage, { patient, appointment, messageType: 'appointment_reminder_2_hour' });
             smsSent = true;
             logger.success(`✅ 2-hour SMS reminder sent to ${patient.phone}`);
           } catch (smsError) {
@@ -491,12 +513,12 @@ const send2HourReminders = async () => {
 const checkNoShows = async () => {
   try {
     const now = new Date();
-    // Find appointments that started > 15 mins ago, still in 'scheduled' or 'reminder_sent', and patient NOT checked in
+    // Find appointments that started > 15 mins ago, still in 'scheduled', 'confirmed' or 'reminder_sent', and patient NOT checked in
     const cutoffTime = new Date(now.getTime() - 15 * 60 * 1000); // 15 mins ago
 
 
     const appointments = await Appointment.find({
-      status: { $in: ['scheduled', 'reminder_sent'] },
+      status: { $in: ['scheduled', 'confirmed', 'reminder_sent'] },
       scheduled_start_time: { $lt: cutoffTime },
     }).populate('patient_id doctor_id');
 
@@ -535,7 +557,11 @@ const checkNoShows = async () => {
         }
 
 
-        // 3. Send "Sorry we missed you" SMS/Email
+        // 3. Offer the rest of the slot to the waitlist
+        await waitlistService.handleFreedAppointment(appointment, 'no_show');
+
+
+        // 4. Send "Sorry we missed you" SMS/Email
         try {
           const rebookLink = `${process.env.CLIENT_ORIGIN || 'http://localhost:5173'}/book-appointment`;
           
@@ -552,14 +578,19 @@ const checkNoShows = async () => {
               <p>Best regards,<br>${process.env.CLINIC_NAME || 'MediFlow Clinic'}</p>
             </div>
           `;
-          await emailService.sendEmail(patient.email, emailSubject, emailBody);
-          logger.success(`✅ Sent no-show email to ${patient.email}`);
+          const emailResult = await emailService.sendEmail(patient.email, emailSubject, emailBody, '', 3, {
+            patient,
+            messageType: 'no_show_followup',
+          });
+          if (emailResult.success) {
+            logger.success(`✅ Sent no-show email to ${patient.email}`);
+          }
 
 
           // Send SMS
           if (patient.phone) {
             const smsMessage = `Hi ${patient.name}, we missed you today. Reschedule anytime: ${rebookLink} or call ${process.env.CLINIC_PHONE || '1800-XXX-XXXX'}. - ${process.env.CLINIC_NAME || 'MediFlow'}`;
-            await smsService.sendSMS(patient.phone, smsMessage);
+            await smsService.sendSMS(patient.phone, smsMessage, { patient, appointment, messageType: 'no_show_followup' });
             logger.success(`✅ Sent no-show SMS to ${patient.phone}`);
           }
         } catch (err) {
@@ -619,6 +650,40 @@ const cleanupExpiredSlots = async () => {
 };
 
 
+/**
+ * Expire unanswered waitlist offers and pass their slots to the next patient
+ * Runs every 1 minute
+ */
+const expireWaitlistOffers = async () => {
+  try {
+    const expired = await waitlistService.expireOffers();
+
+    if (expired > 0) {
+      logger.info(`⌛ Expired ${expired} unanswered waitlist offer(s)`);
+    }
+  } catch (error) {
+    logger.error('❌ Error in expireWaitlistOffers job:', error.message);
+  }
+};
+
+
+/**
+ * Remind patients to confirm their reserved follow-up slot and escalate lapsed ones to staff
+ * Runs every 15 minutes
+ */
+const processFollowUps = async () => {
+  try {
+    const { reminded, escalated } = await followUpService.processPending();
+
+    if (reminded > 0 || escalated > 0) {
+      logger.info(`📅 Follow-ups: ${reminded} reminder(s) sent, ${escalated} escalated for booking by phone`);
+    }
+  } catch (error) {
+    logger.error('❌ Error in processFollowUps job:', error.message);
+  }
+};
+
+
 /**
  * Initialize all appointment scheduler cron jobs for MediFlow
  */
@@ -669,6 +734,18 @@ const initializeAppointmentScheduler = () => {
     });
 
 
+    // Job 7: Waitlist offer expiry (every 1 minute)
+    cron.schedule('*/1 * * * *', () => {
+      expireWaitlistOffers();
+    });
+
+
+    // Job 8: Follow-up confirmation reminders and escalation (every 15 minutes)
+    cron.schedule('*/15 * * * *', () => {
+      processFollowUps();
+    });
+
+
     logger.success('✅ MediFlow appointment scheduler initialized successfully');
     logger.info('📋 Active medical automation jobs:');
     logger.info('   - Confirmation reminders: Every 1 minute');
@@ -677,6 +754,8 @@ const initializeAppointmentScheduler = () => {
     logger.info('   - 2-hour reminders: Every 15 minutes');
     logger.info('   - No-Show detection: Every 1 minute');
     logger.info('   - Cleanup expired slots: Every hour');
+    logger.info('   - Waitlist offer expiry: Every 1 minute');
+    logger.info('   - Follow-up reminders / escalation: Every 15 minutes');
   } catch (error) {
     logger.error('❌ Failed to initialize appointment scheduler:', error.message);
     throw error;
@@ -693,6 +772,8 @@ export {
   send2HourReminders,
   checkNoShows,
   cleanupExpiredSlots,
+  expireWaitlistOffers,
+  processFollowUps,
 };
 
 // Default export
@@ -704,4 +785,6 @@ export default {
   send2HourReminders,
   checkNoShows,
   cleanupExpiredSlots,
+  expireWaitlistOffers,
+  processFollowUps,
 };
@@ -34,7 +34,7 @@ const sendAppointmentReminders = cron.schedule(
       const twentyFiveHoursFromNow = new Date(now.getTime() + 25 * 60 * 60 * 1000);
 
       const upcomingAppointments = await Appointment.find({
-        status: 'scheduled',
+        status: { $in: ['scheduled', 'confirmed'] },
         scheduled_start_time: {
           $gte: twentyThreeHoursFromNow,
           $lte: twentyFiveHoursFromNow,
@@ -386,7 +386,9 @@ ${departmentGroups[dept]
         adminEmail,
         subject,
         htmlContent,
-        textContent
+        textContent,
+        3,
+        { category: 'internal', messageType: 'daily_summary' }
       );
 
       if (result.success) {
@@ -14,7 +14,16 @@ import smsService from '../services/smsService.js';
  * - 1-day before appointment reminder (runs every 2 hours)
  * - 2-hour before appointment reminder (runs every 15 minutes)
  * - Follow-up SMS for missed appointments (runs every hour)
+ * 
+ * Sends blocked by patient preferences (STOP / no consent) are marked as handled;
+ * quiet-hours suppressions are retried on the next run.
+ */
+
+/**
+ * Suppressed for good - don't retry on the next run
  */
+const isPermanentlySuppressed = (result) =>
+  result.suppressed === true && result.reason !== 'quiet_hours';
 
 /**
  * Process 1-day before appointment reminders
@@ -31,7 +40,7 @@ async function process1DayReminders() {
     const twentySixHoursFromNow = new Date(now.getTime() + 26 * 60 * 60 * 1000);
 
     const upcomingAppointments = await Appointment.find({
-      status: 'scheduled',
+      status: { $in: ['scheduled', 'confirmed'] },
       scheduled_start_time: {
         $gte: twentyTwoHoursFromNow,
         $lte: twentySixHoursFromNow,
@@ -102,6 +111,16 @@ async function process1DayReminders() {
           logger.success(
             `✅ SMS Scheduler: 1-day reminder sent successfully, SID: ${result.sid}`
           );
+        } else if (isPermanentlySuppressed(result)) {
+          appointment.sms_reminders = {
+            ...appointment.sms_reminders,
+            one_day_sent: true,
+          };
+          await appointment.save();
+
+          logger.info(
+            `🔕 SMS Scheduler: 1-day reminder for appointment ${appointment._id} suppressed (${result.reason})`
+          );
         } else {
           failCount++;
           logger.error(
@@ -143,7 +162,7 @@ async function process2HourReminders() {
     const twoHoursFifteenMinFromNow = new Date(now.getTime() + 135 * 60 * 1000);
 
     const upcomingAppointments = await Appointment.find({
-      status: 'scheduled',
+      status: { $in: ['scheduled', 'confirmed'] },
       scheduled_start_time: {
         $gte: oneHourFortyFiveMinFromNow,
         $lte: twoHoursFifteenMinFromNow,
@@ -214,6 +233,16 @@ async function process2HourReminders() {
           logger.success(
             `✅ SMS Scheduler: 2-hour reminder sent successfully, SID: ${result.sid}`
           );
+        } else if (isPermanentlySuppressed(result)) {
+          appointment.sms_reminders = {
+            ...appointment.sms_reminders,
+            two_hour_sent: true,
+          };
+          await appointment.save();
+
+          logger.info(
+            `🔕 SMS Scheduler: 2-hour reminder for appointment ${appointment._id} suppressed (${result.reason})`
+          );
         } else {
           failCount++;
           logger.error(
@@ -255,7 +284,7 @@ async function processMissedAppointmentFollowUps() {
     const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
     const missedAppointments = await Appointment.find({
-      status: 'scheduled',
+      status: { $in: ['scheduled', 'confirmed'] },
       scheduled_start_time: {
         $gte: twentyFourHoursAgo,
         $lt: oneHourAgo,
@@ -316,9 +345,26 @@ We hope everything is okay. Please call us at ${clinicPhone} to reschedule.
 
 Take care of your health!`;
 
-        const result = await smsService.sendSMS(patient.phone, message);
+        let result = null;
+        let suppressed = false;
+        try {
+          result = await smsService.sendSMS(patient.phone, message, {
+            patient,
+            appointment,
+            messageType: 'missed_appointment_followup',
+          });
+        } catch (smsError) {
+          if (!isPermanentlySuppressed(smsError)) {
+            throw smsError;
+          }
+          // Patient opted out - still record the no-show
+          suppressed = true;
+          logger.info(
+            `🔕 SMS Scheduler: Missed appointment follow-up for ${appointment._id} suppressed (${smsError.reason})`
+          );
+        }
 
-        if (result) {
+        if (result || suppressed) {
           // Mark as no-show
           appointment.status = 'no_show';
           appointment.no_show_at = new Date();
@@ -329,10 +375,12 @@ Take care of your health!`;
           };
           await appointment.save();
 
-          successCount++;
-          logger.success(
-            `✅ SMS Scheduler: Missed appointment follow-up sent, SID: ${result.sid}`
-          );
+          if (result) {
+            successCount++;
+            logger.success(
+              `✅ SMS Scheduler: Missed appointment follow-up sent, SID: ${result.sid}`
+            );
+          }
         } else {
           failCount++;
           logger.error(
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import Appointment from '../models/Appointment.js';
+import Prescription from '../models/Prescription.js';
+import Invoice from '../models/Invoice.js';
+import LabOrder from '../models/LabOrder.js';
+import Referral from '../models/Referral.js';
+import auditService from '../services/auditService.js';
+import { idOf } from '../utils/serviceHelpers.js';
+
+/**
+ * PHI Audit Middleware for MediFlow
+ * Records every request that reads or writes patient data into AuditLog
+ *
+ * Place it BEFORE authenticate so denied attempts are recorded too - the
+ * entry is written once the response has finished, when req.user and the
+ * response body are both known.
+ */
+
+// ==================== PATIENT ID RESOLVERS ====================
+
+/**
+ * Patient ID from a route param
+ */
+const patientFromParam = (param = 'id') => (req) => [req.params[param]];
+
+/**
+ * Patient IDs from a list response (data: [patient, ...])
+ */
+const patientsFromList = (req, body) => (Array.isArray(body?.data) ? body.data.map(idOf) : []);
+
+/**
+ * Patient ID(s) from appointment response(s) (data.patient_id or data: [appointment, ...])
+ */
+const patientsFromAppointments = (req, body) => {
+  const data = body?.data;
+  if (Array.isArray(data)) return data.map((appointment) => idOf(appointment.patient_id));
+  return data ? [idOf(data.patient_id)] : [];
+};
+
+/**
+ * Patient ID looked up from an :appointmentId param (responses without patient info)
+ */
+const patientFromAppointmentParam = (param = 'appointmentId') => async (req) => {
+  const appointment = await Appointment.findById(req.params[param]).select('patient_id').lean();
+  return appointment ? [appointment.patient_id] : [];
+};
+
+/**
+ * Patient ID looked up from a prescription param (PDF downloads, QR verification)
+ * @param {string} param - Route param
+ * @param {string} field - Prescription field the param matches (_id or verification_code)
+ */
+const patientFromPrescriptionParam = (param = 'id', field = '_id') => async (req) => {
+  if (field === '_id' && !mongoose.isValidObjectId(req.params[param])) return [];
+  const prescription = await Prescription.findOne({ [field]: String(req.params[param]) }).select('patient_id').lean();
+  return prescription ? [prescription.patient_id] : [];
+};
+
+/**
+ * Patient ID looked up from an invoice :id param (PDF downloads)
+ */
+const patientFromInvoiceParam = (param = 'id') => async (req) => {
+  if (!mongoose.isValidObjectId(req.params[param])) return [];
+  const invoice = await Invoice.findById(req.params[param]).select('patient_id').lean();
+  return invoice ? [invoice.patient_id] : [];
+};
+
+/**
+ * Patient ID looked up from a lab order :id param (report file downloads)
+ */
+const patientFromLabOrderParam = (param = 'id') => async (req) => {
+  if (!mongoose.isValidObjectId(req.params[param])) return [];
+  const order = await LabOrder.findById(req.params[param]).select('patient_id').lean();
+  return order ? [order.patient_id] : [];
+};
+
+/**
+ * Patient ID looked up from a referral :id param (letter downloads)
+ */
+const patientFromReferralParam = (param = 'id') => async (req) => {
+  if (!mongoose.isValidObjectId(req.params[param])) return [];
+  const referral = await Referral.findById(req.params[param]).select('patient_id').lean();
+  return referral ? [referral.patient_id] : [];
+};
+
+/**
+ * Patient IDs from a FHIR response (Patient, resources with a subject, or a Bundle of them)
+ * Falls back to the requested patient when the response is an OperationOutcome
+ */
+const patientsFromFhir = (req, body) => {
+  const fromResource = (resource) => {
+    if (resource?.resourceType === 'Patient') return resource.id;
+    const match = /^Patient\/(.+)$/.exec(resource?.subject?.reference || '');
+    return match ? match[1] : null;
+  };
+
+  const resources = body?.resourceType === 'Bundle' ? (body.entry || []).map((entry) => entry.resource) : [body];
+  const ids = [...new Set(resources.map(fromResource).filter(Boolean))];
+
+  if (ids.length > 0) return ids;
+  const requested = req.query.patient || (req.path.startsWith('/fhir/Patient/') ? req.params.id : null);
+  return requested ? [requested] : [];
+};
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Audit a PHI route
+ * @param {Object} options
+ * @param {string} options.action - read | create | update | delete | send | export
+ * @param {string} options.resource - patient | medical_history | consultation | appointment | waitlist | follow_up | clinical_note | prescription | invoice | lab_order | referral | fhir | sms | email
+ * @param {Array|Function} options.fields - Fields touched (default: request body keys for writes)
+ * @param {Function} options.patientIds - (req, body) => [patientId] (may be async)
+ * @param {string} options.anonymousActor - Actor type for callers without a staff login
+ */
+const auditPhi = ({
+  action,
+  resource,
+  fields = null,
+  patientIds = patientFromParam('id'),
+  anonymousActor = 'anonymous',
+}) => {
+  return (req, res, next) => {
+    let responseBody = null;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        const touchedFields = typeof fields === 'function'
+          ? fields(req, responseBody)
+          : fields || (action === 'read' ? [] : Object.keys(req.body || {}));
+
+        await auditService.recordRequest(req, {
+          action,
+          resource,
+          resource_id: req.params.id || req.params.appointmentId || req.params.patientId || null,
+          patient_ids: await patientIds(req, responseBody),
+          fields: touchedFields,
+          status_code: res.statusCode,
+          success: res.statusCode < 400,
+        }, anonymousActor);
+      } catch (error) {
+        logger.error('❌ Error recording PHI audit entry:', error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+export {
+  auditPhi,
+  patientFromParam,
+  patientsFromList,
+  patientsFromAppointments,
+  patientFromAppointmentParam,
+  patientFromPrescriptionParam,
+  patientFromInvoiceParam,
+  patientFromLabOrderParam,
+  patientFromReferralParam,
+  patientsFromFhir,
+};
+
+export default {
+  auditPhi,
+  patientFromParam,
+  patientsFromList,
+  patientsFromAppointments,
+  patientFromAppointmentParam,
+  patientFromPrescriptionParam,
+  patientFromInvoiceParam,
+  patientFromLabOrderParam,
+  patientFromReferralParam,
+  patientsFromFhir,
+};
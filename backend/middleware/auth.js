@@ -0,0 +1,258 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import User from '../models/User.js';
+import Appointment from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import Referral from '../models/Referral.js';
+
+/**
+ * Authentication & Authorization Middleware for MediFlow
+ * - authenticate: JWT bearer token → req.user (staff User)
+ * - optionalAuthenticate: same, but anonymous requests pass through
+ * - authorizeRoles: route-level role guard
+ * - authorizePatientAccess: doctors only see patients they have treated/booked
+ * - getAccessiblePatientIds: the same doctor scoping, for list queries
+ * - authenticateSocket: the same JWT + role check for socket.io namespaces
+ */
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const authHeader = req.header('Authorization');
+  return authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+};
+
+/**
+ * Verify a token and load the active user it belongs to
+ * @returns {Object} - { user } or { error } with the reason
+ */
+const resolveUser = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return { error: 'User not found' };
+    }
+
+    if (!user.active) {
+      return { error: 'Account is inactive. Contact admin.' };
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return { error: 'Password changed - please log in again' };
+    }
+
+    return { user };
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+  }
+};
+
+/**
+ * JWT Authentication Middleware
+ */
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    logger.hipaa(`Unauthenticated request blocked: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ success: false, message: 'No auth token provided' });
+  }
+
+  const { user, error } = await resolveUser(token);
+
+  if (!user) {
+    logger.hipaa(`Auth failed (${error}): ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ success: false, message: error });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Optional Authentication Middleware
+ * Sets req.user when a valid token is sent; anonymous requests continue
+ * (used by patient-facing routes that show more detail to staff)
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    const { user } = await resolveUser(token);
+    req.user = user || null;
+  }
+
+  next();
+};
+
+/**
+ * Role-based Authorization Middleware
+ * Must run after authenticate
+ */
+const authorizeRoles = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.role) {
+      logger.hipaa('No user/role on request for role check');
+      return res.status(403).json({ success: false, message: 'Forbidden: No role info' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      logger.hipaa(
+        `Unauthorized role (${req.user.role}) for ${req.method} ${req.originalUrl}: allowed roles are [${roles}]`
+      );
+      return res.status(403).json({ success: false, message: 'Forbidden: Insufficient role' });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Socket.io Authentication Middleware
+ * Reads the JWT from the handshake (auth.token) and sets socket.data.user
+ * Usage: io.of('/staff').use(authenticateSocket('admin', 'nurse'))
+ */
+const authenticateSocket = (...roles) => {
+  return async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      logger.hipaa(`Unauthenticated socket blocked: ${socket.nsp.name} ${socket.id}`);
+      return next(new Error('No auth token provided'));
+    }
+
+    const { user, error } = await resolveUser(token);
+
+    if (!user) {
+      logger.hipaa(`Socket auth failed (${error}): ${socket.nsp.name} ${socket.id}`);
+      return next(new Error(error));
+    }
+
+    if (roles.length > 0 && !roles.includes(user.role)) {
+      logger.hipaa(
+        `Unauthorized role (${user.role}) for socket namespace ${socket.nsp.name}: allowed roles are [${roles}]`
+      );
+      return next(new Error('Forbidden: Insufficient role'));
+    }
+
+    socket.data.user = user;
+    next();
+  };
+};
+
+// Referral statuses that still give the receiving doctor access
+const LIVE_REFERRAL_STATUSES = ['pending', 'accepted'];
+
+/**
+ * Check if a user may view a patient's clinical records
+ * Doctors need a care relationship (an appointment or consultation with
+ * the patient, or a pending / accepted referral of the patient to them); all other staff roles
+ * are not patient-scoped.
+ */
+const canAccessPatient = async (user, patientId) => {
+  if (user.role !== 'doctor') {
+    return true;
+  }
+
+  if (!user.doctor_id || !mongoose.isValidObjectId(patientId)) {
+    return false;
+  }
+
+  const scope = { patient_id: patientId, doctor_id: user.doctor_id };
+
+  const [appointment, consultation, referral] = await Promise.all([
+    Appointment.exists(scope),
+    Consultation.exists(scope),
+    // Only a live referral counts - declined / cancelled ones grant nothing
+    Referral.exists({
+      patient_id: patientId,
+      receiving_doctor_id: user.doctor_id,
+      status: { $in: LIVE_REFERRAL_STATUSES },
+    }),
+  ]);
+
+  return Boolean(appointment || consultation || referral);
+};
+
+/**
+ * IDs of the patients a user may view, for scoping list queries
+ * Uses the same care relationship as canAccessPatient.
+ * @returns {Array|null} - Patient IDs, or null when the role is not patient-scoped
+ */
+const getAccessiblePatientIds = async (user) => {
+  if (user.role !== 'doctor') {
+    return null;
+  }
+
+  if (!user.doctor_id) {
+    return [];
+  }
+
+  const [appointmentPatients, consultationPatients, referralPatients] = await Promise.all([
+    Appointment.distinct('patient_id', { doctor_id: user.doctor_id }),
+    Consultation.distinct('patient_id', { doctor_id: user.doctor_id }),
+    Referral.distinct('patient_id', {
+      receiving_doctor_id: user.doctor_id,
+      status: { $in: LIVE_REFERRAL_STATUSES },
+    }),
+  ]);
+
+  const unique = new Set(
+    [...appointmentPatients, ...consultationPatients, ...referralPatients].filter(Boolean).map(String)
+  );
+  return [...unique];
+};
+
+/**
+ * Patient scoping middleware - doctors only see their own patients
+ * Must run after authenticate
+ * @param {string} param - Route param holding the patient ID
+ */
+const authorizePatientAccess = (param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const allowed = await canAccessPatient(req.user, req.params[param]);
+
+      if (!allowed) {
+        logger.hipaa(`Doctor ${req.user.email} denied access to patient ${req.params[param]}`);
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: Patient is not under your care',
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Error checking patient access:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check patient access',
+        error: error.message,
+      });
+    }
+  };
+};
+
+export {
+  authenticate,
+  optionalAuthenticate,
+  authorizeRoles,
+  authorizePatientAccess,
+  authenticateSocket,
+  canAccessPatient,
+  getAccessiblePatientIds,
+};
+
+export default {
+  authenticate,
+  optionalAuthenticate,
+  authorizeRoles,
+  authorizePatientAccess,
+  authenticateSocket,
+  canAccessPatient,
+  getAccessiblePatientIds,
+};
@@ -0,0 +1,55 @@
+import twilio from 'twilio';
+import logger from '../utils/logger.js';
+
+/**
+ * Twilio Webhook Middleware for MediFlow
+ * - verifyTwilioSignature: rejects any webhook call not signed by Twilio
+ *
+ * Twilio signs the full public URL it called plus the POST parameters with
+ * the account auth token (X-Twilio-Signature). Behind a proxy/tunnel the
+ * URL Express sees differs from the public one, so set TWILIO_WEBHOOK_BASE_URL
+ * to the exact origin configured in the Twilio console (e.g. https://api.clinic.in).
+ */
+
+/**
+ * Public URL Twilio called for this request
+ */
+const getWebhookUrl = (req) => {
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL;
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}${req.originalUrl}`;
+  }
+  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+};
+
+/**
+ * Twilio Signature Verification Middleware
+ * Mandatory - there is no bypass, a missing auth token rejects every call.
+ */
+const verifyTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.header('X-Twilio-Signature');
+
+  if (!authToken) {
+    logger.error('❌ TWILIO_AUTH_TOKEN missing - cannot verify Twilio webhooks');
+    return res.status(503).json({ success: false, message: 'Webhook verification not configured' });
+  }
+
+  if (!signature) {
+    logger.warn(`⚠️ Unsigned Twilio webhook rejected: ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ success: false, message: 'Missing Twilio signature' });
+  }
+
+  if (!twilio.validateRequest(authToken, signature, getWebhookUrl(req), req.body || {})) {
+    logger.warn(`⚠️ Invalid Twilio signature rejected: ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ success: false, message: 'Invalid Twilio signature' });
+  }
+
+  next();
+};
+
+export { verifyTwilioSignature };
+
+export default {
+  verifyTwilioSignature,
+};
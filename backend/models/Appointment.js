@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
 
 
 /**
@@ -13,6 +14,24 @@ import mongoose from 'mongoose';
  */
 
 
+/**
+ * Check-in queue tiers per triage level (higher is called first, token order within a tier)
+ * Low and unclassified patients share a tier so an untriaged patient is not pushed back
+ */
+const QUEUE_PRIORITY = {
+  Emergency: 2,
+  Medium: 1,
+  Low: 0,
+  Unclassified: 0,
+};
+
+/**
+ * Statuses with no visit behind them - clinical records (notes, vitals,
+ * prescriptions, lab orders, referrals) cannot be attached to these
+ */
+const NO_VISIT_STATUSES = ['slots_generated', 'cancelled', 'no_show', 'expired', 'rescheduled'];
+
+
 const appointmentSchema = new mongoose.Schema(
   {
     // ==================== PATIENT & DOCTOR REFERENCES ====================
@@ -170,7 +189,13 @@ const appointmentSchema = new mongoose.Schema(
     token_number: {
       type: String,
       default: null,
-      description: 'Queue token number (e.g., A001, B045)',
+      description: 'Queue token number (e.g., GM001, EN045)',
+    },
+    
+    token_sequence: {
+      type: Number,
+      default: null,
+      description: 'Numeric part of the token - daily sequence per department (queue order)',
     },
     
     qr_code: {
@@ -195,6 +220,31 @@ const appointmentSchema = new mongoose.Schema(
       enum: ['patient', 'receptionist', 'self_service_kiosk', null],
     },
     
+    triage_level: {
+      type: String,
+      enum: ['Emergency', 'Medium', 'Low', 'Unclassified', null],
+      default: null,
+      description: 'Patient risk classification snapshot taken at check-in',
+    },
+    
+    queue_priority: {
+      type: Number,
+      default: 0,
+      description: 'Queue tier from triage_level - higher is called first, then by token',
+    },
+    
+    called_at: {
+      type: Date,
+      default: null,
+      description: 'Last time the token was called to the consultation room',
+    },
+    
+    call_count: {
+      type: Number,
+      default: 0,
+      description: 'Times the token was called (recalls included)',
+    },
+    
     // ==================== APPOINTMENT STATUS ====================
     
     status: {
@@ -241,7 +291,13 @@ const appointmentSchema = new mongoose.Schema(
           },
           status: {
             type: String,
-            enum: ['sent', 'failed'],
+            enum: ['sent', 'delivered', 'undelivered', 'failed', 'suppressed'],
+            description: 'suppressed = blocked by patient communication preferences; delivered/undelivered from Twilio status callbacks',
+          },
+          sid: {
+            type: String,
+            default: null,
+            description: 'Twilio message SID (matches status callbacks)',
           },
         },
       ],
@@ -508,9 +564,11 @@ appointmentSchema.index({ doctor_id: 1, scheduled_start_time: 1 });
 appointmentSchema.index({ scheduled_start_time: 1, status: 1 });
 appointmentSchema.index({ department: 1, scheduled_start_time: 1 });
 appointmentSchema.index({ 'confirmation_reminders.sent_count': 1, status: 1 });
+appointmentSchema.index({ 'confirmation_reminders.reminder_timestamps.sid': 1 }, { sparse: true });
 appointmentSchema.index({ appointment_type: 1 });
 appointmentSchema.index({ payment_status: 1 });
 appointmentSchema.index({ token_number: 1 });
+appointmentSchema.index({ department: 1, status: 1, queue_priority: -1, token_sequence: 1 });
 appointmentSchema.index({ qr_code: 1 }, { sparse: true });
 
 
@@ -602,7 +660,7 @@ appointmentSchema.methods.markAsConfirmed = function () {
 /**
  * Add confirmation reminder record
  */
-appointmentSchema.methods.addConfirmationReminder = function (channel, status) {
+appointmentSchema.methods.addConfirmationReminder = function (channel, status, sid = null) {
   try {
     this.confirmation_reminders.sent_count += 1;
     this.confirmation_reminders.last_sent_at = new Date();
@@ -611,6 +669,7 @@ appointmentSchema.methods.addConfirmationReminder = function (channel, status) {
       reminder_number: this.confirmation_reminders.sent_count,
       channel,
       status,
+      sid,
     });
 
 
@@ -678,13 +737,37 @@ appointmentSchema.methods.mark2HourReminderSent = function (emailSent = false, s
 
 /**
  * Mark patient as checked in
+ * @param {string} checkedInBy - patient | receptionist | self_service_kiosk
+ * @param {string} triageLevel - Patient risk classification (sets the queue tier)
  */
-appointmentSchema.methods.checkInPatient = function (checkedInBy = 'receptionist') {
+appointmentSchema.methods.checkInPatient = function (checkedInBy = 'receptionist', triageLevel = null) {
   try {
     this.patient_checked_in = true;
     this.checked_in_at = new Date();
     this.checked_in_by = checkedInBy;
     this.status = 'checked_in';
+    this.triage_level = triageLevel;
+    this.queue_priority = QUEUE_PRIORITY[triageLevel] || 0;
+
+
+    return this.save();
+  } catch (error) {
+    throw error;
+  }
+};
+
+
+/**
+ * Call the token to the consultation room (starts the consultation on the first call)
+ */
+appointmentSchema.methods.callToken = function () {
+  try {
+    if (this.status === 'checked_in') {
+      this.status = 'in_progress';
+      this.actual_start_time = new Date();
+    }
+    this.called_at = new Date();
+    this.call_count += 1;
 
 
     return this.save();
@@ -820,16 +903,15 @@ appointmentSchema.methods.generateQRCode = function () {
 
 /**
  * Assign token number
+ * Sequential per department per appointment day (IST), e.g. GM001, CD045
  */
-appointmentSchema.methods.assignTokenNumber = function (departmentCode) {
-  try {
-    // Format: DeptCode + Sequential Number (e.g., GM001, CD045)
-    const timestamp = Date.now().toString().slice(-3); // Last 3 digits
-    this.token_number = `${departmentCode}${timestamp}`;
-    return this.save();
-  } catch (error) {
-    throw error;
-  }
+appointmentSchema.methods.assignTokenNumber = async function (departmentCode) {
+  const day = (this.scheduled_start_time || new Date()).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  const sequence = await Counter.next(`token:${departmentCode}:${day}`);
+
+  this.token_sequence = sequence;
+  this.token_number = `${departmentCode}${String(sequence).padStart(3, '0')}`;
+  return this.save();
 };
 
 
@@ -937,5 +1019,6 @@ appointmentSchema.pre('save', function (next) {
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 
+export { NO_VISIT_STATUSES };
 
 export default Appointment;
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog Schema for MediFlow
+ * Append-only trail of every read and write of protected health information (PHI)
+ *
+ * HIPAA-inspired access logging:
+ * - Who (actor: staff user, patient booking link, chatbot, system)
+ * - What (action + resource + fields touched)
+ * - Whose record (patient_ids)
+ * - Where from (IP, user agent) and when (timestamp)
+ *
+ * Entries can never be updated or deleted through Mongoose - every
+ * update/delete hook below rejects the operation.
+ */
+
+const APPEND_ONLY_ERROR = 'Audit log is append-only - entries cannot be modified or deleted';
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // ==================== ACTOR ====================
+
+    actor: {
+      type: {
+        type: String,
+        enum: ['staff', 'patient', 'chatbot', 'system', 'anonymous'],
+        required: true,
+      },
+      user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      name: {
+        type: String,
+        default: null,
+      },
+      email: {
+        type: String,
+        default: null,
+      },
+      role: {
+        type: String,
+        default: null,
+      },
+    },
+
+    // ==================== ACTION ====================
+
+    action: {
+      type: String,
+      enum: ['read', 'create', 'update', 'delete', 'send', 'export'],
+      required: true,
+      index: true,
+    },
+    resource: {
+      type: String,
+      required: true,
+      description: 'PHI resource touched (patient, medical_history, consultation, appointment, waitlist, follow_up, clinical_note, prescription, invoice, lab_order, referral, fhir, sms, email)',
+    },
+    resource_id: {
+      type: String,
+      default: null,
+    },
+    patient_ids: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Patient',
+      default: [],
+      description: 'Patients whose records were touched (many for list/search reads)',
+    },
+    fields: {
+      type: [String],
+      default: [],
+      description: 'Fields read or written',
+    },
+
+    // ==================== REQUEST CONTEXT ====================
+
+    method: {
+      type: String,
+      default: null,
+    },
+    path: {
+      type: String,
+      default: null,
+    },
+    status_code: {
+      type: Number,
+      default: null,
+    },
+    success: {
+      type: Boolean,
+      default: true,
+      description: 'False for denied/failed attempts (still recorded)',
+    },
+    ip_address: {
+      type: String,
+      default: null,
+    },
+    user_agent: {
+      type: String,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// ==================== INDEXES ====================
+
+auditLogSchema.index({ patient_ids: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.user_id': 1, timestamp: -1 });
+auditLogSchema.index({ resource: 1, action: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// ==================== APPEND-ONLY ENFORCEMENT ====================
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error(APPEND_ONLY_ERROR));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'findOneAndDelete',
+    'deleteOne',
+    'deleteMany',
+  ],
+  function (next) {
+    next(new Error(APPEND_ONLY_ERROR));
+  }
+);
+
+auditLogSchema.pre(['deleteOne', 'updateOne'], { document: true, query: false }, function (next) {
+  next(new Error(APPEND_ONLY_ERROR));
+});
+
+auditLogSchema.pre('bulkWrite', function (next) {
+  next(new Error(APPEND_ONLY_ERROR));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+/**
+ * ChatSession Schema for MediFlow
+ * Durable state of a MediBot consultation (one per Consultation.session_id)
+ *
+ * Flow:
+ * - chatStart → session created alongside the Consultation
+ * - Every patient message refreshes last_message_at and expires_at
+ * - Socket drops or server restarts → the client sends chatResume with the
+ *   session_id and carries on from the stored state
+ * - chatEnd → ended_at set (can no longer be resumed)
+ * - Idle past CHAT_SESSION_TTL_HOURS → MongoDB TTL index deletes the session
+ *
+ * Idempotency:
+ * - Each side effect (patient processing, booking, email, SMS, emergency alert)
+ *   has a step flag that is claimed with a conditional update before it runs,
+ *   so a resumed or replayed session never double-books or double-sends
+ */
+
+const chatSessionSchema = new mongoose.Schema(
+  {
+    // ==================== SESSION ====================
+
+    session_id: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Consultation.session_id',
+    },
+    consultation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultation',
+      required: true,
+    },
+    socket_id: {
+      type: String,
+      default: null,
+      description: 'Socket currently attached to the session (null while disconnected)',
+    },
+
+    // ==================== STEP FLAGS ====================
+
+    emergency_detected: {
+      type: Boolean,
+      default: false,
+    },
+    patient_processed: {
+      type: Boolean,
+      default: false,
+      description: 'Completion processing claimed (released again if it fails before booking)',
+    },
+    appointment_scheduled: {
+      type: Boolean,
+      default: false,
+      description: 'Appointment booked or patient waitlisted',
+    },
+    email_sent: {
+      type: Boolean,
+      default: false,
+    },
+    sms_sent: {
+      type: Boolean,
+      default: false,
+    },
+
+    // ==================== RESULTS ====================
+
+    extracted_data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      description: 'Latest (partial) patient data extracted from the conversation',
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    outcome: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      description: 'patientProcessed payload - replayed to the client on resume',
+    },
+
+    // ==================== LIFECYCLE ====================
+
+    last_message_at: {
+      type: Date,
+      default: Date.now,
+    },
+    disconnected_at: {
+      type: Date,
+      default: null,
+    },
+    resume_count: {
+      type: Number,
+      default: 0,
+    },
+    ended_at: {
+      type: Date,
+      default: null,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+chatSessionSchema.index({ socket_id: 1 });
+chatSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Check if the session can still be resumed (TTL cleanup runs about once a minute)
+ */
+chatSessionSchema.methods.isResumable = function () {
+  return !this.ended_at && this.expires_at > new Date();
+};
+
+chatSessionSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['extracted_data', 'outcome'],
+});
+
+const ChatSession = mongoose.model('ChatSession', chatSessionSchema);
+
+export default ChatSession;
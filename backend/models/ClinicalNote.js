@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+/**
+ * ClinicalNote Schema for MediFlow
+ * The doctor's SOAP documentation of a visit with ICD-10 coded diagnoses
+ *
+ * Lifecycle: draft → signed → amended (one note per appointment)
+ * - Drafts can be edited freely by the authoring doctor
+ * - Signing freezes the note: the signature block records who signed, when, and a
+ *   SHA-256 hash of the signed content (verifySignature detects later tampering)
+ * - Amending a signed note keeps the previous content and signature in `revisions`,
+ *   bumps `version` and re-signs - a reason is required
+ * - Diagnoses stay unencrypted so coded diagnosis reports can aggregate them;
+ *   the SOAP sections and revisions are encrypted at rest
+ */
+
+const NOTE_STATUSES = ['draft', 'signed', 'amended'];
+
+const CONTENT_FIELDS = ['subjective', 'objective', 'assessment', 'plan', 'diagnoses'];
+
+/**
+ * One coded diagnosis
+ */
+const diagnosisSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'ICD-10 code is required'],
+      trim: true,
+      uppercase: true,
+      description: 'ICD-10 code, e.g. J06.9',
+    },
+    description: {
+      type: String,
+      required: true,
+      description: 'ICD-10 title at the time of coding',
+    },
+    primary: {
+      type: Boolean,
+      default: false,
+      description: 'Principal diagnosis of the visit (exactly one per signed note)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Who signed, when, and what
+ */
+const signatureSchema = new mongoose.Schema(
+  {
+    doctor_name: { type: String, required: true },
+    specialization: { type: String, default: null },
+    registration_number: { type: String, default: null },
+    signed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      description: 'Staff account that signed (the authoring doctor)',
+    },
+    signed_at: { type: Date, default: Date.now },
+    content_hash: {
+      type: String,
+      required: true,
+      description: 'SHA-256 of the signed content and version',
+    },
+  },
+  { _id: false }
+);
+
+const clinicalNoteSchema = new mongoose.Schema(
+  {
+    // ==================== LINKS ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true,
+      description: 'Authoring doctor',
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true,
+      unique: true,
+    },
+    consultation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultation',
+      default: null,
+    },
+    department: {
+      type: String,
+      default: null,
+    },
+    template_code: {
+      type: String,
+      default: null,
+      description: 'Template the note was started from (utils/clinicalNoteTemplates)',
+    },
+
+    // ==================== SOAP ====================
+
+    subjective: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 10000,
+      description: 'History as told by the patient',
+    },
+    objective: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 10000,
+      description: 'Examination findings, vitals, results',
+    },
+    assessment: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 10000,
+      description: 'Clinical impression',
+    },
+    plan: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 10000,
+      description: 'Investigations, treatment, advice, follow-up',
+    },
+    diagnoses: {
+      type: [diagnosisSchema],
+      default: [],
+    },
+
+    // ==================== SIGNATURE & VERSIONING ====================
+
+    status: {
+      type: String,
+      enum: NOTE_STATUSES,
+      default: 'draft',
+      index: true,
+    },
+    signature: {
+      type: signatureSchema,
+      default: null,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    revisions: {
+      type: [
+        {
+          _id: false,
+          version: Number,
+          subjective: String,
+          objective: String,
+          assessment: String,
+          plan: String,
+          diagnoses: [diagnosisSchema],
+          signature: signatureSchema,
+          amended_at: { type: Date, default: Date.now },
+          amended_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          reason: String,
+        },
+      ],
+      default: [],
+      description: 'Previous signed versions (newest last)',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+clinicalNoteSchema.index({ patient_id: 1, createdAt: -1 });
+clinicalNoteSchema.index({ doctor_id: 1, createdAt: -1 });
+clinicalNoteSchema.index({ 'diagnoses.code': 1, 'signature.signed_at': -1 });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * SHA-256 of the note content at its current version
+ */
+clinicalNoteSchema.methods.contentHash = function () {
+  const content = {
+    version: this.version,
+    subjective: this.subjective || null,
+    objective: this.objective || null,
+    assessment: this.assessment || null,
+    plan: this.plan || null,
+    diagnoses: this.diagnoses.map(({ code, description, primary }) => ({ code, description, primary })),
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+/**
+ * Does the stored content still match what was signed?
+ */
+clinicalNoteSchema.methods.verifySignature = function () {
+  return Boolean(this.signature) && this.signature.content_hash === this.contentHash();
+};
+
+/**
+ * Sign the current content
+ * @param {Object} signer - { doctor_name, specialization, registration_number, signed_by }
+ */
+clinicalNoteSchema.methods.sign = function (signer) {
+  this.status = this.revisions.length > 0 ? 'amended' : 'signed';
+  this.signature = {
+    ...signer,
+    signed_at: new Date(),
+    content_hash: this.contentHash(),
+  };
+
+  return this.save();
+};
+
+/**
+ * Replace the content of a signed note, keeping the signed version in revisions, and re-sign
+ * @param {Object} changes - { subjective, objective, assessment, plan, diagnoses }
+ * @param {Object} context - { userId, reason, signer }
+ */
+clinicalNoteSchema.methods.amend = function (changes, { userId, reason, signer }) {
+  this.revisions.push({
+    version: this.version,
+    subjective: this.subjective,
+    objective: this.objective,
+    assessment: this.assessment,
+    plan: this.plan,
+    diagnoses: this.diagnoses.map((diagnosis) => diagnosis.toObject()),
+    signature: this.signature.toObject(),
+    amended_by: userId,
+    reason,
+  });
+
+  for (const field of CONTENT_FIELDS) {
+    if (changes[field] !== undefined) {
+      this[field] = changes[field];
+    }
+  }
+
+  this.version += 1;
+
+  return this.sign(signer);
+};
+
+/**
+ * Principal diagnosis (null when none coded)
+ */
+clinicalNoteSchema.methods.primaryDiagnosis = function () {
+  return this.diagnoses.find((diagnosis) => diagnosis.primary) || this.diagnoses[0] || null;
+};
+
+// ==================== FIELD ENCRYPTION ====================
+
+clinicalNoteSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['subjective', 'objective', 'assessment', 'plan', 'revisions'],
+});
+
+const ClinicalNote = mongoose.model('ClinicalNote', clinicalNoteSchema);
+
+export { NOTE_STATUSES, CONTENT_FIELDS };
+
+export default ClinicalNote;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
 
 
 
@@ -11,9 +12,9 @@ const messageSchema = new mongoose.Schema(
   {
     role: {
       type: String,
-      enum: ['patient', 'doctor', 'assistant', 'system', 'user'],
+      enum: ['patient', 'doctor', 'assistant', 'system', 'user', 'staff'],
       required: true,
-      description: 'patient/user: patient messages, doctor: doctor notes, assistant: AI chatbot, system: automated messages',
+      description: 'patient/user: patient messages, doctor: doctor notes, assistant: AI chatbot, staff: clinic staff after a live handoff, system: automated messages',
     },
     content: {
       type: String,
@@ -43,6 +44,15 @@ const messageSchema = new mongoose.Schema(
         default: false,
         description: 'Flagged if message contains critical medical information',
       },
+      sender_name: {
+        type: String,
+        default: null,
+        description: 'Staff member who wrote the message (staff role only)',
+      },
+      sender_role: {
+        type: String,
+        default: null,
+      },
     },
   },
   { _id: true }
@@ -96,6 +106,22 @@ const vitalsSchema = new mongoose.Schema(
       default: null,
       description: 'Body Mass Index (auto-calculated)',
     },
+    consciousness: {
+      type: String,
+      enum: ['alert', 'confusion', 'voice', 'pain', 'unresponsive', null],
+      default: null,
+      description: 'ACVPU level (NEWS2)',
+    },
+    on_supplemental_oxygen: {
+      type: Boolean,
+      default: false,
+    },
+    news2: {
+      score: { type: Number, default: null },
+      risk: { type: String, enum: ['low', 'low_medium', 'medium', 'high', null], default: null },
+      red_score: { type: Boolean, default: false, description: 'A single parameter scored 3' },
+      missing: { type: [String], default: [], description: 'Parameters not recorded (scored 0)' },
+    },
     recorded_at: {
       type: Date,
       default: Date.now,
@@ -105,6 +131,11 @@ const vitalsSchema = new mongoose.Schema(
       default: 'nurse',
       enum: ['nurse', 'doctor', 'self_reported'],
     },
+    recorded_by_user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   { _id: false }
 );
@@ -194,7 +225,17 @@ const consultationSchema = new mongoose.Schema(
     messages: {
       type: [messageSchema],
       default: [],
-      description: 'Complete conversation history (patient chatbot + doctor notes)',
+      description: 'Complete conversation history (patient chatbot + doctor notes) - encrypted at rest',
+    },
+    message_version: {
+      type: Number,
+      default: 0,
+      description: 'Bumped on every message append - addMessage only writes over the version it loaded',
+    },
+    last_patient_message: {
+      type: String,
+      default: null,
+      description: 'Start of the latest patient message - lets the staff handoff queue skip the transcript (encrypted at rest)',
     },
     
     // ==================== CHIEF COMPLAINT & SYMPTOMS ====================
@@ -257,7 +298,14 @@ const consultationSchema = new mongoose.Schema(
     icd_codes: {
       type: [String],
       default: [],
-      description: 'ICD-10 diagnostic codes',
+      description: 'ICD-10 diagnostic codes (primary first - kept in step with the signed clinical note)',
+    },
+    
+    clinical_note_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClinicalNote',
+      default: null,
+      description: 'Signed SOAP note for the visit',
     },
     
     // ==================== TREATMENT PLAN ====================
@@ -356,6 +404,53 @@ const consultationSchema = new mongoose.Schema(
       default: null,
     },
     
+    // ==================== HUMAN HANDOFF ====================
+
+    handoff: {
+      status: {
+        type: String,
+        enum: ['none', 'requested', 'active', 'returned'],
+        default: 'none',
+        description: 'requested: waiting in the staff queue (bot keeps answering), active: staff member chatting (bot paused), returned: handed back to the bot',
+      },
+      reason: {
+        type: String,
+        enum: ['red_flags', 'patient_request', null],
+        default: null,
+      },
+      requested_at: {
+        type: Date,
+        default: null,
+      },
+      accepted_at: {
+        type: Date,
+        default: null,
+      },
+      returned_at: {
+        type: Date,
+        default: null,
+      },
+      staff_user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        description: 'Staff member currently (or last) handling the chat',
+      },
+      staff_name: {
+        type: String,
+        default: null,
+      },
+      staff_role: {
+        type: String,
+        default: null,
+      },
+      count: {
+        type: Number,
+        default: 0,
+        description: 'Number of handoffs requested in this consultation',
+      },
+    },
+
     // ==================== CONSULTATION METADATA ====================
     
     metadata: {
@@ -375,6 +470,10 @@ const consultationSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      staff_messages: {
+        type: Number,
+        default: 0,
+      },
       duration: {
         type: Number,
         default: 0,
@@ -428,6 +527,11 @@ const consultationSchema = new mongoose.Schema(
       reasoning: { type: String, default: null },
       red_flags_detected: { type: [String], default: [] },
       triaged_at: { type: Date, default: null },
+      rule_set_version: {
+        type: Number,
+        default: null,
+        description: 'Triage rule set version used (0 = built-in rules)',
+      },
     },
     
     // ==================== DOCUMENT REFERENCES ====================
@@ -522,11 +626,13 @@ const consultationSchema = new mongoose.Schema(
 
 consultationSchema.index({ status: 1 });
 consultationSchema.index({ patient_id: 1 });
+consultationSchema.index({ patient_id: 1, 'vitals.recorded_at': 1 });
 consultationSchema.index({ doctor_id: 1 });
 consultationSchema.index({ appointment_id: 1 });
 consultationSchema.index({ createdAt: -1 });
 consultationSchema.index({ 'ai_triage.risk_classification': 1 });
 consultationSchema.index({ department: 1 });
+consultationSchema.index({ 'handoff.status': 1, 'handoff.requested_at': 1 });
 
 
 
@@ -552,10 +658,56 @@ consultationSchema.virtual('calculated_bmi').get(function () {
 
 
 
+/**
+ * Tries at appending a message before giving up on a busy conversation
+ */
+const MESSAGE_APPEND_ATTEMPTS = 5;
+
+/**
+ * Characters of the latest patient message kept in last_patient_message
+ */
+const MESSAGE_PREVIEW_LENGTH = 140;
+
+/**
+ * Preview of the latest patient message (null if the patient has not written yet)
+ */
+const latestPatientMessage = (messages) => {
+  const patientMessages = messages.filter((m) => m.role === 'user' || m.role === 'patient');
+  const latest = patientMessages[patientMessages.length - 1];
+  return latest ? latest.content.slice(0, MESSAGE_PREVIEW_LENGTH) : null;
+};
+
+/**
+ * Message counters kept in metadata, plus the latest patient message preview
+ */
+const summarizeMessages = (messages) => ({
+  'metadata.total_messages': messages.length,
+  'metadata.patient_messages': messages.filter((m) => m.role === 'patient').length,
+  'metadata.doctor_messages': messages.filter((m) => m.role === 'doctor').length,
+  'metadata.assistant_messages': messages.filter((m) => m.role === 'assistant').length,
+  'metadata.staff_messages': messages.filter((m) => m.role === 'staff').length,
+  last_patient_message: latestPatientMessage(messages),
+});
+
+/**
+ * Set values that are already stored without queuing them for the next save()
+ */
+const syncStoredPaths = (doc, values) => {
+  for (const [path, value] of Object.entries(values)) {
+    doc.set(path, value);
+    doc.unmarkModified(path);
+  }
+};
+
 /**
  * Add a message to the consultation
+ * messages is encrypted as a single value, so saving this copy would overwrite
+ * anything the other side of the chat (patient socket / staff console) appended
+ * since it was loaded. The append is written only over the message_version this
+ * copy holds; on a conflict the latest messages are reloaded and it is retried.
+ * Other pending changes on the document are saved afterwards as usual.
  */
-consultationSchema.methods.addMessage = function (role, content, metadata = {}) {
+consultationSchema.methods.addMessage = async function (role, content, metadata = {}) {
   try {
     const message = {
       role,
@@ -566,26 +718,51 @@ consultationSchema.methods.addMessage = function (role, content, metadata = {})
         word_count: content.split(/\s+/).length,
         sentiment: metadata.sentiment || 'unknown',
         is_critical: metadata.is_critical || false,
+        sender_name: metadata.sender_name || null,
+        sender_role: metadata.sender_role || null,
       },
     };
 
+    if (this.isNew) {
+      this.messages.push(message);
+      this.set(summarizeMessages(this.messages));
+      return await this.save();
+    }
 
-
-    this.messages.push(message);
-
-
-
-    // Update metadata
-    this.metadata.total_messages = this.messages.length;
-    this.metadata.patient_messages = this.messages.filter((m) => m.role === 'patient').length;
-    this.metadata.doctor_messages = this.messages.filter((m) => m.role === 'doctor').length;
-    this.metadata.assistant_messages = this.messages.filter((m) => m.role === 'assistant').length;
-
-
+    for (let attempt = 1; ; attempt++) {
+      const version = this.message_version || 0;
+      const messages = [...this.messages.map((m) => m.toObject()), message];
+      const summary = summarizeMessages(messages);
+
+      const result = await this.constructor.updateOne(
+        // Documents from before message_version existed have no counter yet
+        { _id: this._id, message_version: version === 0 ? { $in: [0, null] } : version },
+        { $set: { messages, ...summary }, $inc: { message_version: 1 } }
+      );
+
+      if (result.matchedCount === 1) {
+        syncStoredPaths(this, { messages, message_version: version + 1, ...summary });
+        break;
+      }
+
+      if (attempt === MESSAGE_APPEND_ATTEMPTS) {
+        throw new Error(`Consultation ${this.session_id} is too busy to add a message - please resend`);
+      }
+
+      // Someone else added a message - start again from their copy
+      const latest = await this.constructor.findById(this._id).select('messages message_version');
+      if (!latest) {
+        throw new Error(`Consultation ${this.session_id} no longer exists`);
+      }
+      syncStoredPaths(this, {
+        messages: latest.messages.map((m) => m.toObject()),
+        message_version: latest.message_version || 0,
+      });
+    }
 
     console.log(`[${new Date().toISOString()}] ✅ Message added to consultation ${this.session_id} (${role})`);
     
-    return this.save();
+    return await this.save();
   } catch (error) {
     console.error(`[${new Date().toISOString()}] ❌ Error adding message to consultation:`, error.message);
     throw error;
@@ -725,7 +902,7 @@ consultationSchema.methods.getFormattedHistory = function () {
     return this.messages
       .filter((m) => m.role !== 'system')
       .map((m) => ({
-        role: m.role === 'assistant' || m.role === 'doctor' ? 'model' : 'user',
+        role: ['assistant', 'doctor', 'staff'].includes(m.role) ? 'model' : 'user',
         parts: [{ text: m.content }],
       }));
   } catch (error) {
@@ -804,6 +981,8 @@ consultationSchema.pre('save', function (next) {
       this.metadata.patient_messages = this.messages.filter((m) => m.role === 'patient').length;
       this.metadata.doctor_messages = this.messages.filter((m) => m.role === 'doctor').length;
       this.metadata.assistant_messages = this.messages.filter((m) => m.role === 'assistant').length;
+      this.metadata.staff_messages = this.messages.filter((m) => m.role === 'staff').length;
+      this.last_patient_message = latestPatientMessage(this.messages);
     }
     
     // Auto-calculate BMI if vitals modified
@@ -822,6 +1001,22 @@ consultationSchema.pre('save', function (next) {
 
 
 
+// ==================== FIELD ENCRYPTION ====================
+
+
+
+/**
+ * The full chat transcript is encrypted at rest as one value (see utils/fieldEncryption.js),
+ * and so is the latest patient message preview kept beside it.
+ * Registered after the pre-save middleware so message counts are taken from the plaintext.
+ */
+consultationSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['messages', 'last_patient_message'],
+});
+
+
+
+
 const Consultation = mongoose.model('Consultation', consultationSchema);
 
 
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter Schema for MediFlow
+ * Named sequences for human-readable numbers (daily queue tokens, document numbers)
+ *
+ * The key encodes the scope of the sequence, e.g. "token:EN:2025-01-14" restarts
+ * every day per department. Increments are atomic, so concurrent callers never
+ * receive the same number.
+ */
+
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      description: 'Sequence key (scope encoded in the key)',
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      description: 'Last number handed out',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Next number in a sequence (starts at 1)
+ * @param {string} key - Sequence key
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,425 @@
+import mongoose from 'mongoose';
+
+/**
+ * Doctor Schema for MediFlow
+ * Stores clinic doctors, their department, shift, daily capacity and leave
+ *
+ * Used by doctorAssignmentService for:
+ * - Department-based routing
+ * - Shift preference matching
+ * - Workload balancing (per-day patient capacity)
+ * - Emergency on-call assignments
+ * - Skipping doctors who are on leave
+ */
+
+/**
+ * Get clinic-local day key (YYYY-MM-DD in IST)
+ * Daily patient counts reset when this key changes
+ */
+const getDayKey = (date = new Date(), timezone = 'Asia/Kolkata') => {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: timezone });
+};
+
+/**
+ * Default working hours per shift (IST, 24h "HH:mm")
+ * Used when a doctor has no weekly_schedule configured
+ */
+const SHIFT_HOURS = {
+  morning: { start_time: '08:00', end_time: '14:00' },
+  evening: { start_time: '14:00', end_time: '20:00' },
+  night: { start_time: '20:00', end_time: '23:59' },
+  'full-day': { start_time: '08:00', end_time: '20:00' },
+};
+
+const TIME_OF_DAY = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm (24-hour) format'];
+
+/**
+ * Time Block Schema (nested in weekly schedule)
+ * A working block or break within one day, e.g. 09:00-13:00
+ */
+const timeBlockSchema = new mongoose.Schema(
+  {
+    start_time: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY,
+    },
+    end_time: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY,
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'Optional label (e.g. "Lunch", "Ward rounds")',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Weekly Schedule Day Schema (nested in Doctor)
+ * Recurring template for one weekday
+ */
+const scheduleDaySchema = new mongoose.Schema(
+  {
+    day_of_week: {
+      type: Number,
+      required: true,
+      min: 0, // Sunday
+      max: 6, // Saturday
+    },
+    blocks: {
+      type: [timeBlockSchema],
+      default: [],
+      description: 'Working blocks for this weekday',
+    },
+    breaks: {
+      type: [timeBlockSchema],
+      default: [],
+      description: 'Breaks carved out of the working blocks',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Leave Schema (nested in Doctor)
+ * Inclusive date range when the doctor is unavailable
+ */
+const leaveSchema = new mongoose.Schema(
+  {
+    start_date: {
+      type: Date,
+      required: true,
+    },
+    end_date: {
+      type: Date,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['leave', 'holiday', 'conference', 'other'],
+      default: 'leave',
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+const doctorSchema = new mongoose.Schema(
+  {
+    // ==================== BASIC INFORMATION ====================
+
+    name: {
+      type: String,
+      required: [true, 'Doctor name is required'],
+      trim: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required for appointment notifications'],
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    registration_number: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'Medical council registration number',
+    },
+
+    // ==================== DEPARTMENT & SPECIALIZATION ====================
+
+    department: {
+      type: String,
+      required: [true, 'Department is required'],
+      enum: [
+        'General Medicine',
+        'Cardiology',
+        'Pediatrics',
+        'Dermatology',
+        'Orthopedics',
+        'Gynecology',
+        'ENT',
+        'Ophthalmology',
+        'Dentistry',
+        'Psychiatry',
+        'Neurology',
+        'Urology',
+        'Gastroenterology',
+        'Emergency',
+      ],
+      index: true,
+    },
+    specialization: {
+      type: String,
+      trim: true,
+      default: 'General Physician',
+    },
+
+    // ==================== SHIFT & CAPACITY ====================
+
+    shift: {
+      type: String,
+      enum: ['morning', 'evening', 'night', 'full-day'],
+      default: 'full-day',
+    },
+    max_patients_per_day: {
+      type: Number,
+      default: 20,
+      min: [1, 'Capacity must be at least 1 patient per day'],
+    },
+    daily_patient_counts: {
+      type: Map,
+      of: Number,
+      default: {},
+      description: 'Patients booked per appointment day (YYYY-MM-DD, IST) - past days are pruned',
+    },
+
+    // ==================== WEEKLY SCHEDULE ====================
+
+    weekly_schedule: {
+      type: [scheduleDaySchema],
+      default: [],
+      description: 'Recurring weekly template (falls back to shift hours when empty)',
+    },
+    default_slot_duration: {
+      type: Number,
+      default: 15,
+      min: [5, 'Slot length must be at least 5 minutes'],
+      description: 'Slot length in minutes when no appointment_type override exists',
+    },
+    slot_durations: {
+      new_patient: { type: Number, default: null, min: 5 },
+      follow_up: { type: Number, default: null, min: 5 },
+      emergency: { type: Number, default: null, min: 5 },
+      routine_checkup: { type: Number, default: null, min: 5 },
+      lab_review: { type: Number, default: null, min: 5 },
+      telemedicine: { type: Number, default: null, min: 5 },
+    },
+
+    // ==================== AVAILABILITY ====================
+
+    is_available: {
+      type: Boolean,
+      default: true,
+      description: 'Manual availability toggle (e.g. in surgery, off for the day)',
+    },
+    is_on_call: {
+      type: Boolean,
+      default: false,
+      description: 'Preferred for emergency assignments',
+    },
+    leave_dates: {
+      type: [leaveSchema],
+      default: [],
+    },
+
+    // ==================== BILLING ====================
+
+    consultation_fee: {
+      type: Number,
+      default: 500,
+      min: 0,
+      description: 'Consultation fee in INR',
+    },
+
+    // ==================== STATUS ====================
+
+    active: {
+      type: Boolean,
+      default: true,
+      description: 'False once the doctor has left the clinic (soft delete)',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+doctorSchema.index({ department: 1, active: 1, is_available: 1 });
+doctorSchema.index({ is_on_call: 1 });
+
+// ==================== VIRTUAL FIELDS ====================
+
+/**
+ * Patients booked for today
+ */
+doctorSchema.virtual('todays_patient_count').get(function () {
+  return this.getPatientCount();
+});
+
+doctorSchema.virtual('utilization_rate').get(function () {
+  return Math.round((this.todays_patient_count / this.max_patients_per_day) * 100);
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Check if doctor is on leave on a given date
+ */
+doctorSchema.methods.isOnLeave = function (date = new Date()) {
+  const dayKey = getDayKey(date);
+
+  return this.leave_dates.some(
+    (leave) => getDayKey(leave.start_date) <= dayKey && dayKey <= getDayKey(leave.end_date)
+  );
+};
+
+/**
+ * Get working blocks and breaks for a given date
+ * Returns empty blocks on leave/holiday days
+ * @returns {Object} - { blocks: [{start_time, end_time}], breaks: [...] }
+ */
+doctorSchema.methods.getScheduleForDate = function (date = new Date(), timezone = 'Asia/Kolkata') {
+  if (this.isOnLeave(date)) {
+    return { blocks: [], breaks: [] };
+  }
+
+  // Weekday in clinic timezone (getDayKey gives the local calendar date)
+  const dayOfWeek = new Date(`${getDayKey(date, timezone)}T00:00:00Z`).getUTCDay();
+
+  if (this.weekly_schedule.length === 0) {
+    const shiftHours = SHIFT_HOURS[this.shift] || SHIFT_HOURS['full-day'];
+    return { blocks: [shiftHours], breaks: [] };
+  }
+
+  const scheduleDay = this.weekly_schedule.find((day) => day.day_of_week === dayOfWeek);
+
+  return {
+    blocks: scheduleDay ? scheduleDay.blocks : [],
+    breaks: scheduleDay ? scheduleDay.breaks : [],
+  };
+};
+
+/**
+ * Get slot length (minutes) for an appointment type
+ */
+doctorSchema.methods.getSlotDuration = function (appointmentType = 'new_patient') {
+  return this.slot_durations?.[appointmentType] || this.default_slot_duration;
+};
+
+/**
+ * Patients booked for a given date
+ */
+doctorSchema.methods.getPatientCount = function (date = new Date()) {
+  return this.daily_patient_counts?.get(getDayKey(date)) || 0;
+};
+
+/**
+ * Check if doctor can take another patient on a given date
+ */
+doctorSchema.methods.hasCapacity = function (date = new Date()) {
+  return this.getPatientCount(date) < this.max_patients_per_day;
+};
+
+/**
+ * Check if doctor can be assigned right now
+ */
+doctorSchema.methods.isAssignable = function (date = new Date()) {
+  return this.active && this.is_available && !this.isOnLeave(date) && this.hasCapacity(date);
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Find doctors in a department who are active, available and not on leave
+ */
+doctorSchema.statics.findAvailableByDepartment = async function (department, date = new Date()) {
+  const doctors = await this.find({
+    department,
+    active: true,
+    is_available: true,
+  });
+
+  return doctors.filter((doctor) => doctor.isAssignable(date));
+};
+
+/**
+ * Drop the counts of days that have passed, so the map only holds upcoming days
+ */
+doctorSchema.statics.pruneDailyCounts = async function (doctor) {
+  const today = getDayKey();
+  const pastDays = [...(doctor.daily_patient_counts?.keys() || [])].filter((dayKey) => dayKey < today);
+
+  if (pastDays.length > 0) {
+    await this.updateOne(
+      { _id: doctor._id },
+      { $unset: Object.fromEntries(pastDays.map((dayKey) => [`daily_patient_counts.${dayKey}`, ''])) }
+    );
+  }
+};
+
+/**
+ * Atomically count a new patient against the appointment day's capacity
+ * Safe across multiple server instances - the capacity check and the
+ * increment happen in a single update, so two instances can never push a
+ * doctor past max_patients_per_day.
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} date - Appointment start (the day it counts against)
+ * @returns {Object|null} - Updated doctor, or null if at capacity / not found
+ */
+doctorSchema.statics.incrementPatientCount = async function (doctorId, date = new Date()) {
+  const dayKey = getDayKey(date);
+
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: doctorId,
+      $expr: {
+        $lt: [
+          { $ifNull: [{ $getField: { field: dayKey, input: '$daily_patient_counts' } }, 0] },
+          '$max_patients_per_day',
+        ],
+      },
+    },
+    { $inc: { [`daily_patient_counts.${dayKey}`]: 1 } },
+    { new: true }
+  );
+
+  if (updated) {
+    await this.pruneDailyCounts(updated);
+  }
+
+  return updated;
+};
+
+/**
+ * Atomically release one patient from the appointment day's count
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} date - Appointment start (the day it was counted against)
+ */
+doctorSchema.statics.decrementPatientCount = async function (doctorId, date = new Date()) {
+  const field = `daily_patient_counts.${getDayKey(date)}`;
+
+  return this.findOneAndUpdate(
+    { _id: doctorId, [field]: { $gt: 0 } },
+    { $inc: { [field]: -1 } },
+    { new: true }
+  );
+};
+
+doctorSchema.set('toJSON', { virtuals: true });
+doctorSchema.set('toObject', { virtuals: true });
+
+const Doctor = mongoose.model('Doctor', doctorSchema);
+
+export { getDayKey, SHIFT_HOURS };
+
+export default Doctor;
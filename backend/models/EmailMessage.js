@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+/**
+ * EmailMessage Schema for MediFlow
+ * One record per tracked patient email - opens and clicks per message
+ *
+ * Created by emailService.sendEmail when tracking is enabled. The tracking
+ * pixel and wrapped links point at /api/email/t/<tracking_id>/..., and the
+ * first open / first click of each message is fed into EmailTemplate.updateMetrics.
+ * Link targets are stored here so the click route never redirects to a URL
+ * taken from the request (no open redirect).
+ */
+const emailMessageSchema = new mongoose.Schema(
+  {
+    tracking_id: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Random token used in pixel/click URLs',
+    },
+    message_id: {
+      type: String,
+      default: null,
+      description: 'SMTP Message-ID',
+    },
+    recipient_hint: {
+      type: String,
+      default: null,
+      description: 'Masked recipient (first letter + domain) - never the full address',
+    },
+
+    // ==================== WHAT WAS SENT ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      default: null,
+    },
+    template_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailTemplate',
+      default: null,
+    },
+    campaign: {
+      type: String,
+      default: 'custom',
+      description: 'EmailTemplate category (appointment_confirmation, no_show_followup, ...) or message type',
+    },
+    message_type: {
+      type: String,
+      default: 'custom',
+    },
+    category: {
+      type: String,
+      enum: ['transactional', 'marketing', 'emergency'],
+      default: 'transactional',
+    },
+    links: [
+      {
+        _id: false,
+        url: String,
+        clicks: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    sent_at: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // ==================== ENGAGEMENT ====================
+
+    opened_at: {
+      type: Date,
+      default: null,
+      description: 'First open (pixel load, or first click when images are blocked)',
+    },
+    last_opened_at: {
+      type: Date,
+      default: null,
+    },
+    open_count: {
+      type: Number,
+      default: 0,
+    },
+    clicked_at: {
+      type: Date,
+      default: null,
+      description: 'First click on any tracked link',
+    },
+    last_clicked_at: {
+      type: Date,
+      default: null,
+    },
+    click_count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// ==================== INDEXES ====================
+
+emailMessageSchema.index({ template_id: 1, sent_at: -1 });
+emailMessageSchema.index({ campaign: 1, sent_at: -1 });
+emailMessageSchema.index({ patient_id: 1, sent_at: -1 });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+export default EmailMessage;
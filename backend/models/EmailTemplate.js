@@ -183,6 +183,16 @@ const emailTemplateSchema = new mongoose.Schema(
         min: 0,
         max: 100,
       },
+      unique_opens: {
+        type: Number,
+        default: 0,
+        description: 'Emails opened at least once (tracking pixel / first click)',
+      },
+      unique_clicks: {
+        type: Number,
+        default: 0,
+        description: 'Emails with at least one tracked link clicked',
+      },
     },
     
     // ==================== COMPLIANCE & FEATURES ====================
@@ -395,57 +405,59 @@ emailTemplateSchema.methods.getTimeBasedGreeting = function () {
 };
 
 
-/**
- * Record template usage
- */
-emailTemplateSchema.methods.recordUsage = function () {
-  try {
-    this.stats.times_used += 1;
-    this.stats.last_used = new Date();
-
-
-    console.log(
-      `[${new Date().toISOString()}] ✅ Template "${this.name}" usage recorded (Total: ${this.stats.times_used})`
-    );
+// ==================== STATIC METHODS ====================
 
 
-    return this.save();
-  } catch (error) {
-    console.error(
-      `[${new Date().toISOString()}] ❌ Error recording template usage:`,
-      error.message
-    );
-    throw error;
-  }
+/**
+ * Record template usage (atomic - concurrent sends are all counted)
+ */
+emailTemplateSchema.statics.recordUsage = function (templateId) {
+  return this.updateOne(
+    { _id: templateId },
+    {
+      $inc: { 'stats.times_used': 1 },
+      $set: { 'stats.last_used': new Date() },
+    }
+  );
 };
 
 
 /**
  * Update success metrics
+ * Call once per email: on its first open and/or its first click.
+ * Rates are unique opens/clicks over times_used (atomic pipeline update).
  */
-emailTemplateSchema.methods.updateMetrics = function (opened = false, clicked = false) {
-  try {
-    if (opened) {
-      this.stats.open_rate = ((this.stats.open_rate * (this.stats.times_used - 1) + 100) / this.stats.times_used);
-    }
-    
-    if (clicked) {
-      this.stats.click_rate = ((this.stats.click_rate * (this.stats.times_used - 1) + 100) / this.stats.times_used);
-    }
-    
-    this.stats.success_rate = (this.stats.open_rate + this.stats.click_rate) / 2;
-    
-    return this.save();
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] ❌ Error updating metrics:`, error.message);
-    throw error;
-  }
+emailTemplateSchema.statics.updateMetrics = function (templateId, opened = false, clicked = false) {
+  const rate = (counter) => ({
+    $cond: [
+      { $gt: ['$stats.times_used', 0] },
+      { $min: [100, { $round: [{ $multiply: [100, { $divide: [counter, '$stats.times_used'] }] }, 1] }] },
+      0,
+    ],
+  });
+
+  return this.updateOne({ _id: templateId }, [
+    {
+      $set: {
+        'stats.unique_opens': { $add: [{ $ifNull: ['$stats.unique_opens', 0] }, opened ? 1 : 0] },
+        'stats.unique_clicks': { $add: [{ $ifNull: ['$stats.unique_clicks', 0] }, clicked ? 1 : 0] },
+      },
+    },
+    {
+      $set: {
+        'stats.open_rate': rate('$stats.unique_opens'),
+        'stats.click_rate': rate('$stats.unique_clicks'),
+      },
+    },
+    {
+      $set: {
+        'stats.success_rate': { $round: [{ $avg: ['$stats.open_rate', '$stats.click_rate'] }, 1] },
+      },
+    },
+  ]);
 };
 
 
-// ==================== STATIC METHODS ====================
-
-
 /**
  * Get template by category and department
  * Primary method for template selection
@@ -619,8 +631,11 @@ emailTemplateSchema.statics.getTemplateAnalytics = async function () {
           _id: '$category',
           total_templates: { $sum: 1 },
           total_uses: { $sum: '$stats.times_used' },
+          total_opens: { $sum: '$stats.unique_opens' },
+          total_clicks: { $sum: '$stats.unique_clicks' },
           avg_success_rate: { $avg: '$stats.success_rate' },
           avg_open_rate: { $avg: '$stats.open_rate' },
+          avg_click_rate: { $avg: '$stats.click_rate' },
         },
       },
       { $sort: { total_uses: -1 } },
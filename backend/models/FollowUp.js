@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+
+/**
+ * FollowUp Schema for MediFlow
+ * A follow-up visit recommended when an appointment is completed, from the
+ * tentative slot reservation to the follow-up visit itself
+ *
+ * Flow:
+ * - Appointment completed with follow-up required → a slot with the same doctor
+ *   near the recommended date is held (SlotHold) and the patient gets an
+ *   SMS/email link to confirm it or pick another time → proposed
+ * - Patient confirms / picks another time → appointment booked → booked
+ * - Follow-up visit completed → completed
+ * - No slot found, patient unreachable, or no answer before the hold lapses →
+ *   the hold is released and the front desk / doctor are alerted → needs_scheduling
+ *   (escalated_at set); staff can still book it after phoning the patient
+ * - Patient declines → declined (still counted as overdue once the date passes)
+ *
+ * risk_classification is a snapshot of the patient's risk when the follow-up
+ * was created (overdue report for high-risk patients).
+ */
+
+const FOLLOW_UP_STATUSES = ['proposed', 'needs_scheduling', 'booked', 'completed', 'declined', 'cancelled'];
+
+/**
+ * Statuses still waiting for a visit to be booked
+ */
+const UNBOOKED_STATUSES = ['proposed', 'needs_scheduling', 'declined'];
+
+const followUpSchema = new mongoose.Schema(
+  {
+    // ==================== SOURCE ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true,
+    },
+    department: {
+      type: String,
+      required: true,
+    },
+    source_appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true,
+      unique: true,
+    },
+    consultation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultation',
+      default: null,
+    },
+
+    // ==================== RECOMMENDATION ====================
+
+    recommended_date: {
+      type: Date,
+      required: true,
+    },
+    timing: {
+      type: String,
+      default: null,
+      description: 'Recommended timing as worded by calculateFollowUpSchedule, e.g. Within 1-2 weeks',
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    risk_classification: {
+      type: String,
+      enum: ['Emergency', 'Medium', 'Low', 'Unclassified'],
+      default: 'Unclassified',
+    },
+
+    // ==================== STATUS ====================
+
+    status: {
+      type: String,
+      enum: FOLLOW_UP_STATUSES,
+      default: 'proposed',
+    },
+
+    proposal: {
+      start_time: { type: Date, default: null },
+      end_time: { type: Date, default: null },
+      hold_id: { type: mongoose.Schema.Types.ObjectId, ref: 'SlotHold', default: null },
+      token: { type: String, default: null, select: false },
+      proposed_at: { type: Date, default: null },
+      expires_at: { type: Date, default: null, description: 'Confirm by - the hold is released after this' },
+      notified_via: { type: [String], default: [] },
+      reminder_sent_at: { type: Date, default: null },
+    },
+
+    booked_appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    booked_at: {
+      type: Date,
+      default: null,
+    },
+    booked_by: {
+      type: String,
+      enum: ['patient', 'staff', null],
+      default: null,
+    },
+
+    escalated_at: {
+      type: Date,
+      default: null,
+    },
+    escalation_reason: {
+      type: String,
+      enum: ['no_slot', 'unreachable', 'unconfirmed', null],
+      default: null,
+    },
+
+    closed_at: {
+      type: Date,
+      default: null,
+    },
+    close_reason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+followUpSchema.index({ status: 1, 'proposal.expires_at': 1 });
+followUpSchema.index({ status: 1, recommended_date: 1, risk_classification: 1 });
+followUpSchema.index({ patient_id: 1, createdAt: -1 });
+followUpSchema.index({ doctor_id: 1, status: 1 });
+followUpSchema.index({ booked_appointment_id: 1 }, { sparse: true });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Check if the proposed slot is still held for the patient
+ */
+followUpSchema.methods.hasOpenProposal = function () {
+  return this.status === 'proposed'
+    && Boolean(this.proposal?.hold_id)
+    && this.proposal.expires_at > new Date();
+};
+
+const FollowUp = mongoose.model('FollowUp', followUpSchema);
+
+export { FOLLOW_UP_STATUSES, UNBOOKED_STATUSES };
+
+export default FollowUp;
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+/**
+ * InboundMessage Schema for MediFlow
+ * Patient replies received on the Twilio SMS/WhatsApp webhook and what we did with them
+ *
+ * Each record is one exchange: the patient's message, the parsed intent,
+ * the action taken on their appointment and the reply we sent back.
+ * message_sid is unique so Twilio retries are answered without acting twice.
+ */
+const inboundMessageSchema = new mongoose.Schema(
+  {
+    message_sid: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Twilio MessageSid',
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'whatsapp'],
+      required: true,
+    },
+    from_hint: {
+      type: String,
+      default: null,
+      description: 'Masked sender number (last 4 digits) - never the full number',
+    },
+    body: {
+      type: String,
+      default: '',
+      maxlength: 1600,
+    },
+
+    // ==================== MATCHING ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      default: null,
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+
+    // ==================== OUTCOME ====================
+
+    intent: {
+      type: String,
+      enum: ['confirm', 'decline', 'reschedule', 'opt_out', 'opt_in', 'help', 'unknown'],
+      required: true,
+    },
+    action_taken: {
+      type: String,
+      enum: [
+        'confirmed',
+        'cancelled',
+        'reschedule_requested',
+        'opted_out',
+        'opted_in',
+        'help_sent',
+        'already_confirmed',
+        'booking_link_sent',
+        'no_appointment',
+        'unknown_sender',
+        'not_understood',
+      ],
+      required: true,
+    },
+    appointment_status_before: {
+      type: String,
+      default: null,
+    },
+    reply: {
+      type: String,
+      default: null,
+      description: 'Message returned to the patient in the TwiML response',
+    },
+    needs_staff_follow_up: {
+      type: Boolean,
+      default: false,
+      description: 'Reschedule requests and unrecognised replies from known patients',
+    },
+    received_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// ==================== INDEXES ====================
+
+inboundMessageSchema.index({ patient_id: 1, received_at: -1 });
+inboundMessageSchema.index({ needs_staff_follow_up: 1, received_at: -1 });
+inboundMessageSchema.index({ appointment_id: 1 });
+
+const InboundMessage = mongoose.model('InboundMessage', inboundMessageSchema);
+
+export default InboundMessage;
@@ -0,0 +1,445 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+/**
+ * Invoice Schema for MediFlow
+ * GST tax invoice for a visit (consultation, procedures, lab tests, medicines)
+ * with partial payments and refunds
+ *
+ * - invoice_number restarts every Indian financial year (April-March):
+ *   INV/2025-26/000123; every payment gets its own receipt number
+ * - Line amounts are computed on save: gross - discount = taxable, GST on taxable
+ *   (CGST + SGST within the state, IGST for inter-state supply)
+ * - The grand total is rounded to the nearest rupee (round_off keeps the difference)
+ * - Invoices are never edited once issued - cancel and issue a new one instead
+ */
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'insurance', 'online'];
+
+/**
+ * Default GST rate (%) per line type - healthcare services are exempt
+ */
+const DEFAULT_GST_RATES = {
+  consultation: 0,
+  procedure: 0,
+  lab_test: 0,
+  medicine: 12,
+  consumable: 12,
+  other: 18,
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * One billed item
+ */
+const lineItemSchema = new mongoose.Schema(
+  {
+    item_type: {
+      type: String,
+      enum: Object.keys(DEFAULT_GST_RATES),
+      required: [true, 'item_type is required'],
+    },
+    description: {
+      type: String,
+      required: [true, 'description is required'],
+      trim: true,
+      maxlength: 200,
+    },
+    code: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'SAC / HSN code printed on the tax invoice',
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'quantity must be at least 1'],
+    },
+    unit_price: {
+      type: Number,
+      required: [true, 'unit_price is required'],
+      min: [0, 'unit_price cannot be negative'],
+    },
+    discount_percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    gst_rate: {
+      type: Number,
+      enum: [0, 5, 12, 18, 28],
+      default: null,
+      description: 'GST % (defaults from item_type when not given)',
+    },
+
+    // Computed on save
+    gross_amount: { type: Number, default: 0 },
+    discount_amount: { type: Number, default: 0 },
+    taxable_amount: { type: Number, default: 0 },
+    cgst_amount: { type: Number, default: 0 },
+    sgst_amount: { type: Number, default: 0 },
+    igst_amount: { type: Number, default: 0 },
+    total_amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Money received against the invoice
+ */
+const paymentSchema = new mongoose.Schema({
+  receipt_number: {
+    type: String,
+    required: true,
+    description: 'e.g. RCT/2025-26/000045',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'amount must be positive'],
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: null,
+    description: 'UPI / card transaction ID, insurer claim number',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  received_at: {
+    type: Date,
+    default: Date.now,
+  },
+  received_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+});
+
+/**
+ * Money returned to the patient
+ */
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'amount must be positive'],
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    description: 'Payment being refunded (optional)',
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  refunded_at: {
+    type: Date,
+    default: Date.now,
+  },
+  refunded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+});
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoice_number: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'e.g. INV/2025-26/000123 (sequence restarts each financial year)',
+    },
+    financial_year: {
+      type: String,
+      required: true,
+      description: 'Indian financial year, e.g. 2025-26',
+    },
+
+    // ==================== LINKS ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      default: null,
+    },
+    department: {
+      type: String,
+      default: null,
+      description: 'Department credited in the collections report',
+    },
+
+    // ==================== ITEMS & TAX ====================
+
+    line_items: {
+      type: [lineItemSchema],
+      validate: [(value) => value.length > 0, 'At least one line item is required'],
+    },
+    supply_type: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+      default: 'intra_state',
+      description: 'intra_state = CGST + SGST, inter_state = IGST',
+    },
+    patient_gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      description: 'Only for business / corporate billing',
+    },
+    discount_reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // ==================== TOTALS (computed on save) ====================
+
+    subtotal: { type: Number, default: 0, description: 'Sum of gross line amounts' },
+    discount_total: { type: Number, default: 0 },
+    taxable_total: { type: Number, default: 0 },
+    cgst_total: { type: Number, default: 0 },
+    sgst_total: { type: Number, default: 0 },
+    igst_total: { type: Number, default: 0 },
+    tax_total: { type: Number, default: 0 },
+    round_off: { type: Number, default: 0 },
+    grand_total: { type: Number, default: 0 },
+    amount_paid: { type: Number, default: 0 },
+    amount_refunded: { type: Number, default: 0 },
+    balance_due: { type: Number, default: 0 },
+
+    // ==================== PAYMENTS ====================
+
+    payments: {
+      type: [paymentSchema],
+      default: [],
+    },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+
+    // ==================== STATUS ====================
+
+    status: {
+      type: String,
+      enum: ['unpaid', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'cancelled'],
+      default: 'unpaid',
+    },
+    issued_at: {
+      type: Date,
+      default: Date.now,
+    },
+    issued_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    cancelled_at: {
+      type: Date,
+      default: null,
+    },
+    cancelled_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    cancellation_reason: {
+      type: String,
+      default: null,
+    },
+
+    // ==================== DELIVERY ====================
+
+    emailed_at: {
+      type: Date,
+      default: null,
+    },
+    email_count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    // Payments, refunds and cancellation check the stored balance before saving -
+    // a concurrent save bumps the version and the stale one fails (billingService retries)
+    optimisticConcurrency: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+invoiceSchema.index({ patient_id: 1, issued_at: -1 });
+// One live invoice per appointment - cancelling it frees the appointment for a new one
+invoiceSchema.index(
+  { appointment_id: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      appointment_id: { $type: 'objectId' },
+      status: { $in: ['unpaid', 'partially_paid', 'paid', 'partially_refunded', 'refunded'] },
+    },
+    name: 'one_live_invoice_per_appointment',
+  }
+);
+invoiceSchema.index({ status: 1, issued_at: -1 });
+invoiceSchema.index({ 'payments.received_at': 1 });
+invoiceSchema.index({ 'refunds.refunded_at': 1 });
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Recompute line amounts, totals, balance and status before every save
+ */
+invoiceSchema.pre('save', function (next) {
+  this.recalculate();
+  next();
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Recompute line amounts, totals, balance and payment status
+ */
+invoiceSchema.methods.recalculate = function () {
+  const interState = this.supply_type === 'inter_state';
+  const totals = { subtotal: 0, discount: 0, taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+
+  for (const item of this.line_items) {
+    if (item.gst_rate === null || item.gst_rate === undefined) {
+      item.gst_rate = DEFAULT_GST_RATES[item.item_type] ?? 0;
+    }
+
+    item.gross_amount = round2(item.quantity * item.unit_price);
+    item.discount_amount = round2((item.gross_amount * (item.discount_percent || 0)) / 100);
+    item.taxable_amount = round2(item.gross_amount - item.discount_amount);
+
+    const tax = (item.taxable_amount * item.gst_rate) / 100;
+    item.igst_amount = interState ? round2(tax) : 0;
+    item.cgst_amount = interState ? 0 : round2(tax / 2);
+    item.sgst_amount = interState ? 0 : round2(tax / 2);
+    item.total_amount = round2(item.taxable_amount + item.cgst_amount + item.sgst_amount + item.igst_amount);
+
+    totals.subtotal += item.gross_amount;
+    totals.discount += item.discount_amount;
+    totals.taxable += item.taxable_amount;
+    totals.cgst += item.cgst_amount;
+    totals.sgst += item.sgst_amount;
+    totals.igst += item.igst_amount;
+  }
+
+  this.subtotal = round2(totals.subtotal);
+  this.discount_total = round2(totals.discount);
+  this.taxable_total = round2(totals.taxable);
+  this.cgst_total = round2(totals.cgst);
+  this.sgst_total = round2(totals.sgst);
+  this.igst_total = round2(totals.igst);
+  this.tax_total = round2(this.cgst_total + this.sgst_total + this.igst_total);
+
+  const exactTotal = round2(this.taxable_total + this.tax_total);
+  this.grand_total = Math.round(exactTotal);
+  this.round_off = round2(this.grand_total - exactTotal);
+
+  this.amount_paid = round2(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.amount_refunded = round2(this.refunds.reduce((sum, refund) => sum + refund.amount, 0));
+  this.balance_due = round2(Math.max(this.grand_total - this.amount_paid, 0));
+
+  if (this.status !== 'cancelled') {
+    this.status = this.getPaymentStatus();
+  }
+
+  return this;
+};
+
+/**
+ * Payment status from the amounts paid and refunded
+ */
+invoiceSchema.methods.getPaymentStatus = function () {
+  if (this.amount_refunded > 0) {
+    return this.amount_refunded >= this.amount_paid ? 'refunded' : 'partially_refunded';
+  }
+  if (this.amount_paid <= 0) return 'unpaid';
+  return this.amount_paid >= this.grand_total ? 'paid' : 'partially_paid';
+};
+
+/**
+ * Amount that can still be refunded
+ */
+invoiceSchema.methods.getRefundableAmount = function () {
+  return round2(this.amount_paid - this.amount_refunded);
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Indian financial year (April-March) for a date, e.g. 2025-26
+ */
+invoiceSchema.statics.getFinancialYear = function (date = new Date()) {
+  const ist = new Date(date.getTime() + 330 * 60000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Next invoice number in the financial year
+ */
+invoiceSchema.statics.nextInvoiceNumber = async function (date = new Date()) {
+  const financialYear = this.getFinancialYear(date);
+  const sequence = await Counter.next(`invoice:${financialYear}`);
+
+  return { invoice_number: `INV/${financialYear}/${String(sequence).padStart(6, '0')}`, financial_year: financialYear };
+};
+
+/**
+ * Next payment receipt number in the financial year
+ */
+invoiceSchema.statics.nextReceiptNumber = async function (date = new Date()) {
+  const financialYear = this.getFinancialYear(date);
+  const sequence = await Counter.next(`receipt:${financialYear}`);
+
+  return `RCT/${financialYear}/${String(sequence).padStart(6, '0')}`;
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export { PAYMENT_METHODS, DEFAULT_GST_RATES };
+
+export default Invoice;
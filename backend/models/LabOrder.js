@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+/**
+ * LabOrder Schema for MediFlow
+ * One catalog test or imaging study ordered for a patient, from order to result
+ *
+ * Lifecycle: ordered → sample_collected → resulted (or cancelled before a result)
+ * - Imaging studies skip sample collection
+ * - Each result value is flagged against the catalog reference range; is_abnormal /
+ *   is_critical are kept unencrypted so worklists can filter on them
+ * - Results may be corrected after release; the previous values are kept in result_history
+ * - Clinical notes, results and report text are encrypted at rest
+ */
+
+const PRIORITY_RANK = {
+  stat: 2,
+  urgent: 1,
+  routine: 0,
+};
+
+/**
+ * One measured parameter
+ */
+const resultSchema = new mongoose.Schema(
+  {
+    parameter: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: String,
+      required: [true, 'value is required'],
+      trim: true,
+    },
+    unit: {
+      type: String,
+      default: null,
+    },
+    reference_low: {
+      type: Number,
+      default: null,
+    },
+    reference_high: {
+      type: Number,
+      default: null,
+    },
+    reference_text: {
+      type: String,
+      default: null,
+      description: 'Printed range, e.g. 13 - 17 or Negative',
+    },
+    flag: {
+      type: String,
+      enum: ['normal', 'low', 'high', 'critical_low', 'critical_high', 'abnormal'],
+      default: 'normal',
+    },
+    loinc: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const labOrderSchema = new mongoose.Schema(
+  {
+    order_number: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'e.g. LAB-20250114-0007 (daily sequence)',
+    },
+
+    // ==================== LINKS ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true,
+      description: 'Ordering doctor (notified of abnormal results)',
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    consultation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultation',
+      default: null,
+    },
+    ordered_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // ==================== TEST ====================
+
+    test_code: {
+      type: String,
+      required: true,
+      description: 'Lab test catalog code (utils/labTestCatalog.js)',
+    },
+    test_name: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ['lab', 'imaging'],
+      required: true,
+    },
+    priority: {
+      type: String,
+      enum: Object.keys(PRIORITY_RANK),
+      default: 'routine',
+    },
+    priority_rank: {
+      type: Number,
+      default: 0,
+      description: 'Worklist sort key from priority (stat first)',
+    },
+    clinical_notes: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 1000,
+      description: 'Reason for the test / relevant history for the lab',
+    },
+
+    // ==================== STATUS ====================
+
+    status: {
+      type: String,
+      enum: ['ordered', 'sample_collected', 'resulted', 'cancelled'],
+      default: 'ordered',
+    },
+
+    sample: {
+      sample_type: { type: String, default: null },
+      barcode: { type: String, default: null },
+      collected_at: { type: Date, default: null },
+      collected_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      notes: { type: String, default: null },
+    },
+
+    // ==================== RESULTS ====================
+
+    results: {
+      type: [resultSchema],
+      default: [],
+    },
+    report_text: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'Findings / impression (imaging) or lab comments',
+    },
+    result_history: {
+      type: [
+        {
+          _id: false,
+          results: [resultSchema],
+          report_text: String,
+          resulted_at: Date,
+          resulted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          corrected_at: { type: Date, default: Date.now },
+          reason: String,
+        },
+      ],
+      default: [],
+      description: 'Released results replaced by a correction (newest last)',
+    },
+    is_abnormal: {
+      type: Boolean,
+      default: false,
+    },
+    is_critical: {
+      type: Boolean,
+      default: false,
+    },
+    resulted_at: {
+      type: Date,
+      default: null,
+    },
+    resulted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    report_file: {
+      file_id: { type: mongoose.Schema.Types.ObjectId, ref: 'LabReportFile', default: null },
+      filename: { type: String, default: null },
+      content_type: { type: String, default: null },
+      size: { type: Number, default: null },
+      uploaded_at: { type: Date, default: null },
+    },
+
+    // ==================== NOTIFICATIONS ====================
+
+    doctor_notified_at: {
+      type: Date,
+      default: null,
+      description: 'Abnormal-result alert sent to the ordering doctor',
+    },
+    patient_notified_at: {
+      type: Date,
+      default: null,
+      description: 'Results-ready SMS sent to the patient',
+    },
+
+    // ==================== CANCELLATION ====================
+
+    cancelled_at: {
+      type: Date,
+      default: null,
+    },
+    cancelled_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    cancellation_reason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+labOrderSchema.index({ status: 1, priority_rank: -1, createdAt: 1 });
+labOrderSchema.index({ patient_id: 1, createdAt: -1 });
+labOrderSchema.index({ doctor_id: 1, status: 1 });
+labOrderSchema.index({ appointment_id: 1 });
+
+// ==================== MIDDLEWARE ====================
+
+labOrderSchema.pre('validate', function (next) {
+  this.priority_rank = PRIORITY_RANK[this.priority] || 0;
+  next();
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Record sample collection
+ */
+labOrderSchema.methods.collectSample = function ({ barcode = null, notes = null, sampleType = null }, userId) {
+  this.sample = {
+    sample_type: sampleType || this.sample?.sample_type || null,
+    barcode,
+    collected_at: new Date(),
+    collected_by: userId,
+    notes,
+  };
+  this.status = 'sample_collected';
+
+  return this.save();
+};
+
+/**
+ * Release results (a correction keeps the released version in result_history)
+ * @param {Object} data - { results, reportText, isAbnormal, reason }
+ */
+labOrderSchema.methods.releaseResults = function ({ results, reportText = null, isAbnormal = false, reason = null }, userId) {
+  if (this.status === 'resulted') {
+    this.result_history.push({
+      results: this.results.map((result) => result.toObject()),
+      report_text: this.report_text,
+      resulted_at: this.resulted_at,
+      resulted_by: this.resulted_by,
+      reason,
+    });
+  }
+
+  this.results = results;
+  this.report_text = reportText;
+  this.is_critical = results.some((result) => result.flag.startsWith('critical'));
+  this.is_abnormal = isAbnormal || this.is_critical || results.some((result) => result.flag !== 'normal');
+  this.status = 'resulted';
+  this.resulted_at = new Date();
+  this.resulted_by = userId;
+
+  return this.save();
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Next order number (daily sequence, clinic time)
+ */
+labOrderSchema.statics.nextOrderNumber = async function (date = new Date()) {
+  const day = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).replace(/-/g, '');
+  const sequence = await Counter.next(`lab:${day}`);
+
+  return `LAB-${day}-${String(sequence).padStart(4, '0')}`;
+};
+
+// ==================== FIELD ENCRYPTION ====================
+
+labOrderSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['clinical_notes', 'results', 'report_text', 'result_history'],
+});
+
+const LabOrder = mongoose.model('LabOrder', labOrderSchema);
+
+export default LabOrder;
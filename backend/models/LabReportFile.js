@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+/**
+ * LabReportFile Schema for MediFlow
+ * Report document (PDF / image) attached to a lab order by the lab desk
+ *
+ * Kept apart from LabOrder so worklists and result reads never load the file.
+ * The content is stored base64-encoded and encrypted at rest.
+ */
+
+const REPORT_CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const MAX_REPORT_BYTES = 5 * 1024 * 1024;
+
+const labReportFileSchema = new mongoose.Schema(
+  {
+    lab_order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LabOrder',
+      required: true,
+      index: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    content_type: {
+      type: String,
+      enum: REPORT_CONTENT_TYPES,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      max: [MAX_REPORT_BYTES, 'Report files are limited to 5 MB'],
+      description: 'Decoded size in bytes',
+    },
+    content: {
+      type: String,
+      required: true,
+      description: 'Base64 file content',
+    },
+    uploaded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== FIELD ENCRYPTION ====================
+
+labReportFileSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['content'],
+});
+
+const LabReportFile = mongoose.model('LabReportFile', labReportFileSchema);
+
+export { REPORT_CONTENT_TYPES, MAX_REPORT_BYTES };
+
+export default LabReportFile;
@@ -1,4 +1,54 @@
 import mongoose from 'mongoose';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+// ==================== COMMUNICATION CONSENT CONSTANTS ====================
+
+const COMMUNICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+const COMMUNICATION_CATEGORIES = ['transactional', 'marketing'];
+const PREFERRED_LANGUAGES = ['en', 'hi', 'kn', 'ta', 'te', 'ml', 'mr', 'bn', 'gu'];
+const CONSENT_SOURCES = [
+  'chatbot',
+  'booking',
+  'staff',
+  'sms_keyword',
+  'whatsapp_keyword',
+  'patient_portal',
+  'system',
+];
+
+/**
+ * Per-channel consent block
+ * transactional: appointment confirmations/reminders/cancellations
+ * marketing: health camps, newsletters, promotions
+ * opted_out: hard opt-out (STOP keyword) - blocks every message on the channel
+ */
+const channelConsent = (transactionalDefault) => ({
+  transactional: {
+    type: Boolean,
+    default: transactionalDefault,
+  },
+  marketing: {
+    type: Boolean,
+    default: false,
+  },
+  opted_out: {
+    type: Boolean,
+    default: false,
+  },
+  opted_out_at: {
+    type: Date,
+    default: null,
+  },
+  updated_at: {
+    type: Date,
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: [...CONSENT_SOURCES, null],
+    default: null,
+  },
+});
 
 /**
  * Patient Schema for MediFlow
@@ -9,6 +59,8 @@ import mongoose from 'mongoose';
  * - Indian Medical Council data retention (5 years)
  * - WHO/ATS triage classification (Emergency/Medium/Low)
  * - HIPAA-compliant data privacy fields
+ * - Field-level encryption of contact details, medical history and insurance
+ *   numbers (see FIELD ENCRYPTION below)
  * 
  * FEATURES:
  * - Risk classification (Emergency/Medium/Low) based on symptoms
@@ -32,16 +84,15 @@ const patientSchema = new mongoose.Schema(
       required: [true, 'Email is required for appointment reminders'],
       trim: true,
       lowercase: true,
-      unique: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
-      index: true,
+      description: 'Encrypted at rest - unique lookups go through email_blind_index',
     },
     phone: {
       type: String,
       required: [true, 'Phone number is required for emergency contact'],
       trim: true,
       match: [/^(\+91)?[6-9]\d{9}$/, 'Please provide a valid 10-digit Indian phone number (with or without +91 prefix)'],
-      index: true,
+      description: 'Encrypted at rest - lookups go through phone_blind_index',
     },
     
     // ==================== PATIENT DEMOGRAPHICS ====================
@@ -432,6 +483,81 @@ const patientSchema = new mongoose.Schema(
       default: null,
     },
     
+    // ==================== CONSENT & COMMUNICATION PREFERENCES ====================
+    
+    communication_preferences: {
+      email: channelConsent(true),
+      sms: channelConsent(true),
+      whatsapp: channelConsent(false), // WhatsApp requires explicit opt-in
+      quiet_hours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be HH:mm'],
+          default: '21:00',
+        },
+        end: {
+          type: String,
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be HH:mm'],
+          default: '08:00',
+        },
+        timezone: {
+          type: String,
+          default: 'Asia/Kolkata',
+        },
+      },
+      preferred_language: {
+        type: String,
+        enum: PREFERRED_LANGUAGES,
+        default: 'en',
+        description: 'Language/locale for patient-facing messages',
+      },
+    },
+    consent_history: {
+      type: [
+        {
+          channel: {
+            type: String,
+            enum: [...COMMUNICATION_CHANNELS, 'all'],
+            required: true,
+          },
+          setting: {
+            type: String,
+            required: true,
+            description: 'transactional | marketing | opted_out | quiet_hours | preferred_language',
+          },
+          value: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+          },
+          source: {
+            type: String,
+            enum: CONSENT_SOURCES,
+            required: true,
+          },
+          recorded_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            description: 'Staff user who recorded the change (null for patient self-service)',
+          },
+          note: {
+            type: String,
+            default: null,
+          },
+          recorded_at: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      default: [],
+      description: 'Append-only record of every consent/preference change',
+    },
+    
     // ==================== APPOINTMENT AUTOMATION ====================
     
     appointment_id: {
@@ -602,7 +728,6 @@ patientSchema.index({ validation_status: 1 });
 patientSchema.index({ returning_patient: 1 });
 patientSchema.index({ no_show_count: 1 });
 patientSchema.index({ high_no_show_risk: 1 });
-patientSchema.index({ phone: 1, email: 1 });
 
 // ==================== VIRTUAL FIELDS ====================
 
@@ -822,6 +947,49 @@ patientSchema.methods.markAsUnresponsive = function () {
   return this.save();
 };
 
+/**
+ * Record a consent/preference change
+ * @param {string} channel - email | sms | whatsapp | all ('all' for quiet_hours / preferred_language)
+ * @param {string} setting - transactional | marketing | opted_out | quiet_hours | preferred_language
+ * @param {*} value - New value
+ * @param {Object} context - { source, recordedBy, note }
+ */
+patientSchema.methods.recordConsentChange = function (
+  channel,
+  setting,
+  value,
+  { source, recordedBy = null, note = null }
+) {
+  const now = new Date();
+  const channels = channel === 'all' ? COMMUNICATION_CHANNELS : [channel];
+
+  if (['transactional', 'marketing', 'opted_out'].includes(setting)) {
+    for (const name of channels) {
+      const consent = this.communication_preferences[name];
+      consent[setting] = value;
+      if (setting === 'opted_out') {
+        consent.opted_out_at = value ? now : null;
+      }
+      consent.updated_at = now;
+      consent.source = source;
+    }
+  } else {
+    this.communication_preferences[setting] = value;
+  }
+
+  this.consent_history.push({
+    channel,
+    setting,
+    value,
+    source,
+    recorded_by: recordedBy,
+    note,
+    recorded_at: now,
+  });
+
+  this.markModified('communication_preferences');
+};
+
 patientSchema.methods.updateChronicFlags = function () {
   this.is_diabetic = this.chronic_conditions.includes('Diabetes');
   this.is_hypertensive = this.chronic_conditions.includes('Hypertension');
@@ -859,6 +1027,40 @@ patientSchema.pre('save', function (next) {
   next();
 });
 
+// ==================== FIELD ENCRYPTION ====================
+
+/**
+ * Encrypted at rest (AES-256-GCM, see utils/fieldEncryption.js).
+ * Registered after the pre-save middleware above so chronic flags are derived
+ * from the plaintext before it is encrypted.
+ *
+ * email/phone keep exact-match lookups (Patient.findOne({ email })) via blind
+ * indexes; regex search on them is no longer possible.
+ */
+patientSchema.plugin(encryptedFieldsPlugin, {
+  fields: [
+    'email',
+    'phone',
+    'allergies',
+    'chronic_conditions',
+    'current_medications',
+    'family_medical_history',
+    'insurance_policy_number',
+  ],
+  blindIndexes: {
+    email: {
+      normalize: (email) => email.trim().toLowerCase(),
+      unique: true,
+    },
+    phone: {
+      // 9876543210, +919876543210 and 09876543210 are the same number
+      normalize: (phone) => phone.replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, ''),
+    },
+  },
+});
+
 const Patient = mongoose.model('Patient', patientSchema);
 
+export { COMMUNICATION_CHANNELS, COMMUNICATION_CATEGORIES, PREFERRED_LANGUAGES, CONSENT_SOURCES };
+
 export default Patient;
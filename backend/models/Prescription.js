@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+/**
+ * Prescription Schema for MediFlow
+ * Medicines prescribed by a doctor for an appointment, with a signature block
+ *
+ * - Amending keeps the same prescription number and bumps `version`; the
+ *   previous content is kept in `revisions` (printed copies of older versions
+ *   show as superseded when their QR code is scanned)
+ * - verification_code is a random token in the QR code on the PDF - the public
+ *   verification route looks prescriptions up by it, never by _id
+ * - Prescribing-safety alerts (allergies, interactions, duplication) for the
+ *   current version are kept with it; overriding a high-severity alert needs a
+ *   reason and is kept in `safety_overrides`
+ * - Diagnosis, medicines, advice, revisions and safety data are encrypted at rest
+ */
+
+/**
+ * One prescribed medicine
+ */
+const medicationSchema = new mongoose.Schema(
+  {
+    drug_name: {
+      type: String,
+      required: [true, 'drug_name is required'],
+      trim: true,
+      maxlength: 200,
+    },
+    strength: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'e.g. 500 mg, 5 mg/ml',
+    },
+    dose: {
+      type: String,
+      required: [true, 'dose is required'],
+      trim: true,
+      description: 'e.g. 1 tablet, 10 ml',
+    },
+    route: {
+      type: String,
+      enum: ['oral', 'topical', 'inhalation', 'injection', 'sublingual', 'nasal', 'ophthalmic', 'otic', 'rectal', 'other'],
+      default: 'oral',
+    },
+    frequency: {
+      type: String,
+      required: [true, 'frequency is required'],
+      trim: true,
+      description: 'e.g. twice daily, 1-0-1, every 8 hours',
+    },
+    duration: {
+      type: String,
+      required: [true, 'duration is required'],
+      trim: true,
+      description: 'e.g. 5 days, 1 month',
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 500,
+      description: 'e.g. after food',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One prescribing-safety alert (services/prescribingSafetyService)
+ */
+const safetyAlertSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['allergy', 'interaction', 'duplicate'],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['high', 'moderate', 'low'],
+      required: true,
+    },
+    drug: { type: String, required: true },
+    conflicts_with: {
+      type: String,
+      description: 'Allergy, current medication or other prescribed drug',
+    },
+    source: {
+      type: String,
+      enum: ['allergy', 'current_medication', 'prescription'],
+    },
+    rationale: String,
+  },
+  { _id: false }
+);
+
+const prescriptionSchema = new mongoose.Schema(
+  {
+    prescription_number: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Printed number, e.g. RX-20250114-7F3A9C',
+    },
+    verification_code: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Random token encoded in the QR code (public verification)',
+    },
+
+    // ==================== LINKS ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true,
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true,
+    },
+    consultation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultation',
+      default: null,
+    },
+
+    // ==================== CONTENT ====================
+
+    diagnosis: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    medications: {
+      type: [medicationSchema],
+      validate: [(value) => value.length > 0, 'At least one medication is required'],
+    },
+    advice: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'General advice (diet, rest, warning signs)',
+    },
+    follow_up_date: {
+      type: Date,
+      default: null,
+    },
+
+    // ==================== SIGNATURE ====================
+
+    signature: {
+      doctor_name: { type: String, required: true },
+      specialization: { type: String, default: null },
+      department: { type: String, default: null },
+      registration_number: { type: String, default: null },
+      signed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        description: 'Staff account that signed (the prescribing doctor)',
+      },
+      signed_at: { type: Date, default: Date.now },
+    },
+
+    // ==================== VERSIONING ====================
+
+    version: {
+      type: Number,
+      default: 1,
+    },
+    revisions: {
+      type: [
+        {
+          _id: false,
+          version: Number,
+          diagnosis: String,
+          medications: [medicationSchema],
+          advice: String,
+          follow_up_date: Date,
+          signed_at: Date,
+          amended_at: { type: Date, default: Date.now },
+          amended_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          reason: String,
+        },
+      ],
+      default: [],
+      description: 'Previous versions (newest last)',
+    },
+
+    // ==================== PRESCRIBING SAFETY ====================
+
+    safety_alerts: {
+      type: [safetyAlertSchema],
+      default: [],
+      description: 'Alerts raised when the current version was saved',
+    },
+    safety_overrides: {
+      type: [
+        {
+          _id: false,
+          version: Number,
+          alerts: [safetyAlertSchema],
+          reason: { type: String, required: true },
+          overridden_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          overridden_at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      description: 'High-severity alerts the prescriber overrode, with their reason (newest last)',
+    },
+
+    // ==================== DELIVERY ====================
+
+    emailed_at: {
+      type: Date,
+      default: null,
+    },
+    email_count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+prescriptionSchema.index({ patient_id: 1, createdAt: -1 });
+prescriptionSchema.index({ appointment_id: 1 });
+prescriptionSchema.index({ doctor_id: 1, createdAt: -1 });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Replace the content with an amended version, keeping the current one in revisions
+ * @param {Object} changes - { diagnosis, medications, advice, follow_up_date }
+ * @param {Object} context - { userId, reason }
+ */
+prescriptionSchema.methods.amend = function (changes, { userId, reason }) {
+  this.revisions.push({
+    version: this.version,
+    diagnosis: this.diagnosis,
+    medications: this.medications.map((medication) => medication.toObject()),
+    advice: this.advice,
+    follow_up_date: this.follow_up_date,
+    signed_at: this.signature.signed_at,
+    amended_by: userId,
+    reason,
+  });
+
+  for (const field of ['diagnosis', 'medications', 'advice', 'follow_up_date']) {
+    if (changes[field] !== undefined) {
+      this[field] = changes[field];
+    }
+  }
+
+  this.version += 1;
+  this.signature.signed_at = new Date();
+
+  return this.save();
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * New prescription number and QR verification code
+ */
+prescriptionSchema.statics.generateIdentifiers = function (date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+
+  return {
+    prescription_number: `RX-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+    verification_code: crypto.randomBytes(12).toString('base64url'),
+  };
+};
+
+// ==================== FIELD ENCRYPTION ====================
+
+prescriptionSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['diagnosis', 'medications', 'advice', 'revisions', 'safety_alerts', 'safety_overrides'],
+});
+
+const Prescription = mongoose.model('Prescription', prescriptionSchema);
+
+export default Prescription;
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import encryptedFieldsPlugin from './plugins/encryptedFields.js';
+
+/**
+ * Referral Schema for MediFlow
+ * A patient referred by a doctor to another department (internal) or to an
+ * outside specialist (external)
+ *
+ * Lifecycle: pending → accepted → completed
+ *            pending → declined
+ *            pending | accepted → cancelled
+ * - Internal: a receiving doctor is picked in the target department and open
+ *   slots are proposed; accepting books one of them
+ * - External: the specialist's reply is recorded by the referring doctor and a
+ *   referral letter (PDF) can be emailed to them
+ * - Reason, clinical summary and outcome notes are encrypted at rest
+ */
+
+const REFERRAL_TRANSITIONS = {
+  pending: ['accepted', 'declined', 'cancelled'],
+  accepted: ['completed', 'cancelled'],
+  declined: [],
+  completed: [],
+  cancelled: [],
+};
+
+const referralSchema = new mongoose.Schema(
+  {
+    referral_number: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'e.g. REF-20250114-0003 (daily sequence)',
+    },
+    type: {
+      type: String,
+      enum: ['internal', 'external'],
+      required: true,
+    },
+    urgency: {
+      type: String,
+      enum: ['routine', 'urgent', 'emergency'],
+      default: 'routine',
+    },
+
+    // ==================== SOURCE ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    referring_doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true,
+    },
+    source_appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    consultation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultation',
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Referral reason is required'],
+      trim: true,
+      maxlength: 1000,
+    },
+    clinical_summary: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 4000,
+      description: 'History, findings and treatment so far (printed on the letter)',
+    },
+
+    // ==================== INTERNAL TARGET ====================
+
+    department: {
+      type: String,
+      default: null,
+    },
+    receiving_doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      default: null,
+    },
+    proposed_slots: {
+      type: [
+        {
+          _id: false,
+          start_time: Date,
+          end_time: Date,
+        },
+      ],
+      default: [],
+      description: 'Open slots of the receiving doctor when the referral was made',
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+      description: 'Appointment booked when the referral was accepted',
+    },
+
+    // ==================== EXTERNAL TARGET ====================
+
+    external_provider: {
+      name: { type: String, trim: true, default: null },
+      specialty: { type: String, trim: true, default: null },
+      facility: { type: String, trim: true, default: null },
+      address: { type: String, trim: true, default: null },
+      phone: { type: String, trim: true, default: null },
+      email: { type: String, trim: true, lowercase: true, default: null },
+    },
+
+    // ==================== STATUS ====================
+
+    status: {
+      type: String,
+      enum: Object.keys(REFERRAL_TRANSITIONS),
+      default: 'pending',
+    },
+    status_history: {
+      type: [
+        {
+          _id: false,
+          status: String,
+          changed_at: { type: Date, default: Date.now },
+          changed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+          note: { type: String, default: null },
+        },
+      ],
+      default: [],
+    },
+    responded_at: {
+      type: Date,
+      default: null,
+    },
+    decline_reason: {
+      type: String,
+      default: null,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+    outcome_notes: {
+      type: String,
+      trim: true,
+      default: null,
+      description: 'Specialist findings / advice once the referral is completed',
+    },
+    cancelled_at: {
+      type: Date,
+      default: null,
+    },
+    cancellation_reason: {
+      type: String,
+      default: null,
+    },
+
+    // ==================== NOTIFICATIONS ====================
+
+    doctor_notified_at: {
+      type: Date,
+      default: null,
+      description: 'Receiving doctor emailed about the referral',
+    },
+    letter_sent_at: {
+      type: Date,
+      default: null,
+    },
+    letter_sent_to: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+referralSchema.index({ receiving_doctor_id: 1, status: 1, createdAt: -1 });
+referralSchema.index({ referring_doctor_id: 1, status: 1, createdAt: -1 });
+referralSchema.index({ patient_id: 1, createdAt: -1 });
+referralSchema.index({ appointment_id: 1 }, { sparse: true });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Check whether the referral may move to a status
+ */
+referralSchema.methods.canTransitionTo = function (status) {
+  return (REFERRAL_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move to a new status and record it in status_history (caller saves)
+ * @returns {boolean} - False if the transition is not allowed
+ */
+referralSchema.methods.transitionTo = function (status, userId = null, note = null) {
+  if (!this.canTransitionTo(status)) {
+    return false;
+  }
+
+  this.status = status;
+  this.status_history.push({ status, changed_at: new Date(), changed_by: userId, note });
+
+  return true;
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Next referral number (daily sequence, clinic time)
+ */
+referralSchema.statics.nextReferralNumber = async function (date = new Date()) {
+  const day = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).replace(/-/g, '');
+  const sequence = await Counter.next(`referral:${day}`);
+
+  return `REF-${day}-${String(sequence).padStart(4, '0')}`;
+};
+
+// ==================== FIELD ENCRYPTION ====================
+
+referralSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['reason', 'clinical_summary', 'outcome_notes'],
+});
+
+const Referral = mongoose.model('Referral', referralSchema);
+
+export { REFERRAL_TRANSITIONS };
+
+export default Referral;
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+/**
+ * SlotHold Schema for MediFlow
+ * Short-lived reservation of a doctor's time slot during self-service booking
+ *
+ * Flow:
+ * - Patient picks a slot → hold is placed (expires after SLOT_HOLD_MINUTES)
+ * - Patient confirms → hold is turned into a scheduled Appointment and removed
+ * - Patient walks away → MongoDB TTL index deletes the hold
+ * - Staff, chatbot and reschedule bookings hold the slot just long enough to
+ *   save the appointment (bookingService.saveUnderHold)
+ *
+ * Concurrency:
+ * - Unique { doctor_id, start_time } index - two holds can never share a start time
+ * - Overlapping holds with different start times are rejected by bookingService
+ *   after insert (the later writer backs off)
+ */
+
+/**
+ * Why a slot is held
+ * - self_service: patient picking a slot online (one per patient, public routes)
+ * - follow_up / waitlist_offer: reserved for a patient for hours while they decide
+ * - referral / direct_booking: taken just long enough to book (staff, chatbot, reschedule)
+ */
+const HOLD_PURPOSES = ['self_service', 'follow_up', 'waitlist_offer', 'referral', 'direct_booking'];
+
+const slotHoldSchema = new mongoose.Schema(
+  {
+    // ==================== SLOT ====================
+
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true,
+    },
+    slot_id: {
+      type: String,
+      required: true,
+      description: 'Slot identifier copied onto Appointment.time_slots on confirm',
+    },
+    start_time: {
+      type: Date,
+      required: true,
+    },
+    end_time: {
+      type: Date,
+      required: true,
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata',
+    },
+    department: {
+      type: String,
+      required: true,
+    },
+    appointment_type: {
+      type: String,
+      enum: ['new_patient', 'follow_up', 'emergency', 'routine_checkup', 'lab_review', 'telemedicine'],
+      default: 'new_patient',
+    },
+
+    // ==================== HOLDER ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      default: null,
+      description: 'Patient placing the hold (only they can confirm it)',
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+      description: 'Existing slots_generated appointment this hold will book',
+    },
+    purpose: {
+      type: String,
+      enum: HOLD_PURPOSES,
+      default: 'self_service',
+      description: 'Only self_service holds are replaced or released by the patient-facing routes',
+    },
+
+    // ==================== STATUS ====================
+
+    status: {
+      type: String,
+      enum: ['held', 'confirming'],
+      default: 'held',
+      description: 'confirming = claimed by a confirm request (prevents double confirm)',
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+slotHoldSchema.index({ doctor_id: 1, start_time: 1 }, { unique: true });
+slotHoldSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// ==================== VIRTUAL FIELDS ====================
+
+slotHoldSchema.virtual('seconds_remaining').get(function () {
+  return Math.max(0, Math.floor((this.expires_at - Date.now()) / 1000));
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Check if hold is still active (TTL cleanup runs about once a minute)
+ */
+slotHoldSchema.methods.isActive = function () {
+  return this.expires_at > new Date();
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Get active holds for a doctor in a time range
+ */
+slotHoldSchema.statics.findActiveForDoctor = function (doctorId, from, to, excludeHoldId = null) {
+  const query = {
+    doctor_id: doctorId,
+    start_time: { $lt: to },
+    end_time: { $gt: from },
+    expires_at: { $gt: new Date() },
+  };
+
+  if (excludeHoldId) {
+    query._id = { $ne: excludeHoldId };
+  }
+
+  return this.find(query).sort({ start_time: 1 }).lean();
+};
+
+slotHoldSchema.set('toJSON', { virtuals: true });
+slotHoldSchema.set('toObject', { virtuals: true });
+
+const SlotHold = mongoose.model('SlotHold', slotHoldSchema);
+
+export { HOLD_PURPOSES };
+
+export default SlotHold;
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+/**
+ * SmsMessage Schema for MediFlow
+ * One record per outbound SMS/WhatsApp accepted by Twilio, keyed by message SID
+ *
+ * Created by smsService.sendSMS; Twilio status callbacks (POST /api/sms/status)
+ * move it through queued → sent → delivered/undelivered/failed and the final
+ * outcome is counted exactly once into SmsTemplate.delivery_stats.
+ */
+const smsMessageSchema = new mongoose.Schema(
+  {
+    sid: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Twilio MessageSid',
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'whatsapp'],
+      default: 'sms',
+    },
+    to_hint: {
+      type: String,
+      default: null,
+      description: 'Masked recipient (last 4 digits) - never the full number',
+    },
+
+    // ==================== WHAT WAS SENT ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      default: null,
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    template_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SmsTemplate',
+      default: null,
+    },
+    message_type: {
+      type: String,
+      default: 'custom',
+      description: 'appointment_confirmation, appointment_reminder_1_day, custom, ...',
+    },
+    category: {
+      type: String,
+      enum: ['transactional', 'marketing', 'emergency', 'internal'],
+      default: 'transactional',
+    },
+
+    // ==================== DELIVERY STATE ====================
+
+    status: {
+      type: String,
+      enum: [
+        'accepted', 'scheduled', 'queued', 'sending', 'sent',
+        'delivered', 'read', 'undelivered', 'failed', 'canceled',
+      ],
+      default: 'queued',
+    },
+    outcome: {
+      type: String,
+      enum: ['delivered', 'failed', null],
+      default: null,
+      description: 'Final result - set once, when it is counted into template stats',
+    },
+    error_code: {
+      type: String,
+      default: null,
+    },
+    error_message: {
+      type: String,
+      default: null,
+    },
+    status_history: [
+      {
+        _id: false,
+        status: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    sent_at: {
+      type: Date,
+      default: Date.now,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+      description: 'When the final outcome (delivered/failed) was reported',
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// ==================== INDEXES ====================
+
+smsMessageSchema.index({ sent_at: -1, status: 1 });
+smsMessageSchema.index({ patient_id: 1, sent_at: -1 });
+smsMessageSchema.index({ appointment_id: 1 });
+smsMessageSchema.index({ template_id: 1 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+export default SmsMessage;
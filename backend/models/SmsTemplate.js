@@ -683,6 +683,60 @@ smsTemplateSchema.statics.getTemplateAnalytics = async function () {
 };
 
 
+/**
+ * Record a send that Twilio accepted (atomic - safe under concurrent sends)
+ * The message counts as pending until its status callback reports an outcome.
+ */
+smsTemplateSchema.statics.recordSend = function (templateId) {
+  return this.updateOne(
+    { _id: templateId },
+    {
+      $inc: { usage_count: 1, 'delivery_stats.total_sent': 1, 'delivery_stats.pending': 1 },
+      $set: { last_used: new Date() },
+    }
+  );
+};
+
+
+/**
+ * Move one pending message to delivered/failed and recompute success_rate
+ * (atomic pipeline update - status callbacks arrive concurrently)
+ * @param {string} outcome - 'delivered' | 'failed'
+ */
+smsTemplateSchema.statics.recordDeliveryOutcome = function (templateId, outcome) {
+  const counter = outcome === 'delivered' ? 'delivery_stats.delivered' : 'delivery_stats.failed';
+
+  return this.updateOne({ _id: templateId }, [
+    {
+      $set: {
+        [counter]: { $add: [`$${counter}`, 1] },
+        'delivery_stats.pending': { $max: [0, { $subtract: ['$delivery_stats.pending', 1] }] },
+      },
+    },
+    {
+      $set: {
+        success_rate: {
+          $round: [
+            {
+              $multiply: [
+                100,
+                {
+                  $divide: [
+                    '$delivery_stats.delivered',
+                    { $add: ['$delivery_stats.delivered', '$delivery_stats.failed'] },
+                  ],
+                },
+              ],
+            },
+            0,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+
 const SmsTemplate = mongoose.model('SmsTemplate', smsTemplateSchema);
 
 
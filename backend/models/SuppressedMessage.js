@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * SuppressedMessage Schema for MediFlow
+ * Record of every patient message NOT sent because of their communication preferences
+ *
+ * Written by consentService whenever emailService/smsService skip a send
+ * (opted out via STOP, no consent for the category, or inside quiet hours).
+ * Gives staff an answer to "why didn't the patient get a reminder?".
+ */
+const suppressedMessageSchema = new mongoose.Schema(
+  {
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp'],
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ['transactional', 'marketing', 'emergency'],
+      required: true,
+    },
+    message_type: {
+      type: String,
+      default: 'custom',
+      description: 'appointment_confirmation, appointment_reminder, custom, ...',
+    },
+    reason: {
+      type: String,
+      enum: ['opted_out', 'no_consent', 'quiet_hours'],
+      required: true,
+    },
+    recipient_hint: {
+      type: String,
+      default: null,
+      description: 'Masked recipient (last digits / first letter) - never the full address',
+    },
+    suppressed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// ==================== INDEXES ====================
+
+suppressedMessageSchema.index({ patient_id: 1, suppressed_at: -1 });
+suppressedMessageSchema.index({ reason: 1, suppressed_at: -1 });
+
+const SuppressedMessage = mongoose.model('SuppressedMessage', suppressedMessageSchema);
+
+export default SuppressedMessage;
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+
+/**
+ * TriageRuleSet Schema for MediFlow
+ * Versioned triage rules the medical director tunes without a deploy:
+ * red flag symptoms, scoring tables, department risk modifiers and the
+ * symptom → department routing keywords
+ *
+ * Lifecycle: draft → published → archived
+ * - Drafts are edited freely; any edit clears the last test run
+ * - Publishing requires a passing test run against the sample case library
+ *   (TriageTestCase); the previously published version is archived
+ * - Rolling back re-publishes an archived version (recorded in `publications`)
+ * - Exactly one version is published at a time; with none, the built-in
+ *   rules (utils/triageRuleDefaults, version 0) apply
+ *
+ * Consultation.ai_triage.rule_set_version records which version triaged a patient.
+ */
+
+const RULE_SET_STATUSES = ['draft', 'published', 'archived'];
+
+const RULE_FIELDS = ['red_flag_symptoms', 'triage_config', 'department_risk_modifiers', 'symptom_department_map'];
+
+/**
+ * One routing keyword (order matters - the first match wins)
+ */
+const departmentKeywordSchema = new mongoose.Schema(
+  {
+    keyword: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    department: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Outcome of running the sample case library against this version
+ */
+const testRunSchema = new mongoose.Schema(
+  {
+    run_at: { type: Date, default: Date.now },
+    run_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    total: { type: Number, default: 0 },
+    passed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    results: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+      description: 'Per case: expected vs actual classification (and department)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Every time this version went live
+ */
+const publicationSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['publish', 'rollback'],
+      required: true,
+    },
+    at: { type: Date, default: Date.now },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    by_name: { type: String, default: null },
+    replaced_version: {
+      type: Number,
+      default: null,
+      description: 'Version that was live before (0 = built-in rules)',
+    },
+    reason: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const triageRuleSetSchema = new mongoose.Schema(
+  {
+    // ==================== VERSION ====================
+
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: 1,
+      description: 'Sequential rule set version (Counter "triage-rule-set")',
+    },
+    status: {
+      type: String,
+      enum: RULE_SET_STATUSES,
+      default: 'draft',
+      index: true,
+    },
+    based_on_version: {
+      type: Number,
+      default: null,
+      description: 'Version the draft was copied from (0 = built-in rules)',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 2000,
+      description: 'What changed and why',
+    },
+
+    // ==================== RULES ====================
+
+    red_flag_symptoms: {
+      type: [String],
+      default: [],
+      description: 'Phrases that make triage an automatic Emergency',
+    },
+    triage_config: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      description: 'Scoring tables: pain_scale, symptom_duration, age_risk, chronic_conditions_impact, vitals_severity',
+    },
+    department_risk_modifiers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      description: 'Score multiplier per department',
+    },
+    symptom_department_map: {
+      type: [departmentKeywordSchema],
+      default: [],
+      description: 'Routing keywords in match order',
+    },
+
+    // ==================== TESTING & PUBLISHING ====================
+
+    test_run: {
+      type: testRunSchema,
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    published_at: {
+      type: Date,
+      default: null,
+      description: 'Most recent time this version went live',
+    },
+    archived_at: {
+      type: Date,
+      default: null,
+    },
+    publications: {
+      type: [publicationSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// ==================== INDEXES ====================
+
+// Only one published rule set at a time
+triageRuleSetSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'published' }, name: 'one_published_rule_set' }
+);
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * The rules as used by triage and routing
+ * @returns {Object} - { red_flag_symptoms, triage_config, department_risk_modifiers, symptom_department_map }
+ */
+triageRuleSetSchema.methods.toRules = function () {
+  return {
+    red_flag_symptoms: [...this.red_flag_symptoms],
+    triage_config: this.triage_config,
+    department_risk_modifiers: this.department_risk_modifiers,
+    symptom_department_map: this.symptom_department_map.map(({ keyword, department }) => ({ keyword, department })),
+  };
+};
+
+/**
+ * Has the current content passed the sample case library?
+ */
+triageRuleSetSchema.methods.hasPassingTestRun = function () {
+  return Boolean(this.test_run && this.test_run.total > 0 && this.test_run.failed === 0);
+};
+
+const TriageRuleSet = mongoose.model('TriageRuleSet', triageRuleSetSchema);
+
+export { RULE_SET_STATUSES, RULE_FIELDS };
+
+export default TriageRuleSet;
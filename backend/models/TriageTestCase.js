@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * TriageTestCase Schema for MediFlow
+ * Sample patient presentations with the triage outcome the medical director
+ * expects - the library a triage rule set must pass before it is published
+ *
+ * Cases are synthetic (no real patient data) and are run through the
+ * rule-based triage and department routing of the rule set under test.
+ */
+
+const CLASSIFICATIONS = ['Emergency', 'Medium', 'Low'];
+
+const triageTestCaseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Case name is required'],
+      unique: true,
+      trim: true,
+      maxlength: 120,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 1000,
+      description: 'What the case is meant to guard against',
+    },
+
+    // ==================== PRESENTATION ====================
+
+    patient_data: {
+      age: { type: Number, min: 0, max: 150, default: null },
+      chief_complaint: { type: String, trim: true, default: null },
+      symptoms: { type: [String], default: [] },
+      pain_scale: { type: Number, min: 0, max: 10, default: 0 },
+      symptom_duration: {
+        type: String,
+        default: null,
+        description: 'One of the triage_config.symptom_duration bands, e.g. "1-3 days"',
+      },
+      chronic_conditions: { type: [String], default: [] },
+      vitals: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+        description: 'Optional blood_pressure / pulse_rate / temperature / oxygen_saturation',
+      },
+      primary_department: { type: String, default: null },
+    },
+
+    // ==================== EXPECTATION ====================
+
+    expected_classification: {
+      type: String,
+      enum: CLASSIFICATIONS,
+      required: [true, 'Expected classification is required'],
+    },
+    expected_department: {
+      type: String,
+      default: null,
+      description: 'Expected routing department (not checked when empty)',
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+      description: 'Inactive cases are kept but not run',
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TriageTestCase = mongoose.model('TriageTestCase', triageTestCaseSchema);
+
+export { CLASSIFICATIONS };
+
+export default TriageTestCase;
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+/**
+ * User Schema for MediFlow
+ * Clinic staff accounts for the MediFlow API (patients never log in)
+ *
+ * Roles:
+ * - admin: full access (staff accounts, doctors, templates, deletes)
+ * - doctor: clinical access, scoped to their own patients (linked Doctor record)
+ * - receptionist: front desk (patients, appointments, notifications)
+ * - nurse: clinical support (patients, check-in, vitals)
+ * - lab_technician: lab desk (sample collection, result entry, report upload)
+ */
+
+const STAFF_ROLES = ['admin', 'doctor', 'receptionist', 'nurse', 'lab_technician'];
+
+const userSchema = new mongoose.Schema(
+  {
+    // ==================== BASIC INFORMATION ====================
+
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+    },
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false,
+    },
+
+    // ==================== ROLE & ACCESS ====================
+
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Role is required'],
+      index: true,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      default: null,
+      description: 'Linked Doctor record (required for role=doctor, used for patient scoping)',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      description: 'Inactive users cannot log in and existing tokens stop working',
+    },
+
+    // ==================== ACTIVITY ====================
+
+    last_login_at: {
+      type: Date,
+      default: null,
+    },
+    password_changed_at: {
+      type: Date,
+      default: null,
+      description: 'Tokens issued before this time are rejected',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== VALIDATION ====================
+
+userSchema.path('doctor_id').validate(function (value) {
+  return this.role !== 'doctor' || Boolean(value);
+}, 'doctor_id is required for users with the doctor role');
+
+// ==================== PRE-SAVE MIDDLEWARE ====================
+
+/**
+ * Hash password whenever it changes
+ */
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.password_changed_at = new Date();
+  }
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Compare a plain-text password with the stored hash
+ * (query must include .select('+password'))
+ */
+userSchema.methods.matchPassword = function (enteredPassword) {
+  return bcrypt.compare(enteredPassword, this.password);
+};
+
+/**
+ * Check if a token issued at `iat` (seconds) predates a password change
+ */
+userSchema.methods.changedPasswordAfter = function (iat) {
+  if (!this.password_changed_at) return false;
+  return Math.floor(this.password_changed_at.getTime() / 1000) > iat;
+};
+
+/**
+ * Public profile (never includes the password hash)
+ */
+userSchema.methods.toProfile = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    doctor_id: this.doctor_id,
+    active: this.active,
+    last_login_at: this.last_login_at,
+  };
+};
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
+});
+
+const User = mongoose.model('User', userSchema);
+
+export { STAFF_ROLES };
+
+export default User;
@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+
+/**
+ * WaitlistEntry Schema for MediFlow
+ * Patients waiting for an earlier slot with a department (any doctor) or a specific doctor
+ *
+ * Flow:
+ * - Patient joins from the chatbot (no open slot) or the booking page → waiting
+ * - A cancellation/no-show frees a slot → waitlistService offers it to the
+ *   highest-priority matching entry: the slot is held (SlotHold) and the
+ *   patient gets an SMS/email link → offered
+ * - Patient accepts → hold is confirmed into an Appointment → booked
+ * - Patient declines or the offer window lapses → back to waiting, slot goes
+ *   to the next person (entries that miss too many offers are expired)
+ *
+ * Priority: risk_classification (Emergency first), then join time.
+ */
+
+/**
+ * Queue priority per risk classification (higher is offered first)
+ */
+const RISK_PRIORITY = {
+  Emergency: 3,
+  Medium: 2,
+  Low: 1,
+  Unclassified: 0,
+};
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    // ==================== WHO / WHAT ====================
+
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    department: {
+      type: String,
+      required: true,
+    },
+    doctor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      default: null,
+      description: 'Specific doctor requested (null = any doctor in the department)',
+    },
+    appointment_type: {
+      type: String,
+      enum: ['new_patient', 'follow_up', 'emergency', 'routine_checkup', 'lab_review', 'telemedicine'],
+      default: 'new_patient',
+    },
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+      description: 'Booking request (slots_generated) to book when an offer is accepted',
+    },
+    chief_complaint: {
+      type: String,
+      default: null,
+    },
+    symptoms: [String],
+    source: {
+      type: String,
+      enum: ['chatbot', 'online', 'staff'],
+      default: 'online',
+    },
+
+    // ==================== PRIORITY ====================
+
+    risk_classification: {
+      type: String,
+      enum: ['Emergency', 'Medium', 'Low', 'Unclassified'],
+      default: 'Unclassified',
+      description: 'Patient risk when they joined',
+    },
+    priority: {
+      type: Number,
+      default: 0,
+      description: 'Derived from risk_classification - higher is offered first',
+    },
+
+    // ==================== PREFERENCES ====================
+
+    earliest_date: {
+      type: Date,
+      default: null,
+      description: 'Do not offer slots before this time',
+    },
+    latest_date: {
+      type: Date,
+      default: null,
+      description: 'Do not offer slots after this time (entry expires after it)',
+    },
+
+    // ==================== STATUS ====================
+
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offer: {
+      doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        default: null,
+      },
+      start_time: { type: Date, default: null },
+      end_time: { type: Date, default: null },
+      hold_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlotHold',
+        default: null,
+      },
+      token: {
+        type: String,
+        default: null,
+        select: false,
+        description: 'Secret in the accept/decline link sent to the patient',
+      },
+      offered_at: { type: Date, default: null },
+      expires_at: { type: Date, default: null },
+      notified_via: [String],
+    },
+    offer_history: [
+      {
+        _id: false,
+        doctor_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Doctor',
+        },
+        start_time: Date,
+        offered_at: Date,
+        outcome: {
+          type: String,
+          enum: ['accepted', 'declined', 'expired', 'unreachable', 'withdrawn'],
+        },
+        responded_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    missed_offers: {
+      type: Number,
+      default: 0,
+      description: 'Offers that lapsed without an answer',
+    },
+    booked_appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+    closed_at: {
+      type: Date,
+      default: null,
+    },
+    close_reason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+waitlistEntrySchema.index({ status: 1, department: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expires_at': 1 });
+waitlistEntrySchema.index({ patient_id: 1, status: 1 });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Check if the current offer can still be answered
+ */
+waitlistEntrySchema.methods.hasOpenOffer = function () {
+  return this.status === 'offered' && this.offer?.expires_at > new Date();
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Queue priority for a risk classification
+ */
+waitlistEntrySchema.statics.getPriority = function (riskClassification) {
+  return RISK_PRIORITY[riskClassification] ?? 0;
+};
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
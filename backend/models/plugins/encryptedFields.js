@@ -0,0 +1,383 @@
+import fieldEncryption from '../../utils/fieldEncryption.js';
+
+/**
+ * Encrypted Fields Plugin for MediFlow
+ * Transparent at-rest encryption of configured top-level schema paths
+ *
+ * - On save: each configured field is encrypted into encrypted_fields.<field>
+ *   and the plaintext path is unset, so MongoDB never stores the clear value.
+ *   Schema validation (enum, match, required) still runs on the plaintext first.
+ * - On load: hydrated documents (post init) and .lean() results (post find)
+ *   get the plaintext back on the original path.
+ * - Update queries ($set / $unset) on configured fields are encrypted the same way.
+ * - Blind-indexed fields also store <field>_blind_index (HMAC of the normalized
+ *   value); equality filters such as Patient.findOne({ email }) are rewritten
+ *   to use it. Regex/range filters on encrypted fields are rejected.
+ *
+ * Aggregation pipelines bypass middleware and only see ciphertext.
+ *
+ * Usage:
+ *   schema.plugin(encryptedFieldsPlugin, {
+ *     fields: ['allergies', 'email'],
+ *     blindIndexes: { email: { normalize: (v) => v.toLowerCase(), unique: true } },
+ *   });
+ */
+
+const ENCRYPTED_PATH = 'encrypted_fields';
+
+const FILTER_OPERATORS = ['$and', '$or', '$nor'];
+const UNSUPPORTED_UPDATE_OPERATORS = [
+  '$push', '$addToSet', '$pull', '$pullAll', '$pop', '$inc', '$rename', '$setOnInsert',
+];
+
+/**
+ * Convert Mongoose arrays/subdocuments to plain values before encryption
+ */
+const toPlain = (value) =>
+  value && typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true, transform: false, virtuals: false, getters: false })
+    : value;
+
+const blindIndexPath = (field) => `${field}_blind_index`;
+
+/**
+ * encryptedFieldsPlugin
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {Array<string>} options.fields - Top-level paths to encrypt
+ * @param {Object} options.blindIndexes - { field: { normalize(value), unique } } for exact-match lookups
+ */
+function encryptedFieldsPlugin(schema, { fields = [], blindIndexes = {} } = {}) {
+  const indexedFields = Object.keys(blindIndexes);
+
+  for (const field of indexedFields) {
+    if (!fields.includes(field)) {
+      throw new Error(`Blind-indexed field "${field}" must also be listed in fields`);
+    }
+  }
+
+  // ==================== SCHEMA PATHS ====================
+
+  schema.add({
+    [ENCRYPTED_PATH]: Object.fromEntries(
+      fields.map((field) => [field, { type: String, default: undefined }])
+    ),
+  });
+
+  for (const field of indexedFields) {
+    schema.add({
+      [blindIndexPath(field)]: {
+        type: String,
+        default: undefined,
+        description: `HMAC blind index of ${field} (exact-match lookups on encrypted data)`,
+      },
+    });
+    schema.index(
+      { [blindIndexPath(field)]: 1 },
+      blindIndexes[field].unique ? { unique: true, sparse: true } : {}
+    );
+  }
+
+  // ==================== HELPERS ====================
+
+  const computeBlindIndex = (field, value) => {
+    if (value === null || value === undefined) return null;
+    return fieldEncryption.blindIndex(field, blindIndexes[field].normalize(String(value)));
+  };
+
+  /**
+   * Rewrite a query filter: blind-indexed equality -> <field>_blind_index,
+   * anything else touching an encrypted field is rejected.
+   */
+  const rewriteFilter = (filter) => {
+    if (!filter || typeof filter !== 'object') return filter;
+
+    const rewritten = {};
+
+    for (const [key, condition] of Object.entries(filter)) {
+      if (FILTER_OPERATORS.includes(key) && Array.isArray(condition)) {
+        rewritten[key] = condition.map(rewriteFilter);
+        continue;
+      }
+
+      const field = key.split('.')[0];
+      if (!fields.includes(field)) {
+        rewritten[key] = condition;
+        continue;
+      }
+
+      if (!indexedFields.includes(field) || key !== field) {
+        throw new Error(`Cannot query encrypted field "${key}"`);
+      }
+
+      rewritten[blindIndexPath(field)] = rewriteCondition(field, condition);
+    }
+
+    return rewritten;
+  };
+
+  const rewriteCondition = (field, condition) => {
+    if (condition instanceof RegExp) {
+      throw new Error(`"${field}" is encrypted - only exact-match lookups are supported`);
+    }
+
+    if (condition === null || typeof condition !== 'object') {
+      return computeBlindIndex(field, condition);
+    }
+
+    const rewritten = {};
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (operator === '$eq' || operator === '$ne') {
+        rewritten[operator] = computeBlindIndex(field, operand);
+      } else if (operator === '$in' || operator === '$nin') {
+        rewritten[operator] = operand.map((value) => computeBlindIndex(field, value));
+      } else if (operator === '$exists') {
+        rewritten[operator] = operand;
+      } else {
+        throw new Error(`"${field}" is encrypted - ${operator} is not supported`);
+      }
+    }
+    return rewritten;
+  };
+
+  /**
+   * Adjust a projection so selected encrypted fields bring their ciphertext along
+   */
+  const rewriteProjection = (projection) => {
+    if (!projection || Object.keys(projection).length === 0) return null;
+
+    const additions = {};
+    for (const field of fields) {
+      const selection = projection[field];
+      if (selection === undefined || projection[`${ENCRYPTED_PATH}.${field}`] !== undefined) continue;
+
+      // Inclusive projection keeps the ciphertext; exclusive drops it too
+      additions[`${ENCRYPTED_PATH}.${field}`] = selection ? 1 : 0;
+    }
+
+    return Object.keys(additions).length ? { ...projection, ...additions } : null;
+  };
+
+  /**
+   * Encrypt $set / $unset of configured fields in an update document
+   */
+  const rewriteUpdate = (update) => {
+    if (!update || Array.isArray(update)) return update;
+
+    const rewritten = { ...update, $set: { ...(update.$set || {}) }, $unset: { ...(update.$unset || {}) } };
+
+    for (const operator of UNSUPPORTED_UPDATE_OPERATORS) {
+      for (const key of Object.keys(update[operator] || {})) {
+        if (fields.includes(key.split('.')[0])) {
+          throw new Error(`${operator} on encrypted field "${key}" is not supported - load the document and save() it`);
+        }
+      }
+    }
+
+    for (const field of fields) {
+      let value;
+      if (Object.prototype.hasOwnProperty.call(rewritten, field)) {
+        value = rewritten[field];
+        delete rewritten[field];
+      } else if (Object.prototype.hasOwnProperty.call(rewritten.$set, field)) {
+        value = rewritten.$set[field];
+        delete rewritten.$set[field];
+      } else if (Object.prototype.hasOwnProperty.call(rewritten.$unset, field)) {
+        value = null;
+      } else {
+        continue;
+      }
+
+      rewritten.$unset[field] = '';
+
+      if (value === null || value === undefined) {
+        rewritten.$unset[`${ENCRYPTED_PATH}.${field}`] = '';
+        if (indexedFields.includes(field)) rewritten.$unset[blindIndexPath(field)] = '';
+      } else {
+        rewritten.$set[`${ENCRYPTED_PATH}.${field}`] = fieldEncryption.encryptValue(toPlain(value));
+        if (indexedFields.includes(field)) {
+          rewritten.$set[blindIndexPath(field)] = computeBlindIndex(field, value);
+        }
+      }
+    }
+
+    if (Object.keys(rewritten.$set).length === 0) delete rewritten.$set;
+    if (Object.keys(rewritten.$unset).length === 0) delete rewritten.$unset;
+
+    return rewritten;
+  };
+
+  /**
+   * Put plaintext back on a hydrated document without marking it modified
+   */
+  const restoreDocument = (doc, values) => {
+    for (const [field, value] of Object.entries(values)) {
+      doc.set(field, value);
+      doc.unmarkModified(field);
+    }
+  };
+
+  /**
+   * Decrypt a raw (lean) result in place and drop the internal paths
+   */
+  const decryptRaw = (raw) => {
+    if (!raw || typeof raw !== 'object') return;
+
+    const encrypted = raw[ENCRYPTED_PATH] || {};
+    for (const field of fields) {
+      if (fieldEncryption.isEncrypted(encrypted[field])) {
+        raw[field] = fieldEncryption.decryptValue(encrypted[field]);
+      }
+    }
+
+    delete raw[ENCRYPTED_PATH];
+    for (const field of indexedFields) {
+      delete raw[blindIndexPath(field)];
+    }
+  };
+
+  // ==================== DOCUMENT MIDDLEWARE ====================
+
+  schema.pre('save', function (next) {
+    try {
+      const plaintext = {};
+
+      for (const field of fields) {
+        if (!this.isNew && !this.isModified(field)) continue;
+
+        const value = toPlain(this.get(field));
+        plaintext[field] = value;
+
+        if (indexedFields.includes(field)) {
+          this.set(blindIndexPath(field), computeBlindIndex(field, value) || undefined);
+        }
+
+        this.set(
+          `${ENCRYPTED_PATH}.${field}`,
+          value === null || value === undefined ? undefined : fieldEncryption.encryptValue(value)
+        );
+        this.set(field, undefined);
+      }
+
+      this.$locals.encryptedFieldsPlaintext = plaintext;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post('save', function (doc) {
+    restoreDocument(doc, doc.$locals.encryptedFieldsPlaintext || {});
+    delete doc.$locals.encryptedFieldsPlaintext;
+  });
+
+  schema.post('save', function (error, doc, next) {
+    restoreDocument(doc, doc.$locals.encryptedFieldsPlaintext || {});
+    delete doc.$locals.encryptedFieldsPlaintext;
+    next(error);
+  });
+
+  schema.post('init', function (doc) {
+    const values = {};
+    for (const field of fields) {
+      const envelope = doc.get(`${ENCRYPTED_PATH}.${field}`);
+      if (fieldEncryption.isEncrypted(envelope)) {
+        values[field] = fieldEncryption.decryptValue(envelope);
+      }
+    }
+    restoreDocument(doc, values);
+  });
+
+  // ==================== QUERY MIDDLEWARE ====================
+
+  schema.pre(
+    [
+      'find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'findOneAndDelete',
+      'updateOne', 'updateMany', 'deleteOne', 'deleteMany',
+    ],
+    function (next) {
+      try {
+        this.setQuery(rewriteFilter(this.getFilter()));
+
+        const projection = rewriteProjection(this.projection());
+        if (projection) {
+          this.projection(projection);
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+    try {
+      this.setUpdate(rewriteUpdate(this.getUpdate()));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function (result, next) {
+    try {
+      if (this.mongooseOptions().lean && result) {
+        (Array.isArray(result) ? result : [result]).forEach(decryptRaw);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ==================== SERIALIZATION ====================
+
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret[ENCRYPTED_PATH];
+      for (const field of indexedFields) {
+        delete ret[blindIndexPath(field)];
+      }
+      return typeof toJSON.transform === 'function' ? toJSON.transform(doc, ret, options) : ret;
+    },
+  });
+
+  // ==================== MIGRATION HELPERS ====================
+
+  /**
+   * Whether the stored copy is plaintext, on a retired key, or missing a blind index
+   * (call on a fully loaded document)
+   */
+  schema.methods.needsEncryptionUpdate = function () {
+    const activeKeyId = fieldEncryption.getActiveKeyId();
+
+    return fields.some((field) => {
+      const envelope = this.get(`${ENCRYPTED_PATH}.${field}`);
+      const value = this.get(field);
+
+      if (!envelope) {
+        return value !== null && value !== undefined;
+      }
+      if (fieldEncryption.getKeyId(envelope) !== activeKeyId) {
+        return true;
+      }
+      return indexedFields.includes(field) &&
+        this.get(blindIndexPath(field)) !== (computeBlindIndex(field, value) || undefined);
+    });
+  };
+
+  /**
+   * Force every configured field to be (re-)encrypted on the next save
+   */
+  schema.methods.reencryptFields = function () {
+    for (const field of fields) {
+      this.markModified(field);
+    }
+    return this;
+  };
+}
+
+export default encryptedFieldsPlugin;
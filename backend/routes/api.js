@@ -2,16 +2,77 @@ import express from 'express';
 import logger from '../utils/logger.js';
 import patientController from '../controllers/patientController.js';
 import appointmentController from '../controllers/appointmentController.js';
+import doctorController from '../controllers/doctorController.js';
 import emailController from '../controllers/emailController.js';
 import smsController from '../controllers/smsController.js';
+import authController from '../controllers/authController.js';
+import {
+  authenticate,
+  optionalAuthenticate,
+  authorizeRoles,
+  authorizePatientAccess,
+} from '../middleware/auth.js';
+import {
+  auditPhi,
+  patientFromParam,
+  patientsFromList,
+  patientsFromAppointments,
+  patientFromAppointmentParam,
+  patientFromPrescriptionParam,
+  patientFromInvoiceParam,
+  patientFromLabOrderParam,
+  patientFromReferralParam,
+  patientsFromFhir,
+} from '../middleware/audit.js';
+import { verifyTwilioSignature } from '../middleware/twilio.js';
+import auditController from '../controllers/auditController.js';
+import waitlistController from '../controllers/waitlistController.js';
+import prescriptionController from '../controllers/prescriptionController.js';
+import fhirController from '../controllers/fhirController.js';
+import queueController from '../controllers/queueController.js';
+import billingController from '../controllers/billingController.js';
+import labController from '../controllers/labController.js';
+import referralController from '../controllers/referralController.js';
+import followUpController from '../controllers/followUpController.js';
+import vitalsController from '../controllers/vitalsController.js';
+import clinicalNoteController from '../controllers/clinicalNoteController.js';
+import triageRuleController from '../controllers/triageRuleController.js';
 
 /**
  * API Routes for MediFlow
  * All routes are prefixed with /api
+ *
+ * Staff routes require a JWT (Authorization: Bearer <token>) from POST /api/auth/login.
+ * Public: health check, staff login, the patient self-service booking, waitlist and follow-up flow,
+ * Twilio webhooks (authenticated by X-Twilio-Signature instead of a JWT),
+ * email open/click tracking links, prescription QR verification and the waiting-room queue board.
+ * Routes touching PHI are wrapped in auditPhi (runs first so denied attempts are logged too).
  */
 
 const router = express.Router();
 
+// Role groups for route guards
+const ALL_STAFF = ['admin', 'doctor', 'receptionist', 'nurse'];
+const CLINICAL_STAFF = ['admin', 'doctor', 'nurse'];
+const SCHEDULING_STAFF = ['admin', 'receptionist', 'doctor'];
+const FRONT_DESK_STAFF = ['admin', 'receptionist'];
+const LAB_STAFF = ['admin', 'lab_technician'];
+const LAB_ACCESS_STAFF = ['admin', 'doctor', 'nurse', 'lab_technician'];
+
+// PHI fields recorded in the audit trail for clinical reads
+const MEDICAL_HISTORY_FIELDS = [
+  'chronic_conditions',
+  'allergies',
+  'current_medications',
+  'family_medical_history',
+  'blood_group',
+];
+const CONSULTATION_FIELDS = ['messages', 'ai_triage', 'vitals', 'diagnosis', 'doctor_notes'];
+const PRESCRIPTION_FIELDS = ['diagnosis', 'medications', 'advice'];
+const LAB_RESULT_FIELDS = ['clinical_notes', 'results', 'report_text'];
+const REFERRAL_FIELDS = ['reason', 'clinical_summary', 'outcome_notes'];
+const CLINICAL_NOTE_FIELDS = ['subjective', 'objective', 'assessment', 'plan', 'diagnoses'];
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   logger.info('Health check requested');
@@ -24,61 +85,253 @@ router.get('/health', (req, res) => {
   });
 });
 
+// ==================== AUTH ROUTES ====================
+
+/**
+ * POST /api/auth/login
+ * Staff login (returns JWT)
+ */
+router.post('/auth/login', authController.login);
+
+/**
+ * GET /api/auth/me
+ * Get the logged-in staff user
+ */
+router.get('/auth/me', authenticate, authController.getCurrentUser);
+
+/**
+ * PUT /api/auth/password
+ * Change own password
+ */
+router.put('/auth/password', authenticate, authController.changePassword);
+
+/**
+ * GET /api/auth/users
+ * Get all staff users (admin)
+ */
+router.get('/auth/users', authenticate, authorizeRoles('admin'), authController.getAllUsers);
+
+/**
+ * POST /api/auth/users
+ * Create staff user (admin)
+ */
+router.post('/auth/users', authenticate, authorizeRoles('admin'), authController.createUser);
+
+/**
+ * PUT /api/auth/users/:id
+ * Update staff user - role, doctor link, active flag, password reset (admin)
+ */
+router.put('/auth/users/:id', authenticate, authorizeRoles('admin'), authController.updateUser);
+
 // ==================== PATIENT ROUTES ====================
 
 /**
  * GET /api/patients
  * Get all patients with pagination and filtering
  */
-router.get('/patients', patientController.getAllPatients);
+router.get(
+  '/patients',
+  auditPhi({ action: 'read', resource: 'patient', patientIds: patientsFromList }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  patientController.getAllPatients
+);
 
 /**
  * GET /api/patients/stats
  * Get patient statistics (must be before /:id to avoid conflict)
  */
-router.get('/patients/stats', patientController.getPatientStats);
+router.get('/patients/stats', authenticate, authorizeRoles(...ALL_STAFF), patientController.getPatientStats);
 
 /**
  * GET /api/patients/search
  * Search patients by name, email, or phone
  */
-router.get('/patients/search', patientController.searchPatients);
+router.get(
+  '/patients/search',
+  auditPhi({ action: 'read', resource: 'patient', patientIds: patientsFromList }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  patientController.searchPatients
+);
 
 /**
  * GET /api/patients/:id
- * Get single patient by ID with populated data
+ * Get single patient by ID with populated data (doctors: own patients only)
  */
-router.get('/patients/:id', patientController.getPatientById);
+router.get(
+  '/patients/:id',
+  auditPhi({ action: 'read', resource: 'patient', fields: ['full_record'] }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.getPatientById
+);
 
 /**
  * PATCH /api/patients/:id/status
  * Update patient status
  */
-router.patch('/patients/:id/status', patientController.updatePatientStatus);
+router.patch(
+  '/patients/:id/status',
+  auditPhi({ action: 'update', resource: 'patient' }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.updatePatientStatus
+);
 
 /**
  * DELETE /api/patients/:id
  * Delete patient by ID (soft delete)
  */
-router.delete('/patients/:id', patientController.deletePatient);
+router.delete(
+  '/patients/:id',
+  auditPhi({ action: 'delete', resource: 'patient' }),
+  authenticate,
+  authorizeRoles('admin'),
+  patientController.deletePatient
+);
 
 /**
  * GET /api/patients/:id/consultations
- * Get consultation history for a patient
+ * Get consultation history for a patient (doctors: own patients only)
  */
-router.get('/patients/:id/consultations', patientController.getPatientConsultations);
+router.get(
+  '/patients/:id/consultations',
+  auditPhi({ action: 'read', resource: 'consultation', fields: CONSULTATION_FIELDS }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.getPatientConsultations
+);
 
 /**
  * GET /api/patients/:id/appointments
- * Get appointment history for a patient
+ * Get appointment history for a patient (doctors: own patients only)
  */
-router.get('/patients/:id/appointments', patientController.getPatientAppointments);
+router.get(
+  '/patients/:id/appointments',
+  auditPhi({ action: 'read', resource: 'appointment' }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.getPatientAppointments
+);
 
 /**
  * GET /api/patients/:id/medical-history
- * Get medical history for a patient
+ * Get medical history for a patient (doctors: own patients only)
+ */
+router.get(
+  '/patients/:id/medical-history',
+  auditPhi({ action: 'read', resource: 'medical_history', fields: MEDICAL_HISTORY_FIELDS }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.getPatientMedicalHistory
+);
+
+/**
+ * GET /api/patients/:id/prescriptions
+ * Get prescriptions for a patient (doctors: own patients only)
  */
-router.get('/patients/:id/medical-history', patientController.getPatientMedicalHistory);
+router.get(
+  '/patients/:id/prescriptions',
+  auditPhi({ action: 'read', resource: 'prescription', fields: PRESCRIPTION_FIELDS }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  authorizePatientAccess('id'),
+  prescriptionController.getPatientPrescriptions
+);
+
+/**
+ * GET /api/patients/:id/invoices
+ * Get invoices for a patient
+ */
+router.get(
+  '/patients/:id/invoices',
+  auditPhi({ action: 'read', resource: 'invoice' }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.getPatientInvoices
+);
+
+/**
+ * GET /api/patients/:id/lab-orders
+ * Get lab and imaging orders for a patient (doctors: own patients only)
+ */
+router.get(
+  '/patients/:id/lab-orders',
+  auditPhi({ action: 'read', resource: 'lab_order', fields: LAB_RESULT_FIELDS }),
+  authenticate,
+  authorizeRoles(...LAB_ACCESS_STAFF),
+  authorizePatientAccess('id'),
+  labController.getPatientLabOrders
+);
+
+/**
+ * GET /api/patients/:id/vitals
+ * Vitals trends across visits with NEWS2 scores (doctors: own patients only)
+ */
+router.get(
+  '/patients/:id/vitals',
+  auditPhi({ action: 'read', resource: 'consultation', fields: ['vitals'] }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  authorizePatientAccess('id'),
+  vitalsController.getPatientVitals
+);
+
+/**
+ * GET /api/patients/:id/clinical-notes
+ * Get SOAP notes for a patient (doctors: own patients only)
+ */
+router.get(
+  '/patients/:id/clinical-notes',
+  auditPhi({ action: 'read', resource: 'clinical_note', fields: CLINICAL_NOTE_FIELDS }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  authorizePatientAccess('id'),
+  clinicalNoteController.getPatientNotes
+);
+
+/**
+ * GET /api/patients/:id/communication-preferences
+ * Get consent settings, consent history and recently suppressed messages
+ */
+router.get(
+  '/patients/:id/communication-preferences',
+  auditPhi({ action: 'read', resource: 'patient', fields: ['communication_preferences', 'consent_history'] }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.getCommunicationPreferences
+);
+
+/**
+ * PUT /api/patients/:id/communication-preferences
+ * Update channel consent, quiet hours and preferred language (recorded in consent history)
+ */
+router.put(
+  '/patients/:id/communication-preferences',
+  auditPhi({ action: 'update', resource: 'patient', fields: ['communication_preferences'] }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  authorizePatientAccess('id'),
+  patientController.updateCommunicationPreferences
+);
+
+/**
+ * GET /api/patients/:id/access-report
+ * "Who accessed my record" report - every audited read/write of this patient (admin)
+ */
+router.get(
+  '/patients/:id/access-report',
+  authenticate,
+  authorizeRoles('admin'),
+  auditController.getPatientAccessReport
+);
 
 // ==================== APPOINTMENT ROUTES ====================
 
@@ -86,55 +339,1213 @@ router.get('/patients/:id/medical-history', patientController.getPatientMedicalH
  * POST /api/appointments
  * Create a new appointment
  */
-router.post('/appointments', appointmentController.createAppointment);
+router.post(
+  '/appointments',
+  auditPhi({ action: 'create', resource: 'appointment', patientIds: (req) => [req.body.patient_id] }),
+  authenticate,
+  authorizeRoles(...SCHEDULING_STAFF),
+  appointmentController.createAppointment
+);
 
 /**
  * GET /api/appointments/stats
  * Get appointment statistics (must be before /:appointmentId)
  */
-router.get('/appointments/stats', appointmentController.getAppointmentStats);
+router.get(
+  '/appointments/stats',
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  appointmentController.getAppointmentStats
+);
+
+/**
+ * GET /api/appointments/slots
+ * List open slots by department or doctor (must be before /:appointmentId)
+ * Query: department | doctorId, from, to, appointmentType
+ */
+router.get('/appointments/slots', appointmentController.getOpenSlots);
+
+/**
+ * POST /api/appointments/holds
+ * Place a short-lived hold on a slot
+ */
+router.post('/appointments/holds', optionalAuthenticate, appointmentController.holdSlot);
+
+/**
+ * DELETE /api/appointments/holds/:holdId
+ * Release a slot hold
+ */
+router.delete('/appointments/holds/:holdId', appointmentController.releaseSlotHold);
+
+/**
+ * POST /api/appointments/book
+ * Confirm a hold (or a pre-generated slot) into a scheduled appointment
+ */
+router.post(
+  '/appointments/book',
+  auditPhi({
+    action: 'create',
+    resource: 'appointment',
+    patientIds: patientsFromAppointments,
+    anonymousActor: 'patient',
+  }),
+  optionalAuthenticate,
+  appointmentController.bookAppointment
+);
 
 /**
  * GET /api/appointments/:appointmentId
- * Get appointment by ID
+ * Get appointment by ID (public booking-link view; full record for staff)
  */
-router.get('/appointments/:appointmentId', appointmentController.getAppointmentById);
+router.get(
+  '/appointments/:appointmentId',
+  auditPhi({
+    action: 'read',
+    resource: 'appointment',
+    // The public view carries no patient_id - look it up
+    patientIds: patientFromAppointmentParam(),
+    anonymousActor: 'patient',
+  }),
+  optionalAuthenticate,
+  appointmentController.getAppointmentById
+);
 
 /**
  * GET /api/appointments/patient/:patientId
- * Get all appointments for a specific patient
+ * Get all appointments for a specific patient (doctors: own patients only)
  */
-router.get('/appointments/patient/:patientId', appointmentController.getAppointmentsByPatient);
+router.get(
+  '/appointments/patient/:patientId',
+  auditPhi({ action: 'read', resource: 'appointment', patientIds: patientFromParam('patientId') }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  authorizePatientAccess('patientId'),
+  appointmentController.getAppointmentsByPatient
+);
 
 /**
  * GET /api/appointments
  * Get all appointments with filters
  */
-router.get('/appointments', appointmentController.getAllAppointments);
+router.get(
+  '/appointments',
+  auditPhi({ action: 'read', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  appointmentController.getAllAppointments
+);
 
 /**
  * PATCH /api/appointments/:appointmentId/cancel
  * Cancel an appointment
  */
-router.patch('/appointments/:appointmentId/cancel', appointmentController.cancelAppointment);
+router.patch(
+  '/appointments/:appointmentId/cancel',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...SCHEDULING_STAFF),
+  appointmentController.cancelAppointment
+);
 
 /**
  * PATCH /api/appointments/:appointmentId/reschedule
  * Reschedule an appointment
  */
-router.patch('/appointments/:appointmentId/reschedule', appointmentController.rescheduleAppointment);
+router.patch(
+  '/appointments/:appointmentId/reschedule',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...SCHEDULING_STAFF),
+  appointmentController.rescheduleAppointment
+);
 
 /**
  * PATCH /api/appointments/:appointmentId/complete
  * Mark appointment as completed
  */
-router.patch('/appointments/:appointmentId/complete', appointmentController.completeAppointment);
+router.patch(
+  '/appointments/:appointmentId/complete',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin', 'doctor'),
+  appointmentController.completeAppointment
+);
 
 /**
  * PATCH /api/appointments/:appointmentId/no-show
  * Mark appointment as no-show
  */
-router.patch('/appointments/:appointmentId/no-show', appointmentController.markAsNoShow);
+router.patch(
+  '/appointments/:appointmentId/no-show',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin', 'receptionist', 'nurse'),
+  appointmentController.markAsNoShow
+);
+
+// ==================== VITALS ROUTES ====================
+
+/**
+ * POST /api/appointments/:appointmentId/vitals
+ * Record vitals for a visit - scores NEWS2 and alerts the doctor on medium / high risk
+ */
+router.post(
+  '/appointments/:appointmentId/vitals',
+  auditPhi({
+    action: 'create',
+    resource: 'consultation',
+    fields: ['vitals'],
+    patientIds: patientFromAppointmentParam(),
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  vitalsController.recordVitals
+);
+
+/**
+ * GET /api/appointments/:appointmentId/vitals
+ * Get the vitals recorded for a visit
+ */
+router.get(
+  '/appointments/:appointmentId/vitals',
+  auditPhi({
+    action: 'read',
+    resource: 'consultation',
+    fields: ['vitals'],
+    patientIds: patientFromAppointmentParam(),
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  vitalsController.getVisitVitals
+);
+
+// ==================== CHECK-IN & QUEUE ROUTES ====================
+
+/**
+ * POST /api/appointments/:appointmentId/check-in
+ * Check a patient in at reception (assigns the token, snapshots triage level)
+ */
+router.post(
+  '/appointments/:appointmentId/check-in',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  queueController.checkInAppointment
+);
+
+/**
+ * POST /api/check-in/scan
+ * Check a patient in by scanning the appointment QR code
+ * Body: { qr_code }
+ */
+router.post(
+  '/check-in/scan',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  queueController.checkInByQrCode
+);
+
+/**
+ * GET /api/queue/board?department=
+ * Waiting-room TV board (public - tokens and doctor names only)
+ */
+router.get('/queue/board', queueController.getQueueBoard);
+
+/**
+ * GET /api/queue?department=&doctorId=
+ * Today's queue ordered by triage tier and token
+ */
+router.get(
+  '/queue',
+  auditPhi({ action: 'read', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  queueController.getQueue
+);
+
+/**
+ * POST /api/queue/call-next
+ * Call the next waiting token (doctors call their own queue; admin/nurse pass doctor_id)
+ */
+router.post(
+  '/queue/call-next',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  queueController.callNextToken
+);
+
+/**
+ * POST /api/queue/:appointmentId/recall
+ * Call an already-called token again
+ */
+router.post(
+  '/queue/:appointmentId/recall',
+  auditPhi({ action: 'update', resource: 'appointment', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  queueController.recallToken
+);
+
+// ==================== WAITLIST ROUTES ====================
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist for an earlier slot
+ * Public with { appointment_id, patient_email } (booking page); staff may pass patient_id
+ */
+router.post(
+  '/waitlist',
+  auditPhi({
+    action: 'create',
+    resource: 'waitlist',
+    patientIds: patientsFromAppointments,
+    anonymousActor: 'patient',
+  }),
+  optionalAuthenticate,
+  waitlistController.joinWaitlist
+);
+
+/**
+ * GET /api/waitlist
+ * List waitlist entries in offer order (risk first, then longest waiting)
+ * Query: department, doctorId, status, patientId, page, limit
+ */
+router.get(
+  '/waitlist',
+  auditPhi({ action: 'read', resource: 'waitlist', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  waitlistController.getWaitlist
+);
+
+/**
+ * DELETE /api/waitlist/:id
+ * Remove a patient from the waitlist
+ */
+router.delete(
+  '/waitlist/:id',
+  auditPhi({ action: 'delete', resource: 'waitlist', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...SCHEDULING_STAFF),
+  waitlistController.cancelWaitlistEntry
+);
+
+/**
+ * GET /api/waitlist/:id/offer?token=
+ * View a slot offer (public - link sent by SMS/email, the token authorizes it)
+ */
+router.get(
+  '/waitlist/:id/offer',
+  auditPhi({
+    action: 'read',
+    resource: 'waitlist',
+    patientIds: patientsFromAppointments,
+    anonymousActor: 'patient',
+  }),
+  waitlistController.getWaitlistOffer
+);
+
+/**
+ * POST /api/waitlist/:id/respond
+ * Accept (books the held slot) or decline a slot offer (public, token in body)
+ */
+router.post(
+  '/waitlist/:id/respond',
+  auditPhi({
+    action: 'update',
+    resource: 'waitlist',
+    fields: ['accept'],
+    patientIds: patientsFromAppointments,
+    anonymousActor: 'patient',
+  }),
+  waitlistController.respondToWaitlistOffer
+);
+
+// ==================== FOLLOW-UP ROUTES ====================
+
+/**
+ * GET /api/follow-ups
+ * List follow-ups still to be booked, soonest first (doctors: their own)
+ * Query: status, risk, doctorId, patientId, page, limit
+ */
+router.get(
+  '/follow-ups',
+  auditPhi({ action: 'read', resource: 'follow_up', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  followUpController.getFollowUps
+);
+
+/**
+ * GET /api/follow-ups/reports/overdue
+ * High-risk patients whose follow-up date passed without a visit (default: Emergency and Medium)
+ */
+router.get(
+  '/follow-ups/reports/overdue',
+  auditPhi({ action: 'read', resource: 'follow_up', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  followUpController.getOverdueReport
+);
+
+/**
+ * GET /api/follow-ups/:id/offer?token=
+ * View the reserved follow-up slot and other open times (public - link sent by SMS/email, the token authorizes it)
+ */
+router.get(
+  '/follow-ups/:id/offer',
+  auditPhi({
+    action: 'read',
+    resource: 'follow_up',
+    patientIds: patientsFromAppointments,
+    anonymousActor: 'patient',
+  }),
+  followUpController.getFollowUpOffer
+);
+
+/**
+ * POST /api/follow-ups/:id/respond
+ * Confirm the reserved slot, choose another time, or decline (public, token in body)
+ */
+router.post(
+  '/follow-ups/:id/respond',
+  auditPhi({
+    action: 'update',
+    resource: 'follow_up',
+    fields: ['action'],
+    patientIds: patientsFromAppointments,
+    anonymousActor: 'patient',
+  }),
+  followUpController.respondToFollowUp
+);
+
+/**
+ * GET /api/follow-ups/:id
+ * Get a follow-up (doctors: own patients only)
+ */
+router.get(
+  '/follow-ups/:id',
+  auditPhi({ action: 'read', resource: 'follow_up', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  followUpController.getFollowUpById
+);
+
+/**
+ * POST /api/follow-ups/:id/book
+ * Book a follow-up for the patient - the reserved slot, or { start_time }
+ */
+router.post(
+  '/follow-ups/:id/book',
+  auditPhi({ action: 'create', resource: 'follow_up', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...SCHEDULING_STAFF),
+  followUpController.bookFollowUp
+);
+
+/**
+ * POST /api/follow-ups/:id/cancel
+ * Cancel a follow-up that is no longer needed (releases any reserved slot)
+ */
+router.post(
+  '/follow-ups/:id/cancel',
+  auditPhi({ action: 'update', resource: 'follow_up', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...SCHEDULING_STAFF),
+  followUpController.cancelFollowUp
+);
+
+// ==================== CLINICAL NOTE & ICD-10 ROUTES ====================
+
+/**
+ * GET /api/icd10/search?q=&limit=
+ * Search the bundled ICD-10 catalog by code prefix or keywords
+ */
+router.get(
+  '/icd10/search',
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  clinicalNoteController.searchIcd10
+);
+
+/**
+ * GET /api/icd10/:code
+ * Look up one ICD-10 code
+ */
+router.get(
+  '/icd10/:code',
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  clinicalNoteController.getIcd10Code
+);
+
+/**
+ * GET /api/clinical-notes/templates?department=
+ * SOAP note templates per department
+ */
+router.get(
+  '/clinical-notes/templates',
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  clinicalNoteController.getTemplates
+);
+
+/**
+ * GET /api/clinical-notes/reports/diagnoses?from=&to=&department=&doctorId=
+ * Coded diagnosis counts from signed notes (doctors: own notes only)
+ */
+router.get(
+  '/clinical-notes/reports/diagnoses',
+  authenticate,
+  authorizeRoles('admin', 'doctor'),
+  clinicalNoteController.getDiagnosisReport
+);
+
+/**
+ * POST /api/clinical-notes
+ * Start the SOAP note for an appointment (the appointment's doctor only) - pre-filled from the department template
+ */
+router.post(
+  '/clinical-notes',
+  auditPhi({ action: 'create', resource: 'clinical_note', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('doctor'),
+  clinicalNoteController.createNote
+);
+
+/**
+ * GET /api/clinical-notes/:id
+ * Get a clinical note with its amendment history (doctors: own patients only)
+ */
+router.get(
+  '/clinical-notes/:id',
+  auditPhi({
+    action: 'read',
+    resource: 'clinical_note',
+    fields: CLINICAL_NOTE_FIELDS,
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  clinicalNoteController.getNoteById
+);
+
+/**
+ * PATCH /api/clinical-notes/:id
+ * Edit a draft note (authoring doctor only)
+ */
+router.patch(
+  '/clinical-notes/:id',
+  auditPhi({ action: 'update', resource: 'clinical_note', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('doctor'),
+  clinicalNoteController.updateNote
+);
+
+/**
+ * POST /api/clinical-notes/:id/sign
+ * Sign a draft note - needs an assessment and an ICD-10 coded diagnosis
+ */
+router.post(
+  '/clinical-notes/:id/sign',
+  auditPhi({
+    action: 'update',
+    resource: 'clinical_note',
+    fields: ['status', 'signature'],
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles('doctor'),
+  clinicalNoteController.signNote
+);
+
+/**
+ * POST /api/clinical-notes/:id/amend
+ * Amend a signed note (authoring doctor only, reason required) - the signed version is kept
+ */
+router.post(
+  '/clinical-notes/:id/amend',
+  auditPhi({ action: 'update', resource: 'clinical_note', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('doctor'),
+  clinicalNoteController.amendNote
+);
+
+/**
+ * GET /api/appointments/:appointmentId/clinical-note
+ * Get the clinical note for a visit
+ */
+router.get(
+  '/appointments/:appointmentId/clinical-note',
+  auditPhi({
+    action: 'read',
+    resource: 'clinical_note',
+    fields: CLINICAL_NOTE_FIELDS,
+    patientIds: patientFromAppointmentParam(),
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  clinicalNoteController.getAppointmentNote
+);
+
+// ==================== PRESCRIPTION ROUTES ====================
+
+/**
+ * GET /api/prescriptions/verify/:code?v=
+ * Verify a printed prescription from its QR code (public - shows only what a pharmacist needs)
+ */
+router.get(
+  '/prescriptions/verify/:code',
+  auditPhi({
+    action: 'read',
+    resource: 'prescription',
+    fields: ['medications'],
+    patientIds: patientFromPrescriptionParam('code', 'verification_code'),
+  }),
+  prescriptionController.verifyPrescription
+);
+
+/**
+ * POST /api/prescriptions
+ * Write a prescription for an appointment (the appointment's doctor only)
+ * The signed PDF is emailed to the patient unless send_email is false
+ * Medicines are screened for allergy and interaction conflicts - high-severity ones need an override_reason
+ */
+router.post(
+  '/prescriptions',
+  auditPhi({ action: 'create', resource: 'prescription', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('doctor'),
+  prescriptionController.createPrescription
+);
+
+/**
+ * POST /api/prescriptions/safety-check
+ * Screen medicines against the patient's allergies and current medications (nothing is saved)
+ * High-severity alerts here will block POST/PUT /api/prescriptions unless an override_reason is given
+ */
+router.post(
+  '/prescriptions/safety-check',
+  auditPhi({
+    action: 'read',
+    resource: 'patient',
+    fields: ['allergies', 'current_medications'],
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  prescriptionController.checkMedicationSafety
+);
+
+/**
+ * GET /api/prescriptions/:id
+ * Get a prescription with its revision history (doctors: own patients only)
+ */
+router.get(
+  '/prescriptions/:id',
+  auditPhi({
+    action: 'read',
+    resource: 'prescription',
+    fields: PRESCRIPTION_FIELDS,
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  prescriptionController.getPrescriptionById
+);
+
+/**
+ * PUT /api/prescriptions/:id
+ * Amend a prescription (prescribing doctor only, reason required) - the patient is emailed the new version
+ * Changed medicines are screened again, as for a new prescription
+ */
+router.put(
+  '/prescriptions/:id',
+  auditPhi({ action: 'update', resource: 'prescription', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('doctor'),
+  prescriptionController.amendPrescription
+);
+
+/**
+ * GET /api/prescriptions/:id/pdf
+ * Download the prescription PDF (clinic letterhead, signature block, QR code)
+ */
+router.get(
+  '/prescriptions/:id/pdf',
+  auditPhi({
+    action: 'export',
+    resource: 'prescription',
+    fields: PRESCRIPTION_FIELDS,
+    patientIds: patientFromPrescriptionParam(),
+  }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  prescriptionController.downloadPrescriptionPdf
+);
+
+/**
+ * POST /api/prescriptions/:id/email
+ * Email the current version to the patient again
+ */
+router.post(
+  '/prescriptions/:id/email',
+  auditPhi({ action: 'send', resource: 'prescription', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  prescriptionController.emailPrescription
+);
+
+// ==================== BILLING ROUTES ====================
+
+/**
+ * GET /api/invoices/reports/collections?date=YYYY-MM-DD
+ * Daily collections (payments minus refunds) by department and payment method
+ */
+router.get(
+  '/invoices/reports/collections',
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.getCollectionsReport
+);
+
+/**
+ * POST /api/invoices
+ * Raise a GST invoice (consultation fee added from the appointment; procedures, lab tests, medicines as items)
+ */
+router.post(
+  '/invoices',
+  auditPhi({ action: 'create', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.createInvoice
+);
+
+/**
+ * GET /api/invoices
+ * List invoices with filters (patient, appointment, status, department, issue date)
+ */
+router.get(
+  '/invoices',
+  auditPhi({ action: 'read', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.getInvoices
+);
+
+/**
+ * GET /api/invoices/:id
+ * Get an invoice with its payments and refunds
+ */
+router.get(
+  '/invoices/:id',
+  auditPhi({ action: 'read', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.getInvoiceById
+);
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download the tax invoice / receipt PDF
+ */
+router.get(
+  '/invoices/:id/pdf',
+  auditPhi({ action: 'export', resource: 'invoice', patientIds: patientFromInvoiceParam() }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.downloadInvoicePdf
+);
+
+/**
+ * POST /api/invoices/:id/payments
+ * Record a full or partial payment - the patient is emailed the receipt unless send_receipt is false
+ */
+router.post(
+  '/invoices/:id/payments',
+  auditPhi({ action: 'update', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.recordPayment
+);
+
+/**
+ * POST /api/invoices/:id/refunds
+ * Refund money collected on an invoice (admin only)
+ */
+router.post(
+  '/invoices/:id/refunds',
+  auditPhi({ action: 'update', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin'),
+  billingController.recordRefund
+);
+
+/**
+ * POST /api/invoices/:id/cancel
+ * Cancel an invoice once everything collected has been refunded (admin only)
+ */
+router.post(
+  '/invoices/:id/cancel',
+  auditPhi({ action: 'update', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin'),
+  billingController.cancelInvoice
+);
+
+/**
+ * POST /api/invoices/:id/email
+ * Email the invoice PDF to the patient again
+ */
+router.post(
+  '/invoices/:id/email',
+  auditPhi({ action: 'send', resource: 'invoice', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  billingController.emailInvoice
+);
+
+// ==================== LAB ROUTES ====================
+
+/**
+ * GET /api/lab-tests/catalog?q=&category=lab|imaging
+ * Search the orderable test catalog (codes, parameters, units)
+ */
+router.get(
+  '/lab-tests/catalog',
+  authenticate,
+  authorizeRoles(...LAB_ACCESS_STAFF),
+  labController.getCatalog
+);
+
+/**
+ * POST /api/lab-orders
+ * Order catalog tests for an appointment (doctors: own appointments only)
+ */
+router.post(
+  '/lab-orders',
+  auditPhi({ action: 'create', resource: 'lab_order', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  labController.createLabOrders
+);
+
+/**
+ * GET /api/lab-orders
+ * Lab desk worklist - open orders, stat first (doctors: own orders only)
+ */
+router.get(
+  '/lab-orders',
+  auditPhi({ action: 'read', resource: 'lab_order', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...LAB_ACCESS_STAFF),
+  labController.getWorklist
+);
+
+/**
+ * GET /api/lab-orders/:id
+ * Get a lab order with results and correction history (doctors: own patients only)
+ */
+router.get(
+  '/lab-orders/:id',
+  auditPhi({
+    action: 'read',
+    resource: 'lab_order',
+    fields: LAB_RESULT_FIELDS,
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles(...LAB_ACCESS_STAFF),
+  labController.getLabOrderById
+);
+
+/**
+ * POST /api/lab-orders/:id/sample
+ * Record sample collection (barcode, notes)
+ */
+router.post(
+  '/lab-orders/:id/sample',
+  auditPhi({ action: 'update', resource: 'lab_order', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...LAB_STAFF, 'nurse'),
+  labController.collectSample
+);
+
+/**
+ * PUT /api/lab-orders/:id/results
+ * Enter or correct results (flagged against reference ranges) - abnormal values
+ * alert the ordering doctor, the first release texts the patient
+ */
+router.put(
+  '/lab-orders/:id/results',
+  auditPhi({ action: 'update', resource: 'lab_order', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...LAB_STAFF),
+  labController.enterResults
+);
+
+/**
+ * POST /api/lab-orders/:id/report
+ * Attach or replace the report file (PDF / PNG / JPEG, base64, max 5 MB)
+ */
+router.post(
+  '/lab-orders/:id/report',
+  auditPhi({
+    action: 'update',
+    resource: 'lab_order',
+    fields: ['report_file'],
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles(...LAB_STAFF),
+  labController.uploadReport
+);
+
+/**
+ * GET /api/lab-orders/:id/report
+ * Download the report file (doctors: own patients only)
+ */
+router.get(
+  '/lab-orders/:id/report',
+  auditPhi({ action: 'export', resource: 'lab_order', fields: ['report_file'], patientIds: patientFromLabOrderParam() }),
+  authenticate,
+  authorizeRoles(...LAB_ACCESS_STAFF),
+  labController.downloadReport
+);
+
+/**
+ * POST /api/lab-orders/:id/cancel
+ * Cancel an order before results are released
+ */
+router.post(
+  '/lab-orders/:id/cancel',
+  auditPhi({ action: 'update', resource: 'lab_order', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...LAB_ACCESS_STAFF),
+  labController.cancelLabOrder
+);
+
+// ==================== REFERRAL ROUTES ====================
+
+/**
+ * POST /api/referrals
+ * Refer an appointment's patient to a department (receiving doctor picked and slots
+ * proposed, doctor emailed) or to an outside specialist (letter emailed)
+ */
+router.post(
+  '/referrals',
+  auditPhi({ action: 'create', resource: 'referral', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin', 'doctor'),
+  referralController.createReferral
+);
+
+/**
+ * GET /api/referrals
+ * List referrals (doctors: ones they made or received)
+ */
+router.get(
+  '/referrals',
+  auditPhi({ action: 'read', resource: 'referral', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  referralController.getReferrals
+);
+
+/**
+ * GET /api/referrals/:id
+ * Get a referral with its status history (doctors: own patients only)
+ */
+router.get(
+  '/referrals/:id',
+  auditPhi({
+    action: 'read',
+    resource: 'referral',
+    fields: REFERRAL_FIELDS,
+    patientIds: patientsFromAppointments,
+  }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  referralController.getReferralById
+);
+
+/**
+ * POST /api/referrals/:id/respond
+ * Accept (books the appointment for internal referrals) or decline a referral
+ */
+router.post(
+  '/referrals/:id/respond',
+  auditPhi({ action: 'update', resource: 'referral', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin', 'doctor'),
+  referralController.respondToReferral
+);
+
+/**
+ * POST /api/referrals/:id/complete
+ * Mark an accepted referral completed with the specialist's outcome
+ */
+router.post(
+  '/referrals/:id/complete',
+  auditPhi({ action: 'update', resource: 'referral', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin', 'doctor'),
+  referralController.completeReferral
+);
+
+/**
+ * POST /api/referrals/:id/cancel
+ * Cancel a pending or accepted referral (referring doctor or admin)
+ */
+router.post(
+  '/referrals/:id/cancel',
+  auditPhi({ action: 'update', resource: 'referral', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles('admin', 'doctor'),
+  referralController.cancelReferral
+);
+
+/**
+ * GET /api/referrals/:id/letter
+ * Download the referral letter PDF (clinic letterhead)
+ */
+router.get(
+  '/referrals/:id/letter',
+  auditPhi({
+    action: 'export',
+    resource: 'referral',
+    fields: REFERRAL_FIELDS,
+    patientIds: patientFromReferralParam(),
+  }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  referralController.downloadReferralLetter
+);
+
+/**
+ * POST /api/referrals/:id/letter/email
+ * Email the referral letter to the external specialist
+ */
+router.post(
+  '/referrals/:id/letter/email',
+  auditPhi({ action: 'send', resource: 'referral', patientIds: patientsFromAppointments }),
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  referralController.emailReferralLetter
+);
+
+// ==================== FHIR R4 EXPORT ROUTES ====================
+
+/**
+ * GET /api/fhir/Patient/:id/$everything
+ * Everything held about a patient as a FHIR searchset Bundle (doctors: own patients only)
+ */
+router.get(
+  '/fhir/Patient/:id/\\$everything',
+  auditPhi({ action: 'export', resource: 'fhir', patientIds: patientsFromFhir }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  fhirController.getPatientEverything
+);
+
+/**
+ * GET /api/fhir/Patient/:id
+ * FHIR Patient resource
+ */
+router.get(
+  '/fhir/Patient/:id',
+  auditPhi({ action: 'export', resource: 'fhir', patientIds: patientsFromFhir }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  fhirController.getPatient
+);
+
+/**
+ * GET /api/fhir/Encounter/:id
+ * FHIR Encounter resource (a consultation)
+ */
+router.get(
+  '/fhir/Encounter/:id',
+  auditPhi({ action: 'export', resource: 'fhir', patientIds: patientsFromFhir }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  fhirController.getEncounter
+);
+
+/**
+ * GET /api/fhir/:resourceType?patient=&encounter=
+ * Search Encounter, Observation (vital signs), Condition or MedicationRequest for a patient
+ */
+router.get(
+  '/fhir/:resourceType(Encounter|Observation|Condition|MedicationRequest)',
+  auditPhi({ action: 'export', resource: 'fhir', patientIds: patientsFromFhir }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  fhirController.searchResources
+);
+
+// ==================== DOCTOR ROUTES ====================
+
+/**
+ * GET /api/doctors
+ * Get all doctors (filter by department, onCall, available)
+ */
+router.get('/doctors', authenticate, authorizeRoles(...ALL_STAFF), doctorController.getAllDoctors);
+
+/**
+ * GET /api/doctors/stats
+ * Get doctor workload statistics (must be before /:id to avoid conflict)
+ */
+router.get('/doctors/stats', authenticate, authorizeRoles(...ALL_STAFF), doctorController.getDoctorStats);
+
+/**
+ * GET /api/doctors/:id
+ * Get single doctor by ID
+ */
+router.get('/doctors/:id', authenticate, authorizeRoles(...ALL_STAFF), doctorController.getDoctorById);
+
+/**
+ * POST /api/doctors
+ * Create new doctor
+ */
+router.post('/doctors', authenticate, authorizeRoles('admin'), doctorController.createDoctor);
+
+/**
+ * PUT /api/doctors/:id
+ * Update doctor
+ */
+router.put('/doctors/:id', authenticate, authorizeRoles('admin'), doctorController.updateDoctor);
+
+/**
+ * DELETE /api/doctors/:id
+ * Delete doctor (soft delete)
+ */
+router.delete('/doctors/:id', authenticate, authorizeRoles('admin'), doctorController.deleteDoctor);
+
+/**
+ * POST /api/doctors/:id/leave
+ * Add leave period for a doctor
+ */
+router.post('/doctors/:id/leave', authenticate, authorizeRoles('admin'), doctorController.addDoctorLeave);
+
+/**
+ * DELETE /api/doctors/:id/leave/:leaveId
+ * Remove leave period for a doctor
+ */
+router.delete('/doctors/:id/leave/:leaveId', authenticate, authorizeRoles('admin'), doctorController.removeDoctorLeave);
+
+/**
+ * PUT /api/doctors/:id/schedule
+ * Update doctor weekly schedule, breaks and slot lengths
+ */
+router.put('/doctors/:id/schedule', authenticate, authorizeRoles('admin'), doctorController.updateDoctorSchedule);
+
+/**
+ * GET /api/doctors/:id/availability
+ * Get open slots for a doctor (schedule minus leave, breaks and bookings)
+ */
+router.get(
+  '/doctors/:id/availability',
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  doctorController.getDoctorAvailability
+);
+
+// ==================== AUDIT LOG ROUTES ====================
+
+/**
+ * GET /api/audit-logs
+ * Query the PHI audit trail (admin)
+ * Query: actorId, actorType, patientId, action, resource, success, from, to, page, limit
+ */
+router.get('/audit-logs', authenticate, authorizeRoles('admin'), auditController.getAuditLogs);
+
+// ==================== TRIAGE RULE ROUTES ====================
+
+/**
+ * GET /api/triage-rules
+ * Triage rule set versions and which one is live
+ * Query: status (draft | published | archived)
+ */
+router.get('/triage-rules', authenticate, authorizeRoles(...CLINICAL_STAFF), triageRuleController.listRuleSets);
+
+/**
+ * GET /api/triage-rules/active
+ * The rules triage is using right now (version 0 = built-in rules)
+ */
+router.get('/triage-rules/active', authenticate, authorizeRoles(...CLINICAL_STAFF), triageRuleController.getActiveRuleSet);
+
+/**
+ * GET /api/triage-rules/test-cases
+ * Sample case library (must be before /:version)
+ * Query: active (true | false)
+ */
+router.get('/triage-rules/test-cases', authenticate, authorizeRoles('admin'), triageRuleController.listTestCases);
+
+/**
+ * POST /api/triage-rules/test-cases
+ * Add a sample case with its expected classification (admin)
+ * Body: { name, description, patient_data, expected_classification, expected_department, active }
+ */
+router.post('/triage-rules/test-cases', authenticate, authorizeRoles('admin'), triageRuleController.createTestCase);
+
+/**
+ * PUT /api/triage-rules/test-cases/:id
+ * Edit a sample case (admin)
+ */
+router.put('/triage-rules/test-cases/:id', authenticate, authorizeRoles('admin'), triageRuleController.updateTestCase);
+
+/**
+ * DELETE /api/triage-rules/test-cases/:id
+ * Remove a sample case (admin)
+ */
+router.delete('/triage-rules/test-cases/:id', authenticate, authorizeRoles('admin'), triageRuleController.deleteTestCase);
+
+/**
+ * POST /api/triage-rules
+ * Start a draft from the live rules or another version (admin)
+ * Body: { based_on_version, notes, red_flag_symptoms, triage_config, department_risk_modifiers, symptom_department_map }
+ */
+router.post('/triage-rules', authenticate, authorizeRoles('admin'), triageRuleController.createDraft);
+
+/**
+ * GET /api/triage-rules/:version
+ * One version with its rules and last test run
+ */
+router.get('/triage-rules/:version', authenticate, authorizeRoles(...CLINICAL_STAFF), triageRuleController.getRuleSet);
+
+/**
+ * PUT /api/triage-rules/:version
+ * Edit a draft - clears its test run (admin)
+ */
+router.put('/triage-rules/:version', authenticate, authorizeRoles('admin'), triageRuleController.updateDraft);
+
+/**
+ * DELETE /api/triage-rules/:version
+ * Discard a draft (admin)
+ */
+router.delete('/triage-rules/:version', authenticate, authorizeRoles('admin'), triageRuleController.deleteDraft);
+
+/**
+ * POST /api/triage-rules/:version/test
+ * Run the sample case library against a version (admin)
+ */
+router.post('/triage-rules/:version/test', authenticate, authorizeRoles('admin'), triageRuleController.testRuleSet);
+
+/**
+ * POST /api/triage-rules/:version/publish
+ * Make a draft live - its last test run must pass every case (admin)
+ */
+router.post('/triage-rules/:version/publish', authenticate, authorizeRoles('admin'), triageRuleController.publishRuleSet);
+
+/**
+ * POST /api/triage-rules/:version/rollback
+ * Re-publish an archived version, or 0 for the built-in rules (admin)
+ * Body: { reason }
+ */
+router.post('/triage-rules/:version/rollback', authenticate, authorizeRoles('admin'), triageRuleController.rollbackRuleSet);
 
 // ==================== EMAIL TEMPLATE ROUTES ====================
 
@@ -142,55 +1553,97 @@ router.patch('/appointments/:appointmentId/no-show', appointmentController.markA
  * GET /api/email-templates
  * Get all email templates
  */
-router.get('/email-templates', emailController.getAllTemplates);
+router.get('/email-templates', authenticate, authorizeRoles(...ALL_STAFF), emailController.getAllTemplates);
+
+/**
+ * GET /api/email-templates/analytics
+ * Open/click rates per campaign (template category) from tracked emails (must be before /:id)
+ */
+router.get('/email-templates/analytics', authenticate, authorizeRoles(...ALL_STAFF), emailController.getEmailAnalytics);
 
 /**
  * GET /api/email-templates/name/:name
  * Get email template by name (must be before /:id)
  */
-router.get('/email-templates/name/:name', emailController.getTemplateByName);
+router.get(
+  '/email-templates/name/:name',
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  emailController.getTemplateByName
+);
 
 /**
  * GET /api/email-templates/:id
  * Get single email template by ID
  */
-router.get('/email-templates/:id', emailController.getTemplateById);
+router.get('/email-templates/:id', authenticate, authorizeRoles(...ALL_STAFF), emailController.getTemplateById);
+
+/**
+ * GET /api/email-templates/:id/engagement
+ * Open/click rates for a single template
+ */
+router.get(
+  '/email-templates/:id/engagement',
+  authenticate,
+  authorizeRoles(...ALL_STAFF),
+  emailController.getTemplateEngagement
+);
 
 /**
  * POST /api/email-templates
  * Create new email template
  */
-router.post('/email-templates', emailController.createTemplate);
+router.post('/email-templates', authenticate, authorizeRoles('admin'), emailController.createTemplate);
 
 /**
  * PUT /api/email-templates/:id
  * Update email template
  */
-router.put('/email-templates/:id', emailController.updateTemplate);
+router.put('/email-templates/:id', authenticate, authorizeRoles('admin'), emailController.updateTemplate);
 
 /**
  * DELETE /api/email-templates/:id
  * Delete email template
  */
-router.delete('/email-templates/:id', emailController.deleteTemplate);
+router.delete('/email-templates/:id', authenticate, authorizeRoles('admin'), emailController.deleteTemplate);
 
 /**
  * POST /api/email-templates/:id/preview
  * Preview email template with sample data
  */
-router.post('/email-templates/:id/preview', emailController.previewTemplate);
+router.post('/email-templates/:id/preview', authenticate, authorizeRoles('admin'), emailController.previewTemplate);
 
 /**
  * POST /api/email-templates/:id/test
  * Send test email to specified address
  */
-router.post('/email-templates/:id/test', emailController.testSendTemplate);
+router.post('/email-templates/:id/test', authenticate, authorizeRoles('admin'), emailController.testSendTemplate);
 
 /**
  * POST /api/email-templates/resend-appointment/:appointmentId
  * Resend appointment confirmation email
  */
-router.post('/email-templates/resend-appointment/:appointmentId', emailController.resendAppointmentEmail);
+router.post(
+  '/email-templates/resend-appointment/:appointmentId',
+  auditPhi({ action: 'send', resource: 'email', patientIds: patientFromAppointmentParam() }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  emailController.resendAppointmentEmail
+);
+
+// ==================== EMAIL TRACKING ROUTES ====================
+
+/**
+ * GET /api/email/t/:trackingId/open.gif
+ * Tracking pixel embedded in patient emails (public)
+ */
+router.get('/email/t/:trackingId/open.gif', emailController.trackEmailOpen);
+
+/**
+ * GET /api/email/t/:trackingId/click/:linkIndex
+ * Tracked link redirect in patient emails (public - only redirects to the stored link)
+ */
+router.get('/email/t/:trackingId/click/:linkIndex', emailController.trackEmailClick);
 
 // ==================== SMS TEMPLATE ROUTES ====================
 
@@ -198,55 +1651,97 @@ router.post('/email-templates/resend-appointment/:appointmentId', emailControlle
  * GET /api/sms/templates
  * Get all SMS templates
  */
-router.get('/sms/templates', smsController.getSmsTemplates);
+router.get('/sms/templates', authenticate, authorizeRoles(...ALL_STAFF), smsController.getSmsTemplates);
 
 /**
- * GET /api/sms/stats
+ * GET /api/sms/stats?days=30
  * Get SMS statistics (must be before /templates/:id to avoid conflict)
  */
-router.get('/sms/stats', smsController.getSmsStats);
+router.get('/sms/stats', authenticate, authorizeRoles(...ALL_STAFF), smsController.getSmsStats);
 
 /**
  * GET /api/sms/templates/:id
  * Get single SMS template by ID
  */
-router.get('/sms/templates/:id', smsController.getSmsTemplateById);
+router.get('/sms/templates/:id', authenticate, authorizeRoles(...ALL_STAFF), smsController.getSmsTemplateById);
 
 /**
  * POST /api/sms/templates
  * Create new SMS template
  */
-router.post('/sms/templates', smsController.createSmsTemplate);
+router.post('/sms/templates', authenticate, authorizeRoles('admin'), smsController.createSmsTemplate);
 
 /**
  * PUT /api/sms/templates/:id
  * Update SMS template
  */
-router.put('/sms/templates/:id', smsController.updateSmsTemplate);
+router.put('/sms/templates/:id', authenticate, authorizeRoles('admin'), smsController.updateSmsTemplate);
 
 /**
  * DELETE /api/sms/templates/:id
  * Delete SMS template
  */
-router.delete('/sms/templates/:id', smsController.deleteSmsTemplate);
+router.delete('/sms/templates/:id', authenticate, authorizeRoles('admin'), smsController.deleteSmsTemplate);
 
 /**
  * POST /api/sms/send/appointment/:appointmentId
  * Send appointment SMS manually
  */
-router.post('/sms/send/appointment/:appointmentId', smsController.sendAppointmentSms);
+router.post(
+  '/sms/send/appointment/:appointmentId',
+  auditPhi({ action: 'send', resource: 'sms', patientIds: patientFromAppointmentParam() }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  smsController.sendAppointmentSms
+);
 
 /**
  * POST /api/sms/send/emergency/:patientId
  * Send emergency alert SMS to patient
  */
-router.post('/sms/send/emergency/:patientId', smsController.sendEmergencySms);
+router.post(
+  '/sms/send/emergency/:patientId',
+  auditPhi({ action: 'send', resource: 'sms', patientIds: patientFromParam('patientId') }),
+  authenticate,
+  authorizeRoles(...CLINICAL_STAFF),
+  smsController.sendEmergencySms
+);
 
 /**
  * POST /api/sms/send/custom/:patientId
  * Send custom SMS to patient
  */
-router.post('/sms/send/custom/:patientId', smsController.sendCustomSms);
+router.post(
+  '/sms/send/custom/:patientId',
+  auditPhi({ action: 'send', resource: 'sms', patientIds: patientFromParam('patientId') }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  smsController.sendCustomSms
+);
+
+/**
+ * POST /api/sms/inbound
+ * Twilio webhook for patient SMS/WhatsApp replies (YES / NO / RESCHEDULE / STOP)
+ */
+router.post('/sms/inbound', verifyTwilioSignature, smsController.handleInboundSms);
+
+/**
+ * POST /api/sms/status
+ * Twilio status callback - delivery updates for sent SMS/WhatsApp (queued/sent/delivered/failed)
+ */
+router.post('/sms/status', verifyTwilioSignature, smsController.handleSmsStatusCallback);
+
+/**
+ * GET /api/sms/inbound
+ * Recorded patient replies and the action taken (filter needsFollowUp=true for the front desk queue)
+ */
+router.get(
+  '/sms/inbound',
+  auditPhi({ action: 'read', resource: 'sms', patientIds: (req, body) => (body?.data || []).map((m) => m.patient_id) }),
+  authenticate,
+  authorizeRoles(...FRONT_DESK_STAFF),
+  smsController.getInboundMessages
+);
 
 // ==================== 404 HANDLER ====================
 
@@ -260,6 +1755,14 @@ router.use('*', (req, res) => {
     message: 'API endpoint not found',
     requestedUrl: req.originalUrl,
     availableEndpoints: {
+      auth: [
+        'POST /api/auth/login',
+        'GET /api/auth/me',
+        'PUT /api/auth/password',
+        'GET /api/auth/users',
+        'POST /api/auth/users',
+        'PUT /api/auth/users/:id',
+      ],
       patients: [
         'GET /api/patients',
         'GET /api/patients/stats',
@@ -270,22 +1773,152 @@ router.use('*', (req, res) => {
         'GET /api/patients/:id/consultations',
         'GET /api/patients/:id/appointments',
         'GET /api/patients/:id/medical-history',
+        'GET /api/patients/:id/prescriptions',
+        'GET /api/patients/:id/invoices',
+        'GET /api/patients/:id/lab-orders',
+        'GET /api/patients/:id/vitals',
+        'GET /api/patients/:id/clinical-notes',
+        'GET /api/patients/:id/communication-preferences',
+        'PUT /api/patients/:id/communication-preferences',
+        'GET /api/patients/:id/access-report',
       ],
       appointments: [
         'POST /api/appointments',
         'GET /api/appointments',
         'GET /api/appointments/stats',
+        'GET /api/appointments/slots',
+        'POST /api/appointments/holds',
+        'DELETE /api/appointments/holds/:holdId',
+        'POST /api/appointments/book',
         'GET /api/appointments/:appointmentId',
         'GET /api/appointments/patient/:patientId',
         'PATCH /api/appointments/:appointmentId/cancel',
         'PATCH /api/appointments/:appointmentId/reschedule',
         'PATCH /api/appointments/:appointmentId/complete',
         'PATCH /api/appointments/:appointmentId/no-show',
+        'POST /api/appointments/:appointmentId/vitals',
+        'GET /api/appointments/:appointmentId/vitals',
+        'POST /api/appointments/:appointmentId/check-in',
+      ],
+      queue: [
+        'POST /api/check-in/scan',
+        'GET /api/queue?department=&doctorId=',
+        'GET /api/queue/board?department=',
+        'POST /api/queue/call-next',
+        'POST /api/queue/:appointmentId/recall',
+      ],
+      waitlist: [
+        'POST /api/waitlist',
+        'GET /api/waitlist',
+        'DELETE /api/waitlist/:id',
+        'GET /api/waitlist/:id/offer?token=',
+        'POST /api/waitlist/:id/respond',
+      ],
+      followUps: [
+        'GET /api/follow-ups',
+        'GET /api/follow-ups/reports/overdue',
+        'GET /api/follow-ups/:id/offer?token=',
+        'POST /api/follow-ups/:id/respond',
+        'GET /api/follow-ups/:id',
+        'POST /api/follow-ups/:id/book',
+        'POST /api/follow-ups/:id/cancel',
+      ],
+      clinicalNotes: [
+        'GET /api/icd10/search?q=&limit=',
+        'GET /api/icd10/:code',
+        'GET /api/clinical-notes/templates?department=',
+        'GET /api/clinical-notes/reports/diagnoses',
+        'POST /api/clinical-notes',
+        'GET /api/clinical-notes/:id',
+        'PATCH /api/clinical-notes/:id',
+        'POST /api/clinical-notes/:id/sign',
+        'POST /api/clinical-notes/:id/amend',
+        'GET /api/appointments/:appointmentId/clinical-note',
+      ],
+      prescriptions: [
+        'POST /api/prescriptions',
+        'POST /api/prescriptions/safety-check',
+        'GET /api/prescriptions/:id',
+        'PUT /api/prescriptions/:id',
+        'GET /api/prescriptions/:id/pdf',
+        'POST /api/prescriptions/:id/email',
+        'GET /api/prescriptions/verify/:code?v=',
+      ],
+      invoices: [
+        'POST /api/invoices',
+        'GET /api/invoices',
+        'GET /api/invoices/:id',
+        'GET /api/invoices/:id/pdf',
+        'POST /api/invoices/:id/payments',
+        'POST /api/invoices/:id/refunds',
+        'POST /api/invoices/:id/cancel',
+        'POST /api/invoices/:id/email',
+        'GET /api/invoices/reports/collections?date=',
+      ],
+      labOrders: [
+        'GET /api/lab-tests/catalog?q=&category=',
+        'POST /api/lab-orders',
+        'GET /api/lab-orders?status=&category=&priority=',
+        'GET /api/lab-orders/:id',
+        'POST /api/lab-orders/:id/sample',
+        'PUT /api/lab-orders/:id/results',
+        'POST /api/lab-orders/:id/report',
+        'GET /api/lab-orders/:id/report',
+        'POST /api/lab-orders/:id/cancel',
+      ],
+      referrals: [
+        'POST /api/referrals',
+        'GET /api/referrals?direction=incoming|outgoing&status=',
+        'GET /api/referrals/:id',
+        'POST /api/referrals/:id/respond',
+        'POST /api/referrals/:id/complete',
+        'POST /api/referrals/:id/cancel',
+        'GET /api/referrals/:id/letter',
+        'POST /api/referrals/:id/letter/email',
+      ],
+      fhir: [
+        'GET /api/fhir/Patient/:id',
+        'GET /api/fhir/Patient/:id/$everything',
+        'GET /api/fhir/Encounter/:id',
+        'GET /api/fhir/Encounter?patient=',
+        'GET /api/fhir/Observation?patient=&encounter=',
+        'GET /api/fhir/Condition?patient=&encounter=',
+        'GET /api/fhir/MedicationRequest?patient=&encounter=',
+      ],
+      doctors: [
+        'GET /api/doctors',
+        'GET /api/doctors/stats',
+        'GET /api/doctors/:id',
+        'POST /api/doctors',
+        'PUT /api/doctors/:id',
+        'DELETE /api/doctors/:id',
+        'POST /api/doctors/:id/leave',
+        'DELETE /api/doctors/:id/leave/:leaveId',
+        'PUT /api/doctors/:id/schedule',
+        'GET /api/doctors/:id/availability?from=&to=&appointmentType=',
+      ],
+      auditLogs: ['GET /api/audit-logs'],
+      triageRules: [
+        'GET /api/triage-rules',
+        'GET /api/triage-rules/active',
+        'POST /api/triage-rules',
+        'GET /api/triage-rules/:version',
+        'PUT /api/triage-rules/:version',
+        'DELETE /api/triage-rules/:version',
+        'POST /api/triage-rules/:version/test',
+        'POST /api/triage-rules/:version/publish',
+        'POST /api/triage-rules/:version/rollback',
+        'GET /api/triage-rules/test-cases',
+        'POST /api/triage-rules/test-cases',
+        'PUT /api/triage-rules/test-cases/:id',
+        'DELETE /api/triage-rules/test-cases/:id',
       ],
       emailTemplates: [
         'GET /api/email-templates',
+        'GET /api/email-templates/analytics',
         'GET /api/email-templates/name/:name',
         'GET /api/email-templates/:id',
+        'GET /api/email-templates/:id/engagement',
         'POST /api/email-templates',
         'PUT /api/email-templates/:id',
         'DELETE /api/email-templates/:id',
@@ -293,6 +1926,10 @@ router.use('*', (req, res) => {
         'POST /api/email-templates/:id/test',
         'POST /api/email-templates/resend-appointment/:appointmentId',
       ],
+      emailTracking: [
+        'GET /api/email/t/:trackingId/open.gif',
+        'GET /api/email/t/:trackingId/click/:linkIndex',
+      ],
       smsTemplates: [
         'GET /api/sms/templates',
         'GET /api/sms/stats',
@@ -303,6 +1940,9 @@ router.use('*', (req, res) => {
         'POST /api/sms/send/appointment/:appointmentId',
         'POST /api/sms/send/emergency/:patientId',
         'POST /api/sms/send/custom/:patientId',
+        'POST /api/sms/inbound',
+        'POST /api/sms/status',
+        'GET /api/sms/inbound',
       ],
       utility: ['GET /api/health'],
     },
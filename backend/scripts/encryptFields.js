@@ -0,0 +1,147 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Patient from '../models/Patient.js';
+import Consultation from '../models/Consultation.js';
+import fieldEncryption from '../utils/fieldEncryption.js';
+import logger from '../utils/logger.js';
+
+// Get current file's directory (ES6 equivalent of __dirname)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from backend directory
+dotenv.config({ path: join(__dirname, '../.env') });
+
+
+/**
+ * Field Encryption Migration for MediFlow
+ * Encrypts existing plaintext Patient/Consultation data and re-encrypts
+ * anything written with a retired key (key rotation).
+ *
+ * - Drops the old plaintext email/phone indexes on patients (uniqueness now
+ *   lives on email_blind_index) - run this right after deploying encryption
+ * - Documents already on the active key with correct blind indexes are skipped,
+ *   so the script is safe to re-run
+ * - Saves skip validation and timestamps: legacy records are migrated as-is
+ *
+ * Usage:
+ *   npm run encrypt:fields
+ *
+ * Optional env:
+ *   ENCRYPTION_DRY_RUN=true   // report what would change without writing
+ */
+
+const DRY_RUN = String(process.env.ENCRYPTION_DRY_RUN || 'false') === 'true';
+
+// Plaintext indexes from before encryption (they would index empty values now)
+const LEGACY_PATIENT_INDEXES = ['email_1', 'phone_1', 'phone_1_email_1'];
+
+
+/**
+ * Drop legacy plaintext indexes and build the blind index ones
+ */
+async function migrateIndexes() {
+  // Fresh databases have no patients collection yet
+  const existing = await Patient.collection.indexes().catch(() => []);
+
+  for (const index of existing) {
+    if (!LEGACY_PATIENT_INDEXES.includes(index.name)) continue;
+
+    if (DRY_RUN) {
+      logger.info(`[dry run] Would drop patients index ${index.name}`);
+    } else {
+      await Patient.collection.dropIndex(index.name);
+      logger.info(`🗑️ Dropped legacy patients index ${index.name}`);
+    }
+  }
+
+  if (!DRY_RUN) {
+    await Patient.createIndexes();
+    logger.success('Blind indexes ready on patients');
+  }
+}
+
+
+/**
+ * Encrypt / re-encrypt every document of a model that needs it
+ * @returns {Object} - { scanned, updated, failed }
+ */
+async function migrateModel(Model) {
+  logger.section(`ENCRYPTING ${Model.collection.collectionName.toUpperCase()}`);
+
+  const result = { scanned: 0, updated: 0, failed: 0 };
+  const cursor = Model.find({}).cursor();
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    result.scanned += 1;
+
+    try {
+      if (!doc.needsEncryptionUpdate()) continue;
+
+      if (!DRY_RUN) {
+        await doc.reencryptFields().save({ validateBeforeSave: false, timestamps: false });
+      }
+      result.updated += 1;
+    } catch (error) {
+      result.failed += 1;
+      logger.error(`❌ ${Model.modelName} ${doc._id}:`, error.message);
+    }
+
+    if (result.scanned % 500 === 0) {
+      logger.info(`...${result.scanned} scanned, ${result.updated} ${DRY_RUN ? 'to update' : 'updated'}`);
+    }
+  }
+
+  logger.info(
+    `${Model.modelName}: ${result.scanned} scanned, ${result.updated} ${DRY_RUN ? 'to update' : 'updated'}, ${result.failed} failed`
+  );
+
+  return result;
+}
+
+
+async function encryptFields() {
+  try {
+    logger.section('FIELD ENCRYPTION MIGRATION');
+
+    // Verify MONGODB_URI is loaded
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI not found in environment variables. Check your .env file!');
+    }
+
+    const { activeKeyId, keyIds } = fieldEncryption.validateConfig();
+    logger.info(`Active key: ${activeKeyId} (key ring: ${keyIds.join(', ')})${DRY_RUN ? ' - DRY RUN' : ''}`);
+
+    // Connect to MongoDB (indexes are handled below, after the legacy ones are gone)
+    await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+    logger.success('Connected to MongoDB');
+
+
+    await migrateIndexes();
+
+    let failed = 0;
+    for (const Model of [Patient, Consultation]) {
+      const result = await migrateModel(Model);
+      failed += result.failed;
+    }
+
+
+    logger.separator();
+    if (failed > 0) {
+      throw new Error(`${failed} document(s) could not be encrypted - fix and re-run`);
+    }
+    logger.success(DRY_RUN ? 'Dry run complete!' : 'All patient data encrypted with the active key!');
+
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error encrypting fields:', error.message);
+    process.exit(1);
+  }
+}
+
+
+// Run the migration
+encryptFields();
@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+// Get current file's directory (ES6 equivalent of __dirname)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from backend directory
+dotenv.config({ path: join(__dirname, '../.env') });
+
+
+/**
+ * Admin Seeder for MediFlow
+ * Creates the first admin account so staff logins can be managed via /api/auth/users
+ *
+ * Reads ADMIN_NAME, ADMIN_EMAIL and ADMIN_PASSWORD from .env.
+ * Never overwrites an existing account.
+ */
+
+
+async function seedAdmin() {
+  try {
+    logger.section('SEEDING ADMIN ACCOUNT');
+
+    // Verify MONGODB_URI is loaded
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI not found in environment variables. Check your .env file!');
+    }
+
+    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+      throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set in .env');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.success('Connected to MongoDB');
+
+
+    const existing = await User.findOne({ email: process.env.ADMIN_EMAIL.toLowerCase() });
+
+    if (existing) {
+      logger.warn(`⚠️ ${existing.email} already exists (role=${existing.role}) - skipping`);
+    } else {
+      const admin = await User.create({
+        name: process.env.ADMIN_NAME || 'Clinic Admin',
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASSWORD,
+        role: 'admin',
+      });
+
+      logger.info(`✅ Admin created: ${admin.email}`);
+    }
+
+
+    logger.separator();
+    logger.success('Admin account ready!');
+
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error seeding admin:', error.message);
+    process.exit(1);
+  }
+}
+
+
+// Run the seed function
+seedAdmin();
@@ -0,0 +1,100 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Doctor from '../models/Doctor.js';
+import logger from '../utils/logger.js';
+
+// Get current file's directory (ES6 equivalent of __dirname)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from backend directory
+dotenv.config({ path: join(__dirname, '../.env') });
+
+
+/**
+ * Doctor Seeder for MediFlow
+ * Populates database with a starter roster of clinic doctors
+ *
+ * Upserts by email so existing doctors (and the appointments that
+ * reference them) are never deleted or re-created.
+ */
+
+
+const doctors = [
+  {
+    name: 'Dr. Rajesh Kumar',
+    email: 'rajesh.kumar@mediflow.com',
+    department: 'General Medicine',
+    specialization: 'General Physician',
+    shift: 'morning',
+    max_patients_per_day: 20,
+  },
+  {
+    name: 'Dr. Priya Sharma',
+    email: 'priya.sharma@mediflow.com',
+    department: 'Cardiology',
+    specialization: 'Cardiologist',
+    shift: 'full-day',
+    max_patients_per_day: 15,
+  },
+  {
+    name: 'Dr. Amit Verma',
+    email: 'amit.verma@mediflow.com',
+    department: 'Pediatrics',
+    specialization: 'Pediatrician',
+    shift: 'morning',
+    max_patients_per_day: 25,
+  },
+  {
+    name: 'Dr. Emergency On-Call',
+    email: 'emergency@mediflow.com',
+    department: 'Emergency',
+    specialization: 'Emergency Medicine',
+    shift: 'full-day',
+    max_patients_per_day: 100,
+    is_on_call: true,
+  },
+];
+
+
+async function seedDoctors() {
+  try {
+    logger.section('SEEDING CLINIC DOCTORS');
+
+    // Verify MONGODB_URI is loaded
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI not found in environment variables. Check your .env file!');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.success('Connected to MongoDB');
+
+
+    for (const doctorData of doctors) {
+      const doctor = await Doctor.findOneAndUpdate(
+        { email: doctorData.email },
+        { $setOnInsert: doctorData },
+        { upsert: true, new: true }
+      );
+
+      logger.info(`✅ ${doctor.name} [${doctor.department}] (shift=${doctor.shift}, capacity=${doctor.max_patients_per_day})`);
+    }
+
+
+    logger.separator();
+    logger.success('Clinic doctors seeded successfully!');
+
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error seeding doctors:', error.message);
+    process.exit(1);
+  }
+}
+
+
+// Run the seed function
+seedDoctors();
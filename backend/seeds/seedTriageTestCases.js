@@ -0,0 +1,221 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import TriageTestCase from '../models/TriageTestCase.js';
+import logger from '../utils/logger.js';
+
+// Get current file's directory (ES6 equivalent of __dirname)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from backend directory
+dotenv.config({ path: join(__dirname, '../.env') });
+
+
+/**
+ * Triage Sample Case Seeder for MediFlow
+ * Starter library of synthetic presentations that triage rule drafts are tested
+ * against before they can be published (POST /api/triage-rules/:version/test)
+ *
+ * Expectations match the built-in rules. Cases that already exist (by name) are
+ * left alone, so the medical director's edits are never overwritten.
+ */
+
+
+const testCases = [
+  // ==================== EMERGENCY ====================
+  {
+    name: 'Crushing chest pain',
+    description: 'Cardiac red flag must always be an emergency',
+    patient_data: {
+      age: 58,
+      chief_complaint: 'crushing chest pain radiating pain to arm',
+      symptoms: ['sweating', 'nausea'],
+      pain_scale: 9,
+      symptom_duration: '< 24 hours',
+    },
+    expected_classification: 'Emergency',
+  },
+  {
+    name: 'Stroke signs',
+    description: 'FAST symptoms are red flags',
+    patient_data: {
+      age: 67,
+      chief_complaint: 'face drooping and slurred speech since morning',
+      symptoms: ['arm weakness'],
+      pain_scale: 0,
+      symptom_duration: '< 24 hours',
+    },
+    expected_classification: 'Emergency',
+  },
+  {
+    name: 'Anaphylaxis',
+    patient_data: {
+      age: 24,
+      chief_complaint: 'throat closing after eating peanuts',
+      symptoms: ['tongue swelling', 'hives'],
+      pain_scale: 5,
+      symptom_duration: '< 24 hours',
+    },
+    expected_classification: 'Emergency',
+  },
+  {
+    name: 'Suicidal thoughts',
+    description: 'Mental health red flags are never routine',
+    patient_data: {
+      age: 31,
+      chief_complaint: 'feeling suicidal for the past week',
+      symptoms: ['insomnia'],
+      pain_scale: 0,
+      symptom_duration: '3-7 days',
+    },
+    expected_classification: 'Emergency',
+  },
+  {
+    name: 'Critical vitals in an elderly patient',
+    description: 'No red flag phrase - the score alone must reach Emergency',
+    patient_data: {
+      age: 80,
+      chief_complaint: 'feeling very unwell and dizzy',
+      symptoms: ['fever'],
+      pain_scale: 7,
+      symptom_duration: '< 24 hours',
+      chronic_conditions: ['diabetes', 'hypertension', 'COPD'],
+      vitals: {
+        blood_pressure: { systolic: 85, diastolic: 55 },
+        pulse_rate: 125,
+        oxygen_saturation: 88,
+      },
+    },
+    expected_classification: 'Emergency',
+  },
+
+  // ==================== MEDIUM ====================
+  {
+    name: 'Acute abdominal pain with comorbidities',
+    patient_data: {
+      age: 62,
+      chief_complaint: 'stomach pain since yesterday',
+      symptoms: ['vomiting'],
+      pain_scale: 7,
+      symptom_duration: '1-3 days',
+      chronic_conditions: ['diabetes', 'hypertension'],
+      vitals: { temperature: 101.5 },
+    },
+    expected_classification: 'Medium',
+    expected_department: 'General Medicine',
+  },
+  {
+    name: 'Palpitations in a cardiac patient',
+    patient_data: {
+      age: 66,
+      chief_complaint: 'palpitation on climbing stairs',
+      symptoms: ['tiredness'],
+      pain_scale: 6,
+      symptom_duration: '1-3 days',
+      chronic_conditions: ['hypertension'],
+      primary_department: 'Cardiology',
+    },
+    expected_classification: 'Medium',
+    expected_department: 'Cardiology',
+  },
+
+  // ==================== LOW ====================
+  {
+    name: 'Common cold',
+    patient_data: {
+      age: 29,
+      chief_complaint: 'runny nose and sneezing',
+      symptoms: ['mild sore throat'],
+      pain_scale: 1,
+      symptom_duration: '3-7 days',
+    },
+    expected_classification: 'Low',
+    expected_department: 'ENT',
+  },
+  {
+    name: 'Acne',
+    patient_data: {
+      age: 22,
+      chief_complaint: 'acne on face',
+      symptoms: [],
+      pain_scale: 0,
+      symptom_duration: 'Chronic',
+      primary_department: 'Dermatology',
+    },
+    expected_classification: 'Low',
+    expected_department: 'Dermatology',
+  },
+  {
+    name: 'Chronic knee pain',
+    patient_data: {
+      age: 52,
+      chief_complaint: 'knee pain when walking',
+      symptoms: ['stiffness'],
+      pain_scale: 4,
+      symptom_duration: '2+ weeks',
+    },
+    expected_classification: 'Low',
+    expected_department: 'Orthopedics',
+  },
+  {
+    name: 'Child with a mild fever',
+    description: 'Under-18s route to Pediatrics whatever the complaint',
+    patient_data: {
+      age: 6,
+      chief_complaint: 'mild fever and cough',
+      symptoms: ['runny nose'],
+      pain_scale: 2,
+      symptom_duration: '1-3 days',
+    },
+    expected_classification: 'Low',
+    expected_department: 'Pediatrics',
+  },
+];
+
+
+async function seedTriageTestCases() {
+  try {
+    logger.section('SEEDING TRIAGE SAMPLE CASES');
+
+    // Verify MONGODB_URI is loaded
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI not found in environment variables. Check your .env file!');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.success('Connected to MongoDB');
+
+
+    let inserted = 0;
+
+    for (const testCase of testCases) {
+      const existing = await TriageTestCase.findOne({ name: testCase.name });
+
+      if (existing) {
+        logger.warn(`⚠️ "${testCase.name}" already exists - skipping`);
+        continue;
+      }
+
+      await TriageTestCase.create(testCase);
+      inserted += 1;
+      logger.info(`✅ ${testCase.name} (expects ${testCase.expected_classification})`);
+    }
+
+
+    logger.separator();
+    logger.success(`Triage sample cases seeded (${inserted} new, ${testCases.length - inserted} kept)`);
+
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error seeding triage sample cases:', error.message);
+    process.exit(1);
+  }
+}
+
+
+// Run the seed function
+seedTriageTestCases();
@@ -8,7 +8,11 @@ import connectDB from './config/db.js';
 import apiRoutes from './routes/api.js';
 import consultationController from './controllers/consultationController.js';
 import behaviorController from './controllers/behaviorController.js';
+import queueController from './controllers/queueController.js';
+import handoffController from './controllers/handoffController.js';
+import triageRuleService from './services/triageRuleService.js';
 import emailService from './services/emailService.js';
+import fieldEncryption from './utils/fieldEncryption.js';
 import emailScheduler from './cron/emailScheduler.js';
 import { initializeSmsScheduler } from './cron/smsScheduler.js';
 import { initializeAppointmentScheduler } from './cron/appointmentScheduler.js';
@@ -45,6 +49,11 @@ const PORT = process.env.PORT || 5000;
 
 // ==================== MIDDLEWARE ====================
 
+// Number of reverse proxies in front of the app (TRUST_PROXY_HOPS, default none)
+// X-Forwarded-For is only believed up to this many hops, so req.ip - and the
+// IP recorded in the PHI audit trail - cannot be forged by the client
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || false);
+
 // CORS configuration
 app.use(
   cors({
@@ -91,19 +100,32 @@ app.get('/', (req, res) => {
     endpoints: {
       api: '/api',
       health: '/api/health',
+      auth: '/api/auth/login',
       patients: '/api/patients',
       appointments: '/api/appointments',
+      waitlist: '/api/waitlist',
+      followUps: '/api/follow-ups',
+      queue: '/api/queue',
+      clinicalNotes: '/api/clinical-notes',
+      icd10: '/api/icd10/search',
+      prescriptions: '/api/prescriptions',
+      invoices: '/api/invoices',
+      labOrders: '/api/lab-orders',
+      referrals: '/api/referrals',
+      fhir: '/api/fhir',
       doctors: '/api/doctors',
       departments: '/api/departments',
       consultations: '/api/consultations',
       emailTemplates: '/api/email-templates',
       smsTemplates: '/api/sms/templates',
       smsStats: '/api/sms/stats',
+      auditLogs: '/api/audit-logs',
+      triageRules: '/api/triage-rules',
     },
     websocket: {
       status: 'active',
       url: `ws://localhost:${PORT}`,
-      features: ['real-time-chat', 'patient-triage', 'behavioral-tracking'],
+      features: ['real-time-chat', 'patient-triage', 'behavioral-tracking', 'queue-board', 'staff-handoff'],
     },
     features: {
       aiTriage: 'Intelligent patient risk classification (Emergency/High/Medium/Low)',
@@ -147,6 +169,8 @@ app.get('/', (req, res) => {
 // Setup Socket.io event handlers
 consultationController.setupSocketHandlers(io);
 behaviorController.setupBehaviorHandlers(io);
+queueController.setupQueueHandlers(io);
+handoffController.setupHandoffHandlers(io);
 
 // Log Socket.io connection attempts
 io.on('connection', (socket) => {
@@ -175,6 +199,10 @@ const initializeServices = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Load the published triage rules (built-in rules until one is published)
+    const triageRules = await triageRuleService.loadActiveRuleSet();
+    logger.info(`Triage rules: ${triageRules.version ? `v${triageRules.version}` : 'built-in defaults'}`);
+
     // Verify email service connection
     logger.info('Verifying email service connection...');
     const emailVerified = await emailService.verifyConnection();
@@ -184,6 +212,16 @@ const initializeServices = async () => {
       logger.warn('Email service connection failed - appointment reminders via email will not be sent ⚠️');
     }
 
+    // Staff authentication requires a JWT signing secret
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not set - staff authentication cannot work. Add it to .env');
+    }
+    logger.success('Staff authentication configured (JWT) ✅');
+
+    // Patient data is encrypted at rest - refuse to start without a valid key ring
+    const { activeKeyId, keyIds } = fieldEncryption.validateConfig();
+    logger.success(`Field encryption configured (active key: ${activeKeyId}, ${keyIds.length} key(s) in ring) ✅`);
+
     // Verify Twilio SMS/WhatsApp service configuration
     logger.info('Verifying SMS/WhatsApp service configuration...');
     if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER) {
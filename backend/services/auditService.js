@@ -0,0 +1,197 @@
+/**
+ * Audit Service for MediFlow
+ * Records and queries the PHI access trail (AuditLog)
+ *
+ * Recording never throws - a failed audit write is logged loudly but
+ * does not break the clinical workflow that triggered it.
+ */
+
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Get client IP
+ * req.ip honours the app's 'trust proxy' setting (server.js), so a client
+ * cannot forge it with its own X-Forwarded-For header
+ */
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Build the actor block for a request
+ * Staff come from req.user (authenticate middleware); anything else is a
+ * patient using a booking link or an anonymous caller.
+ */
+function buildActor(req, fallbackType = 'anonymous') {
+  if (req.user) {
+    return {
+      type: 'staff',
+      user_id: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      role: req.user.role,
+    };
+  }
+
+  return { type: fallbackType };
+}
+
+/**
+ * Keep only valid, unique patient IDs
+ */
+function normalizePatientIds(ids = []) {
+  const unique = new Set(
+    ids
+      .map((id) => (id && id._id ? id._id : id))
+      .filter((id) => id && mongoose.isValidObjectId(id))
+      .map((id) => id.toString())
+  );
+  return [...unique];
+}
+
+/**
+ * Append an audit entry
+ * @param {Object} entry - { actor, action, resource, resource_id, patient_ids, fields, ... }
+ * @returns {Promise<Object|null>} - Saved entry or null on failure
+ */
+async function record(entry) {
+  try {
+    const saved = await AuditLog.create({
+      ...entry,
+      patient_ids: normalizePatientIds(entry.patient_ids),
+    });
+
+    logger.hipaa(
+      `${entry.actor.email || entry.actor.type} ${entry.action} ${entry.resource}` +
+        (saved.patient_ids.length ? ` (${saved.patient_ids.length} patient(s))` : '')
+    );
+
+    return saved;
+  } catch (error) {
+    logger.error('❌ AUDIT WRITE FAILED:', error.message);
+    logger.object('Unrecorded audit entry', entry);
+    return null;
+  }
+}
+
+/**
+ * Record an access made during an HTTP request
+ * @param {string} anonymousType - Actor type when no staff user is logged in
+ */
+async function recordRequest(req, entry, anonymousType = 'anonymous') {
+  return record({
+    actor: buildActor(req, anonymousType),
+    method: req.method,
+    path: req.originalUrl,
+    ip_address: getClientIp(req),
+    user_agent: req.headers?.['user-agent'] || null,
+    ...entry,
+  });
+}
+
+/**
+ * Query audit entries
+ * @param {Object} filters - { actorId, patientId, action, resource, from, to }
+ * @param {Object} pagination - { page, limit }
+ * @returns {Object} - { entries, total, page, limit }
+ */
+async function queryLogs(filters = {}, { page = 1, limit = 50 } = {}) {
+  const query = {};
+
+  if (filters.actorId) query['actor.user_id'] = filters.actorId;
+  if (filters.actorType) query['actor.type'] = filters.actorType;
+  if (filters.patientId) query.patient_ids = filters.patientId;
+  if (filters.action) query.action = filters.action;
+  if (filters.resource) query.resource = filters.resource;
+  if (filters.success !== undefined) query.success = filters.success;
+
+  if (filters.from || filters.to) {
+    query.timestamp = {};
+    if (filters.from) query.timestamp.$gte = new Date(filters.from);
+    if (filters.to) query.timestamp.$lte = new Date(filters.to);
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  return { entries, total, page, limit };
+}
+
+/**
+ * "Who accessed my record" report for one patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} range - { from, to }
+ * @returns {Object} - { accessors: [...], recent: [...], totalEvents }
+ */
+async function getPatientAccessReport(patientId, { from = null, to = null } = {}) {
+  const match = { patient_ids: new mongoose.Types.ObjectId(patientId) };
+
+  if (from || to) {
+    match.timestamp = {};
+    if (from) match.timestamp.$gte = new Date(from);
+    if (to) match.timestamp.$lte = new Date(to);
+  }
+
+  const [accessors, recent, totalEvents] = await Promise.all([
+    AuditLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            type: '$actor.type',
+            user_id: '$actor.user_id',
+          },
+          name: { $last: '$actor.name' },
+          email: { $last: '$actor.email' },
+          role: { $last: '$actor.role' },
+          actions: { $addToSet: '$action' },
+          resources: { $addToSet: '$resource' },
+          access_count: { $sum: 1 },
+          first_access: { $min: '$timestamp' },
+          last_access: { $max: '$timestamp' },
+        },
+      },
+      { $sort: { last_access: -1 } },
+    ]),
+    AuditLog.find(match)
+      .sort({ timestamp: -1 })
+      .limit(100)
+      .select('actor action resource fields timestamp ip_address success')
+      .lean(),
+    AuditLog.countDocuments(match),
+  ]);
+
+  return {
+    accessors: accessors.map((a) => ({
+      actor_type: a._id.type,
+      user_id: a._id.user_id,
+      name: a.name,
+      email: a.email,
+      role: a.role,
+      actions: a.actions,
+      resources: a.resources,
+      access_count: a.access_count,
+      first_access: a.first_access,
+      last_access: a.last_access,
+    })),
+    recent,
+    totalEvents,
+  };
+}
+
+export default {
+  getClientIp,
+  buildActor,
+  record,
+  recordRequest,
+  queryLogs,
+  getPatientAccessReport,
+};
@@ -0,0 +1,262 @@
+/**
+ * Availability Service for MediFlow
+ * Computes bookable appointment slots per doctor by intersecting:
+ * - Doctor weekly schedule (per-weekday blocks and breaks)
+ * - Doctor leave / holiday exceptions
+ * - Existing appointment bookings (doctor_id + scheduled_start_time index)
+ * - Active self-service slot holds (SlotHold)
+ *
+ * This is the source of truth for slot availability - Google Calendar
+ * free/busy only reflects the shared clinic calendar, not individual doctors.
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Appointment from '../models/Appointment.js';
+import SlotHold from '../models/SlotHold.js';
+import {
+  generateDoctorTimeSlots,
+  isDoctorWorkingThrough,
+  rangesOverlap,
+} from '../utils/timeSlotGenerator.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Appointment statuses that occupy a doctor's time
+ */
+const BLOCKING_STATUSES = ['scheduled', 'confirmed', 'reminder_sent', 'checked_in', 'in_progress'];
+
+/**
+ * Get a doctor's booked appointments in a time range
+ * Uses the { doctor_id, scheduled_start_time } compound index
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} excludeAppointmentId - Ignore this appointment (for reschedules)
+ * @returns {Array} - [{ _id, scheduled_start_time, scheduled_end_time }]
+ */
+async function getBookedAppointments(doctorId, from, to, excludeAppointmentId = null) {
+  const query = {
+    doctor_id: doctorId,
+    scheduled_start_time: { $gte: from, $lt: to },
+    status: { $in: BLOCKING_STATUSES },
+  };
+
+  if (excludeAppointmentId) {
+    query._id = { $ne: excludeAppointmentId };
+  }
+
+  return Appointment.find(query)
+    .select('scheduled_start_time scheduled_end_time')
+    .sort({ scheduled_start_time: 1 })
+    .lean();
+}
+
+/**
+ * Get everything occupying a doctor's time in a range: bookings plus active holds
+ * Holds are mapped to the appointment shape so slot generation treats them alike
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} exclude - { appointmentId, holdId } to ignore
+ * @returns {Array} - [{ _id, scheduled_start_time, scheduled_end_time }]
+ */
+async function getBusyRanges(doctorId, from, to, { appointmentId = null, holdId = null } = {}) {
+  const [appointments, holds] = await Promise.all([
+    getBookedAppointments(doctorId, from, to, appointmentId),
+    SlotHold.findActiveForDoctor(doctorId, from, to, holdId),
+  ]);
+
+  return [
+    ...appointments,
+    ...holds.map((hold) => ({
+      _id: hold._id,
+      scheduled_start_time: hold.start_time,
+      scheduled_end_time: hold.end_time,
+    })),
+  ];
+}
+
+/**
+ * Load a doctor by ID (null for unknown/invalid IDs)
+ */
+async function loadDoctor(doctorOrId) {
+  if (doctorOrId instanceof Doctor) {
+    return doctorOrId;
+  }
+
+  if (!mongoose.isValidObjectId(doctorOrId)) {
+    return null;
+  }
+
+  return Doctor.findOne({ _id: doctorOrId, active: true });
+}
+
+/**
+ * Get open slots for a doctor across a date range (inclusive, clinic days)
+ * @param {string|Object} doctorOrId - Doctor document or ID
+ * @param {Date} fromDate - First day
+ * @param {Date} toDate - Last day
+ * @param {string} appointmentType - Appointment type (selects slot length)
+ * @returns {Object|null} - { doctor, days: [{ date, slots }] } or null if doctor not found
+ */
+async function getDoctorAvailability(doctorOrId, fromDate, toDate, appointmentType = 'new_patient') {
+  try {
+    const doctor = await loadDoctor(doctorOrId);
+
+    if (!doctor) {
+      logger.warn(`⚠️ Doctor not found for availability: ${doctorOrId}`);
+      return null;
+    }
+
+    const rangeStart = moment(new Date(fromDate)).tz(TIMEZONE).startOf('day');
+    const rangeEnd = moment(new Date(toDate)).tz(TIMEZONE).endOf('day');
+
+    logger.info(`📅 Calculating availability for ${doctor.name}: ${rangeStart.format('YYYY-MM-DD')} → ${rangeEnd.format('YYYY-MM-DD')}`);
+
+    const bookedAppointments = await getBusyRanges(
+      doctor._id,
+      rangeStart.toDate(),
+      rangeEnd.toDate()
+    );
+
+    const days = [];
+    const day = rangeStart.clone();
+
+    while (day.isSameOrBefore(rangeEnd, 'day')) {
+      const slots = doctor.is_available
+        ? generateDoctorTimeSlots(doctor, day.toDate(), {
+            appointmentType,
+            bookedAppointments,
+            timezone: TIMEZONE,
+          })
+        : [];
+
+      days.push({
+        date: day.format('YYYY-MM-DD'),
+        on_leave: doctor.isOnLeave(day.toDate()),
+        slots,
+      });
+
+      day.add(1, 'day');
+    }
+
+    const totalSlots = days.reduce((sum, d) => sum + d.slots.length, 0);
+    logger.success(`✅ ${totalSlots} open slots for ${doctor.name} across ${days.length} days`);
+
+    return { doctor, days };
+  } catch (error) {
+    logger.error('❌ Error calculating doctor availability:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find the next open slot for a doctor
+ * @param {string|Object} doctorOrId - Doctor document or ID
+ * @param {Date} fromDate - Search start (default: now)
+ * @param {string} appointmentType - Appointment type (selects slot length)
+ * @param {number} daysAhead - How many days to search
+ * @returns {Object|null} - First open slot or null
+ */
+async function findNextAvailableSlot(
+  doctorOrId,
+  fromDate = new Date(),
+  appointmentType = 'new_patient',
+  daysAhead = 14
+) {
+  const toDate = moment(new Date(fromDate)).tz(TIMEZONE).add(daysAhead, 'days').toDate();
+  const availability = await getDoctorAvailability(doctorOrId, fromDate, toDate, appointmentType);
+
+  if (!availability) {
+    return null;
+  }
+
+  for (const day of availability.days) {
+    const slot = day.slots.find((s) => s.start_time >= new Date(fromDate));
+    if (slot) {
+      return slot;
+    }
+  }
+
+  logger.warn(`⚠️ No open slot found in the next ${daysAhead} days`);
+  return null;
+}
+
+/**
+ * Check if a specific time range is bookable for a doctor
+ * @param {string|Object} doctorOrId - Doctor document or ID
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @param {string} excludeAppointmentId - Ignore this appointment (for reschedules)
+ * @param {string} excludeHoldId - Ignore this slot hold (when confirming it)
+ * @returns {Object} - { available: boolean, reason: string|null }
+ */
+async function isSlotAvailable(
+  doctorOrId,
+  startTime,
+  endTime,
+  excludeAppointmentId = null,
+  excludeHoldId = null
+) {
+  try {
+    const doctor = await loadDoctor(doctorOrId);
+
+    if (!doctor) {
+      return { available: false, reason: 'Doctor not found' };
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (!doctor.is_available) {
+      return { available: false, reason: `${doctor.name} is currently unavailable` };
+    }
+
+    if (doctor.isOnLeave(start)) {
+      return { available: false, reason: `${doctor.name} is on leave on this date` };
+    }
+
+    // The whole slot must sit inside one schedule block, clear of breaks
+    if (!isDoctorWorkingThrough(doctor, start, end, TIMEZONE)) {
+      return { available: false, reason: `${doctor.name} is not working at this time` };
+    }
+
+    // Look back a few hours so long appointments starting earlier are caught
+    const lookBack = new Date(start.getTime() - 4 * 60 * 60000);
+    const [booked, holds] = await Promise.all([
+      getBookedAppointments(doctor._id, lookBack, end, excludeAppointmentId),
+      SlotHold.findActiveForDoctor(doctor._id, start, end, excludeHoldId),
+    ]);
+
+    const hasConflict = booked.some((appointment) =>
+      rangesOverlap(start, end, appointment.scheduled_start_time, appointment.scheduled_end_time)
+    );
+
+    if (hasConflict) {
+      return { available: false, reason: 'This time slot is already booked' };
+    }
+
+    if (holds.length > 0) {
+      return { available: false, reason: 'This time slot is being booked by another patient' };
+    }
+
+    return { available: true, reason: null };
+  } catch (error) {
+    logger.error('❌ Error checking slot availability:', error.message);
+    return { available: false, reason: `Availability check failed: ${error.message}` };
+  }
+}
+
+export default {
+  BLOCKING_STATUSES,
+  getBookedAppointments,
+  getBusyRanges,
+  loadDoctor,
+  getDoctorAvailability,
+  findNextAvailableSlot,
+  isSlotAvailable,
+};
@@ -0,0 +1,738 @@
+/**
+ * Billing Service for MediFlow
+ * GST invoices, partial payments, refunds, PDF receipts and the daily collections report
+ *
+ * Flow:
+ * 1. Front desk raises an invoice for a visit → the consultation fee is added from
+ *    the appointment unless a consultation line is given; procedures, lab tests and
+ *    medicines are extra lines
+ * 2. Payments can be split (cash now, UPI later) - each gets a receipt number and the
+ *    patient is emailed the invoice PDF with the payment history
+ * 3. Refunds reduce the net amount collected; an invoice with no money left on it
+ *    can be cancelled
+ * 4. The appointment's payment_status / payment_method / payment_date follow the invoice
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import Invoice, { PAYMENT_METHODS } from '../models/Invoice.js';
+import emailService from './emailService.js';
+import {
+  PAGE_MARGIN,
+  getClinicDetails,
+  createClinicDocument,
+  drawSectionHeading,
+  drawKeyValueRows,
+  drawTable,
+  drawFooter,
+  toBuffer,
+} from '../utils/pdfDocument.js';
+import { httpError } from '../utils/serviceHelpers.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const LINE_ITEM_FIELDS = ['item_type', 'description', 'code', 'quantity', 'unit_price', 'discount_percent', 'gst_rate'];
+
+/**
+ * Appointment payment_status for each invoice status
+ */
+const APPOINTMENT_PAYMENT_STATUS = {
+  unpaid: 'pending',
+  partially_paid: 'partial',
+  paid: 'paid',
+  partially_refunded: 'partial',
+  refunded: 'pending',
+  cancelled: 'pending',
+};
+
+/**
+ * SAC code for health care services (printed when no code is given)
+ */
+const HEALTHCARE_SAC = '999312';
+
+/**
+ * Tries at a payment / refund / cancellation before giving up on a busy invoice
+ */
+const INVOICE_SAVE_ATTEMPTS = 3;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Amounts on the PDF - plain ASCII (the built-in PDF fonts have no rupee sign)
+ */
+function formatAmount(value) {
+  return `Rs. ${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatPdfDate(date, withTime = false) {
+  return moment(date).tz(TIMEZONE).format(withTime ? 'DD MMM YYYY, h:mm A' : 'DD MMM YYYY');
+}
+
+/**
+ * Keep only the known line item fields
+ */
+function pickLineItem(item = {}) {
+  const picked = {};
+  for (const field of LINE_ITEM_FIELDS) {
+    if (item[field] !== undefined && item[field] !== null && item[field] !== '') {
+      picked[field] = item[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Load an invoice or fail with 400/404
+ */
+async function loadInvoice(invoiceId) {
+  if (!mongoose.isValidObjectId(invoiceId)) {
+    throw httpError('Invalid invoice ID', 400);
+  }
+
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+
+  return invoice;
+}
+
+/**
+ * Load an invoice, apply a change and save it, starting over from a fresh copy
+ * when another request saved the invoice in between (optimisticConcurrency),
+ * so balance and refund checks always run against what was actually stored
+ * @param {string} invoiceId
+ * @param {Function} change - (invoice) => void; validates and modifies the invoice
+ * @returns {Object} - Saved invoice
+ */
+async function updateInvoice(invoiceId, change) {
+  for (let attempt = 1; ; attempt++) {
+    const invoice = await loadInvoice(invoiceId);
+    await change(invoice);
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      if (error.name !== 'VersionError') {
+        throw error;
+      }
+      if (attempt === INVOICE_SAVE_ATTEMPTS) {
+        throw httpError('The invoice is being updated by someone else - please try again', 409);
+      }
+      logger.warn(`⚠️ Invoice ${invoice.invoice_number} changed while saving - retrying (${attempt}/${INVOICE_SAVE_ATTEMPTS})`);
+    }
+  }
+}
+
+/**
+ * Mirror the invoice on the appointment's payment fields
+ */
+async function syncAppointmentPayment(invoice) {
+  if (!invoice.appointment_id) {
+    return;
+  }
+
+  const lastPayment = invoice.payments[invoice.payments.length - 1] || null;
+  const allInsurance = invoice.payments.length > 0 && invoice.payments.every((payment) => payment.method === 'insurance');
+  const paymentStatus = invoice.status === 'paid' && allInsurance ? 'insurance' : APPOINTMENT_PAYMENT_STATUS[invoice.status];
+
+  try {
+    await Appointment.updateOne(
+      { _id: invoice.appointment_id },
+      {
+        $set: {
+          payment_status: paymentStatus,
+          payment_method: invoice.status === 'cancelled' ? null : lastPayment?.method || null,
+          payment_date: invoice.status === 'paid' ? lastPayment?.received_at || null : null,
+        },
+      }
+    );
+  } catch (error) {
+    logger.error(`Failed to sync payment status for appointment ${invoice.appointment_id}:`, error.message);
+  }
+}
+
+// ==================== PDF ====================
+
+/**
+ * Right-aligned "label  amount" rows under the items table
+ */
+function drawTotals(doc, rows) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const valueWidth = 100;
+  const labelWidth = 160;
+  const labelX = PAGE_MARGIN + width - valueWidth - labelWidth;
+
+  for (const [label, value, { bold = false } = {}] of rows) {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10);
+    doc.text(label, labelX, y, { width: labelWidth, align: 'right' });
+    doc.text(value, labelX + labelWidth, y, { width: valueWidth, align: 'right' });
+    doc.moveDown(0.2);
+  }
+
+  doc.x = PAGE_MARGIN;
+  doc.font('Helvetica').fontSize(10);
+}
+
+/**
+ * Render the tax invoice / receipt PDF (items, GST breakdown, payments, refunds)
+ * @param {Object} invoice - Invoice document
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Buffer>}
+ */
+async function renderInvoicePdf(invoice, patient) {
+  const clinic = getClinicDetails();
+  const gstin = process.env.CLINIC_GSTIN || null;
+  const doctor = invoice.doctor_id ? await Doctor.findById(invoice.doctor_id).select('name').lean() : null;
+
+  const doc = createClinicDocument({
+    title: invoice.status === 'cancelled' ? 'Tax Invoice (Cancelled)' : 'Tax Invoice',
+    subtitle: invoice.invoice_number,
+    metadata: { Subject: `Invoice ${invoice.invoice_number}` },
+  });
+
+  drawKeyValueRows(doc, [
+    ['Invoice No', invoice.invoice_number],
+    ['Date', formatPdfDate(invoice.issued_at)],
+    ['Clinic GSTIN', gstin],
+    ['Patient', patient.name],
+    ['Phone', patient.phone],
+    ['Patient GSTIN', invoice.patient_gstin],
+    ['Doctor', doctor ? `Dr. ${doctor.name}` : null],
+    ['Department', invoice.department],
+    ['Status', invoice.status.replace(/_/g, ' ').toUpperCase()],
+  ]);
+
+  const interState = invoice.supply_type === 'inter_state';
+
+  drawSectionHeading(doc, 'Items');
+  drawTable(
+    doc,
+    [
+      { header: '#', width: 20, align: 'center' },
+      { header: 'Description', width: 125 },
+      { header: 'SAC/HSN', width: 45 },
+      { header: 'Qty', width: 25, align: 'right' },
+      { header: 'Rate', width: 50, align: 'right' },
+      { header: 'Disc.', width: 45, align: 'right' },
+      { header: 'Taxable', width: 55, align: 'right' },
+      { header: 'GST', width: 30, align: 'right' },
+      { header: 'Tax', width: 45, align: 'right' },
+      { header: 'Amount', width: 55, align: 'right' },
+    ],
+    invoice.line_items.map((item, index) => [
+      index + 1,
+      item.description,
+      item.code || (['consultation', 'procedure', 'lab_test'].includes(item.item_type) ? HEALTHCARE_SAC : '-'),
+      item.quantity,
+      item.unit_price.toFixed(2),
+      item.discount_amount.toFixed(2),
+      item.taxable_amount.toFixed(2),
+      `${item.gst_rate}%`,
+      (item.cgst_amount + item.sgst_amount + item.igst_amount).toFixed(2),
+      item.total_amount.toFixed(2),
+    ])
+  );
+
+  drawTotals(doc, [
+    ['Subtotal', formatAmount(invoice.subtotal)],
+    ...(invoice.discount_total > 0 ? [['Discount', `- ${formatAmount(invoice.discount_total)}`]] : []),
+    ['Taxable value', formatAmount(invoice.taxable_total)],
+    ...(interState
+      ? [['IGST', formatAmount(invoice.igst_total)]]
+      : [
+          ['CGST', formatAmount(invoice.cgst_total)],
+          ['SGST', formatAmount(invoice.sgst_total)],
+        ]),
+    ...(invoice.round_off !== 0 ? [['Round off', formatAmount(invoice.round_off)]] : []),
+    ['Grand total', formatAmount(invoice.grand_total), { bold: true }],
+    ['Paid', formatAmount(invoice.amount_paid)],
+    ...(invoice.amount_refunded > 0 ? [['Refunded', formatAmount(invoice.amount_refunded)]] : []),
+    ['Balance due', formatAmount(invoice.balance_due), { bold: true }],
+  ]);
+
+  if (invoice.discount_reason) {
+    doc.moveDown(0.3).fontSize(9).text(`Discount: ${invoice.discount_reason}`, PAGE_MARGIN);
+  }
+
+  if (invoice.payments.length > 0) {
+    drawSectionHeading(doc, 'Payments');
+    drawTable(
+      doc,
+      [
+        { header: 'Receipt No', width: 125 },
+        { header: 'Date', width: 120 },
+        { header: 'Method', width: 70 },
+        { header: 'Reference', width: 100 },
+        { header: 'Amount', width: 80, align: 'right' },
+      ],
+      invoice.payments.map((payment) => [
+        payment.receipt_number,
+        formatPdfDate(payment.received_at, true),
+        payment.method.toUpperCase(),
+        payment.reference || '-',
+        payment.amount.toFixed(2),
+      ])
+    );
+  }
+
+  if (invoice.refunds.length > 0) {
+    drawSectionHeading(doc, 'Refunds');
+    drawTable(
+      doc,
+      [
+        { header: 'Date', width: 120 },
+        { header: 'Method', width: 70 },
+        { header: 'Reason', width: 225 },
+        { header: 'Amount', width: 80, align: 'right' },
+      ],
+      invoice.refunds.map((refund) => [
+        formatPdfDate(refund.refunded_at, true),
+        refund.method.toUpperCase(),
+        refund.reason,
+        refund.amount.toFixed(2),
+      ])
+    );
+  }
+
+  drawFooter(doc, `${invoice.invoice_number} - computer generated invoice, no signature required. ${clinic.name}`);
+
+  return toBuffer(doc);
+}
+
+/**
+ * Render and email the invoice to the patient
+ * Never throws - a failed email does not undo the payment
+ * @param {Object} payment - Payment just received (email is worded as its receipt)
+ */
+async function deliverInvoice(invoice, patient, payment = null) {
+  try {
+    const pdfBuffer = await renderInvoicePdf(invoice, patient);
+    const result = await emailService.sendInvoiceEmail(invoice, patient, pdfBuffer, payment);
+
+    if (result?.success) {
+      await Invoice.updateOne({ _id: invoice._id }, { $set: { emailed_at: new Date() }, $inc: { email_count: 1 } });
+    }
+
+    return { success: Boolean(result?.success), error: result?.error || null };
+  } catch (error) {
+    logger.error(`Failed to email invoice ${invoice.invoice_number}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== INVOICES ====================
+
+/**
+ * Raise an invoice
+ * @param {Object} data - { appointmentId, patientId, items, supplyType, patientGstin, discountReason, includeConsultationFee }
+ * @param {Object} user - Staff member (req.user)
+ */
+async function createInvoice(
+  { appointmentId = null, patientId = null, items = [], supplyType, patientGstin, discountReason, includeConsultationFee = true },
+  user
+) {
+  let appointment = null;
+
+  if (appointmentId) {
+    if (!mongoose.isValidObjectId(appointmentId)) {
+      throw httpError('Invalid appointment ID', 400);
+    }
+
+    appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      throw httpError('Appointment not found', 404);
+    }
+
+    const existing = await Invoice.findOne({ appointment_id: appointment._id, status: { $ne: 'cancelled' } })
+      .select('invoice_number')
+      .lean();
+    if (existing) {
+      throw httpError(`Appointment already has invoice ${existing.invoice_number} - cancel it to issue a new one`, 409);
+    }
+  } else if (!mongoose.isValidObjectId(patientId)) {
+    throw httpError('appointment_id or a valid patient_id is required', 400);
+  }
+
+  const patient = await Patient.findById(appointment ? appointment.patient_id : patientId).select('name').lean();
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  const lineItems = items.map(pickLineItem);
+
+  if (appointment && includeConsultationFee && appointment.consultation_fee > 0
+    && !lineItems.some((item) => item.item_type === 'consultation')) {
+    const doctor = await Doctor.findById(appointment.doctor_id).select('name').lean();
+    lineItems.unshift({
+      item_type: 'consultation',
+      description: `Consultation - ${doctor ? `Dr. ${doctor.name}` : appointment.department}`,
+      quantity: 1,
+      unit_price: appointment.consultation_fee,
+    });
+  }
+
+  if (lineItems.length === 0) {
+    throw httpError('At least one line item is required', 400);
+  }
+
+  if (lineItems.some((item) => Number(item.discount_percent) > 0) && !discountReason) {
+    throw httpError('A discount reason is required when a discount is given', 400);
+  }
+
+  let invoice = null;
+  for (let attempt = 0; attempt < 3 && !invoice; attempt++) {
+    try {
+      invoice = await Invoice.create({
+        ...(await Invoice.nextInvoiceNumber()),
+        patient_id: patient._id,
+        appointment_id: appointment?._id || null,
+        doctor_id: appointment?.doctor_id || null,
+        department: appointment?.department || null,
+        line_items: lineItems,
+        supply_type: supplyType || 'intra_state',
+        patient_gstin: patientGstin || null,
+        discount_reason: discountReason || null,
+        issued_by: user._id,
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // A concurrent request invoiced the same appointment first
+      if (error.keyPattern?.appointment_id) {
+        throw httpError('Appointment already has an invoice - cancel it to issue a new one', 409);
+      }
+      // Counter reset by hand or restored from a backup - skip the used number
+    }
+  }
+
+  if (!invoice) {
+    throw httpError('Could not allocate an invoice number', 503);
+  }
+
+  await syncAppointmentPayment(invoice);
+
+  logger.success(`🧾 Invoice ${invoice.invoice_number} issued for ${formatAmount(invoice.grand_total)}`);
+
+  return invoice;
+}
+
+/**
+ * Record a (possibly partial) payment
+ * @param {string} invoiceId
+ * @param {Object} data - { amount, method, reference, notes, sendReceipt }
+ * @param {Object} user - Staff member (req.user)
+ */
+async function recordPayment(invoiceId, { amount, method, reference, notes, sendReceipt = true }, user) {
+  const value = round2(amount);
+  if (!(value > 0)) {
+    throw httpError('amount must be a positive number', 400);
+  }
+
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw httpError(`method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  // Allocated once - a retried save keeps the same receipt number
+  let receiptNumber = null;
+
+  const invoice = await updateInvoice(invoiceId, async (current) => {
+    if (current.status === 'cancelled') {
+      throw httpError('Cannot take a payment on a cancelled invoice', 409);
+    }
+
+    if (value > current.balance_due) {
+      throw httpError(`Payment exceeds the balance due (${formatAmount(current.balance_due)})`, 400);
+    }
+
+    receiptNumber = receiptNumber || (await Invoice.nextReceiptNumber());
+
+    current.payments.push({
+      receipt_number: receiptNumber,
+      amount: value,
+      method,
+      reference: reference || null,
+      notes: notes || null,
+      received_at: new Date(),
+      received_by: user._id,
+    });
+  });
+  await syncAppointmentPayment(invoice);
+
+  const payment = invoice.payments[invoice.payments.length - 1];
+
+  logger.success(`💰 ${receiptNumber}: ${formatAmount(value)} by ${method} against ${invoice.invoice_number}`);
+
+  let email = null;
+  if (sendReceipt) {
+    const patient = await Patient.findById(invoice.patient_id);
+    email = patient ? await deliverInvoice(invoice, patient, payment) : null;
+  }
+
+  return { invoice, payment, email };
+}
+
+/**
+ * Refund money already collected
+ * @param {string} invoiceId
+ * @param {Object} data - { amount, method, reason, paymentId, reference }
+ * @param {Object} user - Staff member (req.user)
+ */
+async function recordRefund(invoiceId, { amount, method, reason, paymentId, reference }, user) {
+  if (!reason || !String(reason).trim()) {
+    throw httpError('A reason for the refund is required', 400);
+  }
+
+  const value = round2(amount);
+  if (!(value > 0)) {
+    throw httpError('amount must be a positive number', 400);
+  }
+
+  const invoice = await updateInvoice(invoiceId, (current) => {
+    let payment = null;
+    if (paymentId) {
+      payment = mongoose.isValidObjectId(paymentId) ? current.payments.id(paymentId) : null;
+      if (!payment) {
+        throw httpError('Payment not found on this invoice', 404);
+      }
+
+      const refundedForPayment = current.refunds
+        .filter((refund) => String(refund.payment_id) === String(payment._id))
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      if (value > round2(payment.amount - refundedForPayment)) {
+        throw httpError(`Refund exceeds what is left of payment ${payment.receipt_number}`, 400);
+      }
+    }
+
+    if (!PAYMENT_METHODS.includes(method || payment?.method)) {
+      throw httpError(`method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+
+    if (value > current.getRefundableAmount()) {
+      throw httpError(`Refund exceeds the amount collected (${formatAmount(current.getRefundableAmount())})`, 400);
+    }
+
+    current.refunds.push({
+      amount: value,
+      method: method || payment?.method,
+      payment_id: payment?._id || null,
+      reason: String(reason).trim(),
+      reference: reference || null,
+      refunded_at: new Date(),
+      refunded_by: user._id,
+    });
+  });
+  await syncAppointmentPayment(invoice);
+
+  logger.info(`↩️ Refunded ${formatAmount(value)} on ${invoice.invoice_number} (${invoice.status})`);
+
+  return { invoice, refund: invoice.refunds[invoice.refunds.length - 1] };
+}
+
+/**
+ * Cancel an invoice - only once every payment on it has been refunded
+ */
+async function cancelInvoice(invoiceId, reason, user) {
+  if (!reason || !String(reason).trim()) {
+    throw httpError('A reason for the cancellation is required', 400);
+  }
+
+  const invoice = await updateInvoice(invoiceId, (current) => {
+    if (current.status === 'cancelled') {
+      throw httpError('Invoice is already cancelled', 409);
+    }
+
+    if (current.getRefundableAmount() > 0) {
+      throw httpError(`Refund the ${formatAmount(current.getRefundableAmount())} collected before cancelling`, 409);
+    }
+
+    current.status = 'cancelled';
+    current.cancelled_at = new Date();
+    current.cancelled_by = user._id;
+    current.cancellation_reason = String(reason).trim();
+  });
+  await syncAppointmentPayment(invoice);
+
+  logger.info(`🧾 Invoice ${invoice.invoice_number} cancelled: ${invoice.cancellation_reason}`);
+
+  return invoice;
+}
+
+/**
+ * Get an invoice with its patient
+ */
+async function getInvoice(invoiceId) {
+  const invoice = await loadInvoice(invoiceId);
+  const patient = await Patient.findById(invoice.patient_id);
+
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  return { invoice, patient };
+}
+
+/**
+ * Email the invoice (with payment history) to the patient again
+ */
+async function emailInvoice(invoiceId) {
+  const { invoice, patient } = await getInvoice(invoiceId);
+
+  if (!patient.email) {
+    throw httpError('Patient has no email address', 422);
+  }
+
+  const result = await deliverInvoice(invoice, patient);
+  if (!result.success) {
+    throw httpError(`Email not sent: ${result.error}`, 502);
+  }
+
+  return { invoice, email: result };
+}
+
+/**
+ * Invoices, newest first
+ * @param {Object} filters - { patientId, appointmentId, status, department, from, to, page, limit }
+ */
+async function listInvoices({ patientId, appointmentId, status, department, from, to, page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (patientId) query.patient_id = patientId;
+  if (appointmentId) query.appointment_id = appointmentId;
+  if (status) query.status = status;
+  if (department) query.department = department;
+  if (from || to) {
+    query.issued_at = {};
+    if (from) query.issued_at.$gte = moment.tz(from, TIMEZONE).startOf('day').toDate();
+    if (to) query.issued_at.$lte = moment.tz(to, TIMEZONE).endOf('day').toDate();
+  }
+
+  const [invoices, total] = await Promise.all([
+    Invoice.find(query)
+      .sort({ issued_at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-payments -refunds')
+      .lean(),
+    Invoice.countDocuments(query),
+  ]);
+
+  return { invoices, total };
+}
+
+// ==================== REPORTS ====================
+
+/**
+ * Collections for one clinic day - payments received minus refunds paid out,
+ * by department and payment method
+ * @param {string} date - YYYY-MM-DD (clinic time); defaults to today
+ */
+async function getCollectionsReport(date = null) {
+  const day = date ? moment.tz(date, 'YYYY-MM-DD', true, TIMEZONE) : moment().tz(TIMEZONE);
+  if (!day.isValid()) {
+    throw httpError('date must be YYYY-MM-DD', 400);
+  }
+
+  const start = day.clone().startOf('day').toDate();
+  const end = day.clone().endOf('day').toDate();
+
+  const sumBy = (arrayField, dateField) => [
+    { $match: { [`${arrayField}.${dateField}`]: { $gte: start, $lte: end } } },
+    { $unwind: `$${arrayField}` },
+    { $match: { [`${arrayField}.${dateField}`]: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { department: '$department', method: `$${arrayField}.method` },
+        amount: { $sum: `$${arrayField}.amount` },
+        count: { $sum: 1 },
+      },
+    },
+  ];
+
+  const [payments, refunds, issued] = await Promise.all([
+    Invoice.aggregate(sumBy('payments', 'received_at')),
+    Invoice.aggregate(sumBy('refunds', 'refunded_at')),
+    Invoice.aggregate([
+      { $match: { issued_at: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: null, count: { $sum: 1 }, billed: { $sum: '$grand_total' }, tax: { $sum: '$tax_total' } } },
+    ]),
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ department, method }) => {
+    const key = `${department || 'Unassigned'}|${method}`;
+    if (!rows.has(key)) {
+      rows.set(key, { department: department || 'Unassigned', method, collected: 0, refunded: 0, payments: 0, refunds: 0 });
+    }
+    return rows.get(key);
+  };
+
+  payments.forEach((group) => {
+    const row = rowFor(group._id);
+    row.collected += group.amount;
+    row.payments += group.count;
+  });
+  refunds.forEach((group) => {
+    const row = rowFor(group._id);
+    row.refunded += group.amount;
+    row.refunds += group.count;
+  });
+
+  const breakdown = [...rows.values()].map((row) => ({
+    ...row,
+    collected: round2(row.collected),
+    refunded: round2(row.refunded),
+    net: round2(row.collected - row.refunded),
+  }));
+
+  const rollUp = (key) => {
+    const totals = new Map();
+    breakdown.forEach((row) => {
+      const total = totals.get(row[key]) || { [key]: row[key], collected: 0, refunded: 0, net: 0, payments: 0, refunds: 0 };
+      total.collected = round2(total.collected + row.collected);
+      total.refunded = round2(total.refunded + row.refunded);
+      total.net = round2(total.net + row.net);
+      total.payments += row.payments;
+      total.refunds += row.refunds;
+      totals.set(row[key], total);
+    });
+    return [...totals.values()].sort((a, b) => b.net - a.net);
+  };
+
+  const collected = round2(breakdown.reduce((sum, row) => sum + row.collected, 0));
+  const refunded = round2(breakdown.reduce((sum, row) => sum + row.refunded, 0));
+
+  return {
+    date: day.format('YYYY-MM-DD'),
+    totals: {
+      collected,
+      refunded,
+      net: round2(collected - refunded),
+      payments: breakdown.reduce((sum, row) => sum + row.payments, 0),
+      refunds: breakdown.reduce((sum, row) => sum + row.refunds, 0),
+      invoices_issued: issued[0]?.count || 0,
+      billed: round2(issued[0]?.billed || 0),
+      tax_billed: round2(issued[0]?.tax || 0),
+    },
+    by_department: rollUp('department'),
+    by_method: rollUp('method'),
+    breakdown: breakdown.sort((a, b) => a.department.localeCompare(b.department) || a.method.localeCompare(b.method)),
+  };
+}
+
+export default {
+  renderInvoicePdf,
+  createInvoice,
+  recordPayment,
+  recordRefund,
+  cancelInvoice,
+  getInvoice,
+  emailInvoice,
+  listInvoices,
+  getCollectionsReport,
+};
@@ -0,0 +1,562 @@
+/**
+ * Booking Service for MediFlow
+ * Patient self-service booking: open slots → short-lived hold → confirmed appointment
+ * Staff, chatbot and reschedule bookings take the same hold before saving
+ * (saveUnderHold), so every path is covered by the checks below
+ *
+ * Double-booking protection:
+ * - Availability checks treat active holds like booked appointments
+ * - SlotHold has a unique { doctor_id, start_time } index (same-start races)
+ * - After inserting a hold we re-check for overlapping holds/appointments and
+ *   back off if any exist (different-start overlaps, e.g. 15 vs 30 min slots)
+ * - Confirming atomically claims the hold (held → confirming), so one hold
+ *   can only ever become one appointment
+ */
+
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import SlotHold from '../models/SlotHold.js';
+import availabilityService from './availabilityService.js';
+import doctorAssignmentService from './doctorAssignmentService.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import { generateDoctorTimeSlots, rangesOverlap } from '../utils/timeSlotGenerator.js';
+import { httpError } from '../utils/serviceHelpers.js';
+
+/**
+ * How long a patient can hold a slot before confirming (minutes)
+ */
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 5;
+
+/**
+ * Extra time a hold survives while a confirm request is processing
+ */
+const CONFIRM_GRACE_MS = 2 * 60000;
+
+/**
+ * Max days a patient can browse at once
+ */
+const MAX_BROWSE_DAYS = 14;
+
+/**
+ * Department codes used as token number prefixes (e.g. GM001, CD045)
+ */
+const DEPARTMENT_CODES = {
+  'General Medicine': 'GM',
+  'Cardiology': 'CD',
+  'Pediatrics': 'PD',
+  'Dermatology': 'DM',
+  'Orthopedics': 'OR',
+  'Gynecology': 'GY',
+  'ENT': 'EN',
+  'Ophthalmology': 'OP',
+  'Dentistry': 'DN',
+  'Psychiatry': 'PS',
+  'Neurology': 'NR',
+  'Urology': 'UR',
+  'Gastroenterology': 'GE',
+  'Emergency': 'EM',
+  'Other': 'GN',
+};
+
+/**
+ * Find a patient by ID or email (null if neither matches)
+ */
+async function findPatient({ patientId = null, patientEmail = null }) {
+  if (patientId) {
+    return Patient.findById(patientId);
+  }
+
+  if (patientEmail) {
+    return Patient.findOne({ email: patientEmail.trim().toLowerCase() });
+  }
+
+  return null;
+}
+
+/**
+ * List open slots by department or doctor
+ * @param {Object} params - { department, doctorId, from, to, appointmentType }
+ * @returns {Array} - [{ doctor: {...}, days: [{ date, on_leave, slots }] }]
+ */
+async function listOpenSlots({ department = null, doctorId = null, from, to, appointmentType = 'new_patient' }) {
+  if (!department && !doctorId) {
+    throw httpError('department or doctorId is required', 400);
+  }
+
+  const rangeStart = from ? new Date(from) : new Date();
+  const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + 6 * 24 * 60 * 60000);
+
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime()) || rangeEnd < rangeStart) {
+    throw httpError('Invalid date range (use from/to as YYYY-MM-DD, from <= to)', 400);
+  }
+
+  if (rangeEnd - rangeStart > MAX_BROWSE_DAYS * 24 * 60 * 60000) {
+    throw httpError(`Date range cannot exceed ${MAX_BROWSE_DAYS} days`, 400);
+  }
+
+  let doctors;
+  if (doctorId) {
+    const doctor = await availabilityService.loadDoctor(doctorId);
+    if (!doctor) {
+      throw httpError('Doctor not found', 404);
+    }
+    doctors = [doctor];
+  } else {
+    doctors = await Doctor.find({ department, active: true, is_available: true }).sort({ name: 1 });
+  }
+
+  logger.info(`🗓️ Listing open slots for ${doctors.length} doctor(s) (${department || doctorId})`);
+
+  const results = [];
+  for (const doctor of doctors) {
+    const availability = await availabilityService.getDoctorAvailability(
+      doctor,
+      rangeStart,
+      rangeEnd,
+      appointmentType
+    );
+
+    // Patients can only book slots that haven't started yet
+    const now = new Date();
+    const days = availability.days
+      .map((day) => ({ ...day, slots: day.slots.filter((slot) => slot.start_time > now) }))
+      .filter((day) => day.slots.length > 0);
+
+    results.push({
+      doctor: {
+        id: doctor._id,
+        name: doctor.name,
+        department: doctor.department,
+        specialization: doctor.specialization,
+        consultation_fee: doctor.consultation_fee,
+      },
+      days,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Check that a start time is one of the slots the doctor's schedule offers
+ * for an appointment type (booked or not - availability is checked separately)
+ */
+function isScheduledSlotStart(doctor, start, appointmentType) {
+  return generateDoctorTimeSlots(doctor, start, { appointmentType, notBefore: start }).some(
+    (slot) => slot.start_time.getTime() === start.getTime()
+  );
+}
+
+/**
+ * Check that a freshly inserted hold does not overlap any other hold or booking
+ * Both sides of a race insert first and check second, so at least one of
+ * them always sees the other and backs off.
+ */
+async function isHoldExclusive(hold, excludeAppointmentId = null) {
+  const competingHolds = await SlotHold.findActiveForDoctor(
+    hold.doctor_id,
+    hold.start_time,
+    hold.end_time,
+    hold._id
+  );
+
+  if (competingHolds.length > 0) {
+    return false;
+  }
+
+  const lookBack = new Date(hold.start_time.getTime() - 4 * 60 * 60000);
+  const booked = await availabilityService.getBookedAppointments(
+    hold.doctor_id,
+    lookBack,
+    hold.end_time,
+    excludeAppointmentId
+  );
+
+  return !booked.some((appointment) =>
+    rangesOverlap(hold.start_time, hold.end_time, appointment.scheduled_start_time, appointment.scheduled_end_time)
+  );
+}
+
+/**
+ * Place a short-lived hold on a doctor's slot
+ * @param {Object} params - { doctorId, startTime, endTime, slotId, appointmentType, patientId, patientEmail,
+ *   appointmentId, purpose, excludeAppointmentId, requireScheduledSlot, holdMinutes }
+ *   - patientId: staff / internal callers only - public callers identify the patient by patientEmail
+ *   - purpose: SlotHold purpose (self_service holds replace the patient's previous one)
+ *   - excludeAppointmentId: appointment being rescheduled
+ *   - requireScheduledSlot: public callers - start must be a listed slot, endTime is ignored
+ * @returns {Object} - SlotHold document
+ */
+async function placeHold({
+  doctorId,
+  startTime,
+  endTime = null,
+  slotId = null,
+  appointmentType = 'new_patient',
+  patientId = null,
+  patientEmail = null,
+  appointmentId = null,
+  purpose = 'self_service',
+  excludeAppointmentId = null,
+  requireScheduledSlot = false,
+  holdMinutes = HOLD_MINUTES,
+}) {
+  const doctor = await availabilityService.loadDoctor(doctorId);
+  if (!doctor) {
+    throw httpError('Doctor not found', 404);
+  }
+
+  const start = new Date(startTime);
+  if (isNaN(start.getTime())) {
+    throw httpError('A valid start_time is required', 400);
+  }
+
+  if (start <= new Date()) {
+    throw httpError('Cannot hold a slot in the past', 400);
+  }
+
+  if (requireScheduledSlot && !isScheduledSlotStart(doctor, start, appointmentType)) {
+    throw httpError(`start_time must be one of ${doctor.name}'s listed slots`, 400);
+  }
+
+  // Public callers always get the doctor's slot length for the appointment type
+  const end = endTime && !requireScheduledSlot
+    ? new Date(endTime)
+    : new Date(start.getTime() + doctor.getSlotDuration(appointmentType) * 60000);
+
+  if (isNaN(end.getTime()) || end <= start) {
+    throw httpError('end_time must be after start_time', 400);
+  }
+
+  if (patientEmail) {
+    const patient = await findPatient({ patientEmail });
+    patientId = patient ? patient._id : null;
+  }
+
+  // Only a patient the caller identified may have their other holds replaced
+  const knownPatient = Boolean(patientId);
+
+  let department = doctor.department;
+  if (appointmentId) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      throw httpError('Appointment not found', 404);
+    }
+    if (appointment.status !== 'slots_generated') {
+      throw httpError('This appointment has already been booked', 409);
+    }
+    if (patientEmail && !appointment.patient_id.equals(patientId)) {
+      throw httpError('Patient email does not match this appointment', 403);
+    }
+    department = appointment.department;
+    patientId = patientId || appointment.patient_id;
+  }
+
+  const slotCheck = await availabilityService.isSlotAvailable(doctor, start, end, excludeAppointmentId);
+  if (!slotCheck.available) {
+    throw httpError(slotCheck.reason, 409);
+  }
+
+  // One self-service hold per patient - picking a new slot releases the old one
+  // (follow-up and waitlist reservations are left alone)
+  if (knownPatient && purpose === 'self_service') {
+    await SlotHold.deleteMany({ patient_id: patientId, status: 'held', purpose: 'self_service' });
+  }
+
+  // Expired holds linger until the TTL monitor runs - clear this start time
+  await SlotHold.deleteMany({
+    doctor_id: doctor._id,
+    start_time: start,
+    expires_at: { $lte: new Date() },
+  });
+
+  let hold;
+  try {
+    hold = await SlotHold.create({
+      doctor_id: doctor._id,
+      slot_id: slotId || `slot_${start.getTime()}_${doctor._id}`,
+      start_time: start,
+      end_time: end,
+      department,
+      appointment_type: appointmentType,
+      patient_id: patientId,
+      appointment_id: appointmentId,
+      purpose,
+      expires_at: new Date(Date.now() + holdMinutes * 60000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError('This time slot is being booked by another patient', 409);
+    }
+    throw error;
+  }
+
+  if (!(await isHoldExclusive(hold, excludeAppointmentId))) {
+    await SlotHold.deleteOne({ _id: hold._id });
+    logger.warn(`⚠️ Hold ${hold._id} lost a race for ${doctor.name} at ${start.toISOString()}`);
+    throw httpError('This time slot is being booked by another patient', 409);
+  }
+
+  logger.success(`🔒 Slot held for ${doctor.name} at ${start.toISOString()} (expires in ${holdMinutes} min)`);
+
+  return hold;
+}
+
+/**
+ * Hold a doctor's next open slot
+ * Moves on to the following slot when another booking wins the race for one.
+ * @param {string} doctorId - Doctor ID
+ * @param {string} appointmentType - Appointment type (selects slot length)
+ * @returns {Object|null} - SlotHold document, or null if nothing is open
+ */
+async function holdNextAvailableSlot(doctorId, appointmentType = 'new_patient', attempts = 3) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const nextSlot = await availabilityService.findNextAvailableSlot(doctorId, new Date(), appointmentType);
+    if (!nextSlot) {
+      return null;
+    }
+
+    try {
+      return await placeHold({
+        doctorId,
+        startTime: nextSlot.start_time,
+        endTime: nextSlot.end_time,
+        slotId: nextSlot.slot_id,
+        appointmentType,
+        purpose: 'direct_booking',
+      });
+    } catch (error) {
+      if (error.status !== 409 || attempt === attempts) {
+        throw error;
+      }
+      logger.warn(`⚠️ Next open slot was taken (attempt ${attempt}/${attempts}) - trying the following one`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save an appointment into a held slot
+ * For paths that build the appointment themselves (staff booking, chatbot,
+ * reschedule) - the hold keeps the slot exclusive until the save lands.
+ * @param {Object} hold - SlotHold document from placeHold / holdNextAvailableSlot
+ * @param {Object} appointment - New or existing Appointment document
+ * @returns {Object} - Saved appointment
+ */
+async function saveUnderHold(hold, appointment) {
+  try {
+    appointment.scheduled_start_time = hold.start_time;
+    appointment.scheduled_end_time = hold.end_time;
+    await appointment.save();
+  } finally {
+    // The saved appointment blocks the slot now (or the save failed) - the hold is done either way
+    await SlotHold.deleteOne({ _id: hold._id });
+  }
+
+  return appointment;
+}
+
+/**
+ * Release a hold before it expires
+ * @param {string} holdId - SlotHold ID
+ * @param {string} purpose - Only release a hold placed for this purpose (public routes)
+ * @returns {boolean} - True if a hold was removed
+ */
+async function releaseHold(holdId, purpose = null) {
+  const query = { _id: holdId, status: 'held' };
+  if (purpose) {
+    query.purpose = purpose;
+  }
+
+  const result = await SlotHold.deleteOne(query);
+
+  if (result.deletedCount > 0) {
+    logger.info(`🔓 Slot hold released: ${holdId}`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Confirm a hold into a scheduled appointment
+ * Books the existing slots_generated appointment when the hold carries one,
+ * otherwise creates a new appointment.
+ * @param {string} holdId - SlotHold ID
+ * @param {Object} details - { patientId, patientEmail, chiefComplaint, symptoms, source, createdBy, purpose }
+ *   (source / createdBy default to a patient booking online; purpose, when given,
+ *   must match the hold's - public routes only confirm self-service holds)
+ * @returns {Object} - { appointment, patient, doctor }
+ */
+async function confirmHold(
+  holdId,
+  {
+    patientId = null,
+    patientEmail = null,
+    chiefComplaint = null,
+    symptoms = [],
+    source = 'online',
+    createdBy = 'patient',
+    purpose = null,
+  } = {}
+) {
+  const existingHold = await SlotHold.findById(holdId);
+  if (!existingHold || !existingHold.isActive() || (purpose && existingHold.purpose !== purpose)) {
+    throw httpError('Slot hold not found or expired - please pick a slot again', 410);
+  }
+
+  // A submitted email must belong to the hold's patient - it is not overridden by the hold
+  const patient = await findPatient(
+    patientEmail ? { patientEmail } : { patientId: patientId || existingHold.patient_id }
+  );
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  if (existingHold.patient_id && !existingHold.patient_id.equals(patient._id)) {
+    throw httpError('This slot is held by another patient', 403);
+  }
+
+  let appointment = null;
+  if (existingHold.appointment_id) {
+    appointment = await Appointment.findById(existingHold.appointment_id);
+    if (!appointment) {
+      throw httpError('Appointment not found', 404);
+    }
+    if (!appointment.patient_id.equals(patient._id)) {
+      throw httpError('This appointment belongs to another patient', 403);
+    }
+    if (appointment.status !== 'slots_generated') {
+      throw httpError('This appointment has already been booked', 409);
+    }
+  } else if (!chiefComplaint) {
+    throw httpError('chief_complaint is required to book a new appointment', 400);
+  }
+
+  // Claim the hold - only one confirm request can win
+  const hold = await SlotHold.findOneAndUpdate(
+    { _id: holdId, status: 'held', expires_at: { $gt: new Date() } },
+    { $set: { status: 'confirming', expires_at: new Date(Date.now() + CONFIRM_GRACE_MS) } },
+    { new: true }
+  );
+
+  if (!hold) {
+    throw httpError('Slot hold expired or is already being confirmed', 409);
+  }
+
+  try {
+    const doctor = await Doctor.findById(hold.doctor_id);
+
+    const slot = {
+      slot_id: hold.slot_id,
+      start_time: hold.start_time,
+      end_time: hold.end_time,
+      timezone: hold.timezone,
+      is_available: true,
+    };
+
+    if (!appointment) {
+      appointment = new Appointment({
+        patient_id: patient._id,
+        department: hold.department,
+        chief_complaint: chiefComplaint,
+        symptoms: symptoms || [],
+        status: 'slots_generated',
+        created_by: createdBy,
+        source,
+      });
+    }
+
+    appointment.doctor_id = hold.doctor_id;
+    appointment.appointment_type = hold.appointment_type;
+    appointment.consultation_fee = doctor.consultation_fee;
+    if (!appointment.time_slots.some((s) => s.slot_id === slot.slot_id)) {
+      appointment.time_slots.push(slot);
+    }
+
+    await appointment.markAsScheduled(slot.slot_id);
+    await appointment.assignTokenNumber(DEPARTMENT_CODES[appointment.department] || 'GN');
+
+    // Appointment now blocks the slot - the hold is no longer needed
+    await SlotHold.deleteOne({ _id: hold._id });
+
+    logger.success(`✅ Appointment booked: ${appointment._id} (${doctor.name}, token ${appointment.token_number})`);
+
+    await patient.updateAppointmentStatus(appointment._id, 'scheduled', appointment.scheduled_start_time);
+    await doctorAssignmentService.incrementDoctorPatientCount(doctor._id, appointment.scheduled_start_time);
+
+    // Send confirmation emails and SMS
+    try {
+      await emailService.sendAllAppointmentEmails(appointment, patient, doctor);
+      await smsService.sendAllAppointmentSms(appointment, patient, doctor);
+      logger.success('✅ Booking confirmation emails and SMS sent');
+    } catch (notificationError) {
+      logger.error('Failed to send booking notifications:', notificationError.message);
+    }
+
+    return { appointment, patient, doctor };
+  } catch (error) {
+    // Give the slot back to the patient so they can retry
+    await SlotHold.updateOne(
+      { _id: hold._id, status: 'confirming' },
+      { $set: { status: 'held' } }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Book one of an appointment's pre-generated slots in a single step
+ * (BookAppointmentPage flow: hold + confirm)
+ * @param {string} appointmentId - Appointment with status slots_generated
+ * @param {string} slotId - Entry in appointment.time_slots
+ * @param {string} patientEmail - Must match the appointment's patient (required - the route is public)
+ * @returns {Object} - { appointment, patient, doctor }
+ */
+async function bookAppointmentSlot(appointmentId, slotId, patientEmail) {
+  if (!patientEmail) {
+    throw httpError('patient_email is required to book this appointment', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId).populate('patient_id', 'email');
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  const slot = appointment.time_slots.find((s) => s.slot_id === slotId);
+  if (!slot) {
+    throw httpError('Selected slot not found', 404);
+  }
+
+  if (appointment.patient_id?.email !== patientEmail.trim().toLowerCase()) {
+    throw httpError('Patient email does not match this appointment', 403);
+  }
+
+  const hold = await placeHold({
+    doctorId: appointment.doctor_id,
+    startTime: slot.start_time,
+    endTime: slot.end_time,
+    slotId,
+    appointmentType: appointment.appointment_type,
+    patientId: appointment.patient_id._id,
+    appointmentId: appointment._id,
+  });
+
+  return confirmHold(hold._id, { patientId: appointment.patient_id._id });
+}
+
+export default {
+  HOLD_MINUTES,
+  DEPARTMENT_CODES,
+  listOpenSlots,
+  placeHold,
+  holdNextAvailableSlot,
+  saveUnderHold,
+  releaseHold,
+  confirmHold,
+  bookAppointmentSlot,
+};
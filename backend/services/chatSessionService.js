@@ -0,0 +1,168 @@
+/**
+ * Chat Session Service for MediFlow
+ * Durable MediBot session state so consultations survive server restarts and
+ * socket reconnects
+ *
+ * Flow:
+ * 1. chatStart creates a session keyed by the consultation's session_id
+ * 2. Each patient message touches the session (response-time tracking, expiry)
+ * 3. Side effects claim their step first (claimStep) - only the caller that
+ *    flips the flag runs the step; a failed step releases its claim
+ * 4. A reconnecting client resumes by session_id (attachSocket); disconnects
+ *    only detach the socket, chatEnd ends the session for good
+ *
+ * Env: CHAT_SESSION_TTL_HOURS (default 24) - idle sessions expire after this
+ */
+
+import ChatSession from '../models/ChatSession.js';
+import logger from '../utils/logger.js';
+
+const SESSION_TTL_HOURS = parseInt(process.env.CHAT_SESSION_TTL_HOURS, 10) || 24;
+
+const STEPS = ['emergency_detected', 'patient_processed', 'appointment_scheduled', 'email_sent', 'sms_sent'];
+
+/**
+ * Expiry for a session active now
+ */
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+/**
+ * Filter matching a session that is still live
+ */
+const liveFilter = (sessionId) => ({
+  session_id: sessionId,
+  ended_at: null,
+  expires_at: { $gt: new Date() },
+});
+
+function assertStep(step) {
+  if (!STEPS.includes(step)) {
+    throw new Error(`Unknown chat session step: ${step}`);
+  }
+}
+
+/**
+ * Create the session for a new consultation
+ * @param {Object} data - { sessionId, consultationId, socketId }
+ */
+async function createSession({ sessionId, consultationId, socketId }) {
+  return ChatSession.create({
+    session_id: sessionId,
+    consultation_id: consultationId,
+    socket_id: socketId,
+    last_message_at: new Date(),
+    expires_at: nextExpiry(),
+  });
+}
+
+/**
+ * Get a live session (null when missing, ended or expired)
+ */
+async function getSession(sessionId) {
+  if (!sessionId) return null;
+  return ChatSession.findOne(liveFilter(sessionId));
+}
+
+/**
+ * Record patient activity - returns the session as it was before (for response times)
+ * @returns {Promise<Object|null>} - Previous session state, null when not live
+ */
+async function touch(sessionId, socketId) {
+  return ChatSession.findOneAndUpdate(
+    liveFilter(sessionId),
+    {
+      $set: {
+        last_message_at: new Date(),
+        expires_at: nextExpiry(),
+        ...(socketId && { socket_id: socketId, disconnected_at: null }),
+      },
+    },
+    { new: false }
+  );
+}
+
+/**
+ * Claim a step - true only for the one caller that flips the flag
+ * @param {string} step - One of STEPS
+ */
+async function claimStep(sessionId, step) {
+  assertStep(step);
+
+  const result = await ChatSession.updateOne(
+    { ...liveFilter(sessionId), [step]: false },
+    { $set: { [step]: true } }
+  );
+
+  if (result.modifiedCount === 0) {
+    logger.info(`Chat session ${sessionId}: ${step} already claimed, skipping`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Release a claimed step so it can run again (after a failure)
+ */
+async function releaseStep(sessionId, step) {
+  assertStep(step);
+  await ChatSession.updateOne({ session_id: sessionId }, { $set: { [step]: false } });
+}
+
+/**
+ * Store results on the session
+ * @param {Object} results - Any of { extracted_data, appointment_id, outcome }
+ */
+async function saveResults(sessionId, results) {
+  await ChatSession.updateOne({ session_id: sessionId }, { $set: results });
+}
+
+/**
+ * Attach a reconnecting socket to a live session
+ * @returns {Promise<Object|null>} - Updated session, null when it cannot be resumed
+ */
+async function attachSocket(sessionId, socketId) {
+  return ChatSession.findOneAndUpdate(
+    liveFilter(sessionId),
+    {
+      $set: { socket_id: socketId, disconnected_at: null, expires_at: nextExpiry() },
+      $inc: { resume_count: 1 },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Detach a dropped socket - the session stays resumable until it expires
+ * @returns {Promise<Object|null>} - The detached session, null when the socket had none
+ */
+async function detachSocket(socketId) {
+  return ChatSession.findOneAndUpdate(
+    { socket_id: socketId, ended_at: null },
+    { $set: { socket_id: null, disconnected_at: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * End a session (patient closed the chat) - it can no longer be resumed
+ */
+async function endSession(sessionId) {
+  await ChatSession.updateOne(
+    { session_id: sessionId, ended_at: null },
+    { $set: { ended_at: new Date(), socket_id: null } }
+  );
+}
+
+export default {
+  STEPS,
+  createSession,
+  getSession,
+  touch,
+  claimStep,
+  releaseStep,
+  saveResults,
+  attachSocket,
+  detachSocket,
+  endSession,
+};
@@ -0,0 +1,466 @@
+/**
+ * Clinical Note Service for MediFlow
+ * SOAP documentation of visits, ICD-10 coding, signatures and amendments
+ *
+ * Flow:
+ * 1. The appointment's doctor starts a note → pre-filled from the department
+ *    template (or the one chosen), linked to the visit's consultation
+ * 2. The draft is edited until the doctor signs it - signing needs an assessment
+ *    and at least one ICD-10 coded diagnosis from the bundled catalog
+ * 3. Signed notes only change by amendment (reason required) - the signed version
+ *    and its signature are kept, the new content is re-signed
+ * 4. Every signature copies the coded diagnoses onto the consultation
+ *    (diagnosis, icd_codes) so the FHIR export and reports see them
+ *
+ * The diagnosis report counts coded diagnoses on signed notes.
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Appointment, { NO_VISIT_STATUSES } from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import ClinicalNote, { CONTENT_FIELDS } from '../models/ClinicalNote.js';
+import { getCode, searchCodes } from '../utils/icd10Catalog.js';
+import { SOAP_SECTIONS, getTemplate, getTemplateForDepartment, listTemplates } from '../utils/clinicalNoteTemplates.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+
+const MAX_DIAGNOSES = 10;
+
+const REPORT_DEFAULT_DAYS = 30;
+
+const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Load a clinical note or fail with 400/404
+ */
+async function loadNote(noteId) {
+  if (!mongoose.isValidObjectId(noteId)) {
+    throw httpError('Invalid clinical note ID', 400);
+  }
+
+  const note = await ClinicalNote.findById(noteId);
+  if (!note) {
+    throw httpError('Clinical note not found', 404);
+  }
+
+  return note;
+}
+
+/**
+ * Only the authoring doctor may change or sign a note
+ */
+function assertAuthor(note, user) {
+  if (user.role !== 'doctor' || !user.doctor_id || String(user.doctor_id) !== String(idOf(note.doctor_id))) {
+    throw httpError('Only the authoring doctor can change this note', 403);
+  }
+}
+
+/**
+ * Code diagnoses against the ICD-10 catalog
+ * @param {Array} diagnoses - Codes, or { code, primary }
+ * @returns {Array} - [{ code, description, primary }] with exactly one primary
+ */
+function codeDiagnoses(diagnoses) {
+  if (!Array.isArray(diagnoses)) {
+    throw httpError('diagnoses must be an array of ICD-10 codes', 400);
+  }
+
+  if (diagnoses.length > MAX_DIAGNOSES) {
+    throw httpError(`At most ${MAX_DIAGNOSES} diagnoses can be coded`, 400);
+  }
+
+  const requested = diagnoses.map((diagnosis) =>
+    typeof diagnosis === 'string' ? { code: diagnosis, primary: false } : { code: diagnosis?.code, primary: Boolean(diagnosis?.primary) }
+  );
+
+  const unknown = requested.filter((diagnosis) => !getCode(diagnosis.code)).map((diagnosis) => diagnosis.code);
+  if (unknown.length > 0) {
+    throw httpError(`Unknown ICD-10 code(s): ${unknown.join(', ')}`, 400);
+  }
+
+  const coded = requested.map((diagnosis) => {
+    const entry = getCode(diagnosis.code);
+    return { code: entry.code, description: entry.description, primary: diagnosis.primary };
+  });
+
+  const codes = coded.map((diagnosis) => diagnosis.code);
+  if (new Set(codes).size !== codes.length) {
+    throw httpError('The same diagnosis is coded more than once', 400);
+  }
+
+  const primaries = coded.filter((diagnosis) => diagnosis.primary).length;
+  if (primaries > 1) {
+    throw httpError('Only one diagnosis can be primary', 400);
+  }
+  if (primaries === 0 && coded.length > 0) {
+    coded[0].primary = true;
+  }
+
+  return coded;
+}
+
+/**
+ * Pick the content fields present in a request body (diagnoses coded)
+ */
+function pickContent(body) {
+  const content = {};
+
+  for (const field of CONTENT_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (field === 'diagnoses') {
+      content.diagnoses = codeDiagnoses(body.diagnoses);
+    } else if (body[field] !== null && typeof body[field] !== 'string') {
+      throw httpError(`${field} must be text`, 400);
+    } else {
+      content[field] = body[field];
+    }
+  }
+
+  return content;
+}
+
+/**
+ * A note must have an assessment and a coded diagnosis to be signed
+ */
+function assertSignable(note) {
+  if (!note.assessment || !note.assessment.trim()) {
+    throw httpError('An assessment is required before signing', 400);
+  }
+
+  if (note.diagnoses.length === 0) {
+    throw httpError('At least one ICD-10 coded diagnosis is required before signing', 400);
+  }
+}
+
+/**
+ * Signature block from the signing doctor's profile
+ */
+async function signerFor(user) {
+  const doctor = await Doctor.findById(user.doctor_id);
+  if (!doctor) {
+    throw httpError('Doctor not found', 404);
+  }
+
+  return {
+    doctor_name: doctor.name,
+    specialization: doctor.specialization || null,
+    registration_number: doctor.registration_number || null,
+    signed_by: user._id,
+  };
+}
+
+/**
+ * Copy the signed coding onto the visit's consultation (primary first)
+ */
+async function syncConsultation(note) {
+  if (!note.consultation_id) {
+    const appointment = await Appointment.findById(note.appointment_id).select('consultation_id').lean();
+    if (!appointment?.consultation_id) return;
+
+    note.consultation_id = appointment.consultation_id;
+    await ClinicalNote.updateOne({ _id: note._id }, { $set: { consultation_id: note.consultation_id } });
+  }
+
+  const primary = note.primaryDiagnosis();
+  const codes = [primary, ...note.diagnoses.filter((diagnosis) => diagnosis !== primary)].map((diagnosis) => diagnosis.code);
+
+  await Consultation.updateOne(
+    { _id: note.consultation_id },
+    {
+      $set: {
+        diagnosis: primary.description,
+        icd_codes: codes,
+        clinical_note_id: note._id,
+      },
+    }
+  );
+}
+
+// ==================== CODING & TEMPLATES ====================
+
+/**
+ * Search the bundled ICD-10 catalog (code prefix or keywords)
+ */
+function searchIcd10(query, limit = 20) {
+  return searchCodes(query, limit);
+}
+
+/**
+ * One ICD-10 code (null when not in the catalog)
+ */
+function getIcd10Code(code) {
+  return getCode(code);
+}
+
+/**
+ * Note templates with the suggested codes resolved
+ * @param {string} department - Optional (its own templates, then General Medicine)
+ */
+function getTemplates(department = null) {
+  return listTemplates(department).map((template) => ({
+    ...template,
+    suggested_codes: template.suggested_codes.map((code) => getCode(code)).filter(Boolean),
+  }));
+}
+
+// ==================== NOTES ====================
+
+/**
+ * Start the note for an appointment (draft, pre-filled from the template)
+ * @param {Object} data - { appointmentId, templateCode, subjective, objective, assessment, plan, diagnoses }
+ * @param {Object} user - Authoring doctor (req.user)
+ */
+async function createNote({ appointmentId, templateCode = null, ...body }, user) {
+  if (user.role !== 'doctor' || !user.doctor_id) {
+    throw httpError('Only doctors can write clinical notes', 403);
+  }
+
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  if (String(appointment.doctor_id) !== String(user.doctor_id)) {
+    throw httpError('You can only write notes for your own appointments', 403);
+  }
+
+  if (NO_VISIT_STATUSES.includes(appointment.status)) {
+    throw httpError(`Cannot write a note for an appointment with status ${appointment.status}`, 409);
+  }
+
+  const template = templateCode ? getTemplate(templateCode) : getTemplateForDepartment(appointment.department);
+  if (!template) {
+    throw httpError(`Unknown note template: ${templateCode}`, 400);
+  }
+
+  const content = pickContent(body);
+
+  const existing = await ClinicalNote.exists({ appointment_id: appointment._id });
+  if (existing) {
+    throw httpError('This appointment already has a clinical note - edit or amend it instead', 409);
+  }
+
+  const prefilled = {};
+  for (const section of SOAP_SECTIONS) {
+    prefilled[section] = content[section] !== undefined ? content[section] : template.sections[section];
+  }
+
+  let note;
+  try {
+    note = await ClinicalNote.create({
+      ...prefilled,
+      diagnoses: content.diagnoses || [],
+      patient_id: appointment.patient_id,
+      doctor_id: appointment.doctor_id,
+      appointment_id: appointment._id,
+      consultation_id: appointment.consultation_id || null,
+      department: appointment.department,
+      template_code: template.code,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError('This appointment already has a clinical note - edit or amend it instead', 409);
+    }
+    throw error;
+  }
+
+  logger.info(`📝 Clinical note started for appointment ${appointment._id} (${template.code})`);
+
+  return note;
+}
+
+/**
+ * Edit a draft note
+ * @param {string} noteId
+ * @param {Object} body - { subjective, objective, assessment, plan, diagnoses }
+ * @param {Object} user - Authoring doctor
+ */
+async function updateDraft(noteId, body, user) {
+  const note = await loadNote(noteId);
+
+  assertAuthor(note, user);
+
+  if (note.status !== 'draft') {
+    throw httpError('Signed notes can only be amended', 409);
+  }
+
+  const changes = pickContent(body);
+  if (Object.keys(changes).length === 0) {
+    throw httpError('Nothing to update', 400);
+  }
+
+  Object.assign(note, changes);
+  await note.save();
+
+  return note;
+}
+
+/**
+ * Sign a draft note and copy its coding onto the consultation
+ */
+async function signNote(noteId, user) {
+  const note = await loadNote(noteId);
+
+  assertAuthor(note, user);
+
+  if (note.status !== 'draft') {
+    throw httpError('This note is already signed', 409);
+  }
+
+  assertSignable(note);
+
+  await note.sign(await signerFor(user));
+  await syncConsultation(note);
+
+  logger.success(`📝 Clinical note ${note._id} signed by ${note.signature.doctor_name}`);
+
+  return note;
+}
+
+/**
+ * Amend a signed note - the signed version is kept as a revision and the new content re-signed
+ * @param {string} noteId
+ * @param {Object} data - { reason, subjective, objective, assessment, plan, diagnoses }
+ * @param {Object} user - Authoring doctor
+ */
+async function amendNote(noteId, { reason, ...body }, user) {
+  const note = await loadNote(noteId);
+
+  assertAuthor(note, user);
+
+  if (note.status === 'draft') {
+    throw httpError('Drafts are edited, not amended - sign the note first', 409);
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw httpError('A reason for the amendment is required', 400);
+  }
+
+  const changes = pickContent(body);
+  if (Object.keys(changes).length === 0) {
+    throw httpError('Nothing to amend', 400);
+  }
+
+  const amended = { assessment: note.assessment, diagnoses: note.diagnoses, ...changes };
+  assertSignable(amended);
+
+  await note.amend(changes, { userId: user._id, reason: String(reason).trim(), signer: await signerFor(user) });
+  await syncConsultation(note);
+
+  logger.info(`📝 Clinical note ${note._id} amended to version ${note.version}`);
+
+  return note;
+}
+
+/**
+ * Get a clinical note with its revisions
+ */
+async function getNote(noteId) {
+  return loadNote(noteId);
+}
+
+/**
+ * The note for an appointment
+ */
+async function getAppointmentNote(appointmentId) {
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const note = await ClinicalNote.findOne({ appointment_id: appointmentId });
+  if (!note) {
+    throw httpError('No clinical note for this appointment', 404);
+  }
+
+  return note;
+}
+
+/**
+ * Notes for a patient, newest first (without revisions)
+ */
+async function getPatientNotes(patientId, { page = 1, limit = 50 } = {}) {
+  const query = { patient_id: patientId };
+
+  const [notes, total] = await Promise.all([
+    ClinicalNote.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-revisions')
+      .populate('doctor_id', 'name specialization')
+      .lean(),
+    ClinicalNote.countDocuments(query),
+  ]);
+
+  return { notes, total };
+}
+
+// ==================== REPORTS ====================
+
+/**
+ * Coded diagnoses on signed notes, most frequent first
+ * @param {Object} filters - { from, to, department, doctorId } (default: last 30 days)
+ * @returns {Promise<Object>} - { from, to, total_notes, rows: [{ code, description, count, primary_count, patients }] }
+ */
+async function getDiagnosisReport({ from = null, to = null, department = null, doctorId = null } = {}) {
+  const end = to || new Date();
+  const start = from || moment(end).tz(TIMEZONE).subtract(REPORT_DEFAULT_DAYS, 'days').startOf('day').toDate();
+
+  const match = {
+    status: { $in: ['signed', 'amended'] },
+    'signature.signed_at': { $gte: start, $lte: end },
+  };
+  if (department) match.department = department;
+  if (doctorId) match.doctor_id = new mongoose.Types.ObjectId(String(doctorId));
+
+  const [rows, totalNotes] = await Promise.all([
+    ClinicalNote.aggregate([
+      { $match: match },
+      { $unwind: '$diagnoses' },
+      {
+        $group: {
+          _id: '$diagnoses.code',
+          description: { $first: '$diagnoses.description' },
+          count: { $sum: 1 },
+          primary_count: { $sum: { $cond: ['$diagnoses.primary', 1, 0] } },
+          patients: { $addToSet: '$patient_id' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          code: '$_id',
+          description: 1,
+          count: 1,
+          primary_count: 1,
+          patients: { $size: '$patients' },
+        },
+      },
+      { $sort: { count: -1, code: 1 } },
+    ]),
+    ClinicalNote.countDocuments(match),
+  ]);
+
+  return { from: start, to: end, total_notes: totalNotes, rows };
+}
+
+export default {
+  searchIcd10,
+  getIcd10Code,
+  getTemplates,
+  createNote,
+  updateDraft,
+  signNote,
+  amendNote,
+  getNote,
+  getAppointmentNote,
+  getPatientNotes,
+  getDiagnosisReport,
+};
@@ -0,0 +1,320 @@
+/**
+ * Consent Service for MediFlow
+ * Patient communication preferences: who may be messaged, on which channel, and when
+ *
+ * Every patient-facing send in emailService/smsService goes through
+ * checkConsent(). A send is suppressed (and recorded in SuppressedMessage) when:
+ * - opted_out: the patient replied STOP on that channel (blocks everything)
+ * - no_consent: the patient has not consented to that category on that channel
+ * - quiet_hours: inside the patient's quiet hours (emergency alerts bypass)
+ *
+ * Categories:
+ * - transactional: appointment confirmations, reminders, cancellations
+ * - marketing: health camps, newsletters, promotions
+ * - emergency: red-flag symptom alerts (only a STOP opt-out blocks these)
+ * - internal: staff/admin emails - never checked
+ */
+
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/serviceHelpers.js';
+import Patient, { COMMUNICATION_CHANNELS, PREFERRED_LANGUAGES, CONSENT_SOURCES } from '../models/Patient.js';
+import SuppressedMessage from '../models/SuppressedMessage.js';
+
+/**
+ * Inbound keywords (case-insensitive, whole message)
+ * YES is deliberately not an opt-in keyword - patients use it to confirm appointments.
+ */
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+/**
+ * Mask a recipient for logs (never store the full address)
+ */
+function maskRecipient(channel, recipient) {
+  if (!recipient) return null;
+  const value = String(recipient);
+
+  if (channel === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local.charAt(0)}***@${domain || ''}`;
+  }
+
+  return `******${value.replace(/\D/g, '').slice(-4)}`;
+}
+
+/**
+ * Find the patient behind an email address or phone number (blind-index lookup)
+ */
+async function findPatientByRecipient(channel, recipient) {
+  if (!recipient) return null;
+
+  return channel === 'email'
+    ? Patient.findOne({ email: recipient })
+    : Patient.findOne({ phone: recipient });
+}
+
+/**
+ * Check whether a time falls inside quiet hours (handles overnight windows)
+ * @param {Object} quietHours - { enabled, start: 'HH:mm', end: 'HH:mm', timezone }
+ */
+function isWithinQuietHours(quietHours, at = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const now = moment(at).tz(quietHours.timezone || 'Asia/Kolkata').format('HH:mm');
+  const { start, end } = quietHours;
+
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Decide whether a patient may receive a message (pure - no logging)
+ * @param {Object} patient - Patient document
+ * @param {string} channel - email | sms | whatsapp
+ * @param {string} category - transactional | marketing | emergency
+ * @returns {Object} - { allowed, reason }
+ */
+function evaluate(patient, channel, category = 'transactional', at = new Date()) {
+  const preferences = patient?.communication_preferences;
+  if (!preferences) {
+    return { allowed: true, reason: null };
+  }
+
+  const consent = preferences[channel] || {};
+
+  if (consent.opted_out) {
+    return { allowed: false, reason: 'opted_out' };
+  }
+
+  if (category === 'emergency') {
+    return { allowed: true, reason: null };
+  }
+
+  if (!consent[category]) {
+    return { allowed: false, reason: 'no_consent' };
+  }
+
+  if (isWithinQuietHours(preferences.quiet_hours, at)) {
+    return { allowed: false, reason: 'quiet_hours' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Check consent before a send and record suppressed sends
+ * Recipients that are not patients (doctors, admins) are always allowed.
+ * @param {Object} params
+ * @param {string} params.channel - email | sms | whatsapp
+ * @param {string} params.recipient - Email address or phone number
+ * @param {Object} params.patient - Patient document (looked up from recipient if omitted)
+ * @param {string} params.category - transactional | marketing | emergency | internal
+ * @param {string} params.messageType - For the suppression log
+ * @returns {Promise<Object>} - { allowed, reason, patient } (patient = matched record or null)
+ */
+async function checkConsent({
+  channel,
+  recipient,
+  patient = null,
+  category = 'transactional',
+  messageType = 'custom',
+}) {
+  if (category === 'internal') {
+    return { allowed: true, reason: null, patient: null };
+  }
+
+  // Populated/plain patient objects without preferences: resolve the real record
+  let target = patient?.communication_preferences ? patient : null;
+  if (!target) {
+    target = await findPatientByRecipient(channel, recipient);
+  }
+
+  if (!target) {
+    return { allowed: true, reason: null, patient: null };
+  }
+
+  const decision = evaluate(target, channel, category);
+
+  if (!decision.allowed) {
+    logger.warn(
+      `🔕 ${channel.toUpperCase()} ${messageType} suppressed for patient ${target._id} (${decision.reason})`
+    );
+
+    try {
+      await SuppressedMessage.create({
+        patient_id: target._id,
+        channel,
+        category,
+        message_type: messageType,
+        reason: decision.reason,
+        recipient_hint: maskRecipient(channel, recipient),
+      });
+    } catch (error) {
+      logger.error('❌ Failed to record suppressed message:', error.message);
+    }
+  }
+
+  return { ...decision, patient: target };
+}
+
+/**
+ * Locale for patient-facing dates/times (preferred language, India region)
+ */
+function getLocale(patient) {
+  const language = patient?.communication_preferences?.preferred_language || 'en';
+  return `${language}-IN`;
+}
+
+/**
+ * Apply preference changes and record each one in consent_history
+ * @param {Object} patient - Patient document
+ * @param {Object} updates - { email|sms|whatsapp: { transactional, marketing, opted_out }, quiet_hours, preferred_language }
+ * @param {Object} context - { source, recordedBy, note }
+ * @returns {Promise<Array>} - Changes applied [{ channel, setting, value }]
+ */
+async function updatePreferences(patient, updates = {}, context) {
+  const changes = [];
+  const preferences = patient.communication_preferences;
+
+  if (!CONSENT_SOURCES.includes(context.source)) {
+    throw httpError(`source must be one of: ${CONSENT_SOURCES.join(', ')}`, 400);
+  }
+
+  for (const channel of COMMUNICATION_CHANNELS) {
+    const channelUpdates = updates[channel];
+    if (!channelUpdates) continue;
+
+    for (const setting of ['transactional', 'marketing', 'opted_out']) {
+      if (channelUpdates[setting] === undefined) continue;
+
+      if (typeof channelUpdates[setting] !== 'boolean') {
+        throw httpError(`${channel}.${setting} must be true or false`, 400);
+      }
+      if (preferences[channel][setting] !== channelUpdates[setting]) {
+        changes.push({ channel, setting, value: channelUpdates[setting] });
+      }
+    }
+  }
+
+  if (updates.quiet_hours) {
+    const current = preferences.quiet_hours;
+    const quietHours = {
+      enabled: updates.quiet_hours.enabled ?? current.enabled,
+      start: updates.quiet_hours.start ?? current.start,
+      end: updates.quiet_hours.end ?? current.end,
+      timezone: updates.quiet_hours.timezone ?? current.timezone,
+    };
+
+    if (!moment.tz.zone(quietHours.timezone)) {
+      throw httpError(`Unknown timezone: ${quietHours.timezone}`, 400);
+    }
+
+    if (
+      quietHours.enabled !== current.enabled ||
+      quietHours.start !== current.start ||
+      quietHours.end !== current.end ||
+      quietHours.timezone !== current.timezone
+    ) {
+      changes.push({ channel: 'all', setting: 'quiet_hours', value: quietHours });
+    }
+  }
+
+  if (updates.preferred_language !== undefined) {
+    if (!PREFERRED_LANGUAGES.includes(updates.preferred_language)) {
+      throw httpError(`preferred_language must be one of: ${PREFERRED_LANGUAGES.join(', ')}`, 400);
+    }
+    if (updates.preferred_language !== preferences.preferred_language) {
+      changes.push({ channel: 'all', setting: 'preferred_language', value: updates.preferred_language });
+    }
+  }
+
+  for (const change of changes) {
+    patient.recordConsentChange(change.channel, change.setting, change.value, context);
+  }
+
+  if (changes.length > 0) {
+    await patient.save();
+    logger.hipaa(`Communication preferences updated for patient ${patient._id} (${changes.length} change(s), source=${context.source})`);
+  }
+
+  return changes;
+}
+
+/**
+ * Handle an opt-out/opt-in/help keyword sent by a patient (SMS or WhatsApp)
+ * @param {Object} params - { from, body, channel }
+ * @returns {Promise<Object>} - { handled, action, reply, patientId }
+ */
+async function handleKeyword({ from, body, channel = 'sms' }) {
+  const keyword = String(body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+  const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+
+  let action = null;
+  if (OPT_OUT_KEYWORDS.includes(keyword)) action = 'opt_out';
+  else if (OPT_IN_KEYWORDS.includes(keyword)) action = 'opt_in';
+  else if (HELP_KEYWORDS.includes(keyword)) action = 'help';
+
+  if (!action) {
+    return { handled: false, action: null, reply: null, patientId: null };
+  }
+
+  if (action === 'help') {
+    return {
+      handled: true,
+      action,
+      reply: `${clinicName}: appointment messages. Reply STOP to opt out, START to opt back in. Help: ${clinicPhone}`,
+      patientId: null,
+    };
+  }
+
+  const patient = await findPatientByRecipient(channel, from);
+
+  if (patient) {
+    const optedOut = action === 'opt_out';
+    if (patient.communication_preferences[channel].opted_out !== optedOut) {
+      patient.recordConsentChange(channel, 'opted_out', optedOut, {
+        source: `${channel}_keyword`,
+        note: `Patient replied ${keyword}`,
+      });
+      await patient.save();
+    }
+    logger.hipaa(`Patient ${patient._id} ${optedOut ? 'opted out of' : 'opted back in to'} ${channel} (${keyword})`);
+  } else {
+    logger.warn(`⚠️ ${keyword} received from unknown ${channel} number ${maskRecipient(channel, from)}`);
+  }
+
+  return {
+    handled: true,
+    action,
+    reply:
+      action === 'opt_out'
+        ? `${clinicName}: you will no longer receive messages on this number. Reply START to opt back in.`
+        : `${clinicName}: you are subscribed to appointment messages again. Reply STOP to opt out.`,
+    patientId: patient?._id || null,
+  };
+}
+
+/**
+ * Recent suppressed sends for a patient
+ */
+async function getSuppressedMessages(patientId, limit = 20) {
+  return SuppressedMessage.find({ patient_id: patientId })
+    .sort({ suppressed_at: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export default {
+  maskRecipient,
+  findPatientByRecipient,
+  evaluate,
+  checkConsent,
+  isWithinQuietHours,
+  getLocale,
+  updatePreferences,
+  handleKeyword,
+  getSuppressedMessages,
+};
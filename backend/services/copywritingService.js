@@ -1,16 +1,10 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import logger from '../utils/logger.js';
+import llmService from './llmService.js';
 
-// Use Key 3 specifically for emails to distribute load
-const API_KEY = process.env.GEMINI_API_KEY_3 || process.env.GEMINI_API_KEY;
-
-if (!API_KEY) {
-  throw new Error('Gemini API Key for copywriting not found');
-}
-
-const genAI = new GoogleGenerativeAI(API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-
+/**
+ * Copywriting Service for MediFlow
+ * Email copy written by the copywriting LLM provider (LLM_COPYWRITING_PROVIDER)
+ */
 
 /**
  * Generate a personalized appointment reminder email
@@ -74,22 +68,14 @@ const generateAppointmentReminderEmail = async (appointment, patient, doctor) =>
       }
     `;
 
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text();
-
-    // ROBUST CLEANING (Remove markdown code blocks)
-    let cleanText = responseText.replace(/``````/g, '').trim();
-    const jsonStart = cleanText.indexOf('{');
-    const jsonEnd = cleanText.lastIndexOf('}');
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      cleanText = cleanText.substring(jsonStart, jsonEnd + 1);
-    }
-
     let content;
     try {
-      content = JSON.parse(cleanText);
+      ({ data: content } = await llmService.generateJson('copywriting', {
+        prompt,
+        input: { kind: 'appointment_reminder', appointment, patient, doctor },
+      }));
     } catch (parseError) {
-      logger.error('JSON Parse Error (Raw Text):', responseText);
+      logger.error('Copywriting response error:', parseError.message);
       throw new Error('Failed to parse AI response');
     }
 
@@ -304,7 +290,7 @@ const generateWelcomeEmail = async (patient) => {
   }
 };
 
-module.exports = {
+export default {
   generateAppointmentReminderEmail,
   generateWelcomeEmail
 };
@@ -12,9 +12,14 @@
  * - General Medicine, Cardiology, Pediatrics, Dermatology, Orthopedics,
  * - Gynecology, ENT, Ophthalmology, Dentistry, Psychiatry, Neurology,
  * - Urology, Gastroenterology, Emergency
+ *
+ * Symptom routing keywords come from the live triage rule set (triageRuleService).
  */
 
+import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import Doctor, { getDayKey } from '../models/Doctor.js';
+import triageRuleService from './triageRuleService.js';
 
 /**
  * Department mapping - ensures consistent naming
@@ -39,152 +44,21 @@ const DEPARTMENT_MAPPING = {
 };
 
 /**
- * Symptom-to-Department mapping for intelligent routing
+ * Shape a Doctor document for assignment results
+ * @param {Object} doctor - Doctor document
+ * @returns {Object} - Plain doctor summary
  */
-const SYMPTOM_DEPARTMENT_MAP = {
-  // Cardiology
-  'chest pain': 'Cardiology',
-  'heart': 'Cardiology',
-  'palpitation': 'Cardiology',
-  'high blood pressure': 'Cardiology',
-  'hypertension': 'Cardiology',
-  
-  // Pediatrics (age-based)
-  'child': 'Pediatrics',
-  'infant': 'Pediatrics',
-  'baby': 'Pediatrics',
-  
-  // Dermatology
-  'skin': 'Dermatology',
-  'rash': 'Dermatology',
-  'acne': 'Dermatology',
-  'hair loss': 'Dermatology',
-  
-  // Orthopedics
-  'bone': 'Orthopedics',
-  'joint': 'Orthopedics',
-  'fracture': 'Orthopedics',
-  'back pain': 'Orthopedics',
-  'knee pain': 'Orthopedics',
-  
-  // Gynecology
-  'pregnancy': 'Gynecology',
-  'menstrual': 'Gynecology',
-  'women health': 'Gynecology',
-  
-  // ENT
-  'ear': 'ENT',
-  'nose': 'ENT',
-  'throat': 'ENT',
-  'hearing': 'ENT',
-  'sinus': 'ENT',
-  
-  // Ophthalmology
-  'eye': 'Ophthalmology',
-  'vision': 'Ophthalmology',
-  'blurred vision': 'Ophthalmology',
-  
-  // Dentistry
-  'tooth': 'Dentistry',
-  'dental': 'Dentistry',
-  'gum': 'Dentistry',
-  
-  // Psychiatry
-  'anxiety': 'Psychiatry',
-  'depression': 'Psychiatry',
-  'mental health': 'Psychiatry',
-  'stress': 'Psychiatry',
-  
-  // Neurology
-  'headache': 'Neurology',
-  'migraine': 'Neurology',
-  'seizure': 'Neurology',
-  'numbness': 'Neurology',
-  
-  // Emergency
-  'severe': 'Emergency',
-  'emergency': 'Emergency',
-  'accident': 'Emergency',
-  'trauma': 'Emergency',
-};
-
-/**
- * In-memory doctor cache (in production, this would be from Doctor model)
- * This is a placeholder - replace with actual database queries
- */
-let doctorCache = [];
-
-/**
- * Initialize doctor cache from database
- * Call this on server startup or periodically
- */
-async function initializeDoctorCache() {
-  try {
-    logger.info('🔄 Initializing doctor cache from database...');
-    
-    // TODO: Replace with actual Doctor.find() query
-    // import Doctor from '../models/Doctor.js';
-    // doctorCache = await Doctor.find({ active: true }).select('name email department specialization shift availability');
-    
-    // Placeholder data for now
-    doctorCache = [
-      {
-        _id: 'doc1',
-        name: 'Dr. Rajesh Kumar',
-        email: 'rajesh.kumar@mediflow.com',
-        department: 'General Medicine',
-        specialization: 'General Physician',
-        shift: 'morning', // morning, evening, night, full-day
-        currentPatientCount: 5,
-        maxPatientsPerDay: 20,
-        isAvailable: true,
-        isOnCall: false,
-      },
-      {
-        _id: 'doc2',
-        name: 'Dr. Priya Sharma',
-        email: 'priya.sharma@mediflow.com',
-        department: 'Cardiology',
-        specialization: 'Cardiologist',
-        shift: 'full-day',
-        currentPatientCount: 3,
-        maxPatientsPerDay: 15,
-        isAvailable: true,
-        isOnCall: false,
-      },
-      {
-        _id: 'doc3',
-        name: 'Dr. Amit Verma',
-        email: 'amit.verma@mediflow.com',
-        department: 'Pediatrics',
-        specialization: 'Pediatrician',
-        shift: 'morning',
-        currentPatientCount: 8,
-        maxPatientsPerDay: 25,
-        isAvailable: true,
-        isOnCall: false,
-      },
-      {
-        _id: 'doc4',
-        name: 'Dr. Emergency On-Call',
-        email: 'emergency@mediflow.com',
-        department: 'Emergency',
-        specialization: 'Emergency Medicine',
-        shift: 'full-day',
-        currentPatientCount: 0,
-        maxPatientsPerDay: 100,
-        isAvailable: true,
-        isOnCall: true,
-      },
-    ];
-    
-    logger.success(`✅ Doctor cache initialized with ${doctorCache.length} doctors`);
-    
-    return doctorCache;
-  } catch (error) {
-    logger.error('❌ Error initializing doctor cache:', error.message);
-    return [];
-  }
+function formatDoctor(doctor) {
+  return {
+    id: doctor._id,
+    name: doctor.name,
+    email: doctor.email,
+    department: doctor.department,
+    specialization: doctor.specialization,
+    shift: doctor.shift,
+    currentLoad: doctor.todays_patient_count,
+    maxLoad: doctor.max_patients_per_day,
+  };
 }
 
 /**
@@ -192,9 +66,15 @@ async function initializeDoctorCache() {
  * @param {string} chiefComplaint - Main reason for visit
  * @param {Array} symptoms - Array of symptoms
  * @param {number} age - Patient age (for pediatrics routing)
+ * @param {Array} departmentMap - [{ keyword, department }] in match order (defaults to the live triage rules)
  * @returns {string} - Department name
  */
-function determineDepartmentFromSymptoms(chiefComplaint, symptoms = [], age = null) {
+function determineDepartmentFromSymptoms(
+  chiefComplaint,
+  symptoms = [],
+  age = null,
+  departmentMap = triageRuleService.getCachedRuleSet().rules.symptom_department_map
+) {
   try {
     // Check age first (pediatrics for children)
     if (age !== null && age < 18) {
@@ -211,8 +91,8 @@ function determineDepartmentFromSymptoms(chiefComplaint, symptoms = [], age = nu
       .join(' ')
       .toLowerCase();
 
-    // Check symptom-department mapping
-    for (const [keyword, department] of Object.entries(SYMPTOM_DEPARTMENT_MAP)) {
+    // Check symptom-department mapping (first keyword found wins)
+    for (const { keyword, department } of departmentMap) {
       if (combinedText.includes(keyword.toLowerCase())) {
         logger.info(`🎯 Matched symptom keyword "${keyword}" → ${department}`);
         return department;
@@ -240,17 +120,8 @@ async function findDoctorByDepartment(department, shift = 'morning', isEmergency
   try {
     logger.info(`🔍 Finding doctor for department: ${department} (shift: ${shift}, emergency: ${isEmergency})`);
 
-    // Initialize cache if empty
-    if (doctorCache.length === 0) {
-      await initializeDoctorCache();
-    }
-
-    // Filter doctors by department and availability
-    let availableDoctors = doctorCache.filter(doc => 
-      doc.department === department && 
-      doc.isAvailable === true &&
-      doc.currentPatientCount < doc.maxPatientsPerDay
-    );
+    // Active doctors in department who are available, not on leave and under today's capacity
+    let availableDoctors = await Doctor.findAvailableByDepartment(department);
 
     if (availableDoctors.length === 0) {
       logger.warn(`⚠️ No available doctors in ${department}`);
@@ -259,7 +130,7 @@ async function findDoctorByDepartment(department, shift = 'morning', isEmergency
 
     // If emergency, prioritize on-call doctors
     if (isEmergency) {
-      const onCallDoctors = availableDoctors.filter(doc => doc.isOnCall === true);
+      const onCallDoctors = availableDoctors.filter(doc => doc.is_on_call === true);
       if (onCallDoctors.length > 0) {
         availableDoctors = onCallDoctors;
         logger.info('🚨 Emergency case - using on-call doctor');
@@ -275,22 +146,13 @@ async function findDoctorByDepartment(department, shift = 'morning', isEmergency
     const candidateDoctors = shiftDoctors.length > 0 ? shiftDoctors : availableDoctors;
 
     // Workload balancing - assign to doctor with lowest patient count
-    candidateDoctors.sort((a, b) => a.currentPatientCount - b.currentPatientCount);
+    candidateDoctors.sort((a, b) => a.todays_patient_count - b.todays_patient_count);
 
     const selectedDoctor = candidateDoctors[0];
 
-    logger.success(`✅ Assigned doctor: ${selectedDoctor.name} (${selectedDoctor.department}) - Current load: ${selectedDoctor.currentPatientCount}/${selectedDoctor.maxPatientsPerDay}`);
+    logger.success(`✅ Assigned doctor: ${selectedDoctor.name} (${selectedDoctor.department}) - Current load: ${selectedDoctor.todays_patient_count}/${selectedDoctor.max_patients_per_day}`);
 
-    return {
-      id: selectedDoctor._id,
-      name: selectedDoctor.name,
-      email: selectedDoctor.email,
-      department: selectedDoctor.department,
-      specialization: selectedDoctor.specialization,
-      shift: selectedDoctor.shift,
-      currentLoad: selectedDoctor.currentPatientCount,
-      maxLoad: selectedDoctor.maxPatientsPerDay,
-    };
+    return formatDoctor(selectedDoctor);
 
   } catch (error) {
     logger.error('❌ Error finding doctor by department:', error.message);
@@ -315,27 +177,12 @@ async function getDefaultDoctor() {
     }
 
     // If no General Medicine doctor, get ANY available doctor
-    if (doctorCache.length === 0) {
-      await initializeDoctorCache();
-    }
-
-    const anyDoctor = doctorCache.find(doc => 
-      doc.isAvailable === true && 
-      doc.currentPatientCount < doc.maxPatientsPerDay
-    );
+    const doctors = await Doctor.find({ active: true, is_available: true });
+    const anyDoctor = doctors.find(doc => doc.isAssignable());
 
     if (anyDoctor) {
       logger.warn(`⚠️ No General Medicine doctor - using ${anyDoctor.name} (${anyDoctor.department})`);
-      return {
-        id: anyDoctor._id,
-        name: anyDoctor.name,
-        email: anyDoctor.email,
-        department: anyDoctor.department,
-        specialization: anyDoctor.specialization,
-        shift: anyDoctor.shift,
-        currentLoad: anyDoctor.currentPatientCount,
-        maxLoad: anyDoctor.maxPatientsPerDay,
-      };
+      return formatDoctor(anyDoctor);
     }
 
     logger.error('❌ No doctors available at all');
@@ -366,23 +213,15 @@ async function assignPatientToDoctor(patientData, appointmentData = {}) {
     if (preferred_doctor_id) {
       logger.info(`🎯 Patient has preferred doctor: ${preferred_doctor_id}`);
       
-      const preferredDoc = doctorCache.find(doc => 
-        doc._id === preferred_doctor_id && 
-        doc.isAvailable === true &&
-        doc.currentPatientCount < doc.maxPatientsPerDay
-      );
+      const preferredDoc = mongoose.isValidObjectId(preferred_doctor_id)
+        ? await Doctor.findById(preferred_doctor_id)
+        : null;
 
-      if (preferredDoc) {
+      if (preferredDoc && preferredDoc.isAssignable()) {
         logger.success(`✅ Assigned to preferred doctor: ${preferredDoc.name}`);
         return {
           doctorId: preferredDoc._id,
-          doctor: {
-            id: preferredDoc._id,
-            name: preferredDoc.name,
-            email: preferredDoc.email,
-            department: preferredDoc.department,
-            specialization: preferredDoc.specialization,
-          },
+          doctor: formatDoctor(preferredDoc),
           department: preferredDoc.department,
           reason: `Assigned to preferred doctor (returning patient): ${preferredDoc.name}`,
         };
@@ -395,7 +234,8 @@ async function assignPatientToDoctor(patientData, appointmentData = {}) {
     let targetDepartment = department;
     
     if (!targetDepartment || targetDepartment === 'Other') {
-      targetDepartment = determineDepartmentFromSymptoms(chief_complaint, symptoms, age);
+      const { rules } = await triageRuleService.getActiveRuleSet();
+      targetDepartment = determineDepartmentFromSymptoms(chief_complaint, symptoms, age, rules.symptom_department_map);
       logger.info(`🎯 Department determined from symptoms: ${targetDepartment}`);
     }
 
@@ -456,16 +296,13 @@ async function getAllDoctors(department = null) {
   try {
     logger.info(`📋 Fetching all doctors${department ? ` in ${department}` : ''}...`);
 
-    if (doctorCache.length === 0) {
-      await initializeDoctorCache();
-    }
-
-    let doctors = doctorCache;
-
+    const filter = { active: true };
     if (department) {
-      doctors = doctors.filter(doc => doc.department === department);
+      filter.department = department;
     }
 
+    const doctors = await Doctor.find(filter).sort({ department: 1, name: 1 });
+
     logger.success(`✅ Retrieved ${doctors.length} doctors`);
 
     return doctors.map(doc => ({
@@ -475,11 +312,12 @@ async function getAllDoctors(department = null) {
       department: doc.department,
       specialization: doc.specialization,
       shift: doc.shift,
-      currentPatientCount: doc.currentPatientCount,
-      maxPatientsPerDay: doc.maxPatientsPerDay,
-      isAvailable: doc.isAvailable,
-      isOnCall: doc.isOnCall,
-      utilizationRate: Math.round((doc.currentPatientCount / doc.maxPatientsPerDay) * 100),
+      currentPatientCount: doc.todays_patient_count,
+      maxPatientsPerDay: doc.max_patients_per_day,
+      isAvailable: doc.is_available,
+      isOnLeave: doc.isOnLeave(),
+      isOnCall: doc.is_on_call,
+      utilizationRate: doc.utilization_rate,
     }));
 
   } catch (error) {
@@ -501,16 +339,14 @@ async function validateDoctorAssignment(doctorId) {
 
     logger.info(`🔍 Validating doctor assignment: ${doctorId}`);
 
-    if (doctorCache.length === 0) {
-      await initializeDoctorCache();
+    if (!mongoose.isValidObjectId(doctorId)) {
+      logger.warn(`⚠️ Invalid doctor ID: ${doctorId}`);
+      return false;
     }
 
-    const doctor = doctorCache.find(doc => 
-      doc._id === doctorId && 
-      doc.isAvailable === true
-    );
+    const doctor = await Doctor.findOne({ _id: doctorId, active: true, is_available: true });
 
-    const isValid = !!doctor;
+    const isValid = !!doctor && !doctor.isOnLeave();
     
     if (isValid) {
       logger.success(`✅ Doctor ${doctorId} validated (${doctor.name})`);
@@ -534,19 +370,17 @@ async function getAssignmentStats() {
   try {
     logger.info('📊 Fetching doctor assignment statistics...');
 
-    if (doctorCache.length === 0) {
-      await initializeDoctorCache();
-    }
+    const doctors = await Doctor.find({ active: true });
 
     const stats = {
-      totalDoctors: doctorCache.length,
-      availableDoctors: doctorCache.filter(d => d.isAvailable).length,
+      totalDoctors: doctors.length,
+      availableDoctors: doctors.filter(d => d.is_available && !d.isOnLeave()).length,
       byDepartment: {},
       overallUtilization: 0,
     };
 
     // Group by department
-    doctorCache.forEach(doc => {
+    doctors.forEach(doc => {
       const dept = doc.department;
       if (!stats.byDepartment[dept]) {
         stats.byDepartment[dept] = {
@@ -557,11 +391,11 @@ async function getAssignmentStats() {
         };
       }
       stats.byDepartment[dept].doctorCount++;
-      stats.byDepartment[dept].totalPatients += doc.currentPatientCount;
-      stats.byDepartment[dept].totalCapacity += doc.maxPatientsPerDay;
+      stats.byDepartment[dept].totalPatients += doc.todays_patient_count;
+      stats.byDepartment[dept].totalCapacity += doc.max_patients_per_day;
       stats.byDepartment[dept].doctors.push({
         name: doc.name,
-        load: `${doc.currentPatientCount}/${doc.maxPatientsPerDay}`,
+        load: `${doc.todays_patient_count}/${doc.max_patients_per_day}`,
       });
     });
 
@@ -588,30 +422,37 @@ async function getAssignmentStats() {
 
 /**
  * Increment doctor's patient count (called after successful appointment booking)
+ * Atomic in MongoDB, so counts stay correct across restarts and server instances
  * @param {string} doctorId - Doctor ID
+ * @param {Date} date - Appointment start (counts against that day's capacity)
+ * @returns {boolean} - False if the doctor was already at that day's capacity
  */
-async function incrementDoctorPatientCount(doctorId) {
+async function incrementDoctorPatientCount(doctorId, date = new Date()) {
   try {
-    const doctor = doctorCache.find(doc => doc._id === doctorId);
+    const doctor = await Doctor.incrementPatientCount(doctorId, date);
     if (doctor) {
-      doctor.currentPatientCount++;
-      logger.info(`📈 Incremented patient count for ${doctor.name}: ${doctor.currentPatientCount}/${doctor.maxPatientsPerDay}`);
+      logger.info(`📈 Incremented patient count for ${doctor.name} on ${getDayKey(date)}: ${doctor.getPatientCount(date)}/${doctor.max_patients_per_day}`);
+      return true;
     }
+
+    logger.warn(`⚠️ Could not increment patient count for doctor ${doctorId} (not found or at capacity)`);
+    return false;
   } catch (error) {
     logger.error('❌ Error incrementing patient count:', error.message);
+    return false;
   }
 }
 
 /**
  * Decrement doctor's patient count (called after appointment cancellation/completion)
  * @param {string} doctorId - Doctor ID
+ * @param {Date} date - Appointment start (the day it was counted against)
  */
-async function decrementDoctorPatientCount(doctorId) {
+async function decrementDoctorPatientCount(doctorId, date = new Date()) {
   try {
-    const doctor = doctorCache.find(doc => doc._id === doctorId);
-    if (doctor && doctor.currentPatientCount > 0) {
-      doctor.currentPatientCount--;
-      logger.info(`📉 Decremented patient count for ${doctor.name}: ${doctor.currentPatientCount}/${doctor.maxPatientsPerDay}`);
+    const doctor = await Doctor.decrementPatientCount(doctorId, date);
+    if (doctor) {
+      logger.info(`📉 Decremented patient count for ${doctor.name} on ${getDayKey(date)}: ${doctor.getPatientCount(date)}/${doctor.max_patients_per_day}`);
     }
   } catch (error) {
     logger.error('❌ Error decrementing patient count:', error.message);
@@ -619,7 +460,6 @@ async function decrementDoctorPatientCount(doctorId) {
 }
 
 export default {
-  initializeDoctorCache,
   determineDepartmentFromSymptoms,
   findDoctorByDepartment,
   getDefaultDoctor,
@@ -630,5 +470,4 @@ export default {
   incrementDoctorPatientCount,
   decrementDoctorPatientCount,
   DEPARTMENT_MAPPING,
-  SYMPTOM_DEPARTMENT_MAP,
 };
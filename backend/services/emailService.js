@@ -1,6 +1,8 @@
 import nodemailer from 'nodemailer';
 import logger from '../utils/logger.js';
 import EmailTemplate from '../models/EmailTemplate.js';
+import consentService from './consentService.js';
+import emailTrackingService from './emailTrackingService.js';
 
 
 /**
@@ -22,6 +24,10 @@ import EmailTemplate from '../models/EmailTemplate.js';
  * - Rich HTML emails with medical branding
  * - Retry logic with exponential backoff
  * - HIPAA-compliant content (no sensitive info in subject lines)
+ * - Patient communication preferences honored (see consentService) -
+ *   suppressed sends return { success: false, suppressed: true }
+ * - Open/click tracking on patient emails when EMAIL_TRACKING_BASE_URL is set
+ *   (see emailTrackingService)
  */
 
 
@@ -67,14 +73,40 @@ const verifyConnection = async () => {
 
 /**
  * Send email with retry logic
+ * @param {Object} options - { patient, category, messageType } for the consent check
+ *   (category 'internal' for staff/admin mail; patient is looked up by address if omitted),
+ *   plus { template } - EmailTemplate the email was built from (open/click stats)
+ *   and { attachments } - nodemailer attachments ({ filename, content, contentType })
  */
 const sendEmail = async (
   to,
   subject,
   htmlContent,
   textContent = '',
-  retries = 3
+  retries = 3,
+  { patient = null, category = 'transactional', messageType = 'custom', template = null, attachments = [] } = {}
 ) => {
+  const consent = await consentService.checkConsent({
+    channel: 'email',
+    recipient: to,
+    patient,
+    category,
+    messageType,
+  });
+
+  if (!consent.allowed) {
+    return {
+      success: false,
+      suppressed: true,
+      reason: consent.reason,
+      error: `Email suppressed by patient communication preferences (${consent.reason})`,
+      recipient: to,
+    };
+  }
+
+  // Pixel + wrapped links (same tracking ID across retries)
+  const tracked = category === 'internal' ? null : emailTrackingService.prepareTrackedEmail(htmlContent);
+
   let lastError = null;
 
   for (let attempt = 1; attempt <= retries; attempt++) {
@@ -90,7 +122,8 @@ const sendEmail = async (
         to,
         subject,
         text: textContent || undefined,
-        html: htmlContent,
+        html: tracked ? tracked.html : htmlContent,
+        attachments: attachments.length > 0 ? attachments : undefined,
       };
 
       const info = await transporter.sendMail(mailOptions);
@@ -98,6 +131,18 @@ const sendEmail = async (
       logger.success(`✅ Email sent successfully to ${to}`);
       logger.debug('📎 Message ID:', info.messageId);
 
+      if (tracked) {
+        await emailTrackingService.recordSent({
+          tracked,
+          messageId: info.messageId,
+          recipient: to,
+          patient: consent.patient || patient,
+          template,
+          messageType,
+          category,
+        });
+      }
+
       return {
         success: true,
         messageId: info.messageId,
@@ -138,14 +183,15 @@ const sendAppointmentConfirmation = async (appointment, patient, doctor) => {
   try {
     logger.email('📧 Sending appointment confirmation to patient');
 
+    const locale = consentService.getLocale(patient);
     const appointmentDate = new Date(appointment.scheduled_start_time);
-    const formattedDate = appointmentDate.toLocaleDateString('en-IN', {
+    const formattedDate = appointmentDate.toLocaleDateString(locale, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric',
     });
-    const formattedTime = appointmentDate.toLocaleTimeString('en-IN', {
+    const formattedTime = appointmentDate.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
     });
@@ -266,7 +312,7 @@ const sendAppointmentConfirmation = async (appointment, patient, doctor) => {
       <div class="footer">
         <p><strong>${process.env.COMPANY_NAME || 'MediFlow Clinic'}</strong></p>
         <p>This is an automated confirmation. For assistance, contact us at ${process.env.COMPANY_EMAIL || process.env.EMAIL_USER}</p>
-        <p>Appointment confirmed on ${new Date().toLocaleString('en-IN')}</p>
+        <p>Appointment confirmed on ${new Date().toLocaleString(locale)}</p>
       </div>
     </div>
   </div>
@@ -304,7 +350,9 @@ ${process.env.COMPANY_NAME || 'MediFlow Clinic'}
       patient.email,
       subject,
       htmlContent,
-      textContent
+      textContent,
+      3,
+      { patient, messageType: 'appointment_confirmation' }
     );
 
     return result;
@@ -334,13 +382,14 @@ const sendAppointmentReminder = async (
       `📧 Sending ${reminderType} reminder to patient: ${patient.email}`
     );
 
+    const locale = consentService.getLocale(patient);
     const appointmentDate = new Date(appointment.scheduled_start_time);
-    const formattedDate = appointmentDate.toLocaleDateString('en-IN', {
+    const formattedDate = appointmentDate.toLocaleDateString(locale, {
       weekday: 'long',
       month: 'long',
       day: 'numeric',
     });
-    const formattedTime = appointmentDate.toLocaleTimeString('en-IN', {
+    const formattedTime = appointmentDate.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
     });
@@ -426,7 +475,9 @@ ${process.env.COMPANY_NAME || 'MediFlow Clinic'}
       patient.email,
       subject,
       htmlContent,
-      textContent
+      textContent,
+      3,
+      { patient, messageType: `appointment_reminder_${reminderType}` }
     );
 
     return result;
@@ -605,7 +656,9 @@ ${process.env.COMPANY_NAME || 'MediFlow Clinic'}
       doctor.email,
       subject,
       htmlContent,
-      textContent
+      textContent,
+      3,
+      { category: 'internal', messageType: 'doctor_notification' }
     );
 
     return result;
@@ -704,7 +757,8 @@ ${process.env.COMPANY_NAME || 'MediFlow'} Triage System
       subject,
       htmlContent,
       textContent,
-      1 // Only 1 retry for emergency (fast fail)
+      1, // Only 1 retry for emergency (fast fail)
+      { category: 'internal', messageType: 'emergency_alert' }
     );
 
     return result;
@@ -718,6 +772,684 @@ ${process.env.COMPANY_NAME || 'MediFlow'} Triage System
 };
 
 
+/**
+ * Send a prescription PDF to the patient
+ * Medicines are only in the attachment - never in the email body
+ * @param {Object} prescription - Prescription document
+ * @param {Object} patient - Patient document
+ * @param {Object} doctor - Doctor document
+ * @param {Buffer} pdfBuffer - Rendered prescription PDF
+ */
+const sendPrescriptionEmail = async (prescription, patient, doctor, pdfBuffer) => {
+  try {
+    if (!patient.email) {
+      return { success: false, error: 'Patient has no email address' };
+    }
+
+    logger.email(`💊 Sending prescription ${prescription.prescription_number} to ${patient.email}`);
+
+    const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+    const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+    const amended = prescription.version > 1;
+    const subject = amended ? `Your updated prescription from ${clinicName}` : `Your prescription from ${clinicName}`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #0066CC; color: white; padding: 25px 20px; border-radius: 8px 8px 0 0; text-align: center; }
+    .content { background: #f9fafb; padding: 25px 20px; border-radius: 0 0 8px 8px; }
+    .info-box { background: white; padding: 15px 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #0066CC; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>💊 ${amended ? 'Updated Prescription' : 'Your Prescription'}</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${patient.name},</p>
+      <p>${amended
+        ? `Dr. ${doctor.name} has updated your prescription. Please use the attached version and discard any earlier copy.`
+        : `Your prescription from Dr. ${doctor.name} is attached to this email as a PDF.`}</p>
+      <div class="info-box">
+        <p><strong>Prescription No:</strong> ${prescription.prescription_number}${amended ? ` (version ${prescription.version})` : ''}</p>
+        <p><strong>Doctor:</strong> Dr. ${doctor.name} (${doctor.department})</p>
+      </div>
+      <p>Pharmacies can verify it by scanning the QR code on the prescription.</p>
+      <p>If you have questions about your medicines, call us at ${clinicPhone}.</p>
+      <div class="footer">
+        <p>${clinicName}</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+Hi ${patient.name},
+
+${amended ? `Dr. ${doctor.name} has updated your prescription. Please use the attached version and discard any earlier copy.` : `Your prescription from Dr. ${doctor.name} is attached as a PDF.`}
+
+Prescription No: ${prescription.prescription_number}${amended ? ` (version ${prescription.version})` : ''}
+Doctor: Dr. ${doctor.name} (${doctor.department})
+
+Pharmacies can verify it by scanning the QR code on the prescription.
+Questions? Call ${clinicPhone}.
+
+${clinicName}
+`;
+
+    return await sendEmail(patient.email, subject, htmlContent, textContent, 3, {
+      patient,
+      messageType: 'prescription',
+      attachments: [
+        {
+          filename: `${prescription.prescription_number}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf',
+        },
+      ],
+    });
+  } catch (error) {
+    logger.error('❌ Error sending prescription email:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
+/**
+ * Alert the ordering doctor about abnormal / critical lab results
+ * @param {Object} labOrder - LabOrder document (resulted)
+ * @param {Object} patient - Patient document
+ * @param {Object} doctor - Ordering Doctor document
+ */
+const sendAbnormalLabResultAlert = async (labOrder, patient, doctor) => {
+  try {
+    if (!doctor?.email) {
+      return { success: false, error: 'Ordering doctor has no email address' };
+    }
+
+    logger.email(`🧪 Sending ${labOrder.is_critical ? 'CRITICAL' : 'abnormal'} lab result alert to Dr. ${doctor.name}`);
+
+    const critical = labOrder.is_critical;
+    const color = critical ? '#dc2626' : '#d97706';
+    const clientOrigin = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+    const patientUrl = `${clientOrigin}/doctor/patients/${patient._id}`;
+    const flagged = labOrder.results.filter((result) => result.flag !== 'normal');
+    const flagText = (flag) => flag.replace('_', ' ').toUpperCase();
+
+    // Subjects show up in notification previews and mail logs - patient and test stay in the body
+    const subject = `${critical ? '🚨 CRITICAL' : '⚠️ Abnormal'} lab result: order ${labOrder.order_number}`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: ${color}; color: white; padding: 25px 20px; border-radius: 8px 8px 0 0; text-align: center; }
+    .content { background: #f9fafb; padding: 25px 20px; border-radius: 0 0 8px 8px; }
+    .alert-box { background: white; padding: 15px 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid ${color}; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${critical ? '🚨 Critical Lab Result' : '⚠️ Abnormal Lab Result'}</h1>
+    </div>
+    <div class="content">
+      <p>Dear Dr. ${doctor.name},</p>
+      <p>A test you ordered has ${critical ? 'a <strong>critical</strong> value that needs immediate review' : 'results outside the reference range'}.</p>
+      <div class="alert-box">
+        <p><strong>Patient:</strong> ${patient.name}${patient.age ? ` (${patient.age}${patient.gender ? `, ${patient.gender}` : ''})` : ''}</p>
+        <p><strong>Phone:</strong> ${patient.phone || 'N/A'}</p>
+        <p><strong>Test:</strong> ${labOrder.test_name} (${labOrder.order_number})</p>
+        ${flagged.length > 0 ? `
+        <table>
+          <tr><th>Parameter</th><th>Result</th><th>Reference</th><th>Flag</th></tr>
+          ${flagged.map((result) => `<tr><td>${result.parameter}</td><td><strong>${result.value}</strong> ${result.unit || ''}</td><td>${result.reference_text || '-'}</td><td style="color: ${color};">${flagText(result.flag)}</td></tr>`).join('')}
+        </table>` : ''}
+        ${labOrder.report_text ? `<p><strong>Report:</strong> ${labOrder.report_text}</p>` : ''}
+      </div>
+      <p><a href="${patientUrl}">Open the patient record</a></p>
+      <div class="footer">
+        <p>${process.env.COMPANY_NAME || 'MediFlow Clinic'} - Lab</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+${critical ? 'CRITICAL' : 'ABNORMAL'} LAB RESULT
+
+Dear Dr. ${doctor.name},
+
+Patient: ${patient.name}
+Phone: ${patient.phone || 'N/A'}
+Test: ${labOrder.test_name} (${labOrder.order_number})
+
+${flagged.map((result) => `${result.parameter}: ${result.value} ${result.unit || ''} (ref ${result.reference_text || '-'}) ${flagText(result.flag)}`).join('\n')}
+${labOrder.report_text ? `\nReport: ${labOrder.report_text}\n` : ''}
+Patient record: ${patientUrl}
+
+${process.env.COMPANY_NAME || 'MediFlow Clinic'} - Lab
+`;
+
+    return await sendEmail(
+      doctor.email,
+      subject,
+      htmlContent,
+      textContent,
+      3,
+      { category: 'internal', messageType: 'lab_result_alert' }
+    );
+  } catch (error) {
+    logger.error('❌ Error sending lab result alert:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
+/**
+ * Alert the treating doctor when recorded vitals give a medium / high NEWS2 score
+ * @param {Object} vitals - Recorded vitals (with news2)
+ * @param {Object} patient - Patient document
+ * @param {Object} doctor - Doctor of the visit
+ */
+const sendEarlyWarningAlert = async (vitals, patient, doctor) => {
+  try {
+    if (!doctor?.email) {
+      return { success: false, error: 'Doctor has no email address' };
+    }
+
+    const { news2 } = vitals;
+    const high = news2.risk === 'high';
+    logger.email(`🩺 Sending NEWS2 ${news2.score} (${news2.risk}) alert to Dr. ${doctor.name}`);
+
+    const color = high ? '#dc2626' : '#d97706';
+    const clientOrigin = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+    const patientUrl = `${clientOrigin}/doctor/patients/${patient._id}`;
+    const bp = vitals.blood_pressure?.systolic ? `${vitals.blood_pressure.systolic}/${vitals.blood_pressure.diastolic || '-'} mmHg` : '-';
+    const rows = [
+      ['Respiratory rate', vitals.respiratory_rate ? `${vitals.respiratory_rate} /min` : '-'],
+      ['SpO2', vitals.oxygen_saturation ? `${vitals.oxygen_saturation}%${vitals.on_supplemental_oxygen ? ' (on oxygen)' : ''}` : '-'],
+      ['Blood pressure', bp],
+      ['Pulse', vitals.pulse_rate ? `${vitals.pulse_rate} bpm` : '-'],
+      ['Temperature', vitals.temperature ? `${vitals.temperature} °F` : '-'],
+      ['Consciousness', vitals.consciousness || '-'],
+    ];
+
+    const subject = `${high ? '🚨 HIGH' : '⚠️ Medium'} early warning score (NEWS2 ${news2.score}) - ${patient.name}`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: ${color}; color: white; padding: 25px 20px; border-radius: 8px 8px 0 0; text-align: center; }
+    .content { background: #f9fafb; padding: 25px 20px; border-radius: 0 0 8px 8px; }
+    .alert-box { background: white; padding: 15px 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid ${color}; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${high ? '🚨' : '⚠️'} NEWS2 Score ${news2.score}</h1>
+    </div>
+    <div class="content">
+      <p>Dear Dr. ${doctor.name},</p>
+      <p>Vitals just recorded for your patient give a <strong>${news2.risk}</strong> early warning score. ${news2.clinical_response}.</p>
+      <div class="alert-box">
+        <p><strong>Patient:</strong> ${patient.name}${patient.age ? ` (${patient.age}${patient.gender ? `, ${patient.gender}` : ''})` : ''}</p>
+        <table>
+          ${rows.map(([label, value]) => `<tr><td>${label}</td><td><strong>${value}</strong></td></tr>`).join('')}
+        </table>
+      </div>
+      <p><a href="${patientUrl}">Open the patient record</a></p>
+      <div class="footer">
+        <p>${process.env.COMPANY_NAME || 'MediFlow Clinic'}</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+EARLY WARNING SCORE: NEWS2 ${news2.score} (${news2.risk})
+
+Dear Dr. ${doctor.name},
+
+${news2.clinical_response}.
+
+Patient: ${patient.name}
+${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}
+
+Patient record: ${patientUrl}
+
+${process.env.COMPANY_NAME || 'MediFlow Clinic'}
+`;
+
+    return await sendEmail(
+      doctor.email,
+      subject,
+      htmlContent,
+      textContent,
+      3,
+      { category: 'internal', messageType: 'early_warning_alert' }
+    );
+  } catch (error) {
+    logger.error('❌ Error sending early warning alert:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
+/**
+ * Send the invoice PDF to the patient (worded as a payment receipt when a payment is given)
+ * @param {Object} invoice - Invoice document
+ * @param {Object} patient - Patient document
+ * @param {Buffer} pdfBuffer - Rendered invoice PDF
+ * @param {Object} payment - Payment just received (optional)
+ */
+const sendInvoiceEmail = async (invoice, patient, pdfBuffer, payment = null) => {
+  try {
+    if (!patient.email) {
+      return { success: false, error: 'Patient has no email address' };
+    }
+
+    logger.email(`🧾 Sending invoice ${invoice.invoice_number} to ${patient.email}`);
+
+    const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+    const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+    const rupees = (value) => `₹${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+    const subject = payment
+      ? `Payment receipt ${payment.receipt_number} from ${clinicName}`
+      : `Invoice ${invoice.invoice_number} from ${clinicName}`;
+    const intro = payment
+      ? `Thank you - we have received ${rupees(payment.amount)} by ${payment.method.toUpperCase()}. Your invoice with the payment details is attached.`
+      : `Your invoice from ${clinicName} is attached to this email as a PDF.`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #0066CC; color: white; padding: 25px 20px; border-radius: 8px 8px 0 0; text-align: center; }
+    .content { background: #f9fafb; padding: 25px 20px; border-radius: 0 0 8px 8px; }
+    .info-box { background: white; padding: 15px 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #0066CC; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🧾 ${payment ? 'Payment Receipt' : 'Your Invoice'}</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${patient.name},</p>
+      <p>${intro}</p>
+      <div class="info-box">
+        <p><strong>Invoice No:</strong> ${invoice.invoice_number}</p>
+        ${payment ? `<p><strong>Receipt No:</strong> ${payment.receipt_number}</p>` : ''}
+        <p><strong>Total:</strong> ${rupees(invoice.grand_total)}</p>
+        <p><strong>Paid:</strong> ${rupees(invoice.amount_paid - invoice.amount_refunded)}</p>
+        <p><strong>Balance due:</strong> ${rupees(invoice.balance_due)}</p>
+      </div>
+      <p>For billing questions, call us at ${clinicPhone}.</p>
+      <div class="footer">
+        <p>${clinicName}</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+Hi ${patient.name},
+
+${intro}
+
+Invoice No: ${invoice.invoice_number}
+${payment ? `Receipt No: ${payment.receipt_number}\n` : ''}Total: ${rupees(invoice.grand_total)}
+Paid: ${rupees(invoice.amount_paid - invoice.amount_refunded)}
+Balance due: ${rupees(invoice.balance_due)}
+
+Billing questions? Call ${clinicPhone}.
+
+${clinicName}
+`;
+
+    return await sendEmail(patient.email, subject, htmlContent, textContent, 3, {
+      patient,
+      messageType: payment ? 'payment_receipt' : 'invoice',
+      attachments: [
+        {
+          filename: `${invoice.invoice_number.replace(/\//g, '-')}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf',
+        },
+      ],
+    });
+  } catch (error) {
+    logger.error('❌ Error sending invoice email:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
+/**
+ * Tell the receiving doctor about a new internal referral
+ * No clinical details in the subject line
+ * @param {Object} referral - Referral document (internal)
+ * @param {Object} patient - Patient document
+ * @param {Object} referringDoctor - Doctor who made the referral
+ * @param {Object} receivingDoctor - Doctor the patient is referred to
+ */
+const sendReferralNotification = async (referral, patient, referringDoctor, receivingDoctor) => {
+  try {
+    if (!receivingDoctor?.email) {
+      return { success: false, error: 'Receiving doctor has no email address' };
+    }
+
+    logger.email(`📨 Sending referral ${referral.referral_number} to Dr. ${receivingDoctor.name}`);
+
+    const urgent = referral.urgency !== 'routine';
+    const color = urgent ? '#d97706' : '#0066CC';
+    const clientOrigin = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+    const patientUrl = `${clientOrigin}/doctor/patients/${patient._id}`;
+    const slotText = (slot) => new Date(slot.start_time).toLocaleString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+
+    const subject = `${urgent ? `[${referral.urgency.toUpperCase()}] ` : ''}New referral ${referral.referral_number} from Dr. ${referringDoctor.name}`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: ${color}; color: white; padding: 25px 20px; border-radius: 8px 8px 0 0; text-align: center; }
+    .content { background: #f9fafb; padding: 25px 20px; border-radius: 0 0 8px 8px; }
+    .info-box { background: white; padding: 15px 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid ${color}; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>📨 New Referral</h1>
+    </div>
+    <div class="content">
+      <p>Dear Dr. ${receivingDoctor.name},</p>
+      <p>Dr. ${referringDoctor.name} (${referringDoctor.department}) has referred a patient to you. Please accept or decline the referral.</p>
+      <div class="info-box">
+        <p><strong>Referral No:</strong> ${referral.referral_number}</p>
+        <p><strong>Urgency:</strong> ${referral.urgency}</p>
+        <p><strong>Patient:</strong> ${patient.name}${patient.age ? ` (${patient.age}${patient.gender ? `, ${patient.gender}` : ''})` : ''}</p>
+        <p><strong>Reason:</strong> ${referral.reason}</p>
+        ${referral.clinical_summary ? `<p><strong>Summary:</strong> ${referral.clinical_summary}</p>` : ''}
+      </div>
+      ${referral.proposed_slots.length > 0 ? `
+      <p><strong>Your next open slots:</strong></p>
+      <ul>${referral.proposed_slots.map((slot) => `<li>${slotText(slot)}</li>`).join('')}</ul>` : '<p>You have no open slots in the next few days - pick a time when accepting.</p>'}
+      <p><a href="${patientUrl}">Open the patient record</a></p>
+      <div class="footer">
+        <p>${process.env.COMPANY_NAME || 'MediFlow Clinic'}</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+NEW REFERRAL
+
+Dear Dr. ${receivingDoctor.name},
+
+Dr. ${referringDoctor.name} (${referringDoctor.department}) has referred a patient to you.
+
+Referral No: ${referral.referral_number}
+Urgency: ${referral.urgency}
+Patient: ${patient.name}
+Reason: ${referral.reason}
+${referral.clinical_summary ? `Summary: ${referral.clinical_summary}\n` : ''}
+${referral.proposed_slots.length > 0 ? `Your next open slots:\n${referral.proposed_slots.map((slot) => `- ${slotText(slot)}`).join('\n')}` : 'No open slots in the next few days - pick a time when accepting.'}
+
+Patient record: ${patientUrl}
+
+${process.env.COMPANY_NAME || 'MediFlow Clinic'}
+`;
+
+    return await sendEmail(
+      receivingDoctor.email,
+      subject,
+      htmlContent,
+      textContent,
+      3,
+      { category: 'internal', messageType: 'referral' }
+    );
+  } catch (error) {
+    logger.error('❌ Error sending referral notification:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
+/**
+ * Send the referral letter PDF to an external specialist
+ * @param {Object} referral - Referral document
+ * @param {Object} referringDoctor - Doctor who made the referral
+ * @param {Buffer} pdfBuffer - Rendered referral letter
+ * @param {string} to - Recipient address
+ */
+const sendReferralLetter = async (referral, referringDoctor, pdfBuffer, to) => {
+  try {
+    logger.email(`📨 Sending referral letter ${referral.referral_number} to ${to}`);
+
+    const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+    const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+    const provider = referral.external_provider || {};
+    const subject = `Patient referral ${referral.referral_number} from ${clinicName}`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <p>Dear ${provider.name ? `Dr. ${provider.name}` : 'Doctor'},</p>
+    <p>Please find attached a referral letter from Dr. ${referringDoctor.name} (${referringDoctor.department}, ${clinicName}).</p>
+    <p>Referral No: <strong>${referral.referral_number}</strong> &nbsp;|&nbsp; Urgency: <strong>${referral.urgency}</strong></p>
+    <p>For any questions, please call us at ${clinicPhone} quoting the referral number.</p>
+    <div class="footer">
+      <p>${clinicName}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+Dear ${provider.name ? `Dr. ${provider.name}` : 'Doctor'},
+
+Please find attached a referral letter from Dr. ${referringDoctor.name} (${referringDoctor.department}, ${clinicName}).
+
+Referral No: ${referral.referral_number}
+Urgency: ${referral.urgency}
+
+For any questions, please call us at ${clinicPhone} quoting the referral number.
+
+${clinicName}
+`;
+
+    return await sendEmail(to, subject, htmlContent, textContent, 3, {
+      category: 'internal',
+      messageType: 'referral_letter',
+      attachments: [
+        {
+          filename: `${referral.referral_number}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf',
+        },
+      ],
+    });
+  } catch (error) {
+    logger.error('❌ Error sending referral letter:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
+/**
+ * Tell the doctor and front desk that a follow-up still needs booking by phone
+ * @param {Object} followUp - FollowUp document (needs_scheduling)
+ * @param {Object} patient - Patient document
+ * @param {Object} doctor - Doctor the follow-up is with
+ * @param {Array<string>} recipients - Doctor / clinic admin addresses
+ */
+const sendFollowUpEscalation = async (followUp, patient, doctor, recipients) => {
+  try {
+    const to = [...new Set(recipients.filter(Boolean))];
+    if (to.length === 0) {
+      return { success: false, error: 'No recipient for the follow-up escalation' };
+    }
+
+    logger.email(`📨 Escalating follow-up ${followUp._id} for ${patient.name} to ${to.join(', ')}`);
+
+    const highRisk = ['Emergency', 'Medium'].includes(followUp.risk_classification);
+    const color = highRisk ? '#d97706' : '#0066CC';
+    const patientUrl = `${process.env.CLIENT_ORIGIN || 'http://localhost:5173'}/doctor/patients/${patient._id}`;
+    const reasons = {
+      no_slot: `Dr. ${doctor.name} has no open slot near the recommended date`,
+      unreachable: 'The patient could not be reached by SMS or email',
+      unconfirmed: 'The patient did not confirm the reserved slot in time',
+    };
+    const why = reasons[followUp.escalation_reason] || 'The follow-up could not be booked automatically';
+    const dueDate = new Date(followUp.recommended_date).toLocaleDateString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+    });
+
+    const subject = `${highRisk ? `[${followUp.risk_classification.toUpperCase()}] ` : ''}Follow-up needs booking: ${patient.name}`;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: ${color}; color: white; padding: 25px 20px; border-radius: 8px 8px 0 0; text-align: center; }
+    .content { background: #f9fafb; padding: 25px 20px; border-radius: 0 0 8px 8px; }
+    .info-box { background: white; padding: 15px 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid ${color}; }
+    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #6b7280; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>📅 Follow-up Not Booked</h1>
+    </div>
+    <div class="content">
+      <p>${why}. Please call the patient and book the follow-up.</p>
+      <div class="info-box">
+        <p><strong>Patient:</strong> ${patient.name}${patient.phone ? ` (${patient.phone})` : ''}</p>
+        <p><strong>Risk:</strong> ${followUp.risk_classification}</p>
+        <p><strong>Doctor:</strong> Dr. ${doctor.name} (${followUp.department})</p>
+        <p><strong>Recommended:</strong> ${dueDate}${followUp.timing ? ` - ${followUp.timing}` : ''}</p>
+        ${followUp.reason ? `<p><strong>Reason:</strong> ${followUp.reason}</p>` : ''}
+      </div>
+      <p><a href="${patientUrl}">Open the patient record</a></p>
+      <div class="footer">
+        <p>${process.env.COMPANY_NAME || 'MediFlow Clinic'}</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const textContent = `
+FOLLOW-UP NOT BOOKED
+
+${why}. Please call the patient and book the follow-up.
+
+Patient: ${patient.name}${patient.phone ? ` (${patient.phone})` : ''}
+Risk: ${followUp.risk_classification}
+Doctor: Dr. ${doctor.name} (${followUp.department})
+Recommended: ${dueDate}${followUp.timing ? ` - ${followUp.timing}` : ''}
+${followUp.reason ? `Reason: ${followUp.reason}\n` : ''}
+Patient record: ${patientUrl}
+
+${process.env.COMPANY_NAME || 'MediFlow Clinic'}
+`;
+
+    return await sendEmail(
+      to.join(', '),
+      subject,
+      htmlContent,
+      textContent,
+      3,
+      { category: 'internal', messageType: 'follow_up_escalation' }
+    );
+  } catch (error) {
+    logger.error('❌ Error sending follow-up escalation:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+
 /**
  * Send all appointment-related emails
  */
@@ -780,5 +1512,12 @@ export default {
   sendAppointmentReminder,
   sendDoctorNotification,
   sendEmergencyAlert,
+  sendPrescriptionEmail,
+  sendAbnormalLabResultAlert,
+  sendEarlyWarningAlert,
+  sendInvoiceEmail,
+  sendReferralNotification,
+  sendReferralLetter,
+  sendFollowUpEscalation,
   sendAllAppointmentEmails,
 };
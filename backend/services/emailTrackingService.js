@@ -0,0 +1,274 @@
+/**
+ * Email Tracking Service for MediFlow
+ * Open/click tracking for patient emails
+ *
+ * - prepareTrackedEmail: wraps http(s) links in redirect URLs and appends a
+ *   1x1 tracking pixel (called by emailService.sendEmail)
+ * - recordSent: stores the EmailMessage and counts template usage
+ * - recordOpen / recordClick: public tracking routes; the first open and the
+ *   first click of each message feed EmailTemplate.updateMetrics
+ * - getEngagement: open/click rates per campaign (template category) or per template
+ *
+ * Enabled only when EMAIL_TRACKING_BASE_URL (public API origin, e.g.
+ * https://api.clinic.in) is set - links in real emails must not point at localhost.
+ * Staff/internal emails are never tracked. Plain-text parts are sent unchanged.
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { idOf } from '../utils/serviceHelpers.js';
+import EmailTemplate from '../models/EmailTemplate.js';
+import EmailMessage from '../models/EmailMessage.js';
+
+/**
+ * 1x1 transparent GIF served for opens
+ */
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Message types whose template/campaign stats an email counts towards
+ * (emails built in code are attributed to the template of the same category)
+ */
+const TEMPLATE_CATEGORIES = {
+  appointment_confirmation: 'appointment_confirmation',
+  appointment_reminder_3_day: 'appointment_reminder_3day',
+  appointment_reminder_1_day: 'appointment_reminder_1day',
+  appointment_reminder_2_hour: 'appointment_reminder_2hour',
+  appointment_cancellation: 'appointment_cancellation',
+  no_show_followup: 'no_show_followup',
+  follow_up_reminder: 'follow_up_reminder',
+};
+
+const LINK_PATTERN = /href\s*=\s*(["'])(https?:\/\/[^"']+)\1/gi;
+
+/**
+ * Public base URL for tracking links (null = tracking disabled)
+ */
+function getTrackingBaseUrl() {
+  const baseUrl = process.env.EMAIL_TRACKING_BASE_URL;
+  return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/api/email/t` : null;
+}
+
+/**
+ * Mask an email address for storage
+ */
+function maskEmail(email) {
+  if (!email) return null;
+  const [local, domain] = String(email).split('@');
+  return `${local.charAt(0)}***@${domain || ''}`;
+}
+
+/**
+ * Rewrite an HTML body for tracking
+ * @param {string} html - Email HTML
+ * @returns {Object|null} - { trackingId, html, links } or null when tracking is disabled
+ */
+function prepareTrackedEmail(html) {
+  const baseUrl = getTrackingBaseUrl();
+  if (!baseUrl || !html) {
+    return null;
+  }
+
+  const trackingId = crypto.randomBytes(16).toString('base64url');
+  const links = [];
+
+  const trackedHtml = html.replace(LINK_PATTERN, (match, quote, url) => {
+    links.push({ url: url.replace(/&amp;/g, '&') });
+    return `href=${quote}${baseUrl}/${trackingId}/click/${links.length - 1}${quote}`;
+  });
+
+  const pixel = `<img src="${baseUrl}/${trackingId}/open.gif" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;" />`;
+  const withPixel = /<\/body>/i.test(trackedHtml)
+    ? trackedHtml.replace(/<\/body>/i, `${pixel}</body>`)
+    : `${trackedHtml}${pixel}`;
+
+  return { trackingId, html: withPixel, links };
+}
+
+/**
+ * Template an email counts towards: the one passed in, else the active template for its category
+ */
+async function resolveTemplate(template, messageType, patient) {
+  if (template) {
+    return idOf(template);
+  }
+
+  const category = TEMPLATE_CATEGORIES[messageType];
+  if (!category) {
+    return null;
+  }
+
+  const match = await EmailTemplate.getTemplateByCategory(
+    category,
+    patient?.primary_department || 'General',
+    patient?.risk_classification || 'General'
+  );
+  return match?._id || null;
+}
+
+/**
+ * Record a tracked email that was sent (never throws - the email has already gone out)
+ * @param {Object} params - { tracked, messageId, recipient, patient, template, messageType, category }
+ */
+async function recordSent({
+  tracked,
+  messageId = null,
+  recipient,
+  patient = null,
+  template = null,
+  messageType = 'custom',
+  category = 'transactional',
+}) {
+  try {
+    const templateId = await resolveTemplate(template, messageType, patient);
+
+    await EmailMessage.create({
+      tracking_id: tracked.trackingId,
+      message_id: messageId,
+      recipient_hint: maskEmail(recipient),
+      patient_id: idOf(patient),
+      template_id: templateId,
+      campaign: TEMPLATE_CATEGORIES[messageType] || template?.category || messageType,
+      message_type: messageType,
+      category,
+      links: tracked.links,
+    });
+
+    if (templateId) {
+      await EmailTemplate.recordUsage(templateId);
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to record tracked email ${tracked.trackingId}:`, error.message);
+  }
+}
+
+/**
+ * Feed a first open/click into the template's metrics
+ */
+async function updateTemplateMetrics(templateId, opened, clicked) {
+  if (!templateId) return;
+  await EmailTemplate.updateMetrics(templateId, opened, clicked);
+}
+
+/**
+ * Record an open (tracking pixel load)
+ * @returns {Promise<boolean>} - Whether the tracking ID matched a message
+ */
+async function recordOpen(trackingId) {
+  const now = new Date();
+
+  const message = await EmailMessage.findOneAndUpdate(
+    { tracking_id: trackingId },
+    { $inc: { open_count: 1 }, $set: { last_opened_at: now } }
+  );
+
+  if (!message) {
+    return false;
+  }
+
+  // Only the first open counts towards the template's open rate
+  const firstOpen = await EmailMessage.findOneAndUpdate(
+    { _id: message._id, opened_at: null },
+    { $set: { opened_at: now } }
+  );
+
+  if (firstOpen) {
+    await updateTemplateMetrics(message.template_id, true, false);
+    logger.email(`👁️ Email opened (${message.campaign})`);
+  }
+
+  return true;
+}
+
+/**
+ * Record a click and return where to send the patient
+ * @returns {Promise<string|null>} - Original link URL, or null if unknown
+ */
+async function recordClick(trackingId, linkIndex) {
+  const index = Number.parseInt(linkIndex, 10);
+  const message = await EmailMessage.findOne({ tracking_id: trackingId }).select('links template_id campaign');
+
+  if (!message || !Number.isInteger(index) || !message.links[index]) {
+    return null;
+  }
+
+  const now = new Date();
+
+  await EmailMessage.updateOne(
+    { _id: message._id },
+    {
+      $inc: { click_count: 1, [`links.${index}.clicks`]: 1 },
+      $set: { last_clicked_at: now },
+    }
+  );
+
+  const firstClick = await EmailMessage.findOneAndUpdate(
+    { _id: message._id, clicked_at: null },
+    { $set: { clicked_at: now } }
+  );
+
+  // A click proves the email was opened even if images were blocked
+  const firstOpen = await EmailMessage.findOneAndUpdate(
+    { _id: message._id, opened_at: null },
+    { $set: { opened_at: now, last_opened_at: now } }
+  );
+
+  if (firstClick || firstOpen) {
+    await updateTemplateMetrics(message.template_id, Boolean(firstOpen), Boolean(firstClick));
+  }
+
+  if (firstClick) {
+    logger.email(`🔗 Email link clicked (${message.campaign})`);
+  }
+
+  return message.links[index].url;
+}
+
+/**
+ * Open/click rates from tracked emails
+ * @param {Object} filters - { templateId, since }
+ * @returns {Promise<Array>} - Per campaign: { campaign, sent, opened, clicked, open_rate, click_rate, click_to_open_rate }
+ */
+async function getEngagement({ templateId = null, since = null } = {}) {
+  const match = {};
+  if (templateId) match.template_id = idOf(templateId);
+  if (since) match.sent_at = { $gte: since };
+
+  const rows = await EmailMessage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$campaign',
+        sent: { $sum: 1 },
+        opened: { $sum: { $cond: [{ $ne: ['$opened_at', null] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $ne: ['$clicked_at', null] }, 1, 0] } },
+        total_opens: { $sum: '$open_count' },
+        total_clicks: { $sum: '$click_count' },
+      },
+    },
+    { $sort: { sent: -1 } },
+  ]);
+
+  const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+  return rows.map((row) => ({
+    campaign: row._id,
+    sent: row.sent,
+    opened: row.opened,
+    clicked: row.clicked,
+    total_opens: row.total_opens,
+    total_clicks: row.total_clicks,
+    open_rate: percent(row.opened, row.sent),
+    click_rate: percent(row.clicked, row.sent),
+    click_to_open_rate: percent(row.clicked, row.opened),
+  }));
+}
+
+export default {
+  TRACKING_PIXEL,
+  prepareTrackedEmail,
+  recordSent,
+  recordOpen,
+  recordClick,
+  getEngagement,
+};
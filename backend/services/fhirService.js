@@ -0,0 +1,567 @@
+/**
+ * FHIR Service for MediFlow
+ * Exports patient records as FHIR R4 resources for hospital partners and ABDM health lockers
+ *
+ * Mapping:
+ * - Patient            ← Patient
+ * - Practitioner       ← Doctor (referenced by encounters, conditions and prescriptions)
+ * - Encounter          ← Consultation (class from consultation_type)
+ * - Observation        ← Consultation.vitals (LOINC-coded vital signs, UCUM units)
+ * - Condition          ← Consultation.diagnosis / icd_codes (+ differential diagnoses;
+ *                        ICD-10 display text from the bundled catalog)
+ * - MedicationRequest  ← Prescription medicines (current version)
+ *
+ * Resource ids are the MongoDB ids (derived ids for per-vital / per-medicine resources).
+ * Every resource is checked with utils/fhirValidator.js before it is returned.
+ */
+
+import mongoose from 'mongoose';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Consultation from '../models/Consultation.js';
+import Prescription from '../models/Prescription.js';
+import { assertValidResource } from '../utils/fhirValidator.js';
+import { normalizeCode, getCode } from '../utils/icd10Catalog.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+
+/**
+ * Base for MediFlow identifier systems (Identifier.system)
+ */
+const SYSTEM_BASE = (process.env.FHIR_SYSTEM_BASE || 'https://mediflow.health/fhir').replace(/\/$/, '');
+
+const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  ucum: 'http://unitsofmeasure.org',
+  icd10: 'http://hl7.org/fhir/sid/icd-10',
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  contactRelationship: 'http://terminology.hl7.org/CodeSystem/v2-0131',
+  patientId: `${SYSTEM_BASE}/patient-id`,
+  consultationSession: `${SYSTEM_BASE}/consultation-session`,
+  prescriptionNumber: `${SYSTEM_BASE}/prescription-number`,
+  doctorRegistration: `${SYSTEM_BASE}/medical-council-registration`,
+};
+
+/**
+ * Resource types that can be searched by patient
+ */
+const SEARCHABLE_TYPES = ['Encounter', 'Observation', 'Condition', 'MedicationRequest'];
+
+const GENDERS = {
+  Male: 'male',
+  Female: 'female',
+  Other: 'other',
+  'Prefer not to say': 'unknown',
+};
+
+const ENCOUNTER_CLASSES = {
+  in_person: { code: 'AMB', display: 'ambulatory' },
+  follow_up: { code: 'AMB', display: 'ambulatory' },
+  telemedicine: { code: 'VR', display: 'virtual' },
+  pre_appointment_chat: { code: 'VR', display: 'virtual' },
+  emergency: { code: 'EMER', display: 'emergency' },
+};
+
+const ENCOUNTER_STATUSES = {
+  active: 'in-progress',
+  in_progress: 'in-progress',
+  completed: 'finished',
+  abandoned: 'cancelled',
+  cancelled: 'cancelled',
+};
+
+/**
+ * Vital signs → LOINC code and UCUM unit (Consultation.vitals units)
+ */
+const VITAL_SIGNS = [
+  { field: 'pulse_rate', suffix: 'heart-rate', code: '8867-4', display: 'Heart rate', unit: '/min' },
+  { field: 'respiratory_rate', suffix: 'respiratory-rate', code: '9279-1', display: 'Respiratory rate', unit: '/min' },
+  { field: 'temperature', suffix: 'body-temperature', code: '8310-5', display: 'Body temperature', unit: '[degF]' },
+  { field: 'oxygen_saturation', suffix: 'oxygen-saturation', code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%' },
+  { field: 'weight', suffix: 'body-weight', code: '29463-7', display: 'Body weight', unit: 'kg' },
+  { field: 'height', suffix: 'body-height', code: '8302-2', display: 'Body height', unit: 'cm' },
+  { field: 'bmi', suffix: 'bmi', code: '39156-5', display: 'Body mass index (BMI) [Ratio]', unit: 'kg/m2' },
+];
+
+const BLOOD_PRESSURE = {
+  suffix: 'blood-pressure',
+  code: '85354-9',
+  display: 'Blood pressure panel with all children optional',
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' },
+};
+
+// Everything except the chat transcript and private notes
+const CONSULTATION_FIELDS =
+  'patient_id doctor_id department session_id consultation_type chief_complaint vitals diagnosis differential_diagnosis icd_codes status started_at completed_at createdAt updatedAt';
+
+// ==================== HELPERS ====================
+
+/**
+ * Drop null/undefined/empty values - FHIR JSON does not allow them
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter((item) => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return undefined;
+  }
+
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Compact and validate a resource
+ */
+function finalize(resource) {
+  return assertValidResource(compact(resource));
+}
+
+/**
+ * FHIR ids are strings - '' for an empty reference
+ */
+const resourceId = (value) => String(idOf(value) || '');
+
+const reference = (type, id, display) => (id ? { reference: `${type}/${resourceId(id)}`, display } : undefined);
+
+const toDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+
+const hasAddress = (address) =>
+  Boolean(address && (address.street || address.city || address.state || address.pincode));
+
+const meta = (document) => ({ lastUpdated: document.updatedAt || undefined });
+
+function assertObjectId(id, label) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(`Invalid ${label} id`, 400);
+  }
+}
+
+// ==================== RESOURCE MAPPERS ====================
+
+/**
+ * Patient → FHIR Patient
+ */
+function toPatient(patient) {
+  const nameParts = (patient.name || '').trim().split(/\s+/);
+
+  return finalize({
+    resourceType: 'Patient',
+    id: resourceId(patient),
+    meta: meta(patient),
+    identifier: [{ use: 'usual', system: SYSTEMS.patientId, value: resourceId(patient) }],
+    active: patient.status !== 'inactive',
+    name: [
+      {
+        use: 'official',
+        text: patient.name,
+        family: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined,
+        given: nameParts.length > 1 ? nameParts.slice(0, -1) : nameParts,
+      },
+    ],
+    telecom: [
+      patient.phone && { system: 'phone', value: patient.phone, use: 'mobile' },
+      patient.email && { system: 'email', value: patient.email },
+    ].filter(Boolean),
+    gender: GENDERS[patient.gender] || 'unknown',
+    birthDate: toDate(patient.date_of_birth),
+    address: hasAddress(patient.address)
+      ? [
+        {
+          use: 'home',
+          line: [patient.address.street],
+          city: patient.address.city,
+          state: patient.address.state,
+          postalCode: patient.address.pincode,
+          country: 'IN',
+        },
+      ]
+      : undefined,
+    contact: patient.emergency_contact_name || patient.emergency_contact_phone
+      ? [
+        {
+          relationship: [{ coding: [{ system: SYSTEMS.contactRelationship, code: 'C', display: 'Emergency Contact' }] }],
+          name: { text: patient.emergency_contact_name },
+          telecom: patient.emergency_contact_phone
+            ? [{ system: 'phone', value: patient.emergency_contact_phone }]
+            : undefined,
+        },
+      ]
+      : undefined,
+  });
+}
+
+/**
+ * Doctor → FHIR Practitioner
+ */
+function toPractitioner(doctor) {
+  return finalize({
+    resourceType: 'Practitioner',
+    id: resourceId(doctor),
+    meta: meta(doctor),
+    identifier: doctor.registration_number
+      ? [{ use: 'official', system: SYSTEMS.doctorRegistration, value: doctor.registration_number }]
+      : undefined,
+    active: doctor.active !== false,
+    name: [{ text: `Dr. ${doctor.name}`, prefix: ['Dr.'] }],
+    telecom: [
+      doctor.phone && { system: 'phone', value: doctor.phone, use: 'work' },
+      doctor.email && { system: 'email', value: doctor.email, use: 'work' },
+    ].filter(Boolean),
+    qualification: doctor.specialization ? [{ code: { text: doctor.specialization } }] : undefined,
+  });
+}
+
+/**
+ * Consultation → FHIR Encounter
+ */
+function toEncounter(consultation) {
+  const encounterClass = ENCOUNTER_CLASSES[consultation.consultation_type] || ENCOUNTER_CLASSES.in_person;
+
+  return finalize({
+    resourceType: 'Encounter',
+    id: resourceId(consultation),
+    meta: meta(consultation),
+    identifier: consultation.session_id
+      ? [{ system: SYSTEMS.consultationSession, value: consultation.session_id }]
+      : undefined,
+    status: ENCOUNTER_STATUSES[consultation.status] || 'unknown',
+    class: { system: SYSTEMS.actCode, ...encounterClass },
+    serviceType: consultation.department ? { text: consultation.department } : undefined,
+    subject: reference('Patient', consultation.patient_id),
+    participant: consultation.doctor_id ? [{ individual: reference('Practitioner', consultation.doctor_id) }] : undefined,
+    period: {
+      start: consultation.started_at || consultation.createdAt,
+      end: consultation.status === 'completed' ? consultation.completed_at : undefined,
+    },
+    reasonCode: consultation.chief_complaint ? [{ text: consultation.chief_complaint }] : undefined,
+  });
+}
+
+/**
+ * Consultation vitals → FHIR vital-sign Observations
+ */
+function toObservations(consultation) {
+  const vitals = consultation.vitals;
+  if (!vitals) {
+    return [];
+  }
+
+  const base = {
+    resourceType: 'Observation',
+    meta: meta(consultation),
+    status: 'final',
+    category: [
+      { coding: [{ system: SYSTEMS.observationCategory, code: 'vital-signs', display: 'Vital Signs' }] },
+    ],
+    subject: reference('Patient', consultation.patient_id),
+    encounter: reference('Encounter', consultation._id),
+    effectiveDateTime: vitals.recorded_at || consultation.started_at,
+    performer: consultation.doctor_id && vitals.recorded_by === 'doctor'
+      ? [reference('Practitioner', consultation.doctor_id)]
+      : undefined,
+  };
+
+  const quantity = (value, unit) => ({ value, unit, system: SYSTEMS.ucum, code: unit });
+  const loinc = ({ code, display }) => ({ coding: [{ system: SYSTEMS.loinc, code, display }], text: display });
+  const hasValue = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  const observations = VITAL_SIGNS.filter((vital) => hasValue(vitals[vital.field])).map((vital) =>
+    finalize({
+      ...base,
+      id: `${resourceId(consultation)}-${vital.suffix}`,
+      code: loinc(vital),
+      valueQuantity: quantity(vitals[vital.field], vital.unit),
+    })
+  );
+
+  const { systolic, diastolic } = vitals.blood_pressure || {};
+  if (hasValue(systolic) || hasValue(diastolic)) {
+    observations.unshift(
+      finalize({
+        ...base,
+        id: `${resourceId(consultation)}-${BLOOD_PRESSURE.suffix}`,
+        code: loinc(BLOOD_PRESSURE),
+        component: [
+          hasValue(systolic) && { code: loinc(BLOOD_PRESSURE.systolic), valueQuantity: quantity(systolic, 'mm[Hg]') },
+          hasValue(diastolic) && { code: loinc(BLOOD_PRESSURE.diastolic), valueQuantity: quantity(diastolic, 'mm[Hg]') },
+        ].filter(Boolean),
+      })
+    );
+  }
+
+  return observations;
+}
+
+/**
+ * Consultation diagnosis → FHIR Conditions (confirmed diagnosis + differentials)
+ */
+function toConditions(consultation) {
+  const conditions = [];
+  const icdCodes = (consultation.icd_codes || []).filter(Boolean);
+
+  const base = {
+    resourceType: 'Condition',
+    meta: meta(consultation),
+    clinicalStatus: { coding: [{ system: SYSTEMS.conditionClinical, code: 'active' }] },
+    category: [
+      { coding: [{ system: SYSTEMS.conditionCategory, code: 'encounter-diagnosis', display: 'Encounter Diagnosis' }] },
+    ],
+    subject: reference('Patient', consultation.patient_id),
+    encounter: reference('Encounter', consultation._id),
+    recordedDate: consultation.completed_at || consultation.updatedAt,
+    recorder: reference('Practitioner', consultation.doctor_id),
+  };
+
+  if (consultation.diagnosis || icdCodes.length > 0) {
+    conditions.push(
+      finalize({
+        ...base,
+        id: resourceId(consultation),
+        verificationStatus: { coding: [{ system: SYSTEMS.conditionVerification, code: 'confirmed' }] },
+        code: {
+          coding: icdCodes.map((code) => ({
+            system: SYSTEMS.icd10,
+            code: normalizeCode(code),
+            display: getCode(code)?.description,
+          })),
+          text: consultation.diagnosis,
+        },
+      })
+    );
+  }
+
+  (consultation.differential_diagnosis || []).filter(Boolean).forEach((diagnosis, index) => {
+    conditions.push(
+      finalize({
+        ...base,
+        id: `${resourceId(consultation)}-ddx-${index + 1}`,
+        verificationStatus: { coding: [{ system: SYSTEMS.conditionVerification, code: 'differential' }] },
+        code: { text: diagnosis },
+      })
+    );
+  });
+
+  return conditions;
+}
+
+/**
+ * Prescription → FHIR MedicationRequests (one per medicine, current version)
+ */
+function toMedicationRequests(prescription) {
+  return (prescription.medications || []).map((medication, index) =>
+    finalize({
+      resourceType: 'MedicationRequest',
+      id: `${resourceId(prescription)}-${index + 1}`,
+      meta: { versionId: String(prescription.version || 1), lastUpdated: prescription.updatedAt },
+      identifier: [{ system: SYSTEMS.prescriptionNumber, value: `${prescription.prescription_number}/${index + 1}` }],
+      status: 'active',
+      intent: 'order',
+      medicationCodeableConcept: {
+        text: [medication.drug_name, medication.strength].filter(Boolean).join(' '),
+      },
+      subject: reference('Patient', prescription.patient_id),
+      encounter: reference('Encounter', prescription.consultation_id),
+      authoredOn: prescription.signature?.signed_at || prescription.createdAt,
+      requester: reference('Practitioner', prescription.doctor_id, prescription.signature?.doctor_name
+        ? `Dr. ${prescription.signature.doctor_name}`
+        : undefined),
+      reasonCode: prescription.diagnosis ? [{ text: prescription.diagnosis }] : undefined,
+      groupIdentifier: { system: SYSTEMS.prescriptionNumber, value: prescription.prescription_number },
+      dosageInstruction: [
+        {
+          sequence: index + 1,
+          text: `${medication.dose} ${medication.frequency} for ${medication.duration}`,
+          patientInstruction: medication.instructions,
+          route: medication.route ? { text: medication.route } : undefined,
+        },
+      ],
+    })
+  );
+}
+
+// ==================== BUNDLES ====================
+
+/**
+ * Wrap resources in a searchset Bundle
+ * @param {Array} resources
+ * @param {string} selfUrl - Request URL (Bundle.link self)
+ */
+function toSearchBundle(resources, selfUrl) {
+  return finalize({
+    resourceType: 'Bundle',
+    type: 'searchset',
+    timestamp: new Date(),
+    total: resources.length,
+    link: selfUrl ? [{ relation: 'self', url: selfUrl }] : undefined,
+    entry: resources.map((resource) => ({
+      fullUrl: `${SYSTEM_BASE}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' },
+    })),
+  });
+}
+
+// ==================== QUERIES ====================
+
+async function loadPatient(patientId) {
+  assertObjectId(patientId, 'Patient');
+
+  const patient = await Patient.findById(patientId).lean();
+  if (!patient) {
+    throw httpError(`Patient/${patientId} not found`, 404);
+  }
+
+  return patient;
+}
+
+async function loadConsultations(patientId, { encounterId = null } = {}) {
+  const query = { patient_id: patientId };
+  if (encounterId) {
+    assertObjectId(encounterId, 'Encounter');
+    query._id = encounterId;
+  }
+
+  return Consultation.find(query).select(CONSULTATION_FIELDS).sort({ started_at: 1 }).lean();
+}
+
+async function loadPrescriptions(patientId, { encounterId = null } = {}) {
+  const query = { patient_id: patientId };
+  if (encounterId) {
+    assertObjectId(encounterId, 'Encounter');
+    query.consultation_id = encounterId;
+  }
+
+  return Prescription.find(query).select('-revisions').sort({ createdAt: 1 }).lean();
+}
+
+/**
+ * FHIR Patient by id
+ */
+async function getPatient(patientId) {
+  return toPatient(await loadPatient(patientId));
+}
+
+/**
+ * FHIR Encounter by id (consultation id)
+ * @returns {Promise<Object>} - Encounter (patient_id is on subject.reference)
+ */
+async function getEncounter(encounterId) {
+  assertObjectId(encounterId, 'Encounter');
+
+  const consultation = await Consultation.findById(encounterId).select(CONSULTATION_FIELDS).lean();
+  if (!consultation || !consultation.patient_id) {
+    throw httpError(`Encounter/${encounterId} not found`, 404);
+  }
+
+  return toEncounter(consultation);
+}
+
+/**
+ * Search one resource type for a patient
+ * @param {string} resourceType - Encounter | Observation | Condition | MedicationRequest
+ * @param {Object} params - { patient, encounter }
+ * @param {string} selfUrl
+ */
+async function searchResources(resourceType, { patient: patientId, encounter: encounterId = null }, selfUrl) {
+  if (!SEARCHABLE_TYPES.includes(resourceType)) {
+    throw httpError(`Resource type ${resourceType} is not supported`, 404);
+  }
+
+  if (!patientId) {
+    throw httpError('The patient search parameter is required', 400);
+  }
+
+  await loadPatient(patientId);
+
+  let resources;
+  if (resourceType === 'MedicationRequest') {
+    const prescriptions = await loadPrescriptions(patientId, { encounterId });
+    resources = prescriptions.flatMap(toMedicationRequests);
+  } else {
+    const consultations = await loadConsultations(patientId, { encounterId });
+    const mapper = { Encounter: (c) => [toEncounter(c)], Observation: toObservations, Condition: toConditions }[resourceType];
+    resources = consultations.flatMap(mapper);
+  }
+
+  return toSearchBundle(resources, selfUrl);
+}
+
+/**
+ * Patient $everything - the patient and every resource MediFlow holds about them
+ * @param {string} patientId
+ * @param {string} selfUrl
+ */
+async function getPatientEverything(patientId, selfUrl) {
+  const patient = await loadPatient(patientId);
+
+  const [consultations, prescriptions] = await Promise.all([
+    loadConsultations(patientId),
+    loadPrescriptions(patientId),
+  ]);
+
+  const doctorIds = [
+    ...new Set(
+      [...consultations, ...prescriptions]
+        .map((record) => record.doctor_id)
+        .filter(Boolean)
+        .map(String)
+    ),
+  ];
+  const doctors = doctorIds.length > 0 ? await Doctor.find({ _id: { $in: doctorIds } }).lean() : [];
+
+  const resources = [
+    toPatient(patient),
+    ...doctors.map(toPractitioner),
+    ...consultations.map(toEncounter),
+    ...consultations.flatMap(toObservations),
+    ...consultations.flatMap(toConditions),
+    ...prescriptions.flatMap(toMedicationRequests),
+  ];
+
+  return toSearchBundle(resources, selfUrl);
+}
+
+/**
+ * FHIR OperationOutcome for an error response
+ * @param {string} message
+ * @param {string} code - FHIR issue type (not-found, invalid, forbidden, exception ...)
+ */
+function toOperationOutcome(message, code = 'exception') {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics: message }],
+  };
+}
+
+export default {
+  SEARCHABLE_TYPES,
+  toPatient,
+  toPractitioner,
+  toEncounter,
+  toObservations,
+  toConditions,
+  toMedicationRequests,
+  getPatient,
+  getEncounter,
+  searchResources,
+  getPatientEverything,
+  toOperationOutcome,
+};
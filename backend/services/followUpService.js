@@ -0,0 +1,775 @@
+/**
+ * Follow-up Service for MediFlow
+ * Books the follow-up visit recommended when an appointment is completed
+ *
+ * Flow:
+ * 1. completeAppointment calls scheduleFromAppointment → follow-up required
+ *    (doctor's flag, or calculateFollowUpSchedule from the patient's risk and
+ *    diagnosis) → the same doctor's follow_up slot closest to the recommended
+ *    date is held for FOLLOW_UP_CONFIRM_HOURS and the patient gets an SMS/email
+ *    link to confirm it or choose another time
+ * 2. Confirm / another time → the hold is confirmed into an appointment
+ *    (bookingService.confirmHold) and linked as the visit's follow_up_appointment_id
+ * 3. No answer (processPending cron) → one reminder after FOLLOW_UP_REMINDER_HOURS,
+ *    then the hold is released and the doctor / clinic admin are emailed to
+ *    book it by phone (needs_scheduling). No open slot or an unreachable
+ *    patient escalates straight away
+ * 4. Completing the follow-up appointment completes the follow-up
+ *
+ * getOverdueReport lists high-risk patients whose follow-up date has passed
+ * without a visit booked (or whose follow-up visit was cancelled / missed).
+ * Scheduling never throws into the completeAppointment path that triggered it.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import FollowUp, { UNBOOKED_STATUSES } from '../models/FollowUp.js';
+import availabilityService from './availabilityService.js';
+import bookingService from './bookingService.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import riskCalculator from '../utils/riskCalculator.js';
+import { formatDateTime } from '../utils/timeSlotGenerator.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * How long the patient has to confirm the reserved slot (hours)
+ */
+const CONFIRM_HOURS = parseInt(process.env.FOLLOW_UP_CONFIRM_HOURS, 10) || 48;
+
+/**
+ * Unanswered proposals get one reminder after this many hours
+ */
+const REMINDER_HOURS = parseInt(process.env.FOLLOW_UP_REMINDER_HOURS, 10) || 24;
+
+/**
+ * Days either side of the recommended date a slot may be proposed from
+ */
+const SEARCH_DAYS = parseInt(process.env.FOLLOW_UP_SEARCH_DAYS, 10) || 3;
+
+/**
+ * Minimum notice before a proposed slot starts, and how long before the slot
+ * the hold lapses when the visit is sooner than the confirm window (hours)
+ */
+const MIN_NOTICE_HOURS = 6;
+const CONFIRM_CUTOFF_HOURS = 2;
+
+/**
+ * Used when follow-up is flagged but no date was given or calculated
+ */
+const DEFAULT_FOLLOW_UP_DAYS = 10;
+
+/**
+ * Other times offered on the "choose another time" page
+ */
+const ALTERNATIVE_SLOT_COUNT = 6;
+
+/**
+ * Slots tried before giving up on a proposal (taken since availability was read)
+ */
+const MAX_HOLD_ATTEMPTS = 5;
+
+/**
+ * Risk levels on the overdue report by default
+ */
+const HIGH_RISK = ['Emergency', 'Medium'];
+
+/**
+ * Follow-up appointment statuses that leave the follow-up outstanding
+ */
+const MISSED_APPOINTMENT_STATUSES = ['cancelled', 'no_show', 'expired'];
+
+/**
+ * Open follow_up slots of a doctor around a date, closest to it first
+ * @param {Object} doctor - Doctor document
+ * @param {Date} target - Recommended date and time of day
+ * @returns {Promise<Array>} - [{ start_time, end_time }]
+ */
+async function findSlotsNear(doctor, target) {
+  const earliest = new Date(Date.now() + MIN_NOTICE_HOURS * 3600000);
+  const from = moment.max(moment(target).subtract(SEARCH_DAYS, 'days'), moment(earliest));
+  const to = moment.max(moment(target).add(SEARCH_DAYS, 'days'), from.clone().add(SEARCH_DAYS, 'days'));
+
+  const availability = await availabilityService.getDoctorAvailability(doctor, from.toDate(), to.toDate(), 'follow_up');
+
+  return (availability?.days || [])
+    .flatMap((day) => day.slots)
+    .filter((slot) => slot.start_time >= earliest)
+    .map((slot) => ({ start_time: slot.start_time, end_time: slot.end_time }))
+    .sort((a, b) => Math.abs(a.start_time - target) - Math.abs(b.start_time - target));
+}
+
+/**
+ * Send the confirm / choose-another-time link by SMS and email
+ * @returns {Promise<Array>} - Channels the message reached
+ */
+async function notifyPatient(followUp, patient, doctor, token, { reminder = false } = {}) {
+  const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+  const link = `${process.env.CLIENT_ORIGIN || 'http://localhost:5173'}/follow-ups/${followUp._id}?token=${token}`;
+  const slotTime = formatDateTime(followUp.proposal.start_time);
+  const confirmBy = formatDateTime(followUp.proposal.expires_at);
+  const messageType = reminder ? 'follow_up_reminder' : 'follow_up_proposal';
+  const channels = [];
+
+  if (patient.phone) {
+    try {
+      const message = `${clinicName}: ${reminder ? 'Reminder - ' : ''}Dr. ${doctor.name} would like to see you for a follow-up. We've reserved ${slotTime} for you - confirm or choose another time by ${confirmBy}: ${link}`;
+      await smsService.sendSMS(patient.phone, message, { patient, messageType });
+      channels.push('sms');
+    } catch (error) {
+      logger.warn(`⚠️ Follow-up SMS not sent to ${patient.name}: ${error.message}`);
+    }
+  }
+
+  if (patient.email) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0066CC;">${reminder ? 'Reminder: ' : ''}Your Follow-up Appointment</h2>
+        <p>Hi ${patient.name},</p>
+        <p>Dr. ${doctor.name} (${followUp.department}) would like to see you again for a follow-up visit.</p>
+        <p>We've reserved <strong>${slotTime}</strong> for you. Please confirm it or choose another time by <strong>${confirmBy}</strong> - after that the slot will be released and the clinic will call you.</p>
+        <p><a href="${link}" style="color: #0066CC; font-weight: bold;">Confirm or choose another time</a></p>
+        <br>
+        <p>Best regards,<br>${clinicName}</p>
+      </div>
+    `;
+    const result = await emailService.sendEmail(
+      patient.email,
+      reminder ? 'Reminder: please confirm your follow-up appointment' : 'Please confirm your follow-up appointment',
+      html,
+      '',
+      3,
+      { patient, messageType }
+    );
+    if (result.success) {
+      channels.push('email');
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Email the doctor and clinic admin that a follow-up needs booking by phone
+ */
+async function notifyStaff(followUp) {
+  const [patient, doctor] = await Promise.all([
+    Patient.findById(followUp.patient_id),
+    Doctor.findById(followUp.doctor_id),
+  ]);
+
+  if (!patient || !doctor) {
+    return { success: false, error: 'Patient or doctor not found' };
+  }
+
+  return emailService.sendFollowUpEscalation(followUp, patient, doctor, [
+    doctor.email,
+    process.env.CLINIC_ADMIN_EMAIL || process.env.SMTP_FROM_EMAIL,
+  ]);
+}
+
+/**
+ * End an open proposal: release the held slot and move the follow-up on
+ * @param {Object} followUp - FollowUp in proposed status
+ * @param {string} status - needs_scheduling | declined | cancelled
+ * @param {Object} extra - Other fields to set
+ * @returns {Promise<Object|null>} - Updated follow-up, or null if it was already answered
+ */
+async function closeProposal(followUp, status, extra = {}) {
+  const holdId = followUp.proposal?.hold_id || null;
+
+  // Claim the proposal - a confirm racing the expiry job only closes it once
+  const closed = await FollowUp.findOneAndUpdate(
+    { _id: followUp._id, status: 'proposed', 'proposal.hold_id': holdId },
+    { $set: { status, 'proposal.hold_id': null, 'proposal.token': null, ...extra } },
+    { new: true }
+  );
+
+  if (closed && holdId) {
+    await bookingService.releaseHold(holdId);
+  }
+
+  return closed;
+}
+
+/**
+ * Hand an unbooked follow-up to the front desk / doctor
+ * @param {string} reason - no_slot | unreachable | unconfirmed
+ */
+async function escalate(followUp, reason) {
+  const escalated = await closeProposal(followUp, 'needs_scheduling', {
+    escalated_at: new Date(),
+    escalation_reason: reason,
+  });
+
+  if (escalated) {
+    logger.warn(`📞 Follow-up ${followUp._id} needs booking by phone (${reason})`);
+    await notifyStaff(escalated);
+  }
+
+  return escalated;
+}
+
+/**
+ * Hold the slot closest to the recommended date and ask the patient to confirm it
+ * @returns {Promise<Object>} - Follow-up (proposed, or needs_scheduling when it could not be offered)
+ */
+async function proposeSlot(followUp, doctor, patient) {
+  const slots = await findSlotsNear(doctor, followUp.recommended_date);
+
+  let hold = null;
+  for (const slot of slots.slice(0, MAX_HOLD_ATTEMPTS)) {
+    // Visits sooner than the confirm window lapse a little before the slot
+    const expiresAt = new Date(Math.min(
+      Date.now() + CONFIRM_HOURS * 3600000,
+      slot.start_time.getTime() - CONFIRM_CUTOFF_HOURS * 3600000
+    ));
+
+    try {
+      hold = await bookingService.placeHold({
+        doctorId: doctor._id,
+        startTime: slot.start_time,
+        endTime: slot.end_time,
+        appointmentType: 'follow_up',
+        patientId: followUp.patient_id,
+        purpose: 'follow_up',
+        holdMinutes: Math.floor((expiresAt - Date.now()) / 60000),
+      });
+      break;
+    } catch (error) {
+      // Taken since availability was read - try the next closest
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+  }
+
+  if (!hold) {
+    return (await escalate(followUp, 'no_slot')) || followUp;
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const proposed = await FollowUp.findOneAndUpdate(
+    { _id: followUp._id, status: 'proposed' },
+    {
+      $set: {
+        proposal: {
+          start_time: hold.start_time,
+          end_time: hold.end_time,
+          hold_id: hold._id,
+          token,
+          proposed_at: new Date(),
+          expires_at: hold.expires_at,
+          notified_via: [],
+          reminder_sent_at: null,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!proposed) {
+    await bookingService.releaseHold(hold._id);
+    return followUp;
+  }
+
+  const channels = await notifyPatient(proposed, patient, doctor, token);
+  if (channels.length === 0) {
+    return (await escalate(proposed, 'unreachable')) || proposed;
+  }
+
+  await FollowUp.updateOne({ _id: proposed._id }, { $set: { 'proposal.notified_via': channels } });
+  proposed.proposal.notified_via = channels;
+  logger.success(`📨 Follow-up slot proposed to ${patient.name}: Dr. ${doctor.name} at ${hold.start_time.toISOString()} (${channels.join(', ')})`);
+
+  return proposed;
+}
+
+/**
+ * Create the follow-up for a completed appointment and propose a slot (never throws)
+ * @param {Object} appointment - Completed appointment (patient_id / doctor_id may be populated)
+ * @param {Object} options
+ * @param {boolean} options.required - Doctor's call at completion (default: the
+ *   appointment / consultation flag, then calculateFollowUpSchedule)
+ * @param {Date|string} options.date - Recommended date (default: the flagged date, then the calculated one)
+ * @returns {Promise<Object|null>} - FollowUp, or null when none is needed
+ */
+async function scheduleFromAppointment(appointment, { required = null, date = null } = {}) {
+  try {
+    if (!appointment?.doctor_id || await FollowUp.exists({ source_appointment_id: appointment._id })) {
+      return null;
+    }
+
+    const [patient, consultation, doctor] = await Promise.all([
+      Patient.findById(idOf(appointment.patient_id)),
+      Consultation.findOne({ appointment_id: appointment._id }).sort({ createdAt: -1 }),
+      availabilityService.loadDoctor(idOf(appointment.doctor_id)),
+    ]);
+
+    if (!patient || !doctor) {
+      return null;
+    }
+
+    const schedule = riskCalculator.calculateFollowUpSchedule(patient.risk_classification, consultation?.diagnosis || null);
+    const flagged = typeof required === 'boolean'
+      ? required
+      : Boolean(appointment.follow_up_required || consultation?.follow_up_required || schedule.followUpRequired);
+
+    if (!flagged) {
+      return null;
+    }
+
+    // Same time of day as this visit, so the patient's routine still fits
+    const visitTime = moment(appointment.scheduled_start_time || new Date()).tz(TIMEZONE);
+    const explicitDate = date || appointment.follow_up_date || consultation?.follow_up_date || null;
+    const recommended = (explicitDate
+      ? moment(new Date(explicitDate)).tz(TIMEZONE)
+      : moment().tz(TIMEZONE).add(schedule.followUpDays || DEFAULT_FOLLOW_UP_DAYS, 'days')
+    ).set({ hour: visitTime.hour(), minute: visitTime.minute(), second: 0, millisecond: 0 });
+
+    if (!recommended.isValid()) {
+      logger.warn(`⚠️ Invalid follow-up date for appointment ${appointment._id} - not scheduling`);
+      return null;
+    }
+
+    const followUp = await FollowUp.create({
+      patient_id: patient._id,
+      doctor_id: doctor._id,
+      department: appointment.department || doctor.department,
+      source_appointment_id: appointment._id,
+      consultation_id: consultation?._id || null,
+      recommended_date: recommended.toDate(),
+      timing: explicitDate ? null : schedule.followUpTiming,
+      reason: consultation?.follow_up_reason || schedule.followUpReason,
+      risk_classification: patient.risk_classification || 'Unclassified',
+    });
+
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { follow_up_required: true, follow_up_date: followUp.recommended_date } }
+    );
+    if (consultation) {
+      await Consultation.updateOne(
+        { _id: consultation._id },
+        { $set: { follow_up_required: true, follow_up_date: followUp.recommended_date } }
+      );
+    }
+
+    logger.info(`📅 Follow-up for ${patient.name} recommended around ${followUp.recommended_date.toISOString()}`);
+
+    return await proposeSlot(followUp, doctor, patient);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    logger.error(`❌ Follow-up scheduling failed for appointment ${appointment?._id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Book a hold for a follow-up and link the appointment to the visit it follows
+ * @returns {Promise<Object>} - { followUp, appointment, doctor }
+ */
+async function bookHold(followUp, holdId, { source = 'online', createdBy = 'patient', bookedBy = 'patient' } = {}) {
+  const { appointment, doctor } = await bookingService.confirmHold(holdId, {
+    patientId: followUp.patient_id,
+    chiefComplaint: `Follow-up: ${followUp.reason || `visit of ${formatDateTime(followUp.createdAt)}`}`,
+    source,
+    createdBy,
+  });
+
+  const now = new Date();
+  const booked = await FollowUp.findByIdAndUpdate(
+    followUp._id,
+    {
+      $set: {
+        status: 'booked',
+        booked_appointment_id: appointment._id,
+        booked_at: now,
+        booked_by: bookedBy,
+        'proposal.hold_id': null,
+        'proposal.token': null,
+      },
+    },
+    { new: true }
+  );
+
+  await Appointment.updateOne(
+    { _id: followUp.source_appointment_id },
+    { $set: { follow_up_appointment_id: appointment._id } }
+  );
+  if (followUp.consultation_id) {
+    await Consultation.updateOne(
+      { _id: followUp.consultation_id },
+      { $set: { follow_up_appointment_id: appointment._id } }
+    );
+  }
+
+  logger.success(`✅ Follow-up ${followUp._id} booked - appointment ${appointment._id}`);
+
+  return { followUp: booked, appointment, doctor };
+}
+
+/**
+ * Load a follow-up by ID and link token (public confirm page)
+ */
+async function findProposal(followUpId, token) {
+  const followUp = mongoose.isValidObjectId(followUpId)
+    ? await FollowUp.findById(followUpId).select('+proposal.token')
+    : null;
+
+  const expected = followUp?.proposal?.token;
+  const matches = expected && token &&
+    expected.length === String(token).length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(token)));
+
+  if (!matches) {
+    throw httpError('Follow-up not found', 404);
+  }
+
+  if (!followUp.hasOpenProposal()) {
+    throw httpError('This reserved slot has lapsed - the clinic will call you to book your follow-up', 410);
+  }
+
+  return followUp;
+}
+
+/**
+ * Proposal details and other open times for the public confirm page
+ */
+async function getProposal(followUpId, token) {
+  const followUp = await findProposal(followUpId, token);
+  const [doctor, patient] = await Promise.all([
+    Doctor.findById(followUp.doctor_id),
+    Patient.findById(followUp.patient_id).select('name'),
+  ]);
+
+  const alternatives = doctor
+    ? (await findSlotsNear(doctor, followUp.recommended_date))
+        .slice(0, ALTERNATIVE_SLOT_COUNT)
+        .sort((a, b) => a.start_time - b.start_time)
+    : [];
+
+  return {
+    follow_up_id: followUp._id,
+    patient_id: followUp.patient_id,
+    patient_name: patient?.name || null,
+    department: followUp.department,
+    doctor_name: doctor?.name || null,
+    specialization: doctor?.specialization || null,
+    recommended_date: followUp.recommended_date,
+    start_time: followUp.proposal.start_time,
+    end_time: followUp.proposal.end_time,
+    expires_at: followUp.proposal.expires_at,
+    alternatives,
+  };
+}
+
+/**
+ * Patient's answer to a proposal
+ * @param {Object} response - { action: confirm | reschedule | decline, startTime (reschedule) }
+ * @returns {Promise<Object>} - { followUp, appointment, doctor } (appointment null on decline)
+ */
+async function respondToProposal(followUpId, token, { action, startTime = null }) {
+  if (!['confirm', 'reschedule', 'decline'].includes(action)) {
+    throw httpError('action must be confirm, reschedule or decline', 400);
+  }
+
+  const followUp = await findProposal(followUpId, token);
+
+  if (action === 'confirm') {
+    return bookHold(followUp, followUp.proposal.hold_id);
+  }
+
+  if (action === 'decline') {
+    const declined = await closeProposal(followUp, 'declined');
+    if (!declined) {
+      throw httpError('This follow-up has already been answered', 409);
+    }
+
+    logger.info(`↪️ Follow-up ${followUp._id} declined by the patient`);
+    return { followUp: declined, appointment: null, doctor: null };
+  }
+
+  if (!startTime || isNaN(new Date(startTime).getTime())) {
+    throw httpError('start_time is required to choose another time', 400);
+  }
+
+  const hold = await bookingService.placeHold({
+    doctorId: followUp.doctor_id,
+    startTime,
+    appointmentType: 'follow_up',
+    patientId: followUp.patient_id,
+    purpose: 'follow_up',
+  });
+
+  const moved = await FollowUp.findOneAndUpdate(
+    { _id: followUp._id, status: 'proposed', 'proposal.hold_id': followUp.proposal.hold_id },
+    {
+      $set: {
+        'proposal.hold_id': hold._id,
+        'proposal.start_time': hold.start_time,
+        'proposal.end_time': hold.end_time,
+      },
+    },
+    { new: true }
+  );
+
+  if (!moved) {
+    await bookingService.releaseHold(hold._id);
+    throw httpError('This follow-up has already been answered', 409);
+  }
+
+  // The new time replaces the originally reserved slot
+  await bookingService.releaseHold(followUp.proposal.hold_id);
+
+  return bookHold(moved, hold._id);
+}
+
+/**
+ * Book a follow-up for the patient (staff, usually after phoning them)
+ * Without a start_time the currently reserved slot is booked.
+ * @returns {Promise<Object>} - { followUp, appointment, doctor }
+ */
+async function staffBook(followUpId, { startTime = null } = {}, user) {
+  const followUp = mongoose.isValidObjectId(followUpId) ? await FollowUp.findById(followUpId) : null;
+  if (!followUp) {
+    throw httpError('Follow-up not found', 404);
+  }
+  if (!UNBOOKED_STATUSES.includes(followUp.status)) {
+    throw httpError(`Follow-up is already ${followUp.status}`, 409);
+  }
+
+  const options = {
+    source: 'phone',
+    createdBy: user?.role === 'doctor' ? 'doctor' : 'receptionist',
+    bookedBy: 'staff',
+  };
+
+  if (!startTime) {
+    if (!followUp.hasOpenProposal()) {
+      throw httpError('start_time is required - no slot is reserved for this follow-up', 400);
+    }
+    return bookHold(followUp, followUp.proposal.hold_id, options);
+  }
+
+  const hold = await bookingService.placeHold({
+    doctorId: followUp.doctor_id,
+    startTime,
+    appointmentType: 'follow_up',
+    patientId: followUp.patient_id,
+    purpose: 'follow_up',
+  });
+
+  const result = await bookHold(followUp, hold._id, options);
+
+  // The new time replaces any slot still reserved for the follow-up
+  if (followUp.proposal?.hold_id) {
+    await bookingService.releaseHold(followUp.proposal.hold_id);
+  }
+
+  return result;
+}
+
+/**
+ * Cancel a follow-up that is no longer needed (releases any reserved slot)
+ * @returns {Promise<Object>} - Updated follow-up
+ */
+async function cancelFollowUp(followUpId, reason = null) {
+  const followUp = mongoose.isValidObjectId(followUpId) ? await FollowUp.findById(followUpId) : null;
+  if (!followUp) {
+    throw httpError('Follow-up not found', 404);
+  }
+  if (!UNBOOKED_STATUSES.includes(followUp.status)) {
+    throw httpError(`Follow-up is already ${followUp.status}`, 409);
+  }
+
+  const closeFields = { closed_at: new Date(), close_reason: reason || 'cancelled_by_staff' };
+  const cancelled = followUp.status === 'proposed'
+    ? await closeProposal(followUp, 'cancelled', closeFields)
+    : await FollowUp.findOneAndUpdate(
+        { _id: followUp._id, status: followUp.status },
+        { $set: { status: 'cancelled', ...closeFields } },
+        { new: true }
+      );
+
+  if (!cancelled) {
+    throw httpError('Follow-up changed while cancelling - please retry', 409);
+  }
+
+  logger.info(`🗑️ Follow-up ${followUp._id} cancelled (${closeFields.close_reason})`);
+  return cancelled;
+}
+
+/**
+ * Complete the follow-up a finished appointment was booked for (never throws)
+ */
+async function completeForAppointment(appointmentId) {
+  try {
+    await FollowUp.updateOne(
+      { booked_appointment_id: appointmentId, status: 'booked' },
+      { $set: { status: 'completed', closed_at: new Date(), close_reason: 'visit_completed' } }
+    );
+  } catch (error) {
+    logger.error(`❌ Failed to complete follow-up for appointment ${appointmentId}:`, error.message);
+  }
+}
+
+/**
+ * Remind patients who have not answered and escalate lapsed proposals
+ * Runs every 15 minutes (appointmentScheduler)
+ * @returns {Promise<Object>} - { reminded, escalated }
+ */
+async function processPending() {
+  const now = new Date();
+  let reminded = 0;
+  let escalated = 0;
+
+  const unanswered = await FollowUp.find({
+    status: 'proposed',
+    'proposal.reminder_sent_at': null,
+    'proposal.proposed_at': { $lte: new Date(now.getTime() - REMINDER_HOURS * 3600000) },
+    'proposal.expires_at': { $gt: now },
+  }).select('+proposal.token');
+
+  for (const followUp of unanswered) {
+    const [patient, doctor] = await Promise.all([
+      Patient.findById(followUp.patient_id),
+      Doctor.findById(followUp.doctor_id),
+    ]);
+    if (!patient || !doctor) {
+      continue;
+    }
+
+    await FollowUp.updateOne({ _id: followUp._id }, { $set: { 'proposal.reminder_sent_at': now } });
+    const channels = await notifyPatient(followUp, patient, doctor, followUp.proposal.token, { reminder: true });
+    if (channels.length > 0) {
+      reminded++;
+    }
+  }
+
+  const lapsed = await FollowUp.find({ status: 'proposed', 'proposal.expires_at': { $lte: now } });
+  for (const followUp of lapsed) {
+    if (await escalate(followUp, 'unconfirmed')) {
+      escalated++;
+    }
+  }
+
+  return { reminded, escalated };
+}
+
+/**
+ * List follow-ups (staff view), soonest recommended date first
+ * @param {Object} filters - { status, doctorId, patientId, risk }
+ * @param {Object} pagination - { page, limit }
+ */
+async function listFollowUps({ status = null, doctorId = null, patientId = null, risk = null } = {}, { page = 1, limit = 50 } = {}) {
+  const query = { status: status || { $in: UNBOOKED_STATUSES } };
+  if (doctorId) query.doctor_id = doctorId;
+  if (patientId) query.patient_id = patientId;
+  if (risk) query.risk_classification = risk;
+
+  const [followUps, total] = await Promise.all([
+    FollowUp.find(query)
+      .sort({ recommended_date: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('patient_id', 'name phone risk_classification')
+      .populate('doctor_id', 'name department')
+      .populate('booked_appointment_id', 'status scheduled_start_time token_number'),
+    FollowUp.countDocuments(query),
+  ]);
+
+  return { followUps, total, page, limit };
+}
+
+/**
+ * High-risk patients whose follow-up date has passed without a visit
+ * Unbooked follow-ups, plus booked ones whose appointment was cancelled or missed.
+ * @param {Object} filters - { risk (default Emergency + Medium), doctorId, department }
+ * @returns {Promise<Object>} - { generated_at, summary: { total, by_risk }, rows }
+ */
+async function getOverdueReport({ risk = null, doctorId = null, department = null } = {}) {
+  const now = new Date();
+  const query = {
+    risk_classification: { $in: risk ? [risk] : HIGH_RISK },
+    recommended_date: { $lt: now },
+    status: { $in: [...UNBOOKED_STATUSES, 'booked'] },
+  };
+  if (doctorId) query.doctor_id = doctorId;
+  if (department) query.department = department;
+
+  const followUps = await FollowUp.find(query)
+    .sort({ recommended_date: 1 })
+    .populate('patient_id', 'name phone risk_classification')
+    .populate('doctor_id', 'name department')
+    .populate('booked_appointment_id', 'status scheduled_start_time');
+
+  const rows = followUps
+    .filter((followUp) => followUp.status !== 'booked'
+      || MISSED_APPOINTMENT_STATUSES.includes(followUp.booked_appointment_id?.status))
+    .map((followUp) => ({
+      follow_up_id: followUp._id,
+      patient_id: idOf(followUp.patient_id),
+      patient_name: followUp.patient_id?.name || null,
+      patient_phone: followUp.patient_id?.phone || null,
+      risk_classification: followUp.risk_classification,
+      doctor_name: followUp.doctor_id?.name || null,
+      department: followUp.department,
+      recommended_date: followUp.recommended_date,
+      days_overdue: Math.floor((now - followUp.recommended_date) / 86400000),
+      status: followUp.status,
+      escalated_at: followUp.escalated_at,
+      escalation_reason: followUp.escalation_reason,
+      appointment_status: followUp.booked_appointment_id?.status || null,
+    }))
+    .sort((a, b) => HIGH_RISK.indexOf(a.risk_classification) - HIGH_RISK.indexOf(b.risk_classification)
+      || b.days_overdue - a.days_overdue);
+
+  const byRisk = {};
+  for (const row of rows) {
+    byRisk[row.risk_classification] = (byRisk[row.risk_classification] || 0) + 1;
+  }
+
+  return { generated_at: now, summary: { total: rows.length, by_risk: byRisk }, rows };
+}
+
+/**
+ * Load a follow-up (staff view)
+ */
+async function getFollowUp(followUpId) {
+  const followUp = mongoose.isValidObjectId(followUpId)
+    ? await FollowUp.findById(followUpId)
+        .populate('doctor_id', 'name department')
+        .populate('booked_appointment_id', 'status scheduled_start_time token_number')
+    : null;
+
+  if (!followUp) {
+    throw httpError('Follow-up not found', 404);
+  }
+
+  return followUp;
+}
+
+export default {
+  CONFIRM_HOURS,
+  scheduleFromAppointment,
+  getProposal,
+  respondToProposal,
+  staffBook,
+  cancelFollowUp,
+  completeForAppointment,
+  processPending,
+  listFollowUps,
+  getOverdueReport,
+  getFollowUp,
+};
@@ -0,0 +1,365 @@
+/**
+ * Handoff Service for MediFlow
+ * Live handoff of a MediBot consultation to clinic staff (receptionists/nurses)
+ *
+ * Flow:
+ * 1. The chatbot detects red flags, or the patient asks for a person
+ *    → handoff is requested and the consultation joins the staff queue
+ *    (MediBot keeps answering until someone picks it up)
+ * 2. A staff member joins → MediBot is paused and the patient is told who
+ *    they are talking to; messages are stored with the `staff` role
+ * 3. The staff member hands back → MediBot answers again
+ *
+ * Socket.io rooms:
+ * - `consultation:<session_id>` (default namespace) - the patient's chat
+ * - `handoff:<session_id>` (/staff namespace) - staff following that chat
+ * - `handoff:queue` (/staff namespace) - every connected staff member (queue updates)
+ *
+ * Broadcasts never throw into the chat turn that triggered them.
+ */
+
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/serviceHelpers.js';
+import Consultation from '../models/Consultation.js';
+import auditService from './auditService.js';
+
+const STAFF_NAMESPACE = '/staff';
+const STAFF_QUEUE_ROOM = 'handoff:queue';
+
+/**
+ * Chats that sit in the staff queue
+ */
+const OPEN_STATUSES = ['requested', 'active'];
+
+/**
+ * Patient phrases asking for a person instead of the bot
+ */
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|some)?\s*(real\s+|actual\s+|live\s+)?(human|person|someone|somebody|agent|staff|nurse|receptionist|representative)\b/i,
+  /\b(real|actual|live)\s+(human|person|agent)\b/i,
+  /\b(human|person)\s+(please|pls)\b/i,
+  /\b(want|need)\s+(a\s+)?(human|real\s+person)\b/i,
+  /\bnot\s+(a\s+)?(bot|robot|machine)\b/i,
+];
+
+let io = null;
+
+/**
+ * Register the socket.io server used for handoff broadcasts
+ */
+function setSocketServer(server) {
+  io = server;
+}
+
+/**
+ * Patient's chat room (default namespace)
+ */
+const patientRoom = (sessionId) => `consultation:${sessionId}`;
+
+/**
+ * Staff room for one chat (/staff namespace)
+ */
+const staffRoom = (sessionId) => `handoff:${sessionId}`;
+
+const staffNamespace = () => (io ? io.of(STAFF_NAMESPACE) : null);
+
+/**
+ * Does the patient's message ask for a person?
+ */
+function wantsHuman(message) {
+  return HUMAN_REQUEST_PATTERNS.some((pattern) => pattern.test(String(message || '')));
+}
+
+/**
+ * Who the patient is talking to
+ * @returns {Object} - { status: 'bot' | 'requested' | 'active', agent }
+ */
+function toPatientView(consultation) {
+  const handoff = consultation.handoff || {};
+
+  if (handoff.status === 'active') {
+    return { status: 'active', agent: { name: handoff.staff_name, role: handoff.staff_role } };
+  }
+
+  return { status: handoff.status === 'requested' ? 'requested' : 'bot', agent: null };
+}
+
+/**
+ * Staff queue entry - enough to triage the queue, not the whole transcript
+ */
+function toQueueEntry(consultation) {
+  const handoff = consultation.handoff;
+
+  return {
+    session_id: consultation.session_id,
+    consultation_id: consultation._id,
+    status: handoff.status,
+    reason: handoff.reason,
+    requested_at: handoff.requested_at,
+    waiting_minutes: Math.max(Math.floor((Date.now() - new Date(handoff.requested_at).getTime()) / 60000), 0),
+    staff_user_id: handoff.staff_user_id,
+    staff_name: handoff.staff_name,
+    emergency: handoff.reason === 'red_flags',
+    message_count: consultation.metadata?.total_messages || 0,
+    last_patient_message: consultation.last_patient_message || null,
+  };
+}
+
+/**
+ * Staff queue - red-flag chats first, then oldest request first
+ * Runs on every chat message, so transcripts stay unloaded until an agent opens the session
+ */
+async function getQueue() {
+  const consultations = await Consultation.find({ 'handoff.status': { $in: OPEN_STATUSES } })
+    .select('session_id handoff metadata.total_messages last_patient_message')
+    .sort({ 'handoff.requested_at': 1 })
+    .lean();
+
+  return consultations
+    .map(toQueueEntry)
+    .sort((a, b) => Number(b.emergency) - Number(a.emergency));
+}
+
+/**
+ * Push the queue to every connected staff member - never throws
+ */
+async function broadcastQueue() {
+  try {
+    const staff = staffNamespace();
+    if (!staff) return;
+
+    staff.to(STAFF_QUEUE_ROOM).emit('handoffQueue', await getQueue());
+  } catch (error) {
+    logger.error('Error broadcasting handoff queue:', error.message);
+  }
+}
+
+/**
+ * Tell the patient who they are talking to - never throws
+ */
+function notifyPatient(consultation, message = null) {
+  try {
+    if (!io) return;
+
+    io.to(patientRoom(consultation.session_id)).emit('handoffStatus', {
+      ...toPatientView(consultation),
+      message,
+    });
+  } catch (error) {
+    logger.error('Error notifying patient of handoff status:', error.message);
+  }
+}
+
+/**
+ * Put a consultation in the staff queue (no-op when already queued or with staff)
+ * @param {Object} consultation - Consultation document
+ * @param {string} reason - 'red_flags' | 'patient_request'
+ * @returns {Promise<Object|null>} - Updated consultation, null when nothing changed
+ */
+async function requestHandoff(consultation, reason) {
+  const updated = await Consultation.findOneAndUpdate(
+    { _id: consultation._id, 'handoff.status': { $nin: OPEN_STATUSES } },
+    {
+      $set: {
+        'handoff.status': 'requested',
+        'handoff.reason': reason,
+        'handoff.requested_at': new Date(),
+        'handoff.accepted_at': null,
+        'handoff.returned_at': null,
+      },
+      $inc: { 'handoff.count': 1 },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  logger.warn(`🙋 Handoff requested for consultation ${updated.session_id} (${reason})`);
+
+  notifyPatient(updated);
+  await broadcastQueue();
+
+  return updated;
+}
+
+/**
+ * Staff member picks up (or rejoins) a chat
+ * @param {string} sessionId - Consultation session_id
+ * @param {Object} user - Staff user (socket.data.user)
+ * @returns {Promise<Object>} - Consultation with the full transcript
+ */
+async function acceptHandoff(sessionId, user) {
+  const updated = await Consultation.findOneAndUpdate(
+    { session_id: sessionId, 'handoff.status': 'requested' },
+    {
+      $set: {
+        'handoff.status': 'active',
+        'handoff.accepted_at': new Date(),
+        'handoff.staff_user_id': user._id,
+        'handoff.staff_name': user.name,
+        'handoff.staff_role': user.role,
+      },
+    },
+    { new: true }
+  );
+
+  let consultation = updated;
+
+  if (!consultation) {
+    const existing = await Consultation.findOne({ session_id: sessionId });
+
+    if (!existing || !OPEN_STATUSES.includes(existing.handoff?.status)) {
+      throw httpError('This chat is not waiting for staff', 404);
+    }
+
+    if (String(existing.handoff.staff_user_id) !== String(user._id)) {
+      throw httpError(`${existing.handoff.staff_name} is already chatting with this patient`, 409);
+    }
+
+    // Same staff member rejoining after a reconnect
+    consultation = existing;
+  }
+
+  logger.hipaa(`${user.role} ${user.email} joined chatbot consultation ${sessionId}`);
+
+  await auditService.record({
+    actor: { type: 'staff', user_id: user._id, name: user.name, email: user.email, role: user.role },
+    action: 'read',
+    resource: 'consultation',
+    resource_id: consultation._id.toString(),
+    patient_ids: consultation.patient_id ? [consultation.patient_id] : [],
+    fields: ['messages'],
+  });
+
+  if (updated) {
+    const message = `${user.name} (${user.role}) from the clinic team has joined the chat.`;
+    await consultation.addMessage('system', message);
+    notifyPatient(consultation, message);
+    await broadcastQueue();
+  }
+
+  return consultation;
+}
+
+/**
+ * Load a chat the staff member is currently handling
+ */
+async function getOwnActiveHandoff(sessionId, user) {
+  const consultation = await Consultation.findOne({ session_id: sessionId });
+
+  if (!consultation || consultation.handoff?.status !== 'active') {
+    throw httpError('This chat is not with staff', 404);
+  }
+
+  if (String(consultation.handoff.staff_user_id) !== String(user._id) && user.role !== 'admin') {
+    throw httpError(`${consultation.handoff.staff_name} is handling this chat`, 403);
+  }
+
+  return consultation;
+}
+
+/**
+ * Staff member replies to the patient
+ * @returns {Promise<Object>} - The stored message
+ */
+async function sendStaffMessage(sessionId, user, text) {
+  const content = String(text || '').trim();
+  if (!content) {
+    throw httpError('Message is empty', 400);
+  }
+
+  const consultation = await getOwnActiveHandoff(sessionId, user);
+  await consultation.addMessage('staff', content, { sender_name: user.name, sender_role: user.role });
+
+  const stored = consultation.messages[consultation.messages.length - 1];
+  const payload = {
+    sessionId,
+    role: 'staff',
+    content,
+    sender_name: user.name,
+    sender_role: user.role,
+    timestamp: stored.timestamp,
+  };
+
+  io?.to(patientRoom(sessionId)).emit('staffMessage', payload);
+  staffNamespace()?.to(staffRoom(sessionId)).emit('handoffMessage', payload);
+
+  return payload;
+}
+
+/**
+ * Forward a patient's message to the staff member in the chat - never throws
+ */
+function relayPatientMessage(consultation, content) {
+  try {
+    staffNamespace()?.to(staffRoom(consultation.session_id)).emit('handoffMessage', {
+      sessionId: consultation.session_id,
+      role: 'user',
+      content,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    logger.error('Error relaying patient message to staff:', error.message);
+  }
+}
+
+/**
+ * Staff member hands the chat back to MediBot
+ */
+async function returnToBot(sessionId, user) {
+  const consultation = await getOwnActiveHandoff(sessionId, user);
+
+  const message = `${user.name} has handed the chat back to MediBot. You can keep chatting here.`;
+
+  consultation.handoff.status = 'returned';
+  consultation.handoff.returned_at = new Date();
+  await consultation.addMessage('system', message);
+
+  logger.info(`🤖 Consultation ${sessionId} handed back to MediBot by ${user.email}`);
+
+  notifyPatient(consultation, message);
+  staffNamespace()?.to(staffRoom(sessionId)).emit('handoffEnded', { sessionId, reason: 'returned_to_bot' });
+  await broadcastQueue();
+
+  return consultation;
+}
+
+/**
+ * Patient ended the chat - take it out of the staff queue (never throws)
+ */
+async function closeForEndedChat(sessionId) {
+  try {
+    const updated = await Consultation.findOneAndUpdate(
+      { session_id: sessionId, 'handoff.status': { $in: OPEN_STATUSES } },
+      { $set: { 'handoff.status': 'returned', 'handoff.returned_at': new Date() } },
+      { new: true }
+    );
+
+    if (!updated) return;
+
+    staffNamespace()?.to(staffRoom(sessionId)).emit('handoffEnded', { sessionId, reason: 'patient_left' });
+    await broadcastQueue();
+  } catch (error) {
+    logger.error('Error closing handoff for ended chat:', error.message);
+  }
+}
+
+export default {
+  STAFF_NAMESPACE,
+  STAFF_QUEUE_ROOM,
+  setSocketServer,
+  patientRoom,
+  staffRoom,
+  wantsHuman,
+  toPatientView,
+  getQueue,
+  broadcastQueue,
+  requestHandoff,
+  acceptHandoff,
+  sendStaffMessage,
+  relayPatientMessage,
+  returnToBot,
+  closeForEndedChat,
+};
@@ -0,0 +1,327 @@
+/**
+ * Inbound Message Service for MediFlow
+ * Handles patient replies to appointment SMS/WhatsApp messages (Twilio webhook)
+ *
+ * Flow:
+ * 1. Twilio retries are detected by MessageSid and answered with the original reply
+ * 2. STOP/START/HELP keywords go to consentService.handleKeyword
+ * 3. The sender is matched to a patient (phone blind index) and their next
+ *    upcoming appointment (or the booking request awaiting slot selection)
+ * 4. YES → markAsConfirmed, NO → cancelAppointment, RESCHEDULE → flagged for the front desk
+ * 5. Every exchange is stored in InboundMessage
+ *
+ * Replies are returned to the controller and sent back as TwiML, so they
+ * reach the patient even when outbound messaging is suppressed.
+ */
+
+import logger from '../utils/logger.js';
+import Appointment from '../models/Appointment.js';
+import InboundMessage from '../models/InboundMessage.js';
+import consentService from './consentService.js';
+import doctorAssignmentService from './doctorAssignmentService.js';
+import waitlistService from './waitlistService.js';
+
+/**
+ * Reply keywords (first word of the message, case-insensitive)
+ */
+const CONFIRM_KEYWORDS = ['YES', 'Y', 'CONFIRM', 'CONFIRMED', 'OK'];
+const DECLINE_KEYWORDS = ['NO', 'N'];
+const RESCHEDULE_KEYWORDS = ['RESCHEDULE', 'CHANGE', 'R'];
+
+/**
+ * Appointment statuses a reply can act on
+ */
+const UPCOMING_STATUSES = ['scheduled', 'confirmed', 'reminder_sent'];
+
+const KEYWORD_ACTIONS = {
+  opt_out: { intent: 'opt_out', action: 'opted_out' },
+  opt_in: { intent: 'opt_in', action: 'opted_in' },
+  help: { intent: 'help', action: 'help_sent' },
+};
+
+/**
+ * Split a Twilio "From" value into channel + phone number
+ * WhatsApp senders arrive as "whatsapp:+9198..."
+ */
+function parseSender(from = '') {
+  const value = String(from).trim();
+  return value.startsWith('whatsapp:')
+    ? { channel: 'whatsapp', phone: value.slice('whatsapp:'.length) }
+    : { channel: 'sms', phone: value };
+}
+
+/**
+ * Classify a reply by its first word
+ * @returns {string} - confirm | decline | reschedule | unknown
+ */
+function parseIntent(body = '') {
+  const firstWord = String(body).trim().split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '');
+
+  if (CONFIRM_KEYWORDS.includes(firstWord)) return 'confirm';
+  if (DECLINE_KEYWORDS.includes(firstWord)) return 'decline';
+  if (RESCHEDULE_KEYWORDS.includes(firstWord)) return 'reschedule';
+  return 'unknown';
+}
+
+/**
+ * The appointment a reply refers to: next upcoming booked visit, otherwise
+ * the latest booking request still waiting for a slot (confirmation reminders)
+ */
+async function findReplyTarget(patientId) {
+  const upcoming = await Appointment.findOne({
+    patient_id: patientId,
+    status: { $in: UPCOMING_STATUSES },
+    scheduled_start_time: { $gte: new Date() },
+  }).sort({ scheduled_start_time: 1 });
+
+  if (upcoming) {
+    return upcoming;
+  }
+
+  return Appointment.findOne({
+    patient_id: patientId,
+    status: 'slots_generated',
+  }).sort({ slots_generated_at: -1 });
+}
+
+/**
+ * Short date/time for replies in the patient's language
+ */
+function formatAppointmentTime(appointment, patient) {
+  const locale = consentService.getLocale(patient);
+  return new Date(appointment.scheduled_start_time).toLocaleString(locale, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: 'Asia/Kolkata',
+  });
+}
+
+/**
+ * Cancel on a patient's NO and release the booking the same way staff cancellation does
+ */
+async function cancelFromReply(appointment, patient) {
+  await appointment.cancelAppointment('patient_request');
+
+  patient.upcoming_appointments = (patient.upcoming_appointments || []).filter(
+    (id) => id.toString() !== appointment._id.toString()
+  );
+  await patient.save();
+
+  await doctorAssignmentService.decrementDoctorPatientCount(appointment.doctor_id, appointment.scheduled_start_time);
+  await waitlistService.handleFreedAppointment(appointment, 'cancelled');
+}
+
+/**
+ * Act on a reply from a known patient
+ * @returns {Promise<Object>} - { action, reply, appointment, statusBefore, needsFollowUp }
+ */
+async function applyIntent(intent, patient) {
+  const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+  const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+
+  if (intent === 'unknown') {
+    return {
+      action: 'not_understood',
+      reply: `${clinicName}: Sorry, we didn't understand. Reply YES to confirm, NO to cancel or RESCHEDULE to change your appointment. Call ${clinicPhone} for help.`,
+      appointment: null,
+      statusBefore: null,
+      needsFollowUp: true,
+    };
+  }
+
+  const appointment = await findReplyTarget(patient._id);
+
+  if (!appointment) {
+    return {
+      action: 'no_appointment',
+      reply: `${clinicName}: We couldn't find an upcoming appointment for this number. Call ${clinicPhone} to book.`,
+      appointment: null,
+      statusBefore: null,
+      needsFollowUp: false,
+    };
+  }
+
+  const statusBefore = appointment.status;
+  const result = { appointment, statusBefore, needsFollowUp: false };
+
+  // Booking request without a chosen slot - nothing to confirm or move yet
+  if (statusBefore === 'slots_generated' && intent !== 'decline') {
+    const bookingLink = `${process.env.CLIENT_ORIGIN || 'http://localhost:5173'}/book-appointment/${appointment._id}`;
+    return {
+      ...result,
+      action: 'booking_link_sent',
+      reply: `${clinicName}: Please pick a time for your appointment here: ${bookingLink}`,
+    };
+  }
+
+  if (intent === 'confirm') {
+    if (statusBefore === 'confirmed') {
+      return {
+        ...result,
+        action: 'already_confirmed',
+        reply: `${clinicName}: Your appointment on ${formatAppointmentTime(appointment, patient)} is already confirmed. See you then!`,
+      };
+    }
+
+    await appointment.markAsConfirmed();
+    logger.success(`✅ Appointment ${appointment._id} confirmed by patient reply`);
+
+    return {
+      ...result,
+      action: 'confirmed',
+      reply: `${clinicName}: Thank you! Your appointment on ${formatAppointmentTime(appointment, patient)} is confirmed. Please arrive 10-15 mins early.`,
+    };
+  }
+
+  if (intent === 'decline') {
+    await cancelFromReply(appointment, patient);
+    logger.info(`❌ Appointment ${appointment._id} cancelled by patient reply`);
+
+    return {
+      ...result,
+      action: 'cancelled',
+      reply: statusBefore === 'slots_generated'
+        ? `${clinicName}: Your appointment request has been cancelled. Call ${clinicPhone} if you need us.`
+        : `${clinicName}: Your appointment on ${formatAppointmentTime(appointment, patient)} has been cancelled. To book again, call ${clinicPhone}.`,
+    };
+  }
+
+  // reschedule - staff call the patient back; the appointment stays as it is
+  logger.info(`🔄 Reschedule requested by patient reply for appointment ${appointment._id}`);
+
+  return {
+    ...result,
+    action: 'reschedule_requested',
+    needsFollowUp: true,
+    reply: `${clinicName}: We've received your reschedule request. Our front desk will contact you shortly, or call ${clinicPhone}.`,
+  };
+}
+
+/**
+ * Process one inbound SMS/WhatsApp message
+ * @param {Object} params - Twilio webhook fields { messageSid, from, body }
+ * @returns {Promise<Object>} - { reply, intent, action, patientId, appointmentId, duplicate }
+ */
+async function processInboundMessage({ messageSid, from, body = '' }) {
+  if (!messageSid || !from) {
+    const error = new Error('MessageSid and From are required');
+    error.status = 400;
+    throw error;
+  }
+
+  const existing = await InboundMessage.findOne({ message_sid: messageSid }).lean();
+  if (existing) {
+    logger.info(`🔁 Duplicate inbound message ${messageSid} - returning original reply`);
+    return {
+      reply: existing.reply,
+      intent: existing.intent,
+      action: existing.action_taken,
+      patientId: existing.patient_id,
+      appointmentId: existing.appointment_id,
+      duplicate: true,
+    };
+  }
+
+  const { channel, phone } = parseSender(from);
+  logger.sms(`📥 Inbound ${channel} from ${consentService.maskRecipient(channel, phone)}`);
+
+  let outcome;
+
+  const keyword = await consentService.handleKeyword({ from: phone, body, channel });
+
+  if (keyword.handled) {
+    outcome = {
+      ...KEYWORD_ACTIONS[keyword.action],
+      reply: keyword.reply,
+      patientId: keyword.patientId,
+      appointment: null,
+      statusBefore: null,
+      needsFollowUp: false,
+    };
+  } else {
+    const intent = parseIntent(body);
+    const patient = await consentService.findPatientByRecipient(channel, phone);
+
+    if (!patient) {
+      const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+      const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+      outcome = {
+        intent,
+        action: 'unknown_sender',
+        reply: `${clinicName}: We couldn't match this number to a patient record. Please call ${clinicPhone}.`,
+        patientId: null,
+        appointment: null,
+        statusBefore: null,
+        needsFollowUp: false,
+      };
+    } else {
+      outcome = {
+        intent,
+        patientId: patient._id,
+        ...(await applyIntent(intent, patient)),
+      };
+    }
+  }
+
+  try {
+    await InboundMessage.create({
+      message_sid: messageSid,
+      channel,
+      from_hint: consentService.maskRecipient(channel, phone),
+      body: String(body).slice(0, 1600),
+      patient_id: outcome.patientId,
+      appointment_id: outcome.appointment?._id || null,
+      intent: outcome.intent,
+      action_taken: outcome.action,
+      appointment_status_before: outcome.statusBefore,
+      reply: outcome.reply,
+      needs_staff_follow_up: outcome.needsFollowUp,
+    });
+  } catch (error) {
+    // The reply has already been acted on - a lost record must not fail the webhook
+    logger.error(`❌ Failed to record inbound message ${messageSid}:`, error.message);
+  }
+
+  return {
+    reply: outcome.reply,
+    intent: outcome.intent,
+    action: outcome.action,
+    patientId: outcome.patientId,
+    appointmentId: outcome.appointment?._id || null,
+    duplicate: false,
+  };
+}
+
+/**
+ * List recorded exchanges (front desk follow-up queue)
+ * @param {Object} filters - { patientId, intent, needsFollowUp }
+ * @param {Object} pagination - { page, limit }
+ */
+async function getInboundMessages({ patientId = null, intent = null, needsFollowUp = null } = {}, { page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (patientId) query.patient_id = patientId;
+  if (intent) query.intent = intent;
+  if (needsFollowUp !== null) query.needs_staff_follow_up = needsFollowUp;
+
+  const [messages, total] = await Promise.all([
+    InboundMessage.find(query)
+      .sort({ received_at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('patient_id', 'name')
+      .populate('appointment_id', 'scheduled_start_time status department'),
+    InboundMessage.countDocuments(query),
+  ]);
+
+  return { messages, total, page, limit };
+}
+
+export default {
+  parseSender,
+  parseIntent,
+  processInboundMessage,
+  getInboundMessages,
+};
@@ -0,0 +1,485 @@
+/**
+ * Lab Service for MediFlow
+ * Lab and imaging orders from the test catalog, the lab desk worklist, results and reports
+ *
+ * Flow:
+ * 1. The doctor orders catalog tests for an appointment → one LabOrder per test;
+ *    the appointment / consultation test lists are kept in step
+ * 2. The lab desk works the queue (stat first), collects the sample and enters
+ *    values - each value is flagged against the catalog reference range
+ * 3. Abnormal or critical results → email alert to the ordering doctor
+ * 4. First release of results → "results ready" SMS to the patient (no values in it)
+ * 5. A report file (PDF / image) can be attached at any point before cancellation
+ *
+ * Notifications never throw into the request that released the results.
+ */
+
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment, { NO_VISIT_STATUSES } from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import LabOrder from '../models/LabOrder.js';
+import LabReportFile, { REPORT_CONTENT_TYPES, MAX_REPORT_BYTES } from '../models/LabReportFile.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import { getTest, searchCatalog, flagResult } from '../utils/labTestCatalog.js';
+import { httpError } from '../utils/serviceHelpers.js';
+
+const OPEN_STATUSES = ['ordered', 'sample_collected'];
+
+/**
+ * Load a lab order or fail with 400/404
+ */
+async function loadOrder(orderId) {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw httpError('Invalid lab order ID', 400);
+  }
+
+  const order = await LabOrder.findById(orderId);
+  if (!order) {
+    throw httpError('Lab order not found', 404);
+  }
+
+  return order;
+}
+
+/**
+ * Report URL recorded on the consultation
+ */
+const reportUrlFor = (order) => `/api/lab-orders/${order._id}/report`;
+
+// ==================== ORDERS ====================
+
+/**
+ * Order catalog tests for an appointment
+ * @param {Object} data - { appointmentId, tests: [{ code, priority, clinical_notes }] }
+ * @param {Object} user - Ordering staff member (doctors: own appointments only)
+ * @returns {Promise<Array>} - Created lab orders
+ */
+async function createLabOrders({ appointmentId, tests }, user) {
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  if (user.role === 'doctor' && String(appointment.doctor_id) !== String(user.doctor_id)) {
+    throw httpError('You can only order tests for your own appointments', 403);
+  }
+
+  if (NO_VISIT_STATUSES.includes(appointment.status)) {
+    throw httpError(`Cannot order tests for an appointment with status ${appointment.status}`, 409);
+  }
+
+  const requested = tests.map((test) => ({ ...test, catalog: getTest(test.code) }));
+  const unknown = requested.filter((test) => !test.catalog).map((test) => test.code);
+  if (unknown.length > 0) {
+    throw httpError(`Unknown test code(s): ${unknown.join(', ')}`, 400);
+  }
+
+  const codes = requested.map((test) => test.catalog.code);
+  if (new Set(codes).size !== codes.length) {
+    throw httpError('The same test is listed more than once', 400);
+  }
+
+  const active = await LabOrder.find({
+    appointment_id: appointment._id,
+    test_code: { $in: codes },
+    status: { $ne: 'cancelled' },
+  })
+    .select('test_code')
+    .lean();
+  if (active.length > 0) {
+    throw httpError(`Already ordered for this appointment: ${active.map((order) => order.test_code).join(', ')}`, 409);
+  }
+
+  const orders = [];
+  for (const test of requested) {
+    orders.push(
+      await LabOrder.create({
+        order_number: await LabOrder.nextOrderNumber(),
+        patient_id: appointment.patient_id,
+        doctor_id: appointment.doctor_id,
+        appointment_id: appointment._id,
+        consultation_id: appointment.consultation_id || null,
+        ordered_by: user._id,
+        test_code: test.catalog.code,
+        test_name: test.catalog.name,
+        category: test.catalog.category,
+        priority: test.priority || 'routine',
+        clinical_notes: test.clinical_notes || null,
+        sample: { sample_type: test.catalog.sample_type },
+      })
+    );
+  }
+
+  // Keep the legacy free-text lists in step for existing screens and exports
+  const labNames = orders.filter((order) => order.category === 'lab').map((order) => order.test_name);
+  const imagingNames = orders.filter((order) => order.category === 'imaging').map((order) => order.test_name);
+
+  if (labNames.length > 0) {
+    await Appointment.updateOne({ _id: appointment._id }, { $addToSet: { lab_tests_ordered: { $each: labNames } } });
+  }
+
+  if (appointment.consultation_id) {
+    await Consultation.updateOne(
+      { _id: appointment.consultation_id },
+      {
+        $addToSet: {
+          lab_tests_ordered: { $each: labNames },
+          imaging_ordered: { $each: imagingNames },
+        },
+      }
+    );
+  }
+
+  logger.info(`🧪 ${orders.length} test(s) ordered for appointment ${appointment._id}: ${codes.join(', ')}`);
+
+  return orders;
+}
+
+/**
+ * Lab desk worklist - open orders, stat first, then oldest first
+ * @param {Object} filters - { status, category, priority, doctorId, patientId, page, limit }
+ */
+async function getWorklist({ status, category, priority, doctorId, patientId, page = 1, limit = 50 } = {}) {
+  const query = { status: status || { $in: OPEN_STATUSES } };
+  if (category) query.category = category;
+  if (priority) query.priority = priority;
+  if (doctorId) query.doctor_id = doctorId;
+  if (patientId) query.patient_id = patientId;
+
+  const [orders, total] = await Promise.all([
+    LabOrder.find(query)
+      .sort({ priority_rank: -1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-result_history')
+      .populate('patient_id', 'name age gender')
+      .populate('doctor_id', 'name department')
+      .lean(),
+    LabOrder.countDocuments(query),
+  ]);
+
+  return { orders, total };
+}
+
+/**
+ * Lab orders for a patient, newest first
+ */
+async function getPatientLabOrders(patientId, { page = 1, limit = 50 } = {}) {
+  const query = { patient_id: patientId };
+
+  const [orders, total] = await Promise.all([
+    LabOrder.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-result_history')
+      .populate('doctor_id', 'name department')
+      .lean(),
+    LabOrder.countDocuments(query),
+  ]);
+
+  return { orders, total };
+}
+
+/**
+ * Get a lab order
+ */
+async function getLabOrder(orderId) {
+  return loadOrder(orderId);
+}
+
+/**
+ * Record sample collection
+ * @param {Object} data - { barcode, notes }
+ */
+async function collectSample(orderId, { barcode, notes }, user) {
+  const order = await loadOrder(orderId);
+
+  if (order.category === 'imaging') {
+    throw httpError('Imaging studies have no sample to collect', 409);
+  }
+
+  if (order.status !== 'ordered') {
+    throw httpError(`Cannot collect a sample for an order with status ${order.status}`, 409);
+  }
+
+  await order.collectSample({ barcode: barcode || null, notes: notes || null }, user._id);
+
+  logger.info(`🧪 Sample collected for ${order.order_number}`);
+
+  return order;
+}
+
+/**
+ * Flag submitted values against the catalog parameters
+ * @param {Object} test - Catalog entry
+ * @param {Array} values - [{ parameter, value }]
+ * @param {string} gender - Patient gender (sex-specific ranges)
+ */
+function buildResults(test, values, gender) {
+  return values.map(({ parameter, value }) => {
+    const definition = test.parameters.find((entry) => entry.name.toLowerCase() === String(parameter || '').trim().toLowerCase());
+
+    if (!definition) {
+      throw httpError(`Unknown parameter "${parameter}" for ${test.code} (expected: ${test.parameters.map((entry) => entry.name).join(', ')})`, 400);
+    }
+
+    if (value === undefined || value === null || String(value).trim() === '') {
+      throw httpError(`A value is required for ${definition.name}`, 400);
+    }
+
+    if (!definition.normal_values && !Number.isFinite(Number(value))) {
+      throw httpError(`${definition.name} must be a number`, 400);
+    }
+
+    return {
+      parameter: definition.name,
+      value: String(value).trim(),
+      unit: definition.unit || null,
+      loinc: definition.loinc || null,
+      ...flagResult(definition, value, gender),
+    };
+  });
+}
+
+/**
+ * Enter (or correct) results and notify the doctor / patient
+ * @param {Object} data - { results: [{ parameter, value }], reportText, abnormal, reason }
+ * @returns {Promise<Object>} - { order, notifications: { doctor, patient } }
+ */
+async function enterResults(orderId, { results = [], reportText = null, abnormal = false, reason = null }, user) {
+  const order = await loadOrder(orderId);
+  const test = getTest(order.test_code);
+
+  if (order.status === 'cancelled') {
+    throw httpError('Cannot enter results for a cancelled order', 409);
+  }
+
+  if (order.category === 'lab' && order.status === 'ordered') {
+    throw httpError('Record sample collection before entering results', 409);
+  }
+
+  const correction = order.status === 'resulted';
+  if (correction && (!reason || !String(reason).trim())) {
+    throw httpError('A reason is required to correct released results', 400);
+  }
+
+  if (order.category === 'lab' && results.length === 0) {
+    throw httpError('At least one result value is required', 400);
+  }
+
+  if (order.category === 'imaging' && !reportText) {
+    throw httpError('report_text (findings / impression) is required for imaging', 400);
+  }
+
+  const patient = await Patient.findById(order.patient_id);
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  const flaggedResults = test && test.parameters.length > 0 ? buildResults(test, results, patient.gender) : [];
+
+  await order.releaseResults(
+    {
+      results: flaggedResults,
+      reportText: reportText || null,
+      isAbnormal: Boolean(abnormal),
+      reason: correction ? String(reason).trim() : null,
+    },
+    user._id
+  );
+
+  logger.info(
+    `🧪 Results ${correction ? 'corrected' : 'released'} for ${order.order_number}${order.is_critical ? ' (CRITICAL)' : order.is_abnormal ? ' (abnormal)' : ''}`
+  );
+
+  const notifications = await notifyResults(order, patient);
+
+  return { order, notifications };
+}
+
+/**
+ * Abnormal results → ordering doctor; first release → patient SMS
+ * Never throws
+ */
+async function notifyResults(order, patient) {
+  const notifications = { doctor: null, patient: null };
+
+  if (order.is_abnormal) {
+    try {
+      const doctor = await Doctor.findById(order.doctor_id);
+      notifications.doctor = await emailService.sendAbnormalLabResultAlert(order, patient, doctor);
+
+      if (notifications.doctor?.success) {
+        order.doctor_notified_at = new Date();
+        await LabOrder.updateOne({ _id: order._id }, { $set: { doctor_notified_at: order.doctor_notified_at } });
+      }
+    } catch (error) {
+      logger.error(`Failed to alert doctor about ${order.order_number}:`, error.message);
+      notifications.doctor = { success: false, error: error.message };
+    }
+  }
+
+  if (!order.patient_notified_at) {
+    try {
+      notifications.patient = await smsService.sendLabResultsReadySms(order, patient);
+
+      if (notifications.patient?.success) {
+        order.patient_notified_at = new Date();
+        await LabOrder.updateOne({ _id: order._id }, { $set: { patient_notified_at: order.patient_notified_at } });
+      }
+    } catch (error) {
+      logger.error(`Failed to send results SMS for ${order.order_number}:`, error.message);
+      notifications.patient = { success: false, error: error.message };
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * Attach (or replace) the report file
+ * @param {Object} data - { filename, contentType, content } (content is base64)
+ */
+async function attachReport(orderId, { filename, contentType, content }, user) {
+  const order = await loadOrder(orderId);
+
+  if (order.status === 'cancelled') {
+    throw httpError('Cannot attach a report to a cancelled order', 409);
+  }
+
+  if (!filename || !content) {
+    throw httpError('filename and content (base64) are required', 400);
+  }
+
+  if (!REPORT_CONTENT_TYPES.includes(contentType)) {
+    throw httpError(`content_type must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, 400);
+  }
+
+  const base64 = String(content).replace(/^data:[^;]+;base64,/, '');
+  const size = Buffer.from(base64, 'base64').length;
+
+  if (size === 0) {
+    throw httpError('content is not valid base64', 400);
+  }
+
+  if (size > MAX_REPORT_BYTES) {
+    throw httpError('Report files are limited to 5 MB', 413);
+  }
+
+  const previousFileId = order.report_file?.file_id || null;
+
+  const file = await LabReportFile.create({
+    lab_order_id: order._id,
+    filename: String(filename).trim(),
+    content_type: contentType,
+    size,
+    content: base64,
+    uploaded_by: user._id,
+  });
+
+  order.report_file = {
+    file_id: file._id,
+    filename: file.filename,
+    content_type: file.content_type,
+    size,
+    uploaded_at: new Date(),
+  };
+  await order.save();
+
+  if (previousFileId) {
+    await LabReportFile.deleteOne({ _id: previousFileId });
+  }
+
+  if (order.consultation_id) {
+    await Consultation.updateOne({ _id: order.consultation_id }, { $addToSet: { lab_report_urls: reportUrlFor(order) } });
+  }
+
+  logger.info(`📎 Report ${file.filename} attached to ${order.order_number} (${Math.round(size / 1024)} KB)`);
+
+  return order;
+}
+
+/**
+ * Report file for download
+ * @returns {Promise<Object>} - { order, filename, contentType, buffer }
+ */
+async function getReportFile(orderId) {
+  const order = await loadOrder(orderId);
+
+  const file = order.report_file?.file_id ? await LabReportFile.findById(order.report_file.file_id) : null;
+  if (!file) {
+    throw httpError('No report file attached to this order', 404);
+  }
+
+  return {
+    order,
+    filename: file.filename,
+    contentType: file.content_type,
+    buffer: Buffer.from(file.content, 'base64'),
+  };
+}
+
+/**
+ * Cancel an order that has no results yet
+ */
+async function cancelLabOrder(orderId, reason, user) {
+  const order = await loadOrder(orderId);
+
+  if (!OPEN_STATUSES.includes(order.status)) {
+    throw httpError(`Cannot cancel an order with status ${order.status}`, 409);
+  }
+
+  if (user.role === 'doctor' && String(order.doctor_id) !== String(user.doctor_id)) {
+    throw httpError('Only the ordering doctor can cancel this order', 403);
+  }
+
+  order.status = 'cancelled';
+  order.cancelled_at = new Date();
+  order.cancelled_by = user._id;
+  order.cancellation_reason = reason ? String(reason).trim() : null;
+  await order.save();
+
+  logger.info(`🧪 Lab order ${order.order_number} cancelled`);
+
+  return order;
+}
+
+/**
+ * Search the test catalog
+ */
+function getCatalog(query, category) {
+  return searchCatalog(query, category).map((test) => ({
+    code: test.code,
+    name: test.name,
+    category: test.category,
+    sample_type: test.sample_type,
+    turnaround_hours: test.turnaround_hours,
+    parameters: test.parameters.map((parameter) => ({
+      name: parameter.name,
+      unit: parameter.unit || null,
+      qualitative: Boolean(parameter.normal_values),
+    })),
+  }));
+}
+
+export default {
+  createLabOrders,
+  getWorklist,
+  getPatientLabOrders,
+  getLabOrder,
+  collectSample,
+  enterResults,
+  attachReport,
+  getReportFile,
+  cancelLabOrder,
+  getCatalog,
+};
@@ -0,0 +1,84 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import logger from '../../utils/logger.js';
+
+/**
+ * Gemini LLM Provider for MediFlow
+ * Google Gemini with round-robin over up to three API keys to spread the load
+ *
+ * Env: GEMINI_API_KEY, GEMINI_API_KEY_2, GEMINI_API_KEY_3, GEMINI_MODEL (default gemini-2.5-flash-lite)
+ */
+
+const API_KEYS = [
+  process.env.GEMINI_API_KEY,
+  process.env.GEMINI_API_KEY_2,
+  process.env.GEMINI_API_KEY_3,
+].filter(Boolean); // Remove undefined keys
+
+const MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
+
+let genAIClients = null;
+let currentKeyIndex = 0;
+
+/**
+ * Get next available Gemini client (round-robin), creating the clients on first use
+ */
+function getNextClient() {
+  if (!genAIClients) {
+    if (API_KEYS.length === 0) {
+      throw new Error('No Gemini API keys found in environment variables');
+    }
+
+    logger.info(`🔑 Loaded ${API_KEYS.length} Gemini API key(s)`);
+    genAIClients = API_KEYS.map((key) => new GoogleGenerativeAI(key));
+  }
+
+  const client = genAIClients[currentKeyIndex];
+  currentKeyIndex = (currentKeyIndex + 1) % genAIClients.length;
+  return client;
+}
+
+/**
+ * Provider-neutral turn → Gemini content
+ */
+const toContent = ({ role, content }) => ({
+  role: role === 'assistant' ? 'model' : 'user',
+  parts: [{ text: content }],
+});
+
+/**
+ * Complete a request
+ * Chat requests run as a multi-turn chat; the system prompt goes first as a user
+ * turn followed by the model's acknowledgement. Everything else is a single prompt.
+ * @param {Object} request - { system, systemAck, history, message, prompt, maxOutputTokens, temperature }
+ * @returns {Promise<string>}
+ */
+async function complete({ system, systemAck, history = [], message, prompt, maxOutputTokens, temperature }) {
+  const model = getNextClient().getGenerativeModel({ model: MODEL });
+
+  if (message === undefined) {
+    const result = await model.generateContent(prompt);
+    return result.response.text();
+  }
+
+  const chat = model.startChat({
+    history: [
+      ...(system ? [toContent({ role: 'user', content: system })] : []),
+      ...(system && systemAck ? [toContent({ role: 'assistant', content: systemAck })] : []),
+      ...history.map(toContent),
+    ],
+    generationConfig: {
+      ...(maxOutputTokens && { maxOutputTokens }),
+      ...(temperature !== undefined && { temperature }),
+    },
+  });
+
+  const result = await chat.sendMessage(message);
+  return result.response.text();
+}
+
+export default {
+  name: 'gemini',
+  rateLimited: true,
+  isConfigured: () => API_KEYS.length > 0,
+  complete,
+};
@@ -0,0 +1,397 @@
+/**
+ * Offline LLM Provider for MediFlow
+ * A scripted, rule-based stand-in for the language model - no network, no keys,
+ * same input always gives the same output
+ *
+ * - chat: asks the intake questions in a fixed order (one per turn), re-asks when
+ *   an answer cannot be read, and ends with the summary + PATIENT_COMPLETE in the
+ *   format the system prompt demands
+ * - extraction: maps each patient message to the question it answered (falls back
+ *   to pattern matching for conversations held with another provider)
+ * - triage: scores risk with the bands from the triage prompt and routes to a
+ *   department by symptom keywords
+ * - copywriting: fixed appointment-reminder copy
+ *
+ * Meant for development and tests of the whole consultation flow offline; it
+ * understands answers to its own questions, not free conversation.
+ */
+
+const DURATIONS = ['< 24 hours', '1-3 days', '3-7 days', '1-2 weeks', '2+ weeks', 'Chronic'];
+
+const EMERGENCY_RESPONSE =
+  '⚠️ Based on what you\'re describing, this sounds like a medical emergency. Please call 102 or 108 immediately, ' +
+  'or go to the nearest emergency room right away. Do not wait for an appointment.';
+
+const SUMMARY_INTRO = 'Thank you for sharing all that information. Here\'s a summary of what we discussed:';
+
+/**
+ * Red flags from the chatbot system prompt
+ */
+const RED_FLAG_KEYWORDS = [
+  'severe chest pain', 'chest pressure', 'chest tightness', 'difficulty breathing', 'shortness of breath',
+  'can\'t breathe', 'cannot breathe', 'worst headache', 'loss of consciousness', 'unconscious', 'passed out',
+  'fainted', 'severe bleeding', 'bleeding won\'t stop', 'stroke', 'face drooping', 'slurred speech',
+  'arm weakness', 'anaphylaxis', 'throat closing', 'severe allergic reaction', 'severe abdominal pain',
+  'poisoning', 'overdose', 'suicidal', 'kill myself', 'end my life',
+];
+
+/**
+ * Symptom keywords per department, matched at word starts (most hits wins, General Medicine when none)
+ */
+const DEPARTMENT_KEYWORDS = {
+  Cardiology: ['chest pain', 'palpitation', 'heart', 'blood pressure', 'hypertension', 'bp'],
+  Neurology: ['headache', 'migraine', 'seizure', 'numb', 'tingling', 'dizz', 'vertigo', 'memory'],
+  Dermatology: ['rash', 'skin', 'itch', 'acne', 'pimple', 'eczema', 'hair fall', 'nail'],
+  Orthopedics: ['joint', 'knee', 'back pain', 'fracture', 'bone', 'sprain', 'shoulder', 'neck pain', 'ankle'],
+  Gynecology: ['period', 'menstrua', 'pregnan', 'vaginal', 'pcos', 'pelvic'],
+  ENT: ['ear', 'throat', 'sinus', 'nose', 'tonsil', 'hearing'],
+  Ophthalmology: ['eye', 'vision', 'blurr'],
+  Dentistry: ['tooth', 'teeth', 'gum', 'dental', 'cavity'],
+  Psychiatry: ['anxiety', 'anxious', 'depress', 'stress', 'panic', 'insomnia', 'mood'],
+};
+
+/**
+ * Answer parsers - return undefined when the answer cannot be read (the question is asked again)
+ */
+const NONE_ANSWERS = /^(no|none|nil|nothing|na|n\/a|not really|no\s+\w+)\.?$/i;
+
+const parseList = (text) =>
+  NONE_ANSWERS.test(text.trim())
+    ? []
+    : text
+        .split(/,|;|\band\b/i)
+        .map((item) => item.trim().replace(/\.$/, ''))
+        .filter(Boolean);
+
+const parseName = (text) => {
+  const name = text
+    .replace(/^(hi|hello|hey)[,!.\s]*/i, '')
+    .replace(/^(my name is|my name's|i am|i'm|this is|it's|name is)\s+/i, '')
+    .replace(/[.!]+$/, '')
+    .trim();
+
+  if (!name || /\d/.test(name) || name.split(/\s+/).length > 5) return undefined;
+
+  return name
+    .split(/\s+/)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+    .join(' ');
+};
+
+const parseAge = (text) => {
+  const match = text.match(/\b(\d{1,3})\b/);
+  const age = match ? parseInt(match[1], 10) : NaN;
+  return age >= 0 && age <= 120 ? age : undefined;
+};
+
+const parseGender = (text) => {
+  const value = text.trim().toLowerCase();
+  if (/\b(female|woman|girl|f)\b/.test(value)) return 'Female';
+  if (/\b(male|man|boy|m)\b/.test(value)) return 'Male';
+  if (/\b(other|non[- ]?binary|prefer not)\b/.test(value)) return 'Other';
+  return undefined;
+};
+
+const parsePhone = (text) => {
+  const digits = text.replace(/[^\d+]/g, '');
+  if (/^\+\d{10,15}$/.test(digits)) return digits;
+  if (/^0?\d{10}$/.test(digits)) return `+91${digits.slice(-10)}`;
+  if (/^91\d{10}$/.test(digits)) return `+${digits}`;
+  return undefined;
+};
+
+const parseEmail = (text) => {
+  const match = text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+  return match ? match[0].toLowerCase() : undefined;
+};
+
+const parseDuration = (text) => {
+  const value = text.toLowerCase();
+  const amount = parseInt((value.match(/\d+/) || [])[0], 10) || (/\b(a|an|one)\b/.test(value) ? 1 : null);
+
+  if (/chronic|month|year|long time|always/.test(value)) return 'Chronic';
+  if (/hour|today|this morning|since morning|tonight|just now/.test(value)) return '< 24 hours';
+  if (/week/.test(value)) return amount && amount > 2 ? '2+ weeks' : '1-2 weeks';
+  if (/day|yesterday/.test(value)) {
+    if (!amount || amount <= 3) return '1-3 days';
+    if (amount <= 7) return '3-7 days';
+    return amount <= 14 ? '1-2 weeks' : '2+ weeks';
+  }
+  return DURATIONS.find((duration) => duration.toLowerCase() === value.trim());
+};
+
+const parsePainScale = (text) => {
+  const match = text.match(/\b(\d{1,2})\b/);
+  const pain = match ? parseInt(match[1], 10) : /\b(no pain|none)\b/i.test(text) ? 0 : NaN;
+  return pain >= 0 && pain <= 10 ? pain : undefined;
+};
+
+const parseText = (text) => text.trim() || undefined;
+
+/**
+ * The intake script - the welcome message (sent by the controller) asks for the chief complaint
+ */
+const SCRIPT = [
+  { field: 'chief_complaint', question: 'How can I assist you today?', parse: parseText },
+  { field: 'name', question: 'May I have your full name?', parse: parseName },
+  { field: 'age', question: 'How old are you (in years)?', parse: parseAge },
+  { field: 'gender', question: 'What is your gender (male / female / other)?', parse: parseGender },
+  { field: 'phone', question: 'What is the best phone number to reach you on?', parse: parsePhone },
+  { field: 'email', question: 'What is your email address?', parse: parseEmail },
+  { field: 'symptoms', question: 'What symptoms are you having? Please list them separated by commas.', parse: parseList },
+  { field: 'symptom_duration', question: 'How long have you had these symptoms?', parse: parseDuration },
+  { field: 'pain_scale', question: 'On a scale of 0 to 10, how bad is the pain or discomfort?', parse: parsePainScale },
+  { field: 'chronic_conditions', question: 'Do you have any existing medical conditions (for example diabetes or high blood pressure)?', parse: parseList },
+  { field: 'allergies', question: 'Do you have any allergies, including to medicines?', parse: parseList },
+  { field: 'current_medications', question: 'Are you taking any medications at the moment?', parse: parseList },
+  { field: 'anything_else', question: 'Is there anything else you\'d like me to know before we schedule your appointment?', parse: parseText },
+];
+
+const stepOf = (assistantText = '') => SCRIPT.findIndex((step) => assistantText.includes(step.question));
+
+const hasRedFlag = (text) => {
+  const value = String(text || '').toLowerCase();
+  return RED_FLAG_KEYWORDS.filter((keyword) => value.includes(keyword));
+};
+
+/**
+ * Conversation → answers, using the question each patient message replied to
+ */
+function collectAnswers(history) {
+  const answers = {};
+  let step = -1;
+
+  for (const message of history) {
+    if (message.role === 'assistant') {
+      const asked = stepOf(message.content);
+      if (asked !== -1) step = asked;
+    } else if (step !== -1) {
+      const value = SCRIPT[step].parse(message.content);
+      if (value !== undefined) {
+        answers[SCRIPT[step].field] = value;
+      }
+    }
+  }
+
+  return answers;
+}
+
+/**
+ * Pattern matching over free conversation (for transcripts this provider did not script)
+ */
+function guessAnswers(history) {
+  const text = history
+    .filter((message) => message.role === 'user')
+    .map((message) => message.content)
+    .join('\n');
+
+  const nameMatch = text.match(/(?:my name is|i am|i'm)\s+([A-Za-z]+(?:\s+[A-Za-z]+)?)/i);
+  const ageMatch = text.match(/\b(\d{1,3})\s*(?:years?|yrs?)(?:\s*old)?\b/i);
+  const painMatch = text.match(/\b(\d{1,2})\s*(?:\/|out of)\s*10\b/i);
+  const phoneMatch = text.match(/\+?\d[\d\s-]{8,14}\d/);
+
+  return {
+    name: nameMatch ? parseName(nameMatch[1]) : undefined,
+    age: ageMatch ? parseAge(ageMatch[1]) : undefined,
+    gender: parseGender(text.match(/\b(male|female|man|woman|boy|girl)\b/i)?.[0] || ''),
+    phone: phoneMatch ? parsePhone(phoneMatch[0]) : undefined,
+    email: parseEmail(text),
+    pain_scale: painMatch ? parsePainScale(painMatch[1]) : undefined,
+  };
+}
+
+/**
+ * Department by symptom keywords (Pediatrics for children, Emergency for red flags)
+ */
+function recommendDepartment(patientData) {
+  const text = ` ${[patientData.chief_complaint, ...(patientData.symptoms || [])].filter(Boolean).join(' ')} `.toLowerCase();
+
+  if (hasRedFlag(text).length > 0) return 'Emergency';
+  if (typeof patientData.age === 'number' && patientData.age < 18) return 'Pediatrics';
+
+  let best = { department: 'General Medicine', hits: 0 };
+  for (const [department, keywords] of Object.entries(DEPARTMENT_KEYWORDS)) {
+    const hits = keywords.filter((keyword) => new RegExp(`\\b${keyword}`).test(text)).length;
+    if (hits > best.hits) best = { department, hits };
+  }
+
+  return best.department;
+}
+
+const formatList = (items) => (items && items.length ? items.join(', ') : 'None');
+
+function summaryOf(answers) {
+  const phone = answers.phone || 'Not provided';
+
+  return `${SUMMARY_INTRO}
+
+* **Name:** ${answers.name || 'Not provided'}
+* **Age:** ${answers.age ?? 'Not provided'}
+* **Gender:** ${answers.gender || 'Not provided'}
+* **Phone:** ${phone}
+* **Email:** ${answers.email || 'Not provided'}
+* **Chief Complaint:** ${answers.chief_complaint || 'Not provided'}
+* **Symptoms:** ${formatList(answers.symptoms)}
+* **Symptom Duration:** ${answers.symptom_duration || 'Not provided'}
+* **Pain Scale:** ${answers.pain_scale ?? 'Not provided'}
+* **Chronic Conditions:** ${formatList(answers.chronic_conditions)}
+* **Allergies:** ${formatList(answers.allergies)}
+* **Current Medications:** ${formatList(answers.current_medications)}
+
+Based on your symptoms, I recommend seeing a doctor from ${recommendDepartment(answers)}. Our team will review this and get back to you shortly to schedule your appointment. Take care! 😊
+
+PATIENT_COMPLETE`;
+}
+
+/**
+ * Next chatbot turn
+ * @param {Object} input - { message, history: [{ role: 'user'|'assistant', content }] } (history may already end with message)
+ */
+function chat({ message, history }) {
+  const turns = [...history];
+  if (turns.length === 0 || turns[turns.length - 1].role !== 'user' || turns[turns.length - 1].content !== message) {
+    turns.push({ role: 'user', content: message });
+  }
+
+  if (turns.some((turn) => turn.role === 'assistant' && turn.content.includes(SUMMARY_INTRO))) {
+    return 'Thank you! Your details are with our team and they will contact you shortly to confirm your appointment. ' +
+      'If your symptoms get worse before then, please contact the clinic straight away.';
+  }
+
+  const lastAsked = [...turns].reverse().find((turn) => turn.role === 'assistant' && stepOf(turn.content) !== -1);
+  const step = lastAsked ? stepOf(lastAsked.content) : 0;
+  const emergency = hasRedFlag(message).length > 0 ? `${EMERGENCY_RESPONSE}\n\nIf you are safe to continue: ` : '';
+
+  if (SCRIPT[step].parse(message) === undefined) {
+    return `${emergency}Sorry, I couldn't quite catch that. ${SCRIPT[step].question}`;
+  }
+
+  if (step === SCRIPT.length - 1) {
+    return summaryOf(collectAnswers(turns));
+  }
+
+  const acknowledgement = step === 0 ? 'I\'m sorry to hear that - I\'ll help you see the right doctor. ' : 'Thank you. ';
+  return `${emergency || acknowledgement}${SCRIPT[step + 1].question}`;
+}
+
+/**
+ * Patient data from the conversation
+ * @param {Object} input - { messages: [{ role, content }] }
+ */
+function extract({ messages }) {
+  const history = messages.map((message) => ({
+    role: message.role === 'assistant' || message.role === 'doctor' ? 'assistant' : 'user',
+    content: message.content,
+  }));
+  const answers = { ...guessAnswers(history), ...collectAnswers(history) };
+
+  return {
+    name: answers.name ?? null,
+    age: answers.age ?? null,
+    gender: answers.gender ?? null,
+    phone: answers.phone ?? null,
+    email: answers.email ?? null,
+    chief_complaint: answers.chief_complaint ?? null,
+    symptoms: answers.symptoms || [],
+    symptom_duration: answers.symptom_duration ?? null,
+    pain_scale: answers.pain_scale ?? null,
+    chronic_conditions: answers.chronic_conditions || [],
+    allergies: answers.allergies || [],
+    current_medications: answers.current_medications || [],
+    family_medical_history: null,
+    is_pregnant: null,
+    blood_group: null,
+  };
+}
+
+/**
+ * Risk assessment with the bands from the triage prompt
+ * Emergency 80-100 (red flags, pain 8-10), Medium 50-79 (pain 5-7), Low 0-49; recent onset adds to the score
+ * @param {Object} input - { patientData }
+ */
+function triage({ patientData }) {
+  const redFlags = hasRedFlag([patientData.chief_complaint, ...(patientData.symptoms || [])].join(' '));
+  const pain = Number.isFinite(patientData.pain_scale) ? patientData.pain_scale : 0;
+  const recentOnset = ['< 24 hours', '1-3 days'].includes(patientData.symptom_duration);
+
+  let riskScore;
+  if (redFlags.length > 0) {
+    riskScore = 100;
+  } else if (pain >= 8) {
+    riskScore = 80 + (pain - 8) * 5 + (recentOnset ? 5 : 0);
+  } else if (pain >= 5) {
+    riskScore = 50 + (pain - 5) * 8 + (recentOnset ? 5 : 0);
+  } else {
+    riskScore = pain * 8 + (recentOnset ? 10 : 0);
+  }
+  riskScore = Math.min(riskScore, 100);
+
+  const riskClassification = riskScore >= 80 ? 'Emergency' : riskScore >= 50 ? 'Medium' : 'Low';
+  let urgency = riskScore >= 30 ? 'Medium' : 'Low';
+  if (riskClassification === 'Emergency') urgency = 'Critical';
+  else if (riskScore >= 65) urgency = 'High';
+
+  return {
+    risk_score: riskScore,
+    risk_classification: riskClassification,
+    recommended_department: recommendDepartment(patientData),
+    urgency,
+    reasoning: redFlags.length > 0
+      ? `Red flag symptoms reported (${redFlags.join(', ')}). Needs immediate medical attention.`
+      : `Pain ${pain}/10 with symptoms for ${patientData.symptom_duration || 'an unknown duration'}. ` +
+        `Classified ${riskClassification} by the offline rule set.`,
+    red_flags_detected: redFlags,
+    requires_immediate_attention: riskClassification === 'Emergency',
+  };
+}
+
+/**
+ * Email copy
+ * @param {Object} input - { kind: 'appointment_reminder', patient, doctor, appointment }
+ */
+function copywrite({ kind, patient, doctor }) {
+  if (kind !== 'appointment_reminder') {
+    throw new Error(`Offline provider has no copy for ${kind}`);
+  }
+
+  const firstName = String(patient?.name || '').split(/\s+/)[0] || 'there';
+
+  return {
+    subject: 'Reminder: your upcoming appointment at our clinic',
+    greeting: `Dear ${firstName},`,
+    reminder: `This is a friendly reminder of your upcoming appointment with Dr. ${doctor?.name || 'your doctor'}.`,
+    preparation_tips: [
+      'Please arrive 10-15 minutes early for registration.',
+      'Bring any previous prescriptions, reports and a list of the medicines you take.',
+      'Carry a photo ID.',
+    ],
+    closing: 'We look forward to seeing you. Take care!',
+  };
+}
+
+const HANDLERS = {
+  chat,
+  extraction: extract,
+  triage,
+  copywriting: copywrite,
+};
+
+/**
+ * Complete a request - JSON capabilities get a JSON string, like a model would return
+ */
+async function complete(request) {
+  const handler = HANDLERS[request.capability];
+  if (!handler) {
+    throw new Error(`Offline provider does not support ${request.capability}`);
+  }
+
+  const output = handler(request.input || {});
+  return typeof output === 'string' ? output : JSON.stringify(output);
+}
+
+export default {
+  name: 'offline',
+  rateLimited: false,
+  isConfigured: () => true,
+  complete,
+};
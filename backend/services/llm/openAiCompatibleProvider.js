@@ -0,0 +1,67 @@
+import axios from 'axios';
+
+/**
+ * OpenAI-compatible LLM Provider for MediFlow
+ * Any server exposing POST /chat/completions - a local Ollama, vLLM, llama.cpp or
+ * LM Studio endpoint, or a hosted OpenAI-compatible API
+ *
+ * Env:
+ * - LLM_OPENAI_BASE_URL (default http://localhost:11434/v1 - Ollama)
+ * - LLM_OPENAI_MODEL (default llama3.1)
+ * - LLM_OPENAI_API_KEY (optional - local servers usually need none)
+ * - LLM_OPENAI_TIMEOUT_MS (default 60000)
+ */
+
+const BASE_URL = (process.env.LLM_OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const MODEL = process.env.LLM_OPENAI_MODEL || 'llama3.1';
+const TIMEOUT_MS = parseInt(process.env.LLM_OPENAI_TIMEOUT_MS, 10) || 60000;
+
+/**
+ * Complete a request
+ * The system prompt becomes the system message; single prompts are one user message.
+ * @param {Object} request - { system, history, message, prompt, maxOutputTokens, temperature }
+ * @returns {Promise<string>}
+ */
+async function complete({ system, history = [], message, prompt, maxOutputTokens, temperature }) {
+  const messages =
+    message === undefined
+      ? [{ role: 'user', content: prompt }]
+      : [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...history.map(({ role, content }) => ({ role: role === 'assistant' ? 'assistant' : 'user', content })),
+          { role: 'user', content: message },
+        ];
+
+  try {
+    const response = await axios.post(
+      `${BASE_URL}/chat/completions`,
+      {
+        model: MODEL,
+        messages,
+        ...(maxOutputTokens && { max_tokens: maxOutputTokens }),
+        ...(temperature !== undefined && { temperature }),
+      },
+      {
+        timeout: TIMEOUT_MS,
+        headers: process.env.LLM_OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.LLM_OPENAI_API_KEY}` } : {},
+      }
+    );
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Empty completion');
+    }
+
+    return text;
+  } catch (error) {
+    const status = error.response?.status;
+    throw new Error(`OpenAI-compatible endpoint ${BASE_URL} failed${status ? ` (${status})` : ''}: ${error.message}`);
+  }
+}
+
+export default {
+  name: 'openai-compatible',
+  rateLimited: false,
+  isConfigured: () => Boolean(BASE_URL),
+  complete,
+};
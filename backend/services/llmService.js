@@ -1,34 +1,61 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import logger from '../utils/logger.js';
+import geminiProvider from './llm/geminiProvider.js';
+import openAiCompatibleProvider from './llm/openAiCompatibleProvider.js';
+import offlineProvider from './llm/offlineProvider.js';
 
 /**
- * Multi-API Key Configuration
- * Add multiple Gemini API keys to distribute load
+ * LLM Service for MediFlow
+ * The chatbot, patient data extraction, triage and email copy behind one
+ * provider interface, so each can run on Gemini, a local OpenAI-compatible
+ * model or the offline scripted provider
+ *
+ * Flow:
+ * 1. Each capability (chat, extraction, triage, copywriting) picks its provider
+ *    from LLM_<CAPABILITY>_PROVIDER, then LLM_PROVIDER, then the default
+ *    (gemini when a GEMINI_API_KEY is set, otherwise offline)
+ * 2. The request carries both the rendered prompt (for real models) and the
+ *    structured input (for the offline provider)
+ * 3. Rate-limited providers go through the per-capability queues below
+ * 4. Responses are post-processed the same way whatever the provider
+ *    (PATIENT_COMPLETE / emergency detection, JSON parsing)
+ *
+ * Provider contract: { name, rateLimited, isConfigured(), complete(request) → Promise<string> }
  */
-const API_KEYS = [
-  process.env.GEMINI_API_KEY,
-  process.env.GEMINI_API_KEY_2,
-  process.env.GEMINI_API_KEY_3,
-].filter(Boolean); // Remove undefined keys
-
-if (API_KEYS.length === 0) {
-  throw new Error('No Gemini API keys found in environment variables');
-}
 
-logger.info(`🔑 Loaded ${API_KEYS.length} Gemini API key(s)`);
+const PROVIDERS = {
+  [geminiProvider.name]: geminiProvider,
+  [openAiCompatibleProvider.name]: openAiCompatibleProvider,
+  [offlineProvider.name]: offlineProvider,
+};
+
+const CAPABILITIES = ['chat', 'extraction', 'triage', 'copywriting'];
 
-// Initialize multiple Gemini clients
-const genAIClients = API_KEYS.map(key => new GoogleGenerativeAI(key));
-let currentKeyIndex = 0;
+const DEFAULT_PROVIDER =
+  process.env.LLM_PROVIDER || (geminiProvider.isConfigured() ? geminiProvider.name : offlineProvider.name);
 
 /**
- * Get next available Gemini client (round-robin)
+ * Provider per capability - fails fast at startup on a typo or a provider without credentials
  */
-function getNextClient() {
-  const client = genAIClients[currentKeyIndex];
-  currentKeyIndex = (currentKeyIndex + 1) % genAIClients.length;
-  return client;
-}
+const PROVIDER_BY_CAPABILITY = Object.fromEntries(
+  CAPABILITIES.map((capability) => {
+    const name = process.env[`LLM_${capability.toUpperCase()}_PROVIDER`] || DEFAULT_PROVIDER;
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${name}" for ${capability} (use ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    if (!provider.isConfigured()) {
+      throw new Error(`LLM provider "${name}" for ${capability} is not configured`);
+    }
+
+    return [capability, provider];
+  })
+);
+
+logger.info(
+  `🤖 LLM providers: ${CAPABILITIES.map((capability) => `${capability}=${PROVIDER_BY_CAPABILITY[capability].name}`).join(', ')}`
+);
 
 /**
  * ✅ OPTIMIZATION 1: Response Cache (reduce duplicate calls)
@@ -350,7 +377,70 @@ If patient mentions ANY red flag symptom, respond with:
 Be compassionate, helpful, and prioritize patient safety above all!`;
 
 /**
- * Get chatbot response from Gemini (uses dedicated CHAT queue)
+ * The model's acknowledgement of the system prompt (providers that take the
+ * system prompt as a conversation turn)
+ */
+const SYSTEM_ACK = 'Understood! I\'m MediBot, a compassionate medical triage assistant for MediFlow Clinic. I will have empathetic conversations to collect patient information while prioritizing safety. I will NEVER show JSON or technical data to patients. I MUST collect name, age, gender, phone, email, symptoms, and medical history unless patient refuses. I will output "PATIENT_COMPLETE" ONLY ONCE at the end of the summary. I will NEVER use square brackets [] in summaries - only commas. If red flag symptoms are mentioned, I will immediately recommend emergency care. Follow-up questions after completion will NOT trigger "PATIENT_COMPLETE" again. Phone numbers will have +91 prefix added if not present.';
+
+const QUEUE_BY_CAPABILITY = {
+  chat: chatQueue,
+  extraction: extractionQueue,
+  triage: triageQueue,
+};
+
+/**
+ * Conversation turns in either shape ({ role, content } or Gemini's { role, parts })
+ * → provider-neutral { role: 'user'|'assistant', content }
+ */
+function normalizeHistory(history = []) {
+  return history
+    .filter((turn) => turn && turn.role !== 'system')
+    .map((turn) => ({
+      role: ['assistant', 'model', 'doctor', 'staff'].includes(turn.role) ? 'assistant' : 'user',
+      content: turn.content ?? (turn.parts || []).map((part) => part.text).join(''),
+    }));
+}
+
+/**
+ * Send a request to the capability's provider (through its queue when the provider is rate limited)
+ * @returns {Promise<{ text: string, provider: string }>}
+ */
+async function complete(capability, request) {
+  const provider = PROVIDER_BY_CAPABILITY[capability];
+  const run = async () => ({
+    text: await provider.complete({ capability, ...request }),
+    provider: provider.name,
+  });
+
+  const queue = QUEUE_BY_CAPABILITY[capability];
+  return provider.rateLimited && queue ? queue.addRequest(run) : run();
+}
+
+/**
+ * Parse the JSON object in a model response (models like to wrap it in markdown fences)
+ */
+function parseJsonResponse(text) {
+  const jsonMatch = String(text).replace(/```(json)?\n?/g, '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in response');
+  }
+
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Generate a JSON object for a capability
+ * @param {string} capability - 'extraction', 'triage' or 'copywriting'
+ * @param {Object} request - { prompt, input } (input is what the offline provider works from)
+ * @returns {Promise<{ data: Object, provider: string }>}
+ */
+async function generateJson(capability, request) {
+  const { text, provider } = await complete(capability, { json: true, ...request });
+  return { data: parseJsonResponse(text), provider };
+}
+
+/**
+ * Get chatbot response (uses dedicated CHAT queue for rate-limited providers)
  * ✅ OPTIMIZED: Added response caching
  */
 const getChatResponse = async (userMessage, conversationHistory = []) => {
@@ -362,90 +452,71 @@ const getChatResponse = async (userMessage, conversationHistory = []) => {
     return cached;
   }
 
-  const result = await chatQueue.addRequest(async () => {
-    try {
-      logger.ai('[CHAT] Calling Gemini API for medical triage');
-      
-      const genAI = getNextClient(); // Rotate API key
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
+  try {
+    logger.ai(`[CHAT] Calling ${PROVIDER_BY_CAPABILITY.chat.name} for medical triage`);
+
+    const history = normalizeHistory(conversationHistory);
 
+    const { text: response, provider } = await complete('chat', {
+      system: SYSTEM_PROMPT,
+      systemAck: SYSTEM_ACK,
       // ✅ OPTIMIZATION: Limit conversation history to last 10 messages
-      const recentHistory = conversationHistory.slice(-10);
-
-      const chat = model.startChat({
-        history: [
-          {
-            role: 'user',
-            parts: [{ text: SYSTEM_PROMPT }],
-          },
-          {
-            role: 'model',
-            parts: [{ text: 'Understood! I\'m MediBot, a compassionate medical triage assistant for MediFlow Clinic. I will have empathetic conversations to collect patient information while prioritizing safety. I will NEVER show JSON or technical data to patients. I MUST collect name, age, gender, phone, email, symptoms, and medical history unless patient refuses. I will output "PATIENT_COMPLETE" ONLY ONCE at the end of the summary. I will NEVER use square brackets [] in summaries - only commas. If red flag symptoms are mentioned, I will immediately recommend emergency care. Follow-up questions after completion will NOT trigger "PATIENT_COMPLETE" again. Phone numbers will have +91 prefix added if not present.' }],
-          },
-          ...recentHistory, // ✅ Use limited history
-        ],
-        generationConfig: {
-          maxOutputTokens: 500, // ✅ Reduced from 600 to 500
-          temperature: 0.7,
-        },
-      });
-
-      const result = await chat.sendMessage(userMessage);
-      const response = result.response.text();
-
-      logger.success('[CHAT] Response received');
-
-      const isPatientComplete = response.includes('PATIENT_COMPLETE');
-      const cleanResponse = response.replace('PATIENT_COMPLETE', '').trim();
-
-      // Check for emergency keywords
-      const emergencyKeywords = [
-        'call 102', 'call 108', 'emergency room', 'medical emergency',
-        'emergency services', 'go to hospital', 'visit emergency'
-      ];
-      const isEmergency = emergencyKeywords.some(keyword => 
-        cleanResponse.toLowerCase().includes(keyword.toLowerCase())
-      );
-
-      const responseData = {
-        success: true,
-        response: cleanResponse,
-        isPatientComplete,
-        isEmergency,
-      };
-
-      // ✅ OPTIMIZATION: Cache the response
-      responseCache.set(cacheKey, responseData);
-
-      return responseData;
-    } catch (error) {
-      logger.error('[CHAT] Error:', error.message);
-      throw error;
-    }
-  });
+      history: history.slice(-10),
+      message: userMessage,
+      maxOutputTokens: 500,
+      temperature: 0.7,
+      input: { message: userMessage, history },
+    });
+
+    logger.success('[CHAT] Response received');
+
+    const isPatientComplete = response.includes('PATIENT_COMPLETE');
+    const cleanResponse = response.replace('PATIENT_COMPLETE', '').trim();
+
+    // Check for emergency keywords
+    const emergencyKeywords = [
+      'call 102', 'call 108', 'emergency room', 'medical emergency',
+      'emergency services', 'go to hospital', 'visit emergency'
+    ];
+    const isEmergency = emergencyKeywords.some(keyword =>
+      cleanResponse.toLowerCase().includes(keyword.toLowerCase())
+    );
+
+    const responseData = {
+      success: true,
+      response: cleanResponse,
+      isPatientComplete,
+      isEmergency,
+      provider,
+    };
+
+    // ✅ OPTIMIZATION: Cache the response
+    responseCache.set(cacheKey, responseData);
 
-  return result;
+    return responseData;
+  } catch (error) {
+    logger.error('[CHAT] Error:', error.message);
+    throw error;
+  }
 };
 
 /**
- * Extract patient data (uses dedicated EXTRACTION queue)
+ * Extract patient data (uses dedicated EXTRACTION queue for rate-limited providers)
  * ✅ OPTIMIZED: Reduced prompt size
  */
 const extractPatientData = async (conversationHistory) => {
-  return extractionQueue.addRequest(async () => {
-    try {
-      logger.ai('[EXTRACTION] Extracting patient data');
+  try {
+    logger.ai('[EXTRACTION] Extracting patient data');
 
-      const genAI = getNextClient(); // Rotate API key
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
+    const messages = normalizeHistory(conversationHistory);
 
-      // ✅ OPTIMIZATION: Only include user messages (skip assistant messages)
-      const userMessages = conversationHistory
-        .filter(msg => msg.role === 'user' || msg.role === 'patient')
-        .map(msg => msg.content)
-        .join('\n');
+    // ✅ OPTIMIZATION: Only include user messages (skip assistant messages)
+    const userMessages = messages
+      .filter(msg => msg.role === 'user')
+      .map(msg => msg.content)
+      .join('\n');
 
-      const extractionPrompt = `Extract patient data from this conversation:
+    const extractionPrompt = `Extract patient data from this conversation:
 
 ${userMessages}
 
@@ -471,45 +542,34 @@ Return JSON:
   "blood_group": "string or null"
 }`;
 
-      const result = await model.generateContent(extractionPrompt);
-      const responseText = result.response.text();
-
-      let cleanText = responseText.replace(/``````\n?/g, '').trim();
-      
-      const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response');
-      }
-
-      const extractedData = JSON.parse(jsonMatch[0]);
+    const { data: extractedData, provider } = await generateJson('extraction', {
+      prompt: extractionPrompt,
+      input: { messages },
+    });
 
-      logger.success('[EXTRACTION] Patient data extracted');
+    logger.success('[EXTRACTION] Patient data extracted');
 
-      return {
-        success: true,
-        data: extractedData,
-      };
-    } catch (error) {
-      logger.error('[EXTRACTION] Error:', error.message);
-      throw error;
-    }
-  });
+    return {
+      success: true,
+      data: extractedData,
+      provider,
+    };
+  } catch (error) {
+    logger.error('[EXTRACTION] Error:', error.message);
+    throw error;
+  }
 };
 
 /**
- * Triage patient (medical risk assessment) - uses dedicated TRIAGE queue
+ * Triage patient (medical risk assessment) - uses dedicated TRIAGE queue for rate-limited providers
  * ✅ OPTIMIZED: Simplified prompt
  */
 const triagePatient = async (patientData, conversationHistory) => {
-  return triageQueue.addRequest(async () => {
-    try {
-      logger.ai('[TRIAGE] Performing medical risk assessment');
+  try {
+    logger.ai('[TRIAGE] Performing medical risk assessment');
 
-      const genAI = getNextClient(); // Rotate API key
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-
-      // ✅ OPTIMIZATION: Simplified triage prompt
-      const triagePrompt = `Triage this patient (WHO standards):
+    // ✅ OPTIMIZATION: Simplified triage prompt
+    const triagePrompt = `Triage this patient (WHO standards):
 
 ${JSON.stringify(patientData, null, 2)}
 
@@ -532,39 +592,40 @@ Return JSON:
   "requires_immediate_attention": boolean
 }`;
 
-      const result = await model.generateContent(triagePrompt);
-      const responseText = result.response.text();
+    const { data: triageData, provider } = await generateJson('triage', {
+      prompt: triagePrompt,
+      input: { patientData, history: normalizeHistory(conversationHistory) },
+    });
 
-      let cleanText = responseText.replace(/``````\n?/g, '').trim();
-      
-      const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response');
-      }
+    logger.success('[TRIAGE] Patient risk assessment completed');
 
-      const triageData = JSON.parse(jsonMatch[0]);
-
-      logger.success('[TRIAGE] Patient risk assessment completed');
-
-      return {
-        success: true,
-        risk_score: triageData.risk_score,
-        risk_classification: triageData.risk_classification,
-        recommended_department: triageData.recommended_department,
-        urgency: triageData.urgency,
-        reasoning: triageData.reasoning,
-        red_flags_detected: triageData.red_flags_detected || [],
-        requires_immediate_attention: triageData.requires_immediate_attention || false,
-      };
-    } catch (error) {
-      logger.error('[TRIAGE] Error:', error.message);
-      throw error;
-    }
-  });
+    return {
+      success: true,
+      risk_score: triageData.risk_score,
+      risk_classification: triageData.risk_classification,
+      recommended_department: triageData.recommended_department,
+      urgency: triageData.urgency,
+      reasoning: triageData.reasoning,
+      red_flags_detected: triageData.red_flags_detected || [],
+      requires_immediate_attention: triageData.requires_immediate_attention || false,
+      provider,
+    };
+  } catch (error) {
+    logger.error('[TRIAGE] Error:', error.message);
+    throw error;
+  }
 };
 
+/**
+ * Which provider serves each capability
+ */
+const getProviderConfig = () =>
+  Object.fromEntries(CAPABILITIES.map((capability) => [capability, PROVIDER_BY_CAPABILITY[capability].name]));
+
 export default {
   getChatResponse,
   extractPatientData,
   triagePatient,
+  generateJson,
+  getProviderConfig,
 };
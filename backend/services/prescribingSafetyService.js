@@ -0,0 +1,292 @@
+/**
+ * Prescribing Safety Service for MediFlow
+ * Drug–allergy and drug–drug interaction checks when a doctor prescribes
+ *
+ * Flow:
+ * 1. Prescribed drug names (generic, brand or combination) are resolved against
+ *    the offline catalog (utils/drugSafetyCatalog)
+ * 2. Each drug is checked against the patient's recorded allergies (direct,
+ *    same-class and cross-reactive), their current medications and the other
+ *    drugs on the same prescription (interactions and therapeutic duplication)
+ * 3. High-severity alerts block the prescription (409) unless the doctor gives an
+ *    override reason; moderate / low alerts are returned as warnings
+ * 4. Overrides are stored on the prescription and written to the audit trail
+ *
+ * Consultation.medications_prescribed is only ever written from a saved
+ * prescription, so checking prescriptions covers it too.
+ */
+
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/serviceHelpers.js';
+import auditService from './auditService.js';
+import {
+  SEVERITIES,
+  DRUG_CLASSES,
+  CROSS_REACTIVITY,
+  INTERACTIONS,
+  resolveDrugs,
+  resolveClasses,
+  classesOf,
+  displayName,
+} from '../utils/drugSafetyCatalog.js';
+
+/**
+ * Build an error carrying the HTTP status the controller should return
+ */
+function safetyError(message, status, alerts = []) {
+  const error = httpError(message, status);
+  error.alerts = alerts;
+  return error;
+}
+
+/**
+ * Stronger of two severities (null when neither)
+ */
+function strongest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return SEVERITIES.indexOf(a) <= SEVERITIES.indexOf(b) ? a : b;
+}
+
+/**
+ * Generics plus their classes - what interaction and cross-reactivity rules match on
+ */
+function tagsOf(generics) {
+  return new Set([...generics, ...generics.flatMap(classesOf)]);
+}
+
+/**
+ * Free-text drug entry → { name, generics, tags }
+ */
+function resolveEntry(entry) {
+  const name = String((entry && entry.drug_name) || entry || '').trim();
+  const generics = resolveDrugs(name);
+  return { name, generics, tags: tagsOf(generics) };
+}
+
+/**
+ * Worst allergy alert for one prescribed drug against one recorded allergy
+ */
+function allergyAlert(drug, allergy) {
+  let match = null;
+
+  for (const generic of drug.generics) {
+    const drugClasses = classesOf(generic);
+
+    if (allergy.generics.includes(generic)) {
+      return {
+        severity: 'high',
+        rationale: `Patient has a recorded allergy to ${allergy.text}`,
+      };
+    }
+
+    const namedClass = drugClasses.find((key) => allergy.classes.includes(key));
+    if (namedClass) {
+      return {
+        severity: 'high',
+        rationale: `${generic} is one of the ${displayName(namedClass)} - patient has a recorded ${allergy.text} allergy`,
+      };
+    }
+
+    for (const allergen of allergy.generics) {
+      const sharedClass = classesOf(allergen).find(
+        (key) => drugClasses.includes(key) && DRUG_CLASSES[key].within_class
+      );
+
+      if (sharedClass && strongest(match?.severity, DRUG_CLASSES[sharedClass].within_class) !== match?.severity) {
+        match = {
+          severity: DRUG_CLASSES[sharedClass].within_class,
+          rationale: `${generic} and ${allergen} are both ${displayName(sharedClass)} - risk of cross-reactivity`,
+        };
+      }
+    }
+
+    for (const rule of CROSS_REACTIVITY) {
+      if (
+        allergy.tags.has(rule.allergy) &&
+        drugClasses.concat(generic).includes(rule.drug) &&
+        strongest(match?.severity, rule.severity) !== match?.severity
+      ) {
+        match = { severity: rule.severity, rationale: rule.rationale };
+      }
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Interaction and duplication alerts between two drug entries
+ * @param {boolean} current - `other` is a medication the patient already takes
+ */
+function pairAlerts(drug, other, current) {
+  const alerts = [];
+  const source = current ? 'current_medication' : 'prescription';
+  const base = { drug: drug.name, conflicts_with: other.name, source };
+
+  const sameDrug = drug.generics.find((generic) => other.generics.includes(generic));
+  if (sameDrug) {
+    alerts.push({
+      ...base,
+      type: 'duplicate',
+      severity: current ? 'low' : 'moderate',
+      rationale: current
+        ? `Patient already takes ${sameDrug} - confirm this continues or replaces it`
+        : `${sameDrug} is prescribed twice`,
+    });
+  } else {
+    const sharedClass = [...drug.tags].find(
+      (tag) => DRUG_CLASSES[tag]?.duplicate_therapy && other.tags.has(tag)
+    );
+
+    if (sharedClass) {
+      alerts.push({
+        ...base,
+        type: 'duplicate',
+        severity: 'moderate',
+        rationale: `Both are ${displayName(sharedClass)} - therapeutic duplication`,
+      });
+    }
+  }
+
+  // A drug does not interact with itself - duplicates are reported above.
+  // Several rules can match one pair (warfarin + aspirin); the most severe is reported.
+  let interaction = null;
+  for (const rule of INTERACTIONS) {
+    const matches =
+      (drug.tags.has(rule.a) && other.tags.has(rule.b)) || (drug.tags.has(rule.b) && other.tags.has(rule.a));
+
+    if (matches && !sameDrug && strongest(interaction?.severity, rule.severity) !== interaction?.severity) {
+      interaction = rule;
+    }
+  }
+
+  if (interaction) {
+    alerts.push({ ...base, type: 'interaction', severity: interaction.severity, rationale: interaction.rationale });
+  }
+
+  return alerts;
+}
+
+/**
+ * Check drugs against a patient's allergies, current medications and each other
+ * @param {Object} data - { medications: [name or { drug_name }], allergies: [String], currentMedications: [String] }
+ * @returns {Object} - { alerts, blocking, unrecognized }
+ */
+function checkMedications({ medications = [], allergies = [], currentMedications = [] }) {
+  const prescribed = medications.map(resolveEntry).filter((drug) => drug.name);
+  const current = currentMedications.map(resolveEntry).filter((drug) => drug.generics.length > 0);
+  const recordedAllergies = allergies
+    .map((text) => String(text || '').trim())
+    .filter(Boolean)
+    .map((text) => {
+      const generics = resolveDrugs(text);
+      const classes = resolveClasses(text);
+      return { text, generics, classes, tags: new Set([...tagsOf(generics), ...classes]) };
+    });
+
+  const alerts = [];
+
+  prescribed.forEach((drug, index) => {
+    for (const allergy of recordedAllergies) {
+      const match = allergyAlert(drug, allergy);
+      if (match) {
+        alerts.push({ type: 'allergy', drug: drug.name, conflicts_with: allergy.text, source: 'allergy', ...match });
+      }
+    }
+
+    for (const other of prescribed.slice(index + 1)) {
+      alerts.push(...pairAlerts(drug, other, false));
+    }
+
+    for (const other of current) {
+      alerts.push(...pairAlerts(drug, other, true));
+    }
+  });
+
+  alerts.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  return {
+    alerts,
+    blocking: alerts.some((alert) => alert.severity === 'high'),
+    unrecognized: prescribed.filter((drug) => drug.generics.length === 0).map((drug) => drug.name),
+  };
+}
+
+/**
+ * Check drugs for a patient (their recorded allergies and current medications)
+ * @param {Object} patient - Patient document
+ * @param {Array} medications - [name or { drug_name }]
+ */
+function checkForPatient(patient, medications) {
+  return checkMedications({
+    medications,
+    allergies: patient.allergies || [],
+    currentMedications: patient.current_medications || [],
+  });
+}
+
+/**
+ * Check a prescription before it is saved - high-severity alerts need an override reason
+ * @param {Object} patient - Patient document
+ * @param {Array} medications - Prescribed medications
+ * @param {string} overrideReason - Doctor's reason for prescribing despite high-severity alerts
+ * @param {Object} user - Prescribing doctor (req.user)
+ * @returns {Object} - { alerts, unrecognized, override } (override is null when nothing was overridden)
+ */
+function screenPrescription(patient, medications, overrideReason, user) {
+  const check = checkForPatient(patient, medications);
+  const reason = overrideReason ? String(overrideReason).trim() : '';
+
+  if (check.blocking && !reason) {
+    const high = check.alerts.filter((alert) => alert.severity === 'high');
+    throw safetyError(
+      `High-severity prescribing alert (${high.map((alert) => `${alert.drug}: ${alert.conflicts_with}`).join('; ')}) - ` +
+        'change the prescription or give an override_reason',
+      409,
+      check.alerts
+    );
+  }
+
+  return {
+    alerts: check.alerts,
+    unrecognized: check.unrecognized,
+    override: check.blocking
+      ? {
+          reason,
+          alerts: check.alerts.filter((alert) => alert.severity === 'high'),
+          overridden_by: user._id,
+          overridden_at: new Date(),
+        }
+      : null,
+  };
+}
+
+/**
+ * Record an override in the audit trail - never throws
+ * @param {Object} prescription - Saved prescription
+ * @param {Object} override - From screenPrescription
+ * @param {Object} user - Prescribing doctor (req.user)
+ */
+async function logOverride(prescription, override, user) {
+  logger.hipaa(
+    `Dr. ${user.email} overrode ${override.alerts.length} high-severity prescribing alert(s) on ` +
+      `${prescription.prescription_number} v${prescription.version}`
+  );
+
+  await auditService.record({
+    actor: { type: 'staff', user_id: user._id, name: user.name, email: user.email, role: user.role },
+    action: 'update',
+    resource: 'prescription',
+    resource_id: prescription._id.toString(),
+    patient_ids: [prescription.patient_id],
+    fields: ['safety_overrides'],
+  });
+}
+
+export default {
+  checkMedications,
+  checkForPatient,
+  screenPrescription,
+  logOverride,
+};
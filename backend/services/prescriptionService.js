@@ -0,0 +1,529 @@
+/**
+ * Prescription Service for MediFlow
+ * Doctor-signed prescriptions, printable PDFs with a QR verification code, and email delivery
+ *
+ * Flow:
+ * 1. The appointment's doctor creates the prescription → signature block is
+ *    taken from their Doctor profile, the appointment/consultation are linked
+ * 2. The PDF (clinic letterhead + QR code) is rendered on demand - never stored
+ * 3. The PDF is emailed to the patient on create and on every amendment
+ * 4. Anyone holding the paper copy can scan the QR code → public verification
+ *    page shows whether that printed version is still current
+ *
+ * Every new or amended list of medicines is screened by prescribingSafetyService
+ * first - high-severity alerts need the doctor's override reason.
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment, { NO_VISIT_STATUSES } from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import Prescription from '../models/Prescription.js';
+import emailService from './emailService.js';
+import prescribingSafetyService from './prescribingSafetyService.js';
+import {
+  PAGE_MARGIN,
+  createClinicDocument,
+  drawSectionHeading,
+  drawKeyValueRows,
+  drawTable,
+  generateQrCode,
+  drawFooter,
+  toBuffer,
+} from '../utils/pdfDocument.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+
+const CONTENT_FIELDS = ['diagnosis', 'medications', 'advice', 'follow_up_date'];
+
+const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Public URL encoded in the QR code
+ * The printed version is included so older paper copies show as superseded
+ */
+function getVerificationUrl(prescription) {
+  const clientOrigin = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+  return `${clientOrigin}/prescriptions/verify/${prescription.verification_code}?v=${prescription.version}`;
+}
+
+/**
+ * Dates on the PDF - plain ASCII (the built-in PDF fonts have no narrow spaces)
+ */
+function formatPdfDate(date, withTime = false) {
+  return moment(date).tz(TIMEZONE).format(withTime ? 'DD MMM YYYY, h:mm A' : 'DD MMM YYYY');
+}
+
+/**
+ * Pick the content fields present in a request body
+ */
+function pickContent(body) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    if (body[field] !== undefined) {
+      content[field] = body[field];
+    }
+  }
+  return content;
+}
+
+/**
+ * Only the prescribing doctor may change a prescription
+ */
+function assertPrescriber(prescription, user) {
+  if (user.role !== 'doctor' || !user.doctor_id || String(user.doctor_id) !== String(idOf(prescription.doctor_id))) {
+    throw httpError('Only the prescribing doctor can amend this prescription', 403);
+  }
+}
+
+/**
+ * Render the prescription PDF
+ * @param {Object} prescription - Prescription document
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Buffer>}
+ */
+async function renderPrescriptionPdf(prescription, patient) {
+  const doc = createClinicDocument({
+    title: 'Prescription',
+    subtitle: `${prescription.prescription_number}${prescription.version > 1 ? `  |  Version ${prescription.version}` : ''}`,
+    metadata: { Subject: `Prescription ${prescription.prescription_number}` },
+  });
+  const { signature } = prescription;
+
+  drawKeyValueRows(doc, [
+    ['Patient', patient.name],
+    ['Age / Gender', [patient.age, patient.gender].filter(Boolean).join(' / ')],
+    ['Phone', patient.phone],
+    ['Date', formatPdfDate(signature.signed_at)],
+    ['Doctor', `Dr. ${signature.doctor_name}${signature.specialization ? ` (${signature.specialization})` : ''}`],
+    ['Department', signature.department],
+  ]);
+
+  if (prescription.diagnosis) {
+    drawSectionHeading(doc, 'Diagnosis');
+    doc.text(prescription.diagnosis, PAGE_MARGIN);
+  }
+
+  drawSectionHeading(doc, 'Rx');
+  drawTable(
+    doc,
+    [
+      { header: '#', width: 22, align: 'center' },
+      { header: 'Medicine', width: 150 },
+      { header: 'Dose', width: 70 },
+      { header: 'Route', width: 55 },
+      { header: 'Frequency', width: 80 },
+      { header: 'Duration', width: 55 },
+      { header: 'Instructions', width: 63 },
+    ],
+    prescription.medications.map((medication, index) => [
+      index + 1,
+      [medication.drug_name, medication.strength].filter(Boolean).join(' '),
+      medication.dose,
+      medication.route,
+      medication.frequency,
+      medication.duration,
+      medication.instructions || '-',
+    ])
+  );
+
+  if (prescription.advice) {
+    drawSectionHeading(doc, 'Advice');
+    doc.text(prescription.advice, PAGE_MARGIN);
+  }
+
+  if (prescription.follow_up_date) {
+    drawSectionHeading(doc, 'Follow-up');
+    doc.text(formatPdfDate(prescription.follow_up_date), PAGE_MARGIN);
+  }
+
+  // Signature block (right) and verification QR code (left), kept together on one page
+  const qrSize = 90;
+  if (doc.y + qrSize + 60 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  const blockY = doc.y + 20;
+  const qrCode = await generateQrCode(getVerificationUrl(prescription), qrSize * 2);
+  doc.image(qrCode, PAGE_MARGIN, blockY, { width: qrSize });
+  doc.font('Helvetica').fontSize(7.5).fillColor('#555555')
+    .text('Scan to verify', PAGE_MARGIN, blockY + qrSize + 2, { width: qrSize, align: 'center' });
+
+  const signatureX = doc.page.width - PAGE_MARGIN - 200;
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10)
+    .text(`Dr. ${signature.doctor_name}`, signatureX, blockY + 30, { width: 200, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text([signature.specialization, signature.department].filter(Boolean).join(', '), { width: 200, align: 'right' });
+  if (signature.registration_number) {
+    doc.text(`Reg. No: ${signature.registration_number}`, { width: 200, align: 'right' });
+  }
+  doc.text(`Digitally signed ${formatPdfDate(signature.signed_at, true)}`, { width: 200, align: 'right' });
+
+  drawFooter(
+    doc,
+    `${prescription.prescription_number} (version ${prescription.version}) - valid only with a matching QR verification`
+  );
+
+  return toBuffer(doc);
+}
+
+/**
+ * Load a prescription with its patient and doctor
+ */
+async function loadPrescription(prescriptionId) {
+  if (!mongoose.isValidObjectId(prescriptionId)) {
+    throw httpError('Invalid prescription ID', 400);
+  }
+
+  const prescription = await Prescription.findById(prescriptionId);
+  if (!prescription) {
+    throw httpError('Prescription not found', 404);
+  }
+
+  const [patient, doctor] = await Promise.all([
+    Patient.findById(prescription.patient_id),
+    Doctor.findById(prescription.doctor_id),
+  ]);
+
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  return { prescription, patient, doctor };
+}
+
+/**
+ * Render and email the prescription to the patient
+ * Never throws - a failed email does not undo the prescription
+ */
+async function deliverPrescription(prescription, patient, doctor) {
+  try {
+    const pdfBuffer = await renderPrescriptionPdf(prescription, patient);
+    const result = await emailService.sendPrescriptionEmail(
+      prescription,
+      patient,
+      doctor || { name: prescription.signature.doctor_name, department: prescription.signature.department },
+      pdfBuffer
+    );
+
+    if (result?.success) {
+      await Prescription.updateOne(
+        { _id: prescription._id },
+        { $set: { emailed_at: new Date() }, $inc: { email_count: 1 } }
+      );
+    }
+
+    return { success: Boolean(result?.success), error: result?.error || null };
+  } catch (error) {
+    logger.error(`Failed to email prescription ${prescription.prescription_number}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a prescription for an appointment
+ * @param {Object} data - { appointmentId, diagnosis, medications, advice, follow_up_date, overrideReason, sendEmail }
+ * @param {Object} user - Prescribing doctor (req.user)
+ * @returns {Object} - { prescription, email, safety: { alerts, unrecognized } }
+ */
+async function createPrescription({ appointmentId, overrideReason = null, sendEmail = true, ...body }, user) {
+  if (user.role !== 'doctor' || !user.doctor_id) {
+    throw httpError('Only doctors can write prescriptions', 403);
+  }
+
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  if (String(appointment.doctor_id) !== String(user.doctor_id)) {
+    throw httpError('You can only prescribe for your own appointments', 403);
+  }
+
+  if (NO_VISIT_STATUSES.includes(appointment.status)) {
+    throw httpError(`Cannot prescribe for an appointment with status ${appointment.status}`, 409);
+  }
+
+  const existing = await Prescription.exists({ appointment_id: appointment._id });
+  if (existing) {
+    throw httpError('This appointment already has a prescription - amend it instead', 409);
+  }
+
+  const [patient, doctor] = await Promise.all([
+    Patient.findById(appointment.patient_id),
+    Doctor.findById(user.doctor_id),
+  ]);
+
+  if (!patient || !doctor) {
+    throw httpError(!patient ? 'Patient not found' : 'Doctor not found', 404);
+  }
+
+  const { override, ...safety } = prescribingSafetyService.screenPrescription(
+    patient,
+    body.medications || [],
+    overrideReason,
+    user
+  );
+
+  let prescription = null;
+  for (let attempt = 0; attempt < 3 && !prescription; attempt++) {
+    try {
+      prescription = await Prescription.create({
+        ...Prescription.generateIdentifiers(),
+        ...pickContent(body),
+        patient_id: patient._id,
+        doctor_id: doctor._id,
+        appointment_id: appointment._id,
+        consultation_id: appointment.consultation_id || null,
+        signature: {
+          doctor_name: doctor.name,
+          specialization: doctor.specialization || null,
+          department: doctor.department || appointment.department,
+          registration_number: doctor.registration_number || null,
+          signed_by: user._id,
+          signed_at: new Date(),
+        },
+        safety_alerts: safety.alerts,
+        safety_overrides: override ? [{ ...override, version: 1 }] : [],
+      });
+    } catch (error) {
+      // Prescription number / verification code collision - draw new ones
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  if (!prescription) {
+    throw httpError('Could not allocate a prescription number', 503);
+  }
+
+  await Appointment.updateOne({ _id: appointment._id }, { $set: { prescription_id: prescription._id } });
+
+  if (appointment.consultation_id) {
+    await Consultation.updateOne(
+      { _id: appointment.consultation_id },
+      {
+        $set: {
+          prescription_id: prescription._id,
+          medications_prescribed: prescription.medications.map((medication) => medication.drug_name),
+          prescription_document_url: `/api/prescriptions/${prescription._id}/pdf`,
+        },
+      }
+    );
+  }
+
+  logger.success(`💊 Prescription ${prescription.prescription_number} created by Dr. ${doctor.name}`);
+
+  if (override) {
+    await prescribingSafetyService.logOverride(prescription, override, user);
+  }
+
+  const email = sendEmail ? await deliverPrescription(prescription, patient, doctor) : null;
+
+  return { prescription, email, safety };
+}
+
+/**
+ * Amend a prescription - previous content is kept as a revision and the patient gets the new PDF
+ * @param {string} prescriptionId
+ * @param {Object} data - { diagnosis, medications, advice, follow_up_date, reason, overrideReason, sendEmail }
+ * @param {Object} user - Prescribing doctor (req.user)
+ * @returns {Object} - { prescription, email, safety } (safety is null when the medicines did not change)
+ */
+async function amendPrescription(prescriptionId, { reason, overrideReason = null, sendEmail = true, ...body }, user) {
+  const { prescription, patient, doctor } = await loadPrescription(prescriptionId);
+
+  assertPrescriber(prescription, user);
+
+  if (!reason || !String(reason).trim()) {
+    throw httpError('A reason for the amendment is required', 400);
+  }
+
+  const changes = pickContent(body);
+  if (Object.keys(changes).length === 0) {
+    throw httpError('Nothing to amend', 400);
+  }
+
+  let safety = null;
+  let override = null;
+  if (changes.medications) {
+    ({ override, ...safety } = prescribingSafetyService.screenPrescription(
+      patient,
+      changes.medications,
+      overrideReason,
+      user
+    ));
+
+    prescription.safety_alerts = safety.alerts;
+    if (override) {
+      prescription.safety_overrides.push({ ...override, version: prescription.version + 1 });
+    }
+  }
+
+  await prescription.amend(changes, { userId: user._id, reason: String(reason).trim() });
+
+  if (prescription.consultation_id && changes.medications) {
+    await Consultation.updateOne(
+      { _id: prescription.consultation_id },
+      { $set: { medications_prescribed: prescription.medications.map((medication) => medication.drug_name) } }
+    );
+  }
+
+  logger.info(`💊 Prescription ${prescription.prescription_number} amended to version ${prescription.version}`);
+
+  if (override) {
+    await prescribingSafetyService.logOverride(prescription, override, user);
+  }
+
+  const email = sendEmail ? await deliverPrescription(prescription, patient, doctor) : null;
+
+  return { prescription, email, safety };
+}
+
+/**
+ * Screen medicines for a patient before prescribing (nothing is saved)
+ * @param {string} patientId
+ * @param {Array} medications - [name or { drug_name }]
+ * @returns {Object} - { patient_id, alerts, blocking, unrecognized }
+ */
+async function checkMedicationSafety(patientId, medications) {
+  if (!mongoose.isValidObjectId(patientId)) {
+    throw httpError('Invalid patient ID', 400);
+  }
+
+  const patient = await Patient.findById(patientId);
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  return {
+    patient_id: patient._id,
+    ...prescribingSafetyService.checkForPatient(patient, medications),
+  };
+}
+
+/**
+ * Get a prescription with its patient and doctor
+ */
+async function getPrescription(prescriptionId) {
+  return loadPrescription(prescriptionId);
+}
+
+/**
+ * Re-send the current version to the patient
+ */
+async function emailPrescription(prescriptionId) {
+  const { prescription, patient, doctor } = await loadPrescription(prescriptionId);
+
+  if (!patient.email) {
+    throw httpError('Patient has no email address', 422);
+  }
+
+  const result = await deliverPrescription(prescription, patient, doctor);
+  if (!result.success) {
+    throw httpError(`Email not sent: ${result.error}`, 502);
+  }
+
+  return { prescription, email: result };
+}
+
+/**
+ * Prescriptions for a patient, newest first
+ */
+async function getPatientPrescriptions(patientId, { page = 1, limit = 50 } = {}) {
+  const query = { patient_id: patientId };
+
+  const [prescriptions, total] = await Promise.all([
+    Prescription.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-revisions')
+      .lean(),
+    Prescription.countDocuments(query),
+  ]);
+
+  return { prescriptions, total };
+}
+
+/**
+ * Public QR verification - only what a pharmacist needs to check the paper copy
+ * @param {string} code - verification_code from the QR code
+ * @param {number} printedVersion - Version printed on the scanned copy (?v=)
+ */
+async function verifyPrescription(code, printedVersion = null) {
+  const prescription = code ? await Prescription.findOne({ verification_code: String(code) }) : null;
+
+  if (!prescription) {
+    throw httpError('Prescription not found - this copy cannot be verified', 404);
+  }
+
+  // A version that was never issued means the printed copy was tampered with
+  const version = printedVersion ? parseInt(printedVersion, 10) : prescription.version;
+  if (!(version >= 1 && version <= prescription.version)) {
+    throw httpError('Prescription not found - this copy cannot be verified', 404);
+  }
+
+  // An old copy only learns that it is out of date - never the amended contents
+  if (version !== prescription.version) {
+    return {
+      status: 'superseded',
+      superseded: true,
+      prescription_number: prescription.prescription_number,
+      scanned_version: version,
+      issued_at: prescription.createdAt,
+    };
+  }
+
+  const patient = await Patient.findById(prescription.patient_id).select('name').lean();
+
+  // Initials only - the verification page is public
+  const patientInitials = (patient?.name || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}.`)
+    .join(' ');
+
+  return {
+    status: 'valid',
+    superseded: false,
+    prescription_number: prescription.prescription_number,
+    scanned_version: version,
+    current_version: prescription.version,
+    issued_at: prescription.createdAt,
+    signed_at: prescription.signature.signed_at,
+    patient_initials: patientInitials || null,
+    doctor: {
+      name: prescription.signature.doctor_name,
+      specialization: prescription.signature.specialization,
+      department: prescription.signature.department,
+      registration_number: prescription.signature.registration_number,
+    },
+    medications: prescription.medications.map((medication) => ({
+      drug_name: medication.drug_name,
+      strength: medication.strength,
+      dose: medication.dose,
+      frequency: medication.frequency,
+      duration: medication.duration,
+    })),
+  };
+}
+
+export default {
+  getVerificationUrl,
+  renderPrescriptionPdf,
+  createPrescription,
+  amendPrescription,
+  checkMedicationSafety,
+  getPrescription,
+  emailPrescription,
+  getPatientPrescriptions,
+  verifyPrescription,
+};
@@ -0,0 +1,372 @@
+/**
+ * Queue Service for MediFlow
+ * Reception check-in and the per-department waiting-room queue
+ *
+ * Flow:
+ * 1. Reception checks the patient in (appointment ID or the appointment QR code)
+ *    → the patient's triage level is snapshotted onto the appointment
+ * 2. Waiting patients are ordered by queue tier (Emergency, Medium, everyone else)
+ *    and then by their daily token number
+ * 3. The doctor calls the next token → appointment moves to in_progress and
+ *    socket.io rooms `queue:<department>` / `queue:all` get `tokenCalled`
+ * 4. Every queue change broadcasts `queueUpdate` with the public board
+ *
+ * The public board carries tokens and doctor names only - never patient details.
+ * Broadcasts never throw into the request that triggered them.
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import bookingService from './bookingService.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Appointment statuses that can be checked in
+ */
+const CHECK_IN_STATUSES = ['scheduled', 'confirmed', 'reminder_sent'];
+
+/**
+ * Waiting order: queue tier, then token, then arrival
+ */
+const QUEUE_SORT = { queue_priority: -1, token_sequence: 1, checked_in_at: 1 };
+
+/**
+ * Socket.io room for a department board (null = every department)
+ */
+const roomFor = (department) => `queue:${department || 'all'}`;
+
+let io = null;
+
+/**
+ * Register the socket.io server used for queue broadcasts
+ */
+function setSocketServer(server) {
+  io = server;
+}
+
+/**
+ * Today's bounds in clinic time
+ */
+function getTodayRange() {
+  const now = moment().tz(TIMEZONE);
+  return { start: now.clone().startOf('day').toDate(), end: now.clone().endOf('day').toDate() };
+}
+
+const minutesSince = (date) => (date ? Math.max(Math.floor((Date.now() - new Date(date).getTime()) / 60000), 0) : null);
+
+// ==================== CHECK-IN ====================
+
+/**
+ * Check a patient in for today's appointment
+ * @param {Object} lookup - { appointmentId } or { qrCode }
+ * @param {Object} options - { checkedInBy }
+ * @returns {Promise<Object>} - { appointment, position }
+ */
+async function checkIn({ appointmentId = null, qrCode = null }, { checkedInBy = 'receptionist' } = {}) {
+  let appointment;
+
+  if (qrCode) {
+    appointment = await Appointment.findOne({ qr_code: String(qrCode).trim() });
+  } else {
+    if (!mongoose.isValidObjectId(appointmentId)) {
+      throw httpError('Invalid appointment ID', 400);
+    }
+    appointment = await Appointment.findById(appointmentId);
+  }
+
+  if (!appointment) {
+    throw httpError(qrCode ? 'No appointment matches this QR code' : 'Appointment not found', 404);
+  }
+
+  if (['checked_in', 'in_progress'].includes(appointment.status)) {
+    throw httpError(`Patient is already checked in (token ${appointment.token_number})`, 409);
+  }
+
+  if (!CHECK_IN_STATUSES.includes(appointment.status)) {
+    throw httpError(`Cannot check in an appointment with status ${appointment.status}`, 409);
+  }
+
+  if (appointment.is_telemedicine) {
+    throw httpError('Telemedicine appointments do not use the clinic queue', 400);
+  }
+
+  const { start, end } = getTodayRange();
+  if (!appointment.scheduled_start_time || appointment.scheduled_start_time < start || appointment.scheduled_start_time > end) {
+    throw httpError('This appointment is not scheduled for today', 409);
+  }
+
+  if (!appointment.token_number) {
+    await appointment.assignTokenNumber(bookingService.DEPARTMENT_CODES[appointment.department] || 'GN');
+  }
+
+  const patient = await Patient.findById(appointment.patient_id).select('risk_classification').lean();
+  await appointment.checkInPatient(checkedInBy, patient?.risk_classification || 'Unclassified');
+
+  const position = await getPosition(appointment);
+
+  logger.appointment(
+    `🎫 Checked in ${appointment.token_number} (${appointment.department}, ${appointment.triage_level}) - position ${position}`
+  );
+
+  await broadcastQueue(appointment.department);
+
+  return { appointment, position };
+}
+
+/**
+ * Position among the doctor's waiting patients (1 = next)
+ */
+async function getPosition(appointment) {
+  const { start, end } = getTodayRange();
+
+  const ahead = await Appointment.countDocuments({
+    _id: { $ne: appointment._id },
+    doctor_id: appointment.doctor_id,
+    status: 'checked_in',
+    scheduled_start_time: { $gte: start, $lte: end },
+    $or: [
+      { queue_priority: { $gt: appointment.queue_priority } },
+      { queue_priority: appointment.queue_priority, token_sequence: { $lt: appointment.token_sequence } },
+    ],
+  });
+
+  return ahead + 1;
+}
+
+// ==================== QUEUE VIEWS ====================
+
+/**
+ * Staff queue - waiting and in-consultation patients for today
+ * @param {Object} filters - { department, doctorId }
+ * @returns {Promise<Object>} - { entries, summary }
+ */
+async function getQueue({ department = null, doctorId = null } = {}) {
+  const { start, end } = getTodayRange();
+  const query = {
+    status: { $in: ['checked_in', 'in_progress'] },
+    scheduled_start_time: { $gte: start, $lte: end },
+  };
+  if (department) query.department = department;
+  if (doctorId) query.doctor_id = doctorId;
+
+  const [appointments, completedToday] = await Promise.all([
+    Appointment.find(query)
+      .sort({ status: -1, ...QUEUE_SORT })
+      .populate('patient_id', 'name age gender')
+      .populate('doctor_id', 'name department')
+      .lean(),
+    Appointment.find({
+      ...(department ? { department } : {}),
+      ...(doctorId ? { doctor_id: doctorId } : {}),
+      status: 'completed',
+      scheduled_start_time: { $gte: start, $lte: end },
+      checked_in_at: { $ne: null },
+      actual_start_time: { $ne: null },
+    })
+      .select('checked_in_at actual_start_time')
+      .lean(),
+  ]);
+
+  const waitPositions = new Map();
+  const entries = appointments.map((appointment) => {
+    const doctorKey = String(idOf(appointment.doctor_id));
+    let position = null;
+    if (appointment.status === 'checked_in') {
+      position = (waitPositions.get(doctorKey) || 0) + 1;
+      waitPositions.set(doctorKey, position);
+    }
+
+    return {
+      _id: appointment._id,
+      patient_id: idOf(appointment.patient_id),
+      patient_name: appointment.patient_id?.name || null,
+      patient_age: appointment.patient_id?.age ?? null,
+      patient_gender: appointment.patient_id?.gender || null,
+      doctor_id: idOf(appointment.doctor_id),
+      doctor_name: appointment.doctor_id?.name || null,
+      department: appointment.department,
+      token_number: appointment.token_number,
+      status: appointment.status,
+      triage_level: appointment.triage_level,
+      queue_priority: appointment.queue_priority,
+      position,
+      scheduled_start_time: appointment.scheduled_start_time,
+      checked_in_at: appointment.checked_in_at,
+      waiting_minutes: appointment.status === 'checked_in' ? minutesSince(appointment.checked_in_at) : null,
+      called_at: appointment.called_at,
+      call_count: appointment.call_count,
+    };
+  });
+
+  const waits = completedToday.map((appointment) =>
+    Math.floor((appointment.actual_start_time - appointment.checked_in_at) / 60000)
+  );
+
+  return {
+    entries,
+    summary: {
+      waiting: entries.filter((entry) => entry.status === 'checked_in').length,
+      in_consultation: entries.filter((entry) => entry.status === 'in_progress').length,
+      seen_today: completedToday.length,
+      average_wait_minutes: waits.length > 0 ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : null,
+    },
+  };
+}
+
+/**
+ * Public waiting-room board - tokens and doctors only
+ * @param {string} department - null for every department
+ */
+async function getBoard(department = null) {
+  const { entries, summary } = await getQueue({ department });
+
+  return {
+    department,
+    now_serving: entries
+      .filter((entry) => entry.status === 'in_progress')
+      .sort((a, b) => new Date(b.called_at || 0) - new Date(a.called_at || 0))
+      .map((entry) => ({
+        token_number: entry.token_number,
+        department: entry.department,
+        doctor_name: entry.doctor_name,
+        called_at: entry.called_at,
+      })),
+    waiting: entries
+      .filter((entry) => entry.status === 'checked_in')
+      .map((entry) => ({
+        token_number: entry.token_number,
+        department: entry.department,
+        doctor_name: entry.doctor_name,
+        position: entry.position,
+      })),
+    waiting_count: summary.waiting,
+    average_wait_minutes: summary.average_wait_minutes,
+    updated_at: new Date(),
+  };
+}
+
+// ==================== CALLING TOKENS ====================
+
+/**
+ * Call the doctor's next waiting token
+ * @param {string} doctorId
+ * @returns {Promise<Object|null>} - Called appointment (null when nobody is waiting)
+ */
+async function callNext(doctorId) {
+  if (!mongoose.isValidObjectId(doctorId)) {
+    throw httpError('Invalid doctor ID', 400);
+  }
+
+  const { start, end } = getTodayRange();
+  const now = new Date();
+
+  // Atomic claim - two clicks never call the same patient twice
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      doctor_id: doctorId,
+      status: 'checked_in',
+      scheduled_start_time: { $gte: start, $lte: end },
+    },
+    {
+      $set: { status: 'in_progress', actual_start_time: now, called_at: now },
+      $inc: { call_count: 1 },
+    },
+    { sort: QUEUE_SORT, new: true }
+  );
+
+  if (!appointment) {
+    return null;
+  }
+
+  await announce(appointment, { recall: false });
+  return appointment;
+}
+
+/**
+ * Call an in-consultation token again (patient did not come in)
+ */
+async function recallToken(appointmentId) {
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  if (appointment.status !== 'in_progress') {
+    throw httpError('Only a token that has been called can be recalled', 409);
+  }
+
+  await appointment.callToken();
+  await announce(appointment, { recall: true });
+
+  return appointment;
+}
+
+// ==================== BROADCASTS ====================
+
+/**
+ * Send `tokenCalled` to the department board and refresh the queue
+ */
+async function announce(appointment, { recall }) {
+  try {
+    const doctor = await Doctor.findById(appointment.doctor_id).select('name').lean();
+
+    logger.appointment(`📢 ${recall ? 'Recalling' : 'Calling'} token ${appointment.token_number} for Dr. ${doctor?.name}`);
+
+    if (io) {
+      const event = {
+        token_number: appointment.token_number,
+        department: appointment.department,
+        doctor_name: doctor?.name || null,
+        called_at: appointment.called_at,
+        call_count: appointment.call_count,
+        recall,
+      };
+      io.to(roomFor(appointment.department)).to(roomFor(null)).emit('tokenCalled', event);
+    }
+  } catch (error) {
+    logger.error('Error announcing token:', error.message);
+  }
+
+  await broadcastQueue(appointment.department);
+}
+
+/**
+ * Push the current board to department and all-department subscribers
+ * Never throws - callers are check-in/consultation paths
+ */
+async function broadcastQueue(department) {
+  if (!io) {
+    return;
+  }
+
+  try {
+    const [departmentBoard, allBoard] = await Promise.all([getBoard(department), getBoard(null)]);
+
+    io.to(roomFor(department)).emit('queueUpdate', departmentBoard);
+    io.to(roomFor(null)).emit('queueUpdate', allBoard);
+  } catch (error) {
+    logger.error('Error broadcasting queue update:', error.message);
+  }
+}
+
+export default {
+  roomFor,
+  setSocketServer,
+  checkIn,
+  getPosition,
+  getQueue,
+  getBoard,
+  callNext,
+  recallToken,
+  broadcastQueue,
+};
@@ -0,0 +1,670 @@
+/**
+ * Referral Service for MediFlow
+ * Tracked referrals to other departments and to outside specialists, with referral letters
+ *
+ * Flow (internal):
+ * 1. The treating doctor refers the patient to a department → the assignment
+ *    service picks the receiving doctor (or the one requested) and their next
+ *    open slots are proposed
+ * 2. The receiving doctor is emailed and accepts (books one of the slots, or
+ *    another time) or declines with a reason
+ * 3. Completing the booked appointment completes the referral
+ *
+ * Flow (external):
+ * 1. The treating doctor refers the patient to an outside specialist → the
+ *    referral letter (PDF, clinic letterhead) is emailed when an address is given
+ * 2. The specialist's reply and outcome are recorded by the referring doctor
+ *
+ * The consultation's referral fields are kept in step for existing screens and exports.
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment, { NO_VISIT_STATUSES } from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import Referral from '../models/Referral.js';
+import doctorAssignmentService from './doctorAssignmentService.js';
+import availabilityService from './availabilityService.js';
+import bookingService from './bookingService.js';
+import emailService from './emailService.js';
+import {
+  PAGE_MARGIN,
+  createClinicDocument,
+  drawSectionHeading,
+  drawKeyValueRows,
+  drawFooter,
+  toBuffer,
+} from '../utils/pdfDocument.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * How far ahead to look for the receiving doctor's open slots, and how many to propose
+ */
+const PROPOSAL_DAYS = 7;
+const PROPOSED_SLOT_COUNT = 3;
+
+/**
+ * Dates on the PDF - plain ASCII (the built-in PDF fonts have no narrow spaces)
+ */
+function formatPdfDate(date, withTime = false) {
+  return moment(date).tz(TIMEZONE).format(withTime ? 'DD MMM YYYY, h:mm A' : 'DD MMM YYYY');
+}
+
+const isAdmin = (user) => user.role === 'admin';
+const isDoctor = (user, doctorId) => user.role === 'doctor' && String(user.doctor_id) === String(idOf(doctorId));
+
+/**
+ * Load a referral or fail with 400/404
+ */
+async function loadReferral(referralId) {
+  if (!mongoose.isValidObjectId(referralId)) {
+    throw httpError('Invalid referral ID', 400);
+  }
+
+  const referral = await Referral.findById(referralId);
+  if (!referral) {
+    throw httpError('Referral not found', 404);
+  }
+
+  return referral;
+}
+
+/**
+ * Pick the receiving doctor for an internal referral
+ * A requested doctor is used as-is; otherwise the assignment service picks the
+ * least-loaded available doctor in the department (never the referring doctor).
+ */
+async function pickReceivingDoctor({ department, doctorId, urgency }, referringDoctorId) {
+  if (doctorId) {
+    if (!mongoose.isValidObjectId(doctorId)) {
+      throw httpError('Invalid doctor ID', 400);
+    }
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor || !doctor.active) {
+      throw httpError('Receiving doctor not found', 404);
+    }
+    if (department && doctor.department !== department) {
+      throw httpError(`Dr. ${doctor.name} is not in ${department}`, 400);
+    }
+    if (String(doctor._id) === String(referringDoctorId)) {
+      throw httpError('A doctor cannot refer a patient to themselves', 400);
+    }
+
+    return doctor;
+  }
+
+  const assigned = await doctorAssignmentService.findDoctorByDepartment(department, 'morning', urgency === 'emergency');
+  if (assigned && String(assigned.id) !== String(referringDoctorId)) {
+    return Doctor.findById(assigned.id);
+  }
+
+  // The assignment service picked the referring doctor - take the next least-loaded colleague
+  const colleagues = (await Doctor.findAvailableByDepartment(department))
+    .filter((doctor) => String(doctor._id) !== String(referringDoctorId))
+    .sort((a, b) => a.todays_patient_count - b.todays_patient_count);
+
+  return colleagues[0] || null;
+}
+
+/**
+ * Next open slots of the receiving doctor
+ */
+async function proposeSlots(doctor) {
+  try {
+    const now = new Date();
+    const availability = await availabilityService.getDoctorAvailability(
+      doctor,
+      now,
+      moment(now).tz(TIMEZONE).add(PROPOSAL_DAYS, 'days').toDate(),
+      'new_patient'
+    );
+
+    return (availability?.days || [])
+      .flatMap((day) => day.slots)
+      .filter((slot) => slot.start_time > now)
+      .slice(0, PROPOSED_SLOT_COUNT)
+      .map((slot) => ({ start_time: slot.start_time, end_time: slot.end_time }));
+  } catch (error) {
+    logger.error(`Failed to propose referral slots for ${doctor.name}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Render the referral letter PDF
+ * @param {Object} referral - Referral document
+ * @param {Object} patient - Patient document
+ * @param {Object} referringDoctor - Doctor document
+ * @param {Object} receivingDoctor - Doctor document (internal referrals)
+ * @returns {Promise<Buffer>}
+ */
+async function renderReferralLetterPdf(referral, patient, referringDoctor, receivingDoctor = null) {
+  const doc = createClinicDocument({
+    title: 'Referral Letter',
+    subtitle: `${referral.referral_number}  |  ${formatPdfDate(referral.createdAt || new Date())}`,
+    metadata: { Subject: `Referral ${referral.referral_number}` },
+  });
+  const provider = referral.external_provider || {};
+
+  drawSectionHeading(doc, 'To');
+  if (referral.type === 'external') {
+    drawKeyValueRows(doc, [
+      ['Doctor', provider.name ? `Dr. ${provider.name}` : null],
+      ['Specialty', provider.specialty],
+      ['Facility', provider.facility],
+      ['Address', provider.address],
+      ['Phone', provider.phone],
+    ]);
+  } else {
+    drawKeyValueRows(doc, [
+      ['Doctor', receivingDoctor ? `Dr. ${receivingDoctor.name}` : null],
+      ['Department', referral.department],
+    ]);
+  }
+
+  drawSectionHeading(doc, 'Patient');
+  drawKeyValueRows(doc, [
+    ['Name', patient.name],
+    ['Age / Gender', [patient.age, patient.gender].filter(Boolean).join(' / ')],
+    ['Phone', patient.phone],
+    ['Urgency', referral.urgency.charAt(0).toUpperCase() + referral.urgency.slice(1)],
+  ]);
+
+  drawSectionHeading(doc, 'Reason for Referral');
+  doc.text(referral.reason, PAGE_MARGIN);
+
+  if (referral.clinical_summary) {
+    drawSectionHeading(doc, 'Clinical Summary');
+    doc.text(referral.clinical_summary, PAGE_MARGIN);
+  }
+
+  if (doc.y + 90 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  const signatureX = doc.page.width - PAGE_MARGIN - 200;
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(10).text('Thank you for seeing this patient.', PAGE_MARGIN);
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`Dr. ${referringDoctor.name}`, signatureX, doc.y + 20, { width: 200, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text([referringDoctor.specialization, referringDoctor.department].filter(Boolean).join(', '), { width: 200, align: 'right' });
+  if (referringDoctor.registration_number) {
+    doc.text(`Reg. No: ${referringDoctor.registration_number}`, { width: 200, align: 'right' });
+  }
+
+  drawFooter(doc, `${referral.referral_number} - confidential patient information`);
+
+  return toBuffer(doc);
+}
+
+/**
+ * Render and email the referral letter to the external specialist
+ * Never throws - a failed email does not undo the referral
+ */
+async function deliverLetter(referral, patient, referringDoctor, to) {
+  try {
+    const pdfBuffer = await renderReferralLetterPdf(referral, patient, referringDoctor);
+    const result = await emailService.sendReferralLetter(referral, referringDoctor, pdfBuffer, to);
+
+    if (result?.success) {
+      referral.letter_sent_at = new Date();
+      referral.letter_sent_to = to;
+      await Referral.updateOne(
+        { _id: referral._id },
+        { $set: { letter_sent_at: referral.letter_sent_at, letter_sent_to: to } }
+      );
+    }
+
+    return { success: Boolean(result?.success), error: result?.error || null };
+  } catch (error) {
+    logger.error(`Failed to email referral letter ${referral.referral_number}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Email the receiving doctor about an internal referral
+ * Never throws
+ */
+async function notifyReceivingDoctor(referral, patient, referringDoctor, receivingDoctor) {
+  try {
+    const result = await emailService.sendReferralNotification(referral, patient, referringDoctor, receivingDoctor);
+
+    if (result?.success) {
+      referral.doctor_notified_at = new Date();
+      await Referral.updateOne({ _id: referral._id }, { $set: { doctor_notified_at: referral.doctor_notified_at } });
+    }
+
+    return { success: Boolean(result?.success), error: result?.error || null };
+  } catch (error) {
+    logger.error(`Failed to notify receiving doctor for ${referral.referral_number}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== REFERRALS ====================
+
+/**
+ * Refer the patient of an appointment
+ * @param {Object} data - { appointmentId, type, department, doctorId, externalProvider,
+ *   reason, clinicalSummary, urgency, sendLetter }
+ * @param {Object} user - Referring doctor (or admin on their behalf)
+ * @returns {Promise<Object>} - { referral, notification }
+ */
+async function createReferral(
+  { appointmentId, type, department = null, doctorId = null, externalProvider = null, reason, clinicalSummary = null, urgency = 'routine', sendLetter = true },
+  user
+) {
+  if (!['internal', 'external'].includes(type)) {
+    throw httpError('type must be internal or external', 400);
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw httpError('A referral reason is required', 400);
+  }
+
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  if (!isAdmin(user) && !isDoctor(user, appointment.doctor_id)) {
+    throw httpError('You can only refer patients from your own appointments', 403);
+  }
+
+  if (NO_VISIT_STATUSES.includes(appointment.status)) {
+    throw httpError(`Cannot refer from an appointment with status ${appointment.status}`, 409);
+  }
+
+  const [patient, referringDoctor] = await Promise.all([
+    Patient.findById(appointment.patient_id),
+    Doctor.findById(appointment.doctor_id),
+  ]);
+
+  if (!patient || !referringDoctor) {
+    throw httpError(!patient ? 'Patient not found' : 'Doctor not found', 404);
+  }
+
+  let receivingDoctor = null;
+  let proposedSlots = [];
+
+  if (type === 'internal') {
+    const departments = Doctor.schema.path('department').enumValues;
+    if (!department && !doctorId) {
+      throw httpError('department or doctor_id is required for an internal referral', 400);
+    }
+    if (department && !departments.includes(department)) {
+      throw httpError(`department must be one of: ${departments.join(', ')}`, 400);
+    }
+
+    receivingDoctor = await pickReceivingDoctor({ department, doctorId, urgency }, referringDoctor._id);
+    if (!receivingDoctor) {
+      throw httpError(`No doctor is available in ${department} to receive the referral`, 409);
+    }
+
+    department = receivingDoctor.department;
+    proposedSlots = await proposeSlots(receivingDoctor);
+  } else if (!externalProvider?.name && !externalProvider?.facility) {
+    throw httpError('external_provider.name or external_provider.facility is required', 400);
+  }
+
+  const referral = await Referral.create({
+    referral_number: await Referral.nextReferralNumber(),
+    type,
+    urgency,
+    patient_id: patient._id,
+    referring_doctor_id: referringDoctor._id,
+    source_appointment_id: appointment._id,
+    consultation_id: appointment.consultation_id || null,
+    created_by: user._id,
+    reason: String(reason).trim(),
+    clinical_summary: clinicalSummary || null,
+    department: type === 'internal' ? department : null,
+    receiving_doctor_id: receivingDoctor?._id || null,
+    proposed_slots: proposedSlots,
+    external_provider: type === 'external' ? externalProvider : undefined,
+    status_history: [{ status: 'pending', changed_at: new Date(), changed_by: user._id }],
+  });
+
+  if (appointment.consultation_id) {
+    await Consultation.updateOne(
+      { _id: appointment.consultation_id },
+      {
+        $set: {
+          referral_required: true,
+          referred_to_department: type === 'internal' ? department : externalProvider.facility || externalProvider.specialty || null,
+          referred_to_doctor: type === 'internal' ? receivingDoctor.name : externalProvider.name || null,
+          referral_reason: referral.reason,
+        },
+      }
+    );
+  }
+
+  logger.success(
+    `📨 Referral ${referral.referral_number} created by Dr. ${referringDoctor.name} → ${
+      type === 'internal' ? `Dr. ${receivingDoctor.name} (${department})` : externalProvider.name || externalProvider.facility
+    }`
+  );
+
+  let notification = null;
+  if (type === 'internal') {
+    notification = await notifyReceivingDoctor(referral, patient, referringDoctor, receivingDoctor);
+  } else if (sendLetter && externalProvider.email) {
+    notification = await deliverLetter(referral, patient, referringDoctor, externalProvider.email);
+  }
+
+  return { referral, notification };
+}
+
+/**
+ * Accept or decline a referral
+ * Internal: the receiving doctor (or admin); accepting books the chosen slot
+ * (default: the first proposed slot still open). External: the referring doctor
+ * (or admin) records the specialist's reply.
+ * @param {Object} data - { action: accept | decline, reason, startTime }
+ * @returns {Promise<Object>} - { referral, appointment }
+ */
+async function respondToReferral(referralId, { action, reason = null, startTime = null }, user) {
+  const referral = await loadReferral(referralId);
+
+  if (!['accept', 'decline'].includes(action)) {
+    throw httpError('action must be accept or decline', 400);
+  }
+
+  const responder = referral.type === 'internal' ? referral.receiving_doctor_id : referral.referring_doctor_id;
+  if (!isAdmin(user) && !isDoctor(user, responder)) {
+    throw httpError(
+      referral.type === 'internal'
+        ? 'Only the receiving doctor can respond to this referral'
+        : 'Only the referring doctor can record the specialist\'s reply',
+      403
+    );
+  }
+
+  const nextStatus = action === 'accept' ? 'accepted' : 'declined';
+  if (!referral.canTransitionTo(nextStatus)) {
+    throw httpError(`Cannot ${action} a referral with status ${referral.status}`, 409);
+  }
+
+  if (action === 'decline') {
+    if (!reason || !String(reason).trim()) {
+      throw httpError('A reason is required to decline a referral', 400);
+    }
+
+    referral.transitionTo('declined', user._id, String(reason).trim());
+    referral.decline_reason = String(reason).trim();
+    referral.responded_at = new Date();
+    await referral.save();
+
+    logger.info(`📨 Referral ${referral.referral_number} declined`);
+
+    return { referral, appointment: null };
+  }
+
+  let appointment = null;
+  if (referral.type === 'internal') {
+    appointment = await bookReferralSlot(referral, startTime);
+    referral.appointment_id = appointment._id;
+  }
+
+  referral.transitionTo('accepted', user._id, reason ? String(reason).trim() : null);
+  referral.responded_at = new Date();
+  await referral.save();
+
+  logger.success(
+    `📨 Referral ${referral.referral_number} accepted${appointment ? ` - booked ${appointment.scheduled_start_time.toISOString()}` : ''}`
+  );
+
+  return { referral, appointment };
+}
+
+/**
+ * Book the referral appointment with the receiving doctor
+ * Goes through a slot hold so it cannot race a patient booking online.
+ */
+async function bookReferralSlot(referral, startTime) {
+  const referringDoctor = await Doctor.findById(referral.referring_doctor_id);
+
+  let candidates;
+  if (startTime) {
+    const start = new Date(startTime);
+    if (isNaN(start.getTime())) {
+      throw httpError('start_time must be a valid date', 400);
+    }
+    candidates = [{ start_time: start, end_time: null }];
+  } else {
+    candidates = referral.proposed_slots.filter((slot) => slot.start_time > new Date());
+  }
+
+  if (candidates.length === 0) {
+    throw httpError('No proposed slot is still open - choose a start_time', 409);
+  }
+
+  let lastError = null;
+  for (const slot of candidates) {
+    try {
+      const hold = await bookingService.placeHold({
+        doctorId: referral.receiving_doctor_id,
+        startTime: slot.start_time,
+        endTime: slot.end_time,
+        appointmentType: 'new_patient',
+        patientId: referral.patient_id,
+        purpose: 'referral',
+      });
+
+      const { appointment } = await bookingService.confirmHold(hold._id, {
+        patientId: referral.patient_id,
+        chiefComplaint: `Referral ${referral.referral_number} from Dr. ${referringDoctor?.name || 'unknown'}: ${referral.reason}`,
+        source: 'referral',
+        createdBy: 'doctor',
+      });
+
+      return appointment;
+    } catch (error) {
+      // Taken since it was proposed - try the next one
+      if (error.status !== 409) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw httpError(
+    startTime ? lastError.message : 'The proposed slots have been taken - choose a start_time',
+    409
+  );
+}
+
+/**
+ * Mark an accepted referral completed
+ * @param {Object} data - { outcomeNotes }
+ */
+async function completeReferral(referralId, { outcomeNotes = null }, user) {
+  const referral = await loadReferral(referralId);
+
+  const owners = [referral.referring_doctor_id, referral.receiving_doctor_id].filter(Boolean);
+  if (!isAdmin(user) && !owners.some((doctorId) => isDoctor(user, doctorId))) {
+    throw httpError('Only the referring or receiving doctor can complete this referral', 403);
+  }
+
+  if (!referral.transitionTo('completed', user._id, null)) {
+    throw httpError(`Cannot complete a referral with status ${referral.status}`, 409);
+  }
+
+  referral.completed_at = new Date();
+  referral.outcome_notes = outcomeNotes ? String(outcomeNotes).trim() : referral.outcome_notes;
+  await referral.save();
+
+  logger.success(`📨 Referral ${referral.referral_number} completed`);
+
+  return referral;
+}
+
+/**
+ * Complete the accepted referral booked into an appointment (called when the visit is completed)
+ * Never throws
+ */
+async function completeForAppointment(appointmentId) {
+  try {
+    const referral = await Referral.findOne({ appointment_id: appointmentId, status: 'accepted' });
+    if (!referral) {
+      return null;
+    }
+
+    referral.transitionTo('completed', null, 'Referral appointment completed');
+    referral.completed_at = new Date();
+    await referral.save();
+
+    logger.info(`📨 Referral ${referral.referral_number} completed with appointment ${appointmentId}`);
+
+    return referral;
+  } catch (error) {
+    logger.error(`Failed to complete referral for appointment ${appointmentId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Cancel a pending or accepted referral (the booked appointment is left for the front desk)
+ */
+async function cancelReferral(referralId, reason, user) {
+  const referral = await loadReferral(referralId);
+
+  if (!isAdmin(user) && !isDoctor(user, referral.referring_doctor_id)) {
+    throw httpError('Only the referring doctor can cancel this referral', 403);
+  }
+
+  if (!referral.transitionTo('cancelled', user._id, reason ? String(reason).trim() : null)) {
+    throw httpError(`Cannot cancel a referral with status ${referral.status}`, 409);
+  }
+
+  referral.cancelled_at = new Date();
+  referral.cancellation_reason = reason ? String(reason).trim() : null;
+  await referral.save();
+
+  logger.info(`📨 Referral ${referral.referral_number} cancelled`);
+
+  return referral;
+}
+
+/**
+ * Get a referral
+ */
+async function getReferral(referralId) {
+  return loadReferral(referralId);
+}
+
+/**
+ * Referral letter PDF
+ * @returns {Promise<Object>} - { referral, buffer }
+ */
+async function getReferralLetter(referralId) {
+  const referral = await loadReferral(referralId);
+
+  const [patient, referringDoctor, receivingDoctor] = await Promise.all([
+    Patient.findById(referral.patient_id),
+    Doctor.findById(referral.referring_doctor_id),
+    referral.receiving_doctor_id ? Doctor.findById(referral.receiving_doctor_id) : null,
+  ]);
+
+  if (!patient || !referringDoctor) {
+    throw httpError(!patient ? 'Patient not found' : 'Doctor not found', 404);
+  }
+
+  const buffer = await renderReferralLetterPdf(referral, patient, referringDoctor, receivingDoctor);
+
+  return { referral, buffer };
+}
+
+/**
+ * Email the referral letter to the external specialist (again, or to another address)
+ */
+async function emailReferralLetter(referralId, email = null) {
+  const referral = await loadReferral(referralId);
+
+  if (referral.type !== 'external') {
+    throw httpError('Referral letters are emailed to external specialists only', 400);
+  }
+
+  const to = (email || referral.external_provider?.email || '').trim().toLowerCase();
+  if (!to) {
+    throw httpError('No email address for the specialist - pass email', 400);
+  }
+
+  const [patient, referringDoctor] = await Promise.all([
+    Patient.findById(referral.patient_id),
+    Doctor.findById(referral.referring_doctor_id),
+  ]);
+
+  if (!patient || !referringDoctor) {
+    throw httpError(!patient ? 'Patient not found' : 'Doctor not found', 404);
+  }
+
+  const result = await deliverLetter(referral, patient, referringDoctor, to);
+  if (!result.success) {
+    throw httpError(`Failed to email the referral letter: ${result.error}`, 502);
+  }
+
+  return referral;
+}
+
+/**
+ * List referrals
+ * Doctors see referrals they made (outgoing) and received (incoming).
+ * @param {Object} filters - { direction: incoming | outgoing, status, type, department, patientId, page, limit }
+ * @param {Object} user - req.user
+ */
+async function listReferrals({ direction = null, status, type, department, patientId, page = 1, limit = 50 } = {}, user) {
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (department) query.department = department;
+  if (patientId) query.patient_id = patientId;
+
+  if (user.role === 'doctor') {
+    const incoming = { receiving_doctor_id: user.doctor_id };
+    const outgoing = { referring_doctor_id: user.doctor_id };
+    if (direction === 'incoming') Object.assign(query, incoming);
+    else if (direction === 'outgoing') Object.assign(query, outgoing);
+    else query.$or = [incoming, outgoing];
+  }
+
+  const [referrals, total] = await Promise.all([
+    Referral.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-status_history')
+      .populate('patient_id', 'name age gender')
+      .populate('referring_doctor_id', 'name department')
+      .populate('receiving_doctor_id', 'name department')
+      .lean(),
+    Referral.countDocuments(query),
+  ]);
+
+  return { referrals, total };
+}
+
+export default {
+  renderReferralLetterPdf,
+  createReferral,
+  respondToReferral,
+  completeReferral,
+  completeForAppointment,
+  cancelReferral,
+  getReferral,
+  getReferralLetter,
+  emailReferralLetter,
+  listReferrals,
+};
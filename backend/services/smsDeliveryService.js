@@ -0,0 +1,325 @@
+/**
+ * SMS Delivery Service for MediFlow
+ * Tracks what happens to each SMS/WhatsApp after Twilio accepts it
+ *
+ * - recordOutboundMessage: called by smsService.sendSMS for every accepted send
+ *   (SmsMessage record, Patient.sms_* fields, template usage)
+ * - handleStatusCallback: Twilio status callback (POST /api/sms/status) →
+ *   SmsMessage status, Patient.sms_delivery_status, confirmation reminder
+ *   status on the Appointment, SmsTemplate.delivery_stats / success_rate
+ * - getDeliveryStats: real delivery rates for /api/sms/stats
+ *
+ * Twilio may deliver callbacks out of order or more than once: statuses never
+ * move backwards and each message's final outcome is counted once.
+ */
+
+import logger from '../utils/logger.js';
+import { idOf } from '../utils/serviceHelpers.js';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import SmsTemplate from '../models/SmsTemplate.js';
+import SmsMessage from '../models/SmsMessage.js';
+
+/**
+ * Progress order of Twilio message statuses
+ */
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3,
+  canceled: 3,
+  read: 4,
+};
+
+/**
+ * Final outcome counted into template stats
+ */
+const FINAL_OUTCOMES = {
+  delivered: 'delivered',
+  read: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+/**
+ * Twilio status → Patient.sms_delivery_status enum
+ */
+const PATIENT_DELIVERY_STATUS = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'sending',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+/**
+ * Message types whose SMS template stats a send counts towards
+ * (messages built in code are attributed to the template of the same category)
+ */
+const TEMPLATE_CATEGORIES = {
+  appointment_confirmation: 'appointment_confirmation',
+  appointment_reminder_3_day: 'appointment_reminder_3day',
+  appointment_reminder_1_day: 'appointment_reminder_1day',
+  appointment_reminder_2_hour: 'appointment_reminder_2hour',
+  appointment_cancellation: 'appointment_cancellation',
+  no_show_followup: 'no_show_followup',
+  missed_appointment_followup: 'no_show_followup',
+  follow_up_reminder: 'follow_up_reminder',
+};
+
+/**
+ * Mask a phone number for storage/logs
+ */
+function maskPhone(phone) {
+  return phone ? `******${String(phone).replace(/\D/g, '').slice(-4)}` : null;
+}
+
+/**
+ * Template a send counts towards: the one passed in, else the active template for its category
+ */
+async function resolveTemplate(template, messageType, patient, appointment) {
+  if (template) {
+    return idOf(template);
+  }
+
+  const category = TEMPLATE_CATEGORIES[messageType];
+  if (!category) {
+    return null;
+  }
+
+  const match = await SmsTemplate.getTemplateByCategory(
+    category,
+    appointment?.department || 'General',
+    patient?.risk_classification || 'General'
+  );
+  return match?._id || null;
+}
+
+/**
+ * Record a message Twilio accepted (never throws - the SMS has already gone out)
+ * @param {Object} params
+ * @param {Object} params.response - Twilio message resource (sid, status, to)
+ * @param {string} params.channel - sms | whatsapp
+ * @param {Object} params.patient - Patient document/ID (null for staff recipients)
+ * @param {Object} params.appointment - Appointment document/ID the message is about
+ * @param {Object} params.template - SmsTemplate document/ID used to build the message
+ * @param {string} params.messageType - e.g. appointment_reminder_1_day
+ * @param {string} params.category - transactional | marketing | emergency | internal
+ */
+async function recordOutboundMessage({
+  response,
+  channel = 'sms',
+  patient = null,
+  appointment = null,
+  template = null,
+  messageType = 'custom',
+  category = 'transactional',
+}) {
+  try {
+    const status = STATUS_RANK[response.status] !== undefined ? response.status : 'queued';
+    const templateId = await resolveTemplate(template, messageType, patient, appointment);
+
+    await SmsMessage.create({
+      sid: response.sid,
+      channel,
+      to_hint: maskPhone(response.to),
+      patient_id: idOf(patient),
+      appointment_id: idOf(appointment),
+      template_id: templateId,
+      message_type: messageType,
+      category,
+      status,
+      status_history: [{ status }],
+    });
+
+    if (patient) {
+      const now = new Date();
+      await Patient.updateOne(
+        { _id: idOf(patient) },
+        {
+          $set: {
+            sms_sid: response.sid,
+            sms_status: 'sent',
+            sms_sent: true,
+            sms_sent_at: now,
+            last_sms_sent_at: now,
+            sms_delivery_status: PATIENT_DELIVERY_STATUS[status],
+            sms_template_used: messageType,
+            sms_error: null,
+          },
+          $inc: { sms_count: 1 },
+        }
+      );
+    }
+
+    if (templateId) {
+      await SmsTemplate.recordSend(templateId);
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to record outbound SMS ${response?.sid}:`, error.message);
+  }
+}
+
+/**
+ * Apply a Twilio status callback
+ * @param {Object} params - Twilio fields { MessageSid, MessageStatus, ErrorCode, ErrorMessage }
+ * @returns {Promise<Object>} - { matched, status, outcome }
+ */
+async function handleStatusCallback({ MessageSid, MessageStatus, ErrorCode = null, ErrorMessage = null }) {
+  const status = String(MessageStatus || '').toLowerCase();
+
+  if (!MessageSid || STATUS_RANK[status] === undefined) {
+    const error = new Error(`Unsupported status callback: ${MessageStatus || 'missing status'}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const message = await SmsMessage.findOne({ sid: MessageSid });
+
+  if (!message) {
+    // Sent before tracking existed, or by another app on the same account
+    logger.warn(`⚠️ Status callback for unknown SMS ${MessageSid} (${status})`);
+    return { matched: false, status, outcome: null };
+  }
+
+  const advances = STATUS_RANK[status] >= STATUS_RANK[message.status];
+  const update = { $push: { status_history: { status, at: new Date() } } };
+
+  if (advances) {
+    update.$set = { status };
+    if (ErrorCode) {
+      update.$set.error_code = String(ErrorCode);
+      update.$set.error_message = ErrorMessage || null;
+    }
+  }
+
+  await SmsMessage.updateOne({ _id: message._id }, update);
+
+  if (!advances) {
+    logger.info(`↩️ Late ${status} callback ignored for SMS ${MessageSid} (already ${message.status})`);
+    return { matched: true, status: message.status, outcome: message.outcome };
+  }
+
+  const outcome = FINAL_OUTCOMES[status];
+
+  // Patient only mirrors their most recent message
+  if (message.patient_id) {
+    await Patient.updateOne(
+      { _id: message.patient_id, sms_sid: MessageSid },
+      {
+        $set: {
+          sms_delivery_status: PATIENT_DELIVERY_STATUS[status],
+          sms_status: outcome || 'sent',
+          sms_error: outcome === 'failed' ? ErrorMessage || `Twilio error ${ErrorCode || status}` : null,
+        },
+      }
+    );
+  }
+
+  if (!outcome) {
+    return { matched: true, status, outcome: null };
+  }
+
+  // Claim the final outcome - only the first terminal callback counts
+  const claimed = await SmsMessage.findOneAndUpdate(
+    { _id: message._id, outcome: null },
+    { $set: { outcome, completed_at: new Date() } }
+  );
+
+  if (claimed) {
+    if (message.template_id) {
+      await SmsTemplate.recordDeliveryOutcome(message.template_id, outcome);
+    }
+
+    if (message.appointment_id) {
+      await Appointment.updateOne(
+        { _id: message.appointment_id, 'confirmation_reminders.reminder_timestamps.sid': MessageSid },
+        {
+          $set: {
+            'confirmation_reminders.reminder_timestamps.$.status': outcome === 'delivered' ? 'delivered' : 'undelivered',
+          },
+        }
+      );
+    }
+
+    if (outcome === 'delivered') {
+      logger.success(`📬 SMS ${MessageSid} ${status}`);
+    } else {
+      logger.warn(`📭 SMS ${MessageSid} ${status}${ErrorCode ? ` (error ${ErrorCode})` : ''}`);
+    }
+  }
+
+  return { matched: true, status, outcome };
+}
+
+/**
+ * Delivery rates for messages sent since a date
+ * @param {Date} since
+ * @returns {Promise<Object>} - { total, delivered, failed, pending, delivery_rate, by_message_type, failure_reasons }
+ */
+async function getDeliveryStats(since) {
+  const [byType, failureReasons] = await Promise.all([
+    SmsMessage.aggregate([
+      { $match: { sent_at: { $gte: since } } },
+      {
+        $group: {
+          _id: '$message_type',
+          total: { $sum: 1 },
+          delivered: { $sum: { $cond: [{ $eq: ['$outcome', 'delivered'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$outcome', 'failed'] }, 1, 0] } },
+        },
+      },
+      { $sort: { total: -1 } },
+    ]),
+    SmsMessage.aggregate([
+      { $match: { sent_at: { $gte: since }, outcome: 'failed' } },
+      { $group: { _id: '$error_code', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 5 },
+    ]),
+  ]);
+
+  const rate = (delivered, failed) =>
+    delivered + failed > 0 ? Math.round((delivered / (delivered + failed)) * 1000) / 10 : null;
+
+  const totals = byType.reduce(
+    (sum, row) => ({
+      total: sum.total + row.total,
+      delivered: sum.delivered + row.delivered,
+      failed: sum.failed + row.failed,
+    }),
+    { total: 0, delivered: 0, failed: 0 }
+  );
+
+  return {
+    ...totals,
+    pending: totals.total - totals.delivered - totals.failed,
+    delivery_rate: rate(totals.delivered, totals.failed),
+    by_message_type: byType.map((row) => ({
+      message_type: row._id,
+      total: row.total,
+      delivered: row.delivered,
+      failed: row.failed,
+      pending: row.total - row.delivered - row.failed,
+      delivery_rate: rate(row.delivered, row.failed),
+    })),
+    failure_reasons: failureReasons.map((row) => ({ error_code: row._id, count: row.count })),
+  };
+}
+
+export default {
+  recordOutboundMessage,
+  handleStatusCallback,
+  getDeliveryStats,
+};
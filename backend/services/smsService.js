@@ -5,6 +5,8 @@ import twilio from 'twilio';
 import logger from '../utils/logger.js';
 import SmsTemplate from '../models/SmsTemplate.js';
 import riskCalculator from '../utils/riskCalculator.js';
+import consentService from './consentService.js';
+import smsDeliveryService from './smsDeliveryService.js';
 
 /**
  * SMS Service for MediFlow
@@ -23,12 +25,26 @@ import riskCalculator from '../utils/riskCalculator.js';
  * - Generic appointment details only
  * - Emergency alerts use coded language
  * - Patient name + date/time only
+ * 
+ * CONSENT:
+ * - Every send is checked against the patient's communication preferences
+ *   (STOP opt-out, per-category consent, quiet hours) - see consentService
+ * - Suppressed sends are recorded and returned as { success: false, suppressed: true }
+ *
+ * DELIVERY TRACKING:
+ * - Every accepted send is recorded (SmsMessage) with its patient/appointment/template
+ * - With TWILIO_WEBHOOK_BASE_URL set, Twilio reports delivery to POST /api/sms/status
+ *   (see smsDeliveryService)
  */
 
 // Initialize Twilio client with credentials from .env
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
+const twilioWhatsAppNumber = process.env.TWILIO_WHATSAPP_NUMBER || twilioPhoneNumber;
+const statusCallbackUrl = process.env.TWILIO_WEBHOOK_BASE_URL
+  ? `${process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/+$/, '')}/api/sms/status`
+  : null;
 
 if (!accountSid || !authToken || !twilioPhoneNumber) {
   logger.error(
@@ -72,13 +88,48 @@ function normalizePhoneNumber(phone) {
 }
 
 /**
- * Sends a raw SMS message via Twilio
+ * Sends a raw SMS (or WhatsApp) message via Twilio
  * Low-level helper used by higher-level appointment SMS functions
  * @param {string} toPhoneNumber - Recipient's phone number (E.164)
  * @param {string} message - SMS content body
+ * @param {Object} options
+ * @param {Object} options.patient - Patient document (looked up by phone if omitted)
+ * @param {string} options.category - transactional | marketing | emergency
+ * @param {string} options.messageType - e.g. appointment_reminder (for the suppression log and delivery stats)
+ * @param {string} options.channel - sms | whatsapp
+ * @param {Object} options.appointment - Appointment the message is about (delivery tracking)
+ * @param {Object} options.template - SmsTemplate used to build the message (delivery stats)
  * @returns {Promise<Object>} Twilio message response object
+ * @throws {Error} error.suppressed = true when patient preferences block the send
  */
-async function sendSMS(toPhoneNumber, message) {
+async function sendSMS(
+  toPhoneNumber,
+  message,
+  {
+    patient = null,
+    category = 'transactional',
+    messageType = 'custom',
+    channel = 'sms',
+    appointment = null,
+    template = null,
+  } = {}
+) {
+  const consent = await consentService.checkConsent({
+    channel,
+    recipient: toPhoneNumber,
+    patient,
+    category,
+    messageType,
+  });
+
+  if (!consent.allowed) {
+    const error = new Error(`Message suppressed by patient communication preferences (${consent.reason})`);
+    error.suppressed = true;
+    error.reason = consent.reason;
+    error.status = 409;
+    throw error;
+  }
+
   try {
     const normalized = normalizePhoneNumber(toPhoneNumber);
 
@@ -88,11 +139,23 @@ async function sendSMS(toPhoneNumber, message) {
 
     const response = await client.messages.create({
       body: message,
-      from: twilioPhoneNumber,
-      to: normalized,
+      from: channel === 'whatsapp' ? `whatsapp:${twilioWhatsAppNumber}` : twilioPhoneNumber,
+      to: channel === 'whatsapp' ? `whatsapp:${normalized}` : normalized,
+      ...(statusCallbackUrl && { statusCallback: statusCallbackUrl }),
+    });
+
+    logger.info(`✅ ${channel === 'whatsapp' ? 'WhatsApp' : 'SMS'} sent to ${normalized}, SID: ${response.sid}`);
+
+    await smsDeliveryService.recordOutboundMessage({
+      response,
+      channel,
+      patient: consent.patient || patient,
+      appointment,
+      template,
+      messageType,
+      category,
     });
 
-    logger.info(`✅ SMS sent to ${normalized}, SID: ${response.sid}`);
     return response;
   } catch (error) {
     logger.error(
@@ -103,6 +166,18 @@ async function sendSMS(toPhoneNumber, message) {
   }
 }
 
+/**
+ * Result returned by the higher-level senders when a send was suppressed
+ */
+function suppressedResult(error) {
+  return {
+    success: false,
+    suppressed: true,
+    reason: error.reason,
+    error: error.message,
+  };
+}
+
 /**
  * Send appointment confirmation SMS to patient
  * @param {Object} appointment - Appointment document
@@ -124,12 +199,13 @@ async function sendAppointmentConfirmationSms(appointment, patient, doctor) {
 
     logger.sms(`📱 Sending appointment confirmation SMS to ${patient.phone}`);
 
+    const locale = consentService.getLocale(patient);
     const appointmentDate = new Date(appointment.scheduled_start_time);
-    const formattedDate = appointmentDate.toLocaleDateString('en-IN', {
+    const formattedDate = appointmentDate.toLocaleDateString(locale, {
       month: 'short',
       day: 'numeric',
     });
-    const formattedTime = appointmentDate.toLocaleTimeString('en-IN', {
+    const formattedTime = appointmentDate.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
       hour12: true,
@@ -149,7 +225,7 @@ Dept: ${appointment.department}
 Please arrive 10-15 mins early.
 To reschedule/cancel: ${clinicPhone}`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, appointment, messageType: 'appointment_confirmation' });
 
     logger.success(
       `✅ Confirmation SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -161,6 +237,9 @@ To reschedule/cancel: ${clinicPhone}`;
       to: response.to,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(
       `❌ Error sending confirmation SMS to ${patient.phone}:`,
       error.message
@@ -202,8 +281,9 @@ async function sendAppointmentReminderSms(
       `📱 Sending ${reminderType} reminder SMS to ${patient.phone}`
     );
 
+    const locale = consentService.getLocale(patient);
     const appointmentDate = new Date(appointment.scheduled_start_time);
-    const formattedTime = appointmentDate.toLocaleTimeString('en-IN', {
+    const formattedTime = appointmentDate.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
       hour12: true,
@@ -223,7 +303,7 @@ Location: ${clinicAddress}
 
 Please arrive 10-15 mins early.`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, appointment, messageType: `appointment_reminder_${reminderType}` });
 
     logger.success(
       `✅ ${reminderType} reminder SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -236,6 +316,9 @@ Please arrive 10-15 mins early.`;
       reminderType,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(
       `❌ Error sending ${reminderType} reminder SMS:`,
       error.message
@@ -283,7 +366,7 @@ This is NOT a drill. Please act immediately.
 
 - MediFlow Clinic`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, category: 'emergency', messageType: 'emergency_alert' });
 
     logger.success(
       `✅ Emergency alert SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -295,6 +378,9 @@ This is NOT a drill. Please act immediately.
       to: response.to,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(`❌ Error sending emergency alert SMS:`, error.message);
     return {
       success: false,
@@ -328,12 +414,13 @@ async function sendAppointmentCancellationSms(
 
     logger.sms(`📱 Sending cancellation SMS to ${patient.phone}`);
 
+    const locale = consentService.getLocale(patient);
     const appointmentDate = new Date(appointment.scheduled_start_time);
-    const formattedDate = appointmentDate.toLocaleDateString('en-IN', {
+    const formattedDate = appointmentDate.toLocaleDateString(locale, {
       month: 'short',
       day: 'numeric',
     });
-    const formattedTime = appointmentDate.toLocaleTimeString('en-IN', {
+    const formattedTime = appointmentDate.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
       hour12: true,
@@ -352,7 +439,7 @@ To reschedule, call: ${clinicPhone}
 
 We hope to serve you soon.`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, appointment, messageType: 'appointment_cancellation' });
 
     logger.success(
       `✅ Cancellation SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -364,6 +451,9 @@ We hope to serve you soon.`;
       to: response.to,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(`❌ Error sending cancellation SMS:`, error.message);
     return {
       success: false,
@@ -393,13 +483,14 @@ async function sendAppointmentReschedulingSms(newAppointment, patient, doctor) {
 
     logger.sms(`📱 Sending rescheduling SMS to ${patient.phone}`);
 
+    const locale = consentService.getLocale(patient);
     const newDate = new Date(newAppointment.scheduled_start_time);
-    const formattedDate = newDate.toLocaleDateString('en-IN', {
+    const formattedDate = newDate.toLocaleDateString(locale, {
       weekday: 'short',
       month: 'short',
       day: 'numeric',
     });
-    const formattedTime = newDate.toLocaleTimeString('en-IN', {
+    const formattedTime = newDate.toLocaleTimeString(locale, {
       hour: '2-digit',
       minute: '2-digit',
       hour12: true,
@@ -416,7 +507,7 @@ Dept: ${newAppointment.department}
 
 Please arrive 10-15 mins early.`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, appointment: newAppointment, messageType: 'appointment_rescheduled' });
 
     logger.success(
       `✅ Rescheduling SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -428,6 +519,9 @@ Please arrive 10-15 mins early.`;
       to: response.to,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(`❌ Error sending rescheduling SMS:`, error.message);
     return {
       success: false,
@@ -475,7 +569,7 @@ For queries: ${clinicPhone}
 
 Wishing you good health!`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, messageType: 'consultation_completion' });
 
     logger.success(
       `✅ Completion SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -487,6 +581,9 @@ Wishing you good health!`;
       to: response.to,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(`❌ Error sending completion SMS:`, error.message);
     return {
       success: false,
@@ -530,7 +627,7 @@ Visit: ${clinicName}
 
 Take care of your health!`;
 
-    const response = await sendSMS(patient.phone, message);
+    const response = await sendSMS(patient.phone, message, { patient, messageType: 'follow_up_reminder' });
 
     logger.success(
       `✅ Follow-up reminder SMS sent to ${patient.phone}, SID: ${response.sid}`
@@ -542,6 +639,9 @@ Take care of your health!`;
       to: response.to,
     };
   } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
     logger.error(`❌ Error sending follow-up reminder SMS:`, error.message);
     return {
       success: false,
@@ -550,6 +650,61 @@ Take care of your health!`;
   }
 }
 
+/**
+ * Send "lab results ready" SMS (no test names or values in the message)
+ * @param {Object} labOrder - LabOrder document
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Object>} - Send result
+ */
+async function sendLabResultsReadySms(labOrder, patient) {
+  try {
+    if (!patient.phone) {
+      logger.warn(
+        `⚠️ Skipping lab results SMS for ${patient.name} - no phone number`
+      );
+      return {
+        success: false,
+        error: 'No phone number provided',
+      };
+    }
+
+    logger.sms(`📱 Sending lab results ready SMS to ${patient.phone}`);
+
+    const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+    const clinicPhone = process.env.CLINIC_PHONE || '+91-80-12345678';
+
+    // HIPAA-compliant message (no test names or results)
+    const message = `🧪 Test Results Ready
+
+Hello ${patient.name},
+
+Your test results (ref ${labOrder.order_number}) are ready at ${clinicName}. Your doctor will review them with you.
+
+For queries: ${clinicPhone}`;
+
+    const response = await sendSMS(patient.phone, message, { patient, messageType: 'lab_results_ready' });
+
+    logger.success(
+      `✅ Lab results SMS sent to ${patient.phone}, SID: ${response.sid}`
+    );
+
+    return {
+      success: true,
+      sid: response.sid,
+      to: response.to,
+    };
+  } catch (error) {
+    if (error.suppressed) {
+      return suppressedResult(error);
+    }
+    logger.error(`❌ Error sending lab results SMS:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Helper: decide if appointment reminder SMS should be sent now
  * @param {Object} appointment - Appointment document
@@ -635,6 +790,7 @@ export default {
   sendAppointmentReschedulingSms,
   sendConsultationCompletionSms,
   sendFollowUpReminderSms,
+  sendLabResultsReadySms,
   shouldSendReminderSmsNow,
   sendAllAppointmentSms,
 };
@@ -0,0 +1,523 @@
+/**
+ * Triage Rule Service for MediFlow
+ * Versioned triage rules (red flags, scoring tables, department risk modifiers,
+ * symptom routing keywords) the medical director tunes without a deploy
+ *
+ * Flow:
+ * 1. Draft - copied from the live version (or any other), then edited; rule
+ *    fields sent replace the draft's, triage_config tables are replaced one by one
+ * 2. Test - the sample case library is run against the draft
+ *    (triageRuleTestService); editing the draft clears the result
+ * 3. Publish - only a draft whose last test run passed every case, with no case
+ *    changed since; the live version is archived
+ * 4. Roll back - re-publish an archived version (or version 0, the built-in
+ *    rules) with a reason; no test gate, it passed when it was first published
+ *
+ * The live rules are cached in memory (refreshed on publish/rollback here and
+ * every TRIAGE_RULES_CACHE_SECONDS on other instances) so triage and routing
+ * never wait on the database. With nothing published the built-in rules apply.
+ */
+
+import logger from '../utils/logger.js';
+import Counter from '../models/Counter.js';
+import Doctor from '../models/Doctor.js';
+import TriageRuleSet, { RULE_FIELDS } from '../models/TriageRuleSet.js';
+import TriageTestCase from '../models/TriageTestCase.js';
+import { DEFAULT_TRIAGE_RULES } from '../utils/triageRuleDefaults.js';
+import { httpError } from '../utils/serviceHelpers.js';
+
+const VERSION_COUNTER_KEY = 'triage-rule-set';
+
+const RULE_CACHE_TTL_MS = (parseInt(process.env.TRIAGE_RULES_CACHE_SECONDS, 10) || 60) * 1000;
+
+const BUILTIN_VERSION = 0;
+
+/**
+ * Keys every scoring table must define
+ */
+const REQUIRED_TABLE_KEYS = {
+  pain_scale: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'],
+  symptom_duration: [],
+  age_risk: ['infant', 'toddler', 'child', 'teen', 'adult', 'elderly', 'very_elderly'],
+  chronic_conditions_impact: ['0', '1', '2', '3'],
+  vitals_severity: ['normal', 'borderline', 'abnormal', 'critical'],
+};
+
+const MAX_TABLE_SCORE = 100;
+const MAX_RISK_MODIFIER = 3;
+const MAX_RED_FLAGS = 500;
+const MAX_ROUTING_KEYWORDS = 500;
+
+const BUILTIN_RULE_SET = Object.freeze({
+  version: BUILTIN_VERSION,
+  rules: DEFAULT_TRIAGE_RULES,
+  published_at: null,
+});
+
+let activeRuleSet = BUILTIN_RULE_SET;
+let loadedAt = 0;
+
+const departments = () => Doctor.schema.path('department').enumValues;
+
+/**
+ * Parse a rule set version from a route parameter
+ */
+function parseVersion(value) {
+  const version = Number(value);
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw httpError('Invalid rule set version', 400);
+  }
+
+  return version;
+}
+
+// ==================== LIVE RULES ====================
+
+/**
+ * The live rules as last loaded (sync - for triage and routing)
+ * @returns {Object} - { version, rules, published_at }
+ */
+function getCachedRuleSet() {
+  return activeRuleSet;
+}
+
+/**
+ * Reload the live rules from the database (keeps the previous ones on error)
+ */
+async function loadActiveRuleSet() {
+  try {
+    const published = await TriageRuleSet.findOne({ status: 'published' });
+
+    activeRuleSet = published
+      ? { version: published.version, rules: published.toRules(), published_at: published.published_at }
+      : BUILTIN_RULE_SET;
+  } catch (error) {
+    logger.error('Error loading published triage rules:', error.message);
+  }
+
+  loadedAt = Date.now();
+  return activeRuleSet;
+}
+
+/**
+ * The live rules, reloaded when the cache is older than the TTL
+ * @returns {Promise<Object>} - { version, rules, published_at }
+ */
+async function getActiveRuleSet() {
+  if (Date.now() - loadedAt > RULE_CACHE_TTL_MS) {
+    await loadActiveRuleSet();
+  }
+
+  return activeRuleSet;
+}
+
+// ==================== VALIDATION ====================
+
+const isScore = (value, max) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+/**
+ * Trim, lowercase and de-duplicate phrases
+ */
+const normalizePhrases = (phrases) => [
+  ...new Set(phrases.map((phrase) => String(phrase || '').trim().toLowerCase()).filter(Boolean)),
+];
+
+/**
+ * Check a complete rule set
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateRules(rules) {
+  const problems = [];
+  const knownDepartments = departments();
+
+  if (!Array.isArray(rules.red_flag_symptoms) || rules.red_flag_symptoms.length === 0) {
+    problems.push('red_flag_symptoms must be a non-empty list');
+  } else if (rules.red_flag_symptoms.length > MAX_RED_FLAGS) {
+    problems.push(`red_flag_symptoms cannot have more than ${MAX_RED_FLAGS} entries`);
+  }
+
+  const config = rules.triage_config;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    problems.push('triage_config must be an object');
+  } else {
+    for (const [table, requiredKeys] of Object.entries(REQUIRED_TABLE_KEYS)) {
+      const scores = config[table];
+
+      if (!scores || typeof scores !== 'object' || Array.isArray(scores) || Object.keys(scores).length === 0) {
+        problems.push(`triage_config.${table} must be a non-empty object`);
+        continue;
+      }
+
+      const missing = requiredKeys.filter((key) => !(key in scores));
+      if (missing.length > 0) {
+        problems.push(`triage_config.${table} is missing ${missing.join(', ')}`);
+      }
+
+      for (const [key, score] of Object.entries(scores)) {
+        if (key.includes('.') || key.startsWith('$')) {
+          problems.push(`triage_config.${table}: "${key}" cannot contain "." or start with "$"`);
+        } else if (!isScore(score, MAX_TABLE_SCORE)) {
+          problems.push(`triage_config.${table}.${key} must be a number from 0 to ${MAX_TABLE_SCORE}`);
+        }
+      }
+    }
+  }
+
+  const modifiers = rules.department_risk_modifiers;
+  if (!modifiers || typeof modifiers !== 'object' || Array.isArray(modifiers)) {
+    problems.push('department_risk_modifiers must be an object');
+  } else {
+    for (const [department, modifier] of Object.entries(modifiers)) {
+      if (!knownDepartments.includes(department)) {
+        problems.push(`department_risk_modifiers: unknown department "${department}"`);
+      } else if (!isScore(modifier, MAX_RISK_MODIFIER) || modifier === 0) {
+        problems.push(`department_risk_modifiers.${department} must be greater than 0 and at most ${MAX_RISK_MODIFIER}`);
+      }
+    }
+  }
+
+  if (!Array.isArray(rules.symptom_department_map)) {
+    problems.push('symptom_department_map must be a list of { keyword, department }');
+  } else if (rules.symptom_department_map.length > MAX_ROUTING_KEYWORDS) {
+    problems.push(`symptom_department_map cannot have more than ${MAX_ROUTING_KEYWORDS} entries`);
+  } else {
+    rules.symptom_department_map.forEach((entry, index) => {
+      if (!entry?.keyword) {
+        problems.push(`symptom_department_map[${index}] needs a keyword`);
+      }
+      if (!knownDepartments.includes(entry?.department)) {
+        problems.push(`symptom_department_map[${index}]: unknown department "${entry?.department}"`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Apply the rule fields sent for a draft on top of its current rules
+ * @returns {Object} - Complete, normalized rules (throws 400 when invalid)
+ */
+function mergeRules(base, changes = {}) {
+  const rules = {
+    red_flag_symptoms: base.red_flag_symptoms,
+    triage_config: base.triage_config,
+    department_risk_modifiers: base.department_risk_modifiers,
+    symptom_department_map: base.symptom_department_map,
+  };
+
+  for (const field of RULE_FIELDS) {
+    if (changes[field] === undefined) continue;
+
+    rules[field] = field === 'triage_config' && changes.triage_config && typeof changes.triage_config === 'object'
+      ? { ...base.triage_config, ...changes.triage_config }
+      : changes[field];
+  }
+
+  const problems = validateRules(rules);
+  if (problems.length > 0) {
+    throw httpError(`Invalid triage rules: ${problems.join('; ')}`, 400);
+  }
+
+  return {
+    ...rules,
+    red_flag_symptoms: normalizePhrases(rules.red_flag_symptoms),
+    symptom_department_map: rules.symptom_department_map.map(({ keyword, department }) => ({
+      keyword: String(keyword).trim().toLowerCase(),
+      department,
+    })),
+  };
+}
+
+// ==================== VERSIONS ====================
+
+/**
+ * Load a stored rule set or fail with 404
+ */
+async function loadRuleSet(version) {
+  const ruleSet = await TriageRuleSet.findOne({ version: parseVersion(version) });
+  if (!ruleSet) {
+    throw httpError(`Triage rule set version ${version} not found`, 404);
+  }
+
+  return ruleSet;
+}
+
+/**
+ * Any version's rules, including version 0 (the built-in rules)
+ * @returns {Promise<Object>} - { version, status, rules, ruleSet } (ruleSet null for version 0)
+ */
+async function getRuleSet(version) {
+  if (parseVersion(version) === BUILTIN_VERSION) {
+    const live = await getActiveRuleSet();
+
+    return {
+      version: BUILTIN_VERSION,
+      status: live.version === BUILTIN_VERSION ? 'published' : 'archived',
+      rules: DEFAULT_TRIAGE_RULES,
+      ruleSet: null,
+    };
+  }
+
+  const ruleSet = await loadRuleSet(version);
+  return { version: ruleSet.version, status: ruleSet.status, rules: ruleSet.toRules(), ruleSet };
+}
+
+/**
+ * Rule set versions, newest first (test results per case left out)
+ * @returns {Promise<Object>} - { active_version, versions }
+ */
+async function listVersions(filters = {}) {
+  const query = {};
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  const [versions, live] = await Promise.all([
+    TriageRuleSet.find(query)
+      .select('version status based_on_version notes test_run.run_at test_run.total test_run.passed test_run.failed published_at archived_at createdAt updatedAt')
+      .sort({ version: -1 }),
+    getActiveRuleSet(),
+  ]);
+
+  return { active_version: live.version, versions };
+}
+
+/**
+ * Start a draft from the live rules, or from another version
+ * @param {Object} input - { based_on_version, notes, ...rule fields to change }
+ * @param {Object} user - Staff user (req.user)
+ */
+async function createDraft(input, user) {
+  const live = await loadActiveRuleSet();
+  const basedOn = input.based_on_version === undefined || input.based_on_version === null
+    ? live.version
+    : parseVersion(input.based_on_version);
+
+  const base = await getRuleSet(basedOn);
+  const rules = mergeRules(base.rules, input);
+
+  const ruleSet = await TriageRuleSet.create({
+    version: await Counter.next(VERSION_COUNTER_KEY),
+    status: 'draft',
+    based_on_version: basedOn,
+    notes: input.notes || null,
+    ...rules,
+    created_by: user._id,
+    updated_by: user._id,
+  });
+
+  logger.info(`📝 Triage rules v${ruleSet.version} drafted from v${basedOn} by ${user.email}`);
+
+  return ruleSet;
+}
+
+/**
+ * Load a draft or fail with 404/409
+ */
+async function loadDraft(version) {
+  const ruleSet = await loadRuleSet(version);
+
+  if (ruleSet.status !== 'draft') {
+    throw httpError(`Triage rules v${ruleSet.version} is ${ruleSet.status} - only drafts can change`, 409);
+  }
+
+  return ruleSet;
+}
+
+/**
+ * Edit a draft - clears its last test run
+ * @param {number} version - Draft version
+ * @param {Object} input - { notes, ...rule fields to change }
+ * @param {Object} user - Staff user (req.user)
+ */
+async function updateDraft(version, input, user) {
+  const ruleSet = await loadDraft(version);
+  const rules = mergeRules(ruleSet.toRules(), input);
+
+  for (const field of RULE_FIELDS) {
+    ruleSet[field] = rules[field];
+  }
+
+  if (input.notes !== undefined) {
+    ruleSet.notes = input.notes || null;
+  }
+
+  ruleSet.test_run = null;
+  ruleSet.updated_by = user._id;
+  await ruleSet.save();
+
+  logger.info(`📝 Triage rules v${ruleSet.version} draft updated by ${user.email}`);
+
+  return ruleSet;
+}
+
+/**
+ * Discard a draft
+ */
+async function deleteDraft(version, user) {
+  const ruleSet = await loadDraft(version);
+  await ruleSet.deleteOne();
+
+  logger.info(`🗑️ Triage rules v${ruleSet.version} draft discarded by ${user.email}`);
+}
+
+/**
+ * Store a test run on a draft, unless the draft changed while the cases ran
+ * @param {Object} ruleSet - Draft as loaded before the run
+ * @param {Object} testRun - { run_at, run_by, total, passed, failed, results }
+ */
+async function recordTestRun(ruleSet, testRun) {
+  const updated = await TriageRuleSet.findOneAndUpdate(
+    { _id: ruleSet._id, status: 'draft', updatedAt: ruleSet.updatedAt },
+    { $set: { test_run: testRun } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw httpError(`Triage rules v${ruleSet.version} changed while the cases ran - run the tests again`, 409);
+  }
+
+  return updated;
+}
+
+/**
+ * Make a draft the live rule set
+ * @param {number} version - Draft version
+ * @param {Object} user - Staff user (req.user)
+ */
+async function publish(version, user) {
+  const ruleSet = await loadDraft(version);
+
+  if (!ruleSet.hasPassingTestRun()) {
+    throw httpError(
+      ruleSet.test_run
+        ? `Triage rules v${ruleSet.version} failed ${ruleSet.test_run.failed} of ${ruleSet.test_run.total} sample cases`
+        : `Run the sample cases against v${ruleSet.version} before publishing`,
+      409
+    );
+  }
+
+  const casesChanged = await TriageTestCase.exists({ updatedAt: { $gt: ruleSet.test_run.run_at } });
+  if (casesChanged) {
+    throw httpError('Sample cases changed since the last test run - run the tests again', 409);
+  }
+
+  return goLive(ruleSet, user, { action: 'publish' });
+}
+
+/**
+ * Re-publish an archived version (version 0 returns to the built-in rules)
+ * @param {number} version - Version to go back to
+ * @param {Object} user - Staff user (req.user)
+ * @param {string} reason - Why the live rules are being rolled back
+ * @returns {Promise<Object>} - The live version, as getRuleSet returns it
+ */
+async function rollback(version, user, reason) {
+  const target = parseVersion(version);
+
+  if (!String(reason || '').trim()) {
+    throw httpError('A reason is required to roll back triage rules', 400);
+  }
+
+  if (target === BUILTIN_VERSION) {
+    const live = await TriageRuleSet.findOne({ status: 'published' });
+    if (!live) {
+      throw httpError('The built-in triage rules are already live', 409);
+    }
+
+    await archive(live);
+    await loadActiveRuleSet();
+
+    logger.warn(`⏪ Triage rules rolled back from v${live.version} to the built-in rules by ${user.email}: ${reason}`);
+
+    return getRuleSet(BUILTIN_VERSION);
+  }
+
+  const ruleSet = await loadRuleSet(target);
+
+  if (ruleSet.status !== 'archived') {
+    throw httpError(
+      ruleSet.status === 'published'
+        ? `Triage rules v${ruleSet.version} is already live`
+        : `Triage rules v${ruleSet.version} was never published - publish it instead`,
+      409
+    );
+  }
+
+  await goLive(ruleSet, user, { action: 'rollback', reason: String(reason).trim() });
+
+  return getRuleSet(target);
+}
+
+/**
+ * Take a version out of service
+ */
+async function archive(ruleSet) {
+  ruleSet.status = 'archived';
+  ruleSet.archived_at = new Date();
+  await ruleSet.save();
+}
+
+/**
+ * Archive the live version and publish this one in its place
+ */
+async function goLive(ruleSet, user, { action, reason = null }) {
+  const previous = await TriageRuleSet.findOne({ status: 'published' });
+
+  if (previous) {
+    await archive(previous);
+  }
+
+  const now = new Date();
+  ruleSet.status = 'published';
+  ruleSet.published_at = now;
+  ruleSet.archived_at = null;
+  ruleSet.publications.push({
+    action,
+    at: now,
+    by: user._id,
+    by_name: user.name,
+    replaced_version: previous ? previous.version : BUILTIN_VERSION,
+    reason,
+  });
+
+  try {
+    await ruleSet.save();
+  } catch (error) {
+    // Put the previous version back rather than leave no rules published
+    if (previous) {
+      previous.status = 'published';
+      previous.archived_at = null;
+      await previous.save().catch((restoreError) =>
+        logger.error('Error restoring published triage rules:', restoreError.message)
+      );
+    }
+    throw error;
+  }
+
+  await loadActiveRuleSet();
+
+  const from = previous ? `v${previous.version}` : 'the built-in rules';
+  logger.warn(`🩺 Triage rules v${ruleSet.version} ${action === 'rollback' ? 'rolled back to' : 'published'} (replacing ${from}) by ${user.email}`);
+
+  return ruleSet;
+}
+
+export default {
+  BUILTIN_VERSION,
+  parseVersion,
+  getCachedRuleSet,
+  getActiveRuleSet,
+  loadActiveRuleSet,
+  validateRules,
+  getRuleSet,
+  listVersions,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  recordTestRun,
+  publish,
+  rollback,
+};
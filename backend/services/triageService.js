@@ -1,131 +1,28 @@
 import logger from '../utils/logger.js';
-import geminiService from './geminiService.js';
+import llmService from './llmService.js';
+import triageRuleService from './triageRuleService.js';
+import { calculateNews2 } from '../utils/earlyWarningScore.js';
 
 /**
  * Triage Service for MediFlow
  * Handles medical risk assessment using WHO/ATS triage standards
- * with Gemini AI and rule-based fallback
+ * with the LLM triage provider and rule-based fallback
  * 
  * Risk Classifications:
  * - Emergency (80-100): Requires immediate medical attention
  * - Medium (50-79): Schedule within 1-3 days
  * - Low (0-49): Routine appointment acceptable
+ *
+ * Red flags, scoring tables and department modifiers come from the live
+ * triage rule set (triageRuleService); every result records its version.
  */
 
-/**
- * Red Flag Symptoms (Automatic Emergency Classification)
- */
-const RED_FLAG_SYMPTOMS = [
-  // Cardiovascular
-  'severe chest pain', 'chest pressure', 'chest tightness', 'heart attack',
-  'crushing chest pain', 'radiating pain to arm', 'jaw pain with chest',
-  
-  // Respiratory
-  'difficulty breathing', 'shortness of breath', 'can\'t breathe', 'gasping for air',
-  'severe wheezing', 'blue lips', 'cyanosis',
-  
-  // Neurological
-  'severe headache', 'worst headache of life', 'thunderclap headache',
-  'loss of consciousness', 'passed out', 'fainted', 'seizure', 'convulsion',
-  'stroke', 'face drooping', 'arm weakness', 'slurred speech', 'confusion',
-  'sudden numbness', 'sudden weakness', 'sudden vision loss',
-  
-  // Trauma/Bleeding
-  'severe bleeding', 'uncontrolled bleeding', 'heavy bleeding', 'bleeding won\'t stop',
-  'severe trauma', 'severe injury', 'broken bone through skin',
-  
-  // Abdominal
-  'severe abdominal pain', 'severe stomach pain', 'rigid abdomen',
-  'vomiting blood', 'blood in stool', 'black tarry stool',
-  
-  // Allergic
-  'severe allergic reaction', 'anaphylaxis', 'throat closing', 'tongue swelling',
-  'difficulty swallowing', 'severe rash with breathing difficulty',
-  
-  // Mental Health
-  'suicidal', 'want to kill myself', 'suicide attempt', 'severe depression',
-  'homicidal', 'want to hurt others',
-  
-  // Other Critical
-  'poisoning', 'overdose', 'drug overdose', 'severe burns',
-  'severe pain 9/10', 'severe pain 10/10', 'unbearable pain',
-];
-
-/**
- * Triage Scoring Configuration (WHO/ATS Standards)
- */
-const TRIAGE_CONFIG = {
-  // Pain Scale Scoring (0-10) - Max 25 points
-  pain_scale: {
-    9: 25,  // Severe
-    10: 25, // Worst possible
-    8: 20,  // Severe
-    7: 15,  // Moderate-Severe
-    6: 12,  // Moderate
-    5: 10,  // Moderate
-    4: 8,   // Mild-Moderate
-    3: 6,   // Mild
-    2: 4,   // Minimal
-    1: 2,   // Minimal
-    0: 0,   // No pain
-  },
-  
-  // Symptom Duration - Max 20 points
-  symptom_duration: {
-    '< 24 hours': 20,      // Acute onset (urgent)
-    '1-3 days': 15,        // Recent acute
-    '3-7 days': 10,        // Subacute
-    '1-2 weeks': 8,        // Subacute
-    '2+ weeks': 5,         // Chronic
-    'Chronic': 3,          // Stable chronic
-  },
-  
-  // Age Risk Modifiers - Max 15 points
-  age_risk: {
-    infant: 15,      // 0-1 years (high risk)
-    toddler: 12,     // 1-3 years
-    child: 8,        // 3-12 years
-    teen: 5,         // 12-18 years
-    adult: 3,        // 18-60 years
-    elderly: 12,     // 60-75 years (higher risk)
-    very_elderly: 15, // 75+ years (high risk)
-  },
-  
-  // Chronic Conditions Impact - Max 15 points
-  chronic_conditions_impact: {
-    0: 0,   // No chronic conditions
-    1: 5,   // Single condition
-    2: 10,  // Multiple conditions
-    3: 15,  // Multiple serious conditions
-  },
-  
-  // Vital Signs Severity (if available) - Max 25 points
-  vitals_severity: {
-    critical: 25,  // Severely abnormal vitals
-    abnormal: 15,  // Moderately abnormal
-    borderline: 8, // Slightly abnormal
-    normal: 0,     // Within normal range
-  },
-};
-
-/**
- * Department-Specific Risk Adjustments
- */
-const DEPARTMENT_RISK_MODIFIERS = {
-  'Cardiology': 1.2,       // Higher risk for cardiac symptoms
-  'Neurology': 1.2,        // Higher risk for neurological symptoms
-  'Emergency': 1.5,        // Emergency department auto-boost
-  'Pediatrics': 1.1,       // Children need closer monitoring
-  'General Medicine': 1.0, // Baseline
-  'Dermatology': 0.8,      // Generally lower urgency
-  'Ophthalmology': 0.9,    // Generally lower urgency
-  'Dentistry': 0.85,       // Generally lower urgency (except severe infections)
-};
+const liveRules = () => triageRuleService.getCachedRuleSet().rules;
 
 /**
  * Check for red flag symptoms
  */
-const detectRedFlags = (symptoms, chiefComplaint) => {
+const detectRedFlags = (symptoms, chiefComplaint, redFlagSymptoms = liveRules().red_flag_symptoms) => {
   try {
     const combinedText = [
       ...(Array.isArray(symptoms) ? symptoms : [symptoms]),
@@ -135,7 +32,7 @@ const detectRedFlags = (symptoms, chiefComplaint) => {
       .join(' ')
       .toLowerCase();
 
-    const detectedRedFlags = RED_FLAG_SYMPTOMS.filter(redFlag =>
+    const detectedRedFlags = redFlagSymptoms.filter(redFlag =>
       combinedText.includes(redFlag.toLowerCase())
     );
 
@@ -149,53 +46,66 @@ const detectRedFlags = (symptoms, chiefComplaint) => {
 /**
  * Calculate age risk category
  */
-const calculateAgeRisk = (age) => {
+const calculateAgeRisk = (age, ageRisk) => {
   try {
-    if (!age) return TRIAGE_CONFIG.age_risk.adult;
-
-    if (age < 1) return TRIAGE_CONFIG.age_risk.infant;
-    if (age < 3) return TRIAGE_CONFIG.age_risk.toddler;
-    if (age < 12) return TRIAGE_CONFIG.age_risk.child;
-    if (age < 18) return TRIAGE_CONFIG.age_risk.teen;
-    if (age < 60) return TRIAGE_CONFIG.age_risk.adult;
-    if (age < 75) return TRIAGE_CONFIG.age_risk.elderly;
-    return TRIAGE_CONFIG.age_risk.very_elderly;
+    if (!age) return ageRisk.adult;
+
+    if (age < 1) return ageRisk.infant;
+    if (age < 3) return ageRisk.toddler;
+    if (age < 12) return ageRisk.child;
+    if (age < 18) return ageRisk.teen;
+    if (age < 60) return ageRisk.adult;
+    if (age < 75) return ageRisk.elderly;
+    return ageRisk.very_elderly;
   } catch (error) {
     logger.error('Error calculating age risk:', error.message);
-    return TRIAGE_CONFIG.age_risk.adult;
+    return ageRisk.adult;
   }
 };
 
 /**
  * Calculate chronic conditions impact
  */
-const calculateChronicImpact = (chronicConditions) => {
+const calculateChronicImpact = (chronicConditions, impact) => {
   try {
     if (!chronicConditions || !Array.isArray(chronicConditions)) return 0;
 
     const count = chronicConditions.length;
     
-    if (count === 0) return TRIAGE_CONFIG.chronic_conditions_impact[0];
-    if (count === 1) return TRIAGE_CONFIG.chronic_conditions_impact[1];
-    if (count === 2) return TRIAGE_CONFIG.chronic_conditions_impact[2];
-    return TRIAGE_CONFIG.chronic_conditions_impact[3];
+    if (count === 0) return impact[0];
+    if (count === 1) return impact[1];
+    if (count === 2) return impact[2];
+    return impact[3];
   } catch (error) {
     logger.error('Error calculating chronic conditions impact:', error.message);
     return 0;
   }
 };
 
+/**
+ * Vitals severity implied by the NEWS2 early warning score
+ */
+const NEWS2_SEVERITY = {
+  high: 'critical',
+  medium: 'abnormal',
+  low_medium: 'abnormal',
+};
+
+const SEVERITY_RANK = ['normal', 'borderline', 'abnormal', 'critical'];
+
 /**
  * Assess vital signs severity (if available)
+ * The worse of the per-parameter thresholds below and the NEWS2 score
+ * (recorded with the vitals, or calculated here) wins.
  */
-const assessVitalsSeverity = (vitals) => {
+const assessVitalsSeverity = (vitals, vitalsSeverity = liveRules().triage_config.vitals_severity) => {
   try {
     if (!vitals) return 0;
 
     let severity = 'normal';
 
-    // Blood Pressure Assessment
-    if (vitals.blood_pressure) {
+    // Blood Pressure Assessment (recorded vitals carry null systolic/diastolic when BP was not taken)
+    if (vitals.blood_pressure?.systolic && vitals.blood_pressure?.diastolic) {
       const { systolic, diastolic } = vitals.blood_pressure;
       if (systolic > 180 || systolic < 90 || diastolic > 120 || diastolic < 60) {
         severity = 'critical';
@@ -231,7 +141,15 @@ const assessVitalsSeverity = (vitals) => {
       }
     }
 
-    return TRIAGE_CONFIG.vitals_severity[severity] || 0;
+    const news2 = Number.isFinite(vitals.news2?.score) ? vitals.news2 : calculateNews2(vitals);
+    if (news2) {
+      const news2Severity = NEWS2_SEVERITY[news2.risk] || (news2.score > 0 ? 'borderline' : 'normal');
+      if (SEVERITY_RANK.indexOf(news2Severity) > SEVERITY_RANK.indexOf(severity)) {
+        severity = news2Severity;
+      }
+    }
+
+    return vitalsSeverity[severity] || 0;
   } catch (error) {
     logger.error('Error assessing vitals severity:', error.message);
     return 0;
@@ -239,11 +157,16 @@ const assessVitalsSeverity = (vitals) => {
 };
 
 /**
- * Rule-based medical triage (fallback when Gemini fails)
+ * Rule-based medical triage (fallback when LLM triage fails)
+ * @param {Object} ruleSet - { version, rules } to score with (defaults to the live rules;
+ *                           the rule test harness passes the version under test)
  */
-const calculateRuleBasedTriage = (patientData, consultationMetadata = {}) => {
+const calculateRuleBasedTriage = (patientData, consultationMetadata = {}, ruleSet = triageRuleService.getCachedRuleSet()) => {
+  const { version: ruleSetVersion, rules } = ruleSet;
+  const config = rules.triage_config;
+
   try {
-    logger.info('Calculating rule-based medical triage');
+    logger.info(`Calculating rule-based medical triage (rules v${ruleSetVersion})`);
 
     let totalScore = 0;
     const breakdown = {
@@ -258,7 +181,8 @@ const calculateRuleBasedTriage = (patientData, consultationMetadata = {}) => {
     // 1. RED FLAG CHECK (Automatic Emergency if detected)
     const redFlags = detectRedFlags(
       patientData.symptoms,
-      patientData.chief_complaint
+      patientData.chief_complaint,
+      rules.red_flag_symptoms
     );
 
     if (redFlags.length > 0) {
@@ -274,41 +198,42 @@ const calculateRuleBasedTriage = (patientData, consultationMetadata = {}) => {
         recommended_department: 'Emergency',
         breakdown,
         method: 'rule-based-red-flag',
+        rule_set_version: ruleSetVersion,
       };
     }
 
     // 2. PAIN SCALE SCORE (Max 25 points)
     const painScale = patientData.pain_scale || 0;
-    breakdown.pain_scale_score = TRIAGE_CONFIG.pain_scale[painScale] || 0;
+    breakdown.pain_scale_score = config.pain_scale[painScale] || 0;
     totalScore += breakdown.pain_scale_score;
     logger.debug(`Pain scale (${painScale}/10): ${breakdown.pain_scale_score} points`);
 
     // 3. SYMPTOM DURATION SCORE (Max 20 points)
-    const durationScore = TRIAGE_CONFIG.symptom_duration[patientData.symptom_duration] || 5;
+    const durationScore = config.symptom_duration[patientData.symptom_duration] || 5;
     breakdown.symptom_duration_score = durationScore;
     totalScore += durationScore;
     logger.debug(`Symptom duration (${patientData.symptom_duration}): ${durationScore} points`);
 
     // 4. AGE RISK SCORE (Max 15 points)
-    const ageRiskScore = calculateAgeRisk(patientData.age);
+    const ageRiskScore = calculateAgeRisk(patientData.age, config.age_risk);
     breakdown.age_risk_score = ageRiskScore;
     totalScore += ageRiskScore;
     logger.debug(`Age risk (${patientData.age} years): ${ageRiskScore} points`);
 
     // 5. CHRONIC CONDITIONS SCORE (Max 15 points)
-    const chronicScore = calculateChronicImpact(patientData.chronic_conditions);
+    const chronicScore = calculateChronicImpact(patientData.chronic_conditions, config.chronic_conditions_impact);
     breakdown.chronic_conditions_score = chronicScore;
     totalScore += chronicScore;
     logger.debug(`Chronic conditions: ${chronicScore} points`);
 
     // 6. VITALS ASSESSMENT (Max 25 points)
-    const vitalsScore = assessVitalsSeverity(patientData.vitals);
+    const vitalsScore = assessVitalsSeverity(patientData.vitals, config.vitals_severity);
     breakdown.vitals_score = vitalsScore;
     totalScore += vitalsScore;
     logger.debug(`Vitals severity: ${vitalsScore} points`);
 
     // 7. Apply department-specific risk modifier
-    const departmentModifier = DEPARTMENT_RISK_MODIFIERS[patientData.primary_department] || 1.0;
+    const departmentModifier = rules.department_risk_modifiers[patientData.primary_department] || 1.0;
     totalScore = Math.round(totalScore * departmentModifier);
 
     // Ensure score is between 0-100
@@ -345,6 +270,7 @@ const calculateRuleBasedTriage = (patientData, consultationMetadata = {}) => {
       recommended_department: patientData.primary_department || 'General Medicine',
       breakdown,
       method: 'rule-based',
+      rule_set_version: ruleSetVersion,
     };
   } catch (error) {
     logger.error('Error calculating rule-based triage:', error.message);
@@ -361,23 +287,29 @@ const calculateRuleBasedTriage = (patientData, consultationMetadata = {}) => {
       recommended_department: 'General Medicine',
       breakdown: {},
       method: 'fallback',
+      rule_set_version: ruleSetVersion,
       error: error.message,
     };
   }
 };
 
 /**
- * Triage patient using Gemini AI with rule-based fallback
+ * Triage patient using the LLM triage provider with rule-based fallback
  */
 const triagePatient = async (patientData, conversationHistory, consultationMetadata = {}) => {
+  let ruleSet = triageRuleService.getCachedRuleSet();
+
   try {
     logger.info('Starting medical triage process');
     logger.object('Patient Data', patientData);
 
+    ruleSet = await triageRuleService.getActiveRuleSet();
+
     // Pre-check for red flags (immediate emergency detection)
     const redFlags = detectRedFlags(
       patientData.symptoms,
-      patientData.chief_complaint
+      patientData.chief_complaint,
+      ruleSet.rules.red_flag_symptoms
     );
 
     if (redFlags.length > 0) {
@@ -393,31 +325,33 @@ const triagePatient = async (patientData, conversationHistory, consultationMetad
         recommended_department: 'Emergency',
         breakdown: {},
         method: 'red-flag-auto',
+        rule_set_version: ruleSet.version,
       };
     }
 
-    // Try Gemini AI triage first
-    logger.ai('Attempting Gemini AI triage');
-    const geminiResult = await geminiService.triagePatient(patientData, conversationHistory);
+    // Try LLM triage first
+    logger.ai('Attempting LLM triage');
+    const llmResult = await llmService.triagePatient(patientData, conversationHistory);
 
-    if (geminiResult.success && geminiResult.risk_score !== null) {
-      logger.success('Gemini AI triage successful');
+    if (llmResult.success && llmResult.risk_score !== null) {
+      logger.success(`LLM triage successful (${llmResult.provider})`);
       return {
-        ...geminiResult,
-        method: 'gemini-ai',
+        ...llmResult,
+        method: `${llmResult.provider}-ai`,
+        rule_set_version: ruleSet.version,
       };
     }
 
     // Fallback to rule-based triage
-    logger.warn('Gemini AI triage failed, using rule-based fallback');
-    return calculateRuleBasedTriage(patientData, consultationMetadata);
+    logger.warn('LLM triage failed, using rule-based fallback');
+    return calculateRuleBasedTriage(patientData, consultationMetadata, ruleSet);
 
   } catch (error) {
     logger.error('Error in triage process:', error.message);
     
     // Ultimate fallback - safety first
     logger.warn('Using ultimate fallback triage (Medium risk)');
-    return calculateRuleBasedTriage(patientData, consultationMetadata);
+    return calculateRuleBasedTriage(patientData, consultationMetadata, ruleSet);
   }
 };
 
@@ -446,4 +380,5 @@ export default {
   classifyRisk,
   getUrgencyLevel,
   detectRedFlags,
+  assessVitalsSeverity,
 };
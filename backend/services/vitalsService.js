@@ -0,0 +1,331 @@
+/**
+ * Vitals Service for MediFlow
+ * Nurse / doctor vitals capture per visit and per-patient trends across visits
+ *
+ * Flow:
+ * 1. Vitals are recorded against an appointment → stored on the visit's
+ *    consultation (the one linked to the appointment, or a new in_person
+ *    consultation when the patient never used the chatbot)
+ * 2. NEWS2 is calculated from the reading (utils/earlyWarningScore) and stored
+ *    with it; triageService.assessVitalsSeverity picks the score up
+ * 3. Medium / high NEWS2 → email alert to the visit's doctor
+ * 4. Trends read one reading per visit (re-recording replaces the visit's reading)
+ *
+ * Notifications never throw into the request that recorded the vitals.
+ */
+
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment, { NO_VISIT_STATUSES } from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import emailService from './emailService.js';
+import triageService from './triageService.js';
+import { CONSCIOUSNESS_LEVELS, calculateNews2 } from '../utils/earlyWarningScore.js';
+import { httpError } from '../utils/serviceHelpers.js';
+
+/**
+ * Plausible ranges - anything outside is a typo, not a patient
+ */
+const VITAL_RANGES = {
+  systolic: [50, 300],
+  diastolic: [20, 200],
+  pulse_rate: [20, 250],
+  temperature: [85, 115],
+  respiratory_rate: [4, 80],
+  oxygen_saturation: [50, 100],
+  weight: [0.5, 400],
+  height: [30, 250],
+};
+
+/**
+ * NEWS2 risks that page the doctor
+ */
+const ALERT_RISKS = ['medium', 'high'];
+
+/**
+ * Trend series returned for charts (field on the reading → series name)
+ */
+const TREND_FIELDS = ['pulse_rate', 'oxygen_saturation', 'temperature', 'respiratory_rate', 'weight', 'bmi'];
+
+const DEFAULT_TREND_LIMIT = 50;
+
+/**
+ * Parse one numeric reading against its plausible range (null when not taken)
+ */
+function parseReading(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  const [min, max] = VITAL_RANGES[field];
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw httpError(`${field} must be a number between ${min} and ${max}`, 400);
+  }
+
+  return number;
+}
+
+/**
+ * Validate and normalize a vitals payload into the Consultation vitals shape
+ * @param {Object} data - { blood_pressure: { systolic, diastolic } (or flat systolic / diastolic),
+ *   pulse_rate, temperature, temperature_unit (F | C), respiratory_rate, oxygen_saturation,
+ *   on_supplemental_oxygen, consciousness, weight, height }
+ * @returns {Object}
+ */
+function normalizeVitals(data = {}) {
+  const unit = String(data.temperature_unit || 'F').toUpperCase();
+  if (!['F', 'C'].includes(unit)) {
+    throw httpError('temperature_unit must be F or C', 400);
+  }
+
+  let temperature = data.temperature;
+  if (unit === 'C' && temperature !== undefined && temperature !== null && temperature !== '') {
+    temperature = Math.round((Number(temperature) * 9 / 5 + 32) * 10) / 10;
+  }
+
+  const consciousness = data.consciousness ? String(data.consciousness).toLowerCase() : null;
+  if (consciousness && !CONSCIOUSNESS_LEVELS.includes(consciousness)) {
+    throw httpError(`consciousness must be one of ${CONSCIOUSNESS_LEVELS.join(', ')}`, 400);
+  }
+
+  const vitals = {
+    blood_pressure: {
+      systolic: parseReading('systolic', data.blood_pressure?.systolic ?? data.systolic),
+      diastolic: parseReading('diastolic', data.blood_pressure?.diastolic ?? data.diastolic),
+    },
+    pulse_rate: parseReading('pulse_rate', data.pulse_rate),
+    temperature: parseReading('temperature', temperature),
+    respiratory_rate: parseReading('respiratory_rate', data.respiratory_rate),
+    oxygen_saturation: parseReading('oxygen_saturation', data.oxygen_saturation),
+    weight: parseReading('weight', data.weight),
+    height: parseReading('height', data.height),
+    consciousness,
+    on_supplemental_oxygen: data.on_supplemental_oxygen === true || data.on_supplemental_oxygen === 'true',
+  };
+
+  const { systolic, diastolic } = vitals.blood_pressure;
+  if ((systolic === null) !== (diastolic === null)) {
+    throw httpError('Blood pressure needs both systolic and diastolic', 400);
+  }
+  if (systolic !== null && diastolic >= systolic) {
+    throw httpError('Diastolic pressure must be lower than systolic', 400);
+  }
+
+  const recorded = Object.entries(vitals).some(
+    ([field, value]) => field !== 'on_supplemental_oxygen' && field !== 'blood_pressure' && value !== null
+  );
+  if (!recorded && systolic === null) {
+    throw httpError('At least one vital sign is required', 400);
+  }
+
+  return vitals;
+}
+
+/**
+ * Load an appointment or fail with 400/404
+ */
+async function getAppointment(appointmentId) {
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    throw httpError('Invalid appointment ID', 400);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw httpError('Appointment not found', 404);
+  }
+
+  return appointment;
+}
+
+/**
+ * The visit's consultation: the one linked to the appointment, else the newest for it
+ */
+async function findVisitConsultation(appointment) {
+  if (appointment.consultation_id) {
+    const linked = await Consultation.findById(appointment.consultation_id);
+    if (linked) return linked;
+  }
+
+  return Consultation.findOne({ appointment_id: appointment._id }).sort({ createdAt: -1 });
+}
+
+// ==================== RECORDING ====================
+
+/**
+ * Record vitals for a visit
+ * @param {Object} appointment - Appointment document (see getAppointment)
+ * @param {Object} data - Vitals payload (see normalizeVitals)
+ * @param {Object} user - Recording staff member
+ * @returns {Promise<Object>} - { consultation, vitals, news2, vitalsSeverityScore, notifications }
+ */
+async function recordVitals(appointment, data, user) {
+  if (NO_VISIT_STATUSES.includes(appointment.status)) {
+    throw httpError(`Cannot record vitals for an appointment with status ${appointment.status}`, 409);
+  }
+
+  const vitals = normalizeVitals(data);
+  const news2 = calculateNews2(vitals);
+
+  let consultation = await findVisitConsultation(appointment);
+  const created = !consultation;
+  if (created) {
+    consultation = new Consultation({
+      session_id: uuidv4(),
+      patient_id: appointment.patient_id,
+      appointment_id: appointment._id,
+      doctor_id: appointment.doctor_id,
+      department: appointment.department,
+      consultation_type: appointment.appointment_type === 'follow_up' ? 'follow_up' : 'in_person',
+      source: appointment.appointment_type === 'telemedicine' ? 'telemedicine' : 'walk-in',
+      status: 'in_progress',
+    });
+  }
+
+  await consultation.recordVitals(
+    {
+      ...vitals,
+      ...(news2 && {
+        news2: { score: news2.score, risk: news2.risk, red_score: news2.red_score, missing: news2.missing },
+      }),
+      recorded_by_user: user._id,
+    },
+    user.role === 'doctor' ? 'doctor' : 'nurse'
+  );
+
+  if (created) {
+    appointment.consultation_id = consultation._id;
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { consultation_id: consultation._id } });
+  }
+
+  logger.info(
+    `🩺 Vitals recorded for appointment ${appointment._id}${news2 ? ` - NEWS2 ${news2.score} (${news2.risk})` : ''}`
+  );
+
+  const notifications = await notifyEarlyWarning(consultation, news2);
+
+  return {
+    consultation,
+    vitals: consultation.vitals,
+    news2,
+    vitalsSeverityScore: triageService.assessVitalsSeverity(consultation.vitals),
+    notifications,
+  };
+}
+
+/**
+ * Medium / high NEWS2 → visit's doctor
+ * Never throws
+ */
+async function notifyEarlyWarning(consultation, news2) {
+  const notifications = { doctor: null };
+
+  if (!news2 || !ALERT_RISKS.includes(news2.risk) || !consultation.doctor_id) {
+    return notifications;
+  }
+
+  try {
+    const [patient, doctor] = await Promise.all([
+      Patient.findById(consultation.patient_id),
+      Doctor.findById(consultation.doctor_id),
+    ]);
+
+    notifications.doctor = await emailService.sendEarlyWarningAlert(
+      { ...consultation.vitals.toObject(), news2 },
+      patient,
+      doctor
+    );
+  } catch (error) {
+    logger.error(`Failed to send early warning alert for consultation ${consultation.session_id}:`, error.message);
+    notifications.doctor = { success: false, error: error.message };
+  }
+
+  return notifications;
+}
+
+// ==================== READING ====================
+
+/**
+ * Vitals recorded for a visit (null when none yet)
+ * @param {Object} appointment - Appointment document
+ */
+async function getVisitVitals(appointment) {
+  const consultation = await findVisitConsultation(appointment);
+
+  return {
+    consultation_id: consultation?._id || null,
+    vitals: consultation?.vitals || null,
+  };
+}
+
+/**
+ * Per-patient vitals across visits, oldest first, with chart-ready series
+ * @param {string} patientId
+ * @param {Object} options - { from, to, limit } (the most recent `limit` readings)
+ * @returns {Promise<Object>} - { readings, series, latest }
+ */
+async function getPatientVitalsTrend(patientId, { from = null, to = null, limit = DEFAULT_TREND_LIMIT } = {}) {
+  const query = {
+    patient_id: patientId,
+    'vitals.recorded_at': { $ne: null },
+  };
+
+  if (from || to) {
+    if (from) query['vitals.recorded_at'].$gte = from;
+    if (to) query['vitals.recorded_at'].$lte = to;
+  }
+
+  const consultations = await Consultation.find(query)
+    .select('appointment_id doctor_id department consultation_type vitals')
+    .populate('doctor_id', 'name')
+    .sort({ 'vitals.recorded_at': -1 })
+    .limit(limit)
+    .lean();
+
+  const readings = consultations.reverse().map((consultation) => ({
+    consultation_id: consultation._id,
+    appointment_id: consultation.appointment_id,
+    doctor_name: consultation.doctor_id?.name || null,
+    department: consultation.department,
+    ...consultation.vitals,
+  }));
+
+  const point = (reading, value) => ({ recorded_at: reading.recorded_at, value });
+
+  const series = {
+    blood_pressure: readings
+      .filter((reading) => reading.blood_pressure?.systolic)
+      .map((reading) => ({
+        recorded_at: reading.recorded_at,
+        systolic: reading.blood_pressure.systolic,
+        diastolic: reading.blood_pressure.diastolic,
+      })),
+    news2: readings
+      .filter((reading) => Number.isFinite(reading.news2?.score))
+      .map((reading) => ({ ...point(reading, reading.news2.score), risk: reading.news2.risk })),
+  };
+
+  for (const field of TREND_FIELDS) {
+    series[field] = readings
+      .filter((reading) => Number.isFinite(reading[field]))
+      .map((reading) => point(reading, reading[field]));
+  }
+
+  return {
+    readings,
+    series,
+    latest: readings[readings.length - 1] || null,
+  };
+}
+
+export default {
+  VITAL_RANGES,
+  normalizeVitals,
+  getAppointment,
+  recordVitals,
+  getVisitVitals,
+  getPatientVitalsTrend,
+};
@@ -0,0 +1,712 @@
+/**
+ * Waitlist Service for MediFlow
+ * Backfills cancelled and no-show slots from a per-department / per-doctor waitlist
+ *
+ * Flow:
+ * 1. Patients join from the chatbot (no open slot) or the booking page
+ * 2. A cancellation or no-show calls handleFreedAppointment → the freed time
+ *    is offered to the best matching entry (Emergency > Medium > Low, then
+ *    longest waiting). The slot is held for WAITLIST_OFFER_MINUTES and the
+ *    patient gets an SMS/email link to accept or decline
+ * 3. Accept → the hold is confirmed into an appointment (bookingService.confirmHold)
+ * 4. Decline / no answer (expireOffers cron) → hold released, same slot
+ *    offered to the next person; the patient stays on the list unless they
+ *    have missed WAITLIST_MAX_MISSED_OFFERS offers
+ *
+ * Backfill never throws into the cancellation/no-show path that triggered it.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import Doctor from '../models/Doctor.js';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import availabilityService from './availabilityService.js';
+import bookingService from './bookingService.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import { formatDateTime } from '../utils/timeSlotGenerator.js';
+import { httpError, idOf } from '../utils/serviceHelpers.js';
+
+/**
+ * How long a waitlisted patient has to accept an offered slot (minutes)
+ */
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+/**
+ * Minimum notice before an offered slot starts (minutes) - the patient needs time to travel
+ */
+const MIN_NOTICE_MINUTES = parseInt(process.env.WAITLIST_MIN_NOTICE_MINUTES, 10) || 15;
+
+/**
+ * Unanswered offers before an entry is dropped from the waitlist
+ */
+const MAX_MISSED_OFFERS = parseInt(process.env.WAITLIST_MAX_MISSED_OFFERS, 10) || 3;
+
+/**
+ * Entry statuses that are still on the waitlist
+ */
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Candidates tried per freed slot before giving up (unreachable patients, slot too short)
+ */
+const MAX_CANDIDATES = 10;
+
+/**
+ * Position in the department queue (1 = next in line)
+ */
+async function getPosition(entry) {
+  const ahead = await WaitlistEntry.countDocuments({
+    _id: { $ne: entry._id },
+    status: 'waiting',
+    department: entry.department,
+    $or: [
+      { priority: { $gt: entry.priority } },
+      { priority: entry.priority, createdAt: { $lt: entry.createdAt } },
+    ],
+  });
+
+  return ahead + 1;
+}
+
+/**
+ * Add a patient to the waitlist (returns their existing entry if they are already waiting)
+ * @param {Object} params
+ * @param {string} params.patientId - Patient ID (staff / chatbot)
+ * @param {string} params.appointmentId - slots_generated booking request (booking page)
+ * @param {string} params.patientEmail - Must match the appointment's patient when given
+ * @param {string} params.department - Required unless it comes from the appointment/doctor
+ * @param {string} params.doctorId - Specific doctor (default: any doctor in the department)
+ * @param {string} params.source - chatbot | online | staff
+ * @returns {Promise<Object>} - { entry, position, created }
+ */
+async function joinWaitlist({
+  patientId = null,
+  appointmentId = null,
+  patientEmail = null,
+  department = null,
+  doctorId = null,
+  appointmentType = 'new_patient',
+  chiefComplaint = null,
+  symptoms = [],
+  earliestDate = null,
+  latestDate = null,
+  source = 'online',
+}) {
+  let appointment = null;
+
+  if (appointmentId) {
+    appointment = await Appointment.findById(appointmentId).populate('patient_id', 'email');
+    if (!appointment) {
+      throw httpError('Appointment not found', 404);
+    }
+    if (patientEmail && appointment.patient_id?.email !== patientEmail.trim().toLowerCase()) {
+      throw httpError('Patient email does not match this appointment', 403);
+    }
+    if (appointment.status !== 'slots_generated') {
+      throw httpError('This appointment has already been booked', 409);
+    }
+
+    patientId = idOf(appointment.patient_id);
+    department = department || appointment.department;
+    doctorId = doctorId || appointment.doctor_id;
+    appointmentType = appointment.appointment_type || appointmentType;
+    chiefComplaint = chiefComplaint || appointment.chief_complaint;
+    symptoms = symptoms?.length ? symptoms : appointment.symptoms;
+  }
+
+  const patient = patientId && mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+  if (!patient) {
+    throw httpError('Patient not found', 404);
+  }
+
+  if (doctorId) {
+    const doctor = await availabilityService.loadDoctor(doctorId);
+    if (!doctor) {
+      throw httpError('Doctor not found', 404);
+    }
+    department = department || doctor.department;
+  }
+
+  if (!department) {
+    throw httpError('department or doctor_id is required', 400);
+  }
+
+  const earliest = earliestDate ? new Date(earliestDate) : null;
+  const latest = latestDate ? new Date(latestDate) : null;
+  if ((earliest && isNaN(earliest.getTime())) || (latest && isNaN(latest.getTime())) || (earliest && latest && latest < earliest)) {
+    throw httpError('Invalid date preference (earliest_date must be before latest_date)', 400);
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    patient_id: patient._id,
+    department,
+    doctor_id: doctorId ? idOf(doctorId) : null,
+    status: { $in: OPEN_STATUSES },
+  });
+
+  if (existing) {
+    return { entry: existing, position: await getPosition(existing), created: false };
+  }
+
+  const riskClassification = patient.risk_classification || 'Unclassified';
+
+  const entry = await WaitlistEntry.create({
+    patient_id: patient._id,
+    department,
+    doctor_id: doctorId ? idOf(doctorId) : null,
+    appointment_type: appointmentType,
+    appointment_id: appointment?._id || null,
+    chief_complaint: chiefComplaint,
+    symptoms: symptoms || [],
+    source,
+    risk_classification: riskClassification,
+    priority: WaitlistEntry.getPriority(riskClassification),
+    earliest_date: earliest,
+    latest_date: latest,
+  });
+
+  const position = await getPosition(entry);
+  logger.success(`📝 ${patient.name} joined the ${department} waitlist (${riskClassification}, position ${position})`);
+
+  return { entry, position, created: true };
+}
+
+/**
+ * Booking request an accepted offer should book (null once it is no longer open)
+ */
+async function getBookableAppointmentId(entry) {
+  if (!entry.appointment_id) {
+    return null;
+  }
+
+  const appointment = await Appointment.findById(entry.appointment_id).select('status').lean();
+  return appointment?.status === 'slots_generated' ? appointment._id : undefined;
+}
+
+/**
+ * Next waiting entry that could take a slot (highest priority, then longest waiting)
+ */
+async function findNextCandidate({ doctorId, department, startTime, excludePatientId, triedIds }) {
+  const query = {
+    _id: { $nin: triedIds },
+    status: 'waiting',
+    department,
+    $and: [
+      { $or: [{ doctor_id: null }, { doctor_id: doctorId }] },
+      { $or: [{ earliest_date: null }, { earliest_date: { $lte: startTime } }] },
+      { $or: [{ latest_date: null }, { latest_date: { $gte: startTime } }] },
+    ],
+    // Never re-offer a slot someone already passed on
+    offer_history: { $not: { $elemMatch: { doctor_id: doctorId, start_time: startTime } } },
+  };
+
+  if (excludePatientId) {
+    query.patient_id = { $ne: excludePatientId };
+  }
+
+  return WaitlistEntry.findOne(query).sort({ priority: -1, createdAt: 1 });
+}
+
+/**
+ * Send the offer link by SMS and email
+ * @returns {Promise<Array>} - Channels the offer reached
+ */
+async function notifyOffer(entry, patient, doctor, token) {
+  const clinicName = process.env.CLINIC_NAME || 'MediFlow Clinic';
+  const offerLink = `${process.env.CLIENT_ORIGIN || 'http://localhost:5173'}/waitlist/${entry._id}?token=${token}`;
+  const slotTime = formatDateTime(entry.offer.start_time);
+  const channels = [];
+
+  if (patient.phone) {
+    try {
+      const message = `${clinicName}: An earlier slot opened with Dr. ${doctor.name} on ${slotTime}. It's held for you for ${OFFER_MINUTES} min - accept or decline here: ${offerLink}`;
+      await smsService.sendSMS(patient.phone, message, { patient, messageType: 'waitlist_offer' });
+      channels.push('sms');
+    } catch (error) {
+      logger.warn(`⚠️ Waitlist offer SMS not sent to ${patient.name}: ${error.message}`);
+    }
+  }
+
+  if (patient.email) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0066CC;">An Earlier Appointment Is Available</h2>
+        <p>Hi ${patient.name},</p>
+        <p>A slot has opened up with Dr. ${doctor.name} (${entry.department}) on <strong>${slotTime}</strong>.</p>
+        <p>We're holding it for you for the next ${OFFER_MINUTES} minutes. After that it will be offered to the next patient on the waitlist.</p>
+        <p><a href="${offerLink}" style="color: #0066CC; font-weight: bold;">Accept or decline this slot</a></p>
+        <br>
+        <p>Best regards,<br>${clinicName}</p>
+      </div>
+    `;
+    const result = await emailService.sendEmail(patient.email, 'An earlier appointment is available', html, '', 3, {
+      patient,
+      messageType: 'waitlist_offer',
+    });
+    if (result.success) {
+      channels.push('email');
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * End an open offer: release the held slot and put the entry back in the queue
+ * (or drop it after too many missed offers)
+ * @param {Object} entry - WaitlistEntry with an open offer
+ * @param {string} outcome - declined | expired | unreachable | withdrawn
+ * @returns {Promise<Object|null>} - Updated entry, or null if the offer was already closed
+ */
+async function closeOffer(entry, outcome) {
+  const now = new Date();
+  const missedOffers = entry.missed_offers + (outcome === 'expired' ? 1 : 0);
+  const dropped = outcome === 'expired' && missedOffers >= MAX_MISSED_OFFERS;
+
+  const update = {
+    $set: {
+      status: dropped ? 'expired' : 'waiting',
+      missed_offers: missedOffers,
+      'offer.hold_id': null,
+      'offer.token': null,
+      'offer.expires_at': null,
+    },
+    $push: {
+      offer_history: {
+        doctor_id: entry.offer.doctor_id,
+        start_time: entry.offer.start_time,
+        offered_at: entry.offer.offered_at,
+        outcome,
+        responded_at: now,
+      },
+    },
+  };
+
+  if (dropped) {
+    update.$set.closed_at = now;
+    update.$set.close_reason = 'missed_offers';
+  }
+
+  // Claim the offer - a decline racing the expiry job only closes it once
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.hold_id': entry.offer.hold_id },
+    update,
+    { new: true }
+  );
+
+  if (closed && entry.offer.hold_id) {
+    await bookingService.releaseHold(entry.offer.hold_id);
+  }
+
+  return closed;
+}
+
+/**
+ * Offer a slot to one waitlist entry: claim the entry, hold the slot, notify the patient
+ * @returns {Promise<Object>} - { offered, entry, reason }
+ */
+async function makeOffer(candidate, doctor, startTime, endTime) {
+  const appointmentId = await getBookableAppointmentId(candidate);
+
+  // Their booking request was booked or cancelled another way - nothing left to backfill
+  if (appointmentId === undefined) {
+    await WaitlistEntry.updateOne(
+      { _id: candidate._id, status: 'waiting' },
+      { $set: { status: 'cancelled', closed_at: new Date(), close_reason: 'appointment_no_longer_open' } }
+    );
+    return { offered: false, entry: null, reason: 'stale' };
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: candidate._id, status: 'waiting' },
+    {
+      $set: {
+        status: 'offered',
+        offer: {
+          doctor_id: doctor._id,
+          start_time: startTime,
+          end_time: endTime,
+          hold_id: null,
+          token,
+          offered_at: new Date(),
+          expires_at: new Date(Date.now() + OFFER_MINUTES * 60000),
+          notified_via: [],
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!entry) {
+    return { offered: false, entry: null, reason: 'claimed' };
+  }
+
+  let hold;
+  try {
+    hold = await bookingService.placeHold({
+      doctorId: doctor._id,
+      startTime,
+      endTime,
+      appointmentType: entry.appointment_type,
+      patientId: entry.patient_id,
+      appointmentId,
+      purpose: 'waitlist_offer',
+      holdMinutes: OFFER_MINUTES,
+    });
+  } catch (error) {
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'waiting', 'offer.token': null, 'offer.expires_at': null } }
+    );
+
+    if (error.status === 409) {
+      return { offered: false, entry: null, reason: 'slot_unavailable' };
+    }
+    throw error;
+  }
+
+  entry.offer.hold_id = hold._id;
+  await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { 'offer.hold_id': hold._id } });
+
+  const patient = await Patient.findById(entry.patient_id);
+  const channels = patient ? await notifyOffer(entry, patient, doctor, token) : [];
+
+  if (channels.length === 0) {
+    await closeOffer(entry, 'unreachable');
+    return { offered: false, entry: null, reason: 'unreachable' };
+  }
+
+  await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { 'offer.notified_via': channels } });
+  logger.success(`📨 Waitlist slot offered to ${patient.name}: Dr. ${doctor.name} at ${startTime.toISOString()} (${channels.join(', ')})`);
+
+  return { offered: true, entry, reason: null };
+}
+
+/**
+ * Offer freed doctor time to the waitlist
+ * The offer starts at the freed start time, or after MIN_NOTICE_MINUTES when
+ * that has (nearly) passed, and lasts the waitlisted patient's slot length.
+ * @param {Object} params - { doctorId, department, startTime, endTime, excludePatientId }
+ * @returns {Promise<Object|null>} - Entry the slot was offered to, or null
+ */
+async function offerFreedSlot({ doctorId, department = null, startTime, endTime, excludePatientId = null }) {
+  const doctor = await availabilityService.loadDoctor(doctorId);
+  if (!doctor) {
+    return null;
+  }
+
+  // Round up to the next 5 minutes so offers land on clean times
+  const earliestStart = Date.now() + MIN_NOTICE_MINUTES * 60000;
+  const offerStart = new Date(
+    Math.ceil(Math.max(new Date(startTime).getTime(), earliestStart) / (5 * 60000)) * 5 * 60000
+  );
+  const freedEnd = new Date(endTime);
+
+  if (offerStart >= freedEnd) {
+    logger.info(`⏭️ Freed slot with Dr. ${doctor.name} ends too soon to backfill`);
+    return null;
+  }
+
+  const triedIds = [];
+
+  for (let attempt = 0; attempt < MAX_CANDIDATES; attempt++) {
+    const candidate = await findNextCandidate({
+      doctorId: doctor._id,
+      department: department || doctor.department,
+      startTime: offerStart,
+      excludePatientId,
+      triedIds,
+    });
+
+    if (!candidate) {
+      if (attempt === 0) {
+        logger.info(`📭 No one on the ${department || doctor.department} waitlist for Dr. ${doctor.name} at ${offerStart.toISOString()}`);
+      }
+      return null;
+    }
+
+    triedIds.push(candidate._id);
+
+    const offerEnd = new Date(offerStart.getTime() + doctor.getSlotDuration(candidate.appointment_type) * 60000);
+    if (offerEnd > freedEnd) {
+      continue;
+    }
+
+    const result = await makeOffer(candidate, doctor, offerStart, offerEnd);
+
+    if (result.offered) {
+      return result.entry;
+    }
+    if (result.reason === 'slot_unavailable') {
+      logger.info(`⏭️ Freed slot with Dr. ${doctor.name} at ${offerStart.toISOString()} was already rebooked`);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Backfill the time a cancelled / no-show appointment occupied (never throws)
+ * @param {Object} appointment - Appointment document (doctor_id may be populated)
+ * @param {string} reason - cancelled | no_show (for logs)
+ * @returns {Promise<Object|null>} - Entry the slot was offered to, or null
+ */
+async function handleFreedAppointment(appointment, reason = 'cancelled') {
+  try {
+    if (!appointment?.doctor_id || !appointment.scheduled_start_time) {
+      return null;
+    }
+
+    const startTime = new Date(appointment.scheduled_start_time);
+    const endTime = appointment.scheduled_end_time
+      ? new Date(appointment.scheduled_end_time)
+      : new Date(startTime.getTime() + (appointment.appointment_duration || 30) * 60000);
+
+    if (endTime <= new Date()) {
+      return null;
+    }
+
+    logger.info(`♻️ Slot freed (${reason}) by appointment ${appointment._id} - checking waitlist`);
+
+    return await offerFreedSlot({
+      doctorId: idOf(appointment.doctor_id),
+      department: appointment.department,
+      startTime,
+      endTime,
+      excludePatientId: idOf(appointment.patient_id),
+    });
+  } catch (error) {
+    logger.error(`❌ Waitlist backfill failed for appointment ${appointment?._id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Load an entry by ID and offer token (public accept/decline link)
+ */
+async function findOfferEntry(entryId, token) {
+  const entry = mongoose.isValidObjectId(entryId)
+    ? await WaitlistEntry.findById(entryId).select('+offer.token')
+    : null;
+
+  const expected = entry?.offer?.token;
+  const matches = expected && token &&
+    expected.length === String(token).length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(token)));
+
+  if (!matches) {
+    throw httpError('Waitlist offer not found', 404);
+  }
+
+  if (!entry.hasOpenOffer()) {
+    throw httpError('This offer has expired - the slot may have gone to the next patient', 410);
+  }
+
+  return entry;
+}
+
+/**
+ * Offer details for the public accept/decline page
+ */
+async function getOffer(entryId, token) {
+  const entry = await findOfferEntry(entryId, token);
+  const [doctor, patient] = await Promise.all([
+    Doctor.findById(entry.offer.doctor_id).select('name department specialization'),
+    Patient.findById(entry.patient_id).select('name'),
+  ]);
+
+  return {
+    entry_id: entry._id,
+    patient_id: entry.patient_id,
+    patient_name: patient?.name || null,
+    department: entry.department,
+    doctor_name: doctor?.name || null,
+    specialization: doctor?.specialization || null,
+    start_time: entry.offer.start_time,
+    end_time: entry.offer.end_time,
+    expires_at: entry.offer.expires_at,
+  };
+}
+
+/**
+ * Accept an offer - books the held slot
+ * @returns {Promise<Object>} - { entry, appointment, doctor }
+ */
+async function acceptOffer(entryId, token) {
+  const entry = await findOfferEntry(entryId, token);
+
+  const { appointment, doctor } = await bookingService.confirmHold(entry.offer.hold_id, {
+    patientId: entry.patient_id,
+    chiefComplaint: entry.chief_complaint || `Waitlist booking (${entry.department})`,
+    symptoms: entry.symptoms,
+  });
+
+  const now = new Date();
+  const booked = await WaitlistEntry.findByIdAndUpdate(
+    entry._id,
+    {
+      $set: {
+        status: 'booked',
+        booked_appointment_id: appointment._id,
+        closed_at: now,
+        close_reason: 'booked',
+        'offer.token': null,
+      },
+      $push: {
+        offer_history: {
+          doctor_id: entry.offer.doctor_id,
+          start_time: entry.offer.start_time,
+          offered_at: entry.offer.offered_at,
+          outcome: 'accepted',
+          responded_at: now,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  logger.success(`✅ Waitlist offer accepted - appointment ${appointment._id} booked`);
+
+  return { entry: booked, appointment, doctor };
+}
+
+/**
+ * Decline an offer - the patient stays on the waitlist and the slot moves on
+ * @returns {Promise<Object>} - Updated entry
+ */
+async function declineOffer(entryId, token) {
+  const entry = await findOfferEntry(entryId, token);
+  const closed = await closeOffer(entry, 'declined');
+
+  if (!closed) {
+    throw httpError('This offer has already been answered', 409);
+  }
+
+  logger.info(`↪️ Waitlist offer declined by entry ${entry._id} - offering to the next patient`);
+  await offerFreedSlot({
+    doctorId: entry.offer.doctor_id,
+    department: entry.department,
+    startTime: entry.offer.start_time,
+    endTime: entry.offer.end_time,
+  });
+
+  return closed;
+}
+
+/**
+ * Remove an entry from the waitlist (staff) - an open offer is withdrawn and passed on
+ * @returns {Promise<Object>} - Updated entry
+ */
+async function cancelEntry(entryId, reason = 'removed_by_staff') {
+  const entry = mongoose.isValidObjectId(entryId) ? await WaitlistEntry.findById(entryId) : null;
+  if (!entry) {
+    throw httpError('Waitlist entry not found', 404);
+  }
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw httpError(`Waitlist entry is already ${entry.status}`, 409);
+  }
+
+  const offer = entry.status === 'offered'
+    ? { doctor_id: entry.offer.doctor_id, start_time: entry.offer.start_time, end_time: entry.offer.end_time }
+    : null;
+  if (offer) {
+    await closeOffer(entry, 'withdrawn');
+  }
+
+  const cancelled = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: OPEN_STATUSES } },
+    { $set: { status: 'cancelled', closed_at: new Date(), close_reason: reason } },
+    { new: true }
+  );
+
+  if (offer) {
+    await offerFreedSlot({
+      doctorId: offer.doctor_id,
+      department: entry.department,
+      startTime: offer.start_time,
+      endTime: offer.end_time,
+    });
+  }
+
+  logger.info(`🗑️ Waitlist entry ${entry._id} cancelled (${reason})`);
+  return cancelled || entry;
+}
+
+/**
+ * Expire lapsed offers and pass their slots on; drop entries past their latest date
+ * Runs every minute (appointmentScheduler)
+ * @returns {Promise<number>} - Offers expired
+ */
+async function expireOffers() {
+  const now = new Date();
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'offer.expires_at': { $lte: now } });
+
+  let expired = 0;
+  for (const entry of lapsed) {
+    const closed = await closeOffer(entry, 'expired');
+    if (!closed) {
+      continue;
+    }
+
+    expired++;
+    logger.info(`⌛ Waitlist offer expired for entry ${entry._id} - offering to the next patient`);
+    await offerFreedSlot({
+      doctorId: entry.offer.doctor_id,
+      department: entry.department,
+      startTime: entry.offer.start_time,
+      endTime: entry.offer.end_time,
+    });
+  }
+
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', latest_date: { $ne: null, $lt: now } },
+    { $set: { status: 'expired', closed_at: now, close_reason: 'latest_date_passed' } }
+  );
+
+  return expired;
+}
+
+/**
+ * List waitlist entries (staff view), in offer order
+ * @param {Object} filters - { department, doctorId, status, patientId }
+ * @param {Object} pagination - { page, limit }
+ */
+async function getWaitlist({ department = null, doctorId = null, status = null, patientId = null } = {}, { page = 1, limit = 50 } = {}) {
+  const query = { status: status || { $in: OPEN_STATUSES } };
+  if (department) query.department = department;
+  if (doctorId) query.doctor_id = doctorId;
+  if (patientId) query.patient_id = patientId;
+
+  const [entries, total] = await Promise.all([
+    WaitlistEntry.find(query)
+      .sort({ priority: -1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('patient_id', 'name risk_classification')
+      .populate('doctor_id', 'name department')
+      .populate('offer.doctor_id', 'name'),
+    WaitlistEntry.countDocuments(query),
+  ]);
+
+  return { entries, total, page, limit };
+}
+
+export default {
+  OFFER_MINUTES,
+  joinWaitlist,
+  getPosition,
+  offerFreedSlot,
+  handleFreedAppointment,
+  getOffer,
+  acceptOffer,
+  declineOffer,
+  cancelEntry,
+  expireOffers,
+  getWaitlist,
+};
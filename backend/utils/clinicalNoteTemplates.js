@@ -0,0 +1,193 @@
+/**
+ * Clinical Note Templates for MediFlow
+ * Starting text for each SOAP section, per department, plus the ICD-10 codes
+ * the department codes most often (offered first in the diagnosis picker)
+ *
+ * A new note is pre-filled from its template; sections the doctor sends override
+ * the template text. Every department falls back to the General Medicine template.
+ */
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+const GENERAL_TEMPLATE = {
+  code: 'GEN',
+  name: 'General Consultation',
+  department: 'General Medicine',
+  sections: {
+    subjective: 'Chief complaint:\nHistory of present illness:\nPast history:\nMedications:\nAllergies:',
+    objective: 'General examination:\nSystemic examination:',
+    assessment: 'Impression:',
+    plan: 'Investigations:\nTreatment:\nAdvice:\nFollow-up:',
+  },
+  suggested_codes: ['J06.9', 'R50.9', 'B34.9', 'I10', 'E11.9', 'A09.9', 'Z00.0'],
+};
+
+const CLINICAL_NOTE_TEMPLATES = [
+  GENERAL_TEMPLATE,
+  {
+    code: 'CARD',
+    name: 'Cardiology Consultation',
+    department: 'Cardiology',
+    sections: {
+      subjective: 'Chief complaint:\nChest pain (site / character / radiation / exertional):\nBreathlessness (NYHA class):\nPalpitations / syncope:\nRisk factors (HTN / DM / smoking / lipids / family history):\nMedications:\nAllergies:',
+      objective: 'Pulse (rate / rhythm):\nJVP:\nHeart sounds / murmurs:\nChest:\nPedal oedema:\nECG:',
+      assessment: 'Impression:\nCardiovascular risk:',
+      plan: 'Investigations (ECG / Echo / TMT / lipid profile):\nTreatment:\nLifestyle advice:\nFollow-up:',
+    },
+    suggested_codes: ['I10', 'I20.9', 'I25.1', 'I48.9', 'I50.9', 'R07.4', 'E78.5'],
+  },
+  {
+    code: 'PED',
+    name: 'Paediatric Consultation',
+    department: 'Pediatrics',
+    sections: {
+      subjective: 'Chief complaint (as reported by parent / guardian):\nHistory of present illness:\nBirth history:\nImmunization status:\nDevelopmental milestones:\nFeeding / diet:\nAllergies:',
+      objective: 'Weight / height / head circumference (percentiles):\nGeneral examination (hydration / activity):\nSystemic examination:',
+      assessment: 'Impression:',
+      plan: 'Investigations:\nTreatment (weight-based doses):\nAdvice to parents / warning signs:\nFollow-up:',
+    },
+    suggested_codes: ['J06.9', 'R50.9', 'A09.9', 'H66.9', 'J21.9', 'R56.0', 'Z00.1'],
+  },
+  {
+    code: 'DERM',
+    name: 'Dermatology Consultation',
+    department: 'Dermatology',
+    sections: {
+      subjective: 'Chief complaint:\nDuration / progression:\nItching / pain:\nTriggers / contacts:\nPrevious treatment:\nAllergies:',
+      objective: 'Lesion morphology (type / size / colour / distribution):\nHair / nails / mucosa:',
+      assessment: 'Impression:\nDifferentials:',
+      plan: 'Investigations (KOH / biopsy):\nTopical treatment:\nSystemic treatment:\nSkin care advice:\nFollow-up:',
+    },
+    suggested_codes: ['L70.0', 'L20.9', 'B35.4', 'L50.9', 'L40.0', 'L30.9', 'B86'],
+  },
+  {
+    code: 'ORTHO',
+    name: 'Orthopaedic Consultation',
+    department: 'Orthopedics',
+    sections: {
+      subjective: 'Chief complaint:\nMechanism of injury (if any):\nPain (site / severity / aggravating factors):\nFunctional limitation:\nMedications:\nAllergies:',
+      objective: 'Inspection:\nPalpation / tenderness:\nRange of movement:\nNeurovascular status:\nSpecial tests:\nImaging:',
+      assessment: 'Impression:',
+      plan: 'Investigations (X-ray / MRI):\nTreatment / immobilisation:\nPhysiotherapy:\nFollow-up:',
+    },
+    suggested_codes: ['M54.5', 'M17.9', 'M54.2', 'S93.4', 'M75.0', 'M51.2', 'M79.1'],
+  },
+  {
+    code: 'GYN',
+    name: 'Gynaecology / Obstetrics Consultation',
+    department: 'Gynecology',
+    sections: {
+      subjective: 'Chief complaint:\nLMP / cycle:\nObstetric history (G P L A):\nContraception:\nMedications:\nAllergies:',
+      objective: 'General examination:\nAbdominal examination:\nPelvic examination (with chaperone):\nUltrasound:',
+      assessment: 'Impression:',
+      plan: 'Investigations:\nTreatment:\nCounselling:\nFollow-up:',
+    },
+    suggested_codes: ['Z34.9', 'N94.6', 'N92.6', 'E28.2', 'N76.0', 'N39.0', 'O24.4'],
+  },
+  {
+    code: 'ENT',
+    name: 'ENT Consultation',
+    department: 'ENT',
+    sections: {
+      subjective: 'Chief complaint:\nEar (pain / discharge / hearing loss / tinnitus):\nNose (block / discharge / bleeding):\nThroat (pain / dysphagia / voice change):\nAllergies:',
+      objective: 'Otoscopy:\nAnterior rhinoscopy:\nOral cavity / oropharynx:\nNeck:\nTuning fork tests:',
+      assessment: 'Impression:',
+      plan: 'Investigations (audiometry / imaging):\nTreatment:\nFollow-up:',
+    },
+    suggested_codes: ['J03.9', 'H66.9', 'J01.9', 'J30.4', 'H61.2', 'H81.1', 'J02.9'],
+  },
+  {
+    code: 'OPH',
+    name: 'Ophthalmology Consultation',
+    department: 'Ophthalmology',
+    sections: {
+      subjective: 'Chief complaint:\nVision change / pain / redness / discharge:\nSpectacle history:\nSystemic illness (DM / HTN):\nAllergies:',
+      objective: 'Visual acuity (RE / LE):\nIOP (RE / LE):\nAnterior segment:\nFundus:',
+      assessment: 'Impression:',
+      plan: 'Investigations:\nTreatment / drops:\nSpectacle prescription:\nFollow-up:',
+    },
+    suggested_codes: ['H10.9', 'H52.1', 'H26.9', 'H40.9', 'H52.4', 'H00.0', 'Z01.0'],
+  },
+  {
+    code: 'DENT',
+    name: 'Dental Consultation',
+    department: 'Dentistry',
+    sections: {
+      subjective: 'Chief complaint:\nPain (tooth / duration / triggers):\nPrevious dental treatment:\nMedications:\nAllergies:',
+      objective: 'Extra-oral examination:\nIntra-oral examination (teeth involved - FDI notation):\nPeriodontal status:\nRadiographs:',
+      assessment: 'Impression:',
+      plan: 'Procedure:\nTreatment plan:\nOral hygiene advice:\nFollow-up:',
+    },
+    suggested_codes: ['K02.9', 'K04.0', 'K05.1', 'K04.7', 'K01.1', 'K05.3', 'Z01.2'],
+  },
+  {
+    code: 'PSY',
+    name: 'Psychiatry Consultation',
+    department: 'Psychiatry',
+    sections: {
+      subjective: 'Presenting complaints:\nHistory of present illness:\nSleep / appetite:\nSubstance use:\nPast psychiatric history:\nFamily history:\nMedications:',
+      objective: 'Mental status examination (appearance / behaviour / speech / mood / affect / thought / perception / cognition / insight):\nRisk assessment (self-harm / harm to others):',
+      assessment: 'Impression:\nRisk level:',
+      plan: 'Medication:\nPsychotherapy:\nSafety plan:\nFollow-up:',
+    },
+    suggested_codes: ['F32.9', 'F41.1', 'F41.9', 'F51.0', 'F31.9', 'F20.9', 'F10.2'],
+  },
+  {
+    code: 'NEURO',
+    name: 'Neurology Consultation',
+    department: 'Neurology',
+    sections: {
+      subjective: 'Chief complaint:\nOnset / progression:\nHeadache / seizures / weakness / numbness:\nPast history:\nMedications:\nAllergies:',
+      objective: 'Higher mental functions:\nCranial nerves:\nMotor (tone / power / reflexes):\nSensory:\nCoordination / gait:',
+      assessment: 'Impression:\nLocalisation:',
+      plan: 'Investigations (CT / MRI / EEG / NCS):\nTreatment:\nFollow-up:',
+    },
+    suggested_codes: ['G43.9', 'G40.9', 'G44.2', 'R42', 'G62.9', 'I63.9', 'G51.0'],
+  },
+  {
+    code: 'ER',
+    name: 'Emergency Assessment',
+    department: 'Emergency',
+    sections: {
+      subjective: 'Presenting complaint:\nTime of onset:\nMechanism (if injury):\nAMPLE (allergies / medications / past history / last meal / events):',
+      objective: 'Airway:\nBreathing:\nCirculation:\nDisability (GCS / pupils / glucose):\nExposure:\nSecondary survey:',
+      assessment: 'Impression:\nTriage category:',
+      plan: 'Immediate management:\nInvestigations:\nDisposition (admit / refer / discharge):',
+    },
+    suggested_codes: ['R07.4', 'R06.0', 'S06.0', 'T78.2', 'R55', 'I21.9', 'T14.1'],
+  },
+];
+
+const TEMPLATES_BY_CODE = new Map(CLINICAL_NOTE_TEMPLATES.map((template) => [template.code, template]));
+
+/**
+ * Template by code (case-insensitive)
+ * @returns {Object|null}
+ */
+const getTemplate = (code) => TEMPLATES_BY_CODE.get(String(code || '').trim().toUpperCase()) || null;
+
+/**
+ * Template for a department (General Medicine when the department has none)
+ */
+const getTemplateForDepartment = (department) =>
+  CLINICAL_NOTE_TEMPLATES.find((template) => template.department === department) || GENERAL_TEMPLATE;
+
+/**
+ * Templates, optionally for one department (its own first, then General Medicine)
+ */
+const listTemplates = (department = null) => {
+  if (!department) return CLINICAL_NOTE_TEMPLATES;
+
+  const own = CLINICAL_NOTE_TEMPLATES.filter((template) => template.department === department);
+  return own.includes(GENERAL_TEMPLATE) ? own : [...own, GENERAL_TEMPLATE];
+};
+
+export { SOAP_SECTIONS, CLINICAL_NOTE_TEMPLATES, getTemplate, getTemplateForDepartment, listTemplates };
+
+export default {
+  SOAP_SECTIONS,
+  CLINICAL_NOTE_TEMPLATES,
+  getTemplate,
+  getTemplateForDepartment,
+  listTemplates,
+};
@@ -0,0 +1,745 @@
+/**
+ * Drug Safety Catalog for MediFlow
+ * Offline reference data for prescribing-safety checks: drug classes, common
+ * Indian brand names, allergy cross-reactivity and clinically significant
+ * drug–drug interactions
+ *
+ * - Drugs are keyed by generic name; each belongs to one or more classes
+ * - Brand and combination names resolve to every generic they contain
+ *   (Augmentin → amoxicillin + clavulanic acid)
+ * - Interaction rules name either a generic or a class on each side
+ * - Severity: high (blocks prescribing unless the doctor records an override
+ *   reason), moderate and low (shown as warnings)
+ *
+ * The data covers the commonly prescribed outpatient drugs only; a drug that is
+ * not in the catalog is reported as unrecognized, never as safe.
+ */
+
+const SEVERITIES = ['high', 'moderate', 'low'];
+
+/**
+ * Drug classes
+ * - aliases: how patients and the chatbot write the class in an allergy list
+ * - within_class: severity when the patient is allergic to one member and another member is prescribed
+ * - duplicate_therapy: two members together is therapeutic duplication
+ */
+const DRUG_CLASSES = {
+  penicillins: {
+    name: 'Penicillins',
+    aliases: ['penicillin', 'penicillins', 'pcn'],
+    within_class: 'high',
+    duplicate_therapy: true,
+  },
+  cephalosporins: {
+    name: 'Cephalosporins',
+    aliases: ['cephalosporin', 'cephalosporins'],
+    within_class: 'moderate',
+    duplicate_therapy: true,
+  },
+  carbapenems: {
+    name: 'Carbapenems',
+    aliases: ['carbapenem', 'carbapenems'],
+    within_class: 'high',
+  },
+  sulfonamide_antibiotics: {
+    name: 'Sulfonamide antibiotics',
+    aliases: ['sulfa', 'sulpha', 'sulfa drugs', 'sulpha drugs', 'sulfonamide', 'sulfonamides', 'sulphonamide'],
+    within_class: 'high',
+  },
+  macrolides: {
+    name: 'Macrolides',
+    aliases: ['macrolide', 'macrolides'],
+    within_class: 'moderate',
+    duplicate_therapy: true,
+  },
+  fluoroquinolones: {
+    name: 'Fluoroquinolones',
+    aliases: ['fluoroquinolone', 'fluoroquinolones', 'quinolone', 'quinolones'],
+    within_class: 'moderate',
+    duplicate_therapy: true,
+  },
+  tetracyclines: {
+    name: 'Tetracyclines',
+    aliases: ['tetracyclines'],
+    within_class: 'moderate',
+  },
+  nitroimidazoles: {
+    name: 'Nitroimidazoles',
+    aliases: ['nitroimidazole'],
+    within_class: 'moderate',
+  },
+  azole_antifungals: {
+    name: 'Azole antifungals',
+    aliases: ['azole', 'azoles'],
+    within_class: 'low',
+  },
+  nsaids: {
+    name: 'NSAIDs',
+    aliases: ['nsaid', 'nsaids', 'anti inflammatory', 'anti inflammatories'],
+    within_class: 'moderate',
+    duplicate_therapy: true,
+  },
+  opioids: {
+    name: 'Opioids',
+    aliases: ['opioid', 'opioids', 'opiate', 'opiates'],
+    within_class: 'moderate',
+    duplicate_therapy: true,
+  },
+  anticoagulants: {
+    name: 'Oral anticoagulants',
+    aliases: ['anticoagulant', 'anticoagulants', 'blood thinner', 'blood thinners'],
+    duplicate_therapy: true,
+  },
+  antiplatelets: {
+    name: 'Antiplatelets',
+    aliases: ['antiplatelet', 'antiplatelets'],
+  },
+  statins: {
+    name: 'Statins',
+    aliases: ['statin', 'statins'],
+    within_class: 'low',
+    duplicate_therapy: true,
+  },
+  ace_inhibitors: {
+    name: 'ACE inhibitors',
+    aliases: ['ace inhibitor', 'ace inhibitors', 'acei'],
+    within_class: 'high',
+    duplicate_therapy: true,
+  },
+  arbs: {
+    name: 'Angiotensin receptor blockers',
+    aliases: ['arb', 'arbs', 'sartan', 'sartans'],
+    duplicate_therapy: true,
+  },
+  beta_blockers: {
+    name: 'Beta blockers',
+    aliases: ['beta blocker', 'beta blockers'],
+    duplicate_therapy: true,
+  },
+  nondihydropyridine_ccbs: {
+    name: 'Rate-limiting calcium channel blockers',
+    aliases: [],
+  },
+  potassium_sparing_diuretics: {
+    name: 'Potassium-sparing diuretics',
+    aliases: [],
+  },
+  potassium_supplements: {
+    name: 'Potassium supplements',
+    aliases: [],
+  },
+  loop_thiazide_diuretics: {
+    name: 'Loop and thiazide diuretics',
+    aliases: ['diuretic', 'diuretics', 'water pill', 'water pills'],
+  },
+  nitrates: {
+    name: 'Nitrates',
+    aliases: ['nitrate', 'nitrates'],
+  },
+  pde5_inhibitors: {
+    name: 'PDE-5 inhibitors',
+    aliases: [],
+  },
+  ssris: {
+    name: 'SSRIs',
+    aliases: ['ssri', 'ssris'],
+    duplicate_therapy: true,
+  },
+  maois: {
+    name: 'MAO inhibitors',
+    aliases: ['maoi', 'maois'],
+  },
+  serotonergic: {
+    name: 'Serotonergic drugs',
+    aliases: [],
+  },
+  benzodiazepines: {
+    name: 'Benzodiazepines',
+    aliases: ['benzodiazepine', 'benzodiazepines', 'benzo', 'benzos'],
+    within_class: 'moderate',
+    duplicate_therapy: true,
+  },
+  proton_pump_inhibitors: {
+    name: 'Proton pump inhibitors',
+    aliases: ['ppi', 'ppis'],
+    duplicate_therapy: true,
+  },
+  antacids_minerals: {
+    name: 'Antacids, calcium and iron',
+    aliases: ['antacid', 'antacids'],
+  },
+  qt_prolonging: {
+    name: 'QT-prolonging drugs',
+    aliases: [],
+  },
+  sulfonylureas: {
+    name: 'Sulfonylureas',
+    aliases: ['sulfonylurea', 'sulfonylureas'],
+    duplicate_therapy: true,
+  },
+  corticosteroids: {
+    name: 'Systemic corticosteroids',
+    aliases: ['steroid', 'steroids', 'corticosteroid', 'corticosteroids'],
+    duplicate_therapy: true,
+  },
+  amide_local_anaesthetics: {
+    name: 'Amide local anaesthetics',
+    aliases: ['local anaesthetic', 'local anesthetic', 'local anaesthetics', 'local anesthetics'],
+    within_class: 'moderate',
+  },
+};
+
+/**
+ * Generic drugs: classes and the brand / alternative names they are written as
+ */
+const DRUGS = {
+  // Antibiotics
+  amoxicillin: { classes: ['penicillins'], aliases: ['amoxycillin', 'mox', 'novamox', 'augmentin', 'clavam', 'moxclav', 'amoxyclav', 'co amoxiclav'] },
+  ampicillin: { classes: ['penicillins'], aliases: [] },
+  'benzathine penicillin': { classes: ['penicillins'], aliases: ['penidure', 'pencom'] },
+  cloxacillin: { classes: ['penicillins'], aliases: [] },
+  piperacillin: { classes: ['penicillins'], aliases: ['piptaz', 'tazact'] },
+  'clavulanic acid': { classes: [], aliases: ['clavulanate', 'augmentin', 'clavam', 'moxclav', 'amoxyclav', 'co amoxiclav'] },
+  cefalexin: { classes: ['cephalosporins'], aliases: ['cephalexin', 'sporidex'] },
+  cefadroxil: { classes: ['cephalosporins'], aliases: ['droxyl'] },
+  cefuroxime: { classes: ['cephalosporins'], aliases: ['ceftum', 'zocef'] },
+  cefixime: { classes: ['cephalosporins'], aliases: ['taxim o', 'zifi', 'cefspan'] },
+  cefpodoxime: { classes: ['cephalosporins'], aliases: ['cepodem', 'monocef o'] },
+  ceftriaxone: { classes: ['cephalosporins'], aliases: ['monocef', 'intacef'] },
+  meropenem: { classes: ['carbapenems'], aliases: ['meronem'] },
+  sulfamethoxazole: { classes: ['sulfonamide_antibiotics'], aliases: ['cotrimoxazole', 'co trimoxazole', 'bactrim', 'septran'] },
+  trimethoprim: { classes: [], aliases: ['cotrimoxazole', 'co trimoxazole', 'bactrim', 'septran'] },
+  azithromycin: { classes: ['macrolides', 'qt_prolonging'], aliases: ['azithral', 'azee', 'zithromax'] },
+  clarithromycin: { classes: ['macrolides', 'qt_prolonging'], aliases: ['claribid'] },
+  erythromycin: { classes: ['macrolides', 'qt_prolonging'], aliases: [] },
+  ciprofloxacin: { classes: ['fluoroquinolones', 'qt_prolonging'], aliases: ['ciplox', 'cifran'] },
+  ofloxacin: { classes: ['fluoroquinolones', 'qt_prolonging'], aliases: ['oflox', 'zanocin'] },
+  levofloxacin: { classes: ['fluoroquinolones', 'qt_prolonging'], aliases: ['levoflox', 'glevo'] },
+  moxifloxacin: { classes: ['fluoroquinolones', 'qt_prolonging'], aliases: ['moxif'] },
+  doxycycline: { classes: ['tetracyclines'], aliases: ['doxy', 'doxt', 'microdox'] },
+  tetracycline: { classes: ['tetracyclines'], aliases: [] },
+  metronidazole: { classes: ['nitroimidazoles'], aliases: ['flagyl', 'metrogyl'] },
+  tinidazole: { classes: ['nitroimidazoles'], aliases: ['tiniba'] },
+  ornidazole: { classes: ['nitroimidazoles'], aliases: [] },
+  nitrofurantoin: { classes: [], aliases: ['niftran', 'martifur'] },
+  fluconazole: { classes: ['azole_antifungals', 'qt_prolonging'], aliases: ['forcan', 'zocon'] },
+  itraconazole: { classes: ['azole_antifungals'], aliases: ['itaspor', 'canditral'] },
+  ketoconazole: { classes: ['azole_antifungals'], aliases: [] },
+
+  // Analgesics
+  paracetamol: { classes: [], aliases: ['acetaminophen', 'crocin', 'calpol', 'dolo', 'pcm', 'combiflam', 'ultracet'] },
+  ibuprofen: { classes: ['nsaids'], aliases: ['brufen', 'combiflam', 'advil'] },
+  diclofenac: { classes: ['nsaids'], aliases: ['voveran', 'voltaren', 'dynapar'] },
+  aceclofenac: { classes: ['nsaids'], aliases: ['zerodol', 'hifenac'] },
+  naproxen: { classes: ['nsaids'], aliases: ['naprosyn'] },
+  'mefenamic acid': { classes: ['nsaids'], aliases: ['meftal', 'ponstan'] },
+  etoricoxib: { classes: ['nsaids'], aliases: ['etoshine', 'nucoxia'] },
+  ketorolac: { classes: ['nsaids'], aliases: ['ketorol'] },
+  aspirin: { classes: ['nsaids', 'antiplatelets'], aliases: ['acetylsalicylic acid', 'ecosprin', 'disprin'] },
+  tramadol: { classes: ['opioids', 'serotonergic'], aliases: ['ultracet', 'contramal'] },
+  codeine: { classes: ['opioids'], aliases: [] },
+  morphine: { classes: ['opioids'], aliases: [] },
+  tapentadol: { classes: ['opioids', 'serotonergic'], aliases: [] },
+
+  // Cardiovascular
+  warfarin: { classes: ['anticoagulants'], aliases: ['warf', 'coumadin'] },
+  acenocoumarol: { classes: ['anticoagulants'], aliases: ['acitrom'] },
+  apixaban: { classes: ['anticoagulants'], aliases: ['eliquis'] },
+  rivaroxaban: { classes: ['anticoagulants'], aliases: ['xarelto'] },
+  clopidogrel: { classes: ['antiplatelets'], aliases: ['clopilet', 'plavix', 'deplatt'] },
+  atorvastatin: { classes: ['statins'], aliases: ['atorva', 'lipitor', 'storvas'] },
+  rosuvastatin: { classes: ['statins'], aliases: ['rosuvas', 'crestor'] },
+  simvastatin: { classes: ['statins'], aliases: [] },
+  enalapril: { classes: ['ace_inhibitors'], aliases: ['envas'] },
+  ramipril: { classes: ['ace_inhibitors'], aliases: ['cardace'] },
+  lisinopril: { classes: ['ace_inhibitors'], aliases: ['listril'] },
+  losartan: { classes: ['arbs'], aliases: ['losar', 'repace'] },
+  telmisartan: { classes: ['arbs'], aliases: ['telma'] },
+  olmesartan: { classes: ['arbs'], aliases: ['olmezest'] },
+  amlodipine: { classes: [], aliases: ['amlong', 'stamlo'] },
+  verapamil: { classes: ['nondihydropyridine_ccbs'], aliases: ['calaptin'] },
+  diltiazem: { classes: ['nondihydropyridine_ccbs'], aliases: ['dilzem'] },
+  metoprolol: { classes: ['beta_blockers'], aliases: ['metolar', 'betaloc'] },
+  atenolol: { classes: ['beta_blockers'], aliases: ['aten', 'tenormin'] },
+  propranolol: { classes: ['beta_blockers'], aliases: ['ciplar', 'inderal'] },
+  bisoprolol: { classes: ['beta_blockers'], aliases: ['concor'] },
+  spironolactone: { classes: ['potassium_sparing_diuretics'], aliases: ['aldactone'] },
+  eplerenone: { classes: ['potassium_sparing_diuretics'], aliases: [] },
+  'potassium chloride': { classes: ['potassium_supplements'], aliases: ['kcl'] },
+  furosemide: { classes: ['loop_thiazide_diuretics'], aliases: ['frusemide', 'lasix'] },
+  torsemide: { classes: ['loop_thiazide_diuretics'], aliases: ['dytor'] },
+  hydrochlorothiazide: { classes: ['loop_thiazide_diuretics'], aliases: ['hctz', 'aquazide'] },
+  digoxin: { classes: [], aliases: ['lanoxin'] },
+  amiodarone: { classes: ['qt_prolonging'], aliases: ['cordarone'] },
+  'isosorbide mononitrate': { classes: ['nitrates'], aliases: ['monotrate', 'ismo'] },
+  'isosorbide dinitrate': { classes: ['nitrates'], aliases: ['sorbitrate', 'isordil'] },
+  'glyceryl trinitrate': { classes: ['nitrates'], aliases: ['nitroglycerin', 'gtn'] },
+  sildenafil: { classes: ['pde5_inhibitors'], aliases: ['viagra', 'penegra'] },
+  tadalafil: { classes: ['pde5_inhibitors'], aliases: ['cialis', 'megalis'] },
+
+  // Diabetes & endocrine
+  metformin: { classes: [], aliases: ['glycomet', 'glucophage'] },
+  glimepiride: { classes: ['sulfonylureas'], aliases: ['amaryl'] },
+  gliclazide: { classes: ['sulfonylureas'], aliases: ['diamicron'] },
+  glibenclamide: { classes: ['sulfonylureas'], aliases: ['glyburide', 'daonil'] },
+  levothyroxine: { classes: [], aliases: ['thyroxine', 'thyronorm', 'eltroxin'] },
+  prednisolone: { classes: ['corticosteroids'], aliases: ['wysolone', 'omnacortil'] },
+  dexamethasone: { classes: ['corticosteroids'], aliases: ['decadron', 'dexona'] },
+  methylprednisolone: { classes: ['corticosteroids'], aliases: ['medrol'] },
+
+  // Psychiatry & neurology
+  fluoxetine: { classes: ['ssris', 'serotonergic'], aliases: ['fludac', 'prozac'] },
+  sertraline: { classes: ['ssris', 'serotonergic'], aliases: ['serta', 'zoloft'] },
+  escitalopram: { classes: ['ssris', 'serotonergic', 'qt_prolonging'], aliases: ['nexito', 'cipralex'] },
+  citalopram: { classes: ['ssris', 'serotonergic', 'qt_prolonging'], aliases: [] },
+  paroxetine: { classes: ['ssris', 'serotonergic'], aliases: ['paxil'] },
+  amitriptyline: { classes: ['serotonergic', 'qt_prolonging'], aliases: ['tryptomer'] },
+  selegiline: { classes: ['maois'], aliases: [] },
+  linezolid: { classes: ['maois'], aliases: ['linospan'] },
+  sumatriptan: { classes: ['serotonergic'], aliases: ['suminat'] },
+  lithium: { classes: [], aliases: ['licab', 'lithosun'] },
+  alprazolam: { classes: ['benzodiazepines'], aliases: ['alprax', 'restyl', 'xanax'] },
+  clonazepam: { classes: ['benzodiazepines'], aliases: ['clonotril', 'rivotril'] },
+  lorazepam: { classes: ['benzodiazepines'], aliases: ['ativan'] },
+  diazepam: { classes: ['benzodiazepines'], aliases: ['valium', 'calmpose'] },
+  phenytoin: { classes: [], aliases: ['eptoin', 'dilantin'] },
+  carbamazepine: { classes: [], aliases: ['tegretol'] },
+  'valproic acid': { classes: [], aliases: ['valproate', 'sodium valproate', 'divalproex', 'valparin', 'encorate'] },
+  ondansetron: { classes: ['qt_prolonging', 'serotonergic'], aliases: ['emeset', 'ondem', 'vomikind'] },
+  domperidone: { classes: ['qt_prolonging'], aliases: ['domstal', 'pan d'] },
+
+  // Gastro
+  omeprazole: { classes: ['proton_pump_inhibitors'], aliases: ['omez'] },
+  pantoprazole: { classes: ['proton_pump_inhibitors'], aliases: ['pan', 'pantocid', 'pan d'] },
+  esomeprazole: { classes: ['proton_pump_inhibitors'], aliases: ['nexpro'] },
+  rabeprazole: { classes: ['proton_pump_inhibitors'], aliases: ['razo', 'rablet'] },
+  'calcium carbonate': { classes: ['antacids_minerals'], aliases: ['shelcal', 'calcium'] },
+  'ferrous sulfate': { classes: ['antacids_minerals'], aliases: ['ferrous sulphate', 'iron', 'livogen', 'orofer'] },
+  'aluminium hydroxide': { classes: ['antacids_minerals'], aliases: ['aluminum hydroxide', 'digene', 'gelusil', 'mucaine'] },
+
+  // Other
+  methotrexate: { classes: [], aliases: ['folitrax', 'imutrex'] },
+  allopurinol: { classes: [], aliases: ['zyloric'] },
+  azathioprine: { classes: [], aliases: ['azoran'] },
+  theophylline: { classes: [], aliases: ['deriphyllin', 'theo asthalin'] },
+  lidocaine: { classes: ['amide_local_anaesthetics'], aliases: ['lignocaine', 'xylocaine'] },
+  bupivacaine: { classes: ['amide_local_anaesthetics'], aliases: ['sensorcaine'] },
+};
+
+/**
+ * Allergy to one class → caution with another
+ */
+const CROSS_REACTIVITY = [
+  {
+    allergy: 'penicillins',
+    drug: 'cephalosporins',
+    severity: 'moderate',
+    rationale: 'Cross-reactivity between penicillins and cephalosporins (about 1-2%, higher with first-generation cephalosporins) - avoid after anaphylaxis to a penicillin',
+  },
+  {
+    allergy: 'cephalosporins',
+    drug: 'penicillins',
+    severity: 'moderate',
+    rationale: 'Shared beta-lactam ring - cephalosporin allergy carries a risk of penicillin cross-reactivity',
+  },
+  {
+    allergy: 'penicillins',
+    drug: 'carbapenems',
+    severity: 'low',
+    rationale: 'Carbapenem cross-reactivity in penicillin-allergic patients is below 1% - monitor the first dose',
+  },
+  {
+    allergy: 'aspirin',
+    drug: 'nsaids',
+    severity: 'high',
+    rationale: 'Aspirin-exacerbated respiratory disease / urticaria cross-reacts with other COX-1 inhibiting NSAIDs',
+  },
+];
+
+/**
+ * Clinically significant drug–drug interactions (a / b: generic or class key)
+ */
+const INTERACTIONS = [
+  {
+    a: 'anticoagulants',
+    b: 'nsaids',
+    severity: 'high',
+    rationale: 'Major bleeding risk - NSAIDs add antiplatelet effect and gastric mucosal injury to anticoagulation',
+  },
+  {
+    a: 'anticoagulants',
+    b: 'antiplatelets',
+    severity: 'high',
+    rationale: 'Combined anticoagulant and antiplatelet therapy markedly increases bleeding risk',
+  },
+  {
+    a: 'warfarin',
+    b: 'metronidazole',
+    severity: 'high',
+    rationale: 'Metronidazole inhibits warfarin metabolism (CYP2C9) - INR can rise sharply',
+  },
+  {
+    a: 'warfarin',
+    b: 'fluconazole',
+    severity: 'high',
+    rationale: 'Fluconazole inhibits CYP2C9 - raised INR and bleeding',
+  },
+  {
+    a: 'warfarin',
+    b: 'sulfamethoxazole',
+    severity: 'high',
+    rationale: 'Co-trimoxazole potentiates warfarin - raised INR and bleeding',
+  },
+  {
+    a: 'warfarin',
+    b: 'fluoroquinolones',
+    severity: 'moderate',
+    rationale: 'Fluoroquinolones can raise INR - check INR within a few days',
+  },
+  {
+    a: 'warfarin',
+    b: 'macrolides',
+    severity: 'moderate',
+    rationale: 'Macrolides can raise INR - check INR within a few days',
+  },
+  {
+    a: 'acenocoumarol',
+    b: 'metronidazole',
+    severity: 'high',
+    rationale: 'Metronidazole inhibits coumarin metabolism - INR can rise sharply',
+  },
+  {
+    a: 'clopidogrel',
+    b: 'omeprazole',
+    severity: 'moderate',
+    rationale: 'Omeprazole inhibits CYP2C19 activation of clopidogrel - prefer pantoprazole',
+  },
+  {
+    a: 'clopidogrel',
+    b: 'esomeprazole',
+    severity: 'moderate',
+    rationale: 'Esomeprazole inhibits CYP2C19 activation of clopidogrel - prefer pantoprazole',
+  },
+  {
+    a: 'simvastatin',
+    b: 'clarithromycin',
+    severity: 'high',
+    rationale: 'CYP3A4 inhibition raises simvastatin levels - risk of rhabdomyolysis',
+  },
+  {
+    a: 'simvastatin',
+    b: 'erythromycin',
+    severity: 'high',
+    rationale: 'CYP3A4 inhibition raises simvastatin levels - risk of rhabdomyolysis',
+  },
+  {
+    a: 'atorvastatin',
+    b: 'clarithromycin',
+    severity: 'moderate',
+    rationale: 'CYP3A4 inhibition raises atorvastatin levels - myopathy risk, consider a lower statin dose',
+  },
+  {
+    a: 'statins',
+    b: 'itraconazole',
+    severity: 'high',
+    rationale: 'Potent CYP3A4 inhibition - risk of rhabdomyolysis',
+  },
+  {
+    a: 'ace_inhibitors',
+    b: 'potassium_sparing_diuretics',
+    severity: 'high',
+    rationale: 'Risk of severe hyperkalaemia - monitor potassium and renal function',
+  },
+  {
+    a: 'arbs',
+    b: 'potassium_sparing_diuretics',
+    severity: 'high',
+    rationale: 'Risk of severe hyperkalaemia - monitor potassium and renal function',
+  },
+  {
+    a: 'ace_inhibitors',
+    b: 'potassium_supplements',
+    severity: 'high',
+    rationale: 'Risk of severe hyperkalaemia',
+  },
+  {
+    a: 'potassium_sparing_diuretics',
+    b: 'potassium_supplements',
+    severity: 'high',
+    rationale: 'Risk of severe hyperkalaemia',
+  },
+  {
+    a: 'ace_inhibitors',
+    b: 'arbs',
+    severity: 'moderate',
+    rationale: 'Dual RAAS blockade - hyperkalaemia, hypotension and renal impairment without added benefit',
+  },
+  {
+    a: 'ace_inhibitors',
+    b: 'nsaids',
+    severity: 'moderate',
+    rationale: 'NSAIDs blunt the antihypertensive effect and raise the risk of acute kidney injury',
+  },
+  {
+    a: 'arbs',
+    b: 'nsaids',
+    severity: 'moderate',
+    rationale: 'NSAIDs blunt the antihypertensive effect and raise the risk of acute kidney injury',
+  },
+  {
+    a: 'beta_blockers',
+    b: 'nondihydropyridine_ccbs',
+    severity: 'high',
+    rationale: 'Additive AV-nodal blockade - bradycardia, heart block and heart failure',
+  },
+  {
+    a: 'digoxin',
+    b: 'amiodarone',
+    severity: 'high',
+    rationale: 'Amiodarone roughly doubles digoxin levels - halve the digoxin dose and monitor',
+  },
+  {
+    a: 'digoxin',
+    b: 'clarithromycin',
+    severity: 'moderate',
+    rationale: 'Clarithromycin raises digoxin levels (P-gp inhibition) - watch for toxicity',
+  },
+  {
+    a: 'nitrates',
+    b: 'pde5_inhibitors',
+    severity: 'high',
+    rationale: 'Profound, potentially fatal hypotension - contraindicated together',
+  },
+  {
+    a: 'ssris',
+    b: 'maois',
+    severity: 'high',
+    rationale: 'Serotonin syndrome - contraindicated together (allow a washout period)',
+  },
+  {
+    a: 'serotonergic',
+    b: 'maois',
+    severity: 'high',
+    rationale: 'Serotonin syndrome risk',
+  },
+  {
+    a: 'ssris',
+    b: 'tramadol',
+    severity: 'moderate',
+    rationale: 'Serotonin syndrome and lowered seizure threshold',
+  },
+  {
+    a: 'ssris',
+    b: 'nsaids',
+    severity: 'moderate',
+    rationale: 'Increased risk of gastrointestinal bleeding - consider gastroprotection',
+  },
+  {
+    a: 'lithium',
+    b: 'nsaids',
+    severity: 'high',
+    rationale: 'NSAIDs reduce lithium clearance - lithium toxicity',
+  },
+  {
+    a: 'lithium',
+    b: 'ace_inhibitors',
+    severity: 'high',
+    rationale: 'ACE inhibitors reduce lithium clearance - lithium toxicity',
+  },
+  {
+    a: 'lithium',
+    b: 'loop_thiazide_diuretics',
+    severity: 'high',
+    rationale: 'Diuretics (especially thiazides) reduce lithium clearance - lithium toxicity',
+  },
+  {
+    a: 'methotrexate',
+    b: 'trimethoprim',
+    severity: 'high',
+    rationale: 'Additive antifolate effect - bone marrow suppression',
+  },
+  {
+    a: 'methotrexate',
+    b: 'nsaids',
+    severity: 'moderate',
+    rationale: 'NSAIDs reduce methotrexate clearance - toxicity, especially at higher doses',
+  },
+  {
+    a: 'allopurinol',
+    b: 'azathioprine',
+    severity: 'high',
+    rationale: 'Allopurinol blocks azathioprine metabolism - severe myelosuppression unless the dose is cut to a quarter',
+  },
+  {
+    a: 'theophylline',
+    b: 'ciprofloxacin',
+    severity: 'high',
+    rationale: 'Ciprofloxacin inhibits theophylline metabolism - seizures and arrhythmias',
+  },
+  {
+    a: 'theophylline',
+    b: 'clarithromycin',
+    severity: 'moderate',
+    rationale: 'Raised theophylline levels',
+  },
+  {
+    a: 'qt_prolonging',
+    b: 'qt_prolonging',
+    severity: 'moderate',
+    rationale: 'Additive QT prolongation - risk of torsades de pointes (check ECG, potassium and magnesium)',
+  },
+  {
+    a: 'sulfonylureas',
+    b: 'fluconazole',
+    severity: 'moderate',
+    rationale: 'Fluconazole raises sulfonylurea levels - hypoglycaemia',
+  },
+  {
+    a: 'sulfonylureas',
+    b: 'fluoroquinolones',
+    severity: 'moderate',
+    rationale: 'Dysglycaemia (especially hypoglycaemia) with fluoroquinolones',
+  },
+  {
+    a: 'corticosteroids',
+    b: 'nsaids',
+    severity: 'moderate',
+    rationale: 'Increased risk of peptic ulceration and gastrointestinal bleeding',
+  },
+  {
+    a: 'fluoroquinolones',
+    b: 'antacids_minerals',
+    severity: 'low',
+    rationale: 'Calcium, iron and antacids bind the antibiotic - take it 2 hours before or 6 hours after',
+  },
+  {
+    a: 'tetracyclines',
+    b: 'antacids_minerals',
+    severity: 'low',
+    rationale: 'Calcium, iron and antacids bind the antibiotic - separate the doses by 2-3 hours',
+  },
+  {
+    a: 'levothyroxine',
+    b: 'antacids_minerals',
+    severity: 'low',
+    rationale: 'Reduced levothyroxine absorption - separate the doses by 4 hours',
+  },
+  {
+    a: 'carbamazepine',
+    b: 'clarithromycin',
+    severity: 'high',
+    rationale: 'Clarithromycin inhibits carbamazepine metabolism - toxicity',
+  },
+  {
+    a: 'phenytoin',
+    b: 'fluconazole',
+    severity: 'moderate',
+    rationale: 'Fluconazole raises phenytoin levels - monitor for toxicity',
+  },
+  {
+    a: 'valproic acid',
+    b: 'carbapenems',
+    severity: 'high',
+    rationale: 'Carbapenems drop valproate levels rapidly - breakthrough seizures',
+  },
+  {
+    a: 'opioids',
+    b: 'benzodiazepines',
+    severity: 'high',
+    rationale: 'Additive CNS and respiratory depression',
+  },
+];
+
+/**
+ * Lower-case, punctuation and dose free text for matching
+ * "Amoxicillin 500mg (Mox)" → "amoxicillin mg mox"
+ */
+const normalizeText = (value) =>
+  ` ${String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+
+const DRUG_NAME_INDEX = (() => {
+  const index = new Map();
+  const add = (name, generic) => {
+    const key = normalizeText(name);
+    index.set(key, [...(index.get(key) || []), generic]);
+  };
+
+  for (const [generic, drug] of Object.entries(DRUGS)) {
+    add(generic, generic);
+    drug.aliases.forEach((alias) => add(alias, generic));
+  }
+
+  // Longest names first so "isosorbide mononitrate" wins over a shorter overlapping name
+  return [...index.entries()].sort(([a], [b]) => b.length - a.length);
+})();
+
+const CLASS_NAME_INDEX = Object.entries(DRUG_CLASSES).flatMap(([key, drugClass]) =>
+  drugClass.aliases.map((alias) => [normalizeText(alias), key])
+);
+
+/**
+ * Generic drugs named in free text (brand and combination names resolve to every generic they contain)
+ * @returns {string[]}
+ */
+const resolveDrugs = (text) => {
+  let normalized = normalizeText(text);
+  const generics = new Set();
+
+  for (const [name, names] of DRUG_NAME_INDEX) {
+    if (normalized.includes(name)) {
+      names.forEach((generic) => generics.add(generic));
+      normalized = normalized.replace(name, ' ');
+    }
+  }
+
+  return [...generics];
+};
+
+/**
+ * Drug classes named in free text ("sulfa drugs", "NSAIDs")
+ * @returns {string[]}
+ */
+const resolveClasses = (text) => {
+  const normalized = normalizeText(text);
+  return [...new Set(CLASS_NAME_INDEX.filter(([alias]) => normalized.includes(alias)).map(([, key]) => key))];
+};
+
+/**
+ * Classes of a generic drug
+ */
+const classesOf = (generic) => DRUGS[generic]?.classes || [];
+
+/**
+ * Display name of a generic drug or class key
+ */
+const displayName = (key) => DRUG_CLASSES[key]?.name || key;
+
+export {
+  SEVERITIES,
+  DRUG_CLASSES,
+  DRUGS,
+  CROSS_REACTIVITY,
+  INTERACTIONS,
+  normalizeText,
+  resolveDrugs,
+  resolveClasses,
+  classesOf,
+  displayName,
+};
+
+export default {
+  SEVERITIES,
+  DRUG_CLASSES,
+  DRUGS,
+  CROSS_REACTIVITY,
+  INTERACTIONS,
+  normalizeText,
+  resolveDrugs,
+  resolveClasses,
+  classesOf,
+  displayName,
+};
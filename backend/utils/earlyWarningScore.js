@@ -0,0 +1,114 @@
+/**
+ * Early Warning Score for MediFlow
+ * NEWS2 (National Early Warning Score 2, Royal College of Physicians) from a set of vitals
+ *
+ * Each parameter scores 0-3; the total sets the clinical response:
+ * - 0: low - routine monitoring
+ * - 1-4: low - nurse to assess and decide on monitoring frequency
+ * - a single parameter scoring 3: low_medium - urgent review by the treating doctor
+ * - 5-6: medium - urgent review, consider escalation
+ * - 7+: high - emergency assessment
+ *
+ * SpO2 uses scale 1 (no hypercapnic respiratory failure target). Temperature
+ * is stored in °F on the consultation and converted for scoring. Missing
+ * parameters score 0 and are listed in `missing` - a partial score understates risk.
+ */
+
+/**
+ * Score bands per parameter: [upper bound (inclusive), points], checked in order
+ */
+const NEWS2_BANDS = {
+  respiratory_rate: [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+  oxygen_saturation: [[91, 3], [93, 2], [95, 1], [Infinity, 0]],
+  systolic_bp: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+  pulse_rate: [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+  temperature_c: [[35.0, 3], [36.0, 1], [38.0, 0], [39.0, 1], [Infinity, 2]],
+};
+
+/**
+ * ACVPU consciousness levels (anything but alert scores 3)
+ */
+const CONSCIOUSNESS_LEVELS = ['alert', 'confusion', 'voice', 'pain', 'unresponsive'];
+
+const NEWS2_RESPONSES = {
+  low: 'Continue routine monitoring',
+  low_medium: 'Urgent review by the treating doctor (single parameter in the red zone)',
+  medium: 'Urgent review by the treating doctor - consider escalating care',
+  high: 'Emergency assessment - escalate to the emergency team now',
+};
+
+const fahrenheitToCelsius = (fahrenheit) => Math.round(((fahrenheit - 32) * 5 / 9) * 10) / 10;
+
+/**
+ * Points for a value on a band table
+ */
+const scoreBand = (bands, value) => bands.find(([upper]) => value <= upper)[1];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Calculate NEWS2 for a set of vitals (Consultation vitals shape)
+ * @param {Object} vitals - { respiratory_rate, oxygen_saturation, on_supplemental_oxygen,
+ *   blood_pressure: { systolic }, pulse_rate, consciousness, temperature (°F) }
+ * @returns {Object|null} - { score, risk, clinical_response, red_score, components, missing }
+ *   or null when no scoreable parameter was recorded
+ */
+const calculateNews2 = (vitals) => {
+  if (!vitals) return null;
+
+  const values = {
+    respiratory_rate: vitals.respiratory_rate,
+    oxygen_saturation: vitals.oxygen_saturation,
+    systolic_bp: vitals.blood_pressure?.systolic,
+    pulse_rate: vitals.pulse_rate,
+    temperature_c: isNumber(vitals.temperature) ? fahrenheitToCelsius(vitals.temperature) : null,
+  };
+
+  const components = {};
+  const missing = [];
+
+  for (const [parameter, bands] of Object.entries(NEWS2_BANDS)) {
+    if (isNumber(values[parameter])) {
+      components[parameter] = scoreBand(bands, values[parameter]);
+    } else {
+      missing.push(parameter);
+    }
+  }
+
+  if (vitals.consciousness) {
+    components.consciousness = vitals.consciousness === 'alert' ? 0 : 3;
+  } else {
+    missing.push('consciousness');
+  }
+
+  components.supplemental_oxygen = vitals.on_supplemental_oxygen ? 2 : 0;
+
+  if (missing.length === Object.keys(NEWS2_BANDS).length + 1) {
+    return null;
+  }
+
+  const score = Object.values(components).reduce((sum, points) => sum + points, 0);
+  const redScore = Object.values(components).some((points) => points === 3);
+
+  let risk = 'low';
+  if (score >= 7) risk = 'high';
+  else if (score >= 5) risk = 'medium';
+  else if (redScore) risk = 'low_medium';
+
+  return {
+    score,
+    risk,
+    clinical_response: NEWS2_RESPONSES[risk],
+    red_score: redScore,
+    components,
+    missing,
+  };
+};
+
+export { CONSCIOUSNESS_LEVELS, fahrenheitToCelsius, calculateNews2 };
+
+export default {
+  CONSCIOUSNESS_LEVELS,
+  fahrenheitToCelsius,
+  calculateNews2,
+};
@@ -0,0 +1,406 @@
+/**
+ * FHIR R4 Structure Validator for MediFlow
+ * Checks generated resources against the FHIR JSON rules before they leave the API
+ *
+ * Covers the resources MediFlow exports (Patient, Practitioner, Encounter,
+ * Observation, Condition, MedicationRequest, Bundle, OperationOutcome):
+ * - Only elements defined for the resource, with the right datatype and cardinality
+ * - Required elements and required code bindings (status, intent, gender ...)
+ * - Primitive formats (id, date, dateTime, instant, uri, code) and no empty
+ *   values - FHIR JSON forbids null, "", [] and {}
+ *
+ * This is a structural check, not full profile/terminology validation.
+ *
+ * Usage:
+ *   const issues = validateResource(resource); // [] when valid
+ *   assertValidResource(resource);             // throws with error.issues
+ */
+
+// ==================== PRIMITIVE FORMATS ====================
+
+const PRIMITIVES = {
+  id: /^[A-Za-z0-9\-.]{1,64}$/,
+  code: /^[^\s]+( [^\s]+)*$/,
+  uri: /^\S+$/,
+  date: /^([0-9]{4})(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01]))?)?$/,
+  dateTime:
+    /^([0-9]{4})(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/,
+  instant:
+    /^([0-9]{4})-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/,
+};
+
+// ==================== DATATYPES ====================
+
+/**
+ * Element definitions: { element: [type, cardinality, options] }
+ * cardinality: '0..1' | '1..1' | '0..*' | '1..*'
+ * options.values: required code binding
+ */
+const DATATYPES = {
+  Coding: {
+    system: ['uri', '0..1'],
+    code: ['code', '0..1'],
+    display: ['string', '0..1'],
+  },
+  CodeableConcept: {
+    coding: ['Coding', '0..*'],
+    text: ['string', '0..1'],
+  },
+  Reference: {
+    reference: ['string', '0..1'],
+    type: ['uri', '0..1'],
+    identifier: ['Identifier', '0..1'],
+    display: ['string', '0..1'],
+  },
+  Identifier: {
+    use: ['code', '0..1', { values: ['usual', 'official', 'temp', 'secondary', 'old'] }],
+    type: ['CodeableConcept', '0..1'],
+    system: ['uri', '0..1'],
+    value: ['string', '0..1'],
+  },
+  Period: {
+    start: ['dateTime', '0..1'],
+    end: ['dateTime', '0..1'],
+  },
+  Quantity: {
+    value: ['decimal', '0..1'],
+    unit: ['string', '0..1'],
+    system: ['uri', '0..1'],
+    code: ['code', '0..1'],
+  },
+  HumanName: {
+    use: ['code', '0..1', { values: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'] }],
+    text: ['string', '0..1'],
+    family: ['string', '0..1'],
+    given: ['string', '0..*'],
+    prefix: ['string', '0..*'],
+  },
+  ContactPoint: {
+    system: ['code', '0..1', { values: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'] }],
+    value: ['string', '0..1'],
+    use: ['code', '0..1', { values: ['home', 'work', 'temp', 'old', 'mobile'] }],
+  },
+  Address: {
+    use: ['code', '0..1', { values: ['home', 'work', 'temp', 'old', 'billing'] }],
+    text: ['string', '0..1'],
+    line: ['string', '0..*'],
+    city: ['string', '0..1'],
+    district: ['string', '0..1'],
+    state: ['string', '0..1'],
+    postalCode: ['string', '0..1'],
+    country: ['string', '0..1'],
+  },
+  Meta: {
+    versionId: ['id', '0..1'],
+    lastUpdated: ['instant', '0..1'],
+    profile: ['uri', '0..*'],
+  },
+  Dosage: {
+    sequence: ['integer', '0..1'],
+    text: ['string', '0..1'],
+    patientInstruction: ['string', '0..1'],
+    route: ['CodeableConcept', '0..1'],
+  },
+  Annotation: {
+    text: ['string', '1..1'],
+    time: ['dateTime', '0..1'],
+  },
+};
+
+// ==================== RESOURCES ====================
+
+const RESOURCE_BASE = {
+  resourceType: ['code', '1..1'],
+  id: ['id', '0..1'],
+  meta: ['Meta', '0..1'],
+};
+
+const RESOURCES = {
+  Patient: {
+    identifier: ['Identifier', '0..*'],
+    active: ['boolean', '0..1'],
+    name: ['HumanName', '0..*'],
+    telecom: ['ContactPoint', '0..*'],
+    gender: ['code', '0..1', { values: ['male', 'female', 'other', 'unknown'] }],
+    birthDate: ['date', '0..1'],
+    address: ['Address', '0..*'],
+    contact: ['Patient.contact', '0..*'],
+  },
+  'Patient.contact': {
+    relationship: ['CodeableConcept', '0..*'],
+    name: ['HumanName', '0..1'],
+    telecom: ['ContactPoint', '0..*'],
+  },
+  Practitioner: {
+    identifier: ['Identifier', '0..*'],
+    active: ['boolean', '0..1'],
+    name: ['HumanName', '0..*'],
+    telecom: ['ContactPoint', '0..*'],
+    qualification: ['Practitioner.qualification', '0..*'],
+  },
+  'Practitioner.qualification': {
+    identifier: ['Identifier', '0..*'],
+    code: ['CodeableConcept', '1..1'],
+  },
+  Encounter: {
+    identifier: ['Identifier', '0..*'],
+    status: ['code', '1..1', {
+      values: ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'],
+    }],
+    class: ['Coding', '1..1'],
+    type: ['CodeableConcept', '0..*'],
+    serviceType: ['CodeableConcept', '0..1'],
+    priority: ['CodeableConcept', '0..1'],
+    subject: ['Reference', '0..1'],
+    participant: ['Encounter.participant', '0..*'],
+    period: ['Period', '0..1'],
+    reasonCode: ['CodeableConcept', '0..*'],
+  },
+  'Encounter.participant': {
+    type: ['CodeableConcept', '0..*'],
+    individual: ['Reference', '0..1'],
+  },
+  Observation: {
+    identifier: ['Identifier', '0..*'],
+    status: ['code', '1..1', {
+      values: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'],
+    }],
+    category: ['CodeableConcept', '0..*'],
+    code: ['CodeableConcept', '1..1'],
+    subject: ['Reference', '0..1'],
+    encounter: ['Reference', '0..1'],
+    effectiveDateTime: ['dateTime', '0..1'],
+    performer: ['Reference', '0..*'],
+    valueQuantity: ['Quantity', '0..1'],
+    component: ['Observation.component', '0..*'],
+  },
+  'Observation.component': {
+    code: ['CodeableConcept', '1..1'],
+    valueQuantity: ['Quantity', '0..1'],
+  },
+  Condition: {
+    identifier: ['Identifier', '0..*'],
+    clinicalStatus: ['CodeableConcept', '0..1'],
+    verificationStatus: ['CodeableConcept', '0..1'],
+    category: ['CodeableConcept', '0..*'],
+    code: ['CodeableConcept', '0..1'],
+    subject: ['Reference', '1..1'],
+    encounter: ['Reference', '0..1'],
+    recordedDate: ['dateTime', '0..1'],
+    recorder: ['Reference', '0..1'],
+    note: ['Annotation', '0..*'],
+  },
+  MedicationRequest: {
+    identifier: ['Identifier', '0..*'],
+    status: ['code', '1..1', {
+      values: ['active', 'on-hold', 'cancelled', 'completed', 'entered-in-error', 'stopped', 'draft', 'unknown'],
+    }],
+    intent: ['code', '1..1', {
+      values: ['proposal', 'plan', 'order', 'original-order', 'reflex-order', 'filler-order', 'instance-order', 'option'],
+    }],
+    medicationCodeableConcept: ['CodeableConcept', '1..1'],
+    subject: ['Reference', '1..1'],
+    encounter: ['Reference', '0..1'],
+    authoredOn: ['dateTime', '0..1'],
+    requester: ['Reference', '0..1'],
+    reasonCode: ['CodeableConcept', '0..*'],
+    groupIdentifier: ['Identifier', '0..1'],
+    note: ['Annotation', '0..*'],
+    dosageInstruction: ['Dosage', '0..*'],
+  },
+  Bundle: {
+    identifier: ['Identifier', '0..1'],
+    type: ['code', '1..1', {
+      values: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'],
+    }],
+    timestamp: ['instant', '0..1'],
+    total: ['unsignedInt', '0..1'],
+    link: ['Bundle.link', '0..*'],
+    entry: ['Bundle.entry', '0..*'],
+  },
+  'Bundle.link': {
+    relation: ['string', '1..1'],
+    url: ['uri', '1..1'],
+  },
+  'Bundle.entry': {
+    fullUrl: ['uri', '0..1'],
+    resource: ['Resource', '0..1'],
+    search: ['Bundle.entry.search', '0..1'],
+  },
+  'Bundle.entry.search': {
+    mode: ['code', '0..1', { values: ['match', 'include', 'outcome'] }],
+  },
+  OperationOutcome: {
+    issue: ['OperationOutcome.issue', '1..*'],
+  },
+  'OperationOutcome.issue': {
+    severity: ['code', '1..1', { values: ['fatal', 'error', 'warning', 'information'] }],
+    code: ['code', '1..1'],
+    diagnostics: ['string', '0..1'],
+    expression: ['string', '0..*'],
+  },
+};
+
+const RESOURCE_TYPES = Object.keys(RESOURCES).filter((name) => !name.includes('.'));
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check a primitive value against its FHIR type
+ */
+function checkPrimitive(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'decimal':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'unsignedInt':
+      return Number.isInteger(value) && value >= 0;
+    default:
+      return typeof value === 'string' && PRIMITIVES[type].test(value);
+  }
+}
+
+/**
+ * Validate an element (and its children) - issues are pushed onto the list
+ */
+function validateElement(value, type, path, issues) {
+  if (type === 'Resource') {
+    validateInto(value, path, issues);
+    return;
+  }
+
+  const definition = DATATYPES[type] || RESOURCES[type];
+
+  if (!definition) {
+    if (!checkPrimitive(type, value)) {
+      issues.push({ path, message: `Invalid ${type} value ${JSON.stringify(value)}` });
+    }
+    return;
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    issues.push({ path, message: `Expected a ${type} object` });
+    return;
+  }
+
+  validateObject(value, definition, path, issues);
+}
+
+/**
+ * Validate an object's elements against a definition
+ */
+function validateObject(object, definition, path, issues) {
+  const keys = Object.keys(object);
+
+  if (keys.length === 0) {
+    issues.push({ path, message: 'Empty objects are not allowed' });
+    return;
+  }
+
+  for (const key of keys) {
+    if (!definition[key]) {
+      issues.push({ path: `${path}.${key}`, message: 'Unknown element' });
+    }
+  }
+
+  for (const [element, [type, cardinality, options = {}]] of Object.entries(definition)) {
+    const value = object[element];
+    const elementPath = `${path}.${element}`;
+    const repeating = cardinality.endsWith('*');
+    const required = cardinality.startsWith('1');
+
+    if (value === undefined) {
+      if (required) issues.push({ path: elementPath, message: 'Required element is missing' });
+      continue;
+    }
+
+    if (value === null || value === '') {
+      issues.push({ path: elementPath, message: 'Null and empty values are not allowed' });
+      continue;
+    }
+
+    if (repeating !== Array.isArray(value)) {
+      issues.push({ path: elementPath, message: repeating ? 'Expected an array' : 'Expected a single value' });
+      continue;
+    }
+
+    const items = repeating ? value : [value];
+    if (items.length === 0) {
+      issues.push({ path: elementPath, message: 'Empty arrays are not allowed' });
+      continue;
+    }
+
+    items.forEach((item, index) => {
+      const itemPath = repeating ? `${elementPath}[${index}]` : elementPath;
+
+      if (item === null || item === undefined) {
+        issues.push({ path: itemPath, message: 'Null and empty values are not allowed' });
+        return;
+      }
+
+      validateElement(item, type, itemPath, issues);
+
+      if (options.values && !options.values.includes(item)) {
+        issues.push({ path: itemPath, message: `Value "${item}" is not one of: ${options.values.join(', ')}` });
+      }
+    });
+  }
+}
+
+/**
+ * Validate a resource, appending to an existing issue list
+ */
+function validateInto(resource, path, issues) {
+  if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+    issues.push({ path, message: 'Expected a resource object' });
+    return;
+  }
+
+  if (!RESOURCE_TYPES.includes(resource.resourceType)) {
+    issues.push({ path: `${path}.resourceType`, message: `Unsupported resourceType ${JSON.stringify(resource.resourceType)}` });
+    return;
+  }
+
+  validateObject(resource, { ...RESOURCE_BASE, ...RESOURCES[resource.resourceType] }, path || resource.resourceType, issues);
+}
+
+/**
+ * Validate a FHIR resource (Bundles are validated with all their entries)
+ * @param {Object} resource
+ * @returns {Array} - [{ path, message }] (empty when valid)
+ */
+function validateResource(resource) {
+  const issues = [];
+  validateInto(resource, resource?.resourceType || 'Resource', issues);
+  return issues;
+}
+
+/**
+ * Throw when a resource is not valid FHIR R4 JSON
+ * @throws {Error} - error.issues holds the validation issues
+ */
+function assertValidResource(resource) {
+  const issues = validateResource(resource);
+
+  if (issues.length > 0) {
+    const error = new Error(
+      `Invalid FHIR ${resource?.resourceType || 'resource'}: ${issues.slice(0, 3).map((issue) => `${issue.path} - ${issue.message}`).join('; ')}`
+    );
+    error.issues = issues;
+    throw error;
+  }
+
+  return resource;
+}
+
+export { validateResource, assertValidResource };
+
+export default {
+  validateResource,
+  assertValidResource,
+};
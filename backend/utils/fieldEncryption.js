@@ -0,0 +1,205 @@
+/**
+ * Field Encryption Utility for MediFlow
+ * AES-256-GCM encryption of individual PHI fields + HMAC blind indexes
+ *
+ * Configuration (.env):
+ * - FIELD_ENCRYPTION_KEYS: Comma-separated key ring "keyId:base64Key" (32-byte keys)
+ *   e.g. FIELD_ENCRYPTION_KEYS=2025b:BASE64...,2025a:BASE64...
+ * - FIELD_ENCRYPTION_ACTIVE_KEY: Key ID used for new writes (default: first key in the ring)
+ * - BLIND_INDEX_KEY: Secret for the HMAC-SHA256 blind indexes used for exact-match lookups
+ *
+ * Key rotation:
+ * 1. Add the new key to the front of FIELD_ENCRYPTION_KEYS (keep the old ones)
+ * 2. Restart - new writes use the new key, old ciphertext still decrypts
+ * 3. Run `npm run encrypt:fields` to re-encrypt existing documents
+ * 4. Remove the retired key once the script reports nothing left on it
+ *
+ * Ciphertext envelope: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts)
+ * Values are BSON-serialized before encryption so arrays, subdocuments,
+ * Dates and ObjectIds round-trip with their types intact.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const { BSON } = mongoose.mongo;
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_PREFIX = 'enc:v1';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+let keyRing = null;
+
+/**
+ * Parse and cache the key ring from the environment
+ * @returns {Object} - { keys: Map<keyId, Buffer>, activeKeyId, blindIndexKey }
+ */
+function loadKeyRing() {
+  if (keyRing) {
+    return keyRing;
+  }
+
+  const rawKeys = process.env.FIELD_ENCRYPTION_KEYS;
+  if (!rawKeys) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not set - patient data cannot be encrypted. Add it to .env');
+  }
+
+  const keys = new Map();
+  for (const entry of rawKeys.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry "${entry.slice(0, 12)}..." - expected keyId:base64Key`);
+    }
+
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key "${keyId}" must be ${KEY_BYTES} bytes (got ${key.length})`);
+    }
+    if (keys.has(keyId)) {
+      throw new Error(`Duplicate encryption key ID "${keyId}"`);
+    }
+
+    keys.set(keyId, key);
+  }
+
+  if (keys.size === 0) {
+    throw new Error('FIELD_ENCRYPTION_KEYS does not contain any keys');
+  }
+
+  const activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  if (!process.env.BLIND_INDEX_KEY) {
+    throw new Error('BLIND_INDEX_KEY is not set - email/phone lookups cannot work. Add it to .env');
+  }
+
+  keyRing = {
+    keys,
+    activeKeyId,
+    blindIndexKey: process.env.BLIND_INDEX_KEY,
+  };
+
+  return keyRing;
+}
+
+/**
+ * Validate configuration at startup
+ * @returns {Object} - { activeKeyId, keyIds }
+ */
+function validateConfig() {
+  const ring = loadKeyRing();
+  return {
+    activeKeyId: ring.activeKeyId,
+    keyIds: [...ring.keys.keys()],
+  };
+}
+
+/**
+ * Get the key ID new writes are encrypted with
+ */
+function getActiveKeyId() {
+  return loadKeyRing().activeKeyId;
+}
+
+/**
+ * Check whether a stored value is a ciphertext envelope
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}:`);
+}
+
+/**
+ * Key ID a ciphertext envelope was written with
+ */
+function getKeyId(envelope) {
+  return isEncrypted(envelope) ? envelope.split(':')[2] : null;
+}
+
+/**
+ * Encrypt a value with the active key
+ * @param {*} value - Any BSON-serializable value (string, array, subdocuments)
+ * @returns {string} - Ciphertext envelope
+ */
+function encryptValue(value) {
+  const { keys, activeKeyId } = loadKeyRing();
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(BSON.serialize({ v: value })), cipher.final()]);
+
+  return [
+    ENVELOPE_PREFIX,
+    activeKeyId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a ciphertext envelope (any key in the ring)
+ * @param {string} envelope - Value produced by encryptValue
+ * @returns {*} - Original value
+ */
+function decryptValue(envelope) {
+  if (!isEncrypted(envelope)) {
+    throw new Error('Value is not an encrypted field envelope');
+  }
+
+  const [, , keyId, iv, authTag, ciphertext] = envelope.split(':');
+  const key = loadKeyRing().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not in FIELD_ENCRYPTION_KEYS - cannot decrypt`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]);
+
+  return BSON.deserialize(plaintext).v;
+}
+
+/**
+ * Deterministic blind index for exact-match lookups
+ * Scoped by field name so the same value hashes differently per field.
+ * @param {string} field - Field name (e.g. 'email')
+ * @param {string} normalizedValue - Value after the field's normalizer
+ * @returns {string|null} - Hex HMAC-SHA256, or null for empty values
+ */
+function blindIndex(field, normalizedValue) {
+  if (normalizedValue === null || normalizedValue === undefined || normalizedValue === '') {
+    return null;
+  }
+
+  return crypto
+    .createHmac('sha256', loadKeyRing().blindIndexKey)
+    .update(`${field}:${normalizedValue}`)
+    .digest('hex');
+}
+
+/**
+ * Generate a new random key (for FIELD_ENCRYPTION_KEYS)
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+export default {
+  validateConfig,
+  getActiveKeyId,
+  isEncrypted,
+  getKeyId,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  generateKey,
+};
@@ -0,0 +1,363 @@
+/**
+ * ICD-10 Catalog for MediFlow
+ * Offline subset of WHO ICD-10 codes covering the clinic's departments, used to
+ * code consultation diagnoses consistently for reports and the FHIR export
+ *
+ * Entry fields:
+ * - code: ICD-10 code with the dot (e.g. J06.9)
+ * - description: WHO title
+ * - keywords: common clinical terms / abbreviations that should find the code
+ *
+ * Search takes a code prefix ("J06", "j069") or keywords ("viral fever",
+ * "htn") - every word must match the start of a word in the description or keywords.
+ */
+
+const ICD10_CATALOG = [
+  // ==================== INFECTIOUS (A00-B99) ====================
+  { code: 'A01.0', description: 'Typhoid fever', keywords: ['enteric fever', 'salmonella typhi'] },
+  { code: 'A09.9', description: 'Gastroenteritis and colitis of unspecified origin', keywords: ['diarrhoea', 'diarrhea', 'loose motions', 'age', 'acute gastroenteritis'] },
+  { code: 'A15.0', description: 'Tuberculosis of lung, confirmed by sputum microscopy with or without culture', keywords: ['tb', 'pulmonary tuberculosis', 'koch'] },
+  { code: 'A16.2', description: 'Tuberculosis of lung, without mention of bacteriological or histological confirmation', keywords: ['tb', 'pulmonary tuberculosis'] },
+  { code: 'A90', description: 'Dengue fever [classical dengue]', keywords: ['dengue'] },
+  { code: 'A91', description: 'Dengue haemorrhagic fever', keywords: ['dengue', 'dhf', 'hemorrhagic'] },
+  { code: 'A92.0', description: 'Chikungunya virus disease', keywords: ['chikungunya'] },
+  { code: 'B01.9', description: 'Varicella without complication', keywords: ['chickenpox', 'chicken pox'] },
+  { code: 'B02.9', description: 'Zoster without complication', keywords: ['shingles', 'herpes zoster'] },
+  { code: 'B05.9', description: 'Measles without complication', keywords: ['measles', 'rubeola'] },
+  { code: 'B26.9', description: 'Mumps without complication', keywords: ['mumps', 'parotitis'] },
+  { code: 'B34.9', description: 'Viral infection, unspecified', keywords: ['viral fever', 'viral illness'] },
+  { code: 'B35.4', description: 'Tinea corporis', keywords: ['ringworm', 'fungal infection', 'dermatophytosis'] },
+  { code: 'B35.6', description: 'Tinea cruris', keywords: ['jock itch', 'fungal infection', 'dermatophytosis'] },
+  { code: 'B37.0', description: 'Candidal stomatitis', keywords: ['oral thrush', 'candidiasis'] },
+  { code: 'B37.3', description: 'Candidiasis of vulva and vagina', keywords: ['vaginal thrush', 'yeast infection', 'candidiasis'] },
+  { code: 'B54', description: 'Unspecified malaria', keywords: ['malaria'] },
+  { code: 'B86', description: 'Scabies', keywords: ['scabies', 'itch mite'] },
+
+  // ==================== NEOPLASMS (C00-D48) ====================
+  { code: 'C50.9', description: 'Malignant neoplasm of breast, unspecified', keywords: ['breast cancer', 'carcinoma breast'] },
+  { code: 'D25.9', description: 'Leiomyoma of uterus, unspecified', keywords: ['fibroid', 'uterine fibroids', 'myoma'] },
+
+  // ==================== BLOOD (D50-D89) ====================
+  { code: 'D50.9', description: 'Iron deficiency anaemia, unspecified', keywords: ['anemia', 'ida', 'low hemoglobin'] },
+  { code: 'D64.9', description: 'Anaemia, unspecified', keywords: ['anemia', 'low hemoglobin'] },
+
+  // ==================== ENDOCRINE (E00-E90) ====================
+  { code: 'E03.9', description: 'Hypothyroidism, unspecified', keywords: ['thyroid', 'low thyroid'] },
+  { code: 'E05.9', description: 'Thyrotoxicosis, unspecified', keywords: ['hyperthyroidism', 'thyroid', 'overactive thyroid'] },
+  { code: 'E10.9', description: 'Type 1 diabetes mellitus without complications', keywords: ['t1dm', 'iddm', 'diabetes', 'juvenile diabetes'] },
+  { code: 'E11.9', description: 'Type 2 diabetes mellitus without complications', keywords: ['t2dm', 'dm', 'diabetes', 'niddm', 'sugar'] },
+  { code: 'E11.4', description: 'Type 2 diabetes mellitus with neurological complications', keywords: ['diabetic neuropathy', 'diabetes'] },
+  { code: 'E16.2', description: 'Hypoglycaemia, unspecified', keywords: ['hypoglycemia', 'low sugar'] },
+  { code: 'E55.9', description: 'Vitamin D deficiency, unspecified', keywords: ['vit d', 'vitamin d'] },
+  { code: 'E53.8', description: 'Deficiency of other specified B group vitamins', keywords: ['b12 deficiency', 'vitamin b12'] },
+  { code: 'E66.9', description: 'Obesity, unspecified', keywords: ['obese', 'overweight'] },
+  { code: 'E78.5', description: 'Hyperlipidaemia, unspecified', keywords: ['hyperlipidemia', 'dyslipidemia', 'high cholesterol'] },
+  { code: 'E86', description: 'Volume depletion', keywords: ['dehydration'] },
+  { code: 'E28.2', description: 'Polycystic ovarian syndrome', keywords: ['pcos', 'pcod'] },
+
+  // ==================== MENTAL (F00-F99) ====================
+  { code: 'F10.2', description: 'Mental and behavioural disorders due to use of alcohol, dependence syndrome', keywords: ['alcohol dependence', 'alcoholism'] },
+  { code: 'F17.2', description: 'Mental and behavioural disorders due to use of tobacco, dependence syndrome', keywords: ['smoking', 'nicotine dependence', 'tobacco'] },
+  { code: 'F20.9', description: 'Schizophrenia, unspecified', keywords: ['schizophrenia', 'psychosis'] },
+  { code: 'F31.9', description: 'Bipolar affective disorder, unspecified', keywords: ['bipolar', 'manic depression'] },
+  { code: 'F32.9', description: 'Depressive episode, unspecified', keywords: ['depression', 'low mood'] },
+  { code: 'F33.9', description: 'Recurrent depressive disorder, unspecified', keywords: ['depression', 'recurrent depression'] },
+  { code: 'F41.0', description: 'Panic disorder [episodic paroxysmal anxiety]', keywords: ['panic attack', 'anxiety'] },
+  { code: 'F41.1', description: 'Generalized anxiety disorder', keywords: ['gad', 'anxiety'] },
+  { code: 'F41.9', description: 'Anxiety disorder, unspecified', keywords: ['anxiety'] },
+  { code: 'F42.9', description: 'Obsessive-compulsive disorder, unspecified', keywords: ['ocd'] },
+  { code: 'F43.1', description: 'Post-traumatic stress disorder', keywords: ['ptsd', 'trauma'] },
+  { code: 'F51.0', description: 'Nonorganic insomnia', keywords: ['insomnia', 'sleeplessness'] },
+  { code: 'F90.0', description: 'Disturbance of activity and attention', keywords: ['adhd', 'attention deficit', 'hyperactivity'] },
+
+  // ==================== NERVOUS SYSTEM (G00-G99) ====================
+  { code: 'G40.9', description: 'Epilepsy, unspecified', keywords: ['seizure disorder', 'fits', 'epilepsy'] },
+  { code: 'G43.9', description: 'Migraine, unspecified', keywords: ['migraine', 'headache'] },
+  { code: 'G44.2', description: 'Tension-type headache', keywords: ['tth', 'headache', 'tension headache'] },
+  { code: 'G45.9', description: 'Transient cerebral ischaemic attack, unspecified', keywords: ['tia', 'mini stroke'] },
+  { code: 'G47.3', description: 'Sleep apnoea', keywords: ['osa', 'sleep apnea', 'snoring'] },
+  { code: 'G51.0', description: 'Bell palsy', keywords: ['bells palsy', 'facial palsy', 'facial nerve'] },
+  { code: 'G56.0', description: 'Carpal tunnel syndrome', keywords: ['cts', 'wrist numbness'] },
+  { code: 'G20', description: 'Parkinson disease', keywords: ['parkinsons', 'tremor'] },
+  { code: 'G30.9', description: 'Alzheimer disease, unspecified', keywords: ['alzheimers', 'dementia'] },
+  { code: 'G35', description: 'Multiple sclerosis', keywords: ['ms', 'demyelinating'] },
+  { code: 'G62.9', description: 'Polyneuropathy, unspecified', keywords: ['neuropathy', 'peripheral neuropathy'] },
+
+  // ==================== EYE (H00-H59) ====================
+  { code: 'H00.0', description: 'Hordeolum and other deep inflammation of eyelid', keywords: ['stye', 'sty'] },
+  { code: 'H01.0', description: 'Blepharitis', keywords: ['eyelid inflammation'] },
+  { code: 'H10.9', description: 'Conjunctivitis, unspecified', keywords: ['pink eye', 'red eye', 'conjunctivitis'] },
+  { code: 'H10.1', description: 'Acute atopic conjunctivitis', keywords: ['allergic conjunctivitis', 'red eye'] },
+  { code: 'H25.9', description: 'Senile cataract, unspecified', keywords: ['cataract'] },
+  { code: 'H26.9', description: 'Cataract, unspecified', keywords: ['cataract'] },
+  { code: 'H40.9', description: 'Glaucoma, unspecified', keywords: ['glaucoma', 'raised iop'] },
+  { code: 'H52.1', description: 'Myopia', keywords: ['short sight', 'nearsightedness', 'refractive error'] },
+  { code: 'H52.4', description: 'Presbyopia', keywords: ['reading glasses', 'refractive error'] },
+  { code: 'H04.1', description: 'Other disorders of lacrimal gland', keywords: ['dry eye'] },
+  { code: 'H36.0', description: 'Diabetic retinopathy', keywords: ['retinopathy', 'diabetes eye'] },
+
+  // ==================== EAR (H60-H95) ====================
+  { code: 'H60.9', description: 'Otitis externa, unspecified', keywords: ['swimmers ear', 'ear canal infection'] },
+  { code: 'H61.2', description: 'Impacted cerumen', keywords: ['ear wax', 'wax impaction'] },
+  { code: 'H65.9', description: 'Nonsuppurative otitis media, unspecified', keywords: ['glue ear', 'ome', 'otitis media'] },
+  { code: 'H66.9', description: 'Otitis media, unspecified', keywords: ['ear infection', 'aom', 'otitis media'] },
+  { code: 'H81.1', description: 'Benign paroxysmal vertigo', keywords: ['bppv', 'vertigo', 'giddiness'] },
+  { code: 'H90.5', description: 'Sensorineural hearing loss, unspecified', keywords: ['snhl', 'deafness', 'hearing loss'] },
+  { code: 'H93.1', description: 'Tinnitus', keywords: ['ringing in ears'] },
+
+  // ==================== CIRCULATORY (I00-I99) ====================
+  { code: 'I10', description: 'Essential (primary) hypertension', keywords: ['htn', 'high blood pressure', 'hypertension', 'bp'] },
+  { code: 'I11.9', description: 'Hypertensive heart disease without (congestive) heart failure', keywords: ['hypertensive heart', 'htn'] },
+  { code: 'I20.0', description: 'Unstable angina', keywords: ['acs', 'chest pain', 'angina'] },
+  { code: 'I20.9', description: 'Angina pectoris, unspecified', keywords: ['angina', 'chest pain', 'stable angina'] },
+  { code: 'I21.9', description: 'Acute myocardial infarction, unspecified', keywords: ['mi', 'heart attack', 'stemi', 'nstemi', 'acs'] },
+  { code: 'I25.1', description: 'Atherosclerotic heart disease', keywords: ['cad', 'coronary artery disease', 'ihd'] },
+  { code: 'I25.9', description: 'Chronic ischaemic heart disease, unspecified', keywords: ['ihd', 'ischemic heart disease', 'cad'] },
+  { code: 'I48.9', description: 'Atrial fibrillation and atrial flutter, unspecified', keywords: ['af', 'afib', 'atrial fibrillation', 'irregular heartbeat'] },
+  { code: 'I49.9', description: 'Cardiac arrhythmia, unspecified', keywords: ['arrhythmia', 'palpitations', 'irregular heartbeat'] },
+  { code: 'I50.9', description: 'Heart failure, unspecified', keywords: ['chf', 'ccf', 'heart failure', 'hf'] },
+  { code: 'I63.9', description: 'Cerebral infarction, unspecified', keywords: ['stroke', 'cva', 'ischemic stroke'] },
+  { code: 'I64', description: 'Stroke, not specified as haemorrhage or infarction', keywords: ['stroke', 'cva'] },
+  { code: 'I73.9', description: 'Peripheral vascular disease, unspecified', keywords: ['pvd', 'pad', 'claudication'] },
+  { code: 'I80.2', description: 'Phlebitis and thrombophlebitis of other deep vessels of lower extremities', keywords: ['dvt', 'deep vein thrombosis'] },
+  { code: 'I83.9', description: 'Varicose veins of lower extremities without ulcer or inflammation', keywords: ['varicose veins'] },
+  { code: 'I95.9', description: 'Hypotension, unspecified', keywords: ['low blood pressure', 'low bp'] },
+
+  // ==================== RESPIRATORY (J00-J99) ====================
+  { code: 'J00', description: 'Acute nasopharyngitis [common cold]', keywords: ['common cold', 'coryza', 'runny nose', 'urti'] },
+  { code: 'J01.9', description: 'Acute sinusitis, unspecified', keywords: ['sinusitis', 'sinus infection'] },
+  { code: 'J02.9', description: 'Acute pharyngitis, unspecified', keywords: ['sore throat', 'pharyngitis'] },
+  { code: 'J03.9', description: 'Acute tonsillitis, unspecified', keywords: ['tonsillitis', 'sore throat'] },
+  { code: 'J04.0', description: 'Acute laryngitis', keywords: ['laryngitis', 'hoarseness', 'loss of voice'] },
+  { code: 'J06.9', description: 'Acute upper respiratory infection, unspecified', keywords: ['urti', 'uri', 'cold', 'cough'] },
+  { code: 'J11.1', description: 'Influenza with other respiratory manifestations, virus not identified', keywords: ['flu', 'influenza', 'ili'] },
+  { code: 'J18.9', description: 'Pneumonia, unspecified', keywords: ['pneumonia', 'chest infection', 'lrti'] },
+  { code: 'J20.9', description: 'Acute bronchitis, unspecified', keywords: ['bronchitis', 'chest infection', 'cough'] },
+  { code: 'J21.9', description: 'Acute bronchiolitis, unspecified', keywords: ['bronchiolitis', 'rsv'] },
+  { code: 'J30.4', description: 'Allergic rhinitis, unspecified', keywords: ['hay fever', 'allergy', 'sneezing', 'allergic rhinitis'] },
+  { code: 'J32.9', description: 'Chronic sinusitis, unspecified', keywords: ['sinusitis', 'chronic sinus'] },
+  { code: 'J34.2', description: 'Deviated nasal septum', keywords: ['dns', 'nasal obstruction'] },
+  { code: 'J35.0', description: 'Chronic tonsillitis', keywords: ['tonsillitis', 'recurrent tonsillitis'] },
+  { code: 'J44.9', description: 'Chronic obstructive pulmonary disease, unspecified', keywords: ['copd', 'emphysema', 'chronic bronchitis'] },
+  { code: 'J44.1', description: 'Chronic obstructive pulmonary disease with acute exacerbation, unspecified', keywords: ['copd exacerbation', 'aecopd'] },
+  { code: 'J45.9', description: 'Asthma, unspecified', keywords: ['asthma', 'wheeze', 'bronchial asthma'] },
+  { code: 'J46', description: 'Status asthmaticus', keywords: ['acute severe asthma', 'asthma attack'] },
+
+  // ==================== DIGESTIVE (K00-K93) ====================
+  { code: 'K02.9', description: 'Dental caries, unspecified', keywords: ['tooth decay', 'cavity', 'caries'] },
+  { code: 'K04.0', description: 'Pulpitis', keywords: ['toothache', 'tooth pain'] },
+  { code: 'K04.7', description: 'Periapical abscess without sinus', keywords: ['dental abscess', 'tooth abscess'] },
+  { code: 'K05.1', description: 'Chronic gingivitis', keywords: ['gum disease', 'bleeding gums', 'gingivitis'] },
+  { code: 'K05.3', description: 'Chronic periodontitis', keywords: ['gum disease', 'periodontitis', 'pyorrhea'] },
+  { code: 'K01.1', description: 'Impacted teeth', keywords: ['wisdom tooth', 'impacted tooth'] },
+  { code: 'K08.1', description: 'Loss of teeth due to accident, extraction or local periodontal disease', keywords: ['missing teeth', 'edentulous'] },
+  { code: 'K12.0', description: 'Recurrent oral aphthae', keywords: ['mouth ulcer', 'aphthous ulcer', 'canker sore'] },
+  { code: 'K21.9', description: 'Gastro-oesophageal reflux disease without oesophagitis', keywords: ['gerd', 'acid reflux', 'heartburn'] },
+  { code: 'K25.9', description: 'Gastric ulcer, unspecified as acute or chronic, without haemorrhage or perforation', keywords: ['peptic ulcer', 'stomach ulcer'] },
+  { code: 'K29.7', description: 'Gastritis, unspecified', keywords: ['gastritis', 'acidity'] },
+  { code: 'K30', description: 'Dyspepsia', keywords: ['indigestion', 'acidity'] },
+  { code: 'K35.8', description: 'Acute appendicitis, other and unspecified', keywords: ['appendicitis'] },
+  { code: 'K40.9', description: 'Unilateral or unspecified inguinal hernia, without obstruction or gangrene', keywords: ['hernia', 'inguinal hernia'] },
+  { code: 'K52.9', description: 'Noninfective gastroenteritis and colitis, unspecified', keywords: ['gastroenteritis', 'colitis'] },
+  { code: 'K58.9', description: 'Irritable bowel syndrome without diarrhoea', keywords: ['ibs'] },
+  { code: 'K59.0', description: 'Constipation', keywords: ['constipation'] },
+  { code: 'K64.9', description: 'Haemorrhoids, unspecified', keywords: ['piles', 'hemorrhoids'] },
+  { code: 'K70.3', description: 'Alcoholic cirrhosis of liver', keywords: ['cirrhosis', 'alcoholic liver disease'] },
+  { code: 'K76.0', description: 'Fatty (change of) liver, not elsewhere classified', keywords: ['fatty liver', 'nafld'] },
+  { code: 'K80.2', description: 'Calculus of gallbladder without cholecystitis', keywords: ['gallstones', 'cholelithiasis'] },
+  { code: 'K81.0', description: 'Acute cholecystitis', keywords: ['cholecystitis', 'gallbladder inflammation'] },
+  { code: 'K85.9', description: 'Acute pancreatitis, unspecified', keywords: ['pancreatitis'] },
+
+  // ==================== SKIN (L00-L99) ====================
+  { code: 'L01.0', description: 'Impetigo', keywords: ['impetigo', 'skin infection'] },
+  { code: 'L02.9', description: 'Cutaneous abscess, furuncle and carbuncle, unspecified', keywords: ['boil', 'abscess', 'furuncle'] },
+  { code: 'L03.9', description: 'Cellulitis, unspecified', keywords: ['cellulitis', 'skin infection'] },
+  { code: 'L20.9', description: 'Atopic dermatitis, unspecified', keywords: ['eczema', 'atopic eczema'] },
+  { code: 'L21.9', description: 'Seborrhoeic dermatitis, unspecified', keywords: ['dandruff', 'seborrheic dermatitis'] },
+  { code: 'L23.9', description: 'Allergic contact dermatitis, unspecified cause', keywords: ['contact dermatitis', 'skin allergy'] },
+  { code: 'L30.9', description: 'Dermatitis, unspecified', keywords: ['eczema', 'rash', 'dermatitis'] },
+  { code: 'L40.0', description: 'Psoriasis vulgaris', keywords: ['psoriasis', 'plaque psoriasis'] },
+  { code: 'L50.9', description: 'Urticaria, unspecified', keywords: ['hives', 'urticaria', 'allergic rash'] },
+  { code: 'L63.9', description: 'Alopecia areata, unspecified', keywords: ['hair loss', 'patchy hair loss'] },
+  { code: 'L65.9', description: 'Nonscarring hair loss, unspecified', keywords: ['hair fall', 'hair loss'] },
+  { code: 'L70.0', description: 'Acne vulgaris', keywords: ['acne', 'pimples'] },
+  { code: 'L80', description: 'Vitiligo', keywords: ['vitiligo', 'white patches', 'leucoderma'] },
+  { code: 'L81.1', description: 'Chloasma', keywords: ['melasma', 'pigmentation'] },
+  { code: 'L29.9', description: 'Pruritus, unspecified', keywords: ['itching', 'pruritus'] },
+  { code: 'L60.0', description: 'Ingrowing nail', keywords: ['ingrown toenail'] },
+  { code: 'B07', description: 'Viral warts', keywords: ['warts', 'verruca'] },
+
+  // ==================== MUSCULOSKELETAL (M00-M99) ====================
+  { code: 'M06.9', description: 'Rheumatoid arthritis, unspecified', keywords: ['ra', 'rheumatoid', 'inflammatory arthritis'] },
+  { code: 'M10.9', description: 'Gout, unspecified', keywords: ['gout', 'uric acid'] },
+  { code: 'M17.9', description: 'Gonarthrosis, unspecified', keywords: ['knee osteoarthritis', 'knee oa', 'knee pain'] },
+  { code: 'M16.9', description: 'Coxarthrosis, unspecified', keywords: ['hip osteoarthritis', 'hip oa', 'hip pain'] },
+  { code: 'M19.9', description: 'Arthrosis, unspecified', keywords: ['osteoarthritis', 'oa', 'joint pain'] },
+  { code: 'M25.5', description: 'Pain in joint', keywords: ['arthralgia', 'joint pain'] },
+  { code: 'M47.8', description: 'Other spondylosis', keywords: ['spondylosis', 'cervical spondylosis', 'lumbar spondylosis'] },
+  { code: 'M51.2', description: 'Other specified intervertebral disc displacement', keywords: ['slipped disc', 'disc prolapse', 'pivd'] },
+  { code: 'M54.2', description: 'Cervicalgia', keywords: ['neck pain'] },
+  { code: 'M54.3', description: 'Sciatica', keywords: ['sciatica', 'radiating leg pain'] },
+  { code: 'M54.5', description: 'Low back pain', keywords: ['lbp', 'backache', 'lumbago', 'back pain'] },
+  { code: 'M62.6', description: 'Muscle strain', keywords: ['muscle pull', 'strain'] },
+  { code: 'M65.3', description: 'Trigger finger', keywords: ['trigger finger'] },
+  { code: 'M72.2', description: 'Plantar fascial fibromatosis', keywords: ['plantar fasciitis', 'heel pain'] },
+  { code: 'M75.0', description: 'Adhesive capsulitis of shoulder', keywords: ['frozen shoulder'] },
+  { code: 'M75.1', description: 'Rotator cuff syndrome', keywords: ['rotator cuff', 'shoulder pain'] },
+  { code: 'M77.1', description: 'Lateral epicondylitis', keywords: ['tennis elbow'] },
+  { code: 'M79.1', description: 'Myalgia', keywords: ['muscle pain', 'body ache'] },
+  { code: 'M79.7', description: 'Fibromyalgia', keywords: ['fibromyalgia'] },
+  { code: 'M81.9', description: 'Osteoporosis, unspecified', keywords: ['osteoporosis', 'low bone density'] },
+
+  // ==================== GENITOURINARY (N00-N99) ====================
+  { code: 'N18.9', description: 'Chronic kidney disease, unspecified', keywords: ['ckd', 'chronic renal failure'] },
+  { code: 'N20.0', description: 'Calculus of kidney', keywords: ['kidney stone', 'renal calculus', 'nephrolithiasis'] },
+  { code: 'N23', description: 'Unspecified renal colic', keywords: ['renal colic', 'kidney stone pain'] },
+  { code: 'N30.0', description: 'Acute cystitis', keywords: ['cystitis', 'bladder infection', 'uti'] },
+  { code: 'N39.0', description: 'Urinary tract infection, site not specified', keywords: ['uti', 'urine infection', 'burning micturition'] },
+  { code: 'N40', description: 'Hyperplasia of prostate', keywords: ['bph', 'enlarged prostate'] },
+  { code: 'N61', description: 'Inflammatory disorders of breast', keywords: ['mastitis', 'breast abscess'] },
+  { code: 'N63', description: 'Unspecified lump in breast', keywords: ['breast lump'] },
+  { code: 'N73.9', description: 'Female pelvic inflammatory disease, unspecified', keywords: ['pid', 'pelvic infection'] },
+  { code: 'N76.0', description: 'Acute vaginitis', keywords: ['vaginitis', 'vaginal discharge'] },
+  { code: 'N80.9', description: 'Endometriosis, unspecified', keywords: ['endometriosis'] },
+  { code: 'N83.2', description: 'Other and unspecified ovarian cysts', keywords: ['ovarian cyst'] },
+  { code: 'N91.2', description: 'Amenorrhoea, unspecified', keywords: ['amenorrhea', 'missed periods'] },
+  { code: 'N92.0', description: 'Excessive and frequent menstruation with regular cycle', keywords: ['menorrhagia', 'heavy periods'] },
+  { code: 'N92.6', description: 'Irregular menstruation, unspecified', keywords: ['irregular periods'] },
+  { code: 'N94.6', description: 'Dysmenorrhoea, unspecified', keywords: ['dysmenorrhea', 'period pain', 'painful periods'] },
+  { code: 'N95.1', description: 'Menopausal and female climacteric states', keywords: ['menopause', 'hot flashes'] },
+  { code: 'N97.9', description: 'Female infertility, unspecified', keywords: ['infertility'] },
+
+  // ==================== PREGNANCY (O00-O99) ====================
+  { code: 'O13', description: 'Gestational [pregnancy-induced] hypertension without significant proteinuria', keywords: ['pih', 'gestational hypertension'] },
+  { code: 'O14.9', description: 'Pre-eclampsia, unspecified', keywords: ['preeclampsia', 'toxemia'] },
+  { code: 'O21.0', description: 'Mild hyperemesis gravidarum', keywords: ['morning sickness', 'vomiting in pregnancy'] },
+  { code: 'O24.4', description: 'Diabetes mellitus arising in pregnancy', keywords: ['gdm', 'gestational diabetes'] },
+  { code: 'O03.9', description: 'Spontaneous abortion, complete or unspecified, without complication', keywords: ['miscarriage'] },
+  { code: 'Z34.9', description: 'Supervision of normal pregnancy, unspecified', keywords: ['antenatal care', 'anc', 'pregnancy checkup'] },
+
+  // ==================== PERINATAL / CONGENITAL ====================
+  { code: 'P59.9', description: 'Neonatal jaundice, unspecified', keywords: ['newborn jaundice', 'neonatal hyperbilirubinemia'] },
+
+  // ==================== SYMPTOMS AND SIGNS (R00-R99) ====================
+  { code: 'R00.2', description: 'Palpitations', keywords: ['palpitations', 'racing heart'] },
+  { code: 'R05', description: 'Cough', keywords: ['cough'] },
+  { code: 'R06.0', description: 'Dyspnoea', keywords: ['breathlessness', 'shortness of breath', 'sob', 'dyspnea'] },
+  { code: 'R07.4', description: 'Chest pain, unspecified', keywords: ['chest pain'] },
+  { code: 'R10.4', description: 'Other and unspecified abdominal pain', keywords: ['abdominal pain', 'stomach ache', 'pain abdomen'] },
+  { code: 'R11', description: 'Nausea and vomiting', keywords: ['vomiting', 'nausea'] },
+  { code: 'R21', description: 'Rash and other nonspecific skin eruption', keywords: ['rash', 'skin eruption'] },
+  { code: 'R42', description: 'Dizziness and giddiness', keywords: ['dizziness', 'giddiness', 'lightheaded'] },
+  { code: 'R50.9', description: 'Fever, unspecified', keywords: ['fever', 'pyrexia', 'pyrexia of unknown origin'] },
+  { code: 'R51', description: 'Headache', keywords: ['headache', 'cephalgia'] },
+  { code: 'R53', description: 'Malaise and fatigue', keywords: ['fatigue', 'weakness', 'tiredness'] },
+  { code: 'R55', description: 'Syncope and collapse', keywords: ['fainting', 'syncope', 'blackout'] },
+  { code: 'R56.0', description: 'Febrile convulsions', keywords: ['febrile seizure', 'fits with fever'] },
+  { code: 'R56.8', description: 'Other and unspecified convulsions', keywords: ['seizure', 'fits', 'convulsion'] },
+  { code: 'R60.0', description: 'Localized oedema', keywords: ['swelling', 'edema', 'pedal edema'] },
+  { code: 'R63.4', description: 'Abnormal weight loss', keywords: ['weight loss'] },
+  { code: 'R73.0', description: 'Abnormal glucose tolerance test', keywords: ['prediabetes', 'impaired glucose tolerance', 'igt'] },
+
+  // ==================== INJURY AND POISONING (S00-T98) ====================
+  { code: 'S00.9', description: 'Superficial injury of head, part unspecified', keywords: ['head injury', 'bump on head'] },
+  { code: 'S06.0', description: 'Concussion', keywords: ['concussion', 'head injury'] },
+  { code: 'S13.4', description: 'Sprain and strain of cervical spine', keywords: ['whiplash', 'neck sprain'] },
+  { code: 'S52.5', description: 'Fracture of lower end of radius', keywords: ['colles fracture', 'wrist fracture'] },
+  { code: 'S62.6', description: 'Fracture of other finger', keywords: ['finger fracture'] },
+  { code: 'S72.0', description: 'Fracture of neck of femur', keywords: ['hip fracture', 'nof fracture'] },
+  { code: 'S82.6', description: 'Fracture of lateral malleolus', keywords: ['ankle fracture'] },
+  { code: 'S83.2', description: 'Tear of meniscus, current', keywords: ['meniscus tear', 'knee injury'] },
+  { code: 'S83.5', description: 'Sprain and strain involving (anterior)(posterior) cruciate ligament of knee', keywords: ['acl tear', 'acl injury', 'knee ligament'] },
+  { code: 'S93.4', description: 'Sprain and strain of ankle', keywords: ['ankle sprain', 'twisted ankle'] },
+  { code: 'T14.0', description: 'Superficial injury of unspecified body region', keywords: ['abrasion', 'bruise', 'contusion'] },
+  { code: 'T14.1', description: 'Open wound of unspecified body region', keywords: ['laceration', 'cut', 'wound'] },
+  { code: 'T30.0', description: 'Burn of unspecified body region, unspecified degree', keywords: ['burn', 'scald'] },
+  { code: 'T63.0', description: 'Toxic effect of snake venom', keywords: ['snake bite', 'snakebite'] },
+  { code: 'T78.2', description: 'Anaphylactic shock, unspecified', keywords: ['anaphylaxis', 'severe allergy'] },
+  { code: 'T78.4', description: 'Allergy, unspecified', keywords: ['allergy', 'allergic reaction'] },
+  { code: 'T88.7', description: 'Unspecified adverse effect of drug or medicament', keywords: ['drug reaction', 'adverse drug reaction', 'adr'] },
+  { code: 'W54', description: 'Bitten or struck by dog', keywords: ['dog bite', 'animal bite'] },
+
+  // ==================== FACTORS INFLUENCING HEALTH STATUS (Z00-Z99) ====================
+  { code: 'Z00.0', description: 'General medical examination', keywords: ['health checkup', 'routine checkup', 'annual physical'] },
+  { code: 'Z00.1', description: 'Routine child health examination', keywords: ['well baby', 'child checkup', 'growth monitoring'] },
+  { code: 'Z01.2', description: 'Dental examination', keywords: ['dental checkup'] },
+  { code: 'Z01.0', description: 'Examination of eyes and vision', keywords: ['eye test', 'vision test', 'eye checkup'] },
+  { code: 'Z09.9', description: 'Follow-up examination after unspecified treatment for other conditions', keywords: ['follow up', 'review visit'] },
+  { code: 'Z26.9', description: 'Need for immunization against unspecified infectious disease', keywords: ['vaccination', 'immunization'] },
+  { code: 'Z30.0', description: 'General counselling and advice on contraception', keywords: ['contraception', 'family planning'] },
+  { code: 'Z71.3', description: 'Dietary counselling and surveillance', keywords: ['diet advice', 'nutrition'] },
+  { code: 'Z76.0', description: 'Issue of repeat prescription', keywords: ['repeat prescription', 'refill'] },
+];
+
+const CATALOG_BY_CODE = new Map(ICD10_CATALOG.map((entry) => [entry.code, entry]));
+
+/**
+ * Canonical form of a code: upper case, dot after the third character (j069 → J06.9)
+ */
+const normalizeCode = (code) => {
+  const compact = String(code || '').trim().toUpperCase().replace(/[.\s]/g, '');
+  return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+};
+
+/**
+ * Catalog entry for a code (case and dot insensitive)
+ * @returns {Object|null}
+ */
+const getCode = (code) => CATALOG_BY_CODE.get(normalizeCode(code)) || null;
+
+/**
+ * Does the query look like a code (letter + digit, e.g. "I1", "j06.9")?
+ */
+const isCodeQuery = (query) => /^[A-Za-z]\d/.test(query);
+
+/**
+ * Search by code prefix or keywords, best matches first
+ * @param {string} query - Code prefix or free text
+ * @param {number} limit - Maximum results (default 20)
+ * @returns {Array}
+ */
+const searchCodes = (query = '', limit = 20) => {
+  const text = String(query).trim();
+  if (!text) return [];
+
+  if (isCodeQuery(text)) {
+    const prefix = normalizeCode(text).replace('.', '');
+    return ICD10_CATALOG
+      .filter((entry) => entry.code.replace('.', '').startsWith(prefix))
+      .sort((a, b) => a.code.localeCompare(b.code))
+      .slice(0, limit);
+  }
+
+  const terms = text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const ranked = [];
+
+  for (const entry of ICD10_CATALOG) {
+    const description = entry.description.toLowerCase();
+    const words = [description, ...entry.keywords].join(' ').split(/[^a-z0-9]+/);
+    if (!terms.every((term) => words.some((word) => word.startsWith(term)))) continue;
+
+    // Exact keyword / phrase in the title ranks first, then matches in the title, then keyword-only
+    const phrase = terms.join(' ');
+    let rank = 2;
+    if (entry.keywords.includes(phrase) || description.startsWith(phrase)) rank = 0;
+    else if (terms.every((term) => description.split(/[^a-z0-9]+/).some((word) => word.startsWith(term)))) rank = 1;
+
+    ranked.push({ entry, rank });
+  }
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.entry.code.localeCompare(b.entry.code))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+export { ICD10_CATALOG, normalizeCode, getCode, searchCodes };
+
+export default {
+  ICD10_CATALOG,
+  normalizeCode,
+  getCode,
+  searchCodes,
+};
@@ -0,0 +1,246 @@
+/**
+ * Lab Test Catalog for MediFlow
+ * Orderable lab tests and imaging studies with their result parameters and
+ * adult reference ranges (used to flag results as low / high / critical)
+ *
+ * Parameter fields:
+ * - unit, low, high: reference range (either bound may be missing)
+ * - male / female: sex-specific { low, high } overriding the default range
+ * - critical_low / critical_high: values that need the doctor's attention at once
+ * - normal_values: qualitative results considered normal (anything else is abnormal)
+ *
+ * Imaging studies have no parameters - the report text and the radiologist's
+ * abnormal flag are entered instead.
+ */
+
+const LAB_TEST_CATALOG = [
+  // ==================== HAEMATOLOGY ====================
+  {
+    code: 'CBC',
+    name: 'Complete Blood Count',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 6,
+    parameters: [
+      { name: 'Hemoglobin', loinc: '718-7', unit: 'g/dL', male: { low: 13, high: 17 }, female: { low: 12, high: 15 }, critical_low: 7, critical_high: 20 },
+      { name: 'WBC count', loinc: '6690-2', unit: '10^3/uL', low: 4, high: 11, critical_low: 2, critical_high: 30 },
+      { name: 'Platelet count', loinc: '777-3', unit: '10^3/uL', low: 150, high: 410, critical_low: 50, critical_high: 1000 },
+    ],
+  },
+  {
+    code: 'ESR',
+    name: 'Erythrocyte Sedimentation Rate',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 4,
+    parameters: [
+      { name: 'ESR', loinc: '4537-7', unit: 'mm/h', male: { high: 15 }, female: { high: 20 } },
+    ],
+  },
+
+  // ==================== BIOCHEMISTRY ====================
+  {
+    code: 'FBS',
+    name: 'Fasting Blood Sugar',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 4,
+    parameters: [
+      { name: 'Glucose (fasting)', loinc: '1558-6', unit: 'mg/dL', low: 70, high: 99, critical_low: 50, critical_high: 400 },
+    ],
+  },
+  {
+    code: 'RBS',
+    name: 'Random Blood Sugar',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 2,
+    parameters: [
+      { name: 'Glucose (random)', loinc: '2345-7', unit: 'mg/dL', low: 70, high: 140, critical_low: 50, critical_high: 400 },
+    ],
+  },
+  {
+    code: 'HBA1C',
+    name: 'Glycated Hemoglobin (HbA1c)',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 24,
+    parameters: [
+      { name: 'HbA1c', loinc: '4548-4', unit: '%', low: 4, high: 5.6 },
+    ],
+  },
+  {
+    code: 'LIPID',
+    name: 'Lipid Profile',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 12,
+    parameters: [
+      { name: 'Total cholesterol', loinc: '2093-3', unit: 'mg/dL', high: 200 },
+      { name: 'LDL cholesterol', loinc: '2089-1', unit: 'mg/dL', high: 100 },
+      { name: 'HDL cholesterol', loinc: '2085-9', unit: 'mg/dL', male: { low: 40 }, female: { low: 50 } },
+      { name: 'Triglycerides', loinc: '2571-8', unit: 'mg/dL', high: 150, critical_high: 1000 },
+    ],
+  },
+  {
+    code: 'LFT',
+    name: 'Liver Function Test',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 12,
+    parameters: [
+      { name: 'ALT (SGPT)', loinc: '1742-6', unit: 'U/L', low: 7, high: 56 },
+      { name: 'AST (SGOT)', loinc: '1920-8', unit: 'U/L', low: 10, high: 40 },
+      { name: 'Total bilirubin', loinc: '1975-2', unit: 'mg/dL', low: 0.1, high: 1.2, critical_high: 15 },
+    ],
+  },
+  {
+    code: 'KFT',
+    name: 'Kidney Function Test',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 12,
+    parameters: [
+      { name: 'Creatinine', loinc: '2160-0', unit: 'mg/dL', male: { low: 0.7, high: 1.3 }, female: { low: 0.6, high: 1.1 }, critical_high: 5 },
+      { name: 'Urea', unit: 'mg/dL', low: 15, high: 40 },
+      { name: 'Sodium', loinc: '2951-2', unit: 'mmol/L', low: 135, high: 145, critical_low: 120, critical_high: 160 },
+      { name: 'Potassium', loinc: '2823-3', unit: 'mmol/L', low: 3.5, high: 5.1, critical_low: 2.8, critical_high: 6.2 },
+    ],
+  },
+  {
+    code: 'TSH',
+    name: 'Thyroid Stimulating Hormone',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 24,
+    parameters: [
+      { name: 'TSH', loinc: '3016-3', unit: 'mIU/L', low: 0.4, high: 4 },
+    ],
+  },
+  {
+    code: 'CRP',
+    name: 'C-Reactive Protein',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 6,
+    parameters: [
+      { name: 'CRP', loinc: '1988-5', unit: 'mg/L', high: 10 },
+    ],
+  },
+
+  // ==================== SEROLOGY & URINE ====================
+  {
+    code: 'DENGUE_NS1',
+    name: 'Dengue NS1 Antigen',
+    category: 'lab',
+    sample_type: 'blood',
+    turnaround_hours: 6,
+    parameters: [
+      { name: 'Dengue NS1 antigen', loinc: '75377-3', normal_values: ['Negative'] },
+    ],
+  },
+  {
+    code: 'URINE_RE',
+    name: 'Urine Routine Examination',
+    category: 'lab',
+    sample_type: 'urine',
+    turnaround_hours: 4,
+    parameters: [
+      { name: 'Urine protein', normal_values: ['Nil', 'Negative', 'Trace'] },
+      { name: 'Urine glucose', normal_values: ['Nil', 'Negative'] },
+      { name: 'Pus cells', unit: '/hpf', high: 5 },
+    ],
+  },
+
+  // ==================== IMAGING & CARDIOLOGY ====================
+  { code: 'XRAY_CHEST', name: 'X-Ray Chest PA View', category: 'imaging', sample_type: null, turnaround_hours: 4, parameters: [] },
+  { code: 'USG_ABDOMEN', name: 'Ultrasound Abdomen & Pelvis', category: 'imaging', sample_type: null, turnaround_hours: 24, parameters: [] },
+  { code: 'CT_HEAD', name: 'CT Scan Head (Plain)', category: 'imaging', sample_type: null, turnaround_hours: 6, parameters: [] },
+  { code: 'MRI_BRAIN', name: 'MRI Brain', category: 'imaging', sample_type: null, turnaround_hours: 48, parameters: [] },
+  { code: 'ECG', name: 'Electrocardiogram (12-lead)', category: 'imaging', sample_type: null, turnaround_hours: 1, parameters: [] },
+];
+
+const CATALOG_BY_CODE = new Map(LAB_TEST_CATALOG.map((test) => [test.code, test]));
+
+/**
+ * Catalog entry for a test code (case-insensitive)
+ * @returns {Object|null}
+ */
+const getTest = (code) => CATALOG_BY_CODE.get(String(code || '').trim().toUpperCase()) || null;
+
+/**
+ * Search the catalog by code or name
+ * @param {string} query - Free text (empty = whole catalog)
+ * @param {string} category - lab | imaging (optional)
+ */
+const searchCatalog = (query = '', category = null) => {
+  const needle = String(query).trim().toLowerCase();
+
+  return LAB_TEST_CATALOG.filter((test) =>
+    (!category || test.category === category)
+    && (!needle || test.code.toLowerCase().includes(needle) || test.name.toLowerCase().includes(needle))
+  );
+};
+
+/**
+ * Reference range of a parameter for the patient's sex
+ * @returns {Object} - { low, high } (either may be null)
+ */
+const getReferenceRange = (parameter, gender = null) => {
+  const sexRange = gender === 'Male' ? parameter.male : gender === 'Female' ? parameter.female : null;
+  const fallback = parameter.male && parameter.female
+    ? {
+        // Unknown sex: the widest range, so nothing is flagged only because sex is missing
+        low: Math.min(parameter.male.low ?? Infinity, parameter.female.low ?? Infinity),
+        high: Math.max(parameter.male.high ?? -Infinity, parameter.female.high ?? -Infinity),
+      }
+    : { low: parameter.low, high: parameter.high };
+  const range = sexRange || fallback;
+
+  return {
+    low: Number.isFinite(range.low) ? range.low : null,
+    high: Number.isFinite(range.high) ? range.high : null,
+  };
+};
+
+/**
+ * Flag a result value against a catalog parameter
+ * @returns {Object} - { flag, reference_low, reference_high, reference_text }
+ *   flag: normal | low | high | critical_low | critical_high | abnormal
+ */
+const flagResult = (parameter, value, gender = null) => {
+  if (parameter.normal_values) {
+    const normal = parameter.normal_values.some((entry) => entry.toLowerCase() === String(value).trim().toLowerCase());
+    return {
+      flag: normal ? 'normal' : 'abnormal',
+      reference_low: null,
+      reference_high: null,
+      reference_text: parameter.normal_values.join(' / '),
+    };
+  }
+
+  const { low, high } = getReferenceRange(parameter, gender);
+  const number = Number(value);
+  let referenceText = null;
+  if (low !== null && high !== null) referenceText = `${low} - ${high}`;
+  else if (high !== null) referenceText = `< ${high}`;
+  else if (low !== null) referenceText = `> ${low}`;
+
+  let flag = 'normal';
+  if (parameter.critical_low !== undefined && number < parameter.critical_low) flag = 'critical_low';
+  else if (parameter.critical_high !== undefined && number > parameter.critical_high) flag = 'critical_high';
+  else if (low !== null && number < low) flag = 'low';
+  else if (high !== null && number > high) flag = 'high';
+
+  return { flag, reference_low: low, reference_high: high, reference_text: referenceText };
+};
+
+export { LAB_TEST_CATALOG, getTest, searchCatalog, getReferenceRange, flagResult };
+
+export default {
+  LAB_TEST_CATALOG,
+  getTest,
+  searchCatalog,
+  getReferenceRange,
+  flagResult,
+};
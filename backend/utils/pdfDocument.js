@@ -0,0 +1,200 @@
+/**
+ * PDF Document Utility for MediFlow
+ * Clinic letterhead, layout helpers and QR codes for generated documents
+ * (prescriptions, receipts, letters) built with PDFKit
+ *
+ * Clinic details come from .env: CLINIC_NAME, CLINIC_ADDRESS, CLINIC_PHONE, CLINIC_EMAIL.
+ * Only the built-in Helvetica fonts are used, so text is limited to Latin-1
+ * (write "Rs." rather than the rupee sign).
+ */
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#0066CC';
+const MUTED_COLOR = '#555555';
+
+/**
+ * Clinic details printed on the letterhead
+ */
+const getClinicDetails = () => ({
+  name: process.env.CLINIC_NAME || 'MediFlow Clinic',
+  address: process.env.CLINIC_ADDRESS || '123 Medical Center, Bangalore, Karnataka 560001',
+  phone: process.env.CLINIC_PHONE || '+91-80-12345678',
+  email: process.env.CLINIC_EMAIL || 'clinic@mediflow.com',
+});
+
+/**
+ * Create an A4 document with the clinic letterhead drawn on the first page
+ * @param {Object} options - { title, subtitle, metadata }
+ * @returns {PDFDocument}
+ */
+const createClinicDocument = ({ title, subtitle = null, metadata = {} } = {}) => {
+  const clinic = getClinicDetails();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: title,
+      Author: clinic.name,
+      Creator: 'MediFlow',
+      ...metadata,
+    },
+  });
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR).text(clinic.name, PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(clinic.address)
+    .text(`Phone: ${clinic.phone}  |  Email: ${clinic.email}`);
+
+  const ruleY = doc.y + 8;
+  doc.moveTo(PAGE_MARGIN, ruleY).lineTo(PAGE_MARGIN + width, ruleY).lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000').text(title.toUpperCase(), PAGE_MARGIN, ruleY + 14, {
+    width,
+    align: 'center',
+  });
+
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(subtitle, { width, align: 'center' });
+  }
+
+  doc.fillColor('#000000').moveDown(1);
+  return doc;
+};
+
+/**
+ * Section heading with a thin rule
+ */
+const drawSectionHeading = (doc, heading) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text(heading, PAGE_MARGIN, doc.y, { width });
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + width, y).lineWidth(0.5).strokeColor('#CCCCCC').stroke();
+  doc.moveDown(0.4).font('Helvetica').fontSize(10).fillColor('#000000');
+};
+
+/**
+ * Two-column "Label: value" rows
+ * @param {Array} rows - [[label, value], ...] (empty values are skipped)
+ */
+const drawKeyValueRows = (doc, rows, { labelWidth = 110 } = {}) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  for (const [label, value] of rows) {
+    if (value === null || value === undefined || value === '') continue;
+
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, PAGE_MARGIN, y, { width: labelWidth });
+    doc.font('Helvetica').text(String(value), PAGE_MARGIN + labelWidth, y, { width: width - labelWidth });
+    doc.moveDown(0.2);
+  }
+};
+
+/**
+ * Simple table with a header row; starts a new page when rows run out of room
+ * @param {Array} columns - [{ header, width, align }] (widths in points)
+ * @param {Array} rows - [[cell, ...], ...]
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, { bold = false, shade = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9.5);
+
+    const heights = cells.map((cell, index) =>
+      doc.heightOfString(String(cell ?? ''), { width: columns[index].width - 8 })
+    );
+    const rowHeight = Math.max(...heights) + 8;
+
+    if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    if (shade) {
+      const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+      doc.rect(PAGE_MARGIN, y, totalWidth, rowHeight).fill('#EEF4FB');
+      doc.fillColor('#000000');
+    }
+
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(String(cell ?? ''), x + 4, y + 4, {
+        width: columns[index].width - 8,
+        align: columns[index].align || 'left',
+      });
+      x += columns[index].width;
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map((column) => column.header), { bold: true, shade: true });
+  rows.forEach((row) => drawRow(row));
+  doc.moveDown(0.5);
+};
+
+/**
+ * QR code image (PNG buffer) for a URL
+ */
+const generateQrCode = (url, size = 120) =>
+  QRCode.toBuffer(url, { type: 'png', width: size, margin: 1, errorCorrectionLevel: 'M' });
+
+/**
+ * Footer line at the bottom of the current page
+ */
+const drawFooter = (doc, text) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const bottomMargin = doc.page.margins.bottom;
+
+  // Writing inside the bottom margin would otherwise add a page
+  doc.page.margins.bottom = 0;
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+    .text(text, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, { width, align: 'center' });
+  doc.page.margins.bottom = bottomMargin;
+  doc.fillColor('#000000');
+};
+
+/**
+ * Finish a document and collect it into a Buffer
+ * @returns {Promise<Buffer>}
+ */
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+
+export {
+  PAGE_MARGIN,
+  BRAND_COLOR,
+  getClinicDetails,
+  createClinicDocument,
+  drawSectionHeading,
+  drawKeyValueRows,
+  drawTable,
+  generateQrCode,
+  drawFooter,
+  toBuffer,
+};
+
+export default {
+  PAGE_MARGIN,
+  BRAND_COLOR,
+  getClinicDetails,
+  createClinicDocument,
+  drawSectionHeading,
+  drawKeyValueRows,
+  drawTable,
+  generateQrCode,
+  drawFooter,
+  toBuffer,
+};
@@ -205,18 +205,20 @@ function getReminderFrequency(urgency) {
  * Calculate follow-up appointment schedule based on risk level
  * @param {string} riskClassification - Risk classification (Emergency/Medium/Low)
  * @param {string} diagnosis - Optional diagnosis for specific follow-up rules
- * @returns {Object} - Follow-up schedule
+ * @returns {Object} - Follow-up schedule (followUpDays: recommended days after the visit, null if not required)
  */
 function calculateFollowUpSchedule(riskClassification, diagnosis = null) {
   try {
     let followUpRequired = true;
     let followUpTiming = '';
     let followUpReason = '';
+    let followUpDays = null;
 
     switch (riskClassification) {
       case 'Emergency':
         followUpRequired = true;
         followUpTiming = 'Within 24-48 hours after ER visit';
+        followUpDays = 2;
         followUpReason = 'Post-emergency follow-up to ensure recovery and monitor condition';
         break;
 
@@ -224,6 +226,7 @@ function calculateFollowUpSchedule(riskClassification, diagnosis = null) {
         followUpRequired = true;
         followUpTiming = 'Within 1-2 weeks';
         followUpReason = 'Follow-up to assess treatment effectiveness and symptom improvement';
+        followUpDays = 10;
         break;
 
       case 'Low':
@@ -245,11 +248,13 @@ function calculateFollowUpSchedule(riskClassification, diagnosis = null) {
       if (diagnosisLower.includes('diabetes') || diagnosisLower.includes('hypertension')) {
         followUpRequired = true;
         followUpTiming = 'Every 3 months';
+        followUpDays = 90;
         followUpReason = 'Chronic condition monitoring';
       }
       else if (diagnosisLower.includes('infection')) {
         followUpRequired = true;
         followUpTiming = 'Within 3-5 days';
+        followUpDays = 4;
         followUpReason = 'Monitor infection resolution';
       }
     }
@@ -260,6 +265,7 @@ function calculateFollowUpSchedule(riskClassification, diagnosis = null) {
       followUpRequired,
       followUpTiming,
       followUpReason,
+      followUpDays,
       riskClassification
     };
 
@@ -269,6 +275,7 @@ function calculateFollowUpSchedule(riskClassification, diagnosis = null) {
       followUpRequired: true,
       followUpTiming: 'Within 1-2 weeks',
       followUpReason: 'Standard follow-up',
+      followUpDays: 10,
       riskClassification
     };
   }
@@ -0,0 +1,33 @@
+/**
+ * Service Helpers for MediFlow
+ * Small pieces every service needs, kept in one place
+ *
+ * - httpError: errors carrying the HTTP status the controller should return
+ *   (controllers answer error.status, or 500 when there is none)
+ * - idOf: the ObjectId of a reference whether or not it was populated
+ */
+
+/**
+ * Build an error carrying the HTTP status the controller should return
+ * @param {string} message - Shown to the caller for statuses below 500
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * ID of a reference field, populated or not (null when empty)
+ * Example: idOf(appointment.patient_id) → ObjectId
+ */
+const idOf = (value) => (value && value._id ? value._id : value) || null;
+
+export { httpError, idOf };
+
+export default {
+  httpError,
+  idOf,
+};
@@ -1,3 +1,4 @@
+import moment from 'moment-timezone';
 import logger from './logger.js';
 
 /**
@@ -8,6 +9,7 @@ import logger from './logger.js';
  * - Clinic hours: 8 AM - 8 PM IST (7 days a week)
  * - 30-minute appointment slots
  * - 15-minute buffer between appointments
+ * - Per-doctor weekly schedules, breaks and leave (see generateDoctorTimeSlots)
  */
 
 /**
@@ -360,6 +362,140 @@ const generateDailyTimeSlots = (
   }
 };
 
+/**
+ * Convert a clinic-local day + "HH:mm" into an absolute Date
+ * Example: toZonedDate('2025-11-25', '09:30') → 2025-11-25T04:00:00.000Z
+ */
+const toZonedDate = (dayKey, timeOfDay, timezone = 'Asia/Kolkata') => {
+  return moment.tz(`${dayKey} ${timeOfDay}`, 'YYYY-MM-DD HH:mm', timezone).toDate();
+};
+
+/**
+ * Check if two time ranges overlap
+ */
+const rangesOverlap = (startA, endA, startB, endB) => {
+  return new Date(startA) < new Date(endB) && new Date(endA) > new Date(startB);
+};
+
+/**
+ * Check if a whole time range falls inside a doctor's working hours
+ * The range must fit inside a single schedule block and must not touch a break
+ * (checking only its two ends would let it span lunch or the gap between blocks)
+ * @param {Object} doctor - Doctor document
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end (exclusive)
+ * @returns {boolean}
+ */
+const isDoctorWorkingThrough = (doctor, startTime, endTime, timezone = 'Asia/Kolkata') => {
+  try {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (!(end > start)) {
+      return false;
+    }
+
+    const dayKey = moment(start).tz(timezone).format('YYYY-MM-DD');
+    const { blocks, breaks } = doctor.getScheduleForDate(start, timezone);
+
+    const inOneBlock = blocks.some((block) => {
+      const blockStart = toZonedDate(dayKey, block.start_time, timezone);
+      const blockEnd = toZonedDate(dayKey, block.end_time, timezone);
+      return start >= blockStart && end <= blockEnd;
+    });
+
+    const overlapsBreak = breaks.some((brk) =>
+      rangesOverlap(
+        start,
+        end,
+        toZonedDate(dayKey, brk.start_time, timezone),
+        toZonedDate(dayKey, brk.end_time, timezone)
+      )
+    );
+
+    return inOneBlock && !overlapsBreak;
+  } catch (error) {
+    logger.error('Error checking doctor working hours:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Generate a doctor's open appointment slots for one day
+ * Intersects the doctor's weekly schedule (minus breaks and leave) with
+ * existing bookings, so a slot is only offered when the doctor is working
+ * AND not already booked.
+ *
+ * @param {Object} doctor - Doctor document
+ * @param {Date} date - Any time on the day to generate slots for
+ * @param {Object} options
+ * @param {string} options.appointmentType - Selects slot length (doctor.slot_durations)
+ * @param {Array} options.bookedAppointments - [{ scheduled_start_time, scheduled_end_time }]
+ * @param {Date} options.notBefore - Skip slots starting before this time (default: now)
+ * @returns {Array} - Array of time slot objects
+ */
+const generateDoctorTimeSlots = (doctor, date, options = {}) => {
+  try {
+    const {
+      appointmentType = 'new_patient',
+      bookedAppointments = [],
+      notBefore = new Date(),
+      timezone = 'Asia/Kolkata',
+    } = options;
+
+    const dayKey = moment(new Date(date)).tz(timezone).format('YYYY-MM-DD');
+    const { blocks, breaks } = doctor.getScheduleForDate(new Date(date), timezone);
+    const slotDuration = doctor.getSlotDuration(appointmentType);
+
+    const busyRanges = [
+      ...breaks.map((brk) => ({
+        start: toZonedDate(dayKey, brk.start_time, timezone),
+        end: toZonedDate(dayKey, brk.end_time, timezone),
+      })),
+      ...bookedAppointments.map((appointment) => ({
+        start: new Date(appointment.scheduled_start_time),
+        end: new Date(appointment.scheduled_end_time),
+      })),
+    ];
+
+    const slots = [];
+
+    blocks.forEach((block) => {
+      const blockEnd = toZonedDate(dayKey, block.end_time, timezone);
+      let slotStart = toZonedDate(dayKey, block.start_time, timezone);
+
+      while (slotStart.getTime() + slotDuration * 60000 <= blockEnd.getTime()) {
+        const slotEnd = new Date(slotStart.getTime() + slotDuration * 60000);
+
+        const isBusy = busyRanges.some((range) =>
+          rangesOverlap(slotStart, slotEnd, range.start, range.end)
+        );
+
+        if (!isBusy && slotStart >= new Date(notBefore)) {
+          slots.push({
+            slot_id: `slot_${slotStart.getTime()}_${doctor._id}`,
+            doctor_id: doctor._id,
+            start_time: slotStart,
+            end_time: slotEnd,
+            duration: slotDuration,
+            timezone,
+            is_available: true,
+            formatted: formatTimeSlot(slotStart, slotEnd, timezone),
+          });
+        }
+
+        slotStart = slotEnd;
+      }
+    });
+
+    slots.sort((a, b) => a.start_time - b.start_time);
+
+    return slots;
+  } catch (error) {
+    logger.error('Error generating doctor time slots:', error.message);
+    return [];
+  }
+};
+
 /**
  * Check if appointment needs reminder (1 day or 2 hours before)
  */
@@ -402,6 +538,10 @@ export {
   getNextClinicDay,
   parseSlotId,
   generateDailyTimeSlots,
+  toZonedDate,
+  rangesOverlap,
+  isDoctorWorkingThrough,
+  generateDoctorTimeSlots,
   needsReminder,
 };
 
@@ -424,6 +564,10 @@ export default {
   getNextClinicDay,
   parseSlotId,
   generateDailyTimeSlots,
+  toZonedDate,
+  rangesOverlap,
+  isDoctorWorkingThrough,
+  generateDoctorTimeSlots,
   needsReminder,
 };
 
@@ -0,0 +1,213 @@
+/**
+ * Triage Rule Defaults for MediFlow
+ * The built-in triage rules - red flags, scoring tables, department risk
+ * modifiers and symptom routing keywords
+ *
+ * These apply until the medical director publishes a rule set
+ * (services/triageRuleService), and seed the first draft. Triage results
+ * produced with them record rule set version 0.
+ */
+
+/**
+ * Red Flag Symptoms (Automatic Emergency Classification)
+ */
+const RED_FLAG_SYMPTOMS = [
+  // Cardiovascular
+  'severe chest pain', 'chest pressure', 'chest tightness', 'heart attack',
+  'crushing chest pain', 'radiating pain to arm', 'jaw pain with chest',
+  
+  // Respiratory
+  'difficulty breathing', 'shortness of breath', 'can\'t breathe', 'gasping for air',
+  'severe wheezing', 'blue lips', 'cyanosis',
+  
+  // Neurological
+  'severe headache', 'worst headache of life', 'thunderclap headache',
+  'loss of consciousness', 'passed out', 'fainted', 'seizure', 'convulsion',
+  'stroke', 'face drooping', 'arm weakness', 'slurred speech', 'confusion',
+  'sudden numbness', 'sudden weakness', 'sudden vision loss',
+  
+  // Trauma/Bleeding
+  'severe bleeding', 'uncontrolled bleeding', 'heavy bleeding', 'bleeding won\'t stop',
+  'severe trauma', 'severe injury', 'broken bone through skin',
+  
+  // Abdominal
+  'severe abdominal pain', 'severe stomach pain', 'rigid abdomen',
+  'vomiting blood', 'blood in stool', 'black tarry stool',
+  
+  // Allergic
+  'severe allergic reaction', 'anaphylaxis', 'throat closing', 'tongue swelling',
+  'difficulty swallowing', 'severe rash with breathing difficulty',
+  
+  // Mental Health
+  'suicidal', 'want to kill myself', 'suicide attempt', 'severe depression',
+  'homicidal', 'want to hurt others',
+  
+  // Other Critical
+  'poisoning', 'overdose', 'drug overdose', 'severe burns',
+  'severe pain 9/10', 'severe pain 10/10', 'unbearable pain',
+];
+
+/**
+ * Triage Scoring Configuration (WHO/ATS Standards)
+ */
+const TRIAGE_CONFIG = {
+  // Pain Scale Scoring (0-10) - Max 25 points
+  pain_scale: {
+    9: 25,  // Severe
+    10: 25, // Worst possible
+    8: 20,  // Severe
+    7: 15,  // Moderate-Severe
+    6: 12,  // Moderate
+    5: 10,  // Moderate
+    4: 8,   // Mild-Moderate
+    3: 6,   // Mild
+    2: 4,   // Minimal
+    1: 2,   // Minimal
+    0: 0,   // No pain
+  },
+  
+  // Symptom Duration - Max 20 points
+  symptom_duration: {
+    '< 24 hours': 20,      // Acute onset (urgent)
+    '1-3 days': 15,        // Recent acute
+    '3-7 days': 10,        // Subacute
+    '1-2 weeks': 8,        // Subacute
+    '2+ weeks': 5,         // Chronic
+    'Chronic': 3,          // Stable chronic
+  },
+  
+  // Age Risk Modifiers - Max 15 points
+  age_risk: {
+    infant: 15,      // 0-1 years (high risk)
+    toddler: 12,     // 1-3 years
+    child: 8,        // 3-12 years
+    teen: 5,         // 12-18 years
+    adult: 3,        // 18-60 years
+    elderly: 12,     // 60-75 years (higher risk)
+    very_elderly: 15, // 75+ years (high risk)
+  },
+  
+  // Chronic Conditions Impact - Max 15 points
+  chronic_conditions_impact: {
+    0: 0,   // No chronic conditions
+    1: 5,   // Single condition
+    2: 10,  // Multiple conditions
+    3: 15,  // Multiple serious conditions
+  },
+  
+  // Vital Signs Severity (if available) - Max 25 points
+  vitals_severity: {
+    critical: 25,  // Severely abnormal vitals
+    abnormal: 15,  // Moderately abnormal
+    borderline: 8, // Slightly abnormal
+    normal: 0,     // Within normal range
+  },
+};
+
+/**
+ * Department-Specific Risk Adjustments
+ */
+const DEPARTMENT_RISK_MODIFIERS = {
+  'Cardiology': 1.2,       // Higher risk for cardiac symptoms
+  'Neurology': 1.2,        // Higher risk for neurological symptoms
+  'Emergency': 1.5,        // Emergency department auto-boost
+  'Pediatrics': 1.1,       // Children need closer monitoring
+  'General Medicine': 1.0, // Baseline
+  'Dermatology': 0.8,      // Generally lower urgency
+  'Ophthalmology': 0.9,    // Generally lower urgency
+  'Dentistry': 0.85,       // Generally lower urgency (except severe infections)
+};
+
+/**
+ * Symptom-to-Department mapping for intelligent routing
+ * (first keyword found in the complaint wins, so order matters)
+ */
+const SYMPTOM_DEPARTMENT_MAP = {
+  // Cardiology
+  'chest pain': 'Cardiology',
+  'heart': 'Cardiology',
+  'palpitation': 'Cardiology',
+  'high blood pressure': 'Cardiology',
+  'hypertension': 'Cardiology',
+  
+  // Pediatrics (age-based)
+  'child': 'Pediatrics',
+  'infant': 'Pediatrics',
+  'baby': 'Pediatrics',
+  
+  // Dermatology
+  'skin': 'Dermatology',
+  'rash': 'Dermatology',
+  'acne': 'Dermatology',
+  'hair loss': 'Dermatology',
+  
+  // Orthopedics
+  'bone': 'Orthopedics',
+  'joint': 'Orthopedics',
+  'fracture': 'Orthopedics',
+  'back pain': 'Orthopedics',
+  'knee pain': 'Orthopedics',
+  
+  // Gynecology
+  'pregnancy': 'Gynecology',
+  'menstrual': 'Gynecology',
+  'women health': 'Gynecology',
+  
+  // ENT
+  'ear': 'ENT',
+  'nose': 'ENT',
+  'throat': 'ENT',
+  'hearing': 'ENT',
+  'sinus': 'ENT',
+  
+  // Ophthalmology
+  'eye': 'Ophthalmology',
+  'vision': 'Ophthalmology',
+  'blurred vision': 'Ophthalmology',
+  
+  // Dentistry
+  'tooth': 'Dentistry',
+  'dental': 'Dentistry',
+  'gum': 'Dentistry',
+  
+  // Psychiatry
+  'anxiety': 'Psychiatry',
+  'depression': 'Psychiatry',
+  'mental health': 'Psychiatry',
+  'stress': 'Psychiatry',
+  
+  // Neurology
+  'headache': 'Neurology',
+  'migraine': 'Neurology',
+  'seizure': 'Neurology',
+  'numbness': 'Neurology',
+  
+  // Emergency
+  'severe': 'Emergency',
+  'emergency': 'Emergency',
+  'accident': 'Emergency',
+  'trauma': 'Emergency',
+};
+
+/**
+ * Built-in rule set, in the shape stored on TriageRuleSet documents
+ */
+const DEFAULT_TRIAGE_RULES = {
+  red_flag_symptoms: RED_FLAG_SYMPTOMS,
+  triage_config: TRIAGE_CONFIG,
+  department_risk_modifiers: DEPARTMENT_RISK_MODIFIERS,
+  symptom_department_map: Object.entries(SYMPTOM_DEPARTMENT_MAP).map(([keyword, department]) => ({
+    keyword,
+    department,
+  })),
+};
+
+export {
+  RED_FLAG_SYMPTOMS,
+  TRIAGE_CONFIG,
+  DEPARTMENT_RISK_MODIFIERS,
+  SYMPTOM_DEPARTMENT_MAP,
+  DEFAULT_TRIAGE_RULES,
+};
+
+export default DEFAULT_TRIAGE_RULES;
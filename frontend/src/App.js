@@ -1,5 +1,5 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, useLocation } from 'react-router-dom';
 import Chatbot from './components/Chatbot';
 import LandingPage from './components/LandingPage';
 import DepartmentsPage from './pages/DepartmentsPage';
@@ -8,6 +8,22 @@ import DoctorDashboard from './pages/DoctorDashboard';
 import PatientsPage from './pages/PatientsPage';
 import PatientDetailPage from './pages/PatientDetailPage';
 import BookAppointmentPage from './pages/BookAppointmentPage';
+import WaitlistOfferPage from './pages/WaitlistOfferPage';
+import FollowUpPage from './pages/FollowUpPage';
+import PrescriptionVerifyPage from './pages/PrescriptionVerifyPage';
+import QueueBoardPage from './pages/QueueBoardPage';
+import HandoffConsolePage from './pages/HandoffConsolePage';
+import LoginPage from './pages/LoginPage';
+import RequireAuth from './components/RequireAuth';
+
+/**
+ * Chatbot everywhere except full-screen displays
+ */
+function GlobalChatbot() {
+  const location = useLocation();
+  if (location.pathname.startsWith('/queue-board')) return null;
+  return <Chatbot />;
+}
 
 /**
  * MediFlow App Component
@@ -18,9 +34,15 @@ import BookAppointmentPage from './pages/BookAppointmentPage';
  * - /departments : List of medical departments
  * - /departments/:departmentId : Department details
  * - /book-appointment/:appointmentId : Appointment booking page
- * - /doctor : Doctor dashboard (patients, appointments)
+ * - /waitlist/:entryId?token= : Accept/decline a waitlist slot offer
+ * - /follow-ups/:followUpId?token= : Confirm or reschedule a reserved follow-up slot
+ * - /prescriptions/verify/:code?v= : Prescription QR verification (pharmacies)
+ * - /queue-board?department=&sound=off : Waiting-room TV token board (no chatbot)
+ * - /login : Staff login
+ * - /doctor : Doctor dashboard (patients, appointments) - staff only
  * - /doctor/patients : All patients list
  * - /doctor/patients/:id : Patient detail page
+ * - /staff/handoffs : Live chat console - chatbot consultations handed off to staff
  */
 function App() {
   return (
@@ -32,16 +54,24 @@ function App() {
           <Route path="/departments" element={<DepartmentsPage />} />
           <Route path="/departments/:departmentId" element={<DepartmentDetailPage />} />
           <Route path="/book-appointment/:appointmentId" element={<BookAppointmentPage />} />
+          <Route path="/waitlist/:entryId" element={<WaitlistOfferPage />} />
+          <Route path="/follow-ups/:followUpId" element={<FollowUpPage />} />
+          <Route path="/prescriptions/verify/:code" element={<PrescriptionVerifyPage />} />
+          <Route path="/queue-board" element={<QueueBoardPage />} />
+
+          {/* Staff login */}
+          <Route path="/login" element={<LoginPage />} />
 
-          {/* Doctor dashboard routes */}
-          <Route path="/doctor" element={<DoctorDashboard />} />
-          <Route path="/doctor/patients" element={<PatientsPage />} />
-          <Route path="/doctor/patients/:id" element={<PatientDetailPage />} />
+          {/* Doctor dashboard routes (staff login required) */}
+          <Route path="/doctor" element={<RequireAuth><DoctorDashboard /></RequireAuth>} />
+          <Route path="/doctor/patients" element={<RequireAuth><PatientsPage /></RequireAuth>} />
+          <Route path="/doctor/patients/:id" element={<RequireAuth><PatientDetailPage /></RequireAuth>} />
+          <Route path="/staff/handoffs" element={<RequireAuth><HandoffConsolePage /></RequireAuth>} />
         </Routes>
 
         {/* Global Medical Chatbot - Available on all pages */}
         {/* Features: Symptom checker, appointment booking, triage */}
-        <Chatbot />
+        <GlobalChatbot />
       </div>
     </Router>
   );
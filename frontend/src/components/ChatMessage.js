@@ -5,12 +5,13 @@ import React from 'react';
  * Renders a single medical consultation chat message with role-based styling
  * 
  * Features:
- * - Role-based styling (user/assistant/system)
+ * - Role-based styling (user/assistant/staff/system)
+ * - Staff messages are labelled with the staff member's name
  * - Markdown support (**bold**, [links], bullet points)
  * - Timestamp formatting
  * - Medical-themed avatars
  */
-function ChatMessage({ role, content, timestamp }) {
+function ChatMessage({ role, content, timestamp, senderName }) {
   /**
    * Format timestamp for display
    */
@@ -55,6 +56,19 @@ function ChatMessage({ role, content, timestamp }) {
           </svg>
         );
       
+      case 'staff':
+        // Clinic staff member icon (person with badge)
+        return (
+          <svg
+            width="20"
+            height="20"
+            viewBox="0 0 24 24"
+            fill="currentColor"
+          >
+            <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4zm6-12h-2v2h-2v2h2v2h2V6h2V4h-2z"></path>
+          </svg>
+        );
+
       case 'system':
         // System notification icon
         return (
@@ -161,8 +175,8 @@ function ChatMessage({ role, content, timestamp }) {
 
   return (
     <div className={`chat-message ${role}`}>
-      {/* Avatar (for assistant and system only) */}
-      {(role === 'assistant' || role === 'system') && (
+      {/* Avatar (for assistant, staff and system) */}
+      {(role === 'assistant' || role === 'staff' || role === 'system') && (
         <div className="message-avatar">
           {getAvatarIcon()}
         </div>
@@ -170,6 +184,9 @@ function ChatMessage({ role, content, timestamp }) {
 
       {/* Message Content */}
       <div className="message-content">
+        {role === 'staff' && senderName && (
+          <div className="message-sender">{senderName}</div>
+        )}
         <div className="message-bubble">
           {parseMarkdown(content)}
         </div>
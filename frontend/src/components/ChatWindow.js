@@ -15,6 +15,7 @@ import QuickActions from './QuickActions';
  * - Typing indicator
  * - Quick actions for common symptoms/departments
  * - Restart conversation option
+ * - Shows who the patient is talking to (MediBot or a clinic staff member)
  */
 function ChatWindow({
   messages,
@@ -23,6 +24,7 @@ function ChatWindow({
   error,
   isConsultationComplete,
   showQuickActions,
+  handoff = { status: 'bot', agent: null },
   onSendMessage,
   onQuickAction,
   onClose,
@@ -31,6 +33,7 @@ function ChatWindow({
   const messagesEndRef = useRef(null);
   const [showError, setShowError] = useState(false);
   const errorTimeoutRef = useRef(null);
+  const withStaff = handoff.status === 'active' && handoff.agent;
 
   /**
    * Auto-scroll to bottom when new messages arrive
@@ -104,12 +107,15 @@ function ChatWindow({
             </svg>
           </div>
           <div className="chat-header-info">
-            <h3 className="chat-title">MediFlow Assistant</h3>
+            <h3 className="chat-title">
+              {withStaff ? handoff.agent.name : 'MediFlow Assistant'}
+            </h3>
             <p className="chat-status">
               {isConnected ? (
                 <>
                   <span className="status-dot online"></span>
-                  Online
+                  {withStaff && `Clinic ${handoff.agent.role || 'staff'} · `}
+                  {handoff.status === 'requested' ? 'MediBot · Waiting for a team member...' : 'Online'}
                 </>
               ) : (
                 <>
@@ -210,6 +216,7 @@ function ChatWindow({
                 key={index}
                 role={message.role}
                 content={message.content}
+                senderName={message.senderName}
                 timestamp={message.timestamp}
               />
             ))}
@@ -258,7 +265,9 @@ function ChatWindow({
         placeholder={
           isConsultationComplete 
             ? "Ask any follow-up questions..." 
-            : "Describe your symptoms..."
+            : withStaff
+              ? `Message ${handoff.agent.name}...`
+              : "Describe your symptoms..."
         }
       />
 
@@ -14,6 +14,8 @@ import '../styles/chatbot.css';
  * - Appointment booking
  * - Live behavioral tracking for personalized responses
  * - Patient data collection
+ * - Resumes the consultation after a page refresh or reconnect
+ * - Live handoff to clinic staff (shows who the patient is talking to)
  */
 function Chatbot({ forceOpen = false }) {
   // State management
@@ -25,6 +27,7 @@ function Chatbot({ forceOpen = false }) {
   const [error, setError] = useState(null);
   const [isConsultationComplete, setIsConsultationComplete] = useState(false);
   const [showQuickActions, setShowQuickActions] = useState(false);
+  const [handoff, setHandoff] = useState({ status: 'bot', agent: null });
 
   // Refs
   const hasInitialized = useRef(false);
@@ -60,6 +63,13 @@ function Chatbot({ forceOpen = false }) {
       // Setup event listeners (only once!)
       setupSocketListeners();
 
+      // Rejoin a consultation that was in progress before a refresh
+      const savedSessionId = socketService.getSavedSession();
+      if (savedSessionId) {
+        console.log('🔄 Found consultation in progress:', savedSessionId);
+        socketService.resumeConsultation(savedSessionId);
+      }
+
       // ✅ FIXED: Don't cleanup listeners on unmount (prevents double-listener bug)
       return () => {
         console.log('🧹 Cleaning up chatbot (keeping listeners alive)...');
@@ -104,6 +114,7 @@ function Chatbot({ forceOpen = false }) {
     socketService.on('chatStarted', (data) => {
       console.log('💬 Chat session started:', data);
       setSessionId(data.sessionId);
+      socketService.rememberSession(data.sessionId);
       
       // Use the welcome message from backend (already has context)
       addMessage('assistant', data.message);
@@ -115,6 +126,60 @@ function Chatbot({ forceOpen = false }) {
       }, 500);
     });
 
+    // Chat session resumed (refresh or reconnect) - server sends the conversation so far
+    socketService.on('chatResumed', (data) => {
+      console.log('🔄 Chat session resumed:', data.sessionId);
+      setSessionId(data.sessionId);
+      setMessages([
+        ...data.messages.map((m) => ({
+          role: m.role,
+          content: m.content,
+          senderName: m.sender_name,
+          timestamp: new Date(m.timestamp),
+        })),
+        ...(data.outcome
+          ? [{ role: 'system', content: data.outcome.message, timestamp: new Date() }]
+          : []),
+      ]);
+      setIsConsultationComplete(Boolean(data.isPatientComplete || data.outcome));
+      setHandoff(data.handoff || { status: 'bot', agent: null });
+      setShowQuickActions(data.messages.length <= 1 && !data.isPatientComplete);
+      setIsTyping(false);
+      setError(null);
+      setIsOpen(true);
+    });
+
+    // Session could not be resumed (ended or expired) - next open starts a new one
+    socketService.on('resumeFailed', (data) => {
+      console.log('ℹ️ Chat session could not be resumed:', data);
+      socketService.clearSession();
+      setSessionId(null);
+      setMessages([]);
+      setIsTyping(false);
+      setIsConsultationComplete(false);
+      setShowQuickActions(false);
+      setHandoff({ status: 'bot', agent: null });
+    });
+
+    // Handoff changed - waiting for staff, staff joined, or back to MediBot
+    socketService.on('handoffStatus', (data) => {
+      console.log('🙋 Handoff status:', data.status, data.agent?.name || '');
+      setHandoff({ status: data.status, agent: data.agent });
+      if (data.message) {
+        addMessage('system', data.message);
+      }
+      if (data.status === 'active') {
+        setIsTyping(false);
+      }
+    });
+
+    // Message from the clinic staff member in the chat
+    socketService.on('staffMessage', (data) => {
+      console.log('👩‍⚕️ Staff message received from:', data.sender_name);
+      addMessage('staff', data.content, data.sender_name);
+      setIsTyping(false);
+    });
+
     // Bot message received
     socketService.on('botMessage', (data) => {
       console.log('🤖 Bot message received:', data);
@@ -153,7 +218,7 @@ function Chatbot({ forceOpen = false }) {
     socket.on('disconnect', () => {
       console.log('❌ Socket disconnected');
       setIsConnected(false);
-      setError('Connection lost. Please refresh the page.');
+      setError('Connection lost. Reconnecting...');
     });
 
     // Socket reconnected
@@ -171,10 +236,11 @@ function Chatbot({ forceOpen = false }) {
   /**
    * Add message to chat
    */
-  const addMessage = (role, content) => {
+  const addMessage = (role, content, senderName = null) => {
     const newMessage = {
       role,
       content,
+      senderName,
       timestamp: new Date(),
     };
 
@@ -251,8 +317,8 @@ function Chatbot({ forceOpen = false }) {
       // Add user message to chat
       addMessage('user', message);
 
-      // Show typing indicator
-      setIsTyping(true);
+      // Show typing indicator (staff replies are not instant - no indicator while with staff)
+      setIsTyping(handoff.status !== 'active');
 
       console.log('📤 Sending message:', message);
 
@@ -310,6 +376,7 @@ function Chatbot({ forceOpen = false }) {
       setError(null);
       setIsConsultationComplete(false);
       setShowQuickActions(false);
+      setHandoff({ status: 'bot', agent: null });
 
       // Start new session with fresh behavior data
       startChat();
@@ -331,6 +398,7 @@ function Chatbot({ forceOpen = false }) {
           error={error}
           isConsultationComplete={isConsultationComplete}
           showQuickActions={showQuickActions}
+          handoff={handoff}
           onSendMessage={sendMessage}
           onQuickAction={handleQuickAction}
           onClose={closeChat}
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import authService from '../services/authService';
+
+/**
+ * MediFlow RequireAuth
+ * Route guard for staff pages - sends anonymous visitors to /login
+ * and brings them back to the requested page after signing in
+ */
+function RequireAuth({ children }) {
+  const location = useLocation();
+
+  if (!authService.isAuthenticated()) {
+    return <Navigate to={`/login?redirect=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
@@ -0,0 +1,119 @@
+import React from 'react';
+
+/**
+ * MediFlow VitalsTrendChart Component
+ * Small inline-SVG line chart of one vital sign across visits
+ *
+ * Features:
+ * - One or more lines per chart (e.g. systolic + diastolic)
+ * - Shaded normal range band (per-line ranges only flag points)
+ * - Latest value in the header
+ * - Points outside the normal range highlighted
+ */
+const WIDTH = 320;
+const HEIGHT = 140;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 36 };
+
+function VitalsTrendChart({ title, unit, points, lines, normalRange }) {
+  if (!points || points.length === 0) {
+    return (
+      <div className="vitals-chart">
+        <div className="vitals-chart-header">
+          <span className="vitals-chart-title">{title}</span>
+        </div>
+        <p className="vitals-chart-empty">No readings</p>
+      </div>
+    );
+  }
+
+  const values = points.flatMap((point) => lines.map((line) => point[line.key])).filter(Number.isFinite);
+  const bounds = normalRange ? [...values, ...normalRange] : values;
+  let min = Math.min(...bounds);
+  let max = Math.max(...bounds);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const margin = (max - min) * 0.1;
+  min -= margin;
+  max += margin;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) => PADDING.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+  const isAbnormal = (value, line) => {
+    const range = line.normalRange || normalRange;
+    return Boolean(range) && (value < range[0] || value > range[1]);
+  };
+
+  const formatDay = (value) =>
+    new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+  const latest = points[points.length - 1];
+
+  return (
+    <div className="vitals-chart">
+      <div className="vitals-chart-header">
+        <span className="vitals-chart-title">{title}</span>
+        <span className="vitals-chart-latest">
+          {lines.map((line) => latest[line.key]).join('/')} {unit}
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="vitals-chart-svg" role="img" aria-label={`${title} trend`}>
+        {normalRange && (
+          <rect
+            x={PADDING.left}
+            y={y(normalRange[1])}
+            width={plotWidth}
+            height={y(normalRange[0]) - y(normalRange[1])}
+            className="vitals-chart-normal"
+          />
+        )}
+
+        <text x={PADDING.left - 4} y={PADDING.top + 4} className="vitals-chart-axis" textAnchor="end">
+          {Math.round(max)}
+        </text>
+        <text x={PADDING.left - 4} y={PADDING.top + plotHeight} className="vitals-chart-axis" textAnchor="end">
+          {Math.round(min)}
+        </text>
+        <text x={PADDING.left} y={HEIGHT - 6} className="vitals-chart-axis">
+          {formatDay(points[0].recorded_at)}
+        </text>
+        {points.length > 1 && (
+          <text x={WIDTH - PADDING.right} y={HEIGHT - 6} className="vitals-chart-axis" textAnchor="end">
+            {formatDay(latest.recorded_at)}
+          </text>
+        )}
+
+        {lines.map((line) => (
+          <g key={line.key}>
+            <polyline
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={points.map((point, index) => `${x(index)},${y(point[line.key])}`).join(' ')}
+            />
+            {points.map((point, index) => (
+              <circle
+                key={`${line.key}-${point.recorded_at}`}
+                cx={x(index)}
+                cy={y(point[line.key])}
+                r={isAbnormal(point[line.key], line) ? 4 : 3}
+                fill={isAbnormal(point[line.key], line) ? '#dc2626' : line.color}
+              >
+                <title>
+                  {`${line.label || title}: ${point[line.key]} ${unit} (${new Date(point.recorded_at).toLocaleString()})`}
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+export default VitalsTrendChart;
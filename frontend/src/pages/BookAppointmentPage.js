@@ -7,14 +7,16 @@ import '../styles/appointment.css';
  * Allows patients to book an appointment slot from available options
  * 
  * API Endpoints:
- * - GET /api/appointments/:appointmentId - Get appointment details
- * - GET /api/patients/:patientId - Get patient info
+ * - GET /api/appointments/:appointmentId - Get appointment details (slots, doctor and status only)
  * - POST /api/appointments/book - Book a specific time slot
+ * - POST /api/waitlist - Join the waitlist for an earlier slot
  * 
  * Features:
  * - Display available time slots
+ * - Confirm the patient's email before booking (the link itself reveals no patient details)
  * - Book appointment with selected slot
  * - Show confirmation with appointment details
+ * - Join the waitlist when none of the offered times suit
  * - Google Meet link integration
  */
 function BookAppointmentPage() {
@@ -22,12 +24,14 @@ function BookAppointmentPage() {
   const navigate = useNavigate();
 
   const [appointment, setAppointment] = useState(null);
-  const [patient, setPatient] = useState(null);
+  const [patientEmail, setPatientEmail] = useState('');
   const [loading, setLoading] = useState(true);
   const [booking, setBooking] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [bookedSlot, setBookedSlot] = useState(null);
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
 
   /**
    * Fetch appointment details
@@ -57,19 +61,6 @@ function BookAppointmentPage() {
 
       console.log('✅ Appointment loaded:', data.data);
       setAppointment(data.data);
-
-      // Fetch patient info
-      if (data.data.patient_id) {
-        console.log('👤 Fetching patient info...');
-        const patientRes = await fetch(`/api/patients/${data.data.patient_id._id || data.data.patient_id}`);
-        if (patientRes.ok) {
-          const patientData = await patientRes.json();
-          if (patientData.success) {
-            console.log('✅ Patient info loaded:', patientData.data);
-            setPatient(patientData.data);
-          }
-        }
-      }
     } catch (err) {
       console.error('❌ Error fetching appointment:', err);
       setError(err.message || 'Failed to load appointment details');
@@ -82,9 +73,8 @@ function BookAppointmentPage() {
    * Handle slot booking
    */
   const handleBookSlot = async (slot) => {
-    if (!patient) {
-      console.error('❌ Patient information not found');
-      alert('Patient information not found. Please contact support.');
+    if (!patientEmail.trim()) {
+      setError('Please enter the email address your booking link was sent to.');
       return;
     }
 
@@ -101,7 +91,7 @@ function BookAppointmentPage() {
         body: JSON.stringify({
           appointment_id: appointmentId,
           slot_id: slot.slot_id,
-          patient_email: patient.email,
+          patient_email: patientEmail.trim(),
         }),
       });
 
@@ -124,6 +114,47 @@ function BookAppointmentPage() {
     }
   };
 
+  /**
+   * Join the waitlist - we'll offer the first earlier slot that opens up
+   */
+  const handleJoinWaitlist = async () => {
+    if (!patientEmail.trim()) {
+      setError('Please enter the email address your booking link was sent to.');
+      return;
+    }
+
+    try {
+      console.log('📝 Joining waitlist for appointment:', appointmentId);
+      setJoiningWaitlist(true);
+      setError(null);
+
+      const res = await fetch('/api/waitlist', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          appointment_id: appointmentId,
+          patient_email: patientEmail.trim(),
+        }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Failed to join the waitlist');
+      }
+
+      console.log('✅ Joined waitlist:', data.data);
+      setWaitlistPosition(data.data.position);
+    } catch (err) {
+      console.error('❌ Error joining waitlist:', err);
+      setError(err.message || 'Failed to join the waitlist. Please try again.');
+    } finally {
+      setJoiningWaitlist(false);
+    }
+  };
+
   /**
    * Format date/time for display
    */
@@ -195,7 +226,7 @@ function BookAppointmentPage() {
             <div className="success-icon">✅</div>
             <h1>Appointment Confirmed!</h1>
             <p className="success-lead">
-              Thanks, <strong>{patient?.name}</strong>! Your medical consultation is booked.
+              Thanks! Your medical consultation is booked.
             </p>
 
             <div className="booked-slot-card">
@@ -290,10 +321,22 @@ function BookAppointmentPage() {
         <header className="booking-header">
           <h1>🏥 Book Your Medical Appointment</h1>
           <p className="booking-subtitle">
-            Hi <strong>{patient?.name || 'there'}</strong>! Choose a time that works best for you.
+            Hi there! Choose a time that works best for you.
           </p>
         </header>
 
+        <div className="booking-email">
+          <label htmlFor="patient-email">Your email address</label>
+          <input
+            id="patient-email"
+            type="email"
+            value={patientEmail}
+            onChange={(e) => setPatientEmail(e.target.value)}
+            placeholder="The email your booking link was sent to"
+            autoComplete="email"
+          />
+        </div>
+
         {error && (
           <div className="booking-error-banner">
             <p>⚠️ {error}</p>
@@ -343,10 +386,26 @@ function BookAppointmentPage() {
         </div>
 
         <div className="booking-footer">
-          <p>
-            Can't find a suitable time? Reply to your confirmation email/SMS and we'll find an
-            alternative.
-          </p>
+          {waitlistPosition ? (
+            <p className="waitlist-joined">
+              📝 You're on the waitlist (position {waitlistPosition}). If an earlier slot opens up,
+              we'll send you a link by SMS and email to claim it.
+            </p>
+          ) : (
+            <>
+              <p>
+                Can't find a suitable time? Join the waitlist and we'll offer you the first earlier
+                slot that opens up.
+              </p>
+              <button
+                className="waitlist-join-button"
+                onClick={handleJoinWaitlist}
+                disabled={joiningWaitlist || booking}
+              >
+                {joiningWaitlist ? 'Joining...' : 'Join Waitlist'}
+              </button>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import authService from '../services/authService';
 import '../styles/doctor.css';
 
 /**
@@ -10,12 +11,15 @@ import '../styles/doctor.css';
  * - GET /api/patients/stats - Patient statistics
  * - GET /api/appointments/stats - Appointment statistics
  * - GET /api/patients?page=1&limit=5 - Recent patients
+ * - POST /api/queue/call-next - Call the next checked-in token (doctors)
  * 
  * Features:
  * - Patient metrics (total, triage levels, avg urgency)
  * - Appointment metrics (total, scheduled, completed, conversion)
  * - Top departments
  * - Recent patients table
+ * - Call next patient (announced on the waiting-room queue board)
+ * - Live chat console link (reception, nursing and admin staff)
  */
 function DoctorDashboard() {
   const navigate = useNavigate();
@@ -27,6 +31,9 @@ function DoctorDashboard() {
   const [loadingAppointments, setLoadingAppointments] = useState(true);
   const [loadingPatients, setLoadingPatients] = useState(true);
   const [error, setError] = useState(null);
+  const [queueMessage, setQueueMessage] = useState(null);
+  const isDoctor = authService.getUser()?.role === 'doctor';
+  const canHandleChats = ['admin', 'receptionist', 'nurse'].includes(authService.getUser()?.role);
 
   /**
    * Fetch stats from /api/patients/stats
@@ -37,7 +44,7 @@ function DoctorDashboard() {
       setLoadingStats(true);
       setError(null);
 
-      const res = await fetch('/api/patients/stats');
+      const res = await authService.authFetch('/api/patients/stats');
       if (!res.ok) {
         throw new Error(`Failed to fetch stats (${res.status})`);
       }
@@ -65,7 +72,7 @@ function DoctorDashboard() {
       console.log('📅 Fetching appointment stats...');
       setLoadingAppointments(true);
 
-      const res = await fetch('/api/appointments/stats');
+      const res = await authService.authFetch('/api/appointments/stats');
       if (!res.ok) {
         // If endpoint doesn't exist yet, silently fail
         if (res.status === 404) {
@@ -99,7 +106,7 @@ function DoctorDashboard() {
       setLoadingPatients(true);
       setError(null);
 
-      const res = await fetch('/api/patients?page=1&limit=5&sortBy=createdAt&sortOrder=desc');
+      const res = await authService.authFetch('/api/patients?page=1&limit=5&sortBy=createdAt&sortOrder=desc');
       if (!res.ok) {
         throw new Error(`Failed to fetch patients (${res.status})`);
       }
@@ -119,6 +126,28 @@ function DoctorDashboard() {
     }
   };
 
+  /**
+   * Call the next checked-in patient from /api/queue/call-next
+   */
+  const callNextPatient = async () => {
+    try {
+      console.log('📢 Calling next token...');
+      setQueueMessage(null);
+
+      const res = await authService.authFetch('/api/queue/call-next', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Failed to call next patient');
+      }
+
+      console.log('✅ Queue:', data.message);
+      setQueueMessage(data.message);
+    } catch (err) {
+      console.error('❌ Error calling next patient:', err);
+      setQueueMessage(err.message || 'Failed to call next patient');
+    }
+  };
+
   /**
    * Initial load
    */
@@ -211,18 +240,40 @@ function DoctorDashboard() {
             Overview of patients, triage levels, appointments, and consultation performance.
           </p>
         </div>
-        <button
-          type="button"
-          className="admin-refresh-btn"
-          onClick={() => {
-            console.log('🔄 Refreshing dashboard...');
-            fetchStats();
-            fetchAppointmentStats();
-            fetchRecentPatients();
-          }}
-        >
-          Refresh
-        </button>
+        <div className="admin-header-actions">
+          {isDoctor && (
+            <button type="button" className="admin-refresh-btn" onClick={callNextPatient}>
+              Call next patient
+            </button>
+          )}
+          {canHandleChats && (
+            <button type="button" className="admin-refresh-btn" onClick={() => navigate('/staff/handoffs')}>
+              Live chats
+            </button>
+          )}
+          <button
+            type="button"
+            className="admin-refresh-btn"
+            onClick={() => {
+              console.log('🔄 Refreshing dashboard...');
+              fetchStats();
+              fetchAppointmentStats();
+              fetchRecentPatients();
+            }}
+          >
+            Refresh
+          </button>
+          <button
+            type="button"
+            className="admin-logout-btn"
+            onClick={() => {
+              authService.logout();
+              navigate('/login');
+            }}
+          >
+            Log out
+          </button>
+        </div>
       </header>
 
       {/* Error banner */}
@@ -232,6 +283,13 @@ function DoctorDashboard() {
         </div>
       )}
 
+      {/* Queue call result */}
+      {queueMessage && (
+        <div className="admin-queue-message">
+          <span>{queueMessage}</span>
+        </div>
+      )}
+
       {/* Patient KPI cards */}
       <section className="admin-kpis">
         <h3 style={{ gridColumn: '1 / -1', marginBottom: '10px', color: '#667eea' }}>
@@ -0,0 +1,293 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import '../styles/appointment.css';
+
+/**
+ * MediFlow FollowUpPage
+ * Lets a patient confirm the follow-up slot reserved for them, pick another
+ * open time with the same doctor, or decline the follow-up
+ * (link sent by SMS/email when the doctor completes a visit needing follow-up)
+ *
+ * API Endpoints:
+ * - GET /api/follow-ups/:followUpId/offer?token= - Reserved slot and other open times
+ * - POST /api/follow-ups/:followUpId/respond - Confirm, reschedule (start_time) or decline
+ */
+function FollowUpPage() {
+  const { followUpId } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [proposal, setProposal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+  const [showAlternatives, setShowAlternatives] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    fetchProposal();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [followUpId, token]);
+
+  const fetchProposal = async () => {
+    try {
+      console.log('📅 Fetching follow-up:', followUpId);
+      setLoading(true);
+      setError(null);
+
+      const res = await fetch(`/api/follow-ups/${followUpId}/offer?token=${encodeURIComponent(token || '')}`);
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Follow-up not found');
+      }
+
+      console.log('✅ Follow-up loaded:', data.data);
+      setProposal(data.data);
+    } catch (err) {
+      console.error('❌ Error fetching follow-up:', err);
+      setError(err.message || 'Failed to load your follow-up');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Confirm the reserved slot, book another time, or decline
+   * @param {string} action - confirm | reschedule | decline
+   * @param {string} startTime - Chosen time (reschedule)
+   */
+  const handleRespond = async (action, startTime = null) => {
+    try {
+      setResponding(true);
+      setError(null);
+
+      const res = await fetch(`/api/follow-ups/${followUpId}/respond`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, action, start_time: startTime }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update your follow-up');
+      }
+
+      console.log(`✅ Follow-up ${action}:`, data.data);
+      setResult({ booked: action !== 'decline', ...data.data });
+    } catch (err) {
+      console.error('❌ Error responding to follow-up:', err);
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-IN', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  const formatDay = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  const formatTime = (date) => {
+    return new Date(date).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-loading">Loading your follow-up...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // Lapsed / invalid link
+  if (!proposal) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-error">
+            <h2>⌛ Link Unavailable</h2>
+            <p>{error}</p>
+            <p>Please call the clinic to book your follow-up visit.</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Booked
+  if (result?.booked) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-success">
+            <div className="success-icon">✅</div>
+            <h1>Follow-up Confirmed!</h1>
+            <p className="success-lead">
+              Thanks, <strong>{proposal.patient_name}</strong>! Your follow-up appointment is booked.
+            </p>
+
+            <div className="booked-slot-card">
+              <h3>📅 Your Appointment Details</h3>
+              <div className="booked-slot-info">
+                <p>
+                  <strong>Date:</strong> {formatDateTime(result.scheduled_start_time)}
+                </p>
+                <p>
+                  <strong>Doctor:</strong> Dr. {result.doctor_name}
+                </p>
+                <p>
+                  <strong>Department:</strong> {result.department}
+                </p>
+                {result.token_number && (
+                  <p>
+                    <strong>Token:</strong> {result.token_number}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <p className="success-footer">Check your email/SMS for the confirmation. 🏥</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Declined
+  if (result) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-info">
+            <h2>👍 Noted</h2>
+            <p>
+              We've released the reserved slot. If your symptoms persist or you change your mind, please
+              contact the clinic to book a follow-up.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Proposal
+  return (
+    <div className="booking-page">
+      <div className="booking-container">
+        <header className="booking-header">
+          <h1>📅 Your Follow-up Visit</h1>
+          <p className="booking-subtitle">
+            Hi <strong>{proposal.patient_name || 'there'}</strong>! Dr. {proposal.doctor_name} would like to see
+            you again. We're holding this slot for you until {formatDateTime(proposal.expires_at)}.
+          </p>
+        </header>
+
+        {error && (
+          <div className="booking-error-banner">
+            <p>⚠️ {error}</p>
+          </div>
+        )}
+
+        <div className="booked-slot-card">
+          <h3>📅 Reserved Appointment</h3>
+          <div className="booked-slot-info">
+            <p>
+              <strong>Date:</strong> {formatDateTime(proposal.start_time)}
+            </p>
+            <p>
+              <strong>Time:</strong> {formatTime(proposal.start_time)} - {formatTime(proposal.end_time)} IST
+            </p>
+            <p>
+              <strong>Doctor:</strong> Dr. {proposal.doctor_name}
+              {proposal.specialization ? ` (${proposal.specialization})` : ''}
+            </p>
+            <p>
+              <strong>Department:</strong> {proposal.department}
+            </p>
+          </div>
+        </div>
+
+        <div className="waitlist-offer-actions">
+          <button className="slot-book-button" onClick={() => handleRespond('confirm')} disabled={responding}>
+            {responding ? 'Please wait...' : 'Confirm This Slot'}
+          </button>
+          <button
+            className="waitlist-join-button"
+            onClick={() => setShowAlternatives(!showAlternatives)}
+            disabled={responding}
+          >
+            Choose Another Time
+          </button>
+        </div>
+
+        {showAlternatives && (
+          <div className="slots-section">
+            <h2>Other Times Near Your Follow-up Date</h2>
+            {proposal.alternatives?.length > 0 ? (
+              <div className="slots-grid">
+                {proposal.alternatives.map((slot, index) => (
+                  <div key={slot.start_time} className="slot-card">
+                    <div className="slot-header">
+                      <span className="slot-number">Slot {index + 1}</span>
+                    </div>
+                    <div className="slot-body">
+                      <p className="slot-day">{formatDay(slot.start_time)}</p>
+                      <p className="slot-time">
+                        {formatTime(slot.start_time)} - {formatTime(slot.end_time)}
+                      </p>
+                      <p className="slot-timezone">IST (Indian Standard Time)</p>
+                    </div>
+                    <button
+                      className="slot-book-button"
+                      onClick={() => handleRespond('reschedule', slot.start_time)}
+                      disabled={responding}
+                    >
+                      {responding ? 'Booking...' : 'Book This Slot'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p>No other open times near your follow-up date - please call the clinic.</p>
+            )}
+          </div>
+        )}
+
+        <div className="booking-footer">
+          <p>Don't need a follow-up?</p>
+          <button className="waitlist-join-button" onClick={() => handleRespond('decline')} disabled={responding}>
+            No Thanks
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FollowUpPage;
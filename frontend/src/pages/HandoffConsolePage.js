@@ -0,0 +1,270 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import authService from '../services/authService';
+import staffSocketService from '../services/staffSocketService';
+import '../styles/doctor.css';
+import '../styles/handoff.css';
+
+/**
+ * MediFlow HandoffConsolePage
+ * Live chat console for receptionists and nurses - the queue of chatbot
+ * consultations asking for a person, and the chat with the patient once
+ * a staff member picks one up
+ *
+ * Socket Events (/staff namespace):
+ * - handoffQueue (in) - Queue snapshot (red-flag chats first)
+ * - handoffJoin (out) / handoffJoined (in) - Pick up a chat, receive the transcript
+ * - staffMessage (out) / handoffMessage (in) - Chat with the patient
+ * - handoffReturn (out) / handoffEnded (in) - Hand back to MediBot / patient left
+ * - handoffError (in) - Action rejected (e.g. a colleague already took the chat)
+ */
+
+const REASON_LABELS = {
+  red_flags: 'Red flags',
+  patient_request: 'Asked for a person',
+};
+
+const SPEAKER_LABELS = {
+  user: 'Patient',
+  patient: 'Patient',
+  assistant: 'MediBot',
+};
+
+function HandoffConsolePage() {
+  const navigate = useNavigate();
+  const user = authService.getUser();
+
+  const [queue, setQueue] = useState([]);
+  const [connected, setConnected] = useState(false);
+  const [activeChat, setActiveChat] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [notice, setNotice] = useState(null);
+  const activeChatRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    activeChatRef.current = activeChat;
+  }, [activeChat]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  useEffect(() => {
+    const socket = staffSocketService.connect();
+
+    const handleConnect = () => {
+      setConnected(true);
+      // Rejoin the chat we were handling before the reconnect
+      if (activeChatRef.current) {
+        staffSocketService.joinChat(activeChatRef.current.sessionId);
+      }
+    };
+
+    const handleDisconnect = () => setConnected(false);
+
+    const handleConnectError = (error) => {
+      setNotice(error.message === 'Forbidden: Insufficient role'
+        ? 'Live chat is available to reception, nursing and admin staff only.'
+        : `Cannot reach the live chat server (${error.message})`);
+    };
+
+    const handleQueue = (entries) => setQueue(entries);
+
+    const handleJoined = (data) => {
+      setActiveChat({ sessionId: data.sessionId, reason: data.reason });
+      setMessages(data.messages);
+      setNotice(null);
+    };
+
+    const handleMessage = (message) => {
+      if (message.sessionId !== activeChatRef.current?.sessionId) return;
+      setMessages((prev) => [...prev, message]);
+    };
+
+    const handleEnded = (data) => {
+      if (data.sessionId !== activeChatRef.current?.sessionId) return;
+      setNotice(data.reason === 'patient_left' ? 'The patient closed the chat.' : 'Chat handed back to MediBot.');
+      setActiveChat(null);
+      setMessages([]);
+    };
+
+    const handleError = (data) => {
+      console.error('❌ Live chat error:', data.message);
+      setNotice(data.message);
+    };
+
+    if (socket.connected) setConnected(true);
+
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('connect_error', handleConnectError);
+    staffSocketService.on('handoffQueue', handleQueue);
+    staffSocketService.on('handoffJoined', handleJoined);
+    staffSocketService.on('handoffMessage', handleMessage);
+    staffSocketService.on('handoffEnded', handleEnded);
+    staffSocketService.on('handoffError', handleError);
+
+    return () => {
+      staffSocketService.disconnect();
+    };
+  }, []);
+
+  const pickUp = (sessionId) => {
+    try {
+      if (activeChat && activeChat.sessionId !== sessionId) {
+        staffSocketService.leaveChat(activeChat.sessionId);
+      }
+      staffSocketService.joinChat(sessionId);
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const sendMessage = (event) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text || !activeChat) return;
+
+    try {
+      staffSocketService.sendMessage(activeChat.sessionId, text);
+      setDraft('');
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const handBack = () => {
+    try {
+      staffSocketService.returnToBot(activeChat.sessionId);
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const speakerOf = (message) =>
+    message.role === 'staff' ? message.sender_name || 'Staff' : SPEAKER_LABELS[message.role] || message.role;
+
+  return (
+    <div className="admin-dashboard">
+      <header className="admin-header">
+        <div>
+          <h1 className="admin-title">Live Chat Handoffs</h1>
+          <p className="admin-subtitle">
+            Chatbot consultations that need a person - red flags first.
+            {' '}
+            <span className={`handoff-connection ${connected ? 'online' : 'offline'}`}>
+              {connected ? 'Connected' : 'Disconnected'}
+            </span>
+          </p>
+        </div>
+        <div className="admin-header-actions">
+          <button type="button" className="admin-refresh-btn" onClick={() => navigate('/doctor')}>
+            Dashboard
+          </button>
+          <button
+            type="button"
+            className="admin-logout-btn"
+            onClick={() => {
+              authService.logout();
+              navigate('/login');
+            }}
+          >
+            Log out
+          </button>
+        </div>
+      </header>
+
+      {notice && (
+        <div className="admin-queue-message">
+          <span>{notice}</span>
+        </div>
+      )}
+
+      <div className="handoff-layout">
+        {/* Queue */}
+        <section className="admin-section handoff-queue">
+          <div className="admin-section-header">
+            <h2>Queue ({queue.length})</h2>
+          </div>
+
+          {queue.length === 0 && <div className="admin-empty">No chats are waiting for staff.</div>}
+
+          {queue.map((entry) => (
+            <div
+              key={entry.session_id}
+              className={`handoff-queue-item ${entry.emergency ? 'emergency' : ''} ${
+                activeChat?.sessionId === entry.session_id ? 'selected' : ''
+              }`}
+            >
+              <div className="handoff-queue-meta">
+                <span className="handoff-reason">{REASON_LABELS[entry.reason] || entry.reason}</span>
+                <span>{entry.waiting_minutes} min</span>
+              </div>
+              <p className="handoff-preview">{entry.last_patient_message || 'No messages yet'}</p>
+              {entry.status === 'active' && String(entry.staff_user_id) !== String(user?.id) && (
+                <span className="handoff-with">With {entry.staff_name}</span>
+              )}
+              {entry.status === 'active' && String(entry.staff_user_id) === String(user?.id) && (
+                activeChat?.sessionId === entry.session_id ? (
+                  <span className="handoff-with">With you</span>
+                ) : (
+                  <button type="button" className="admin-refresh-btn" onClick={() => pickUp(entry.session_id)}>
+                    Rejoin
+                  </button>
+                )
+              )}
+              {entry.status === 'requested' && (
+                <button type="button" className="admin-refresh-btn" onClick={() => pickUp(entry.session_id)}>
+                  Pick up
+                </button>
+              )}
+            </div>
+          ))}
+        </section>
+
+        {/* Active chat */}
+        <section className="admin-section handoff-chat">
+          {!activeChat ? (
+            <div className="admin-empty">Pick up a chat from the queue to talk to the patient.</div>
+          ) : (
+            <>
+              <div className="admin-section-header">
+                <h2>Chat - {REASON_LABELS[activeChat.reason] || 'Handoff'}</h2>
+                <button type="button" className="admin-logout-btn" onClick={handBack}>
+                  Hand back to MediBot
+                </button>
+              </div>
+
+              <div className="handoff-messages">
+                {messages.map((message, index) => (
+                  <div key={index} className={`handoff-message ${message.role}`}>
+                    {message.role !== 'system' && <span className="handoff-speaker">{speakerOf(message)}</span>}
+                    <p>{message.content}</p>
+                  </div>
+                ))}
+                <div ref={messagesEndRef} />
+              </div>
+
+              <form className="handoff-input" onSubmit={sendMessage}>
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(event) => setDraft(event.target.value)}
+                  placeholder="Reply to the patient..."
+                  disabled={!connected}
+                />
+                <button type="submit" className="admin-refresh-btn" disabled={!connected || !draft.trim()}>
+                  Send
+                </button>
+              </form>
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default HandoffConsolePage;
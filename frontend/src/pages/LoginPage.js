@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import authService from '../services/authService';
+import '../styles/doctor.css';
+
+/**
+ * MediFlow LoginPage
+ * Staff login (admin, doctor, receptionist, nurse)
+ *
+ * API Endpoints:
+ * - POST /api/auth/login - Returns JWT + staff profile
+ *
+ * Redirects back to ?redirect= (default /doctor) after login
+ */
+function LoginPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const redirectTo = searchParams.get('redirect') || '/doctor';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      await authService.login(email, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      console.error('❌ Login failed:', err);
+      setError(err.message || 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="admin-dashboard">
+      <div className="login-card">
+        <h1 className="admin-title">MediFlow Staff Login</h1>
+        <p className="admin-subtitle">Sign in to access patient records and appointments.</p>
+
+        {error && <div className="admin-error">⚠️ {error}</div>}
+
+        <form className="login-form" onSubmit={handleSubmit}>
+          <label htmlFor="login-email">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+
+          <label htmlFor="login-password">Password</label>
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+
+          <button type="submit" className="admin-refresh-btn" disabled={submitting}>
+            {submitting ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LoginPage;
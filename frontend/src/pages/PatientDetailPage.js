@@ -1,5 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import authService from '../services/authService';
+import VitalsTrendChart from '../components/VitalsTrendChart';
 import '../styles/doctor.css';
 
 /**
@@ -12,6 +14,7 @@ import '../styles/doctor.css';
  * - PATCH /api/appointments/:id/cancel - Cancel appointment
  * - PATCH /api/appointments/:id/complete - Mark appointment complete
  * - PATCH /api/appointments/:id/no-show - Mark appointment no-show
+ * - GET /api/patients/:id/vitals - Vitals trends across visits (NEWS2)
  * 
  * Features:
  * - Patient contact and medical info
@@ -19,6 +22,7 @@ import '../styles/doctor.css';
  * - Consultation transcript
  * - Behavioral tracking data
  * - Notification log (email/SMS)
+ * - Vitals trend charts with the NEWS2 early warning score
  * - Appointment management
  */
 function PatientDetailPage() {
@@ -31,6 +35,8 @@ function PatientDetailPage() {
   const [loadingAppointment, setLoadingAppointment] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [vitals, setVitals] = useState(null);
+  const [loadingVitals, setLoadingVitals] = useState(false);
 
   /**
    * Fetch patient details
@@ -41,7 +47,7 @@ function PatientDetailPage() {
       setLoading(true);
       setError(null);
 
-      const res = await fetch(`/api/patients/${id}`);
+      const res = await authService.authFetch(`/api/patients/${id}`);
       if (!res.ok) {
         throw new Error(`Failed to fetch patient (${res.status})`);
       }
@@ -69,7 +75,7 @@ function PatientDetailPage() {
       console.log('📅 Fetching appointment for patient:', id);
       setLoadingAppointment(true);
 
-      const res = await fetch(`/api/appointments/patient/${id}`);
+      const res = await authService.authFetch(`/api/appointments/patient/${id}`);
       if (!res.ok) {
         if (res.status === 404) {
           // No appointment found - this is OK
@@ -93,8 +99,35 @@ function PatientDetailPage() {
     }
   };
 
+  /**
+   * Fetch vitals trends (loaded when the Vitals tab is first opened)
+   */
+  const fetchVitals = async () => {
+    try {
+      console.log('🩺 Fetching vitals for patient:', id);
+      setLoadingVitals(true);
+
+      const res = await authService.authFetch(`/api/patients/${id}/vitals`);
+      if (!res.ok) {
+        throw new Error(`Failed to fetch vitals (${res.status})`);
+      }
+
+      const data = await res.json();
+      if (data.success) {
+        console.log('✅ Vitals loaded:', data.count, 'readings');
+        setVitals(data.data);
+      }
+    } catch (err) {
+      console.error('❌ Error fetching vitals:', err);
+      setVitals({ readings: [], series: {}, latest: null });
+    } finally {
+      setLoadingVitals(false);
+    }
+  };
+
   useEffect(() => {
     console.log('🚀 Initializing patient detail page');
+    setVitals(null);
     fetchPatient();
     fetchAppointment();
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -136,6 +169,13 @@ function PatientDetailPage() {
     return 'behavior-badge none';
   };
 
+  const getNews2Class = (risk) => {
+    if (risk === 'high') return 'behavior-badge high';
+    if (risk === 'medium' || risk === 'low_medium') return 'behavior-badge medium';
+    if (risk === 'low') return 'behavior-badge low';
+    return 'behavior-badge none';
+  };
+
   const getAppointmentStatusClass = (status) => {
     switch (status) {
       case 'scheduled':
@@ -184,7 +224,7 @@ function PatientDetailPage() {
 
     try {
       console.log('🚫 Cancelling appointment:', appointment._id);
-      const res = await fetch(`/api/appointments/${appointment._id}/cancel`, {
+      const res = await authService.authFetch(`/api/appointments/${appointment._id}/cancel`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ reason: 'Cancelled by doctor' }),
@@ -205,7 +245,7 @@ function PatientDetailPage() {
   const handleCompleteAppointment = async () => {
     try {
       console.log('✅ Marking appointment as completed:', appointment._id);
-      const res = await fetch(`/api/appointments/${appointment._id}/complete`, {
+      const res = await authService.authFetch(`/api/appointments/${appointment._id}/complete`, {
         method: 'PATCH',
       });
 
@@ -224,7 +264,7 @@ function PatientDetailPage() {
   const handleMarkNoShow = async () => {
     try {
       console.log('⚠️ Marking appointment as no-show:', appointment._id);
-      const res = await fetch(`/api/appointments/${appointment._id}/no-show`, {
+      const res = await authService.authFetch(`/api/appointments/${appointment._id}/no-show`, {
         method: 'PATCH',
       });
 
@@ -245,7 +285,7 @@ function PatientDetailPage() {
 
     try {
       console.log('⚡ Testing reminders for appointment:', appointment._id);
-      const res = await fetch(`/api/appointments/${appointment._id}/test-reminders`, {
+      const res = await authService.authFetch(`/api/appointments/${appointment._id}/test-reminders`, {
         method: 'PATCH',
       });
 
@@ -508,6 +548,17 @@ function PatientDetailPage() {
           >
             Notification Log
           </button>
+          <button
+            type="button"
+            className={`tab-btn ${activeTab === 'vitals' ? 'active' : ''}`}
+            onClick={() => {
+              console.log('📋 Tab changed: vitals');
+              setActiveTab('vitals');
+              if (!vitals) fetchVitals();
+            }}
+          >
+            Vitals
+          </button>
           {appointment && (
             <button
               type="button"
@@ -621,6 +672,99 @@ function PatientDetailPage() {
             </div>
           )}
 
+          {/* Vitals Tab */}
+          {activeTab === 'vitals' && (
+            <div className="tab-panel">
+              {loadingVitals || !vitals ? (
+                <p className="admin-empty">Loading vitals...</p>
+              ) : vitals.readings.length === 0 ? (
+                <p className="admin-empty">No vitals recorded yet.</p>
+              ) : (
+                <>
+                  <div className="metrics-grid">
+                    <div className="metric-item">
+                      <span className="metric-label">Latest NEWS2</span>
+                      <span className="metric-value">
+                        {vitals.latest?.news2?.score ?? '-'}
+                      </span>
+                      {vitals.latest?.news2?.risk && (
+                        <span className={getNews2Class(vitals.latest.news2.risk)}>
+                          {vitals.latest.news2.risk.replace('_', '-')} risk
+                        </span>
+                      )}
+                    </div>
+                    <div className="metric-item">
+                      <span className="metric-label">Last Recorded</span>
+                      <span className="detail-value">{formatDate(vitals.latest?.recorded_at)}</span>
+                      <span className="metric-label">
+                        {vitals.readings.length} visit{vitals.readings.length === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                  </div>
+
+                  {vitals.latest?.news2?.missing?.length > 0 && (
+                    <p className="vitals-note">
+                      ⚠️ Latest score is partial - not recorded: {vitals.latest.news2.missing.join(', ').replace(/_/g, ' ')}
+                    </p>
+                  )}
+
+                  <div className="vitals-charts-grid">
+                    <VitalsTrendChart
+                      title="Blood Pressure"
+                      unit="mmHg"
+                      points={vitals.series.blood_pressure}
+                      lines={[
+                        { key: 'systolic', label: 'Systolic', color: '#dc2626', normalRange: [90, 140] },
+                        { key: 'diastolic', label: 'Diastolic', color: '#2563eb', normalRange: [60, 90] },
+                      ]}
+                    />
+                    <VitalsTrendChart
+                      title="Pulse"
+                      unit="bpm"
+                      points={vitals.series.pulse_rate}
+                      lines={[{ key: 'value', color: '#db2777' }]}
+                      normalRange={[51, 90]}
+                    />
+                    <VitalsTrendChart
+                      title="SpO2"
+                      unit="%"
+                      points={vitals.series.oxygen_saturation}
+                      lines={[{ key: 'value', color: '#0891b2' }]}
+                      normalRange={[96, 100]}
+                    />
+                    <VitalsTrendChart
+                      title="Temperature"
+                      unit="°F"
+                      points={vitals.series.temperature}
+                      lines={[{ key: 'value', color: '#ea580c' }]}
+                      normalRange={[96.8, 100.4]}
+                    />
+                    <VitalsTrendChart
+                      title="Weight"
+                      unit="kg"
+                      points={vitals.series.weight}
+                      lines={[{ key: 'value', color: '#059669' }]}
+                    />
+                    <VitalsTrendChart
+                      title="BMI"
+                      unit="kg/m²"
+                      points={vitals.series.bmi}
+                      lines={[{ key: 'value', color: '#7c3aed' }]}
+                      normalRange={[18.5, 24.9]}
+                    />
+                    <VitalsTrendChart
+                      title="NEWS2"
+                      unit=""
+                      points={vitals.series.news2}
+                      lines={[{ key: 'value', color: '#374151' }]}
+                      normalRange={[0, 4]}
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Notifications Tab */}
           {activeTab === 'notifications' && (
             <div className="tab-panel">
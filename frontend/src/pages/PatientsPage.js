@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import authService from '../services/authService';
 import '../styles/doctor.css';
 
 /**
@@ -60,7 +61,7 @@ function PatientsPage() {
         params.append('status', filters.status);
       }
 
-      const res = await fetch(`/api/patients?${params.toString()}`);
+      const res = await authService.authFetch(`/api/patients?${params.toString()}`);
       if (!res.ok) {
         throw new Error(`Failed to fetch patients (${res.status})`);
       }
@@ -97,7 +98,7 @@ function PatientsPage() {
       setLoading(true);
       setError(null);
 
-      const res = await fetch(`/api/patients/search?q=${encodeURIComponent(filters.search)}`);
+      const res = await authService.authFetch(`/api/patients/search?q=${encodeURIComponent(filters.search)}`);
       if (!res.ok) {
         throw new Error(`Search failed (${res.status})`);
       }
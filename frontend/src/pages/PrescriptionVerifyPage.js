@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import '../styles/appointment.css';
+
+/**
+ * MediFlow PrescriptionVerifyPage
+ * Opened by scanning the QR code on a printed prescription - shows whether
+ * that copy is genuine and still the current version
+ *
+ * API Endpoints:
+ * - GET /api/prescriptions/verify/:code?v= - Verification details
+ */
+function PrescriptionVerifyPage() {
+  const { code } = useParams();
+  const [searchParams] = useSearchParams();
+  const version = searchParams.get('v');
+
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchVerification();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [code, version]);
+
+  const fetchVerification = async () => {
+    try {
+      console.log('🔍 Verifying prescription:', code);
+      setLoading(true);
+      setError(null);
+
+      const query = version ? `?v=${encodeURIComponent(version)}` : '';
+      const res = await fetch(`/api/prescriptions/verify/${encodeURIComponent(code)}${query}`);
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Prescription not found');
+      }
+
+      console.log('✅ Prescription verified:', data.data);
+      setVerification(data.data);
+    } catch (err) {
+      console.error('❌ Error verifying prescription:', err);
+      setError(err.message || 'Failed to verify this prescription');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-loading">Verifying prescription...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // Unknown code
+  if (!verification) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-error">
+            <h2>❌ Not Verified</h2>
+            <p>{error}</p>
+            <p>Do not dispense from this copy. Contact the clinic to confirm the prescription.</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Superseded copies carry no prescription details - the patient must bring the current one
+  if (verification.superseded) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <header className="booking-header">
+            <h1>💊 Prescription {verification.prescription_number}</h1>
+            <span className={`prescription-status ${verification.status}`}>
+              ⚠️ Superseded - version {verification.scanned_version} is no longer valid
+            </span>
+            <p className="booking-subtitle">
+              This printed copy (issued {formatDate(verification.issued_at)}) has been amended by the doctor.
+              Do not dispense from it - ask the patient for the current copy.
+            </p>
+          </header>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="booking-page">
+      <div className="booking-container">
+        <header className="booking-header">
+          <h1>💊 Prescription {verification.prescription_number}</h1>
+          <span className={`prescription-status ${verification.status}`}>✅ Genuine and current</span>
+        </header>
+
+        <div className="booked-slot-card">
+          <h3>🩺 Prescriber</h3>
+          <div className="booked-slot-info">
+            <p>
+              <strong>Doctor:</strong> Dr. {verification.doctor.name}
+              {verification.doctor.specialization ? ` (${verification.doctor.specialization})` : ''}
+            </p>
+            {verification.doctor.registration_number && (
+              <p>
+                <strong>Registration No:</strong> {verification.doctor.registration_number}
+              </p>
+            )}
+            <p>
+              <strong>Patient:</strong> {verification.patient_initials || '-'}
+            </p>
+            <p>
+              <strong>Issued:</strong> {formatDate(verification.issued_at)}
+              {verification.current_version > 1 ? ` (last amended ${formatDate(verification.signed_at)})` : ''}
+            </p>
+          </div>
+        </div>
+
+        <div className="booked-slot-card">
+          <h3>💊 Current Medicines</h3>
+          <ul className="prescription-medications">
+            {verification.medications.map((medication, index) => (
+              <li key={index}>
+                <strong>
+                  {medication.drug_name} {medication.strength || ''}
+                </strong>{' '}
+                - {medication.dose}, {medication.frequency}, {medication.duration}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PrescriptionVerifyPage;
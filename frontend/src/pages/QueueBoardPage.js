@@ -0,0 +1,181 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import socketService from '../services/socketService';
+import '../styles/queue-board.css';
+
+/**
+ * MediFlow QueueBoardPage
+ * Full-screen waiting-room TV board - tokens now being served and the waiting
+ * queue for one department (or the whole clinic), updated live over socket.io
+ *
+ * Shows token numbers and doctor names only, never patient details.
+ *
+ * API Endpoints:
+ * - GET /api/queue/board?department= - Initial board snapshot
+ *
+ * Socket Events:
+ * - queueSubscribe (out) - Join the department's board room
+ * - queueUpdate (in) - Fresh board snapshot
+ * - tokenCalled (in) - A doctor called a token (highlight + voice announcement)
+ */
+
+const HIGHLIGHT_MS = 15000;
+
+function QueueBoardPage() {
+  const [searchParams] = useSearchParams();
+  const department = searchParams.get('department') || null;
+  const muted = searchParams.get('sound') === 'off';
+
+  const [board, setBoard] = useState(null);
+  const [calledToken, setCalledToken] = useState(null);
+  const [error, setError] = useState(null);
+  const [clock, setClock] = useState(new Date());
+  const highlightTimer = useRef(null);
+
+  useEffect(() => {
+    fetchBoard();
+
+    socketService.connect();
+    socketService.subscribeQueue(department);
+
+    const handleQueueUpdate = (data) => {
+      if ((data.department || null) !== department) return;
+      setBoard(data);
+      setError(null);
+    };
+
+    const handleTokenCalled = (event) => {
+      if (department && event.department !== department) return;
+      console.log('📢 Token called:', event.token_number);
+
+      setCalledToken(event);
+      clearTimeout(highlightTimer.current);
+      highlightTimer.current = setTimeout(() => setCalledToken(null), HIGHLIGHT_MS);
+
+      if (!muted) announce(event);
+    };
+
+    socketService.on('queueUpdate', handleQueueUpdate);
+    socketService.on('tokenCalled', handleTokenCalled);
+
+    return () => {
+      socketService.off('queueUpdate', handleQueueUpdate);
+      socketService.off('tokenCalled', handleTokenCalled);
+      socketService.unsubscribeQueue();
+      clearTimeout(highlightTimer.current);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [department, muted]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setClock(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const fetchBoard = async () => {
+    try {
+      const query = department ? `?department=${encodeURIComponent(department)}` : '';
+      const res = await fetch(`/api/queue/board${query}`);
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load queue');
+      }
+
+      setBoard(data.data);
+      setError(null);
+    } catch (err) {
+      console.error('❌ Error loading queue board:', err);
+      setError('Queue temporarily unavailable');
+    }
+  };
+
+  /**
+   * Read the token out loud (browser speech synthesis, where available)
+   */
+  const announce = (event) => {
+    if (!('speechSynthesis' in window)) return;
+
+    const spokenToken = event.token_number.split('').join(' ');
+    const room = event.doctor_name ? ` to Doctor ${event.doctor_name}` : '';
+    const utterance = new SpeechSynthesisUtterance(`Token ${spokenToken}, please proceed${room}`);
+    utterance.lang = 'en-IN';
+    utterance.rate = 0.9;
+
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+  };
+
+  const formatClock = (date) => {
+    return date.toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  return (
+    <div className="queue-board">
+      <header className="queue-board-header">
+        <h1>{department || 'MediFlow Clinic'}</h1>
+        <div className="queue-board-clock">{formatClock(clock)}</div>
+      </header>
+
+      {calledToken && (
+        <div className="queue-board-called" key={`${calledToken.token_number}-${calledToken.call_count}`}>
+          <span className="queue-board-called-label">{calledToken.recall ? 'Calling again' : 'Now calling'}</span>
+          <span className="queue-board-called-token">{calledToken.token_number}</span>
+          {calledToken.doctor_name && <span className="queue-board-called-doctor">Dr. {calledToken.doctor_name}</span>}
+        </div>
+      )}
+
+      {error && !board && <div className="queue-board-error">{error}</div>}
+
+      {board && (
+        <main className="queue-board-body">
+          <section className="queue-board-serving">
+            <h2>Now Serving</h2>
+            {board.now_serving.length === 0 ? (
+              <p className="queue-board-empty">—</p>
+            ) : (
+              <ul>
+                {board.now_serving.map((entry) => (
+                  <li
+                    key={entry.token_number}
+                    className={calledToken?.token_number === entry.token_number ? 'highlight' : ''}
+                  >
+                    <span className="queue-board-token">{entry.token_number}</span>
+                    <span className="queue-board-doctor">Dr. {entry.doctor_name}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="queue-board-waiting">
+            <h2>Waiting ({board.waiting_count})</h2>
+            {board.waiting.length === 0 ? (
+              <p className="queue-board-empty">No one waiting</p>
+            ) : (
+              <ol>
+                {board.waiting.map((entry) => (
+                  <li key={entry.token_number}>
+                    <span className="queue-board-token">{entry.token_number}</span>
+                    <span className="queue-board-doctor">Dr. {entry.doctor_name}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </main>
+      )}
+
+      <footer className="queue-board-footer">
+        {board?.average_wait_minutes != null && <span>Average wait today: {board.average_wait_minutes} min</span>}
+        <span>Please wait for your token to be called</span>
+      </footer>
+    </div>
+  );
+}
+
+export default QueueBoardPage;
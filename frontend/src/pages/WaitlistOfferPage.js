@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import '../styles/appointment.css';
+
+/**
+ * MediFlow WaitlistOfferPage
+ * Lets a waitlisted patient accept or decline a freed slot held for them
+ * (link sent by SMS/email when a cancellation or no-show opens a slot)
+ *
+ * API Endpoints:
+ * - GET /api/waitlist/:entryId/offer?token= - Offer details
+ * - POST /api/waitlist/:entryId/respond - Accept (books the slot) or decline
+ */
+function WaitlistOfferPage() {
+  const { entryId } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [offer, setOffer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    fetchOffer();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entryId, token]);
+
+  const fetchOffer = async () => {
+    try {
+      console.log('📨 Fetching waitlist offer:', entryId);
+      setLoading(true);
+      setError(null);
+
+      const res = await fetch(`/api/waitlist/${entryId}/offer?token=${encodeURIComponent(token || '')}`);
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Offer not found');
+      }
+
+      console.log('✅ Offer loaded:', data.data);
+      setOffer(data.data);
+    } catch (err) {
+      console.error('❌ Error fetching offer:', err);
+      setError(err.message || 'Failed to load this offer');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Accept or decline the held slot
+   */
+  const handleRespond = async (accept) => {
+    try {
+      setResponding(true);
+      setError(null);
+
+      const res = await fetch(`/api/waitlist/${entryId}/respond`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, accept }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Failed to respond to this offer');
+      }
+
+      console.log(accept ? '✅ Offer accepted:' : '↪️ Offer declined:', data.data);
+      setResult({ accepted: accept, ...data.data });
+    } catch (err) {
+      console.error('❌ Error responding to offer:', err);
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-IN', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  const formatTime = (date) => {
+    return new Date(date).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Asia/Kolkata',
+    });
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-loading">Loading your offer...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // Expired / invalid link
+  if (!offer) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-error">
+            <h2>⌛ Offer Unavailable</h2>
+            <p>{error}</p>
+            <p>You're still on the waitlist - we'll contact you when the next slot opens.</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Accepted
+  if (result?.accepted) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-success">
+            <div className="success-icon">✅</div>
+            <h1>Appointment Confirmed!</h1>
+            <p className="success-lead">
+              Thanks, <strong>{offer.patient_name}</strong>! Your appointment is booked.
+            </p>
+
+            <div className="booked-slot-card">
+              <h3>📅 Your Appointment Details</h3>
+              <div className="booked-slot-info">
+                <p>
+                  <strong>Date:</strong> {formatDateTime(result.scheduled_start_time)}
+                </p>
+                <p>
+                  <strong>Doctor:</strong> Dr. {result.doctor_name}
+                </p>
+                <p>
+                  <strong>Department:</strong> {result.department}
+                </p>
+                {result.token_number && (
+                  <p>
+                    <strong>Token:</strong> {result.token_number}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <p className="success-footer">Check your email/SMS for the confirmation. 🏥</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Declined
+  if (result) {
+    return (
+      <div className="booking-page">
+        <div className="booking-container">
+          <div className="booking-info">
+            <h2>👍 No Problem</h2>
+            <p>We've passed this slot on. You're still on the waitlist and we'll contact you when another one opens.</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Offer
+  return (
+    <div className="booking-page">
+      <div className="booking-container">
+        <header className="booking-header">
+          <h1>🎉 An Earlier Slot Is Available</h1>
+          <p className="booking-subtitle">
+            Hi <strong>{offer.patient_name || 'there'}</strong>! A slot opened up and we're holding it
+            for you until {formatTime(offer.expires_at)}.
+          </p>
+        </header>
+
+        {error && (
+          <div className="booking-error-banner">
+            <p>⚠️ {error}</p>
+          </div>
+        )}
+
+        <div className="booked-slot-card">
+          <h3>📅 Offered Appointment</h3>
+          <div className="booked-slot-info">
+            <p>
+              <strong>Date:</strong> {formatDateTime(offer.start_time)}
+            </p>
+            <p>
+              <strong>Time:</strong> {formatTime(offer.start_time)} - {formatTime(offer.end_time)} IST
+            </p>
+            <p>
+              <strong>Doctor:</strong> Dr. {offer.doctor_name}
+              {offer.specialization ? ` (${offer.specialization})` : ''}
+            </p>
+            <p>
+              <strong>Department:</strong> {offer.department}
+            </p>
+          </div>
+        </div>
+
+        <div className="waitlist-offer-actions">
+          <button className="slot-book-button" onClick={() => handleRespond(true)} disabled={responding}>
+            {responding ? 'Please wait...' : 'Book This Slot'}
+          </button>
+          <button className="waitlist-join-button" onClick={() => handleRespond(false)} disabled={responding}>
+            No Thanks
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WaitlistOfferPage;
@@ -0,0 +1,124 @@
+/**
+ * MediFlow Auth Service
+ * Staff login state and authenticated API requests
+ *
+ * Features:
+ * - JWT login via POST /api/auth/login
+ * - Token + profile persisted in localStorage
+ * - authFetch(): fetch() with the Authorization header attached
+ * - Auto logout (redirect to /login) when the API returns 401
+ */
+
+const TOKEN_KEY = 'mediflow_token';
+const USER_KEY = 'mediflow_user';
+
+
+class AuthService {
+  constructor() {
+    console.log('🔐 MediFlow Auth Service initialized');
+  }
+
+
+  /**
+   * Get stored JWT (null when missing or expired)
+   */
+  getToken() {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (!token) return null;
+
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1]));
+      if (payload.exp && Date.now() >= payload.exp * 1000) {
+        console.warn('⚠️ Stored auth token expired');
+        this.logout();
+        return null;
+      }
+    } catch (error) {
+      console.error('❌ Invalid stored auth token:', error);
+      this.logout();
+      return null;
+    }
+
+    return token;
+  }
+
+
+  /**
+   * Get logged-in staff user profile
+   */
+  getUser() {
+    try {
+      return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+
+  isAuthenticated() {
+    return Boolean(this.getToken());
+  }
+
+
+  /**
+   * Log in with email/password
+   * @returns {Promise<Object>} - Staff user profile
+   */
+  async login(email, password) {
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      throw new Error(data.message || 'Login failed');
+    }
+
+    localStorage.setItem(TOKEN_KEY, data.token);
+    localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+    console.log(`✅ Logged in as ${data.user.email} (${data.user.role})`);
+
+    return data.user;
+  }
+
+
+  logout() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    console.log('👋 Logged out');
+  }
+
+
+  /**
+   * fetch() wrapper for staff API calls
+   * Sends to /login when the session is missing or rejected
+   */
+  async authFetch(url, options = {}) {
+    const token = this.getToken();
+
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+
+    if (res.status === 401) {
+      console.warn('⚠️ Session rejected by API - redirecting to login');
+      this.logout();
+      window.location.assign(`/login?redirect=${encodeURIComponent(window.location.pathname)}`);
+    }
+
+    return res;
+  }
+}
+
+
+// Create singleton instance
+const authService = new AuthService();
+
+
+export default authService;
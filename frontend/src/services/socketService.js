@@ -14,20 +14,32 @@ import { io } from 'socket.io-client';
  * 
  * Events:
  * - chatStart: Start new patient consultation
+ * - chatResume: Rejoin an in-progress consultation after a refresh or reconnect
+ *   (server answers chatResumed with the conversation so far, or resumeFailed)
  * - userMessage: Send patient message to AI triage system
+ *   (answered by botMessage, or by staffMessage while a staff member has the chat;
+ *   handoffStatus says who the patient is talking to)
  * - chatEnd: End consultation session
  * - behaviorUpdate: Send patient behavior tracking data
+ * - queueSubscribe / queueUnsubscribe: Follow a department's waiting-room queue
+ *   (server pushes queueUpdate board snapshots and tokenCalled announcements)
  */
 
 
 // ✅ FIXED: Changed port from 5000 to 5050
 const SOCKET_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5050';
 
+// Per-tab storage - survives a refresh, not a closed tab
+const SESSION_STORAGE_KEY = 'mediflow_consultation_session';
+
 
 class SocketService {
   constructor() {
     this.socket = null;
     this.connected = false;
+    this.queueDepartment = null;
+    this.queueResubscribe = null;
+    this.sessionResume = null;
     console.log('🏥 MediFlow Socket Service initialized');
     console.log('🔌 Socket URL:', SOCKET_URL);
   }
@@ -127,6 +139,8 @@ class SocketService {
         this.socket.disconnect();
         this.socket = null;
         this.connected = false;
+        this.queueResubscribe = null;
+        this.sessionResume = null;
         console.log('✅ Socket disconnected successfully');
       } else {
         console.log('ℹ️ Socket already disconnected');
@@ -182,6 +196,84 @@ class SocketService {
   }
 
 
+  /**
+   * Remember the consultation session so it can be resumed
+   * Re-sends chatResume after every reconnect so a dropped socket or a server
+   * restart picks the conversation up where it left off
+   */
+  rememberSession(sessionId) {
+    try {
+      if (!this.socket) {
+        throw new Error('Socket not initialized - cannot remember consultation');
+      }
+
+      sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+
+      if (!this.sessionResume) {
+        this.sessionResume = () => {
+          const savedSessionId = this.getSavedSession();
+          if (!savedSessionId) return;
+
+          console.log('🔄 Resuming consultation session:', savedSessionId);
+          this.socket.emit('chatResume', {
+            sessionId: savedSessionId,
+            timestamp: new Date().toISOString(),
+          });
+        };
+        this.socket.on('connect', this.sessionResume);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not remember consultation session:', error.message);
+    }
+  }
+
+
+  /**
+   * Get the remembered consultation session (null when none)
+   */
+  getSavedSession() {
+    try {
+      return sessionStorage.getItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+
+  /**
+   * Forget the remembered consultation session
+   */
+  clearSession() {
+    try {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+      console.warn('⚠️ Could not clear consultation session:', error.message);
+    }
+  }
+
+
+  /**
+   * Resume a remembered consultation session (e.g. after a page refresh)
+   * Sent now if connected, otherwise as soon as the socket connects
+   */
+  resumeConsultation(sessionId) {
+    try {
+      if (!this.socket) {
+        throw new Error('Socket not initialized - cannot resume consultation');
+      }
+
+      this.rememberSession(sessionId);
+
+      if (this.socket.connected) {
+        this.sessionResume();
+      }
+    } catch (error) {
+      console.error('❌ Error resuming consultation:', error);
+      throw error;
+    }
+  }
+
+
   /**
    * Send patient message to AI triage system
    * ✅ FIXED: Check actual socket.connected instead of our flag
@@ -221,6 +313,8 @@ class SocketService {
    */
   endConsultation(sessionId, reason = 'user_ended') {
     try {
+      this.clearSession();
+
       // ✅ FIX: Check actual socket.connected state
       if (!this.socket || !this.socket.connected) {
         console.warn('⚠️ Socket not connected, cannot end consultation');
@@ -278,6 +372,60 @@ class SocketService {
   }
 
 
+  /**
+   * Subscribe to a department's queue board (null = all departments)
+   * Re-subscribes after reconnects so a long-running board never goes stale
+   */
+  subscribeQueue(department = null) {
+    try {
+      if (!this.socket) {
+        throw new Error('Socket not initialized - cannot subscribe to queue');
+      }
+
+      this.queueDepartment = department;
+
+      if (!this.queueResubscribe) {
+        this.queueResubscribe = () => {
+          console.log('🎫 Subscribing to queue:', this.queueDepartment || 'all');
+          this.socket.emit('queueSubscribe', { department: this.queueDepartment });
+        };
+        this.socket.on('connect', this.queueResubscribe);
+      }
+
+      if (this.socket.connected) {
+        this.queueResubscribe();
+      }
+    } catch (error) {
+      console.error('❌ Error subscribing to queue:', error);
+      throw error;
+    }
+  }
+
+
+  /**
+   * Stop following the queue board
+   */
+  unsubscribeQueue() {
+    try {
+      if (!this.socket) {
+        return;
+      }
+
+      if (this.queueResubscribe) {
+        this.socket.off('connect', this.queueResubscribe);
+        this.queueResubscribe = null;
+      }
+
+      if (this.socket.connected) {
+        this.socket.emit('queueUnsubscribe', { department: this.queueDepartment });
+      }
+      this.queueDepartment = null;
+    } catch (error) {
+      console.error('❌ Error unsubscribing from queue:', error);
+    }
+  }
+
+
   /**
    * Register event listener
    */
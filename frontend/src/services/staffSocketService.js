@@ -0,0 +1,131 @@
+import { io } from 'socket.io-client';
+import authService from './authService';
+
+
+/**
+ * MediFlow Staff Socket Service
+ * Socket.io connection to the /staff namespace used by the live chat console
+ *
+ * The staff JWT is sent in the handshake (re-read on every reconnect, so a
+ * fresh login is picked up without a page reload).
+ *
+ * Events:
+ * - handoffJoin / staffMessage / handoffReturn / handoffLeave (out)
+ * - handoffQueue: Chats waiting for staff or with staff (in)
+ * - handoffJoined: Transcript of the chat just picked up (in)
+ * - handoffMessage: New patient or staff message in a joined chat (in)
+ * - handoffEnded: Chat handed back to MediBot or closed by the patient (in)
+ * - handoffError: A staff action was rejected (in)
+ */
+
+
+const SOCKET_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5050';
+
+
+class StaffSocketService {
+  constructor() {
+    this.socket = null;
+  }
+
+
+  /**
+   * Connect to the /staff namespace
+   */
+  connect() {
+    if (this.socket) {
+      return this.socket;
+    }
+
+    console.log('🔌 Connecting staff console:', `${SOCKET_URL}/staff`);
+
+    this.socket = io(`${SOCKET_URL}/staff`, {
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      auth: (callback) => callback({ token: authService.getToken() }),
+    });
+
+    this.socket.on('connect', () => {
+      console.log('✅ Staff console connected:', this.socket.id);
+    });
+
+    this.socket.on('connect_error', (error) => {
+      console.error('❌ Staff console connection error:', error.message);
+    });
+
+    return this.socket;
+  }
+
+
+  /**
+   * Disconnect from the /staff namespace
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+      console.log('✅ Staff console disconnected');
+    }
+  }
+
+
+  /**
+   * Pick up a chat from the queue (or rejoin one after a reconnect)
+   */
+  joinChat(sessionId) {
+    this.emit('handoffJoin', { sessionId });
+  }
+
+
+  /**
+   * Send a message to the patient
+   */
+  sendMessage(sessionId, message) {
+    this.emit('staffMessage', { sessionId, message });
+  }
+
+
+  /**
+   * Hand the chat back to MediBot
+   */
+  returnToBot(sessionId) {
+    this.emit('handoffReturn', { sessionId });
+  }
+
+
+  /**
+   * Stop following a chat without handing it back
+   */
+  leaveChat(sessionId) {
+    this.emit('handoffLeave', { sessionId });
+  }
+
+
+  emit(event, data) {
+    if (!this.socket || !this.socket.connected) {
+      throw new Error('Staff console is not connected');
+    }
+
+    this.socket.emit(event, data);
+  }
+
+
+  on(event, callback) {
+    this.connect().on(event, callback);
+  }
+
+
+  off(event, callback) {
+    if (this.socket) {
+      this.socket.off(event, callback);
+    }
+  }
+}
+
+
+// Create singleton instance
+const staffSocketService = new StaffSocketService();
+
+
+export default staffSocketService;